@@ -0,0 +1,899 @@
+/**
+ * Unified API Client
+ * One fetch layer for every dashboard: base URL resolution, credentials, CSRF,
+ * timeouts, retries for idempotent calls, SSE helpers and typed route wrappers.
+ *
+ * ES modules import the named exports; classic scripts use the `window.api`
+ * global this module installs (available from DOMContentLoaded on).
+ *
+ * Path resolution:
+ *   '/gemma/stats'          -> {API_BASE}/api/gemma/stats   (service routes)
+ *   '/api/v1/banking/...'   -> {API_BASE}/api/v1/banking/... (already rooted)
+ *   '/fiserv/api/v1/...'    -> {API_BASE}/fiserv/api/v1/...
+ *   'https://host/path'     -> unchanged
+ *
+ * @module api-client
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Origin the backend is served from. Honors the same overrides as auth.js.
+ * @type {string}
+ */
+export const API_BASE = (() => {
+    const configured =
+        window.API_BASE_URL ||
+        window.API_GATEWAY_URL ||
+        (window.NEMO_API_OPTIONS && window.NEMO_API_OPTIONS.baseURL);
+    if (configured) {
+        return configured.replace(/\/+$/, '');
+    }
+    const origin = window.location && window.location.origin;
+    if (origin && origin !== 'null' && origin.startsWith('http')) {
+        return origin.replace(/\/+$/, '');
+    }
+    return 'http://localhost:8000';
+})();
+
+/**
+ * Base URL override set from the settings page (stored by app.js saveToStorage).
+ * @type {string}
+ */
+let baseOverride = (() => {
+    try {
+        return JSON.parse(localStorage.getItem('whisper_api-url') || 'null') || '';
+    } catch {
+        return '';
+    }
+})().replace(/\/+$/, '');
+
+/** Prefix for service routes given without one. */
+const API_PREFIX = '/api';
+
+/** Paths served from the origin root rather than under API_PREFIX. */
+const ROOT_ROUTES = ['/api/', '/fiserv/', '/health', '/upload'];
+
+const TOKEN_STORAGE_KEY = 'nemo_session_token';
+const CSRF_STORAGE_KEY = 'nemo_csrf_token';
+const CSRF_COOKIE = 'ws_csrf';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_GET_RETRIES = 2;
+const RETRY_BASE_MS = 400;
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {Object|FormData|string} [body] - JSON-serialized unless FormData or string
+ * @property {Object} [query] - Query parameters; arrays become repeated keys
+ * @property {Object} [headers] - Extra headers (override the defaults)
+ * @property {number} [timeoutMs=30000] - Abort after this long
+ * @property {number} [retries] - Retry attempts (default 2 for GET, 0 otherwise)
+ * @property {number} [cacheMs] - Reuse a successful GET response for this long
+ * @property {AbortSignal} [signal] - External cancellation
+ */
+
+/**
+ * @typedef {Object} TranscriptFilters
+ * @property {string[]} [speakers]
+ * @property {string[]} [emotions]
+ * @property {string} [keywords]
+ * @property {string} [start_date] - ISO date
+ * @property {string} [end_date] - ISO date
+ * @property {number} [limit]
+ * @property {number} [offset]
+ */
+
+/**
+ * @typedef {Object} TranscriptQueryResponse
+ * @property {Object[]} items - Matching segments
+ * @property {number} [count] - Total matches
+ */
+
+/**
+ * @typedef {Object} GemmaStats
+ * @property {boolean} [model_loaded]
+ * @property {string} [device]
+ * @property {number} [vram_used_mb]
+ * @property {number} [total_requests]
+ */
+
+/**
+ * @typedef {Object} GemmaAnalyzeResponse
+ * @property {boolean} success
+ * @property {string} [analysis]
+ * @property {number} [transcripts_analyzed]
+ * @property {string} [artifact_id]
+ */
+
+/**
+ * @typedef {Object} Artifact
+ * @property {string} artifact_id
+ * @property {string} [title]
+ * @property {string} [body]
+ * @property {string} [created_at]
+ * @property {Object} [metadata]
+ */
+
+/**
+ * @typedef {Object} ArtifactList
+ * @property {Artifact[]} artifacts
+ * @property {number} [total]
+ */
+
+/**
+ * @typedef {Object} ChatResponse
+ * @property {string} [answer]
+ * @property {string} [response]
+ * @property {Object[]} [sources]
+ * @property {string} [session_id]
+ */
+
+/**
+ * @typedef {Object} EmailQueryResponse
+ * @property {Object[]} items
+ * @property {number} [count]
+ */
+
+/**
+ * @typedef {Object} BankingCase
+ * @property {string} id
+ * @property {string} type
+ * @property {string} subject
+ * @property {string} status
+ * @property {string} priority
+ */
+
+/**
+ * @typedef {Object} CaseListResponse
+ * @property {boolean} success
+ * @property {BankingCase[]} cases
+ */
+
+/**
+ * @typedef {Object} EventStreamOptions
+ * @property {Object} [query] - Query parameters
+ * @property {string[]} [events] - Named events to listen for (default: unnamed 'message')
+ * @property {(type: string, data: *, event: MessageEvent) => void} onEvent
+ * @property {(err: Error) => void} [onError] - Called once when the stream is given up
+ * @property {number} [maxReconnects=5] - Consecutive failures before giving up
+ */
+
+// ============================================================================
+// Auth Helpers
+// ============================================================================
+
+function readStorage(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * CSRF token from the `ws_csrf` cookie, falling back to the token auth.js
+ * stores for iframe contexts where cookies are blocked.
+ * @returns {string|null}
+ */
+export function getCsrfToken() {
+    for (const cookie of document.cookie.split(';')) {
+        const [name, ...rest] = cookie.trim().split('=');
+        if (name === CSRF_COOKIE) {
+            return decodeURIComponent(rest.join('='));
+        }
+    }
+    return readStorage(CSRF_STORAGE_KEY);
+}
+
+/**
+ * Bearer token (if auth.js stored one) and CSRF header.
+ * @returns {Object} Headers
+ */
+export function getAuthHeaders() {
+    const headers = {};
+    const token = readStorage(TOKEN_STORAGE_KEY);
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    const csrf = getCsrfToken();
+    if (csrf) {
+        headers['X-CSRF-Token'] = csrf;
+    }
+    return headers;
+}
+
+// ============================================================================
+// URL Helpers
+// ============================================================================
+
+/** @returns {string} Base URL requests currently go to */
+export function getBaseURL() {
+    return baseOverride || API_BASE;
+}
+
+/**
+ * Point the client at another backend; an empty value restores API_BASE.
+ * @param {string} url
+ */
+export function setBaseURL(url) {
+    baseOverride = (url || '').trim().replace(/\/+$/, '');
+    responseCache.clear();
+}
+
+/**
+ * Resolve a route path to a full URL.
+ * @param {string} path - Route path (see module docs for prefix rules)
+ * @param {Object} [query] - Query parameters
+ * @returns {string}
+ */
+export function buildURL(path = '', query = null) {
+    let url;
+    if (/^https?:\/\//.test(path)) {
+        url = path;
+    } else {
+        const normalized = path.startsWith('/') ? path : `/${path}`;
+        const route = normalized.split('?')[0];
+        const rooted = ROOT_ROUTES.some(prefix => prefix.endsWith('/') ? route.startsWith(prefix) : route === prefix);
+        url = `${getBaseURL()}${rooted ? '' : API_PREFIX}${normalized}`;
+    }
+
+    const search = buildQuery(query);
+    if (!search) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}${search}`;
+}
+
+function buildQuery(query) {
+    if (!query) return '';
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+        if (value === undefined || value === null || value === '') continue;
+        if (Array.isArray(value)) {
+            value.forEach(v => params.append(key, v));
+        } else {
+            params.append(key, value);
+        }
+    }
+    return params.toString();
+}
+
+// ============================================================================
+// Errors & Transport
+// ============================================================================
+
+/**
+ * Build an Error tagged with how the request failed so callers can decide
+ * whether a retry makes sense.
+ * @param {string} message - Error message
+ * @param {'timeout'|'network'|'http'|'engine'|'stream'|'abort'} kind - Failure kind
+ * @param {number|null} [status] - HTTP status for 'http' failures
+ * @returns {Error}
+ */
+export function requestError(message, kind, status = null) {
+    const err = new Error(message);
+    err.kind = kind;
+    err.status = status;
+    return err;
+}
+
+/**
+ * fetch() with a timeout. Failures reject with tagged errors
+ * (kind 'timeout', 'network' or 'abort').
+ * @param {string} url
+ * @param {Object} [options] - Fetch options; `signal` is honored
+ * @param {number} [timeoutMs=30000]
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithTimeout(url, options = {}, timeoutMs = DEFAULT_TIMEOUT_MS) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    const external = options.signal;
+    const forwardAbort = () => controller.abort();
+    external?.addEventListener('abort', forwardAbort);
+
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            if (external?.aborted) throw requestError('Request cancelled', 'abort');
+            throw requestError(`Request timed out after ${timeoutMs / 1000}s`, 'timeout');
+        }
+        throw requestError(err.message, 'network');
+    } finally {
+        clearTimeout(timeoutId);
+        external?.removeEventListener('abort', forwardAbort);
+    }
+}
+
+/**
+ * fetch() with credentials and auth headers but no body handling - for
+ * callers that need the raw Response (downloads, custom streaming).
+ * @param {string} url - Full URL or route path
+ * @param {Object} [options] - Fetch options
+ * @returns {Promise<Response>}
+ */
+export function rawFetch(url, options = {}) {
+    return fetch(/^https?:\/\//.test(url) ? url : buildURL(url), {
+        ...options,
+        credentials: 'include',
+        headers: { ...getAuthHeaders(), ...(options.headers || {}) }
+    });
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * GET responses kept for `cacheMs`, keyed by URL.
+ * @type {Map<string, {expires: number, data: *}>}
+ */
+const responseCache = new Map();
+
+/** Drop every cached GET response. */
+export function clearCache() {
+    responseCache.clear();
+}
+
+function isRetryable(err) {
+    return err.kind === 'timeout' || err.kind === 'network' ||
+        (err.kind === 'http' && RETRYABLE_STATUSES.includes(err.status));
+}
+
+async function readBody(response) {
+    if (response.status === 204) return null;
+    const text = await response.text();
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+/**
+ * Send a request and decode the response (JSON when possible, else text).
+ * Non-2xx responses reject with kind 'http', the status and the decoded body
+ * on `err.data`. Idempotent methods retry on timeouts, network errors and
+ * 408/429/502/503/504 with exponential backoff.
+ * @param {string} method - HTTP method
+ * @param {string} path - Route path or full URL
+ * @param {RequestOptions} [options]
+ * @returns {Promise<*>} Decoded response body
+ */
+export async function request(method, path, options = {}) {
+    const verb = method.toUpperCase();
+    const { body, query, timeoutMs = DEFAULT_TIMEOUT_MS, signal } = options;
+    const retries = options.retries ?? (verb === 'GET' ? DEFAULT_GET_RETRIES : 0);
+    const canRetry = IDEMPOTENT_METHODS.includes(verb) || options.retries !== undefined;
+
+    const headers = { ...getAuthHeaders(), ...(options.headers || {}) };
+    let payload = body;
+    if (body !== undefined && !(body instanceof FormData) && typeof body !== 'string') {
+        headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+        payload = JSON.stringify(body);
+    }
+
+    const url = buildURL(path, query);
+    const cacheable = verb === 'GET' && options.cacheMs > 0;
+    const cached = cacheable && responseCache.get(url);
+    if (cached && cached.expires > Date.now()) return cached.data;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await fetchWithTimeout(url, {
+                method: verb,
+                headers,
+                body: payload,
+                credentials: 'include',
+                signal
+            }, timeoutMs);
+            const data = await readBody(response);
+            if (!response.ok) {
+                const detail = (data && (data.detail || data.error || data.message)) || response.statusText;
+                const err = requestError(`${verb} ${path} failed (${response.status}): ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`, 'http', response.status);
+                err.data = data;
+                throw err;
+            }
+            if (cacheable) responseCache.set(url, { expires: Date.now() + options.cacheMs, data });
+            return data;
+        } catch (err) {
+            if (!canRetry || attempt >= retries || !isRetryable(err)) throw err;
+            await sleep(RETRY_BASE_MS * (2 ** attempt));
+        }
+    }
+}
+
+/** @param {string} path @param {RequestOptions} [options] */
+export const get = (path, options) => request('GET', path, options);
+/** @param {string} path @param {Object} [body] @param {RequestOptions} [options] */
+export const post = (path, body, options = {}) => request('POST', path, { ...options, body });
+/** @param {string} path @param {Object} [body] @param {RequestOptions} [options] */
+export const put = (path, body, options = {}) => request('PUT', path, { ...options, body });
+/** @param {string} path @param {Object} [body] @param {RequestOptions} [options] */
+export const patch = (path, body, options = {}) => request('PATCH', path, { ...options, body });
+/** @param {string} path @param {RequestOptions} [options] */
+export const del = (path, options) => request('DELETE', path, options);
+
+// ============================================================================
+// Server-Sent Events
+// ============================================================================
+
+/**
+ * Follow a GET SSE endpoint with EventSource. The browser reconnects on its
+ * own (resending Last-Event-ID); after maxReconnects consecutive failures the
+ * stream is closed and onError fires with kind 'stream'.
+ * @param {string} path - Route path
+ * @param {EventStreamOptions} options
+ * @returns {() => void} Stop function
+ */
+export function openEventStream(path, options) {
+    const { query, events = ['message'], onEvent, onError, maxReconnects = 5 } = options;
+    const source = new EventSource(buildURL(path, query), { withCredentials: true });
+    let failures = 0;
+
+    events.forEach(type => {
+        source.addEventListener(type, (event) => {
+            failures = 0;
+            let data = event.data;
+            try {
+                data = JSON.parse(event.data);
+            } catch {
+                // Plain-text payload
+            }
+            onEvent(type, data, event);
+        });
+    });
+
+    source.onerror = () => {
+        failures++;
+        if (failures > maxReconnects || source.readyState === EventSource.CLOSED) {
+            source.close();
+            onError?.(requestError(`Event stream ${path} lost`, 'stream'));
+        }
+    };
+
+    return () => source.close();
+}
+
+/**
+ * POST (or other method) to an endpoint that answers with an SSE body, which
+ * EventSource cannot do. Text is handed to onChunk in whole "event:/data:"
+ * blocks so handlers can split on blank lines safely.
+ * @param {string} method - HTTP method
+ * @param {string} path - Route path
+ * @param {Object} body - JSON body
+ * @param {{onChunk: (text: string) => void, onDone?: () => void, onError?: (err: Error) => void}} handlers
+ * @returns {() => void} Stop function
+ */
+export function streamRequest(method, path, body, handlers) {
+    const controller = new AbortController();
+
+    (async () => {
+        const response = await fetch(buildURL(path), {
+            method,
+            headers: { ...getAuthHeaders(), 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+            credentials: 'include',
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw requestError(`${method} ${path} failed (${response.status})`, 'http', response.status);
+        }
+
+        if (!response.body || !response.body.getReader) {
+            handlers.onChunk(await response.text());
+            return;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+            const cut = buffer.lastIndexOf('\n\n');
+            if (cut >= 0) {
+                handlers.onChunk(buffer.slice(0, cut + 2));
+                buffer = buffer.slice(cut + 2);
+            }
+        }
+        if (buffer.trim()) handlers.onChunk(buffer);
+    })().then(
+        () => handlers.onDone?.(),
+        (err) => {
+            if (err.name === 'AbortError') return;
+            console.warn(`[API] Stream ${path} failed:`, err);
+            handlers.onError?.(err.kind ? err : requestError(err.message, 'network'));
+        }
+    );
+
+    return () => controller.abort();
+}
+
+// ============================================================================
+// Health
+// ============================================================================
+
+/** @returns {Promise<{status: string, services?: Object}>} */
+export function health() {
+    return get('/health', { retries: 0, timeoutMs: 5000 });
+}
+
+/**
+ * @returns {Promise<boolean>} True when the backend answers /health
+ */
+export async function testConnection() {
+    try {
+        await health();
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// ============================================================================
+// Transcripts
+// ============================================================================
+
+/**
+ * @param {TranscriptFilters} filters
+ * @param {{analysisId?: string}} [options]
+ * @returns {Promise<TranscriptQueryResponse>}
+ */
+export function queryTranscripts(filters, { analysisId } = {}) {
+    return post('/transcripts/query', { ...filters, analysis_id: analysisId });
+}
+
+/**
+ * @param {TranscriptFilters} filters
+ * @param {{analysisId?: string}} [options]
+ * @returns {Promise<{count: number}>}
+ */
+export function countTranscripts(filters, { analysisId } = {}) {
+    return post('/transcripts/count', { ...filters, analysis_id: analysisId }, { retries: 1 });
+}
+
+/**
+ * @param {number} [limit=50]
+ * @returns {Promise<{transcripts: Object[]}>}
+ */
+export function getRecentTranscripts(limit = 50) {
+    return get('/transcripts/recent', { query: { limit }, timeoutMs: 60000 });
+}
+
+/**
+ * @param {number} [limit=100]
+ * @returns {Promise<{transcripts: Object[]}>}
+ */
+export function getAllTranscripts(limit = 100) {
+    return get('/transcripts', { query: { limit }, timeoutMs: 60000 });
+}
+
+/**
+ * @param {string} jobId
+ * @returns {Promise<{transcript: Object}>}
+ */
+export function getTranscript(jobId) {
+    return get(`/transcripts/${encodeURIComponent(jobId)}`);
+}
+
+/** @returns {Promise<{start: string, end: string, total: number}>} */
+export function transcriptsTimeRange() {
+    return get('/transcripts/time-range', { cacheMs: 60000 });
+}
+
+/** @returns {Promise<{speakers: string[]}>} */
+export function getSpeakers() {
+    return get('/transcripts/speakers', { cacheMs: 60000 });
+}
+
+/**
+ * @param {{start_date?: string, end_date?: string, speakers?: string[]}} params
+ * @returns {Promise<{per_speaker: Object}>}
+ */
+export function getVocabSummary(params = {}) {
+    return get('/analytics/vocabulary', { query: params });
+}
+
+/**
+ * @param {{start_date?: string, end_date?: string, emotions?: string[], metrics?: string[]}} params
+ * @returns {Promise<{summary: Object, series: Object[]}>}
+ */
+export function getAnalyticsSignals(params = {}) {
+    return get('/analytics/signals', { query: params });
+}
+
+// ============================================================================
+// Gemma
+// ============================================================================
+
+/** @returns {Promise<GemmaStats>} */
+export function getGemmaStats() {
+    return get('/gemma/stats');
+}
+
+/** @returns {Promise<{success: boolean, message?: string}>} */
+export function gemmaWarmup() {
+    return post('/gemma/warmup', {}, { timeoutMs: 120000 });
+}
+
+/**
+ * @param {string} prompt
+ * @param {number} [maxTokens=512]
+ * @returns {Promise<{text: string}>}
+ */
+export function gemmaGenerate(prompt, maxTokens = 512) {
+    return post('/gemma/generate', { prompt, max_tokens: maxTokens }, { timeoutMs: 90000 });
+}
+
+/**
+ * @param {Object} payload - filters, custom_prompt, max_tokens, temperature, max_statements
+ * @param {{analysisId?: string}} [options]
+ * @returns {Promise<GemmaAnalyzeResponse>}
+ */
+export function gemmaAnalyze(payload, { analysisId } = {}) {
+    return post('/gemma/analyze', { ...payload, analysis_id: analysisId }, { timeoutMs: 180000 });
+}
+
+/**
+ * @param {Object} payload - query, max_tokens, temperature, top_k_results, session_id, history_messages
+ * @returns {Promise<ChatResponse>}
+ */
+export function gemmaChatRag(payload) {
+    return post('/gemma/chat-rag', payload, { timeoutMs: 90000 });
+}
+
+/**
+ * @param {{prompt: string, max_tokens?: number}} payload
+ * @returns {Promise<ChatResponse>}
+ */
+export function gemmaChat(payload) {
+    return post('/gemma/chat', payload, { timeoutMs: 90000 });
+}
+
+// ============================================================================
+// Artifacts
+// ============================================================================
+
+/**
+ * @param {number} [limit=25]
+ * @param {number} [offset=0]
+ * @returns {Promise<ArtifactList>}
+ */
+export function listArtifacts(limit = 25, offset = 0) {
+    return get('/gemma/artifacts', { query: { limit, offset } });
+}
+
+/**
+ * @param {string} artifactId
+ * @returns {Promise<{artifact: Artifact}>}
+ */
+export function getArtifact(artifactId) {
+    return get(`/gemma/artifacts/${encodeURIComponent(artifactId)}`);
+}
+
+/**
+ * @param {{artifact_id: string, messages: Object[], mode?: string, summarize_chat?: boolean}} payload
+ * @returns {Promise<ChatResponse>}
+ */
+export function chatOnArtifactV2(payload) {
+    return post('/gemma/artifacts/chat/v2', payload, { timeoutMs: 90000 });
+}
+
+/**
+ * Stream a map-reduce meta-analysis over several artifacts.
+ * @param {{artifact_ids: string[], strategy?: string}} payload
+ * @param {{onEvent: (chunk: string) => void, analysisId?: string, onDone?: () => void, onError?: (err: Error) => void}} options
+ * @returns {() => void} Stop function
+ */
+export function streamMetaAnalysis(payload, { onEvent, analysisId, onDone, onError } = {}) {
+    return streamRequest('POST', '/gemma/artifacts/meta-analysis/stream', { ...payload, analysis_id: analysisId }, {
+        onChunk: onEvent,
+        onDone,
+        onError
+    });
+}
+
+// ============================================================================
+// Email
+// ============================================================================
+
+/** @returns {Promise<{items: Object[]}>} */
+export function getEmailUsers() {
+    return get('/email/users');
+}
+
+/** @returns {Promise<{items: Array<{label: string, count: number}>}>} */
+export function getEmailLabels() {
+    return get('/email/labels');
+}
+
+/** @returns {Promise<Object>} */
+export function getEmailStats() {
+    return get('/email/stats');
+}
+
+/**
+ * @param {Object} payload - users, labels, keywords, date range, limit, offset
+ * @returns {Promise<EmailQueryResponse>}
+ */
+export function queryEmails(payload) {
+    return post('/email/query', payload, { retries: 1 });
+}
+
+/**
+ * @param {{question: string, filters: Object}} payload
+ * @returns {Promise<{summary: string}>}
+ */
+export function emailAnalyzeGemmaQuick(payload) {
+    return post('/email/analyze/gemma/quick', payload, { timeoutMs: 120000 });
+}
+
+// ============================================================================
+// Memories
+// ============================================================================
+
+/**
+ * @param {string} title
+ * @param {string} body
+ * @returns {Promise<{memory_id: string}>}
+ */
+export function createMemory(title, body) {
+    return post('/memory/create', { title, body });
+}
+
+/**
+ * @param {string} memoryId
+ * @param {string} title
+ * @param {string} body
+ * @returns {Promise<Object>}
+ */
+export function updateMemory(memoryId, title, body) {
+    return put(`/memory/${encodeURIComponent(memoryId)}`, { title, body });
+}
+
+/**
+ * @param {string} memoryId
+ * @returns {Promise<Object>}
+ */
+export function deleteMemory(memoryId) {
+    return del(`/memory/${encodeURIComponent(memoryId)}`);
+}
+
+// ============================================================================
+// Banking
+// ============================================================================
+
+const CASES_PATH = '/fiserv/api/v1/cases';
+
+/** @returns {Promise<CaseListResponse>} */
+export function listCases() {
+    return get(CASES_PATH);
+}
+
+/** @returns {Promise<{success: boolean, stats: Object}>} */
+export function getCaseStats() {
+    return get(`${CASES_PATH}/stats`);
+}
+
+/**
+ * @param {string} caseId
+ * @returns {Promise<{success: boolean, case: BankingCase}>}
+ */
+export function getCase(caseId) {
+    return get(`${CASES_PATH}/${encodeURIComponent(caseId)}`);
+}
+
+/**
+ * @param {Object} fields - case_type, subject, description, member_id, account_id, priority, assignee_name, due_date
+ * @returns {Promise<{success: boolean, case: BankingCase}>}
+ */
+export function createCase(fields) {
+    return post(CASES_PATH, fields);
+}
+
+/**
+ * @param {string} caseId
+ * @param {Object} updates
+ * @returns {Promise<{success: boolean, case: BankingCase}>}
+ */
+export function updateCase(caseId, updates) {
+    return put(`${CASES_PATH}/${encodeURIComponent(caseId)}`, updates);
+}
+
+/**
+ * @param {string} caseId
+ * @param {string} note
+ * @param {string} [userName='Current User']
+ * @returns {Promise<Object>}
+ */
+export function addCaseNote(caseId, note, userName = 'Current User') {
+    return post(`${CASES_PATH}/${encodeURIComponent(caseId)}/notes`, { note, user_name: userName });
+}
+
+/**
+ * @param {string} accountId
+ * @param {number} [days=30]
+ * @returns {Promise<{transactions: Object[]}|Object[]>}
+ */
+export function getTransactions(accountId, days = 30) {
+    return get(`/fiserv/api/v1/transactions/${encodeURIComponent(accountId)}`, { query: { days } });
+}
+
+// ============================================================================
+// Global Export
+// ============================================================================
+
+/**
+ * Everything above as one object, for classic scripts (`window.api`).
+ */
+export const api = Object.freeze({
+    API_BASE,
+    getBaseURL,
+    setBaseURL,
+    clearCache,
+    buildURL,
+    getCsrfToken,
+    getAuthHeaders,
+    requestError,
+    fetchWithTimeout,
+    fetch: rawFetch,
+    request,
+    get,
+    post,
+    put,
+    patch,
+    del,
+    openEventStream,
+    streamRequest,
+    health,
+    testConnection,
+    queryTranscripts,
+    countTranscripts,
+    getRecentTranscripts,
+    getAllTranscripts,
+    getTranscript,
+    transcriptsTimeRange,
+    getSpeakers,
+    getVocabSummary,
+    getAnalyticsSignals,
+    getGemmaStats,
+    gemmaWarmup,
+    gemmaGenerate,
+    gemmaAnalyze,
+    gemmaChatRag,
+    gemmaChat,
+    listArtifacts,
+    getArtifact,
+    chatOnArtifactV2,
+    streamMetaAnalysis,
+    getEmailUsers,
+    getEmailLabels,
+    getEmailStats,
+    queryEmails,
+    emailAnalyzeGemmaQuick,
+    createMemory,
+    updateMemory,
+    deleteMemory,
+    listCases,
+    getCaseStats,
+    getCase,
+    createCase,
+    updateCase,
+    addCaseNote,
+    getTransactions
+});
+
+window.api = api;
+
+export default api;
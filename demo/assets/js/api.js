@@ -1,107 +1,341 @@
 /**
  * API Mock Interceptor for Static Demo
- * Intercepts fetch requests and routes them to the comprehensive MOCK_DATA.
+ * Intercepts fetch (and EventSource) and answers from the route table in
+ * mock/index.js, whose fixtures are built on the comprehensive MOCK_DATA.
+ *
+ * Tests and demos can shape the fake network through window.MockAPI:
+ *   MockAPI.configure({ latencyMs: [min, max], errorRate, errorStatus })
+ *   MockAPI.failRoute('/fiserv/api/v1/cases', { status: 503, times: 1 })
+ *   MockAPI.clearFailures() / MockAPI.reset()
+ * The same options can be preset as JSON in localStorage 'mockApiConfig'
+ * (with an optional `failures` array of { pattern, ...options }).
  */
 
 (function () {
   console.log('⚠️ API Mocker Loaded: Intercepting network requests for DEMO MODE.');
 
-  const originalFetch = window.fetch;
+  const scriptSrc = document.currentScript ? document.currentScript.src : window.location.href;
 
-  // Helper: Simulate network delay
-  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  // Helper: Simulate network delay (rejects like fetch when the caller aborts)
+  const delay = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+      }, { once: true });
+    }
+  });
 
-  window.fetch = async function (url, options) {
-    console.log(`[MOCK API] Request: ${url}`);
-    await delay(500 + Math.random() * 500); // 0.5s - 1s random latency
+  // Routes for custom Nexus engines added through registerEngine().
+  // Maps an endpoint path to a response object or a (url, options) => object function.
+  const customEngineRoutes = new Map();
 
-    const urlString = url.toString();
+  const config = {
+    latencyMs: [500, 1000], // 0.5s - 1s random latency
+    errorRate: 0,
+    errorStatus: 503
+  };
 
-    // =====================================================================
-    // 1. NEXUS ENGINE ROUTING
-    // =====================================================================
-    if (urlString.includes('/api/analytics/run-engine/')) {
-      const engineId = urlString.split('/').pop().toLowerCase();
-      const result = window.MOCK_DATA.nexus.engines[engineId];
+  // Injected failures: { pattern, method, status, detail, remaining, matcher }
+  let failures = [];
 
-      if (result) {
-        console.log(`[MOCK API] Returning mocked result for engine: ${engineId}`);
-        return new Response(JSON.stringify(result), {
-          status: 200,
-          headers: { 'Content-Type': 'application/json' }
-        });
-      } else {
-        console.warn(`[MOCK API] No mock data found for engine: ${engineId}, returning generic success.`);
-        // Fallback generic
-        return new Response(JSON.stringify({
-          engine: engineId,
-          status: 'completed',
-          insights: ['Analysis complete (Mock Generic)']
-        }), { status: 200 });
+  // =====================================================================
+  // ROUTE TABLE (loaded on first request)
+  // =====================================================================
+  let backendPromise = null;
+
+  function loadBackend() {
+    if (!backendPromise) {
+      backendPromise = import(new URL('mock/index.js', scriptSrc).href).then((mod) => ({
+        mod,
+        router: mod.installMockBackend(window.MOCK_DATA)
+      }));
+    }
+    return backendPromise;
+  }
+
+  function jsonResponse(body, status = 200, headers = {}) {
+    const isText = typeof body === 'string';
+    return new Response(isText ? body : JSON.stringify(body === undefined ? null : body), {
+      status,
+      headers: { 'Content-Type': isText ? 'text/plain' : 'application/json', ...headers }
+    });
+  }
+
+  function formatEvent(event) {
+    const data = typeof event.data === 'string' ? event.data : JSON.stringify(event.data);
+    let block = '';
+    if (event.id !== undefined) block += `id: ${event.id}\n`;
+    if (event.event) block += `event: ${event.event}\n`;
+    block += String(data).split('\n').map((line) => `data: ${line}`).join('\n');
+    return `${block}\n\n`;
+  }
+
+  // Stream events one at a time, each after its delay, until the reader cancels
+  function sseResponse(events, signal) {
+    const encoder = new TextEncoder();
+    let cancelled = false;
+    const body = new ReadableStream({
+      async start(controller) {
+        try {
+          for (const event of events) {
+            await delay(event.delayMs === undefined ? 300 : event.delayMs, signal);
+            if (cancelled) return;
+            controller.enqueue(encoder.encode(formatEvent(event)));
+          }
+          controller.close();
+        } catch (err) {
+          if (!cancelled) controller.error(err);
+        }
+      },
+      cancel() {
+        cancelled = true;
+      }
+    });
+    return new Response(body, {
+      status: 200,
+      headers: { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' }
+    });
+  }
+
+  async function toMockRequest(input, options, parseQuery) {
+    const request = input instanceof Request ? input : null;
+    const url = new URL(request ? request.url : String(input), window.location.href);
+    const headers = {};
+    new Headers(options.headers || (request && request.headers) || {}).forEach((value, key) => {
+      headers[key] = value;
+    });
+
+    let body = options.body !== undefined ? options.body : null;
+    if (body === null && request && request.method !== 'GET' && request.method !== 'HEAD') {
+      body = await request.clone().text();
+    }
+    if (typeof body === 'string' && body) {
+      try {
+        body = JSON.parse(body);
+      } catch (_) {
+        /* keep raw text */
       }
     }
 
-    // =====================================================================
-    // 2. SALESFORCE ROUTING
-    // =====================================================================
-    if (urlString.includes('/api/v1/salesforce/opportunities')) {
-      return new Response(JSON.stringify({ records: window.MOCK_DATA.salesforce.opportunities }), { status: 200 });
+    return {
+      method: (options.method || (request && request.method) || 'GET').toUpperCase(),
+      path: url.pathname,
+      params: {},
+      query: parseQuery(url.searchParams),
+      body,
+      headers,
+      url: url.href
+    };
+  }
+
+  function injectedFailure(req, mod) {
+    const failure = failures.find((entry) => {
+      if (entry.remaining <= 0) return false;
+      if (entry.pattern instanceof RegExp) {
+        return (entry.method === '*' || entry.method === req.method) && entry.pattern.test(req.path);
+      }
+      if (!entry.matcher) {
+        entry.matcher = mod.createMockRouter();
+        entry.matcher.route(entry.method, entry.pattern, () => null);
+      }
+      return Boolean(entry.matcher.match(req.method, req.path, req.query));
+    });
+    if (failure) {
+      failure.remaining -= 1;
+      return { status: failure.status, detail: failure.detail };
+    }
+    if (config.errorRate > 0 && Math.random() < config.errorRate) {
+      return { status: config.errorStatus, detail: 'Injected mock failure' };
     }
+    return null;
+  }
 
-    if (urlString.includes('/api/v1/salesforce/leads')) {
-      return new Response(JSON.stringify({ records: window.MOCK_DATA.salesforce.leads }), { status: 200 });
+  async function dispatch(req, signal) {
+    const { mod, router } = await loadBackend();
+
+    const failure = injectedFailure(req, mod);
+    if (failure) {
+      console.warn(`[MOCK API] Injected ${failure.status || 'network'} failure for ${req.method} ${req.path}`);
+      // Status 0 simulates a dropped connection
+      if (!failure.status) throw new TypeError('Failed to fetch');
+      return jsonResponse({ detail: failure.detail }, failure.status);
     }
 
-    if (urlString.includes('/api/v1/salesforce/analytics/smart-feed')) {
-      return new Response(JSON.stringify(window.MOCK_DATA.salesforce.smartFeed), { status: 200 });
+    const found = router.match(req.method, req.path, req.query);
+    if (!found) {
+      console.log(`[MOCK API] Unhandled route: ${req.method} ${req.url}, returning 200 OK.`);
+      return jsonResponse({ status: 'ok', message: 'Mock fallback' });
     }
 
-    // =====================================================================
-    // 3. FINANCIAL / FISERV ROUTING
-    // =====================================================================
-    if (urlString.includes('fiserv/api/v1/transactions')) {
-      return new Response(JSON.stringify(window.MOCK_DATA.banking.transactions), { status: 200 });
+    let result;
+    try {
+      result = await found.route.handler({ ...req, params: found.params });
+    } catch (err) {
+      console.warn(`[MOCK API] Handler for ${found.route.pattern} threw:`, err);
+      return jsonResponse({ detail: err.message || 'Mock handler error' }, 500);
     }
 
-    if (urlString.includes('fiserv/api/v1/account')) {
-      return new Response(JSON.stringify(window.MOCK_DATA.banking.accounts), { status: 200 });
+    if (result && result.kind === 'sse') return sseResponse(result.events, signal);
+    if (result && result.kind === 'reply') return jsonResponse(result.body, result.status, result.headers);
+    return jsonResponse(result);
+  }
+
+  // =====================================================================
+  // FETCH
+  // =====================================================================
+  window.fetch = async function (url, options = {}) {
+    const signal = options.signal || (url instanceof Request ? url.signal : undefined);
+    const urlString = url instanceof Request ? url.url : url.toString();
+    console.log(`[MOCK API] Request: ${urlString}`);
+
+    const [min, max] = config.latencyMs;
+    await delay(min + Math.random() * Math.max(0, max - min), signal);
+
+    // Custom Nexus engine routes match by substring, as registered
+    for (const [endpoint, response] of customEngineRoutes) {
+      if (urlString.includes(endpoint)) {
+        const body = typeof response === 'function' ? response(urlString, options) : response;
+        console.log(`[MOCK API] Returning registered engine mock for: ${endpoint}`);
+        return jsonResponse(body);
+      }
     }
 
-    // =====================================================================
-    // 4. GEMMA / SEARCH ROUTING
-    // =====================================================================
-    if (urlString.includes('/api/gemma/chat')) {
-      // Simple keyword matching for chat
-      let responseText = "I'm not sure about that, but I can help you analyze your data.";
-      const body = options?.body ? JSON.parse(options.body) : {};
-      const prompt = (body.prompt || "").toLowerCase();
+    const { mod } = await loadBackend();
+    return dispatch(await toMockRequest(url, options, mod.parseQuery), signal);
+  };
 
-      if (prompt.includes('email')) responseText = window.MOCK_DATA.salesforce.chatContext.responses.email;
-      else if (prompt.includes('summary')) responseText = window.MOCK_DATA.salesforce.chatContext.responses.summary;
-      else if (prompt.includes('quota')) responseText = window.MOCK_DATA.salesforce.chatContext.responses.quota;
+  // =====================================================================
+  // EVENTSOURCE
+  // =====================================================================
+  class MockEventSource extends EventTarget {
+    constructor(url, init = {}) {
+      super();
+      this.url = new URL(String(url), window.location.href).href;
+      this.withCredentials = Boolean(init.withCredentials);
+      this.readyState = MockEventSource.CONNECTING;
+      this.onopen = null;
+      this.onmessage = null;
+      this.onerror = null;
+      this._controller = new AbortController();
+      this._connect();
+    }
 
-      return new Response(JSON.stringify({ response: responseText }), { status: 200 });
+    close() {
+      this.readyState = MockEventSource.CLOSED;
+      this._controller.abort();
     }
 
-    // =====================================================================
-    // 5. ML DASHBOARD ROUTING
-    // =====================================================================
-    if (urlString.includes('/api/v1/ml/cross-sell')) {
-      return new Response(JSON.stringify(window.MOCK_DATA.ml.cross_sell), { status: 200 });
+    _emit(event) {
+      if (this.readyState === MockEventSource.CLOSED && event.type !== 'error') return;
+      this.dispatchEvent(event);
+      const handler = this[`on${event.type}`];
+      if (typeof handler === 'function') handler.call(this, event);
     }
 
-    if (urlString.includes('/api/v1/ml/churn')) {
-      return new Response(JSON.stringify(window.MOCK_DATA.ml.churn), { status: 200 });
+    _fail() {
+      if (this._controller.signal.aborted) return;
+      // Mock streams are finite, so end instead of reconnecting
+      this.readyState = MockEventSource.CLOSED;
+      this._emit(new Event('error'));
+    }
+
+    async _connect() {
+      try {
+        const response = await window.fetch(this.url, {
+          headers: { Accept: 'text/event-stream' },
+          signal: this._controller.signal
+        });
+        if (!response.ok || !(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+          this._fail();
+          return;
+        }
+        this.readyState = MockEventSource.OPEN;
+        this._emit(new Event('open'));
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        while (true) {
+          const { value, done } = await reader.read();
+          if (done || this.readyState === MockEventSource.CLOSED) break;
+          buffer += decoder.decode(value, { stream: true });
+          let cut;
+          while ((cut = buffer.indexOf('\n\n')) >= 0) {
+            this._dispatchBlock(buffer.slice(0, cut));
+            buffer = buffer.slice(cut + 2);
+          }
+        }
+        reader.cancel().catch(() => { });
+      } catch (_) {
+        /* aborted by close() or the stream failed; handled below */
+      }
+      this._fail();
     }
 
-    if (urlString.includes('/api/v1/ml/pricing')) {
-      return new Response(JSON.stringify(window.MOCK_DATA.ml.pricing), { status: 200 });
+    _dispatchBlock(block) {
+      let type = 'message';
+      let lastEventId = '';
+      const data = [];
+      block.split('\n').forEach((line) => {
+        const sep = line.indexOf(':');
+        const field = sep < 0 ? line : line.slice(0, sep);
+        const value = sep < 0 ? '' : line.slice(sep + 1).replace(/^ /, '');
+        if (field === 'event') type = value;
+        else if (field === 'data') data.push(value);
+        else if (field === 'id') lastEventId = value;
+      });
+      this._emit(new MessageEvent(type, { data: data.join('\n'), lastEventId, origin: window.location.origin }));
     }
+  }
+  MockEventSource.CONNECTING = 0;
+  MockEventSource.OPEN = 1;
+  MockEventSource.CLOSED = 2;
+
+  window.EventSource = MockEventSource;
+
+  // =====================================================================
+  // CONTROL SURFACE
+  // =====================================================================
+  window.MockAPI = {
+    registerEngineRoute(endpoint, response) {
+      customEngineRoutes.set(endpoint, response);
+    },
+
+    configure(options = {}) {
+      if (Array.isArray(options.latencyMs)) config.latencyMs = options.latencyMs;
+      else if (typeof options.latencyMs === 'number') config.latencyMs = [options.latencyMs, options.latencyMs];
+      if (typeof options.errorRate === 'number') config.errorRate = options.errorRate;
+      if (typeof options.errorStatus === 'number') config.errorStatus = options.errorStatus;
+      return { ...config };
+    },
+
+    // pattern: router path pattern ('/api/memory/:id') or RegExp on the path.
+    // status 0 rejects like a network failure.
+    failRoute(pattern, { method = '*', status = 500, times = Infinity, detail = 'Injected mock failure' } = {}) {
+      failures.push({ pattern, method: method.toUpperCase(), status, detail, remaining: times, matcher: null });
+    },
 
-    // =====================================================================
-    // 6. DEFAULT FALLBACK
-    // =====================================================================
-    console.log(`[MOCK API] Unhandled route: ${url}, returning 200 OK.`);
-    return new Response(JSON.stringify({ status: 'ok', message: 'Mock fallback' }), { status: 200 });
+    clearFailures() {
+      failures = [];
+    },
+
+    // Restore seeded fixture state (cases, memories, artifacts, ...) and clear failures
+    async reset() {
+      failures = [];
+      const { mod } = await loadBackend();
+      mod.resetCollections();
+    }
   };
+
+  try {
+    const saved = JSON.parse(localStorage.getItem('mockApiConfig') || 'null');
+    if (saved) {
+      window.MockAPI.configure(saved);
+      (saved.failures || []).forEach(({ pattern, ...options }) => window.MockAPI.failRoute(pattern, options));
+    }
+  } catch (err) {
+    console.warn('[MOCK API] Ignoring invalid mockApiConfig:', err);
+  }
 })();
@@ -132,8 +132,12 @@ function getAuthHeaders() {
 /**
  * Make an authenticated fetch request
  * Automatically includes auth headers from localStorage
+ * Goes through the shared API client (api-client.js) when the page loads it
  */
 async function authFetch(url, options = {}) {
+  if (window.api && typeof window.api.fetch === 'function') {
+    return window.api.fetch(url, options);
+  }
   const authHeaders = getAuthHeaders();
   const mergedOptions = {
     ...options,
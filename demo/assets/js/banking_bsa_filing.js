@@ -0,0 +1,1257 @@
+/**
+ * Banking BSA Filing Module - SAR / CTR Workflow
+ * ==============================================
+ * Suspicious Activity Report and Currency Transaction Report filings:
+ * cash aggregation per business day against the CTR threshold, structuring
+ * detection across days, a structured form with field validation, a
+ * draft -> review -> approved -> filed workflow with an audit trail, and
+ * export to the FinCEN BSA XML batch format and PDF.
+ *
+ * Filing institution details come from the Institution card on
+ * settings.html; nothing institution-specific is hardcoded in reports.
+ *
+ * Dependencies: banking_security.js (apiRequest),
+ *               banking_reporting.js (logAuditEvent, escapeHtml)
+ * Used by: banking.html
+ *
+ * @module banking_bsa_filing
+ * @version 1.0.0
+ */
+
+// =================================================================
+// CONSTANTS
+// =================================================================
+
+/** Cash in or cash out above this amount in one business day requires a CTR (31 CFR 1010.311) */
+const CTR_THRESHOLD = 10000;
+
+const STRUCTURING_DEFAULTS = {
+    // Daily cash-in totals at or above this share of the threshold count as "near threshold"
+    floorRatio: 0.8,
+    windowDays: 14,
+    minDays: 2
+};
+
+const BSA_FILING_STATUS = {
+    DRAFT: { label: 'Draft', color: '#6b7280' },
+    IN_REVIEW: { label: 'In Review', color: '#d97706' },
+    APPROVED: { label: 'Approved', color: '#2563eb' },
+    FILED: { label: 'Filed', color: '#16a34a' }
+};
+
+// FILED is reached only through a batch export
+const BSA_FILING_TRANSITIONS = {
+    DRAFT: ['IN_REVIEW'],
+    IN_REVIEW: ['DRAFT', 'APPROVED'],
+    APPROVED: ['DRAFT'],
+    FILED: []
+};
+
+/** Calendar days from detection (SAR) or transaction date (CTR) to the filing deadline */
+const BSA_FILING_DEADLINE_DAYS = { SAR: 30, CTR: 15 };
+
+/** SAR activity categories with their BSA XML type / subtype codes */
+const SAR_ACTIVITY_TYPES = {
+    structuring: { label: 'Structuring: transactions below CTR threshold', typeId: 1, subtypeId: 111 },
+    ach_fraud: { label: 'Fraud: ACH', typeId: 3, subtypeId: 301 },
+    check_fraud: { label: 'Fraud: Check', typeId: 3, subtypeId: 304 },
+    card_fraud: { label: 'Fraud: Credit/Debit card', typeId: 3, subtypeId: 305 },
+    wire_fraud: { label: 'Fraud: Wire', typeId: 3, subtypeId: 309 },
+    account_takeover: { label: 'Other: Account takeover', typeId: 10, subtypeId: 1001 },
+    funnel_account: { label: 'Money laundering: Funnel account', typeId: 8, subtypeId: 801 },
+    other: { label: 'Other suspicious activity', typeId: 10, subtypeId: 1999 }
+};
+
+/** Primary federal regulator codes used in the XML filing institution party */
+const BSA_REGULATOR_CODES = { FRB: 2, FDIC: 3, IRS: 4, NCUA: 5, OCC: 6, SEC: 7 };
+
+// Written by settings.html through app.js saveToStorage('institution', ...)
+const INSTITUTION_STORAGE_KEY = 'whisper_institution';
+
+const INSTITUTION_DEFAULTS = {
+    name: 'Service Credit Union',
+    ein: '',
+    rssd: '',
+    regulator: 'NCUA',
+    street: '3003 Lafayette Rd',
+    city: 'Portsmouth',
+    state: 'NH',
+    zip: '03801',
+    contactOffice: 'BSA Compliance',
+    contactPhone: '',
+    tcc: ''
+};
+
+const SUBJECT_FIELDS = [
+    ['firstName', 'First name'],
+    ['lastName', 'Last name'],
+    ['tin', 'TIN (SSN / EIN)'],
+    ['dob', 'Date of birth', 'date'],
+    ['street', 'Street address'],
+    ['city', 'City'],
+    ['state', 'State'],
+    ['zip', 'ZIP']
+];
+
+// =================================================================
+// STATE MANAGEMENT
+// =================================================================
+
+const BsaFilingState = {
+    filings: JSON.parse(localStorage.getItem('scuBsaFilings') || '[]'),
+    editingId: null,
+    errors: [],
+    scan: null,
+    containerId: 'bsaFilingPanel'
+};
+
+function persistBsaFilings() {
+    localStorage.setItem('scuBsaFilings', JSON.stringify(BsaFilingState.filings.slice(0, 200)));
+}
+
+// =================================================================
+// INSTITUTION PROFILE
+// =================================================================
+
+/**
+ * Filing institution details from settings, falling back to the defaults
+ * @returns {Object} Institution profile
+ */
+function getInstitutionProfile() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(INSTITUTION_STORAGE_KEY) || '{}') || {};
+    } catch (error) {
+        console.warn('[BSA Filing] Ignoring unreadable institution settings:', error);
+    }
+    const profile = { ...INSTITUTION_DEFAULTS };
+    Object.keys(saved).forEach(key => {
+        if (saved[key] !== '' && saved[key] !== null && saved[key] !== undefined) profile[key] = saved[key];
+    });
+    return profile;
+}
+
+/**
+ * One-line institution address
+ * @param {Object} institution - Institution profile
+ * @returns {string} Address
+ */
+function formatInstitutionAddress(institution = getInstitutionProfile()) {
+    return `${institution.street}, ${institution.city}, ${institution.state} ${institution.zip}`;
+}
+
+// =================================================================
+// CASH AGGREGATION & STRUCTURING DETECTION
+// =================================================================
+
+function normalizeCashTransaction(tx) {
+    const signed = Number(tx.amount) || 0;
+    const direction = tx.dr_cr || tx.direction || (signed < 0 ? 'DR' : 'CR');
+    return {
+        id: tx.transaction_id || tx.id,
+        memberId: tx.member_id || tx.memberId || 'Unknown',
+        accountId: tx.account_id || tx.accountId || null,
+        date: tx.date || String(tx.posted_at || tx.timestamp || new Date().toISOString()).slice(0, 10),
+        amount: Math.abs(signed),
+        direction: String(direction).toUpperCase() === 'DR' ? 'DR' : 'CR',
+        type: tx.type || null,
+        channel: tx.channel || null,
+        description: tx.description || ''
+    };
+}
+
+// Only an explicit cash type counts; untyped transactions are not cash
+function isCashTransaction(tx) {
+    return String(tx.type || '').toLowerCase() === 'cash';
+}
+
+/**
+ * Aggregate cash activity per member and business day. Cash in and cash out
+ * are totalled separately; either one above the threshold makes the day
+ * reportable, including when every single transaction is below it.
+ * @param {Array} transactions - Transactions (any shape; only those typed cash are counted)
+ * @param {number} threshold - CTR threshold
+ * @returns {Array} Daily aggregates, reportable first then by total
+ */
+function aggregateCashTransactions(transactions = [], threshold = CTR_THRESHOLD) {
+    const days = new Map();
+    transactions.filter(isCashTransaction).map(normalizeCashTransaction).forEach(tx => {
+        const key = `${tx.memberId}|${tx.date}`;
+        if (!days.has(key)) {
+            days.set(key, { memberId: tx.memberId, date: tx.date, cashIn: 0, cashOut: 0, transactions: [] });
+        }
+        const day = days.get(key);
+        if (tx.direction === 'CR') day.cashIn += tx.amount;
+        else day.cashOut += tx.amount;
+        day.transactions.push(tx);
+    });
+
+    return [...days.values()].map(day => {
+        const reportable = day.cashIn > threshold || day.cashOut > threshold;
+        return {
+            ...day,
+            cashIn: Math.round(day.cashIn * 100) / 100,
+            cashOut: Math.round(day.cashOut * 100) / 100,
+            reportable,
+            // Reportable only because several transactions were added together
+            aggregated: reportable && day.transactions.every(tx => tx.amount <= threshold)
+        };
+    }).sort((a, b) => (b.reportable - a.reportable) || (b.cashIn + b.cashOut) - (a.cashIn + a.cashOut));
+}
+
+/**
+ * Find cash deposits kept just under the CTR threshold across several days
+ * whose combined total exceeds it
+ * @param {Array} transactions - Transactions
+ * @param {Object} options - floorRatio, windowDays, minDays, threshold
+ * @returns {Array} Findings: memberId, from, to, days, total, transactions
+ */
+function detectStructuring(transactions = [], options = {}) {
+    const { floorRatio, windowDays, minDays } = { ...STRUCTURING_DEFAULTS, ...options };
+    const threshold = options.threshold || CTR_THRESHOLD;
+    const floor = threshold * floorRatio;
+
+    const nearThreshold = aggregateCashTransactions(transactions, threshold)
+        .filter(day => day.cashIn >= floor && day.cashIn <= threshold);
+
+    const byMember = new Map();
+    nearThreshold.forEach(day => {
+        if (!byMember.has(day.memberId)) byMember.set(day.memberId, []);
+        byMember.get(day.memberId).push(day);
+    });
+
+    const findings = [];
+    byMember.forEach((memberDays, memberId) => {
+        memberDays.sort((a, b) => a.date.localeCompare(b.date));
+        let start = 0;
+        while (start < memberDays.length) {
+            const windowEnd = new Date(memberDays[start].date).getTime() + windowDays * 86400000;
+            let end = start;
+            while (end + 1 < memberDays.length && new Date(memberDays[end + 1].date).getTime() <= windowEnd) end++;
+
+            const cluster = memberDays.slice(start, end + 1);
+            const total = cluster.reduce((sum, day) => sum + day.cashIn, 0);
+            if (cluster.length >= minDays && total > threshold) {
+                findings.push({
+                    memberId,
+                    from: cluster[0].date,
+                    to: cluster[cluster.length - 1].date,
+                    days: cluster.length,
+                    total: Math.round(total * 100) / 100,
+                    transactions: cluster.flatMap(day => day.transactions.filter(tx => tx.direction === 'CR'))
+                });
+                start = end + 1;
+            } else {
+                start++;
+            }
+        }
+    });
+
+    return findings.sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Scan recent cash activity in the demo population for CTR and SAR candidates
+ * @param {Object} options - members, days
+ * @returns {Object} { ctr: reportable aggregates, structuring: findings, members: name lookup }
+ */
+function scanCashActivity(options = {}) {
+    const population = typeof SyntheticBank !== 'undefined' ? SyntheticBank.population : null;
+    if (!population) throw new Error('Synthetic population is not loaded');
+
+    const days = options.days || 30;
+    const memberCount = Math.min(options.members || 300, population.size);
+    const members = new Map();
+    for (let i = 0; i < memberCount; i++) {
+        const member = population.member(i);
+        members.set(member.party_id, member);
+    }
+    population.fraudMembers().forEach(member => members.set(member.party_id, member));
+
+    const cash = [];
+    members.forEach(member => {
+        population.transactions(member.party_id, { days }).forEach(tx => {
+            if (isCashTransaction(tx)) cash.push(tx);
+        });
+    });
+
+    const alreadyDrafted = new Set(BsaFilingState.filings.map(f => f.sourceKey).filter(Boolean));
+    return {
+        scannedMembers: members.size,
+        days,
+        ctr: aggregateCashTransactions(cash).filter(day => day.reportable)
+            .map(day => ({ ...day, drafted: alreadyDrafted.has(`CTR|${day.memberId}|${day.date}`) })),
+        structuring: detectStructuring(cash)
+            .map(finding => ({ ...finding, drafted: alreadyDrafted.has(`SAR|${finding.memberId}|${finding.from}`) })),
+        members: Object.fromEntries([...members.values()].map(m => [m.party_id, m]))
+    };
+}
+
+// =================================================================
+// FILING RECORDS
+// =================================================================
+
+function subjectFromMember(member = {}) {
+    const [firstName = '', ...rest] = String(member.name || '').split(' ');
+    const address = member.address || {};
+    return {
+        memberId: member.party_id || member.id || member.memberId || '',
+        firstName: member.first_name || firstName,
+        lastName: member.last_name || rest.join(' '),
+        tin: '',
+        tinUnknown: false,
+        dob: member.dob || '',
+        street: address.street || '',
+        city: address.city || '',
+        state: address.state || '',
+        zip: address.zip || ''
+    };
+}
+
+function recordFilingAudit(filing, entry) {
+    filing.audit = filing.audit || [];
+    filing.audit.push({ at: new Date().toISOString(), actor: 'current_user', ...entry });
+    filing.updatedAt = new Date().toISOString();
+    if (typeof logAuditEvent === 'function') {
+        logAuditEvent(`BSA_${filing.type}_${entry.action.toUpperCase()}`, { filingId: filing.id, status: filing.status });
+    }
+}
+
+/**
+ * Create a draft filing
+ * @param {string} type - SAR or CTR
+ * @param {Object} data - Form data
+ * @param {Object} links - alertId, caseId, sourceKey, detectedAt
+ * @returns {Object} Filing
+ */
+function createBsaFiling(type, data, links = {}) {
+    const now = new Date().toISOString();
+    const filing = {
+        id: `${type}-${Date.now()}`,
+        type,
+        status: 'DRAFT',
+        createdAt: now,
+        updatedAt: now,
+        detectedAt: links.detectedAt || now,
+        alertId: links.alertId || null,
+        sourceKey: links.sourceKey || null,
+        batchId: null,
+        filedAt: null,
+        data,
+        audit: []
+    };
+    while (BsaFilingState.filings.some(f => f.id === filing.id)) {
+        filing.id = `${type}-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    }
+    recordFilingAudit(filing, { action: 'created', to: 'DRAFT' });
+    BsaFilingState.filings.unshift(filing);
+    persistBsaFilings();
+    return filing;
+}
+
+/**
+ * Draft a SAR for a member
+ * @param {Object} member - Member / party record
+ * @param {Object} options - transactions, amount, alertId, categories, sourceKey, from, to
+ * @returns {Object} Filing
+ */
+function createSarDraft(member, options = {}) {
+    const related = (options.transactions || []).map(normalizeCashTransaction);
+    const dates = related.map(tx => tx.date).sort();
+    const total = related.reduce((sum, tx) => sum + tx.amount, 0);
+    const today = new Date().toISOString().slice(0, 10);
+    const subject = subjectFromMember(member);
+
+    return createBsaFiling('SAR', {
+        subject,
+        activity: {
+            from: options.from || dates[0] || today,
+            to: options.to || dates[dates.length - 1] || today,
+            amount: Math.round(options.amount || total),
+            categories: options.categories || []
+        },
+        narrative: options.narrative || '',
+        transactions: related
+    }, { alertId: options.alertId, sourceKey: options.sourceKey });
+}
+
+/**
+ * Draft a CTR from one reportable business day
+ * @param {Object} aggregate - Entry from aggregateCashTransactions
+ * @param {Object} member - Member / party record
+ * @returns {Object} Filing
+ */
+function createCtrDraft(aggregate, member = {}) {
+    return createBsaFiling('CTR', {
+        subject: subjectFromMember({ party_id: aggregate.memberId, ...member }),
+        businessDate: aggregate.date,
+        cashIn: aggregate.cashIn,
+        cashOut: aggregate.cashOut,
+        aggregated: aggregate.aggregated,
+        transactions: aggregate.transactions
+    }, {
+        sourceKey: `CTR|${aggregate.memberId}|${aggregate.date}`,
+        detectedAt: `${aggregate.date}T00:00:00.000Z`
+    });
+}
+
+/**
+ * Suggested SAR narrative for a structuring finding
+ * @param {Object} finding - Entry from detectStructuring
+ * @param {string} name - Subject name
+ * @returns {string} Narrative
+ */
+function structuringNarrative(finding, name) {
+    const money = value => `$${Math.round(value).toLocaleString()}`;
+    const branches = [...new Set(finding.transactions.map(tx => tx.description.replace(/^Cash Deposit - /, '')))];
+    return `Between ${finding.from} and ${finding.to}, ${name || finding.memberId} made ${finding.transactions.length} cash deposits `
+        + `totalling ${money(finding.total)} across ${finding.days} business days (${branches.join(', ')}). `
+        + `Each day's cash-in total stayed below the ${money(CTR_THRESHOLD)} CTR threshold, which is consistent with `
+        + 'structuring to evade currency transaction reporting. No business purpose for the cash was identified.';
+}
+
+/**
+ * Filing deadline
+ * @param {Object} filing - Filing
+ * @returns {string} YYYY-MM-DD
+ */
+function getBsaFilingDeadline(filing) {
+    const from = filing.type === 'CTR' ? `${filing.data.businessDate}T00:00:00.000Z` : filing.detectedAt;
+    const due = new Date(new Date(from).getTime() + BSA_FILING_DEADLINE_DAYS[filing.type] * 86400000);
+    return isNaN(due) ? '' : due.toISOString().slice(0, 10);
+}
+
+function getBsaFiling(id) {
+    return BsaFilingState.filings.find(f => f.id === id) || null;
+}
+
+/**
+ * Replace a draft's form data
+ * @param {string} id - Filing ID
+ * @param {Object} data - Form data
+ * @returns {Object|null} Filing, or null when it is not an editable draft
+ */
+function updateBsaFiling(id, data) {
+    const filing = getBsaFiling(id);
+    if (!filing || filing.status !== 'DRAFT') return null;
+    filing.data = { ...filing.data, ...data };
+    if (filing.type === 'CTR') {
+        filing.data.cashIn = Number(filing.data.cashIn) || 0;
+        filing.data.cashOut = Number(filing.data.cashOut) || 0;
+    } else {
+        filing.data.activity.amount = Number(filing.data.activity.amount) || 0;
+    }
+    recordFilingAudit(filing, { action: 'saved' });
+    persistBsaFilings();
+    return filing;
+}
+
+// =================================================================
+// VALIDATION
+// =================================================================
+
+const isIsoDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value));
+
+/**
+ * Validate a filing and the institution profile it will be filed under
+ * @param {Object} filing - Filing
+ * @param {Object} institution - Institution profile
+ * @returns {Array} Errors: { field, message }
+ */
+function validateBsaFiling(filing, institution = getInstitutionProfile()) {
+    const errors = [];
+    const check = (condition, field, message) => {
+        if (!condition) errors.push({ field, message });
+    };
+    const data = filing.data || {};
+    const subject = data.subject || {};
+    const today = new Date().toISOString().slice(0, 10);
+
+    check(institution.name, 'institution.name', 'Institution name is required (Settings → Institution)');
+    check(/^\d{2}-?\d{7}$/.test(institution.ein || ''), 'institution.ein', 'Institution EIN must be 9 digits (Settings → Institution)');
+    check(institution.street && institution.city && institution.zip, 'institution.street', 'Institution address is incomplete (Settings → Institution)');
+    check(/^[A-Z]{2}$/.test(institution.state || ''), 'institution.state', 'Institution state must be a 2-letter code');
+
+    check(subject.lastName, 'subject.lastName', 'Subject last name is required');
+    check(subject.firstName, 'subject.firstName', 'Subject first name is required');
+    check(subject.tinUnknown || /^\d{3}-?\d{2}-?\d{4}$|^\d{2}-?\d{7}$/.test(subject.tin || ''), 'subject.tin', 'Subject TIN must be 9 digits, or marked unknown');
+    check(!subject.dob || (isIsoDate(subject.dob) && subject.dob <= today), 'subject.dob', 'Date of birth must be a past date');
+    check(subject.street && subject.city, 'subject.street', 'Subject street address and city are required');
+    check(/^[A-Z]{2}$/.test(subject.state || ''), 'subject.state', 'Subject state must be a 2-letter code');
+    check(/^\d{5}(-?\d{4})?$/.test(subject.zip || ''), 'subject.zip', 'Subject ZIP must be 5 or 9 digits');
+
+    if (filing.type === 'SAR') {
+        const activity = data.activity || {};
+        check(isIsoDate(activity.from), 'activity.from', 'Activity start date is required');
+        check(isIsoDate(activity.to), 'activity.to', 'Activity end date is required');
+        check(!isIsoDate(activity.from) || !isIsoDate(activity.to) || activity.from <= activity.to, 'activity.to', 'Activity end date is before the start date');
+        check(!isIsoDate(activity.to) || activity.to <= today, 'activity.to', 'Activity end date is in the future');
+        check(Number(activity.amount) > 0, 'activity.amount', 'Suspicious amount must be greater than zero');
+        check((activity.categories || []).length > 0, 'activity.categories', 'Select at least one activity category');
+        check((data.narrative || '').trim().length >= 100, 'narrative', 'Narrative must describe who, what, when, where and why (100+ characters)');
+    } else {
+        check(isIsoDate(data.businessDate), 'businessDate', 'Transaction date is required');
+        check(Number(data.cashIn) > CTR_THRESHOLD || Number(data.cashOut) > CTR_THRESHOLD, 'cashIn',
+            `Cash in or cash out must exceed $${CTR_THRESHOLD.toLocaleString()} for a CTR`);
+        check((data.transactions || []).length > 0, 'transactions', 'At least one cash transaction is required');
+    }
+
+    return errors;
+}
+
+// =================================================================
+// WORKFLOW
+// =================================================================
+
+function canTransitionBsaFiling(filing, to) {
+    return !!filing && (BSA_FILING_TRANSITIONS[filing.status] || []).includes(to);
+}
+
+/**
+ * Move a filing through draft -> review -> approved. Submitting and
+ * approving both require a filing that passes validation.
+ * @param {string} id - Filing ID
+ * @param {string} to - Target status
+ * @param {Object} options - note
+ * @returns {Object} { filing } or { errors }
+ */
+function transitionBsaFiling(id, to, options = {}) {
+    const filing = getBsaFiling(id);
+    if (!canTransitionBsaFiling(filing, to)) {
+        return { errors: [{ field: 'status', message: `Cannot move ${id} from ${filing?.status || 'unknown'} to ${to}` }] };
+    }
+    if (to === 'IN_REVIEW' || to === 'APPROVED') {
+        const errors = validateBsaFiling(filing);
+        if (errors.length > 0) return { errors };
+    }
+
+    const from = filing.status;
+    filing.status = to;
+    const action = { IN_REVIEW: 'submitted', APPROVED: 'approved', DRAFT: 'returned' }[to];
+    if (to === 'APPROVED') filing.approvedAt = new Date().toISOString();
+    recordFilingAudit(filing, { action, from, to, note: options.note || '' });
+    persistBsaFilings();
+    return { filing };
+}
+
+// =================================================================
+// FINCEN XML EXPORT
+// =================================================================
+
+function escapeXml(value) {
+    return String(value ?? '').replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+const xmlDate = value => String(value || '').slice(0, 10).replace(/-/g, '');
+const xmlAmount = value => String(Math.round(Number(value) || 0));
+const digitsOnly = value => String(value || '').replace(/\D/g, '');
+
+function xmlElement(name, value) {
+    return value === '' || value === null || value === undefined ? '' : `<fc2:${name}>${escapeXml(value)}</fc2:${name}>`;
+}
+
+function xmlParty(seq, typeCode, fields) {
+    const partySeq = seq.next();
+    const body = [
+        xmlElement('ActivityPartyTypeCode', typeCode),
+        fields.entityName || fields.lastName ? `<fc2:PartyName SeqNum="${seq.next()}">${[
+            xmlElement('PartyNameTypeCode', 'L'),
+            xmlElement('RawEntityIndividualLastName', fields.entityName || fields.lastName),
+            xmlElement('RawIndividualFirstName', fields.firstName)
+        ].join('')}</fc2:PartyName>` : '',
+        fields.street ? `<fc2:Address SeqNum="${seq.next()}">${[
+            xmlElement('RawCityText', fields.city),
+            xmlElement('RawCountryCodeText', 'US'),
+            xmlElement('RawStateCodeText', fields.state),
+            xmlElement('RawStreetAddress1Text', fields.street),
+            xmlElement('RawZIPCode', digitsOnly(fields.zip))
+        ].join('')}</fc2:Address>` : '',
+        fields.phone ? `<fc2:PhoneNumber SeqNum="${seq.next()}">${xmlElement('PhoneNumberText', digitsOnly(fields.phone))}</fc2:PhoneNumber>` : '',
+        ...(fields.identifications || []).map(([code, number]) => `<fc2:PartyIdentification SeqNum="${seq.next()}">${[
+            xmlElement('PartyIdentificationNumberText', digitsOnly(number)),
+            xmlElement('PartyIdentificationTypeCode', code)
+        ].join('')}</fc2:PartyIdentification>`),
+        fields.unknownTin ? `<fc2:PartyIdentification SeqNum="${seq.next()}">${xmlElement('TINUnknownIndicator', 'Y')}</fc2:PartyIdentification>` : '',
+        fields.dob ? xmlElement('IndividualBirthDateText', xmlDate(fields.dob)) : '',
+        fields.regulator ? xmlElement('PrimaryRegulatorTypeCode', BSA_REGULATOR_CODES[fields.regulator] || '') : ''
+    ].join('');
+    return `<fc2:Party SeqNum="${partySeq}">${body}</fc2:Party>`;
+}
+
+function institutionParties(seq, institution, filerType) {
+    const address = {
+        street: institution.street, city: institution.city, state: institution.state, zip: institution.zip
+    };
+    const ids = [['2', institution.ein], ...(institution.rssd ? [['10', institution.rssd]] : [])];
+    return [
+        xmlParty(seq, '35', { entityName: institution.name, ...address, phone: institution.contactPhone, identifications: [['4', institution.tcc || institution.ein]] }),
+        xmlParty(seq, '37', { entityName: institution.contactOffice }),
+        xmlParty(seq, filerType, { entityName: institution.name, ...address, identifications: ids, regulator: institution.regulator }),
+        xmlParty(seq, '8', { entityName: institution.contactOffice, phone: institution.contactPhone })
+    ];
+}
+
+function subjectParty(seq, typeCode, subject) {
+    return xmlParty(seq, typeCode, {
+        ...subject,
+        unknownTin: subject.tinUnknown,
+        identifications: subject.tinUnknown || !subject.tin ? [] : [[digitsOnly(subject.tin).length === 9 && /^\d{2}-/.test(subject.tin) ? '2' : '1', subject.tin]]
+    });
+}
+
+function sarActivityXml(filing, seq, institution) {
+    const { subject, activity, narrative } = filing.data;
+    const classifications = (activity.categories || []).map(key => SAR_ACTIVITY_TYPES[key]).filter(Boolean);
+    return [
+        xmlElement('FilingDateText', xmlDate(new Date().toISOString())),
+        `<fc2:ActivityAssociation SeqNum="${seq.next()}">${xmlElement('InitialReportIndicator', 'Y')}</fc2:ActivityAssociation>`,
+        ...institutionParties(seq, institution, '30'),
+        subjectParty(seq, '33', subject),
+        `<fc2:SuspiciousActivity SeqNum="${seq.next()}">${[
+            xmlElement('SuspiciousActivityFromDateText', xmlDate(activity.from)),
+            xmlElement('SuspiciousActivityToDateText', xmlDate(activity.to)),
+            xmlElement('TotalSuspiciousAmountText', xmlAmount(activity.amount)),
+            ...classifications.map(c => `<fc2:SuspiciousActivityClassification SeqNum="${seq.next()}">${
+                xmlElement('SuspiciousActivitySubtypeID', c.subtypeId)}${xmlElement('SuspiciousActivityTypeID', c.typeId)}</fc2:SuspiciousActivityClassification>`)
+        ].join('')}</fc2:SuspiciousActivity>`,
+        `<fc2:ActivityNarrativeInformation SeqNum="${seq.next()}">${
+            xmlElement('ActivityNarrativeSequenceNumber', 1)}${xmlElement('ActivityNarrativeText', narrative)}</fc2:ActivityNarrativeInformation>`
+    ];
+}
+
+function ctrActivityXml(filing, seq, institution) {
+    const { subject, businessDate, cashIn, cashOut, aggregated, transactions = [] } = filing.data;
+    const details = [['55', 'CR'], ['56', 'DR']]
+        .map(([code, direction]) => [code, transactions.filter(tx => tx.direction === direction).reduce((sum, tx) => sum + tx.amount, 0)])
+        .filter(([, amount]) => amount > 0);
+    return [
+        xmlElement('FilingDateText', xmlDate(new Date().toISOString())),
+        `<fc2:ActivityAssociation SeqNum="${seq.next()}">${xmlElement('InitialReportIndicator', 'Y')}</fc2:ActivityAssociation>`,
+        ...institutionParties(seq, institution, '30'),
+        subjectParty(seq, '50', subject),
+        `<fc2:CurrencyTransactionActivity SeqNum="${seq.next()}">${[
+            xmlElement('AggregateTransactionIndicator', aggregated ? 'Y' : ''),
+            xmlElement('TotalCashInReceiveAmountText', cashIn > 0 ? xmlAmount(cashIn) : ''),
+            xmlElement('TotalCashOutAmountText', cashOut > 0 ? xmlAmount(cashOut) : ''),
+            xmlElement('TransactionDateText', xmlDate(businessDate)),
+            ...details.map(([code, amount]) => `<fc2:CurrencyTransactionActivityDetail SeqNum="${seq.next()}">${
+                xmlElement('CurrencyTransactionActivityDetailTypeCode', code)}${xmlElement('DetailTransactionAmountText', xmlAmount(amount))}</fc2:CurrencyTransactionActivityDetail>`)
+        ].join('')}</fc2:CurrencyTransactionActivity>`
+    ];
+}
+
+/**
+ * Build a FinCEN BSA XML batch (one form type per batch)
+ * @param {Array} filings - Filings of a single type
+ * @param {Object} institution - Institution profile
+ * @returns {string} XML document
+ */
+function buildFincenXml(filings, institution = getInstitutionProfile()) {
+    const type = filings[0]?.type || 'SAR';
+    let next = 0;
+    const seq = { next: () => ++next };
+
+    const activities = filings.map(filing => {
+        const activitySeq = seq.next();
+        const body = (type === 'SAR' ? sarActivityXml : ctrActivityXml)(filing, seq, institution);
+        return `  <fc2:Activity SeqNum="${activitySeq}">\n    ${body.filter(Boolean).join('\n    ')}\n  </fc2:Activity>`;
+    });
+    const total = filings.reduce((sum, f) => sum + (type === 'SAR'
+        ? Number(f.data.activity.amount) || 0
+        : (Number(f.data.cashIn) || 0) + (Number(f.data.cashOut) || 0)), 0);
+    const schema = type === 'SAR' ? 'EFL_SARXBatchSchema.xsd' : 'EFL_CTRXBatchSchema.xsd';
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<fc2:EFilingBatchXML xmlns:fc2="www.fincen.gov/base" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" `
+        + `xsi:schemaLocation="www.fincen.gov/base https://www.fincen.gov/base/${schema}" `
+        + `ActivityCount="${filings.length}" TotalAmount="${xmlAmount(total)}" PartyCount="${filings.length * 5}">`,
+        `  ${xmlElement('FormTypeCode', `${type}X`)}`,
+        ...activities,
+        '</fc2:EFilingBatchXML>'
+    ].join('\n');
+}
+
+function downloadBsaFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Export every approved filing of a type as one XML batch and mark them filed
+ * @param {string} type - SAR or CTR
+ * @returns {Object|null} { batchId, count, xml }, or null when nothing is approved
+ */
+function exportBsaBatch(type) {
+    const approved = BsaFilingState.filings.filter(f => f.type === type && f.status === 'APPROVED');
+    if (approved.length === 0) return null;
+
+    const xml = buildFincenXml(approved);
+    const batchId = `${type}X-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${Date.now() % 100000}`;
+    downloadBsaFile(xml, `${batchId}.xml`, 'application/xml');
+
+    approved.forEach(filing => {
+        filing.status = 'FILED';
+        filing.batchId = batchId;
+        filing.filedAt = new Date().toISOString();
+        recordFilingAudit(filing, { action: 'filed', from: 'APPROVED', to: 'FILED', note: `Batch ${batchId}` });
+    });
+    persistBsaFilings();
+    return { batchId, count: approved.length, xml };
+}
+
+// =================================================================
+// PDF EXPORT
+// =================================================================
+
+/**
+ * Printable text of a filing, one entry per line
+ * @param {Object} filing - Filing
+ * @param {Object} institution - Institution profile
+ * @returns {Array<string>} Lines
+ */
+function bsaFilingLines(filing, institution = getInstitutionProfile()) {
+    const { subject } = filing.data;
+    const money = value => `$${(Number(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    const lines = [
+        filing.type === 'SAR' ? 'SUSPICIOUS ACTIVITY REPORT' : 'CURRENCY TRANSACTION REPORT',
+        `Filing ${filing.id}   Status: ${BSA_FILING_STATUS[filing.status].label}   Due: ${getBsaFilingDeadline(filing)}`,
+        filing.batchId ? `BSA batch ${filing.batchId}, filed ${filing.filedAt.slice(0, 10)}` : null,
+        '',
+        'FILING INSTITUTION',
+        `${institution.name}   EIN ${institution.ein || '(not set)'}${institution.rssd ? `   RSSD ${institution.rssd}` : ''}   Regulator ${institution.regulator}`,
+        formatInstitutionAddress(institution),
+        `Contact: ${institution.contactOffice}${institution.contactPhone ? `, ${institution.contactPhone}` : ''}`,
+        '',
+        filing.type === 'SAR' ? 'SUBJECT' : 'PERSON INVOLVED IN TRANSACTION',
+        `${subject.lastName}, ${subject.firstName}   Member ${subject.memberId || '-'}`,
+        `TIN: ${subject.tinUnknown ? 'Unknown' : subject.tin ? `XXX-XX-${digitsOnly(subject.tin).slice(-4)}` : '-'}   DOB: ${subject.dob || '-'}`,
+        `${subject.street}, ${subject.city}, ${subject.state} ${subject.zip}`,
+        ''
+    ];
+
+    if (filing.type === 'SAR') {
+        const { activity } = filing.data;
+        lines.push(
+            'SUSPICIOUS ACTIVITY',
+            `Period: ${activity.from} to ${activity.to}   Amount: ${money(activity.amount)}`,
+            ...(activity.categories || []).map(key => `- ${SAR_ACTIVITY_TYPES[key]?.label || key}`),
+            '',
+            'NARRATIVE',
+            filing.data.narrative || '(none)',
+            ''
+        );
+    } else {
+        lines.push(
+            'CASH TRANSACTIONS',
+            `Business date: ${filing.data.businessDate}   Cash in: ${money(filing.data.cashIn)}   Cash out: ${money(filing.data.cashOut)}`,
+            filing.data.aggregated ? 'Multiple transactions aggregated' : null,
+            ''
+        );
+    }
+
+    if ((filing.data.transactions || []).length > 0) {
+        lines.push('RELATED TRANSACTIONS');
+        filing.data.transactions.forEach(tx => {
+            lines.push(`${tx.date}  ${tx.id}  ${tx.direction === 'CR' ? 'In ' : 'Out'}  ${money(tx.amount)}  ${tx.description}`);
+        });
+        lines.push('');
+    }
+
+    lines.push('AUDIT TRAIL');
+    (filing.audit || []).forEach(entry => {
+        lines.push(`${entry.at.slice(0, 16).replace('T', ' ')}  ${entry.actor}  ${entry.action}${entry.to ? ` -> ${entry.to}` : ''}${entry.note ? `  (${entry.note})` : ''}`);
+    });
+    return lines.filter(line => line !== null);
+}
+
+function wrapPdfLine(line, width) {
+    if (line.length <= width) return [line];
+    const wrapped = [];
+    let current = '';
+    line.split(' ').forEach(word => {
+        if ((current + ' ' + word).trim().length > width && current) {
+            wrapped.push(current);
+            current = word;
+        } else {
+            current = (current + ' ' + word).trim();
+        }
+    });
+    if (current) wrapped.push(current);
+    return wrapped;
+}
+
+/**
+ * Render lines of text as a minimal multi-page PDF (Helvetica, US Letter)
+ * @param {Array<string>} lines - Text lines
+ * @returns {string} PDF document (ASCII)
+ */
+function buildTextPdf(lines) {
+    const pdfText = text => text.replace(/[^\x20-\x7e]/g, '?').replace(/([\\()])/g, '\\$1');
+    const wrapped = lines.flatMap(line => wrapPdfLine(line, 95));
+    const pages = [];
+    for (let i = 0; i < wrapped.length; i += 50) pages.push(wrapped.slice(i, i + 50));
+
+    const objects = ['<< /Type /Catalog /Pages 2 0 R >>', '', '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'];
+    const kids = [];
+    pages.forEach(pageLines => {
+        const stream = ['BT', '/F1 10 Tf', '14 TL', '50 756 Td', ...pageLines.map(line => `(${pdfText(line)}) '`), 'ET'].join('\n');
+        objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${objects.length} 0 R >>`);
+        kids.push(`${objects.length} 0 R`);
+    });
+    objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return pdf;
+}
+
+/**
+ * Download one filing as PDF
+ * @param {string} id - Filing ID
+ */
+function downloadBsaFilingPdf(id) {
+    const filing = getBsaFiling(id);
+    if (!filing) return;
+    downloadBsaFile(buildTextPdf(bsaFilingLines(filing)), `${filing.id}.pdf`, 'application/pdf');
+    recordFilingAudit(filing, { action: 'pdf_exported' });
+    persistBsaFilings();
+}
+
+/**
+ * Download one filing as a single-activity XML batch (for review; does not file it)
+ * @param {string} id - Filing ID
+ */
+function downloadBsaFilingXml(id) {
+    const filing = getBsaFiling(id);
+    if (!filing) return;
+    downloadBsaFile(buildFincenXml([filing]), `${filing.id}.xml`, 'application/xml');
+}
+
+// =================================================================
+// MEMBER LOOKUP
+// =================================================================
+
+/**
+ * Start a SAR for a member, pre-filled from member 360 and recent cash activity
+ * @param {Object} options - memberId or memberName, amount, alertId
+ * @returns {Promise<Object>} Filing
+ */
+async function startSarForMember(options = {}) {
+    let member = { name: options.memberName || '', party_id: options.memberId || '' };
+    try {
+        if (options.memberId) {
+            const data = await apiRequest(`/fiserv/api/v1/member360/${options.memberId}`);
+            member = { ...data.party, ...member, name: data.party?.name || member.name, party_id: data.party?.party_id || member.party_id };
+        } else if (options.memberName) {
+            const data = await apiRequest('/fiserv/api/v1/party/search', { method: 'POST', body: { name: options.memberName } });
+            if (data.parties?.[0]) member = data.parties[0];
+        }
+    } catch (error) {
+        console.warn('[BSA Filing] Member lookup failed; subject left for manual entry', error);
+    }
+
+    let transactions = [];
+    try {
+        if (member.party_id) transactions = (await apiRequest(`/fiserv/api/v1/transactions/${member.party_id}?days=90`)).transactions || [];
+    } catch (error) {
+        console.warn('[BSA Filing] Transaction history unavailable', error);
+    }
+    const finding = detectStructuring(transactions)[0];
+    const alertTx = options.transactionId ? transactions.filter(tx => tx.transaction_id === options.transactionId) : [];
+
+    return createSarDraft(member, {
+        transactions: finding ? finding.transactions : alertTx,
+        amount: finding ? finding.total : options.amount,
+        categories: finding ? ['structuring'] : [],
+        narrative: finding ? structuringNarrative(finding, member.name) : '',
+        alertId: options.alertId
+    });
+}
+
+// =================================================================
+// RENDER FUNCTIONS
+// =================================================================
+
+function bsaStatusBadge(status) {
+    const meta = BSA_FILING_STATUS[status] || BSA_FILING_STATUS.DRAFT;
+    return `<span style="padding: 2px 8px; border-radius: 10px; font-size: 0.75rem; font-weight: 600; background: ${meta.color}; color: white;">${meta.label}</span>`;
+}
+
+function bsaFilingAmount(filing) {
+    const amount = filing.type === 'SAR'
+        ? filing.data.activity.amount
+        : Math.max(Number(filing.data.cashIn) || 0, Number(filing.data.cashOut) || 0);
+    return `$${Math.round(Number(amount) || 0).toLocaleString()}`;
+}
+
+function bsaInput(path, label, value, options = {}) {
+    const invalid = BsaFilingState.errors.some(e => e.field === path);
+    return `
+        <label style="display: flex; flex-direction: column; gap: 0.2rem; font-size: 0.8rem; color: #374151;">
+            ${label}
+            <input data-bsa-field="${path}" type="${options.type || 'text'}" value="${escapeHtml(value ?? '')}" ${options.readonly ? 'disabled' : ''}
+                style="padding: 0.4rem; border: 1px solid ${invalid ? '#dc2626' : '#d1d5db'}; border-radius: 6px;">
+        </label>
+    `;
+}
+
+function renderBsaScan() {
+    const scan = BsaFilingState.scan;
+    if (!scan) return '';
+    const money = value => `$${Math.round(value).toLocaleString()}`;
+    const nameOf = memberId => escapeHtml(scan.members[memberId]?.name || memberId);
+
+    return `
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; margin-bottom: 1rem;">
+            <div style="background: #f8fafc; border-radius: 8px; padding: 0.75rem;">
+                <div style="font-weight: 600; margin-bottom: 0.5rem;">📋 CTR required (${scan.ctr.length})</div>
+                ${scan.ctr.slice(0, 15).map((day, i) => `
+                    <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.3rem 0; border-bottom: 1px solid #e5e7eb; font-size: 0.85rem;">
+                        <span>${day.date} · ${nameOf(day.memberId)} · in ${money(day.cashIn)} / out ${money(day.cashOut)}${day.aggregated ? ' <em>(aggregated)</em>' : ''}</span>
+                        ${day.drafted ? '<span style="color: #6b7280;">Drafted</span>' : `<button onclick="draftCtrFromScan(${i})" class="btn" style="padding: 2px 8px;">Draft CTR</button>`}
+                    </div>
+                `).join('') || '<div style="color: #6b7280;">No reportable cash days</div>'}
+            </div>
+            <div style="background: #fff7ed; border-radius: 8px; padding: 0.75rem;">
+                <div style="font-weight: 600; margin-bottom: 0.5rem;">⚠️ Possible structuring (${scan.structuring.length})</div>
+                ${scan.structuring.slice(0, 15).map((finding, i) => `
+                    <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.3rem 0; border-bottom: 1px solid #fed7aa; font-size: 0.85rem;">
+                        <span>${nameOf(finding.memberId)} · ${finding.transactions.length} deposits over ${finding.days} days · ${money(finding.total)}</span>
+                        ${finding.drafted ? '<span style="color: #6b7280;">Drafted</span>' : `<button onclick="draftSarFromScan(${i})" class="btn" style="padding: 2px 8px;">Draft SAR</button>`}
+                    </div>
+                `).join('') || '<div style="color: #6b7280;">No structuring patterns</div>'}
+            </div>
+        </div>
+    `;
+}
+
+function renderBsaEditor(filing) {
+    const { data } = filing;
+    const readonly = filing.status !== 'DRAFT';
+    const subject = data.subject;
+    const errors = BsaFilingState.errors;
+
+    const typeFields = filing.type === 'SAR' ? `
+        <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 0.5rem; margin-top: 0.75rem;">
+            ${bsaInput('activity.from', 'Activity from', data.activity.from, { type: 'date', readonly })}
+            ${bsaInput('activity.to', 'Activity to', data.activity.to, { type: 'date', readonly })}
+            ${bsaInput('activity.amount', 'Suspicious amount ($)', data.activity.amount, { type: 'number', readonly })}
+        </div>
+        <div style="margin-top: 0.75rem; font-size: 0.8rem; color: #374151;">Activity categories</div>
+        <div style="display: flex; flex-wrap: wrap; gap: 0.75rem; margin-top: 0.25rem; font-size: 0.85rem;">
+            ${Object.entries(SAR_ACTIVITY_TYPES).map(([key, meta]) => `
+                <label><input type="checkbox" data-bsa-category="${key}" ${data.activity.categories.includes(key) ? 'checked' : ''} ${readonly ? 'disabled' : ''}> ${meta.label}</label>
+            `).join('')}
+        </div>
+        <label style="display: flex; flex-direction: column; gap: 0.2rem; font-size: 0.8rem; color: #374151; margin-top: 0.75rem;">
+            Narrative
+            <textarea data-bsa-field="narrative" rows="6" ${readonly ? 'disabled' : ''}
+                style="padding: 0.5rem; border: 1px solid ${errors.some(e => e.field === 'narrative') ? '#dc2626' : '#d1d5db'}; border-radius: 6px;">${escapeHtml(data.narrative)}</textarea>
+        </label>
+    ` : `
+        <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 0.5rem; margin-top: 0.75rem;">
+            ${bsaInput('businessDate', 'Transaction date', data.businessDate, { type: 'date', readonly })}
+            ${bsaInput('cashIn', 'Total cash in ($)', data.cashIn, { type: 'number', readonly })}
+            ${bsaInput('cashOut', 'Total cash out ($)', data.cashOut, { type: 'number', readonly })}
+        </div>
+    `;
+
+    return `
+        <div style="border: 1px solid #c7d2fe; border-radius: 10px; padding: 1rem; margin-bottom: 1rem; background: white;">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.75rem;">
+                <div style="font-weight: 700;">${filing.id} ${bsaStatusBadge(filing.status)}
+                    <span style="font-weight: 400; color: #6b7280; font-size: 0.85rem;">Due ${getBsaFilingDeadline(filing)}</span></div>
+                <button onclick="closeBsaFiling()" class="btn" style="padding: 2px 10px;">✕</button>
+            </div>
+
+            ${errors.length > 0 ? `
+                <div style="background: #fef2f2; border: 1px solid #fecaca; border-radius: 8px; padding: 0.5rem 0.75rem; margin-bottom: 0.75rem; color: #991b1b; font-size: 0.85rem;">
+                    ${errors.map(e => `<div>• ${escapeHtml(e.message)}</div>`).join('')}
+                </div>
+            ` : ''}
+
+            <div style="font-weight: 600; font-size: 0.9rem;">${filing.type === 'SAR' ? 'Subject' : 'Person involved'}</div>
+            <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 0.5rem; margin-top: 0.5rem;">
+                ${SUBJECT_FIELDS.map(([key, label, type]) => bsaInput(`subject.${key}`, label, subject[key], { type, readonly })).join('')}
+            </div>
+            <label style="font-size: 0.85rem; display: inline-block; margin-top: 0.5rem;">
+                <input type="checkbox" data-bsa-field="subject.tinUnknown" ${subject.tinUnknown ? 'checked' : ''} ${readonly ? 'disabled' : ''}> TIN unknown
+            </label>
+
+            ${typeFields}
+
+            ${(data.transactions || []).length > 0 ? `
+                <div style="font-weight: 600; font-size: 0.9rem; margin-top: 0.75rem;">Related transactions (${data.transactions.length})</div>
+                <div style="max-height: 160px; overflow-y: auto; font-size: 0.8rem; font-family: monospace; background: #f8fafc; border-radius: 6px; padding: 0.5rem;">
+                    ${data.transactions.map(tx => `<div>${tx.date} ${escapeHtml(tx.id)} ${tx.direction === 'CR' ? 'IN ' : 'OUT'} $${tx.amount.toLocaleString()} ${escapeHtml(tx.description)}</div>`).join('')}
+                </div>
+            ` : ''}
+
+            <div style="display: flex; flex-wrap: wrap; gap: 0.5rem; margin-top: 1rem;">
+                ${filing.status === 'DRAFT' ? `
+                    <button onclick="saveBsaFilingForm()" class="btn" style="background: #e5e7eb;">💾 Save Draft</button>
+                    <button onclick="submitBsaFilingForm()" class="btn" style="background: #d97706; color: white;">📤 Submit for Review</button>
+                ` : ''}
+                ${filing.status === 'IN_REVIEW' ? `
+                    <button onclick="changeBsaFilingStatus('${filing.id}', 'APPROVED')" class="btn" style="background: #2563eb; color: white;">✓ Approve</button>
+                    <button onclick="changeBsaFilingStatus('${filing.id}', 'DRAFT')" class="btn" style="background: #e5e7eb;">↩ Return to Preparer</button>
+                ` : ''}
+                ${filing.status === 'APPROVED' ? `
+                    <button onclick="changeBsaFilingStatus('${filing.id}', 'DRAFT')" class="btn" style="background: #e5e7eb;">↩ Reopen Draft</button>
+                ` : ''}
+                <button onclick="downloadBsaFilingXml('${filing.id}')" class="btn" style="background: #e5e7eb;">🧾 XML</button>
+                <button onclick="downloadBsaFilingPdf('${filing.id}')" class="btn" style="background: #e5e7eb;">📄 PDF</button>
+            </div>
+
+            <details style="margin-top: 0.75rem; font-size: 0.8rem; color: #4b5563;">
+                <summary>Audit trail (${filing.audit.length})</summary>
+                ${filing.audit.slice().reverse().map(entry => `
+                    <div>${entry.at.slice(0, 16).replace('T', ' ')} · ${escapeHtml(entry.actor)} · ${entry.action}${entry.to ? ` → ${entry.to}` : ''}${entry.note ? ` · ${escapeHtml(entry.note)}` : ''}</div>
+                `).join('')}
+            </details>
+        </div>
+    `;
+}
+
+/**
+ * Render the BSA filing workspace
+ * @param {string} containerId - Container element ID
+ */
+function renderBsaFilingPanel(containerId = BsaFilingState.containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    BsaFilingState.containerId = containerId;
+
+    const institution = getInstitutionProfile();
+    const approved = type => BsaFilingState.filings.filter(f => f.type === type && f.status === 'APPROVED').length;
+    const editing = getBsaFiling(BsaFilingState.editingId);
+
+    container.innerHTML = `
+        <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 0.75rem;">
+            <div style="font-size: 0.85rem; color: #4b5563;">
+                Filing as <strong>${escapeHtml(institution.name)}</strong> · EIN ${institution.ein ? escapeHtml(institution.ein) : '<span style="color: #dc2626;">not set</span>'}
+                · <a href="settings.html">Institution settings</a>
+            </div>
+            <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
+                <button onclick="startBlankSar()" class="btn" style="background: #6366f1; color: white;">📄 New SAR</button>
+                <button onclick="runBsaScan()" class="btn" style="background: #e5e7eb;">🔍 Scan Cash Activity</button>
+                <button onclick="exportBsaBatchFromUI('SAR')" class="btn" style="background: #e5e7eb;" ${approved('SAR') ? '' : 'disabled'}>Export SAR Batch (${approved('SAR')})</button>
+                <button onclick="exportBsaBatchFromUI('CTR')" class="btn" style="background: #e5e7eb;" ${approved('CTR') ? '' : 'disabled'}>Export CTR Batch (${approved('CTR')})</button>
+            </div>
+        </div>
+
+        ${renderBsaScan()}
+        ${editing ? renderBsaEditor(editing) : ''}
+
+        <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+            <thead>
+                <tr style="text-align: left; color: #6b7280; border-bottom: 1px solid #e5e7eb;">
+                    <th style="padding: 0.4rem;">Filing</th><th>Subject</th><th>Amount</th><th>Status</th><th>Due</th><th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${BsaFilingState.filings.map(filing => `
+                    <tr style="border-bottom: 1px solid #f3f4f6; ${filing.id === BsaFilingState.editingId ? 'background: #eef2ff;' : ''}">
+                        <td style="padding: 0.4rem;">${filing.id}</td>
+                        <td>${escapeHtml(`${filing.data.subject.firstName} ${filing.data.subject.lastName}`.trim() || '—')}</td>
+                        <td>${bsaFilingAmount(filing)}</td>
+                        <td>${bsaStatusBadge(filing.status)}</td>
+                        <td>${filing.status === 'FILED' ? filing.filedAt.slice(0, 10) : getBsaFilingDeadline(filing)}</td>
+                        <td><button onclick="openBsaFiling('${filing.id}')" class="btn" style="padding: 2px 8px;">${filing.status === 'DRAFT' ? 'Edit' : 'View'}</button></td>
+                    </tr>
+                `).join('') || '<tr><td colspan="6" style="padding: 1rem; text-align: center; color: #6b7280;">No SAR or CTR filings yet</td></tr>'}
+            </tbody>
+        </table>
+    `;
+}
+
+// =================================================================
+// UI HANDLERS
+// =================================================================
+
+function setBsaPath(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((obj, key) => obj[key], target);
+    parent[last] = value;
+}
+
+/**
+ * Read the open editor back into a copy of the filing's data
+ * @returns {Object|null} Form data
+ */
+function collectBsaFilingForm() {
+    const filing = getBsaFiling(BsaFilingState.editingId);
+    const container = document.getElementById(BsaFilingState.containerId);
+    if (!filing || !container) return null;
+
+    const data = JSON.parse(JSON.stringify(filing.data));
+    container.querySelectorAll('[data-bsa-field]').forEach(input => {
+        setBsaPath(data, input.dataset.bsaField, input.type === 'checkbox' ? input.checked : input.value.trim());
+    });
+    data.subject.state = data.subject.state.toUpperCase();
+    if (filing.type === 'SAR') {
+        data.activity.categories = [...container.querySelectorAll('[data-bsa-category]')]
+            .filter(input => input.checked)
+            .map(input => input.dataset.bsaCategory);
+    }
+    return data;
+}
+
+function openBsaFiling(id) {
+    BsaFilingState.editingId = id;
+    BsaFilingState.errors = [];
+    renderBsaFilingPanel();
+    document.getElementById(BsaFilingState.containerId)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function closeBsaFiling() {
+    BsaFilingState.editingId = null;
+    BsaFilingState.errors = [];
+    renderBsaFilingPanel();
+}
+
+function saveBsaFilingForm() {
+    const data = collectBsaFilingForm();
+    if (!data) return null;
+    const filing = updateBsaFiling(BsaFilingState.editingId, data);
+    BsaFilingState.errors = [];
+    renderBsaFilingPanel();
+    if (typeof showNotification === 'function') showNotification(`${filing.id} saved`, 'success');
+    return filing;
+}
+
+function submitBsaFilingForm() {
+    const filing = saveBsaFilingForm();
+    if (filing) changeBsaFilingStatus(filing.id, 'IN_REVIEW');
+}
+
+function changeBsaFilingStatus(id, status) {
+    let note = '';
+    if (status === 'DRAFT') {
+        note = prompt('Reason for returning this filing:') || '';
+    }
+    const result = transitionBsaFiling(id, status, { note });
+    BsaFilingState.errors = result.errors || [];
+    renderBsaFilingPanel();
+    if (typeof showNotification === 'function') {
+        showNotification(result.errors
+            ? `${id} needs corrections before ${status === 'APPROVED' ? 'approval' : 'review'}`
+            : `${id} is now ${BSA_FILING_STATUS[status].label}`, result.errors ? 'warning' : 'success');
+    }
+    return result;
+}
+
+function startBlankSar() {
+    const filing = createSarDraft({});
+    openBsaFiling(filing.id);
+}
+
+function runBsaScan() {
+    try {
+        BsaFilingState.scan = scanCashActivity();
+        renderBsaFilingPanel();
+    } catch (error) {
+        console.error('[BSA Filing] Scan failed:', error);
+        if (typeof showNotification === 'function') showNotification(`Scan failed: ${error.message}`, 'error');
+    }
+}
+
+function draftCtrFromScan(index) {
+    const day = BsaFilingState.scan?.ctr[index];
+    if (!day) return;
+    const filing = createCtrDraft(day, BsaFilingState.scan.members[day.memberId]);
+    day.drafted = true;
+    openBsaFiling(filing.id);
+}
+
+function draftSarFromScan(index) {
+    const finding = BsaFilingState.scan?.structuring[index];
+    if (!finding) return;
+    const member = BsaFilingState.scan.members[finding.memberId] || { party_id: finding.memberId };
+    const filing = createSarDraft(member, {
+        transactions: finding.transactions,
+        amount: finding.total,
+        categories: ['structuring'],
+        narrative: structuringNarrative(finding, member.name),
+        sourceKey: `SAR|${finding.memberId}|${finding.from}`
+    });
+    finding.drafted = true;
+    openBsaFiling(filing.id);
+}
+
+function exportBsaBatchFromUI(type) {
+    const result = exportBsaBatch(type);
+    renderBsaFilingPanel();
+    if (typeof showNotification === 'function') {
+        showNotification(result ? `${result.count} ${type}(s) filed in batch ${result.batchId}` : `No approved ${type}s to export`, result ? 'success' : 'info');
+    }
+}
+
+// =================================================================
+// GLOBAL EXPORTS
+// =================================================================
+
+window.CTR_THRESHOLD = CTR_THRESHOLD;
+window.BSA_FILING_STATUS = BSA_FILING_STATUS;
+window.SAR_ACTIVITY_TYPES = SAR_ACTIVITY_TYPES;
+window.BsaFilingState = BsaFilingState;
+
+window.getInstitutionProfile = getInstitutionProfile;
+window.aggregateCashTransactions = aggregateCashTransactions;
+window.detectStructuring = detectStructuring;
+window.scanCashActivity = scanCashActivity;
+window.createSarDraft = createSarDraft;
+window.createCtrDraft = createCtrDraft;
+window.updateBsaFiling = updateBsaFiling;
+window.validateBsaFiling = validateBsaFiling;
+window.transitionBsaFiling = transitionBsaFiling;
+window.buildFincenXml = buildFincenXml;
+window.exportBsaBatch = exportBsaBatch;
+window.buildTextPdf = buildTextPdf;
+window.startSarForMember = startSarForMember;
+
+window.renderBsaFilingPanel = renderBsaFilingPanel;
+window.openBsaFiling = openBsaFiling;
+window.closeBsaFiling = closeBsaFiling;
+window.saveBsaFilingForm = saveBsaFilingForm;
+window.submitBsaFilingForm = submitBsaFilingForm;
+window.changeBsaFilingStatus = changeBsaFilingStatus;
+window.startBlankSar = startBlankSar;
+window.runBsaScan = runBsaScan;
+window.draftCtrFromScan = draftCtrFromScan;
+window.draftSarFromScan = draftSarFromScan;
+window.exportBsaBatchFromUI = exportBsaBatchFromUI;
+window.downloadBsaFilingPdf = downloadBsaFilingPdf;
+window.downloadBsaFilingXml = downloadBsaFilingXml;
+
+// =================================================================
+// INITIALIZATION
+// =================================================================
+
+function initBsaFilingModule() {
+    console.log(`[BSA Filing] ${BsaFilingState.filings.length} filings`);
+    renderBsaFilingPanel();
+}
+
+// Auto-initialize
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initBsaFilingModule);
+} else {
+    initBsaFilingModule();
+}
@@ -6,19 +6,13 @@
  * ZERO-MOCK POLICY: ALL data fetched from /fiserv/api/v1/cases
  * NO hardcoded demo data.
  * 
- * Dependencies: banking_core.js (getCsrfToken)
+ * Dependencies: api-client.js (window.api)
  * Used by: banking.html
  * 
  * @module banking_cases
  * @version 2.0.0
  */
 
-// =================================================================
-// CONFIGURATION
-// =================================================================
-
-const CASE_API_BASE = '/fiserv/api/v1/cases';
-
 // =================================================================
 // STATE MANAGEMENT
 // =================================================================
@@ -48,19 +42,7 @@ async function loadCases() {
     try {
         console.log('[Cases] Loading cases from API...');
 
-        const response = await fetch(CASE_API_BASE, {
-            headers: {
-                'X-CSRF-Token': typeof getCsrfToken === 'function' ? getCsrfToken() : '',
-                'Content-Type': 'application/json'
-            },
-            credentials: 'include'
-        });
-
-        if (!response.ok) {
-            throw new Error(`API returned ${response.status}`);
-        }
-
-        const data = await response.json();
+        const data = await window.api.listCases();
 
         if (data.success && data.cases) {
             CaseState.cases = data.cases.map(formatCaseFromApi);
@@ -96,19 +78,10 @@ async function loadCases() {
  */
 async function loadCaseStats() {
     try {
-        const response = await fetch(`${CASE_API_BASE}/stats`, {
-            headers: {
-                'X-CSRF-Token': typeof getCsrfToken === 'function' ? getCsrfToken() : ''
-            },
-            credentials: 'include'
-        });
-
-        if (response.ok) {
-            const data = await response.json();
-            if (data.success && data.stats) {
-                CaseState.stats = data.stats;
-                updateCaseStats();
-            }
+        const data = await window.api.getCaseStats();
+        if (data.success && data.stats) {
+            CaseState.stats = data.stats;
+            updateCaseStats();
         }
     } catch (error) {
         console.error('[Cases] Error loading stats:', error);
@@ -265,18 +238,7 @@ function renderCases() {
  */
 async function openCaseDetail(caseId) {
     try {
-        const response = await fetch(`${CASE_API_BASE}/${caseId}`, {
-            headers: {
-                'X-CSRF-Token': typeof getCsrfToken === 'function' ? getCsrfToken() : ''
-            },
-            credentials: 'include'
-        });
-
-        if (!response.ok) {
-            throw new Error(`Failed to load case: ${response.status}`);
-        }
-
-        const data = await response.json();
+        const data = await window.api.getCase(caseId);
         if (!data.success || !data.case) {
             throw new Error('Case not found');
         }
@@ -403,31 +365,17 @@ async function createCase() {
     }
 
     try {
-        const response = await fetch(CASE_API_BASE, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': typeof getCsrfToken === 'function' ? getCsrfToken() : ''
-            },
-            credentials: 'include',
-            body: JSON.stringify({
-                case_type: type,
-                subject,
-                description,
-                member_id: memberId || null,
-                account_id: accountId || null,
-                priority,
-                assignee_name: assignee || null,
-                due_date: dueDate ? new Date(dueDate).toISOString() : null
-            })
+        const data = await window.api.createCase({
+            case_type: type,
+            subject,
+            description,
+            member_id: memberId || null,
+            account_id: accountId || null,
+            priority,
+            assignee_name: assignee || null,
+            due_date: dueDate ? new Date(dueDate).toISOString() : null
         });
 
-        if (!response.ok) {
-            throw new Error(`Failed to create case: ${response.status}`);
-        }
-
-        const data = await response.json();
-
         hideCreateCaseModal();
         await loadCases(); // Reload from API
 
@@ -450,21 +398,7 @@ async function createCase() {
  */
 async function updateCaseApi(caseId, updates) {
     try {
-        const response = await fetch(`${CASE_API_BASE}/${caseId}`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': typeof getCsrfToken === 'function' ? getCsrfToken() : ''
-            },
-            credentials: 'include',
-            body: JSON.stringify(updates)
-        });
-
-        if (!response.ok) {
-            throw new Error(`Failed to update case: ${response.status}`);
-        }
-
-        return await response.json();
+        return await window.api.updateCase(caseId, updates);
     } catch (error) {
         console.error('[Cases] Update error:', error);
         throw error;
@@ -477,21 +411,7 @@ async function updateCaseApi(caseId, updates) {
  * @param {string} note - Note text
  */
 async function addNoteApi(caseId, note) {
-    const response = await fetch(`${CASE_API_BASE}/${caseId}/notes`, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'X-CSRF-Token': typeof getCsrfToken === 'function' ? getCsrfToken() : ''
-        },
-        credentials: 'include',
-        body: JSON.stringify({ note, user_name: 'Current User' })
-    });
-
-    if (!response.ok) {
-        throw new Error(`Failed to add note: ${response.status}`);
-    }
-
-    return await response.json();
+    return window.api.addCaseNote(caseId, note);
 }
 
 /**
@@ -0,0 +1,731 @@
+/**
+ * Banking Fraud Backtest Module - Rule Set Impact Analysis
+ * ========================================================
+ * Replays historical transactions (the demo Fiserv population or an
+ * uploaded CSV) through one or two fraud rule sets using calculateFraudScore
+ * and buildAlert, and reports alert volume, precision/recall against
+ * labelled fraud, SLA workload by priority and per-rule hit counts.
+ *
+ * Dependencies: banking_fraud_rules.js, banking_security.js, synthetic_bank.js
+ * Used by: banking.html
+ *
+ * @module banking_fraud_backtest
+ * @version 1.0.0
+ */
+
+// =================================================================
+// STATE MANAGEMENT
+// =================================================================
+
+const BacktestState = {
+    source: 'demo',
+    csvRecords: null,
+    csvName: null,
+    running: false,
+    lastResult: null
+};
+
+const BACKTEST_DEFAULTS = {
+    members: 300,
+    days: 30,
+    // Payee memory: earlier history replayed for context but not scored
+    lookbackDays: 60,
+    // Velocity history kept per transaction
+    historyLimit: 200,
+    // Average analyst minutes to work one alert
+    handleMinutes: 20
+};
+
+const BACKTEST_OUTGOING_TYPES = ['wire', 'p2p', 'transfer', 'ach'];
+
+// =================================================================
+// DATA SOURCES
+// =================================================================
+
+function isFraudLabel(value) {
+    if (value === undefined || value === null) return false;
+    return !['', '0', 'false', 'no', 'none', 'null', 'legit', 'legitimate'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Build the static part of a synthetic member's scoring profile.
+ * averageTransaction is filled in per transaction by prepareBacktestReplay
+ * from prior history only, so the replay never sees future amounts.
+ * @param {Object} member - Population member
+ * @param {string} asOf - Population as-of date
+ * @returns {Object} Member profile for calculateFraudScore
+ */
+function profileForMember(member, asOf) {
+    const since = new Date(member.member_since);
+    const end = new Date(asOf);
+    return {
+        memberId: member.party_id,
+        segment: member.segment,
+        homeState: member.address?.state,
+        tenureMonths: Math.max(0, (end.getFullYear() - since.getFullYear()) * 12 + end.getMonth() - since.getMonth())
+    };
+}
+
+/**
+ * Load labelled transactions from the demo Fiserv population
+ * (the first N members plus every member with injected fraud)
+ * @param {Object} options - { members, days }
+ * @returns {Array} Backtest records
+ */
+function loadDemoBacktestRecords(options = {}) {
+    const population = typeof SyntheticBank !== 'undefined' ? SyntheticBank.population : null;
+    if (!population) throw new Error('Synthetic population is not loaded');
+
+    const memberCount = Math.min(options.members || BACKTEST_DEFAULTS.members, population.size);
+    const days = options.days || BACKTEST_DEFAULTS.days;
+    const members = new Map();
+    for (let i = 0; i < memberCount; i++) {
+        const member = population.member(i);
+        members.set(member.party_id, member);
+    }
+    population.fraudMembers().forEach(member => members.set(member.party_id, member));
+
+    const scoreFrom = new Date(population.asOf).getTime() - days * 86400000;
+    const records = [];
+    members.forEach(member => {
+        const transactions = population.transactions(member.party_id, { days: days + BACKTEST_DEFAULTS.lookbackDays });
+        const profile = profileForMember(member, population.asOf);
+        transactions.forEach(tx => {
+            records.push({
+                transaction: {
+                    id: tx.transaction_id,
+                    memberId: member.party_id,
+                    amount: tx.amount,
+                    timestamp: tx.posted_at,
+                    type: tx.type,
+                    direction: tx.dr_cr,
+                    channel: tx.channel,
+                    description: tx.description,
+                    payee: tx.counterparty_id || tx.merchant || tx.description
+                },
+                profile,
+                label: tx.fraud_label || null,
+                scored: new Date(tx.posted_at).getTime() >= scoreFrom
+            });
+        });
+    });
+    return records;
+}
+
+/**
+ * Split a CSV line, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Fields
+ */
+function splitBacktestCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                current += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            fields.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    fields.push(current);
+    return fields.map(f => f.trim());
+}
+
+/**
+ * Parse a CSV amount such as "$1,250.00", "-42" or "(42.00)"
+ * @param {string} value - Raw field
+ * @returns {number} Amount, or NaN if the field is not a number
+ */
+function parseBacktestAmount(value) {
+    let text = String(value ?? '').replace(/[$,\s]/g, '');
+    let sign = 1;
+    const parenthesised = text.match(/^\((.*)\)$/);
+    if (parenthesised) {
+        text = parenthesised[1];
+        sign = -1;
+    }
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(text)) return NaN;
+    return sign * Number(text);
+}
+
+/**
+ * Parse an uploaded transaction CSV into backtest records.
+ * Recognised columns: transaction_id/id, member_id, posted_at/timestamp/date,
+ * amount, type, dr_cr, description, payee/counterparty, state, country,
+ * is_new_payee, distance_from_home, segment, fraud_label/is_fraud
+ * Rows with an unreadable amount or date are left out and reported in skipped.
+ * @param {string} text - CSV contents with a header row
+ * @returns {{records: Array, skipped: Array<{line: number, reason: string}>}} Backtest records and rejected rows
+ */
+function parseBacktestCsv(text) {
+    const lines = String(text).split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) throw new Error('CSV needs a header row and at least one transaction');
+
+    const header = splitBacktestCsvLine(lines[0]).map(h => h.toLowerCase().replace(/\s+/g, '_'));
+    const column = (...names) => names.map(n => header.indexOf(n)).find(i => i >= 0);
+    const columns = {
+        id: column('transaction_id', 'id', 'tx_id'),
+        member: column('member_id', 'party_id', 'account_id'),
+        time: column('posted_at', 'timestamp', 'date', 'transaction_date'),
+        amount: column('amount', 'transaction_amount'),
+        type: column('type', 'transaction_type'),
+        direction: column('dr_cr', 'direction'),
+        description: column('description', 'memo'),
+        payee: column('payee', 'counterparty', 'counterparty_id', 'merchant'),
+        state: column('state'),
+        country: column('country'),
+        newPayee: column('is_new_payee', 'new_payee'),
+        distance: column('distance_from_home', 'distance'),
+        segment: column('segment'),
+        label: column('fraud_label', 'is_fraud', 'fraud', 'label')
+    };
+    if (columns.amount === undefined || columns.time === undefined) {
+        throw new Error('CSV needs amount and posted_at (or timestamp/date) columns');
+    }
+
+    const value = (row, key) => (columns[key] === undefined ? undefined : row[columns[key]]);
+    const byMember = new Map();
+    const skipped = [];
+    lines.slice(1).forEach((line, i) => {
+        const row = splitBacktestCsvLine(line);
+        const amount = parseBacktestAmount(value(row, 'amount'));
+        const time = new Date(value(row, 'time') || NaN).getTime();
+        if (!Number.isFinite(amount)) {
+            skipped.push({ line: i + 2, reason: `invalid amount "${value(row, 'amount') ?? ''}"` });
+            return;
+        }
+        if (!Number.isFinite(time)) {
+            skipped.push({ line: i + 2, reason: `invalid date "${value(row, 'time') ?? ''}"` });
+            return;
+        }
+        const memberId = value(row, 'member') || 'UNKNOWN';
+        if (!byMember.has(memberId)) byMember.set(memberId, []);
+        byMember.get(memberId).push({ row, amount, timestamp: new Date(time).toISOString() });
+    });
+    if (!byMember.size) {
+        throw new Error(`No usable transactions in CSV (${skipped.length} rows with an invalid amount or date)`);
+    }
+
+    const records = [];
+    byMember.forEach((memberRows, memberId) => {
+        const profile = {
+            memberId,
+            segment: value(memberRows[0].row, 'segment') || undefined
+        };
+        memberRows.forEach(({ row, amount, timestamp }) => {
+            const newPayee = value(row, 'newPayee');
+            records.push({
+                transaction: {
+                    id: value(row, 'id') || `CSV-${records.length + 1}`,
+                    memberId,
+                    amount,
+                    timestamp,
+                    type: value(row, 'type'),
+                    direction: value(row, 'direction'),
+                    description: value(row, 'description'),
+                    payee: value(row, 'payee') || value(row, 'description'),
+                    location: { state: value(row, 'state') || undefined, country: value(row, 'country') || undefined },
+                    distanceFromHome: parseFloat(value(row, 'distance')) || 0,
+                    ...(newPayee !== undefined ? { isNewPayee: isFraudLabel(newPayee) } : {})
+                },
+                profile,
+                label: isFraudLabel(value(row, 'label')) ? (value(row, 'label') || 'fraud') : null,
+                scored: true
+            });
+        });
+    });
+    return { records, skipped };
+}
+
+// =================================================================
+// REPLAY
+// =================================================================
+
+function backtestTime(record) {
+    return new Date(record.transaction.timestamp).getTime();
+}
+
+/**
+ * Order records per member and attach velocity history, new-payee flags and
+ * an average transaction amount built from strictly earlier transactions
+ * @param {Array} records - Backtest records
+ * @returns {Array} Replay entries in chronological order
+ */
+function prepareBacktestReplay(records) {
+    const byMember = new Map();
+    records.forEach(record => {
+        const memberId = record.transaction.memberId;
+        if (!byMember.has(memberId)) byMember.set(memberId, []);
+        byMember.get(memberId).push(record);
+    });
+
+    const replay = [];
+    byMember.forEach(memberRecords => {
+        memberRecords.sort((a, b) => backtestTime(a) - backtestTime(b));
+        const seenPayees = new Set();
+        let priorTotal = 0;
+        let priorCount = 0;
+        // Velocity rules only need times; numeric timestamps skip re-parsing per evaluation
+        const times = memberRecords.map(r => ({ timestamp: backtestTime(r) }));
+        memberRecords.forEach((record, i) => {
+            const tx = record.transaction;
+            const outgoing = tx.direction !== 'CR' && BACKTEST_OUTGOING_TYPES.includes(String(tx.type || '').toLowerCase());
+            const transaction = 'isNewPayee' in tx || !outgoing
+                ? tx
+                : { ...tx, isNewPayee: Boolean(tx.payee) && !seenPayees.has(tx.payee) };
+            if (outgoing && tx.payee) seenPayees.add(tx.payee);
+            const averageTransaction = priorCount ? priorTotal / priorCount : undefined;
+            priorTotal += Math.abs(tx.amount);
+            priorCount++;
+            if (!record.scored) return;
+            replay.push({
+                transaction,
+                profile: { ...record.profile, averageTransaction },
+                label: record.label,
+                history: times.slice(Math.max(0, i + 1 - BACKTEST_DEFAULTS.historyLimit), i + 1)
+            });
+        });
+    });
+    return replay.sort((a, b) => backtestTime(a) - backtestTime(b));
+}
+
+/**
+ * Peak number of alerts open at once if each is worked within its SLA
+ * @param {Array} alerts - Alerts with timestamp and priority
+ * @returns {number} Peak concurrent alerts
+ */
+function peakSlaBacklog(alerts) {
+    const events = alerts.flatMap(alert => {
+        const start = new Date(alert.timestamp).getTime();
+        return [[start, 1], [start + alert.priority.slaMinutes * 60000, -1]];
+    }).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    let open = 0;
+    let peak = 0;
+    events.forEach(([, delta]) => {
+        open += delta;
+        peak = Math.max(peak, open);
+    });
+    return peak;
+}
+
+/**
+ * Replay transactions through a rule set
+ * @param {Array} replay - Entries from prepareBacktestReplay
+ * @param {Object} ruleSet - Fraud rule set
+ * @param {Object} options - { handleMinutes }
+ * @returns {Object} Backtest metrics
+ */
+function runFraudBacktest(replay, ruleSet, options = {}) {
+    const handleMinutes = options.handleMinutes || BACKTEST_DEFAULTS.handleMinutes;
+    const alerts = [];
+    const ruleHits = {};
+    const alertedIds = new Set();
+    const fraudMembers = new Set();
+    const caughtMembers = new Set();
+    let fraudCount = 0;
+    let truePositives = 0;
+
+    ruleSet.rules.forEach(rule => {
+        ruleHits[rule.id] = { ruleId: rule.id, name: rule.name, enabled: rule.enabled, hits: 0, fraudHits: 0 };
+    });
+
+    replay.forEach(({ transaction, profile, label, history }) => {
+        const fraudScore = calculateFraudScore(transaction, profile, { ruleSet, history });
+        const isFraud = Boolean(label);
+        if (isFraud) {
+            fraudCount++;
+            fraudMembers.add(transaction.memberId);
+        }
+
+        fraudScore.factors.forEach(f => {
+            const hit = ruleHits[f.ruleId];
+            if (!hit) return;
+            hit.hits++;
+            if (isFraud) hit.fraudHits++;
+        });
+
+        if (fraudScore.action === 'ALLOW' && !fraudScore.raiseAlert) return;
+        const alert = {
+            ...buildAlert(transaction, fraudScore, priorityForRiskLevel(fraudScore.riskLevel)),
+            id: `BT-${alerts.length + 1}`,
+            timestamp: new Date(transaction.timestamp).toISOString(),
+            label
+        };
+        alerts.push(alert);
+        alertedIds.add(transaction.id);
+        if (isFraud) {
+            truePositives++;
+            caughtMembers.add(transaction.memberId);
+        }
+    });
+
+    let firstTime = Infinity;
+    let lastTime = -Infinity;
+    replay.forEach(entry => {
+        const time = backtestTime(entry);
+        if (time < firstTime) firstTime = time;
+        if (time > lastTime) lastTime = time;
+    });
+    const spanDays = replay.length ? Math.max(1, (lastTime - firstTime) / 86400000) : 1;
+    const workload = Object.entries(ALERT_PRIORITIES).map(([key, priority]) => {
+        const inPriority = alerts.filter(a => a.priority === priority);
+        return {
+            priority: key,
+            label: priority.label,
+            color: priority.color,
+            slaMinutes: priority.slaMinutes,
+            alerts: inPriority.length,
+            perDay: inPriority.length / spanDays,
+            peakBacklog: peakSlaBacklog(inPriority),
+            analystHoursPerDay: (inPriority.length / spanDays) * handleMinutes / 60
+        };
+    });
+
+    return {
+        ruleSetVersion: ruleSet.version ?? null,
+        ruleSetNote: ruleSet.note || '',
+        transactions: replay.length,
+        spanDays,
+        alerts: alerts.length,
+        alertsPerDay: alerts.length / spanDays,
+        alertRate: replay.length ? alerts.length / replay.length : 0,
+        fraudTransactions: fraudCount,
+        truePositives,
+        falsePositives: alerts.length - truePositives,
+        precision: alerts.length ? truePositives / alerts.length : 0,
+        recall: fraudCount ? truePositives / fraudCount : 0,
+        memberRecall: fraudMembers.size ? caughtMembers.size / fraudMembers.size : 0,
+        workload,
+        ruleHits: Object.values(ruleHits),
+        alertedIds,
+        sampleAlerts: alerts.slice(-10).reverse()
+    };
+}
+
+/**
+ * Compare two backtest results
+ * @param {Object} a - Baseline result
+ * @param {Object} b - Candidate result
+ * @returns {Object} Overlap counts
+ */
+function compareFraudBacktests(a, b) {
+    const onlyA = [...a.alertedIds].filter(id => !b.alertedIds.has(id)).length;
+    const onlyB = [...b.alertedIds].filter(id => !a.alertedIds.has(id)).length;
+    return { both: a.alertedIds.size - onlyA, onlyA, onlyB };
+}
+
+// =================================================================
+// UI
+// =================================================================
+
+function backtestEscape(value) {
+    return typeof escapeHtml === 'function' ? escapeHtml(String(value ?? '')) : String(value ?? '');
+}
+
+function backtestRuleSetOptions(selected, allowNone) {
+    const versions = listFraudRuleVersions();
+    const draft = FraudRuleState.dirty ? '<option value="draft"' + (selected === 'draft' ? ' selected' : '') + '>Unsaved draft</option>' : '';
+    return (allowNone ? `<option value="">— none —</option>` : '') + draft + versions.map(v => `
+        <option value="${v.version}" ${String(v.version) === String(selected) ? 'selected' : ''}>
+            v${v.version}${v.active ? ' (active)' : ''} · ${backtestEscape(v.note)}
+        </option>
+    `).join('');
+}
+
+/**
+ * Refresh the rule set pickers after versions or the draft change
+ */
+function refreshBacktestRuleSetOptions() {
+    ['backtestRuleSetA', 'backtestRuleSetB'].forEach((id, i) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        const current = select.value;
+        select.innerHTML = backtestRuleSetOptions(current, i === 1);
+        if (![...select.options].some(o => o.value === current)) select.selectedIndex = 0;
+    });
+}
+
+function resolveBacktestRuleSet(value) {
+    if (!value) return null;
+    if (value === 'draft') return { ...FraudRuleState.draft, version: 'draft', note: 'Unsaved draft' };
+    return loadFraudRuleStore().versions.find(v => String(v.version) === String(value)) || null;
+}
+
+/**
+ * Render the backtest controls and last result
+ * @param {string} containerId - Target container ID
+ */
+function renderFraudBacktest(containerId = 'fraudBacktestPanel') {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const active = getActiveFraudRuleSet().version;
+    const previous = listFraudRuleVersions().find(v => !v.active);
+    container.innerHTML = `
+        <div data-testid="fraud-backtest">
+            <div style="display: flex; flex-wrap: wrap; gap: 0.75rem; align-items: flex-end; margin-bottom: 1rem;">
+                <label style="font-size: 0.8rem; color: #4b5563;">Source<br>
+                    <select id="backtestSource" onchange="setBacktestSource(this.value)"
+                            style="padding: 4px 8px; border: 1px solid #d1d5db; border-radius: 6px;">
+                        <option value="demo" ${BacktestState.source === 'demo' ? 'selected' : ''}>Demo Fiserv transactions</option>
+                        <option value="csv" ${BacktestState.source === 'csv' ? 'selected' : ''}>Uploaded CSV</option>
+                    </select>
+                </label>
+                ${BacktestState.source === 'demo' ? `
+                    <label style="font-size: 0.8rem; color: #4b5563;">Members<br>
+                        <input id="backtestMembers" type="number" min="10" value="${BACKTEST_DEFAULTS.members}"
+                               style="width: 6rem; padding: 4px 8px; border: 1px solid #d1d5db; border-radius: 6px;">
+                    </label>
+                    <label style="font-size: 0.8rem; color: #4b5563;">Days<br>
+                        <input id="backtestDays" type="number" min="1" max="300" value="${BACKTEST_DEFAULTS.days}"
+                               style="width: 5rem; padding: 4px 8px; border: 1px solid #d1d5db; border-radius: 6px;">
+                    </label>
+                ` : `
+                    <label style="font-size: 0.8rem; color: #4b5563;">CSV file${BacktestState.csvName ? ` (${backtestEscape(BacktestState.csvName)}, ${BacktestState.csvRecords.length} rows)` : ''}<br>
+                        <input id="backtestCsv" type="file" accept=".csv,text/csv" onchange="loadBacktestCsvFile(this.files[0])">
+                    </label>
+                `}
+                <label style="font-size: 0.8rem; color: #4b5563;">Rule set A<br>
+                    <select id="backtestRuleSetA" style="padding: 4px 8px; border: 1px solid #d1d5db; border-radius: 6px;">
+                        ${backtestRuleSetOptions(active, false)}
+                    </select>
+                </label>
+                <label style="font-size: 0.8rem; color: #4b5563;">Compare with B<br>
+                    <select id="backtestRuleSetB" style="padding: 4px 8px; border: 1px solid #d1d5db; border-radius: 6px;">
+                        ${backtestRuleSetOptions(FraudRuleState.dirty ? 'draft' : previous?.version, true)}
+                    </select>
+                </label>
+                <button class="btn btn-primary btn-sm" onclick="runBacktestFromUI()" ${BacktestState.running ? 'disabled' : ''}>
+                    ${BacktestState.running ? 'Running…' : '▶ Run Backtest'}
+                </button>
+            </div>
+            <div id="backtestResults">${BacktestState.lastResult ? renderBacktestResults(BacktestState.lastResult) : `
+                <div style="color: #6b7280; font-size: 0.9rem;">
+                    Replay historical transactions through a rule set to see alert volume, precision/recall and queue workload before changing thresholds.
+                </div>`}
+            </div>
+        </div>
+    `;
+}
+
+function formatBacktestPercent(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+function renderBacktestDelta(a, b, format, higherIsBetter) {
+    if (b === undefined) return '';
+    const delta = b - a;
+    if (Math.abs(delta) < 1e-9) return '<td style="padding: 0.4rem; color: #9ca3af;">—</td>';
+    const good = higherIsBetter === null ? null : (delta > 0) === higherIsBetter;
+    const color = good === null ? '#4b5563' : good ? '#16a34a' : '#dc2626';
+    return `<td style="padding: 0.4rem; color: ${color}; font-weight: 600;">${delta > 0 ? '+' : '−'}${format(Math.abs(delta))}</td>`;
+}
+
+/**
+ * Render metrics for one or two backtest runs
+ * @param {Object} run - { a, b, comparison, source }
+ * @returns {string} HTML
+ */
+function renderBacktestResults(run) {
+    const { a, b, comparison } = run;
+    const label = r => (r.ruleSetVersion === 'draft' ? 'Draft' : `v${r.ruleSetVersion}`);
+    const count = n => Math.round(n).toLocaleString();
+    const rate = n => n.toFixed(1);
+    const metrics = [
+        ['Alerts', r => r.alerts, count, null],
+        ['Alerts / day', r => r.alertsPerDay, rate, null],
+        ['Alert rate', r => r.alertRate, formatBacktestPercent, null],
+        ['True positives', r => r.truePositives, count, true],
+        ['False positives', r => r.falsePositives, count, false],
+        ['Precision', r => r.precision, formatBacktestPercent, true],
+        ['Recall (transactions)', r => r.recall, formatBacktestPercent, true],
+        ['Recall (members)', r => r.memberRecall, formatBacktestPercent, true]
+    ];
+    const cell = 'padding: 0.4rem;';
+    const head = `text-align: left; ${cell} color: #6b7280; font-size: 0.75rem; text-transform: uppercase;`;
+
+    const summaryRows = metrics.map(([name, get, format, higherIsBetter]) => `
+        <tr style="border-top: 1px solid #e5e7eb;">
+            <td style="${cell}">${name}</td>
+            <td style="${cell} font-weight: 600;">${format(get(a))}</td>
+            ${b ? `<td style="${cell} font-weight: 600;">${format(get(b))}</td>${renderBacktestDelta(get(a), get(b), format, higherIsBetter)}` : ''}
+        </tr>
+    `).join('');
+
+    const workloadRows = a.workload.map((w, i) => {
+        const wb = b?.workload[i];
+        return `
+            <tr style="border-top: 1px solid #e5e7eb;">
+                <td style="${cell}"><span style="color: ${w.color}; font-weight: 600;">${w.label}</span>
+                    <span style="color: #9ca3af; font-size: 0.75rem;">SLA ${w.slaMinutes >= 60 ? `${w.slaMinutes / 60}h` : `${w.slaMinutes}m`}</span></td>
+                <td style="${cell}">${count(w.alerts)}${wb ? ` → ${count(wb.alerts)}` : ''}</td>
+                <td style="${cell}">${rate(w.perDay)}${wb ? ` → ${rate(wb.perDay)}` : ''}</td>
+                <td style="${cell}">${w.peakBacklog}${wb ? ` → ${wb.peakBacklog}` : ''}</td>
+                <td style="${cell}">${rate(w.analystHoursPerDay)}${wb ? ` → ${rate(wb.analystHoursPerDay)}` : ''}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const ruleIds = [...new Set([...a.ruleHits.map(r => r.ruleId), ...(b ? b.ruleHits.map(r => r.ruleId) : [])])];
+    const ruleRows = ruleIds.map(id => {
+        const ra = a.ruleHits.find(r => r.ruleId === id);
+        const rb = b?.ruleHits.find(r => r.ruleId === id);
+        const hits = r => (!r ? '<span style="color: #9ca3af;">n/a</span>'
+            : !r.enabled ? '<span style="color: #9ca3af;">off</span>'
+            : `${count(r.hits)} <span style="color: #6b7280; font-size: 0.75rem;">(${count(r.fraudHits)} fraud)</span>`);
+        return `
+            <tr style="border-top: 1px solid #e5e7eb;">
+                <td style="${cell}">${backtestEscape((ra || rb).name)}</td>
+                <td style="${cell}">${hits(ra)}</td>
+                ${b ? `<td style="${cell}">${hits(rb)}</td>` : ''}
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <div style="font-size: 0.8rem; color: #6b7280; margin-bottom: 0.75rem;">
+            ${count(a.transactions)} transactions over ${rate(a.spanDays)} days · ${count(a.fraudTransactions)} labelled fraud · ${backtestEscape(run.source)}
+            ${comparison ? ` · alerts in both: ${count(comparison.both)}, only ${label(a)}: ${count(comparison.onlyA)}, only ${label(b)}: ${count(comparison.onlyB)}` : ''}
+        </div>
+        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 1.5rem;">
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                <thead><tr><th style="${head}">Metric</th><th style="${head}">${label(a)}</th>${b ? `<th style="${head}">${label(b)}</th><th style="${head}">Δ</th>` : ''}</tr></thead>
+                <tbody>${summaryRows}</tbody>
+            </table>
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                <thead><tr><th style="${head}">Priority</th><th style="${head}">Alerts</th><th style="${head}">Per day</th>
+                    <th style="${head}" title="Most alerts open at once if each is worked within its SLA">Peak in SLA</th>
+                    <th style="${head}" title="At ${BACKTEST_DEFAULTS.handleMinutes} minutes per alert">Analyst h/day</th></tr></thead>
+                <tbody>${workloadRows}</tbody>
+            </table>
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                <thead><tr><th style="${head}">Rule</th><th style="${head}">${label(a)} hits</th>${b ? `<th style="${head}">${label(b)} hits</th>` : ''}</tr></thead>
+                <tbody>${ruleRows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Switch between demo and CSV sources
+ * @param {string} source - demo or csv
+ */
+function setBacktestSource(source) {
+    BacktestState.source = source;
+    renderFraudBacktest();
+}
+
+/**
+ * Read an uploaded CSV for backtesting
+ * @param {File} file - CSV file
+ */
+function loadBacktestCsvFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const { records, skipped } = parseBacktestCsv(reader.result);
+            BacktestState.csvRecords = records;
+            BacktestState.csvName = file.name;
+            renderFraudBacktest();
+            if (skipped.length) {
+                const lines = skipped.slice(0, 5).map(s => `line ${s.line}: ${s.reason}`).join('; ');
+                const message = `Skipped ${skipped.length} CSV row${skipped.length === 1 ? '' : 's'} (${lines}${skipped.length > 5 ? '; …' : ''})`;
+                if (typeof showNotification === 'function') showNotification(message, 'warning');
+                else console.warn('[Fraud Backtest]', message);
+            }
+        } catch (error) {
+            BacktestState.csvRecords = null;
+            BacktestState.csvName = null;
+            if (typeof showNotification === 'function') showNotification(error.message, 'error');
+            else alert(error.message);
+        }
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Run the backtest with the current form values
+ */
+async function runBacktestFromUI() {
+    const ruleSetA = resolveBacktestRuleSet(document.getElementById('backtestRuleSetA')?.value);
+    const ruleSetB = resolveBacktestRuleSet(document.getElementById('backtestRuleSetB')?.value);
+    const members = parseInt(document.getElementById('backtestMembers')?.value, 10) || BACKTEST_DEFAULTS.members;
+    const days = parseInt(document.getElementById('backtestDays')?.value, 10) || BACKTEST_DEFAULTS.days;
+
+    if (!ruleSetA) return;
+    if (BacktestState.source === 'csv' && !BacktestState.csvRecords) {
+        if (typeof showNotification === 'function') showNotification('Upload a CSV first', 'warning');
+        return;
+    }
+
+    BacktestState.running = true;
+    renderFraudBacktest();
+    // Let the Running… state paint before the replay blocks the thread
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    try {
+        const records = BacktestState.source === 'csv' ? BacktestState.csvRecords : loadDemoBacktestRecords({ members, days });
+        const replay = prepareBacktestReplay(records);
+        const a = runFraudBacktest(replay, ruleSetA);
+        const b = ruleSetB ? runFraudBacktest(replay, ruleSetB) : null;
+        BacktestState.lastResult = {
+            a,
+            b,
+            comparison: b ? compareFraudBacktests(a, b) : null,
+            source: BacktestState.source === 'csv' ? BacktestState.csvName : `demo population, ${members} members + fraud cases, ${days} days`
+        };
+    } catch (error) {
+        console.error('[Fraud Backtest] Failed:', error);
+        if (typeof showNotification === 'function') showNotification(`Backtest failed: ${error.message}`, 'error');
+    } finally {
+        BacktestState.running = false;
+        renderFraudBacktest();
+    }
+}
+
+// =================================================================
+// INITIALIZATION
+// =================================================================
+
+function initFraudBacktestModule() {
+    renderFraudBacktest();
+}
+
+// =================================================================
+// GLOBAL EXPORTS
+// =================================================================
+
+window.BacktestState = BacktestState;
+window.loadDemoBacktestRecords = loadDemoBacktestRecords;
+window.parseBacktestCsv = parseBacktestCsv;
+window.prepareBacktestReplay = prepareBacktestReplay;
+window.runFraudBacktest = runFraudBacktest;
+window.compareFraudBacktests = compareFraudBacktests;
+window.renderFraudBacktest = renderFraudBacktest;
+window.refreshBacktestRuleSetOptions = refreshBacktestRuleSetOptions;
+window.setBacktestSource = setBacktestSource;
+window.loadBacktestCsvFile = loadBacktestCsvFile;
+window.runBacktestFromUI = runBacktestFromUI;
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initFraudBacktestModule);
+} else {
+    initFraudBacktestModule();
+}
@@ -0,0 +1,1117 @@
+/**
+ * Banking Fraud Rules Module - Configurable Rules Engine
+ * ======================================================
+ * JSON rule definitions with conditions, weights, severities and actions;
+ * versioned rule sets with per-segment toggles; the evaluator used by
+ * banking_security.js; and the rule editor on the Fraud Workstation.
+ *
+ * The default pack reproduces the original hardcoded checks, so scoring is
+ * unchanged until the fraud team edits and saves a new version.
+ *
+ * Dependencies: none (uses escapeHtml / showNotification when present)
+ * Used by: banking.html, banking_security.js
+ *
+ * @module banking_fraud_rules
+ * @version 1.0.0
+ */
+
+// =================================================================
+// RULE FORMAT
+// =================================================================
+//
+// {
+//   id: 'high_value',              unique and stable across versions
+//   name: 'High Value Transaction',
+//   category: 'anomaly',           anomaly | velocity | geographic | member
+//   anomaly: 'HIGH_VALUE',         ANOMALY_TYPES code for label/icon (optional)
+//   enabled: true,
+//   severity: 'high',              high | medium | low | good
+//   weight: 30,                    score points, or a value expression
+//   params: { threshold: 10000 },  tunables, referenced as { param: 'threshold' }
+//   let: { limit: <value> },       named values, referenced as { var: 'limit' }
+//   window: { minutes: <value> },  history rules: sets window.count
+//   when: <condition>,
+//   escalate: [{ when: <condition>, severity: 'high' }],
+//   actions: ['alert'],            alert | review | block
+//   segments: { exclude: ['small_business'] },  or { include: [...] }
+//   message: '${{tx.amount|money}} exceeds ${{vars.limit|money}}'
+// }
+//
+// Conditions: { all: [...] } | { any: [...] } | { not: <condition> } |
+//             { fact: 'tx.amount', op: 'gt', value: <value> }
+// Values:     literals | { fact } | { param } | { var } |
+//             { max | min | add | mul | div: [<value>, ...] } | { neg: <value> }
+// Facts:      tx.amount, tx.hour, tx.time, tx.type, tx.channel, tx.description,
+//             tx.isNewPayee, tx.payee, tx.state, tx.country, tx.distanceFromHome,
+//             profile.averageTransaction, profile.homeState, profile.knownStates,
+//             profile.tenureMonths, profile.segment, window.count, window.minutes
+
+const FRAUD_RULE_CATEGORIES = ['anomaly', 'velocity', 'geographic', 'member'];
+const FRAUD_RULE_SEVERITIES = ['high', 'medium', 'low', 'good'];
+const FRAUD_RULE_ACTIONS = ['alert', 'review', 'block'];
+const FRAUD_RULE_SEGMENTS = {
+    student: 'Student',
+    young_professional: 'Young Professional',
+    family: 'Family',
+    retiree: 'Retiree',
+    small_business: 'Small Business'
+};
+
+const FRAUD_RULE_OPERATORS = {
+    eq: (a, b) => a === b,
+    ne: (a, b) => a !== b,
+    gt: (a, b) => Number(a) > Number(b),
+    gte: (a, b) => Number(a) >= Number(b),
+    lt: (a, b) => Number(a) < Number(b),
+    lte: (a, b) => Number(a) <= Number(b),
+    in: (a, b) => Array.isArray(b) && b.includes(a),
+    notIn: (a, b) => Array.isArray(b) && !b.includes(a),
+    contains: (a, b) => String(a ?? '').toLowerCase().includes(String(b ?? '').toLowerCase()),
+    multipleOf: (a, b) => Number(b) > 0 && Number(a) % Number(b) === 0,
+    exists: a => a !== undefined && a !== null && a !== ''
+};
+
+const FRAUD_RULE_STORAGE_KEY = 'scuFraudRuleSets';
+
+// =================================================================
+// DEFAULT RULE PACK
+// =================================================================
+
+/**
+ * Default rule pack: the checks that used to be hardcoded in
+ * detectAnomalies, checkVelocity, assessGeographicRisk and calculateFraudScore.
+ */
+const DEFAULT_FRAUD_RULE_SET = {
+    defaults: {
+        averageTransaction: 500,
+        homeState: 'NH',
+        tenureMonths: 0
+    },
+    scoring: {
+        // Geographic rules carry their raw risk impact (capped at 100); half of it counts toward the fraud score
+        categoryWeights: { geographic: 0.5 },
+        categoryCaps: { geographic: 100 },
+        bands: [
+            { min: 70, riskLevel: 'critical', action: 'BLOCK' },
+            { min: 50, riskLevel: 'high', action: 'BLOCK' },
+            { min: 30, riskLevel: 'medium', action: 'REVIEW' }
+        ],
+        fallback: { riskLevel: 'low', action: 'ALLOW' }
+    },
+    rules: [
+        {
+            id: 'high_value',
+            name: 'High Value Transaction',
+            category: 'anomaly',
+            anomaly: 'HIGH_VALUE',
+            enabled: true,
+            severity: 'high',
+            weight: 30,
+            params: { threshold: 10000, averageMultiplier: 5 },
+            let: { threshold: { max: [{ param: 'threshold' }, { mul: [{ fact: 'profile.averageTransaction' }, { param: 'averageMultiplier' }] }] } },
+            when: { fact: 'tx.amount', op: 'gt', value: { var: 'threshold' } },
+            actions: ['alert'],
+            message: '${{tx.amount|money}} exceeds threshold of ${{vars.threshold|money}}'
+        },
+        {
+            id: 'off_hours',
+            name: 'Off-Hours Activity',
+            category: 'anomaly',
+            anomaly: 'OFF_HOURS',
+            enabled: true,
+            severity: 'low',
+            weight: 5,
+            params: { startHour: 6, endHour: 23 },
+            when: { any: [
+                { fact: 'tx.hour', op: 'lt', value: { param: 'startHour' } },
+                { fact: 'tx.hour', op: 'gte', value: { param: 'endHour' } }
+            ] },
+            message: 'Transaction at {{tx.time}}'
+        },
+        {
+            id: 'round_amount',
+            name: 'Suspicious Round Amount',
+            category: 'anomaly',
+            anomaly: 'ROUND_AMOUNT',
+            enabled: true,
+            severity: 'low',
+            weight: 5,
+            params: { minimum: 1000, multiple: 1000 },
+            when: { all: [
+                { fact: 'tx.amount', op: 'gte', value: { param: 'minimum' } },
+                { fact: 'tx.amount', op: 'multipleOf', value: { param: 'multiple' } }
+            ] },
+            message: '${{tx.amount|money}} is a round number'
+        },
+        {
+            id: 'new_payee',
+            name: 'New Payee Large Transfer',
+            category: 'anomaly',
+            anomaly: 'NEW_PAYEE',
+            enabled: true,
+            severity: 'medium',
+            weight: 15,
+            params: { minimum: 2000 },
+            when: { all: [
+                { fact: 'tx.isNewPayee', op: 'eq', value: true },
+                { fact: 'tx.amount', op: 'gt', value: { param: 'minimum' } }
+            ] },
+            message: '${{tx.amount|money}} to first-time recipient'
+        },
+        {
+            id: 'velocity_spike',
+            name: 'Unusual Transaction Frequency',
+            category: 'velocity',
+            anomaly: 'VELOCITY_SPIKE',
+            enabled: true,
+            severity: 'medium',
+            weight: 15,
+            params: { windowMinutes: 60, maxCount: 5, burstMultiplier: 2 },
+            window: { minutes: { param: 'windowMinutes' } },
+            when: { fact: 'window.count', op: 'gt', value: { param: 'maxCount' } },
+            escalate: [{
+                when: { fact: 'window.count', op: 'gt', value: { mul: [{ param: 'maxCount' }, { param: 'burstMultiplier' }] } },
+                severity: 'high'
+            }],
+            message: '{{window.count}} transactions in {{params.windowMinutes}} minutes exceeds limit of {{params.maxCount}}'
+        },
+        {
+            id: 'geo_high_risk_region',
+            name: 'High-Risk Region',
+            category: 'geographic',
+            anomaly: 'GEOGRAPHIC_RISK',
+            enabled: true,
+            severity: 'high',
+            weight: 80,
+            params: { regions: ['UNKNOWN', 'XX', 'OFFSHORE'] },
+            when: { fact: 'tx.country', op: 'in', value: { param: 'regions' } },
+            message: 'High-risk region detected'
+        },
+        {
+            id: 'geo_unknown_state',
+            name: 'Unfamiliar State',
+            category: 'geographic',
+            anomaly: 'GEOGRAPHIC_RISK',
+            enabled: true,
+            severity: 'medium',
+            weight: 40,
+            when: { all: [
+                { fact: 'tx.state', op: 'exists' },
+                { fact: 'tx.state', op: 'notIn', value: { fact: 'profile.knownStates' } }
+            ] },
+            message: 'Transaction from {{tx.state}}, member home: {{profile.homeState}}'
+        },
+        {
+            id: 'geo_distance',
+            name: 'Far From Home',
+            category: 'geographic',
+            anomaly: 'GEOGRAPHIC_RISK',
+            enabled: true,
+            severity: 'low',
+            weight: 20,
+            params: { miles: 500 },
+            when: { fact: 'tx.distanceFromHome', op: 'gt', value: { param: 'miles' } },
+            message: '{{tx.distanceFromHome}} miles from home'
+        },
+        {
+            id: 'established_member',
+            name: 'Established Member',
+            category: 'member',
+            enabled: true,
+            severity: 'good',
+            weight: { neg: { min: [{ mul: [{ div: [{ fact: 'profile.tenureMonths' }, 12] }, { param: 'pointsPerYear' }] }, { param: 'maxReduction' }] } },
+            params: { minMonths: 24, pointsPerYear: 5, maxReduction: 20 },
+            when: { fact: 'profile.tenureMonths', op: 'gt', value: { param: 'minMonths' } },
+            message: 'Established member ({{profile.tenureMonths}} months)'
+        }
+    ]
+};
+
+// =================================================================
+// STATE MANAGEMENT
+// =================================================================
+
+const FraudRuleState = {
+    store: null,
+    viewingVersion: null,
+    draft: null,
+    dirty: false,
+    jsonTarget: null,
+    jsonErrors: []
+};
+
+// =================================================================
+// VERSIONED RULE SETS
+// =================================================================
+
+function cloneRuleSet(ruleSet) {
+    return JSON.parse(JSON.stringify(ruleSet));
+}
+
+/**
+ * Load the rule set history from localStorage, seeding version 1 with the default pack
+ * @returns {Object} Store with active version number and versions list
+ */
+function loadFraudRuleStore() {
+    if (FraudRuleState.store) return FraudRuleState.store;
+    try {
+        FraudRuleState.store = JSON.parse(localStorage.getItem(FRAUD_RULE_STORAGE_KEY) || 'null');
+    } catch (error) {
+        console.warn('[Fraud Rules] Ignoring unreadable rule store:', error);
+    }
+    if (!FraudRuleState.store || !Array.isArray(FraudRuleState.store.versions) || FraudRuleState.store.versions.length === 0) {
+        FraudRuleState.store = {
+            active: 1,
+            versions: [{ version: 1, createdAt: null, note: 'Default rule pack', ...cloneRuleSet(DEFAULT_FRAUD_RULE_SET) }]
+        };
+    }
+    return FraudRuleState.store;
+}
+
+function saveFraudRuleStore() {
+    localStorage.setItem(FRAUD_RULE_STORAGE_KEY, JSON.stringify(FraudRuleState.store));
+}
+
+/**
+ * Get the rule set currently used for scoring
+ * @returns {Object} Rule set (version, note, defaults, scoring, rules)
+ */
+function getActiveFraudRuleSet() {
+    const store = loadFraudRuleStore();
+    return store.versions.find(v => v.version === store.active) || store.versions[store.versions.length - 1];
+}
+
+/**
+ * List saved rule set versions, newest first
+ * @returns {Array} Version summaries
+ */
+function listFraudRuleVersions() {
+    const store = loadFraudRuleStore();
+    return store.versions.map(v => ({
+        version: v.version,
+        createdAt: v.createdAt,
+        note: v.note,
+        ruleCount: v.rules.length,
+        enabledCount: v.rules.filter(r => r.enabled).length,
+        active: v.version === store.active
+    })).reverse();
+}
+
+/**
+ * Save a rule set as a new version and make it active
+ * @param {Object} ruleSet - Rule set with rules, scoring and defaults
+ * @param {string} note - Change description
+ * @returns {Object} Saved version, or { errors } when validation fails
+ */
+function saveFraudRuleSetVersion(ruleSet, note = '') {
+    const errors = validateFraudRuleSet(ruleSet);
+    if (errors.length > 0) return { errors };
+
+    const store = loadFraudRuleStore();
+    const version = Math.max(...store.versions.map(v => v.version)) + 1;
+    const saved = {
+        version,
+        createdAt: new Date().toISOString(),
+        note: note || `Version ${version}`,
+        defaults: cloneRuleSet(ruleSet.defaults || {}),
+        scoring: cloneRuleSet(ruleSet.scoring),
+        rules: cloneRuleSet(ruleSet.rules)
+    };
+    store.versions.push(saved);
+    store.active = version;
+    saveFraudRuleStore();
+    syncSecurityRules();
+    return saved;
+}
+
+/**
+ * Make an earlier version active again (rollback)
+ * @param {number} version - Version number
+ * @returns {boolean} True if the version exists
+ */
+function activateFraudRuleVersion(version) {
+    const store = loadFraudRuleStore();
+    if (!store.versions.some(v => v.version === Number(version))) return false;
+    store.active = Number(version);
+    saveFraudRuleStore();
+    syncSecurityRules();
+    return true;
+}
+
+/**
+ * Find a rule by ID
+ * @param {string} ruleId - Rule ID
+ * @param {Object} ruleSet - Rule set (defaults to the active set)
+ * @returns {Object|null} Rule
+ */
+function getFraudRule(ruleId, ruleSet = getActiveFraudRuleSet()) {
+    return ruleSet.rules.find(r => r.id === ruleId) || null;
+}
+
+// Keep SecurityState.fraudRules pointing at the active rules
+function syncSecurityRules() {
+    if (typeof SecurityState !== 'undefined') {
+        SecurityState.fraudRules = getActiveFraudRuleSet().rules;
+    }
+}
+
+// =================================================================
+// VALIDATION
+// =================================================================
+
+function validateFraudValue(value, path, errors) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) return;
+    const keys = Object.keys(value);
+    const operator = keys.find(k => ['fact', 'param', 'var', 'neg', 'max', 'min', 'add', 'mul', 'div'].includes(k));
+    if (!operator) {
+        errors.push(`${path}: unknown value expression ${JSON.stringify(value)}`);
+    } else if (operator === 'neg') {
+        validateFraudValue(value.neg, `${path}.neg`, errors);
+    } else if (['max', 'min', 'add', 'mul', 'div'].includes(operator)) {
+        if (!Array.isArray(value[operator]) || value[operator].length < 2) {
+            errors.push(`${path}.${operator}: needs a list of at least two values`);
+        } else {
+            value[operator].forEach((v, i) => validateFraudValue(v, `${path}.${operator}[${i}]`, errors));
+        }
+    } else if (typeof value[operator] !== 'string') {
+        errors.push(`${path}.${operator}: must be a name`);
+    }
+}
+
+function validateFraudCondition(condition, path, errors) {
+    if (!condition || typeof condition !== 'object') {
+        errors.push(`${path}: condition is required`);
+        return;
+    }
+    if (condition.all || condition.any) {
+        const list = condition.all || condition.any;
+        if (!Array.isArray(list) || list.length === 0) errors.push(`${path}: all/any needs a non-empty list`);
+        else list.forEach((c, i) => validateFraudCondition(c, `${path}.${condition.all ? 'all' : 'any'}[${i}]`, errors));
+        return;
+    }
+    if (condition.not) {
+        validateFraudCondition(condition.not, `${path}.not`, errors);
+        return;
+    }
+    if (typeof condition.fact !== 'string') errors.push(`${path}: fact must be a name such as "tx.amount"`);
+    if (!FRAUD_RULE_OPERATORS[condition.op]) errors.push(`${path}: unknown operator "${condition.op}"`);
+    if (condition.op !== 'exists') validateFraudValue(condition.value, `${path}.value`, errors);
+}
+
+/**
+ * Validate a rule definition
+ * @param {Object} rule - Rule definition
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateFraudRule(rule) {
+    const errors = [];
+    if (!rule || typeof rule !== 'object') return ['Rule must be an object'];
+
+    const label = rule.id || '(new rule)';
+    if (typeof rule.id !== 'string' || !/^[a-z0-9_]+$/.test(rule.id)) errors.push(`${label}: id must be lowercase letters, digits and underscores`);
+    if (!rule.name) errors.push(`${label}: name is required`);
+    if (!FRAUD_RULE_CATEGORIES.includes(rule.category)) errors.push(`${label}: category must be one of ${FRAUD_RULE_CATEGORIES.join(', ')}`);
+    if (!FRAUD_RULE_SEVERITIES.includes(rule.severity)) errors.push(`${label}: severity must be one of ${FRAUD_RULE_SEVERITIES.join(', ')}`);
+    if (typeof rule.weight !== 'number') validateFraudValue(rule.weight ?? {}, `${label}.weight`, errors);
+    validateFraudCondition(rule.when, `${label}.when`, errors);
+    Object.entries(rule.let || {}).forEach(([name, value]) => validateFraudValue(value, `${label}.let.${name}`, errors));
+    if (rule.window) validateFraudValue(rule.window.minutes, `${label}.window.minutes`, errors);
+    (rule.escalate || []).forEach((step, i) => {
+        validateFraudCondition(step.when, `${label}.escalate[${i}].when`, errors);
+        if (!FRAUD_RULE_SEVERITIES.includes(step.severity)) errors.push(`${label}.escalate[${i}]: unknown severity "${step.severity}"`);
+    });
+    (rule.actions || []).forEach(action => {
+        if (!FRAUD_RULE_ACTIONS.includes(action)) errors.push(`${label}: unknown action "${action}"`);
+    });
+    ['include', 'exclude'].forEach(key => {
+        (rule.segments?.[key] || []).forEach(segment => {
+            if (!FRAUD_RULE_SEGMENTS[segment]) errors.push(`${label}: unknown segment "${segment}"`);
+        });
+    });
+    return errors;
+}
+
+/**
+ * Validate a whole rule set
+ * @param {Object} ruleSet - Rule set
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateFraudRuleSet(ruleSet) {
+    if (!ruleSet || !Array.isArray(ruleSet.rules)) return ['Rule set needs a rules list'];
+    const errors = ruleSet.rules.flatMap(validateFraudRule);
+    const ids = ruleSet.rules.map(r => r.id);
+    ids.filter((id, i) => ids.indexOf(id) !== i).forEach(id => errors.push(`Duplicate rule id "${id}"`));
+    if (!ruleSet.scoring || !Array.isArray(ruleSet.scoring.bands)) errors.push('Rule set needs scoring.bands');
+    return errors;
+}
+
+// =================================================================
+// EVALUATION
+// =================================================================
+
+function getFactPath(context, path) {
+    return String(path).split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+}
+
+/**
+ * Resolve a value expression against an evaluation context
+ * @param {*} expr - Literal or value expression
+ * @param {Object} context - { tx, profile, window, params, vars }
+ * @returns {*} Resolved value
+ */
+function resolveFraudValue(expr, context) {
+    if (expr === null || typeof expr !== 'object' || Array.isArray(expr)) return expr;
+    if ('fact' in expr) return getFactPath(context, expr.fact) ?? expr.default ?? null;
+    if ('param' in expr) return context.params?.[expr.param];
+    if ('var' in expr) return context.vars?.[expr.var];
+    if ('neg' in expr) return -Number(resolveFraudValue(expr.neg, context));
+
+    const reducers = {
+        max: values => Math.max(...values),
+        min: values => Math.min(...values),
+        add: values => values.reduce((a, b) => a + b, 0),
+        mul: values => values.reduce((a, b) => a * b, 1),
+        div: values => values.slice(1).reduce((a, b) => (b ? a / b : 0), values[0])
+    };
+    const operator = Object.keys(reducers).find(key => key in expr);
+    if (operator) return reducers[operator](expr[operator].map(v => Number(resolveFraudValue(v, context)) || 0));
+    return expr;
+}
+
+/**
+ * Test a condition against an evaluation context
+ * @param {Object} condition - Condition tree
+ * @param {Object} context - Evaluation context
+ * @returns {boolean} True when the condition holds
+ */
+function testFraudCondition(condition, context) {
+    if (!condition) return true;
+    if (condition.all) return condition.all.every(c => testFraudCondition(c, context));
+    if (condition.any) return condition.any.some(c => testFraudCondition(c, context));
+    if (condition.not) return !testFraudCondition(condition.not, context);
+    const operator = FRAUD_RULE_OPERATORS[condition.op];
+    return operator ? operator(getFactPath(context, condition.fact), resolveFraudValue(condition.value, context)) : false;
+}
+
+function formatFraudMessage(template, context) {
+    return String(template).replace(/\{\{\s*([\w.]+)(?:\|(\w+))?\s*\}\}/g, (_, path, filter) => {
+        const value = getFactPath(context, path);
+        if (value === undefined || value === null) return '';
+        return filter === 'money' ? Number(value).toLocaleString() : String(value);
+    });
+}
+
+function transactionTime(transaction) {
+    return new Date(transactionMillis(transaction));
+}
+
+function transactionMillis(transaction) {
+    const value = transaction.timestamp || transaction.posted_at || transaction.date || Date.now();
+    return typeof value === 'number' ? value : new Date(value).getTime();
+}
+
+/**
+ * Normalize a transaction and member profile into rule facts
+ * @param {Object} transaction - Transaction data
+ * @param {Object} memberProfile - Member profile data
+ * @param {Object} defaults - Rule set profile defaults
+ * @returns {Object} Facts ({ tx, profile })
+ */
+function buildFraudFacts(transaction, memberProfile = {}, defaults = {}) {
+    const time = transactionTime(transaction);
+    const location = transaction.location || transaction.merchantLocation || {};
+    const homeState = memberProfile.homeState || defaults.homeState || null;
+    return {
+        tx: {
+            amount: Math.abs(transaction.amount || transaction.transactionAmount || 0),
+            hour: time.getHours(),
+            // Formatted only when a message uses it
+            get time() { return time.toLocaleTimeString(); },
+            type: String(transaction.type || transaction.transactionType || '').toLowerCase(),
+            channel: transaction.channel || null,
+            description: transaction.description || transaction.memo || '',
+            isNewPayee: Boolean(transaction.isNewPayee),
+            payee: transaction.payee || null,
+            state: location.state || null,
+            country: String(location.country || '').toUpperCase(),
+            distanceFromHome: Number(transaction.distanceFromHome) || 0
+        },
+        profile: {
+            averageTransaction: memberProfile.averageTransaction || defaults.averageTransaction || 0,
+            homeState,
+            knownStates: memberProfile.knownStates || (homeState ? [homeState] : []),
+            tenureMonths: memberProfile.tenureMonths || defaults.tenureMonths || 0,
+            segment: memberProfile.segment || null
+        }
+    };
+}
+
+/**
+ * Count history entries in the window ending at the reference time
+ * @param {Array} history - Transactions with timestamp/posted_at/date
+ * @param {Date} reference - End of the window
+ * @param {number} minutes - Window length
+ * @returns {number} Count
+ */
+function countInFraudWindow(history, reference, minutes) {
+    const end = reference.getTime();
+    const start = end - minutes * 60 * 1000;
+    let count = 0;
+    history.forEach(tx => {
+        const time = transactionMillis(tx);
+        if (time > start && time <= end) count++;
+    });
+    return count;
+}
+
+/**
+ * Whether a rule applies to a member segment
+ * @param {Object} rule - Rule definition
+ * @param {string|null} segment - Member segment
+ * @returns {boolean} True when the rule should run
+ */
+function isFraudRuleEnabledForSegment(rule, segment) {
+    if (!segment || !rule.segments) return true;
+    const include = rule.segments.include || [];
+    const exclude = rule.segments.exclude || [];
+    return (include.length === 0 || include.includes(segment)) && !exclude.includes(segment);
+}
+
+/**
+ * Evaluate the rule set against a transaction
+ * @param {Object} transaction - Transaction data
+ * @param {Object} memberProfile - Member profile (averageTransaction, homeState, knownStates, tenureMonths, segment, recentTransactions)
+ * @param {Object} options - { ruleSet, history, categories, now }
+ * @returns {Object} Score, risk level, action, factors and rule matches
+ */
+function evaluateFraudRules(transaction, memberProfile = {}, options = {}) {
+    const ruleSet = options.ruleSet || getActiveFraudRuleSet();
+    const scoring = ruleSet.scoring || DEFAULT_FRAUD_RULE_SET.scoring;
+    const facts = buildFraudFacts(transaction, memberProfile, ruleSet.defaults);
+    const history = options.history || memberProfile.recentTransactions || null;
+    const reference = options.now ? new Date(options.now) : transactionTime(transaction);
+    const matches = [];
+
+    ruleSet.rules.forEach(rule => {
+        if (!rule.enabled) return;
+        if (options.categories && !options.categories.includes(rule.category)) return;
+        if (!isFraudRuleEnabledForSegment(rule, facts.profile.segment)) return;
+
+        const context = { ...facts, params: rule.params || {}, vars: {} };
+        if (rule.window) {
+            // History rules only run when recent transactions are supplied
+            if (!history) return;
+            const minutes = Number(resolveFraudValue(rule.window.minutes, context)) || 60;
+            context.window = { minutes, count: countInFraudWindow(history, reference, minutes) };
+        }
+        Object.entries(rule.let || {}).forEach(([name, expr]) => {
+            context.vars[name] = resolveFraudValue(expr, context);
+        });
+        if (!testFraudCondition(rule.when, context)) return;
+
+        const severity = (rule.escalate || []).reduce(
+            (current, step) => (testFraudCondition(step.when, context) ? step.severity : current),
+            rule.severity
+        );
+        const weight = Number(resolveFraudValue(rule.weight, context)) || 0;
+        matches.push({
+            ruleId: rule.id,
+            name: rule.name,
+            category: rule.category,
+            anomaly: rule.anomaly || null,
+            severity,
+            weight: Math.round(weight),
+            points: weight,
+            details: formatFraudMessage(rule.message || rule.name, context),
+            actions: rule.actions || [],
+            values: { ...context.vars, ...(context.window ? { count: context.window.count } : {}) }
+        });
+    });
+
+    // Cap each category's raw total, then apply its multiplier
+    FRAUD_RULE_CATEGORIES.forEach(category => {
+        const inCategory = matches.filter(m => m.category === category);
+        const total = inCategory.reduce((sum, m) => sum + m.points, 0);
+        const cap = scoring.categoryCaps?.[category];
+        const scale = (cap !== undefined && total > cap ? cap / total : 1) * (scoring.categoryWeights?.[category] ?? 1);
+        inCategory.forEach(m => { m.points *= scale; });
+    });
+
+    const score = Math.max(0, Math.min(100, Math.round(matches.reduce((sum, m) => sum + m.points, 0))));
+    const band = [...scoring.bands].sort((a, b) => b.min - a.min).find(b => score >= b.min) || scoring.fallback;
+    const actionRank = { ALLOW: 0, REVIEW: 1, BLOCK: 2 };
+    const action = matches
+        .flatMap(m => m.actions)
+        .map(a => ({ review: 'REVIEW', block: 'BLOCK' })[a])
+        .filter(Boolean)
+        .reduce((strongest, a) => (actionRank[a] > actionRank[strongest] ? a : strongest), band.action);
+
+    return {
+        score,
+        riskLevel: band.riskLevel,
+        action,
+        raiseAlert: matches.some(m => m.actions.includes('alert')),
+        factors: matches.map(m => ({ factor: m.name, severity: m.severity, points: Math.round(m.points), details: m.details, ruleId: m.ruleId })),
+        matches,
+        ruleSetVersion: ruleSet.version ?? null
+    };
+}
+
+// =================================================================
+// RULE EDITOR UI
+// =================================================================
+
+function ruleEditorEscape(value) {
+    return typeof escapeHtml === 'function'
+        ? escapeHtml(String(value ?? ''))
+        : String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function notifyFraudRules(message, type = 'info') {
+    if (typeof showNotification === 'function') showNotification(message, type);
+    else console.log(`[Fraud Rules] ${message}`);
+}
+
+function ensureFraudRuleDraft() {
+    if (!FraudRuleState.draft) {
+        const active = getActiveFraudRuleSet();
+        FraudRuleState.viewingVersion = active.version;
+        FraudRuleState.draft = cloneRuleSet(active);
+        FraudRuleState.dirty = false;
+    }
+    return FraudRuleState.draft;
+}
+
+function markFraudRulesDirty() {
+    FraudRuleState.dirty = true;
+    renderFraudRuleEditor();
+}
+
+function renderFraudRuleParams(rule) {
+    return Object.entries(rule.params || {}).map(([key, value]) => `
+        <label style="display: inline-flex; align-items: center; gap: 0.25rem; margin: 0 0.5rem 0.25rem 0; font-size: 0.75rem; color: #6b7280;">
+            ${ruleEditorEscape(key)}
+            <input type="text" value="${ruleEditorEscape(Array.isArray(value) ? value.join(', ') : value)}"
+                   onchange="setFraudRuleParam('${rule.id}', '${ruleEditorEscape(key)}', this.value)"
+                   style="width: ${Array.isArray(value) ? 10 : 5}rem; padding: 2px 6px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 0.8rem;">
+        </label>
+    `).join('') || '<span style="color: #9ca3af; font-size: 0.75rem;">No parameters</span>';
+}
+
+function renderFraudRuleSegments(rule) {
+    return Object.entries(FRAUD_RULE_SEGMENTS).map(([segment, label]) => `
+        <label title="${ruleEditorEscape(label)}" style="display: inline-flex; align-items: center; gap: 0.2rem; margin-right: 0.4rem; font-size: 0.7rem; color: #4b5563;">
+            <input type="checkbox" ${isFraudRuleEnabledForSegment(rule, segment) ? 'checked' : ''}
+                   onchange="toggleFraudRuleSegment('${rule.id}', '${segment}')">
+            ${ruleEditorEscape(label)}
+        </label>
+    `).join('');
+}
+
+function renderFraudRuleRow(rule) {
+    const severityColors = { high: '#dc2626', medium: '#d97706', low: '#2563eb', good: '#16a34a' };
+    const weightIsNumber = typeof rule.weight === 'number';
+    return `
+        <tr style="border-top: 1px solid #e5e7eb; opacity: ${rule.enabled ? 1 : 0.55};" data-rule-id="${rule.id}">
+            <td style="padding: 0.75rem 0.5rem; vertical-align: top;">
+                <input type="checkbox" ${rule.enabled ? 'checked' : ''} onchange="toggleFraudRule('${rule.id}')" title="Enable rule">
+            </td>
+            <td style="padding: 0.75rem 0.5rem; vertical-align: top;">
+                <div style="font-weight: 600; color: #1f2937;">${ruleEditorEscape(rule.name)}</div>
+                <div style="font-size: 0.75rem; color: #6b7280;">${ruleEditorEscape(rule.id)} · ${ruleEditorEscape(rule.category)}${(rule.actions || []).length ? ` · ${ruleEditorEscape(rule.actions.join(', '))}` : ''}</div>
+            </td>
+            <td style="padding: 0.75rem 0.5rem; vertical-align: top;">
+                <select onchange="setFraudRuleField('${rule.id}', 'severity', this.value)"
+                        style="padding: 2px 6px; border: 1px solid #d1d5db; border-radius: 4px; color: ${severityColors[rule.severity] || '#1f2937'};">
+                    ${FRAUD_RULE_SEVERITIES.map(s => `<option value="${s}" ${s === rule.severity ? 'selected' : ''}>${s}</option>`).join('')}
+                </select>
+            </td>
+            <td style="padding: 0.75rem 0.5rem; vertical-align: top;">
+                ${weightIsNumber
+                    ? `<input type="number" value="${rule.weight}" onchange="setFraudRuleField('${rule.id}', 'weight', Number(this.value))"
+                              style="width: 4.5rem; padding: 2px 6px; border: 1px solid #d1d5db; border-radius: 4px;">`
+                    : '<span title="Computed weight; edit in JSON" style="font-size: 0.8rem; color: #6b7280;">formula</span>'}
+            </td>
+            <td style="padding: 0.75rem 0.5rem; vertical-align: top;">${renderFraudRuleParams(rule)}</td>
+            <td style="padding: 0.75rem 0.5rem; vertical-align: top;">${renderFraudRuleSegments(rule)}</td>
+            <td style="padding: 0.75rem 0.5rem; vertical-align: top; white-space: nowrap;">
+                <button class="btn btn-sm" onclick="openFraudRuleJson('${rule.id}')">JSON</button>
+                <button class="btn btn-sm" onclick="deleteFraudRule('${rule.id}')" title="Remove rule" style="color: #ef4444;">✕</button>
+            </td>
+        </tr>
+    `;
+}
+
+function renderFraudRuleJsonPanel() {
+    if (!FraudRuleState.jsonTarget) return '';
+    const draft = ensureFraudRuleDraft();
+    const target = FraudRuleState.jsonTarget;
+    let value;
+    if (target === '__set__') {
+        const { version, createdAt, note, ...ruleSet } = draft;
+        value = ruleSet;
+    } else if (target === '__new__') {
+        value = {
+            id: 'new_rule',
+            name: 'New Rule',
+            category: 'anomaly',
+            enabled: true,
+            severity: 'medium',
+            weight: 10,
+            params: { minimum: 1000 },
+            when: { fact: 'tx.amount', op: 'gte', value: { param: 'minimum' } },
+            actions: [],
+            message: '${{tx.amount|money}} meets the new rule'
+        };
+    } else {
+        value = draft.rules.find(r => r.id === target);
+    }
+    const title = target === '__set__' ? 'Rule set JSON (import / export)' : target === '__new__' ? 'New rule' : `Rule: ${target}`;
+    return `
+        <div style="margin-top: 1rem; padding: 1rem; background: #f8fafc; border: 1px solid #e5e7eb; border-radius: 8px;">
+            <div style="font-weight: 600; margin-bottom: 0.5rem;">${ruleEditorEscape(title)}</div>
+            <textarea id="fraudRuleJsonInput" spellcheck="false"
+                      style="width: 100%; min-height: 260px; font-family: var(--font-mono, monospace); font-size: 0.8rem; padding: 0.75rem; border: 1px solid #d1d5db; border-radius: 6px;">${ruleEditorEscape(JSON.stringify(value, null, 2))}</textarea>
+            ${FraudRuleState.jsonErrors.length ? `
+                <ul style="color: #dc2626; font-size: 0.8rem; margin: 0.5rem 0 0 1rem;">
+                    ${FraudRuleState.jsonErrors.map(e => `<li>${ruleEditorEscape(e)}</li>`).join('')}
+                </ul>` : ''}
+            <div style="display: flex; gap: 0.5rem; margin-top: 0.75rem;">
+                <button class="btn btn-primary btn-sm" onclick="applyFraudRuleJson()">Apply to Draft</button>
+                <button class="btn btn-secondary btn-sm" onclick="closeFraudRuleJson()">Cancel</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render the rule editor
+ * @param {string} containerId - Target container ID
+ */
+function renderFraudRuleEditor(containerId = 'fraudRuleEditor') {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const draft = ensureFraudRuleDraft();
+    const versions = listFraudRuleVersions();
+    const active = getActiveFraudRuleSet();
+    const viewingActive = FraudRuleState.viewingVersion === active.version;
+
+    container.innerHTML = `
+        <div data-testid="fraud-rule-editor">
+            <div style="display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; margin-bottom: 1rem;">
+                <label style="font-size: 0.85rem; color: #4b5563;">Version</label>
+                <select id="fraudRuleVersionSelect" onchange="viewFraudRuleVersion(this.value)"
+                        style="padding: 4px 8px; border: 1px solid #d1d5db; border-radius: 6px;">
+                    ${versions.map(v => `
+                        <option value="${v.version}" ${v.version === FraudRuleState.viewingVersion ? 'selected' : ''}>
+                            v${v.version}${v.active ? ' (active)' : ''} · ${ruleEditorEscape(v.note)}${v.createdAt ? ` · ${new Date(v.createdAt).toLocaleDateString()}` : ''}
+                        </option>
+                    `).join('')}
+                </select>
+                ${viewingActive ? '' : `<button class="btn btn-sm" onclick="activateViewedFraudRuleVersion()">Activate v${FraudRuleState.viewingVersion}</button>`}
+                ${FraudRuleState.dirty ? '<span style="font-size: 0.8rem; color: #d97706; font-weight: 600;">● Unsaved changes</span>' : ''}
+                <div style="margin-left: auto; display: flex; gap: 0.5rem;">
+                    <button class="btn btn-sm" onclick="openFraudRuleJson('__new__')">＋ New Rule</button>
+                    <button class="btn btn-sm" onclick="openFraudRuleJson('__set__')">Import / Export JSON</button>
+                    <button class="btn btn-sm" onclick="downloadFraudRuleSet()">⬇ Download</button>
+                    <button class="btn btn-secondary btn-sm" onclick="discardFraudRuleDraft()" ${FraudRuleState.dirty ? '' : 'disabled'}>Discard</button>
+                    <button class="btn btn-primary btn-sm" onclick="saveFraudRuleDraft()" ${FraudRuleState.dirty ? '' : 'disabled'}>Save as New Version</button>
+                </div>
+            </div>
+            <div style="overflow-x: auto;">
+                <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                    <thead>
+                        <tr style="text-align: left; color: #6b7280; font-size: 0.75rem; text-transform: uppercase;">
+                            <th style="padding: 0.5rem;">On</th>
+                            <th style="padding: 0.5rem;">Rule</th>
+                            <th style="padding: 0.5rem;">Severity</th>
+                            <th style="padding: 0.5rem;">Weight</th>
+                            <th style="padding: 0.5rem;">Parameters</th>
+                            <th style="padding: 0.5rem;">Segments</th>
+                            <th style="padding: 0.5rem;"></th>
+                        </tr>
+                    </thead>
+                    <tbody>${draft.rules.map(renderFraudRuleRow).join('')}</tbody>
+                </table>
+            </div>
+            <div style="margin-top: 0.75rem; font-size: 0.8rem; color: #6b7280;">
+                Score bands: ${draft.scoring.bands.map(b => `${b.min}+ ${ruleEditorEscape(b.riskLevel)} (${ruleEditorEscape(b.action)})`).join(' · ')}
+            </div>
+            ${renderFraudRuleJsonPanel()}
+        </div>
+    `;
+
+    // Keep the backtest rule set pickers in step with versions and the draft
+    if (typeof refreshBacktestRuleSetOptions === 'function') refreshBacktestRuleSetOptions();
+}
+
+/**
+ * Toggle a rule on or off in the draft
+ * @param {string} ruleId - Rule ID
+ */
+function toggleFraudRule(ruleId) {
+    const rule = getFraudRule(ruleId, ensureFraudRuleDraft());
+    if (!rule) return;
+    rule.enabled = !rule.enabled;
+    markFraudRulesDirty();
+}
+
+/**
+ * Set a top-level rule field in the draft (severity, weight)
+ * @param {string} ruleId - Rule ID
+ * @param {string} field - Field name
+ * @param {*} value - New value
+ */
+function setFraudRuleField(ruleId, field, value) {
+    const rule = getFraudRule(ruleId, ensureFraudRuleDraft());
+    if (!rule) return;
+    rule[field] = value;
+    markFraudRulesDirty();
+}
+
+/**
+ * Set a rule parameter from editor text (numbers, or comma lists for list params)
+ * @param {string} ruleId - Rule ID
+ * @param {string} key - Parameter name
+ * @param {string} text - Input text
+ */
+function setFraudRuleParam(ruleId, key, text) {
+    const rule = getFraudRule(ruleId, ensureFraudRuleDraft());
+    if (!rule || !rule.params) return;
+    const current = rule.params[key];
+    if (Array.isArray(current)) {
+        rule.params[key] = text.split(',').map(s => s.trim()).filter(Boolean);
+    } else if (typeof current === 'number') {
+        const number = Number(text);
+        if (!Number.isFinite(number)) {
+            notifyFraudRules(`${key} must be a number`, 'error');
+            renderFraudRuleEditor();
+            return;
+        }
+        rule.params[key] = number;
+    } else {
+        rule.params[key] = text;
+    }
+    markFraudRulesDirty();
+}
+
+/**
+ * Turn a rule on or off for one member segment
+ * @param {string} ruleId - Rule ID
+ * @param {string} segment - Segment key
+ */
+function toggleFraudRuleSegment(ruleId, segment) {
+    const rule = getFraudRule(ruleId, ensureFraudRuleDraft());
+    if (!rule) return;
+    const enabled = isFraudRuleEnabledForSegment(rule, segment);
+    const include = rule.segments?.include || [];
+    let exclude = rule.segments?.exclude || [];
+
+    if (include.length > 0) {
+        rule.segments = { include: enabled ? include.filter(s => s !== segment) : [...include, segment] };
+        if (rule.segments.include.length === 0) rule.segments = { exclude: Object.keys(FRAUD_RULE_SEGMENTS) };
+    } else {
+        exclude = enabled ? [...exclude, segment] : exclude.filter(s => s !== segment);
+        rule.segments = exclude.length ? { exclude } : undefined;
+    }
+    if (!rule.segments) delete rule.segments;
+    markFraudRulesDirty();
+}
+
+/**
+ * Remove a rule from the draft
+ * @param {string} ruleId - Rule ID
+ */
+function deleteFraudRule(ruleId) {
+    const draft = ensureFraudRuleDraft();
+    if (!confirm(`Remove rule "${ruleId}" from this draft?`)) return;
+    draft.rules = draft.rules.filter(r => r.id !== ruleId);
+    markFraudRulesDirty();
+}
+
+/**
+ * Open the JSON editor for a rule, a new rule ('__new__') or the whole set ('__set__')
+ * @param {string} target - Rule ID or special target
+ */
+function openFraudRuleJson(target) {
+    FraudRuleState.jsonTarget = target;
+    FraudRuleState.jsonErrors = [];
+    renderFraudRuleEditor();
+}
+
+function closeFraudRuleJson() {
+    FraudRuleState.jsonTarget = null;
+    FraudRuleState.jsonErrors = [];
+    renderFraudRuleEditor();
+}
+
+/**
+ * Validate the JSON editor contents and apply them to the draft
+ */
+function applyFraudRuleJson() {
+    const draft = ensureFraudRuleDraft();
+    const target = FraudRuleState.jsonTarget;
+    const text = document.getElementById('fraudRuleJsonInput')?.value || '';
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        FraudRuleState.jsonErrors = [`Invalid JSON: ${error.message}`];
+        renderFraudRuleEditor();
+        return;
+    }
+
+    if (target === '__set__') {
+        const errors = validateFraudRuleSet(parsed);
+        if (errors.length) {
+            FraudRuleState.jsonErrors = errors;
+            renderFraudRuleEditor();
+            return;
+        }
+        FraudRuleState.draft = { ...draft, defaults: parsed.defaults || {}, scoring: parsed.scoring, rules: parsed.rules };
+    } else {
+        const errors = validateFraudRule(parsed);
+        const clash = draft.rules.some(r => r.id === parsed.id && r.id !== target);
+        if (clash) errors.push(`Another rule already uses id "${parsed.id}"`);
+        if (errors.length) {
+            FraudRuleState.jsonErrors = errors;
+            renderFraudRuleEditor();
+            return;
+        }
+        const index = draft.rules.findIndex(r => r.id === target);
+        if (index >= 0) draft.rules[index] = parsed;
+        else draft.rules.push(parsed);
+    }
+
+    FraudRuleState.jsonTarget = null;
+    FraudRuleState.jsonErrors = [];
+    markFraudRulesDirty();
+}
+
+/**
+ * Save the draft as a new active version
+ */
+function saveFraudRuleDraft() {
+    const draft = ensureFraudRuleDraft();
+    const note = prompt('Describe this change (shown in version history):', '');
+    if (note === null) return;
+
+    const saved = saveFraudRuleSetVersion(draft, note.trim());
+    if (saved.errors) {
+        FraudRuleState.jsonTarget = '__set__';
+        FraudRuleState.jsonErrors = saved.errors;
+        renderFraudRuleEditor();
+        return;
+    }
+    FraudRuleState.draft = null;
+    renderFraudRuleEditor();
+    notifyFraudRules(`Fraud rules v${saved.version} saved and active`, 'success');
+}
+
+/**
+ * Throw away unsaved edits
+ */
+function discardFraudRuleDraft() {
+    const viewing = FraudRuleState.viewingVersion;
+    FraudRuleState.draft = null;
+    FraudRuleState.jsonTarget = null;
+    ensureFraudRuleDraft();
+    if (viewing) viewFraudRuleVersion(viewing);
+    else renderFraudRuleEditor();
+}
+
+/**
+ * Load a saved version into the editor (read as a draft)
+ * @param {number|string} version - Version number
+ */
+function viewFraudRuleVersion(version) {
+    if (FraudRuleState.dirty && !confirm('Discard unsaved rule changes?')) {
+        renderFraudRuleEditor();
+        return;
+    }
+    const entry = loadFraudRuleStore().versions.find(v => v.version === Number(version));
+    if (!entry) return;
+    FraudRuleState.viewingVersion = entry.version;
+    FraudRuleState.draft = cloneRuleSet(entry);
+    FraudRuleState.dirty = false;
+    FraudRuleState.jsonTarget = null;
+    renderFraudRuleEditor();
+}
+
+/**
+ * Make the version being viewed the active one
+ */
+function activateViewedFraudRuleVersion() {
+    const version = FraudRuleState.viewingVersion;
+    if (activateFraudRuleVersion(version)) {
+        renderFraudRuleEditor();
+        notifyFraudRules(`Fraud rules v${version} is now active`, 'success');
+    }
+}
+
+/**
+ * Download the rule set shown in the editor as JSON
+ */
+function downloadFraudRuleSet() {
+    const { version, createdAt, note, ...ruleSet } = ensureFraudRuleDraft();
+    const blob = new Blob([JSON.stringify(ruleSet, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `fraud_rules_v${version || 'draft'}.json`;
+    link.click();
+}
+
+// =================================================================
+// INITIALIZATION
+// =================================================================
+
+function initFraudRulesModule() {
+    loadFraudRuleStore();
+    syncSecurityRules();
+    renderFraudRuleEditor();
+    console.log(`[Fraud Rules] Active rule set v${getActiveFraudRuleSet().version} (${getActiveFraudRuleSet().rules.length} rules)`);
+}
+
+// =================================================================
+// GLOBAL EXPORTS
+// =================================================================
+
+window.FraudRuleState = FraudRuleState;
+window.DEFAULT_FRAUD_RULE_SET = DEFAULT_FRAUD_RULE_SET;
+window.FRAUD_RULE_SEGMENTS = FRAUD_RULE_SEGMENTS;
+
+window.getActiveFraudRuleSet = getActiveFraudRuleSet;
+window.listFraudRuleVersions = listFraudRuleVersions;
+window.saveFraudRuleSetVersion = saveFraudRuleSetVersion;
+window.activateFraudRuleVersion = activateFraudRuleVersion;
+window.getFraudRule = getFraudRule;
+window.validateFraudRule = validateFraudRule;
+window.validateFraudRuleSet = validateFraudRuleSet;
+window.evaluateFraudRules = evaluateFraudRules;
+window.buildFraudFacts = buildFraudFacts;
+window.isFraudRuleEnabledForSegment = isFraudRuleEnabledForSegment;
+
+window.renderFraudRuleEditor = renderFraudRuleEditor;
+window.toggleFraudRule = toggleFraudRule;
+window.setFraudRuleField = setFraudRuleField;
+window.setFraudRuleParam = setFraudRuleParam;
+window.toggleFraudRuleSegment = toggleFraudRuleSegment;
+window.deleteFraudRule = deleteFraudRule;
+window.openFraudRuleJson = openFraudRuleJson;
+window.closeFraudRuleJson = closeFraudRuleJson;
+window.applyFraudRuleJson = applyFraudRuleJson;
+window.saveFraudRuleDraft = saveFraudRuleDraft;
+window.discardFraudRuleDraft = discardFraudRuleDraft;
+window.viewFraudRuleVersion = viewFraudRuleVersion;
+window.activateViewedFraudRuleVersion = activateViewedFraudRuleVersion;
+window.downloadFraudRuleSet = downloadFraudRuleSet;
+window.initFraudRulesModule = initFraudRulesModule;
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initFraudRulesModule);
+} else {
+    initFraudRulesModule();
+}
@@ -7,8 +7,11 @@
  * - Fair Lending Compliance (ECOA, FCRA)
  * - LLM Integration for Decision Explanations
  * - Immutable Audit Logging
+ * - Adverse Action Notices (ECOA/Reg B reasons, FCRA score disclosure)
  * 
- * Dependencies: banking_lending.js, banking_core.js
+ * Dependencies: banking_lending.js, banking_core.js,
+ *               banking_bsa_filing.js (getInstitutionProfile, buildTextPdf),
+ *               banking_reporting.js (escapeHtml)
  * Used by: banking.html (Loan Officer section)
  * 
  * @module banking_lending_ai
@@ -71,6 +74,90 @@ const FAIR_LENDING_CONFIG = {
     ldaRequired: true
 };
 
+/**
+ * Adverse action notice configuration
+ */
+const ADVERSE_ACTION_CONFIG = {
+    // Reg B: principal reasons disclosed, most significant first
+    maxReasons: 4,
+    // Reg B: notice due within 30 days of the decision
+    noticeDays: 30,
+    // Cited when a decline has no adverse factor or matched rule to name
+    policyDeclineReason: 'Application does not meet our credit policy requirements',
+    scoreRange: { min: 300, max: 850 },
+    // Consumer reporting agency named in the score disclosure (the
+    // application's creditBureau overrides it)
+    creditBureau: {
+        name: 'Equifax Information Services LLC',
+        address: 'P.O. Box 740241, Atlanta, GA 30374',
+        phone: '1-800-685-1111',
+        website: 'www.equifax.com'
+    },
+    // Federal agency administering ECOA compliance for a federal credit union
+    ecoaAgency: {
+        name: 'National Credit Union Administration, Office of Consumer Financial Protection',
+        address: '1775 Duke Street, Alexandria, VA 22314'
+    }
+};
+
+/**
+ * Principal reasons for adverse action, numbered in the order of the
+ * Reg B sample notice (12 CFR 1002, Appendix C, Form C-1)
+ */
+const ADVERSE_ACTION_REASON_CODES = {
+    1: 'Credit application incomplete',
+    2: 'Insufficient number of credit references provided',
+    3: 'Unacceptable type of credit references provided',
+    4: 'Unable to verify credit references',
+    5: 'Temporary or irregular employment',
+    6: 'Unable to verify employment',
+    7: 'Length of employment',
+    8: 'Income insufficient for amount of credit requested',
+    9: 'Excessive obligations in relation to income',
+    10: 'Unable to verify income',
+    11: 'Length of residence',
+    12: 'Temporary residence',
+    13: 'Unable to verify residence',
+    14: 'No credit file',
+    15: 'Limited credit experience',
+    16: 'Poor credit performance with us',
+    17: 'Delinquent past or present credit obligations with others',
+    18: 'Collection action or judgment',
+    19: 'Garnishment or attachment',
+    20: 'Foreclosure or repossession',
+    21: 'Bankruptcy',
+    22: 'Number of recent inquiries on credit bureau report',
+    23: 'Value or type of collateral not sufficient',
+    24: 'Other'
+};
+
+/**
+ * Underwriting factor -> reason code. Code 24 ("Other") carries its own
+ * specific text, as Reg B requires. The creditScore factor is the internal
+ * Nemo Score, which is built from the member's history with us.
+ */
+const ADVERSE_FACTOR_REASONS = {
+    creditScore: { code: 16 },
+    dtiRatio: { code: 9 },
+    employmentStability: { code: 7 },
+    accountLongevity: { code: 15 },
+    loanToValue: { code: 23 },
+    paymentHistory: { code: 16 },
+    nsfHistory: { code: 24, text: 'Excessive overdrafts or returned items on deposit accounts with us' }
+};
+
+/**
+ * Automated decline rules (determineRecommendation reasons) -> factor or code
+ */
+const ADVERSE_DECLINE_RULE_REASONS = [
+    { pattern: /credit score/i, factor: 'creditScore' },
+    { pattern: /debt-to-income/i, factor: 'dtiRatio' },
+    { pattern: /bankruptcy/i, code: 21 }
+];
+
+// Credit history factors reported as key factors in the credit score disclosure
+const CREDIT_SCORE_FACTORS = ['paymentHistory', 'nsfHistory', 'accountLongevity'];
+
 // =================================================================
 // STATE MANAGEMENT
 // =================================================================
@@ -631,11 +718,22 @@ function logDecision(applicationId, underwriteResult, humanDecision) {
         // Compliance
         fairLendingCheck: underwriteResult.fairLendingResult,
         adverseActionReasons: humanDecision.adverseReasons || underwriteResult.topFactors?.filter(f => f.contribution < 0).map(f => f.description) || [],
+        adverseActionNotice: null,
 
         // Processing metrics
         processingTimeMs: underwriteResult.processingTimeMs
     };
 
+    // A declined applicant must receive the notice; it is issued with the entry
+    if (humanDecision.action === 'DECLINE') {
+        auditEntry.adverseActionNotice = buildAdverseActionNotice(underwriteResult, {
+            application: humanDecision.application,
+            auditId: auditEntry.auditId,
+            decisionDate: auditEntry.timestamp
+        });
+        auditEntry.adverseActionReasons = humanDecision.adverseReasons || auditEntry.adverseActionNotice.reasons.map(r => r.reason);
+    }
+
     // Add to audit log
     AILendingState.auditLog.unshift(auditEntry);
     AILendingState.auditLog = AILendingState.auditLog.slice(0, 1000); // Keep last 1000
@@ -669,6 +767,291 @@ function getAuditLog(filters = {}) {
     return entries;
 }
 
+// =================================================================
+// ADVERSE ACTION NOTICES
+// =================================================================
+
+/**
+ * Whether the application carries a score from a consumer reporting agency,
+ * which triggers the FCRA credit score disclosure
+ * @param {Object} underwriteResult - Underwriting result
+ * @param {Object} application - Loan application
+ * @returns {boolean}
+ */
+function usedBureauScore(underwriteResult, application = {}) {
+    return Boolean(application.creditScore) && underwriteResult.metrics?.creditScore === application.creditScore;
+}
+
+function adverseReasonFor(factor) {
+    const mapping = ADVERSE_FACTOR_REASONS[factor];
+    if (!mapping) return null;
+    return { code: mapping.code, reason: mapping.code === 24 ? `Other: ${mapping.text}` : ADVERSE_ACTION_REASON_CODES[mapping.code] };
+}
+
+/**
+ * Signed SHAP factors, most negative first
+ * @param {Object} shapValues - SHAP contributions
+ * @returns {Array} Factors
+ */
+function adverseFactorsOf(shapValues = {}) {
+    return Object.entries(shapValues)
+        .filter(([key, value]) => !key.startsWith('_') && typeof value.contribution === 'number')
+        .map(([key, value]) => ({ factor: key, ...value }))
+        .sort((a, b) => a.contribution - b.contribution);
+}
+
+/**
+ * Rank the principal reasons for an adverse action: factors that pulled the
+ * score down (most negative SHAP contribution first), then automated decline
+ * rules, then - if a decline still has no reason - the decline rule text
+ * (or a generic policy reason) under code 24. Favourable factors are never cited.
+ * Reasons sharing a code are reported once.
+ * @param {Object} underwriteResult - Underwriting result
+ * @param {Object} options - { maxReasons }
+ * @returns {Array} Reasons ({ rank, code, reason, factor, contribution, description })
+ */
+function rankAdverseActionReasons(underwriteResult, options = {}) {
+    const maxReasons = options.maxReasons || ADVERSE_ACTION_CONFIG.maxReasons;
+    const factors = adverseFactorsOf(underwriteResult.shapValues);
+
+    const reasons = [];
+    const add = (reason, source = {}) => {
+        if (!reason || reasons.length >= maxReasons) return;
+        if (reasons.some(r => r.code === reason.code && r.reason === reason.reason)) return;
+        reasons.push({
+            rank: reasons.length + 1,
+            ...reason,
+            factor: source.factor || null,
+            contribution: source.contribution ?? null,
+            description: source.description || null
+        });
+    };
+
+    factors.filter(f => f.contribution < 0).forEach(f => add(adverseReasonFor(f.factor), f));
+
+    String(underwriteResult.recommendationReason || '').split(';').forEach(text => {
+        const rule = ADVERSE_DECLINE_RULE_REASONS.find(r => r.pattern.test(text));
+        if (!rule) return;
+        if (rule.factor) {
+            add(adverseReasonFor(rule.factor), factors.find(f => f.factor === rule.factor) || { factor: rule.factor });
+        } else {
+            add({ code: rule.code, reason: ADVERSE_ACTION_REASON_CODES[rule.code] }, { description: text.trim() });
+        }
+    });
+
+    // Nothing adverse to cite: state the decline rule itself rather than
+    // a factor that counted in the applicant's favour
+    if (underwriteResult.recommendation === 'DECLINE' && reasons.length === 0) {
+        const rules = String(underwriteResult.recommendationReason || '').split(';').map(t => t.trim()).filter(Boolean);
+        rules.forEach(text => add({ code: 24, reason: text }, { description: text }));
+        if (reasons.length === 0) add({ code: 24, reason: ADVERSE_ACTION_CONFIG.policyDeclineReason });
+    }
+    return reasons;
+}
+
+/**
+ * Build the adverse action notice for a declined application
+ * @param {Object} underwriteResult - Underwriting result
+ * @param {Object} options - { application, auditId, decisionDate, maxReasons }
+ * @returns {Object} Notice
+ */
+function buildAdverseActionNotice(underwriteResult, options = {}) {
+    const application = options.application
+        || (AILendingState.currentApplication?.id === underwriteResult.applicationId ? AILendingState.currentApplication : {});
+    const reasons = rankAdverseActionReasons(underwriteResult, options);
+    const institution = getInstitutionProfile();
+    const decisionDate = options.decisionDate || new Date().toISOString();
+    const address = application.address || {};
+    const bureauScore = usedBureauScore(underwriteResult, application);
+
+    return {
+        noticeId: `AAN-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
+        auditId: options.auditId || null,
+        applicationId: underwriteResult.applicationId,
+        memberId: underwriteResult.memberId || application.memberId || null,
+        applicant: {
+            name: underwriteResult.memberName || application.memberName || 'Applicant',
+            street: address.street || '',
+            cityStateZip: address.city ? `${address.city}, ${address.state} ${address.zip}` : ''
+        },
+        institution: {
+            name: institution.name,
+            address: `${institution.street}, ${institution.city}, ${institution.state} ${institution.zip}`,
+            phone: institution.contactPhone || ''
+        },
+        creditRequested: {
+            loanType: application.loanType || 'personal',
+            amount: application.loanAmount || underwriteResult.metrics?.pricing?.loanAmount || 0,
+            termMonths: application.termMonths || null
+        },
+        actionTaken: 'Denied',
+        reasons,
+        creditScoreDisclosure: bureauScore
+            ? {
+                used: true,
+                score: underwriteResult.metrics.creditScore,
+                range: { ...ADVERSE_ACTION_CONFIG.scoreRange },
+                date: application.creditScoreDate || decisionDate.slice(0, 10),
+                source: { ...ADVERSE_ACTION_CONFIG.creditBureau, ...(application.creditBureau || {}) },
+                keyFactors: (application.creditScoreFactors || adverseFactorsOf(underwriteResult.shapValues)
+                    .filter(f => f.contribution < 0 && CREDIT_SCORE_FACTORS.includes(f.factor))
+                    .map(f => f.description)).slice(0, 4)
+            }
+            : { used: false },
+        ecoaAgency: { ...ADVERSE_ACTION_CONFIG.ecoaAgency },
+        decisionDate,
+        dueBy: new Date(new Date(decisionDate).getTime() + ADVERSE_ACTION_CONFIG.noticeDays * 86400000).toISOString(),
+        issuedAt: new Date().toISOString(),
+        modelVersion: underwriteResult.modelVersion
+    };
+}
+
+/**
+ * Letter text, one entry per line (shared by the HTML and PDF renderings)
+ * @param {Object} notice - Adverse action notice
+ * @returns {Array<Object>} Sections ({ heading, lines })
+ */
+function adverseActionLetterSections(notice) {
+    const money = value => `$${Number(value || 0).toLocaleString()}`;
+    const requested = notice.creditRequested;
+    const disclosure = notice.creditScoreDisclosure;
+    const sections = [
+        {
+            heading: 'Statement of Credit Denial, Termination or Change',
+            lines: [
+                `Date: ${new Date(notice.issuedAt).toLocaleDateString()}`,
+                `Applicant: ${notice.applicant.name}`,
+                notice.applicant.street || null,
+                notice.applicant.cityStateZip || null,
+                '',
+                `Description of credit requested: ${requested.loanType} loan of ${money(requested.amount)}${requested.termMonths ? ` for ${requested.termMonths} months` : ''} (application ${notice.applicationId})`,
+                `Description of action taken: ${notice.actionTaken}`
+            ].filter(line => line !== null)
+        },
+        {
+            heading: 'Principal reason(s) for credit denial, termination or other action taken',
+            lines: notice.reasons.length
+                ? notice.reasons.map(r => `${r.rank}. ${r.reason}`)
+                : ['No principal reasons were recorded. Contact us for the reasons for this decision.']
+        },
+        {
+            heading: 'Your credit score',
+            lines: disclosure.used
+                ? [
+                    `Our credit decision was based in whole or in part on information obtained in a report from the consumer reporting agency listed below. You have a right under the Fair Credit Reporting Act to know the information contained in your credit file at the consumer reporting agency. The reporting agency played no part in our decision and is unable to supply specific reasons why we have denied credit to you. You also have a right to a free copy of your report from the reporting agency, if you request it no later than 60 days after you receive this notice. In addition, if you find that any information contained in the report you receive is inaccurate or incomplete, you have the right to dispute the matter with the reporting agency.`,
+                    '',
+                    `We also obtained your credit score from this consumer reporting agency and used it in making our credit decision. Your credit score is a number that reflects the information in your credit report. Your credit score can change, depending on how the information in your credit report changes.`,
+                    '',
+                    `Your credit score: ${disclosure.score}`,
+                    `Date: ${disclosure.date}`,
+                    `Scores range from a low of ${disclosure.range.min} to a high of ${disclosure.range.max}.`,
+                    'Key factors that adversely affected your credit score:',
+                    ...(disclosure.keyFactors.length ? disclosure.keyFactors.map(f => `  - ${f}`) : ['  - None provided by the consumer reporting agency']),
+                    '',
+                    `Name: ${disclosure.source.name}`,
+                    `Address: ${disclosure.source.address}`,
+                    `Toll-free telephone: ${disclosure.source.phone}`,
+                    `Website: ${disclosure.source.website}`
+                ]
+                : ['We did not use a credit score from a consumer reporting agency in making this decision.']
+        },
+        {
+            heading: 'Notice',
+            lines: [
+                `The Federal Equal Credit Opportunity Act prohibits creditors from discriminating against credit applicants on the basis of race, color, religion, national origin, sex, marital status, age (provided the applicant has the capacity to enter into a binding contract); because all or part of the applicant's income derives from any public assistance program; or because the applicant has in good faith exercised any right under the Consumer Credit Protection Act. The Federal agency that administers compliance with this law concerning this creditor is the ${notice.ecoaAgency.name}, ${notice.ecoaAgency.address}.`
+            ]
+        },
+        {
+            heading: 'Creditor',
+            lines: [
+                notice.institution.name,
+                notice.institution.address,
+                notice.institution.phone
+            ].filter(Boolean)
+        }
+    ];
+    return sections;
+}
+
+/**
+ * Render the notice as a standalone HTML letter
+ * @param {Object} notice - Adverse action notice
+ * @returns {string} HTML document
+ */
+function renderAdverseActionLetter(notice) {
+    const sections = adverseActionLetterSections(notice);
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Adverse Action Notice ${escapeHtml(notice.noticeId)}</title>
+    <style>
+        body { font-family: Georgia, 'Times New Roman', serif; max-width: 7in; margin: 0.75in auto; color: #111827; line-height: 1.45; }
+        h1 { font-size: 1.25rem; margin-bottom: 0.25rem; }
+        h2 { font-size: 1rem; margin: 1.5rem 0 0.5rem; border-bottom: 1px solid #d1d5db; padding-bottom: 0.25rem; }
+        p { margin: 0.2rem 0; }
+        .meta { font-size: 0.8rem; color: #6b7280; margin-top: 2rem; }
+        @media print { .meta { display: none; } }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(notice.institution.name)}</h1>
+    <p>${escapeHtml(notice.institution.address)}</p>
+    ${sections.map(section => `
+    <h2>${escapeHtml(section.heading)}</h2>
+    ${section.lines.map(line => line ? `<p>${escapeHtml(line)}</p>` : '<br>').join('\n    ')}`).join('\n')}
+    <div class="meta">Notice ${escapeHtml(notice.noticeId)} · audit ${escapeHtml(notice.auditId || '-')} · issued ${escapeHtml(notice.issuedAt)} · model ${escapeHtml(notice.modelVersion || '-')}</div>
+</body>
+</html>`;
+}
+
+/**
+ * Find an issued notice by notice, audit or application ID
+ * @param {string} id - Notice, audit or application ID
+ * @returns {Object|null} Notice
+ */
+function getAdverseActionNotice(id) {
+    const entry = AILendingState.auditLog.find(e =>
+        e.adverseActionNotice && [e.adverseActionNotice.noticeId, e.auditId, e.applicationId].includes(id));
+    return entry ? entry.adverseActionNotice : null;
+}
+
+/**
+ * Open an issued notice as a printable letter in a new window
+ * @param {string} id - Notice, audit or application ID
+ */
+function openAdverseActionNotice(id) {
+    const notice = getAdverseActionNotice(id);
+    if (!notice) return;
+    const letter = window.open('', '_blank');
+    if (!letter) {
+        alert('Allow pop-ups to view the adverse action notice');
+        return;
+    }
+    letter.document.write(renderAdverseActionLetter(notice));
+    letter.document.close();
+}
+
+/**
+ * Download an issued notice as PDF
+ * @param {string} id - Notice, audit or application ID
+ */
+function downloadAdverseActionPdf(id) {
+    const notice = getAdverseActionNotice(id);
+    if (!notice || typeof buildTextPdf !== 'function') return;
+    const lines = [notice.institution.name, notice.institution.address];
+    adverseActionLetterSections(notice).forEach(section => {
+        lines.push('', section.heading.toUpperCase(), ...section.lines);
+    });
+    const blob = new Blob([buildTextPdf(lines)], { type: 'application/pdf' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${notice.noticeId}.pdf`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
 // =================================================================
 // LOAN QUEUE WITH SLA TRACKING
 // =================================================================
@@ -915,6 +1298,15 @@ window.generateDecisionExplanation = generateDecisionExplanation;
 window.logDecision = logDecision;
 window.getAuditLog = getAuditLog;
 
+// Adverse Action Notices
+window.ADVERSE_ACTION_REASON_CODES = ADVERSE_ACTION_REASON_CODES;
+window.rankAdverseActionReasons = rankAdverseActionReasons;
+window.buildAdverseActionNotice = buildAdverseActionNotice;
+window.renderAdverseActionLetter = renderAdverseActionLetter;
+window.getAdverseActionNotice = getAdverseActionNotice;
+window.openAdverseActionNotice = openAdverseActionNotice;
+window.downloadAdverseActionPdf = downloadAdverseActionPdf;
+
 // Queue Functions
 window.addToLoanQueue = addToLoanQueue;
 window.getLoanQueue = getLoanQueue;
@@ -0,0 +1,665 @@
+/**
+ * Banking Link Analysis Module - Fraud Investigation Network Graph
+ * ================================================================
+ * Builds a relationship graph around an investigated member from the
+ * Fiserv member360, transactions and cases APIs: members, accounts,
+ * payees, devices, locations and cases become nodes, and shared activity
+ * becomes edges. Nodes expand one at a time on click. Rings (several
+ * members paying one new payee, shared devices, closed P2P clusters) are
+ * detected over everything loaded so far and highlighted.
+ *
+ * Dependencies: banking_security.js (apiRequest), vendor/echarts.min.js
+ * Used by: banking.html (investigate tab)
+ *
+ * @module banking_link_analysis
+ * @version 1.0.0
+ */
+
+// =================================================================
+// CONSTANTS
+// =================================================================
+
+const LINK_NODE_TYPES = {
+    member: { label: 'Member', color: '#6366f1', size: 34 },
+    account: { label: 'Account', color: '#0ea5e9', size: 20 },
+    payee: { label: 'Payee', color: '#f59e0b', size: 24 },
+    device: { label: 'Device', color: '#8b5cf6', size: 18 },
+    location: { label: 'Location', color: '#10b981', size: 20 },
+    case: { label: 'Case', color: '#64748b', size: 18 }
+};
+
+const LINK_GRAPH_DEFAULTS = {
+    historyDays: 90,
+    // A payee first paid within this many days counts as new
+    newPayeeDays: 30,
+    minRingMembers: 2,
+    minP2pClusterMembers: 3,
+    maxPayeesPerMember: 12,
+    maxNodes: 300
+};
+
+const LINK_FRAUD_CASE_TYPES = ['fraud', 'aml', 'fraud_alert'];
+
+// =================================================================
+// STATE MANAGEMENT
+// =================================================================
+
+const LinkGraphState = {
+    containerId: 'linkGraphPanel',
+    rootId: null,
+    nodes: new Map(),
+    edges: new Map(),
+    expanded: new Set(),
+    selectedId: null,
+    focusedRing: null,
+    rings: [],
+    // payee key -> Map(memberId -> first payment date), for new-payee rings
+    firstPayments: new Map(),
+    chart: null,
+    loading: false,
+    // API responses, kept for the session so re-expanding is free
+    members: new Map(),
+    cases: null
+};
+
+function resetLinkGraph() {
+    LinkGraphState.nodes = new Map();
+    LinkGraphState.edges = new Map();
+    LinkGraphState.expanded = new Set();
+    LinkGraphState.selectedId = null;
+    LinkGraphState.focusedRing = null;
+    LinkGraphState.rings = [];
+    LinkGraphState.firstPayments = new Map();
+}
+
+// =================================================================
+// DATA LOADING
+// =================================================================
+
+/**
+ * Member profile, devices and transaction history (cached)
+ * @param {string} memberId - Party ID
+ * @returns {Promise<Object|null>} { party, accounts, devices, transactions }
+ */
+async function loadLinkMember(memberId) {
+    if (LinkGraphState.members.has(memberId)) return LinkGraphState.members.get(memberId);
+
+    try {
+        const [profile, history] = await Promise.all([
+            apiRequest(`/fiserv/api/v1/member360/${memberId}`),
+            apiRequest(`/fiserv/api/v1/transactions/${memberId}?days=${LINK_GRAPH_DEFAULTS.historyDays}`)
+        ]);
+        const record = {
+            party: profile.party,
+            accounts: profile.accounts || [],
+            devices: profile.devices || [],
+            transactions: history.transactions || []
+        };
+        LinkGraphState.members.set(memberId, record);
+        return record;
+    } catch (error) {
+        console.warn(`[Link Analysis] Could not load ${memberId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * All cases (cached)
+ * @returns {Promise<Array>} Cases
+ */
+async function loadLinkCases() {
+    if (LinkGraphState.cases) return LinkGraphState.cases;
+    try {
+        const response = await apiRequest('/fiserv/api/v1/cases');
+        LinkGraphState.cases = response.cases || [];
+    } catch (error) {
+        console.warn('[Link Analysis] Cases unavailable:', error);
+        return [];
+    }
+    return LinkGraphState.cases;
+}
+
+/**
+ * Members searched when expanding a payee, device or location: everyone
+ * already in the graph plus subjects of open fraud / AML cases
+ * @returns {Promise<Array<string>>} Party IDs
+ */
+async function linkCandidateMembers() {
+    const cases = await loadLinkCases();
+    const ids = new Set(cases
+        .filter(c => LINK_FRAUD_CASE_TYPES.includes(c.type) && c.status !== 'closed' && c.member_id)
+        .map(c => c.member_id));
+    LinkGraphState.nodes.forEach(node => {
+        if (node.type === 'member') ids.add(node.key);
+    });
+    return [...ids];
+}
+
+// =================================================================
+// GRAPH CONSTRUCTION
+// =================================================================
+
+const linkNodeId = (type, key) => `${type}:${key}`;
+
+function addLinkNode(type, key, label, data = {}) {
+    const id = linkNodeId(type, key);
+    if (!LinkGraphState.nodes.has(id)) {
+        if (LinkGraphState.nodes.size >= LINK_GRAPH_DEFAULTS.maxNodes) return null;
+        LinkGraphState.nodes.set(id, { id, type, key, label, data });
+    } else {
+        Object.assign(LinkGraphState.nodes.get(id).data, data);
+    }
+    return id;
+}
+
+function addLinkEdge(source, target, kind, tx = null) {
+    if (!source || !target || source === target) return;
+    const id = [source, target].sort().join('|') + `|${kind}`;
+    if (!LinkGraphState.edges.has(id)) {
+        LinkGraphState.edges.set(id, { id, source, target, kind, count: 0, amount: 0, first: null, last: null });
+    }
+    const edge = LinkGraphState.edges.get(id);
+    if (tx) {
+        edge.count++;
+        edge.amount += Math.abs(tx.amount || 0);
+        edge.first = !edge.first || tx.date < edge.first ? tx.date : edge.first;
+        edge.last = !edge.last || tx.date > edge.last ? tx.date : edge.last;
+    }
+}
+
+/**
+ * Who an outgoing transaction paid. Bills, card spend and transfers between
+ * a member's own accounts are not relationships worth graphing.
+ * @param {Object} tx - Fiserv transaction
+ * @returns {Object|null} { type: 'member'|'payee', key, label }
+ */
+function linkPayeeOf(tx) {
+    if (tx.dr_cr !== 'DR') return null;
+    if (/^P\d+$/.test(tx.counterparty_id || '')) {
+        return { type: 'member', key: tx.counterparty_id, label: tx.description.replace(/^Zelle to /, '') };
+    }
+    if (tx.counterparty_id) return null;
+
+    const external = tx.type === 'wire' || tx.type === 'p2p' || (tx.type === 'ach' && tx.category === 'transfer');
+    if (!external) return null;
+    const label = tx.description.replace(/^(Wire Transfer Out|ACH Transfer|Zelle to|Zelle)\s*-?\s*/i, '').trim() || tx.description;
+    return { type: 'payee', key: label.toLowerCase(), label };
+}
+
+/**
+ * Where cash activity happened ("Cash Deposit - Dover Branch", "ATM Withdrawal - Dover")
+ * @param {Object} tx - Fiserv transaction
+ * @returns {string|null} Branch name
+ */
+function linkBranchOf(tx) {
+    if (tx.type !== 'cash') return null;
+    const match = /-\s*(.+?)(\s+Branch)?$/.exec(tx.description || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Add a member and its accounts, counterparties, devices, locations and cases
+ * @param {string} memberId - Party ID
+ * @returns {Promise<boolean>} False when the member could not be loaded
+ */
+async function expandLinkMember(memberId) {
+    const [record, cases] = await Promise.all([loadLinkMember(memberId), loadLinkCases()]);
+    if (!record) return false;
+
+    const { party } = record;
+    const memberNode = addLinkNode('member', memberId, party.name, { party, devices: record.devices });
+    if (!memberNode) return false;
+    LinkGraphState.nodes.get(memberNode).label = party.name;
+    const accountOwner = new Map(record.accounts.map(a => [a.account_id, a]));
+    record.accounts.forEach(account => {
+        const accountNode = addLinkNode('account', account.account_id, `${account.type || 'Account'} ${account.account_id.slice(-4)}`, { account, memberId });
+        addLinkEdge(memberNode, accountNode, 'owns');
+    });
+
+    // Counterparties, strongest first
+    const payees = new Map();
+    record.transactions.forEach(tx => {
+        const payee = linkPayeeOf(tx);
+        if (!payee) return;
+        const key = `${payee.type}:${payee.key}`;
+        if (!payees.has(key)) payees.set(key, { ...payee, total: 0, txs: [] });
+        payees.get(key).total += tx.amount;
+        payees.get(key).txs.push(tx);
+    });
+    [...payees.values()]
+        .sort((a, b) => b.total - a.total)
+        .slice(0, LINK_GRAPH_DEFAULTS.maxPayeesPerMember)
+        .forEach(payee => {
+            const target = payee.type === 'member'
+                ? addLinkNode('member', payee.key, payee.label)
+                : addLinkNode('payee', payee.key, payee.label);
+            payee.txs.forEach(tx => {
+                const from = accountOwner.has(tx.account_id) ? linkNodeId('account', tx.account_id) : memberNode;
+                addLinkEdge(from, target, payee.type === 'member' ? 'transfer' : 'paid', tx);
+                recordLinkPayment(payee, memberId, tx);
+            });
+        });
+
+    // Inbound P2P from other members
+    record.transactions
+        .filter(tx => tx.dr_cr === 'CR' && /^P\d+$/.test(tx.counterparty_id || ''))
+        .forEach(tx => {
+            const source = addLinkNode('member', tx.counterparty_id, tx.description.replace(/^Zelle from /, ''));
+            addLinkEdge(source, linkNodeId('account', tx.account_id), 'transfer', tx);
+        });
+
+    record.devices.forEach(device => addLinkEdge(memberNode, addLinkNode('device', device, device), 'uses'));
+
+    if (party.address?.city) {
+        const home = `${party.address.city}, ${party.address.state}`;
+        addLinkEdge(memberNode, addLinkNode('location', home, home), 'lives');
+    }
+    record.transactions.forEach(tx => {
+        const branch = linkBranchOf(tx);
+        if (branch) addLinkEdge(linkNodeId('account', tx.account_id), addLinkNode('location', `branch:${branch}`, `${branch} branch`), 'cash', tx);
+    });
+
+    cases.filter(c => c.member_id === memberId).forEach(c => {
+        addLinkEdge(memberNode, addLinkNode('case', c.id, `${c.id} (${c.type})`, { case: c }), 'subject');
+    });
+
+    LinkGraphState.expanded.add(memberNode);
+    return true;
+}
+
+function recordLinkPayment(payee, memberId, tx) {
+    if (payee.type !== 'payee') return;
+    const payments = LinkGraphState.firstPayments;
+    if (!payments.has(payee.key)) payments.set(payee.key, new Map());
+    const firstPaid = payments.get(payee.key);
+    if (!firstPaid.has(memberId) || tx.date < firstPaid.get(memberId)) firstPaid.set(memberId, tx.date);
+}
+
+/**
+ * Find other candidate members that share a payee, device or location
+ * @param {Object} node - Payee, device or location node
+ * @returns {Promise<number>} Members linked
+ */
+async function expandLinkShared(node) {
+    const candidates = await linkCandidateMembers();
+    let linked = 0;
+
+    for (const memberId of candidates) {
+        const record = await loadLinkMember(memberId);
+        if (!record) continue;
+
+        const matches = {
+            payee: () => record.transactions.some(tx => linkPayeeOf(tx)?.key === node.key && linkPayeeOf(tx).type === 'payee'),
+            device: () => record.devices.includes(node.key),
+            location: () => node.key.startsWith('branch:')
+                ? record.transactions.some(tx => linkBranchOf(tx) === node.key.slice(7))
+                : `${record.party.address?.city}, ${record.party.address?.state}` === node.key
+        }[node.type];
+
+        if (matches && matches()) {
+            const alreadyExpanded = LinkGraphState.expanded.has(linkNodeId('member', memberId));
+            await expandLinkMember(memberId);
+            if (!alreadyExpanded) linked++;
+        }
+    }
+
+    LinkGraphState.expanded.add(node.id);
+    return linked;
+}
+
+/**
+ * Expand one node of the graph
+ * @param {string} nodeId - Node ID
+ * @returns {Promise<void>}
+ */
+async function expandLinkNode(nodeId) {
+    const node = LinkGraphState.nodes.get(nodeId);
+    if (!node || LinkGraphState.loading) return;
+
+    LinkGraphState.selectedId = nodeId;
+    if (LinkGraphState.expanded.has(nodeId)) {
+        renderLinkGraph();
+        return;
+    }
+
+    LinkGraphState.loading = true;
+    renderLinkGraph();
+    try {
+        if (node.type === 'member') {
+            await expandLinkMember(node.key);
+        } else if (node.type === 'account') {
+            await expandLinkMember(node.data.memberId);
+            LinkGraphState.expanded.add(nodeId);
+        } else if (node.type === 'case') {
+            const memberId = node.data.case?.member_id;
+            if (memberId) await expandLinkMember(memberId);
+            LinkGraphState.expanded.add(nodeId);
+        } else {
+            const linked = await expandLinkShared(node);
+            if (typeof showNotification === 'function') {
+                showNotification(linked ? `${linked} linked member(s) found via ${node.label}` : `No other members found via ${node.label}`, linked ? 'warning' : 'info');
+            }
+        }
+        LinkGraphState.rings = detectLinkRings();
+    } finally {
+        LinkGraphState.loading = false;
+        renderLinkGraph();
+    }
+}
+
+// =================================================================
+// RING DETECTION
+// =================================================================
+
+function linkNeighbors(nodeId, kinds = null) {
+    const neighbors = [];
+    LinkGraphState.edges.forEach(edge => {
+        if (kinds && !kinds.includes(edge.kind)) return;
+        if (edge.source === nodeId) neighbors.push(edge.target);
+        else if (edge.target === nodeId) neighbors.push(edge.source);
+    });
+    return neighbors;
+}
+
+function linkOwnerOf(nodeId) {
+    const node = LinkGraphState.nodes.get(nodeId);
+    if (!node) return null;
+    if (node.type === 'member') return nodeId;
+    if (node.type === 'account') return linkNodeId('member', node.data.memberId);
+    return null;
+}
+
+/**
+ * Detect rings over the loaded graph
+ * @returns {Array} Rings: { id, kind, label, severity, nodeIds }
+ */
+function detectLinkRings() {
+    const rings = [];
+    const newSince = new Date(Date.now() - LINK_GRAPH_DEFAULTS.newPayeeDays * 86400000).toISOString().slice(0, 10);
+
+    // Several members paying the same payee, new to most of them
+    LinkGraphState.nodes.forEach(node => {
+        if (node.type !== 'payee') return;
+        const firstPaid = LinkGraphState.firstPayments.get(node.key) || new Map();
+        const payers = [...firstPaid.keys()].filter(id => LinkGraphState.nodes.has(linkNodeId('member', id)));
+        const newPayers = payers.filter(id => firstPaid.get(id) >= newSince);
+        if (payers.length >= LINK_GRAPH_DEFAULTS.minRingMembers && newPayers.length >= LINK_GRAPH_DEFAULTS.minRingMembers) {
+            const payerNodes = payers.map(id => linkNodeId('member', id));
+            rings.push({
+                id: `ring:${node.id}`,
+                kind: 'shared_new_payee',
+                label: `${newPayers.length} members started paying ${node.label}`,
+                severity: 'critical',
+                nodeIds: [node.id, ...payerNodes, ...linkNeighbors(node.id, ['paid']).filter(id => payerNodes.includes(linkOwnerOf(id)))]
+            });
+        }
+    });
+
+    // Devices used by more than one member
+    LinkGraphState.nodes.forEach(node => {
+        if (node.type !== 'device') return;
+        const users = linkNeighbors(node.id, ['uses']);
+        if (users.length >= LINK_GRAPH_DEFAULTS.minRingMembers) {
+            rings.push({
+                id: `ring:${node.id}`,
+                kind: 'shared_device',
+                label: `Device ${node.label} shared by ${users.length} members`,
+                severity: 'high',
+                nodeIds: [node.id, ...users]
+            });
+        }
+    });
+
+    // Members connected to each other by P2P transfers
+    const adjacency = new Map();
+    LinkGraphState.edges.forEach(edge => {
+        if (edge.kind !== 'transfer') return;
+        const a = linkOwnerOf(edge.source);
+        const b = linkOwnerOf(edge.target);
+        if (!a || !b || a === b) return;
+        [[a, b], [b, a]].forEach(([from, to]) => {
+            if (!adjacency.has(from)) adjacency.set(from, new Set());
+            adjacency.get(from).add(to);
+        });
+    });
+    const seen = new Set();
+    adjacency.forEach((_, start) => {
+        if (seen.has(start)) return;
+        const component = [];
+        const stack = [start];
+        while (stack.length) {
+            const id = stack.pop();
+            if (seen.has(id)) continue;
+            seen.add(id);
+            component.push(id);
+            adjacency.get(id)?.forEach(next => stack.push(next));
+        }
+        if (component.length >= LINK_GRAPH_DEFAULTS.minP2pClusterMembers) {
+            rings.push({
+                id: `ring:p2p:${component.sort()[0]}`,
+                kind: 'p2p_cluster',
+                label: `${component.length} members moving money between each other`,
+                severity: 'high',
+                nodeIds: [...component, ...[...LinkGraphState.nodes.values()]
+                    .filter(n => n.type === 'account' && component.includes(linkOwnerOf(n.id)))
+                    .map(n => n.id)]
+            });
+        }
+    });
+
+    return rings;
+}
+
+// =================================================================
+// RENDER FUNCTIONS
+// =================================================================
+
+function linkMoney(value) {
+    return `$${Math.round(value || 0).toLocaleString()}`;
+}
+
+function linkNodeDetails(node) {
+    if (!node) return '<div style="color: #6b7280;">Click a node to expand it.</div>';
+    const edges = [...LinkGraphState.edges.values()].filter(e => e.source === node.id || e.target === node.id);
+    const expanded = LinkGraphState.expanded.has(node.id);
+    const party = node.data.party;
+
+    return `
+        <div style="font-weight: 700;">${escapeHtml(node.label)}</div>
+        <div style="font-size: 0.8rem; color: ${LINK_NODE_TYPES[node.type].color}; margin-bottom: 0.5rem;">${LINK_NODE_TYPES[node.type].label} · ${edges.length} links${expanded ? '' : ' · not expanded'}</div>
+        ${party ? `<div style="font-size: 0.85rem; color: #4b5563;">${escapeHtml(party.party_id)} · ${escapeHtml(party.address?.city || '')}, ${escapeHtml(party.address?.state || '')}</div>` : ''}
+        ${node.data.case ? `<div style="font-size: 0.85rem; color: #4b5563;">${escapeHtml(node.data.case.subject)} · ${node.data.case.status}</div>` : ''}
+        <div style="margin-top: 0.5rem; max-height: 180px; overflow-y: auto; font-size: 0.8rem;">
+            ${edges.slice(0, 20).map(e => {
+                const other = LinkGraphState.nodes.get(e.source === node.id ? e.target : e.source);
+                const activity = e.count > 0
+                    ? ` · ${e.count}× ${linkMoney(e.amount)} <span style="color: #9ca3af;">${e.first}${e.last !== e.first ? ` → ${e.last}` : ''}</span>`
+                    : '';
+                return `<div style="padding: 2px 0;">${e.kind} · ${escapeHtml(other?.label || '')}${activity}</div>`;
+            }).join('')}
+        </div>
+        ${expanded ? '' : `<button onclick="expandLinkNode('${node.id.replace(/'/g, "\\'")}')" class="btn" style="margin-top: 0.5rem; background: #6366f1; color: white;">Expand</button>`}
+        ${node.type === 'member' ? `<button onclick="openSARForMember('${escapeHtml(node.label).replace(/'/g, "\\'")}', 0, '${node.key}')" class="btn" style="margin-top: 0.5rem; background: #e5e7eb;">📄 File SAR</button>` : ''}
+    `;
+}
+
+function linkChartOption() {
+    const ringNodes = new Set(LinkGraphState.rings.flatMap(r => r.nodeIds));
+    const focus = LinkGraphState.rings.find(r => r.id === LinkGraphState.focusedRing);
+    const focusNodes = focus ? new Set(focus.nodeIds) : null;
+    const types = Object.keys(LINK_NODE_TYPES);
+    const degree = new Map();
+    LinkGraphState.edges.forEach(e => {
+        degree.set(e.source, (degree.get(e.source) || 0) + 1);
+        degree.set(e.target, (degree.get(e.target) || 0) + 1);
+    });
+
+    const nodes = [...LinkGraphState.nodes.values()].map(node => {
+        const meta = LINK_NODE_TYPES[node.type];
+        const inRing = ringNodes.has(node.id);
+        const faded = focusNodes && !focusNodes.has(node.id);
+        return {
+            id: node.id,
+            name: node.label,
+            category: types.indexOf(node.type),
+            symbolSize: meta.size + Math.min(degree.get(node.id) || 0, 10) * 1.5,
+            symbol: node.type === 'member' ? 'circle' : node.type === 'payee' ? 'diamond' : node.type === 'device' ? 'rect' : node.type === 'case' ? 'triangle' : 'roundRect',
+            label: { show: node.type === 'member' || node.type === 'payee' || inRing || node.id === LinkGraphState.selectedId },
+            itemStyle: {
+                color: meta.color,
+                borderColor: inRing ? '#dc2626' : LinkGraphState.expanded.has(node.id) ? '#1e293b' : '#fff',
+                borderWidth: inRing ? 4 : node.id === LinkGraphState.rootId ? 3 : 1,
+                opacity: faded ? 0.2 : 1
+            }
+        };
+    });
+
+    const links = [...LinkGraphState.edges.values()].map(edge => {
+        const inRing = ringNodes.has(edge.source) && ringNodes.has(edge.target) && edge.kind !== 'owns' && edge.kind !== 'lives';
+        const faded = focusNodes && !(focusNodes.has(edge.source) && focusNodes.has(edge.target));
+        return {
+            source: edge.source,
+            target: edge.target,
+            value: edge.amount,
+            kind: edge.kind,
+            count: edge.count,
+            lineStyle: {
+                color: inRing ? '#dc2626' : '#94a3b8',
+                width: inRing ? 3 : edge.count > 0 ? 1 + Math.min(edge.count, 6) * 0.4 : 1,
+                type: edge.kind === 'uses' || edge.kind === 'lives' ? 'dashed' : 'solid',
+                opacity: faded ? 0.1 : 0.8
+            }
+        };
+    });
+
+    return {
+        backgroundColor: 'transparent',
+        tooltip: {
+            formatter: params => params.dataType === 'node'
+                ? `<b>${escapeHtml(params.name)}</b><br>${LINK_NODE_TYPES[LinkGraphState.nodes.get(params.data.id)?.type]?.label || ''}`
+                : `${params.data.kind}${params.data.count ? `: ${params.data.count}× ${linkMoney(params.data.value)}` : ''}`
+        },
+        legend: [{ data: types.map(t => LINK_NODE_TYPES[t].label), top: 0 }],
+        series: [{
+            type: 'graph',
+            layout: 'force',
+            data: nodes,
+            links,
+            categories: types.map(t => ({ name: LINK_NODE_TYPES[t].label, itemStyle: { color: LINK_NODE_TYPES[t].color } })),
+            roam: true,
+            draggable: true,
+            force: { repulsion: 260, gravity: 0.08, edgeLength: [50, 160], layoutAnimation: true },
+            emphasis: { focus: 'adjacency', lineStyle: { width: 4 } },
+            label: { position: 'right', fontSize: 11 }
+        }]
+    };
+}
+
+/**
+ * Render the link analysis panel (graph, node details, ring list)
+ * @param {string} containerId - Container element ID
+ */
+function renderLinkGraph(containerId = LinkGraphState.containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    LinkGraphState.containerId = containerId;
+
+    if (!LinkGraphState.rootId) {
+        container.innerHTML = '<div style="padding: 2rem; text-align: center; color: #6b7280;">Open an investigation to map the member\'s network.</div>';
+        return;
+    }
+
+    let canvas = container.querySelector('#linkGraphCanvas');
+    if (!canvas) {
+        container.innerHTML = `
+            <div style="display: grid; grid-template-columns: 1fr 280px; gap: 1rem;">
+                <div id="linkGraphCanvas" style="height: 480px; background: #f8fafc; border-radius: 12px;"></div>
+                <div>
+                    <div id="linkGraphStatus" style="font-size: 0.8rem; color: #6b7280; margin-bottom: 0.5rem;"></div>
+                    <div id="linkGraphRings" style="margin-bottom: 1rem;"></div>
+                    <div id="linkGraphDetails" style="background: #f8fafc; border-radius: 8px; padding: 0.75rem;"></div>
+                </div>
+            </div>
+        `;
+        canvas = container.querySelector('#linkGraphCanvas');
+        LinkGraphState.chart?.dispose();
+        LinkGraphState.chart = null;
+    }
+
+    const status = container.querySelector('#linkGraphStatus');
+    status.textContent = LinkGraphState.loading
+        ? 'Loading…'
+        : `${LinkGraphState.nodes.size} nodes · ${LinkGraphState.edges.size} links · ${LinkGraphState.expanded.size} expanded · click a node to expand`;
+
+    container.querySelector('#linkGraphRings').innerHTML = LinkGraphState.rings.length === 0
+        ? '<div style="font-size: 0.85rem; color: #16a34a;">No rings detected in the loaded network</div>'
+        : LinkGraphState.rings.map(ring => `
+            <div onclick="focusLinkRing('${ring.id.replace(/'/g, "\\'")}')" style="cursor: pointer; padding: 0.4rem 0.6rem; margin-bottom: 0.4rem; border-radius: 6px; font-size: 0.85rem;
+                background: ${LinkGraphState.focusedRing === ring.id ? '#fecaca' : '#fef2f2'}; border-left: 4px solid ${ring.severity === 'critical' ? '#dc2626' : '#f97316'};">
+                ${ring.kind === 'shared_new_payee' ? '💸' : ring.kind === 'shared_device' ? '📱' : '🔁'} ${escapeHtml(ring.label)}
+            </div>
+        `).join('');
+
+    container.querySelector('#linkGraphDetails').innerHTML = linkNodeDetails(LinkGraphState.nodes.get(LinkGraphState.selectedId));
+
+    if (typeof echarts === 'undefined') {
+        canvas.innerHTML = `<div style="padding: 1rem; font-size: 0.85rem;">${[...LinkGraphState.nodes.values()].map(n => `
+            <div onclick="expandLinkNode('${n.id.replace(/'/g, "\\'")}')" style="cursor: pointer; color: ${LINK_NODE_TYPES[n.type].color};">${LINK_NODE_TYPES[n.type].label}: ${escapeHtml(n.label)}</div>
+        `).join('')}</div>`;
+        return;
+    }
+
+    if (!LinkGraphState.chart) {
+        LinkGraphState.chart = echarts.init(canvas, null, { renderer: 'canvas' });
+        LinkGraphState.chart.on('click', params => {
+            if (params.dataType === 'node') expandLinkNode(params.data.id);
+        });
+        window.addEventListener('resize', () => LinkGraphState.chart?.resize());
+    }
+    LinkGraphState.chart.setOption(linkChartOption(), { replaceMerge: ['series'] });
+}
+
+// =================================================================
+// UI HANDLERS
+// =================================================================
+
+/**
+ * Start a link analysis rooted at a member
+ * @param {string} memberId - Party or account ID
+ * @returns {Promise<void>}
+ */
+async function openLinkAnalysis(memberId) {
+    if (!memberId || memberId === 'Unknown') return;
+    resetLinkGraph();
+    // Investigations may start from an account; the graph is keyed by party
+    const record = await loadLinkMember(memberId);
+    const partyId = record?.party?.party_id || memberId;
+    if (record) LinkGraphState.members.set(partyId, record);
+
+    LinkGraphState.rootId = linkNodeId('member', partyId);
+    addLinkNode('member', partyId, record?.party?.name || partyId);
+    await expandLinkNode(LinkGraphState.rootId);
+}
+
+function focusLinkRing(ringId) {
+    LinkGraphState.focusedRing = LinkGraphState.focusedRing === ringId ? null : ringId;
+    renderLinkGraph();
+}
+
+// =================================================================
+// GLOBAL EXPORTS
+// =================================================================
+
+window.LinkGraphState = LinkGraphState;
+window.openLinkAnalysis = openLinkAnalysis;
+window.expandLinkNode = expandLinkNode;
+window.detectLinkRings = detectLinkRings;
+window.focusLinkRing = focusLinkRing;
+window.renderLinkGraph = renderLinkGraph;
+
+// Auto-initialize
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => renderLinkGraph());
+} else {
+    renderLinkGraph();
+}
@@ -487,10 +487,14 @@ function showMemberTimeline(memberId) {
 
 /**
  * Generate sample timeline events (demo data)
+ * Uses the member's generated history from synthetic_bank.js when loaded.
  * @param {string} memberId - Member ID
  * @returns {Array} Timeline events
  */
 function generateSampleTimeline(memberId) {
+    if (typeof SyntheticBank !== 'undefined') {
+        return SyntheticBank.population.timeline(memberId);
+    }
     return [
         { date: new Date().toISOString(), title: 'Called Member Services', description: 'Inquiry about auto loan rates', color: '#3b82f6' },
         { date: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(), title: 'Mobile Deposit', description: 'Check deposit: $1,250.00', color: '#10b981' },
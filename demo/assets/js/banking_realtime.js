@@ -1,28 +1,802 @@
 /**
- * Banking Real-Time Module - DISABLED FOR PERFORMANCE
- * ====================================================
- * This module was causing system freezes due to attempting to access 
- * non-existent DOM elements. It has been disabled pending HTML fixes.
- * 
- * Original functionality: WebSocket simulation, automated alerts, batch processing
- */
-
-// Stub functions to prevent errors - do nothing
-function startEventStream() { console.log('[Realtime] Module disabled - pending fix'); }
-function stopEventStream() { }
-function toggleEventStream() { }
-function filterEvents() { }
-function toggleAlertRule() { }
-function deleteAlertRule() { }
-function addAlertRule() { }
-function runBatchNow() { }
-function refreshBatchQueue() { }
-function initRealtimeModule() { console.log('[Realtime] Module disabled - pending fix'); }
-
-// Global exports (stubs)
+ * Banking Real-Time Module - Live Transaction Stream
+ * ==================================================
+ * Follows the core's transaction feed (WebSocket against a live backend,
+ * SSE against the mock server, resuming from a cursor when a finite mock
+ * stream ends), scores every event with calculateFraudScore and evaluates
+ * user-defined alert rules client-side. The feed keeps a bounded buffer and
+ * renders only the rows in view, so a long-running stream cannot grow the
+ * DOM. Also shows the core's batch job queue.
+ *
+ * Every render looks its elements up and returns when they are missing;
+ * the stream only starts on request and only when its feed exists.
+ *
+ * Dependencies: api-client.js (window.api), banking_security.js
+ *               (calculateFraudScore, createAlert, priorityForRiskLevel)
+ * Used by: banking.html (Real-Time Stream section)
+ *
+ * @module banking_realtime
+ * @version 2.0.0
+ */
+
+// =================================================================
+// CONSTANTS
+// =================================================================
+
+const REALTIME_ENDPOINTS = {
+    stream: '/api/v1/banking/stream/transactions',
+    socket: '/api/v1/banking/stream/ws',
+    batchJobs: '/api/v1/banking/batch/jobs'
+};
+
+const REALTIME_LIMITS = {
+    // Events kept in memory; older ones fall off the end
+    maxEvents: 2000,
+    rowHeight: 30,
+    // Rows rendered above and below the viewport
+    overscan: 8,
+    // Events requested per mock SSE connection
+    streamBatch: 40,
+    reconnectMs: 1000,
+    maxReconnects: 5,
+    // Posted history fetched per member as the scoring baseline
+    baselineDays: 90,
+    // Members whose baseline and stream history are cached
+    maxProfiles: 500,
+    // Recent stream transactions per member passed to history (velocity) rules
+    memberHistory: 20,
+    // Transactions waiting to be scored; arrivals beyond this are dropped
+    maxBacklog: 200,
+    rateWindowMs: 10000,
+    batchRefreshMs: 5000
+};
+
+const REALTIME_RULE_FIELDS = {
+    amount: { label: 'Amount', numeric: true },
+    fraudScore: { label: 'Fraud score', numeric: true },
+    fraudRule: { label: 'Fraud rule fired' },
+    riskLevel: { label: 'Risk level' },
+    type: { label: 'Type' },
+    channel: { label: 'Channel' },
+    description: { label: 'Description' },
+    state: { label: 'State' },
+    memberId: { label: 'Member ID' }
+};
+
+const REALTIME_RULE_OPERATORS = {
+    gt: { label: '>', test: (a, b) => Number(a) > Number(b) },
+    gte: { label: '≥', test: (a, b) => Number(a) >= Number(b) },
+    lt: { label: '<', test: (a, b) => Number(a) < Number(b) },
+    eq: { label: '=', test: (a, b) => String(a).toLowerCase() === String(b).toLowerCase() },
+    neq: { label: '≠', test: (a, b) => String(a).toLowerCase() !== String(b).toLowerCase() },
+    contains: { label: 'contains', test: (a, b) => String(a).toLowerCase().includes(String(b).toLowerCase()) }
+};
+
+const REALTIME_RULE_ACTIONS = {
+    notify: 'Highlight + notify',
+    queue: 'Add to alert queue'
+};
+
+const DEFAULT_REALTIME_RULES = [
+    { id: 'rt-high-score', name: 'Fraud score needs review', field: 'fraudScore', operator: 'gte', value: 30, action: 'queue', enabled: true },
+    { id: 'rt-new-payee', name: 'Large payment to a first-time payee', field: 'fraudRule', operator: 'contains', value: 'new_payee', action: 'queue', enabled: true },
+    { id: 'rt-large-amount', name: 'Large transaction', field: 'amount', operator: 'gte', value: 8000, action: 'notify', enabled: true },
+    { id: 'rt-wires', name: 'Any wire', field: 'type', operator: 'eq', value: 'wire', action: 'notify', enabled: false }
+];
+
+const REALTIME_EVENT_TYPES = ['cash', 'wire', 'p2p', 'ach', 'card', 'transfer'];
+
+// =================================================================
+// STATE MANAGEMENT
+// =================================================================
+
+const RealtimeState = {
+    running: false,
+    transport: null,
+    // Stop function for the current connection
+    close: null,
+    cursor: 0,
+    reconnects: 0,
+    reconnectTimer: null,
+    // Newest first, at most REALTIME_LIMITS.maxEvents
+    events: [],
+    filter: { type: 'all', text: '', flaggedOnly: false },
+    rules: [],
+    received: 0,
+    flagged: 0,
+    arrivals: [],
+    // memberId -> Promise of { history, homeState } (scoring baseline)
+    baselines: new Map(),
+    // memberId -> transactions seen on the stream, newest first
+    recent: new Map(),
+    // Scoring waits on baselines; this keeps events in arrival order
+    pipeline: Promise.resolve(),
+    // Transactions queued on the pipeline, and those dropped because it was full
+    backlog: 0,
+    dropped: 0,
+    renderPending: false,
+    // Feed head and the row at the top of the viewport as of the last render
+    renderedHeadId: null,
+    scrollAnchor: null,
+    batchJobs: [],
+    batchJobTypes: {},
+    batchTimer: null,
+    lastError: null
+};
+
+function loadRealtimeRules() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('scuRealtimeAlertRules') || 'null');
+        RealtimeState.rules = Array.isArray(saved) ? saved : DEFAULT_REALTIME_RULES.map(rule => ({ ...rule }));
+    } catch (error) {
+        console.warn('[Realtime] Ignoring invalid saved alert rules:', error);
+        RealtimeState.rules = DEFAULT_REALTIME_RULES.map(rule => ({ ...rule }));
+    }
+}
+
+function persistRealtimeRules() {
+    localStorage.setItem('scuRealtimeAlertRules', JSON.stringify(RealtimeState.rules));
+}
+
+// =================================================================
+// SCORING & ALERT RULES
+// =================================================================
+
+/**
+ * Posted history and home state (from member360) for a member, fetched once
+ * and kept while the member is among the most recently streamed (the cache
+ * is bounded)
+ * @param {string} memberId - Party ID
+ * @returns {Promise<{history: Array, homeState: string|undefined}>} Baseline
+ */
+function realtimeMemberBaseline(memberId) {
+    const cache = RealtimeState.baselines;
+    if (cache.has(memberId)) {
+        const cached = cache.get(memberId);
+        cache.delete(memberId);
+        cache.set(memberId, cached);
+        return cached;
+    }
+    const id = encodeURIComponent(memberId);
+    const history = window.api.get(`/fiserv/api/v1/transactions/${id}?days=${REALTIME_LIMITS.baselineDays}`)
+        .then(data => data.transactions || [])
+        .catch(error => {
+            console.warn(`[Realtime] No baseline for ${memberId}:`, error);
+            return [];
+        });
+    const homeState = window.api.get(`/fiserv/api/v1/member360/${id}`)
+        .then(data => data.party?.address?.state || undefined)
+        .catch(error => {
+            console.warn(`[Realtime] No home state for ${memberId}:`, error);
+            return undefined;
+        });
+    const loading = Promise.all([history, homeState]).then(([h, state]) => ({ history: h, homeState: state }));
+    cache.set(memberId, loading);
+    if (cache.size > REALTIME_LIMITS.maxProfiles) cache.delete(cache.keys().next().value);
+    return loading;
+}
+
+/**
+ * Score a streamed transaction against the member's baseline (posted
+ * history before it) plus what the stream has shown this session
+ * @param {Object} tx - Streamed transaction
+ * @param {Array} history - Member's posted transactions
+ * @param {string} [homeState] - Member's home state from member360
+ * @returns {Object} Feed event
+ */
+function scoreRealtimeTransaction(tx, history = [], homeState) {
+    const memberId = tx.member_id || tx.account_id || 'unknown';
+    const payeeOf = t => t.counterparty_id || t.merchant || t.description;
+    const payee = payeeOf(tx);
+    const prior = history.filter(h => h.transaction_id !== tx.source_transaction_id && (!tx.date || h.date < tx.date));
+    const streamed = RealtimeState.recent.get(memberId) || [];
+    const amounts = [...prior.map(h => Math.abs(h.amount)), ...streamed.map(t => Math.abs(t.amount))];
+    const knownPayees = new Set([...prior.filter(h => h.dr_cr === 'DR').map(payeeOf), ...streamed.map(t => t.payee)]);
+
+    const transaction = {
+        id: tx.transaction_id,
+        memberId,
+        accountId: tx.account_id,
+        amount: tx.amount,
+        timestamp: tx.posted_at || new Date().toISOString(),
+        type: tx.type,
+        direction: tx.dr_cr,
+        channel: tx.channel,
+        description: tx.description,
+        payee,
+        isNewPayee: tx.dr_cr === 'DR' && Boolean(payee) && amounts.length > 0 && !knownPayees.has(payee),
+        location: { state: tx.state }
+    };
+    const profile = {
+        memberId,
+        homeState,
+        averageTransaction: amounts.length ? amounts.reduce((a, b) => a + b, 0) / amounts.length : undefined
+    };
+
+    // Velocity rules count what arrived on the stream, which is in real time
+    const fraudScore = typeof calculateFraudScore === 'function'
+        ? calculateFraudScore(transaction, profile, { history: streamed })
+        : null;
+
+    RealtimeState.recent.set(memberId, [transaction, ...streamed].slice(0, REALTIME_LIMITS.memberHistory));
+    if (RealtimeState.recent.size > REALTIME_LIMITS.maxProfiles) {
+        RealtimeState.recent.delete(RealtimeState.recent.keys().next().value);
+    }
+
+    return {
+        id: tx.transaction_id,
+        receivedAt: Date.now(),
+        tx,
+        transaction,
+        fraudScore,
+        matchedRules: []
+    };
+}
+
+/**
+ * Value of a rule field for a feed event
+ * @param {Object} event - Feed event
+ * @param {string} field - Key of REALTIME_RULE_FIELDS
+ * @returns {*} Field value
+ */
+function realtimeFieldValue(event, field) {
+    switch (field) {
+        case 'fraudScore': return event.fraudScore?.score ?? 0;
+        case 'riskLevel': return event.fraudScore?.riskLevel || '';
+        // Rule IDs and names, so 'contains' matches either
+        case 'fraudRule': return (event.fraudScore?.factors || []).map(f => `${f.ruleId} ${f.factor}`).join(' | ');
+        case 'memberId': return event.transaction.memberId;
+        case 'state': return event.tx.state || '';
+        default: return event.tx[field] ?? '';
+    }
+}
+
+/**
+ * Rules an event matches (enabled rules only)
+ * @param {Object} event - Feed event
+ * @param {Array} rules - Alert rules
+ * @returns {Array} Matching rules
+ */
+function evaluateRealtimeRules(event, rules = RealtimeState.rules) {
+    return rules.filter(rule => {
+        if (!rule.enabled) return false;
+        const operator = REALTIME_RULE_OPERATORS[rule.operator];
+        return operator ? operator.test(realtimeFieldValue(event, rule.field), rule.value) : false;
+    });
+}
+
+/**
+ * Act on matched rules: notify once per event, and queue at most one
+ * fraud alert however many queue rules matched
+ * @param {Object} event - Feed event
+ */
+function applyRealtimeRuleActions(event) {
+    if (event.matchedRules.length === 0) return;
+    RealtimeState.flagged++;
+    event.matchedRules.forEach(rule => { rule.hits = (rule.hits || 0) + 1; });
+
+    const queueRule = event.matchedRules.find(rule => rule.action === 'queue');
+    if (queueRule && event.fraudScore && typeof createAlert === 'function') {
+        const priority = typeof priorityForRiskLevel === 'function' ? priorityForRiskLevel(event.fraudScore.riskLevel) : 'MEDIUM';
+        const alert = createAlert(event.transaction, event.fraudScore, priority);
+        event.alertId = alert.id;
+    }
+
+    if (typeof showNotification === 'function') {
+        const names = event.matchedRules.map(rule => rule.name).join(', ');
+        showNotification(`${names}: ${event.tx.member_name || event.transaction.memberId} ${formatRealtimeAmount(event.tx.amount)}`, queueRule ? 'warning' : 'info');
+    }
+}
+
+// =================================================================
+// EVENT STREAM
+// =================================================================
+
+/**
+ * Add a streamed transaction to the feed
+ * @param {Object} tx - Streamed transaction
+ * @returns {Promise<Object>} Feed event
+ */
+async function ingestRealtimeTransaction(tx) {
+    const { history, homeState } = await realtimeMemberBaseline(tx.member_id || tx.account_id);
+    const event = scoreRealtimeTransaction(tx, history, homeState);
+    event.matchedRules = evaluateRealtimeRules(event);
+    applyRealtimeRuleActions(event);
+
+    RealtimeState.events.unshift(event);
+    if (RealtimeState.events.length > REALTIME_LIMITS.maxEvents) {
+        RealtimeState.events.length = REALTIME_LIMITS.maxEvents;
+    }
+    RealtimeState.received++;
+    RealtimeState.arrivals.push(event.receivedAt);
+    scheduleRealtimeRender();
+    return event;
+}
+
+function handleRealtimeMessage(type, data) {
+    if (!RealtimeState.running) return;
+    RealtimeState.reconnects = 0;
+    if (type === 'transaction') {
+        // Shed load rather than let a slow baseline fetch queue the stream without bound
+        if (RealtimeState.backlog >= REALTIME_LIMITS.maxBacklog) {
+            RealtimeState.dropped++;
+            scheduleRealtimeRender();
+            return;
+        }
+        RealtimeState.backlog++;
+        RealtimeState.pipeline = RealtimeState.pipeline
+            .then(() => ingestRealtimeTransaction(data))
+            .catch(error => console.error('[Realtime] Could not score transaction:', error))
+            .finally(() => { RealtimeState.backlog--; });
+    } else if (type === 'end') {
+        // Mock streams are finite: resume from where this one stopped
+        RealtimeState.cursor = data?.next_cursor ?? RealtimeState.cursor;
+        RealtimeState.close?.();
+        scheduleRealtimeReconnect(0);
+    } else if (type === 'ready') {
+        RealtimeState.lastError = null;
+        renderRealtimeStatus();
+    }
+}
+
+function handleRealtimeError(error) {
+    if (!RealtimeState.running) return;
+    console.warn('[Realtime] Stream interrupted:', error);
+    RealtimeState.lastError = error?.message || 'Stream interrupted';
+    RealtimeState.reconnects++;
+    if (RealtimeState.reconnects > REALTIME_LIMITS.maxReconnects) {
+        stopEventStream();
+        RealtimeState.lastError = 'Stream unavailable - gave up after repeated failures';
+        renderRealtimeStatus();
+        return;
+    }
+    renderRealtimeStatus();
+    scheduleRealtimeReconnect(REALTIME_LIMITS.reconnectMs * 2 ** (RealtimeState.reconnects - 1));
+}
+
+function scheduleRealtimeReconnect(delayMs) {
+    clearTimeout(RealtimeState.reconnectTimer);
+    RealtimeState.reconnectTimer = setTimeout(() => {
+        if (RealtimeState.running) connectRealtimeStream();
+    }, delayMs);
+}
+
+/**
+ * Open the WebSocket feed. Messages are { event, data } envelopes or bare
+ * transactions. Falls back to SSE if the socket never opens.
+ * @returns {() => void} Stop function
+ */
+function connectRealtimeSocket() {
+    const url = window.api.buildURL(REALTIME_ENDPOINTS.socket).replace(/^http/, 'ws');
+    const socket = new WebSocket(url);
+    let opened = false;
+
+    socket.onopen = () => {
+        opened = true;
+        RealtimeState.reconnects = 0;
+        RealtimeState.lastError = null;
+        renderRealtimeStatus();
+    };
+    socket.onmessage = (message) => {
+        try {
+            const payload = JSON.parse(message.data);
+            if (payload.event) handleRealtimeMessage(payload.event, payload.data);
+            else handleRealtimeMessage('transaction', payload);
+        } catch (error) {
+            console.warn('[Realtime] Ignoring malformed message:', error);
+        }
+    };
+    socket.onclose = () => {
+        if (!RealtimeState.running || RealtimeState.transport !== 'websocket') return;
+        if (!opened) {
+            console.info('[Realtime] WebSocket unavailable, falling back to SSE');
+            RealtimeState.transport = 'sse';
+            connectRealtimeStream();
+            return;
+        }
+        handleRealtimeError(new Error('WebSocket closed'));
+    };
+
+    return () => {
+        socket.onclose = null;
+        socket.close();
+    };
+}
+
+function connectRealtimeSse() {
+    return window.api.openEventStream(REALTIME_ENDPOINTS.stream, {
+        query: { cursor: RealtimeState.cursor, batch: REALTIME_LIMITS.streamBatch },
+        events: ['ready', 'transaction', 'end'],
+        onEvent: handleRealtimeMessage,
+        onError: handleRealtimeError,
+        maxReconnects: REALTIME_LIMITS.maxReconnects
+    });
+}
+
+function connectRealtimeStream() {
+    RealtimeState.close?.();
+    RealtimeState.close = RealtimeState.transport === 'websocket' ? connectRealtimeSocket() : connectRealtimeSse();
+    renderRealtimeStatus();
+}
+
+/**
+ * Start following the transaction feed. Uses a WebSocket against a live
+ * backend and SSE against the mock server (which has no sockets).
+ */
+function startEventStream() {
+    if (RealtimeState.running) return;
+    if (!document.getElementById('eventFeed')) {
+        console.warn('[Realtime] #eventFeed is missing; not starting the stream');
+        return;
+    }
+    if (!window.api) {
+        console.warn('[Realtime] API client not ready; not starting the stream');
+        return;
+    }
+    RealtimeState.running = true;
+    RealtimeState.reconnects = 0;
+    RealtimeState.lastError = null;
+    RealtimeState.transport = !window.MockAPI && typeof WebSocket !== 'undefined' ? 'websocket' : 'sse';
+    connectRealtimeStream();
+}
+
+function stopEventStream() {
+    RealtimeState.running = false;
+    clearTimeout(RealtimeState.reconnectTimer);
+    RealtimeState.close?.();
+    RealtimeState.close = null;
+    renderRealtimeStatus();
+}
+
+function toggleEventStream() {
+    if (RealtimeState.running) stopEventStream();
+    else startEventStream();
+}
+
+// =================================================================
+// BATCH JOBS
+// =================================================================
+
+async function refreshBatchQueue() {
+    if (!window.api) return;
+    try {
+        const data = await window.api.get(REALTIME_ENDPOINTS.batchJobs);
+        RealtimeState.batchJobs = data.jobs || [];
+        RealtimeState.batchJobTypes = data.job_types || RealtimeState.batchJobTypes;
+    } catch (error) {
+        console.warn('[Realtime] Batch queue unavailable:', error);
+    }
+    renderBatchQueue();
+}
+
+/**
+ * Queue a batch job on the core
+ * @param {string} jobType - Job type key (defaults to the panel's selection)
+ */
+async function runBatchNow(jobType) {
+    const type = jobType || document.getElementById('realtimeBatchType')?.value;
+    if (!type || !window.api) return;
+    try {
+        const data = await window.api.post(REALTIME_ENDPOINTS.batchJobs, { job_type: type });
+        if (typeof showNotification === 'function') showNotification(`${data.job?.name || type} queued`, 'success');
+    } catch (error) {
+        if (typeof showNotification === 'function') showNotification(`Could not queue job: ${error.message}`, 'error');
+    }
+    await refreshBatchQueue();
+}
+
+// Poll only while the panel is on screen, and stop for good once it is gone
+function startBatchPolling() {
+    clearInterval(RealtimeState.batchTimer);
+    RealtimeState.batchTimer = setInterval(() => {
+        const panel = document.getElementById('realtimeBatchQueue');
+        if (!panel) {
+            clearInterval(RealtimeState.batchTimer);
+            RealtimeState.batchTimer = null;
+            return;
+        }
+        if (panel.offsetParent !== null && !document.hidden) refreshBatchQueue();
+    }, REALTIME_LIMITS.batchRefreshMs);
+}
+
+// =================================================================
+// RENDER FUNCTIONS
+// =================================================================
+
+function formatRealtimeAmount(value) {
+    return `$${(Number(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function scheduleRealtimeRender() {
+    if (RealtimeState.renderPending) return;
+    RealtimeState.renderPending = true;
+    const run = () => {
+        RealtimeState.renderPending = false;
+        renderEventFeed();
+        renderRealtimeStatus();
+    };
+    if (typeof requestAnimationFrame === 'function') requestAnimationFrame(run);
+    else setTimeout(run, 16);
+}
+
+function filteredRealtimeEvents() {
+    const { type, text, flaggedOnly } = RealtimeState.filter;
+    const needle = text.trim().toLowerCase();
+    return RealtimeState.events.filter(event => {
+        if (type !== 'all' && event.tx.type !== type) return false;
+        if (flaggedOnly && event.matchedRules.length === 0) return false;
+        if (!needle) return true;
+        return [event.tx.member_name, event.transaction.memberId, event.tx.description, event.tx.account_id]
+            .some(value => String(value || '').toLowerCase().includes(needle));
+    });
+}
+
+function realtimeRowHtml(event) {
+    const score = event.fraudScore?.score ?? 0;
+    const flagged = event.matchedRules.length > 0;
+    const time = new Date(event.receivedAt).toLocaleTimeString();
+    const scoreColor = score >= 60 ? 'var(--neon-rose, #f43f5e)' : score >= 30 ? 'var(--neon-amber, #f59e0b)' : 'var(--neon-emerald, #10b981)';
+    const sign = event.tx.dr_cr === 'CR' ? '+' : '-';
+    return `
+        <div style="height: ${REALTIME_LIMITS.rowHeight}px; display: grid; grid-template-columns: 80px 60px 1fr 110px 50px; gap: 0.5rem; align-items: center;
+            padding: 0 0.5rem; white-space: nowrap; overflow: hidden; ${flagged ? 'background: rgba(244, 63, 94, 0.12);' : ''}"
+            title="${escapeHtml(event.matchedRules.map(rule => rule.name).join(', '))}">
+            <span style="color: var(--text-secondary);">${time}</span>
+            <span>${escapeHtml(event.tx.type || '')}</span>
+            <span style="overflow: hidden; text-overflow: ellipsis;">${flagged ? '🚩 ' : ''}${escapeHtml(event.tx.member_name || event.transaction.memberId)} · ${escapeHtml(event.tx.description || '')}</span>
+            <span style="text-align: right;">${sign}${formatRealtimeAmount(event.tx.amount)}</span>
+            <span style="text-align: right; color: ${scoreColor};">${score}</span>
+        </div>
+    `;
+}
+
+/**
+ * Render the visible slice of the feed. The spacer keeps the scrollbar
+ * sized for every buffered event while only the rows in view exist.
+ */
+function renderEventFeed() {
+    const feed = document.getElementById('eventFeed');
+    if (!feed) return;
+
+    let spacer = feed.querySelector('#realtimeFeedSpacer');
+    if (!spacer) {
+        feed.style.position = 'relative';
+        feed.innerHTML = '<div id="realtimeFeedSpacer" style="position: relative;"><div id="realtimeFeedRows" style="position: absolute; left: 0; right: 0;"></div></div>';
+        feed.onscroll = scheduleRealtimeRender;
+        spacer = feed.querySelector('#realtimeFeedSpacer');
+    }
+    const rows = spacer.querySelector('#realtimeFeedRows');
+    const events = filteredRealtimeEvents();
+    const rowHeight = REALTIME_LIMITS.rowHeight;
+
+    spacer.style.height = `${events.length * rowHeight}px`;
+
+    // Keep the row a reader has scrolled to in place as new events arrive on top
+    const headId = events[0]?.id || null;
+    const anchor = RealtimeState.scrollAnchor;
+    if (headId !== RealtimeState.renderedHeadId && anchor && feed.scrollTop > 0) {
+        const index = events.findIndex(event => event.id === anchor.id);
+        if (index >= 0) feed.scrollTop = index * rowHeight + anchor.offset;
+    }
+    RealtimeState.renderedHeadId = headId;
+    const topRow = events[Math.floor(feed.scrollTop / rowHeight)];
+    RealtimeState.scrollAnchor = topRow ? { id: topRow.id, offset: feed.scrollTop % rowHeight } : null;
+
+    if (events.length === 0) {
+        rows.style.top = '0px';
+        rows.innerHTML = `<div style="padding: 1rem; color: var(--text-secondary);">${RealtimeState.running ? 'Waiting for transactions…' : 'Stream stopped. Press Start to follow live transactions.'}</div>`;
+        return;
+    }
+
+    const viewport = feed.clientHeight || 300;
+    const first = Math.max(0, Math.floor(feed.scrollTop / rowHeight) - REALTIME_LIMITS.overscan);
+    const last = Math.min(events.length, Math.ceil((feed.scrollTop + viewport) / rowHeight) + REALTIME_LIMITS.overscan);
+    rows.style.top = `${first * rowHeight}px`;
+    rows.innerHTML = events.slice(first, last).map(realtimeRowHtml).join('');
+}
+
+function renderRealtimeStatus() {
+    const now = Date.now();
+    RealtimeState.arrivals = RealtimeState.arrivals.filter(t => now - t <= REALTIME_LIMITS.rateWindowMs);
+    const rate = RealtimeState.arrivals.length / (REALTIME_LIMITS.rateWindowMs / 1000);
+
+    const rateEl = document.getElementById('realtimeRate');
+    if (rateEl) rateEl.textContent = `● ${rate.toFixed(1)} TPS`;
+
+    const toggle = document.getElementById('realtimeToggleBtn');
+    if (toggle) toggle.textContent = RealtimeState.running ? '⏸ Stop' : '▶ Start';
+
+    const status = document.getElementById('realtimeStatus');
+    if (!status) return;
+    const state = RealtimeState.running
+        ? `Live via ${RealtimeState.transport === 'websocket' ? 'WebSocket' : 'SSE'}`
+        : 'Stopped';
+    status.innerHTML = `
+        <span style="color: ${RealtimeState.running ? 'var(--neon-emerald, #10b981)' : 'var(--text-secondary)'};">${state}</span>
+        · ${RealtimeState.received.toLocaleString()} received
+        · ${RealtimeState.flagged.toLocaleString()} flagged
+        · ${RealtimeState.events.length.toLocaleString()}/${REALTIME_LIMITS.maxEvents.toLocaleString()} buffered
+        ${RealtimeState.dropped ? `· ${RealtimeState.dropped.toLocaleString()} dropped (scoring backlog full)` : ''}
+        ${RealtimeState.lastError ? `· <span style="color: var(--neon-rose, #f43f5e);">${escapeHtml(RealtimeState.lastError)}</span>` : ''}
+    `;
+}
+
+function renderRealtimeRules() {
+    const container = document.getElementById('realtimeAlertRules');
+    if (!container) return;
+
+    const fieldOptions = Object.entries(REALTIME_RULE_FIELDS).map(([key, f]) => `<option value="${key}">${f.label}</option>`).join('');
+    const operatorOptions = Object.entries(REALTIME_RULE_OPERATORS).map(([key, op]) => `<option value="${key}">${op.label}</option>`).join('');
+    const actionOptions = Object.entries(REALTIME_RULE_ACTIONS).map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+
+    container.innerHTML = `
+        ${RealtimeState.rules.length === 0 ? '<div style="color: var(--text-secondary); font-size: 0.85rem;">No alert rules defined</div>' : ''}
+        ${RealtimeState.rules.map(rule => `
+            <div style="display: flex; align-items: center; gap: 0.5rem; padding: 0.4rem 0; border-bottom: 1px solid rgba(255, 255, 255, 0.08); font-size: 0.85rem;">
+                <input type="checkbox" ${rule.enabled ? 'checked' : ''} onchange="toggleAlertRule('${escapeHtml(rule.id)}')">
+                <div style="flex: 1; ${rule.enabled ? '' : 'opacity: 0.5;'}">
+                    <div style="color: var(--text-primary);">${escapeHtml(rule.name)}</div>
+                    <div style="color: var(--text-secondary); font-size: 0.75rem;">
+                        ${REALTIME_RULE_FIELDS[rule.field]?.label || escapeHtml(rule.field)} ${REALTIME_RULE_OPERATORS[rule.operator]?.label || escapeHtml(rule.operator)} ${escapeHtml(String(rule.value))}
+                        → ${REALTIME_RULE_ACTIONS[rule.action] || escapeHtml(rule.action)} · ${rule.hits || 0} hits
+                    </div>
+                </div>
+                <button class="btn btn-secondary" style="padding: 0.2rem 0.5rem;" onclick="deleteAlertRule('${escapeHtml(rule.id)}')">✕</button>
+            </div>
+        `).join('')}
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.4rem; margin-top: 0.75rem;">
+            <input id="rtRuleName" class="form-input" placeholder="Rule name" style="grid-column: span 2;">
+            <select id="rtRuleField" class="form-input">${fieldOptions}</select>
+            <select id="rtRuleOperator" class="form-input">${operatorOptions}</select>
+            <input id="rtRuleValue" class="form-input" placeholder="Value">
+            <select id="rtRuleAction" class="form-input">${actionOptions}</select>
+            <button class="btn btn-primary" style="grid-column: span 2;" onclick="addAlertRule()">+ Add rule</button>
+        </div>
+        <div id="rtRuleError" style="color: var(--neon-rose, #f43f5e); font-size: 0.8rem; margin-top: 0.25rem;"></div>
+    `;
+}
+
+function renderBatchQueue() {
+    const container = document.getElementById('realtimeBatchQueue');
+    if (!container) return;
+
+    const statusColors = { queued: 'var(--text-secondary)', running: 'var(--neon-cyan, #06b6d4)', completed: 'var(--neon-emerald, #10b981)', failed: 'var(--neon-rose, #f43f5e)' };
+    const typeOptions = Object.entries(RealtimeState.batchJobTypes)
+        .map(([key, type]) => `<option value="${key}">${escapeHtml(type.name)}</option>`).join('');
+    const selected = document.getElementById('realtimeBatchType')?.value;
+    const counts = RealtimeState.batchJobs.reduce((acc, job) => ({ ...acc, [job.status]: (acc[job.status] || 0) + 1 }), {});
+
+    container.innerHTML = `
+        <div style="display: flex; gap: 0.5rem; margin-bottom: 0.75rem;">
+            <select id="realtimeBatchType" class="form-input" style="flex: 1;">${typeOptions}</select>
+            <button class="btn btn-primary" onclick="runBatchNow()" ${typeOptions ? '' : 'disabled'}>Run now</button>
+        </div>
+        <div style="font-size: 0.8rem; color: var(--text-secondary); margin-bottom: 0.5rem;">
+            ${counts.running || 0} running · ${counts.queued || 0} queued · ${counts.failed || 0} failed
+        </div>
+        ${RealtimeState.batchJobs.length === 0 ? '<div style="color: var(--text-secondary); font-size: 0.85rem;">No batch jobs</div>' : ''}
+        ${RealtimeState.batchJobs.slice(0, 12).map(job => `
+            <div style="padding: 0.4rem 0; border-bottom: 1px solid rgba(255, 255, 255, 0.08); font-size: 0.85rem;">
+                <div style="display: flex; justify-content: space-between;">
+                    <span style="color: var(--text-primary);">${escapeHtml(job.name)}</span>
+                    <span style="color: ${statusColors[job.status] || 'inherit'};">${escapeHtml(job.status)}${job.status === 'running' ? ` ${job.progress}%` : ''}</span>
+                </div>
+                <div style="height: 4px; background: rgba(255, 255, 255, 0.08); border-radius: 2px; margin: 0.25rem 0;">
+                    <div style="height: 100%; width: ${job.progress}%; background: ${statusColors[job.status] || 'inherit'}; border-radius: 2px;"></div>
+                </div>
+                <div style="color: var(--text-secondary); font-size: 0.75rem;">
+                    ${escapeHtml(job.id)} · queued ${new Date(job.queued_at).toLocaleString()} by ${escapeHtml(job.requested_by || 'scheduler')}
+                    ${job.error ? `<br><span style="color: var(--neon-rose, #f43f5e);">${escapeHtml(job.error)}</span>` : ''}
+                </div>
+            </div>
+        `).join('')}
+    `;
+    if (selected) container.querySelector('#realtimeBatchType').value = selected;
+}
+
+// =================================================================
+// UI HANDLERS
+// =================================================================
+
+function filterEvents() {
+    RealtimeState.filter = {
+        type: document.getElementById('realtimeFilterType')?.value || 'all',
+        text: document.getElementById('realtimeFilterText')?.value || '',
+        flaggedOnly: Boolean(document.getElementById('realtimeFilterFlagged')?.checked)
+    };
+    const feed = document.getElementById('eventFeed');
+    if (feed) feed.scrollTop = 0;
+    RealtimeState.scrollAnchor = null;
+    scheduleRealtimeRender();
+}
+
+function toggleAlertRule(ruleId) {
+    const rule = RealtimeState.rules.find(r => r.id === ruleId);
+    if (!rule) return;
+    rule.enabled = !rule.enabled;
+    persistRealtimeRules();
+    renderRealtimeRules();
+}
+
+function deleteAlertRule(ruleId) {
+    RealtimeState.rules = RealtimeState.rules.filter(r => r.id !== ruleId);
+    persistRealtimeRules();
+    renderRealtimeRules();
+}
+
+/**
+ * Add an alert rule from the rule form, or from a definition
+ * @param {Object} definition - { name, field, operator, value, action }
+ * @returns {Object|null} Added rule, or null when invalid
+ */
+function addAlertRule(definition) {
+    const input = definition || {
+        name: document.getElementById('rtRuleName')?.value.trim(),
+        field: document.getElementById('rtRuleField')?.value,
+        operator: document.getElementById('rtRuleOperator')?.value,
+        value: document.getElementById('rtRuleValue')?.value.trim(),
+        action: document.getElementById('rtRuleAction')?.value
+    };
+    const field = REALTIME_RULE_FIELDS[input.field];
+    const showError = message => {
+        const errorEl = document.getElementById('rtRuleError');
+        if (errorEl) errorEl.textContent = message;
+        return null;
+    };
+
+    if (!input.name) return showError('Give the rule a name');
+    if (!field || !REALTIME_RULE_OPERATORS[input.operator]) return showError('Choose a field and operator');
+    if (input.value === undefined || input.value === '') return showError('Enter a value to compare against');
+    const numericOperator = ['gt', 'gte', 'lt'].includes(input.operator);
+    if (numericOperator && !field.numeric) return showError(`${field.label} can only use =, ≠ or contains`);
+    if (field.numeric && !Number.isFinite(Number(input.value))) return showError(`${field.label} needs a number`);
+
+    const rule = {
+        id: `rt-${Date.now().toString(36)}-${RealtimeState.rules.length}`,
+        name: input.name,
+        field: input.field,
+        operator: input.operator,
+        value: field.numeric ? Number(input.value) : input.value,
+        action: REALTIME_RULE_ACTIONS[input.action] ? input.action : 'notify',
+        enabled: true,
+        hits: 0
+    };
+    RealtimeState.rules.push(rule);
+    persistRealtimeRules();
+    renderRealtimeRules();
+    return rule;
+}
+
+// =================================================================
+// INITIALIZATION
+// =================================================================
+
+function initRealtimeModule() {
+    loadRealtimeRules();
+    const typeFilter = document.getElementById('realtimeFilterType');
+    if (typeFilter && typeFilter.options.length <= 1) {
+        typeFilter.innerHTML = '<option value="all">All types</option>' +
+            REALTIME_EVENT_TYPES.map(type => `<option value="${type}">${type}</option>`).join('');
+    }
+    renderEventFeed();
+    renderRealtimeStatus();
+    renderRealtimeRules();
+    if (document.getElementById('realtimeBatchQueue')) {
+        refreshBatchQueue();
+        startBatchPolling();
+    }
+}
+
+// =================================================================
+// GLOBAL EXPORTS
+// =================================================================
+
+window.RealtimeState = RealtimeState;
 window.startEventStream = startEventStream;
 window.stopEventStream = stopEventStream;
 window.toggleEventStream = toggleEventStream;
+window.ingestRealtimeTransaction = ingestRealtimeTransaction;
+window.evaluateRealtimeRules = evaluateRealtimeRules;
 window.filterEvents = filterEvents;
 window.toggleAlertRule = toggleAlertRule;
 window.deleteAlertRule = deleteAlertRule;
@@ -31,4 +805,9 @@ window.runBatchNow = runBatchNow;
 window.refreshBatchQueue = refreshBatchQueue;
 window.initRealtimeModule = initRealtimeModule;
 
-console.log('[Realtime] Module loaded (DISABLED - preventing freeze)');
+// Auto-initialize (window.api is installed by DOMContentLoaded)
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initRealtimeModule);
+} else {
+    initRealtimeModule();
+}
@@ -3,7 +3,7 @@
  * ==========================================================
  * Report generation, compliance audit, regulatory templates, metrics
  * 
- * Dependencies: banking_core.js, banking_member.js
+ * Dependencies: banking_core.js, banking_member.js, banking_bsa_filing.js
  * Used by: banking.html
  * 
  * @module banking_reporting
@@ -240,16 +240,16 @@ function generateTransactionSummary(options = {}) {
 
 /**
  * Generate Currency Transaction Report (CTR)
- * @param {Array} transactions - Transactions over $10,000
+ * @param {Array} transactions - Cash transactions; aggregated per member and business day
  * @returns {Object} CTR report data
  */
 function generateCTR(transactions = []) {
     const now = new Date();
 
-    // Filter transactions over $10,000 (BSA threshold)
-    const reportableTransactions = transactions.filter(tx =>
-        Math.abs(tx.amount || 0) >= 10000
-    );
+    // Cash in or out over $10,000 per member per business day (BSA threshold)
+    const reportableDays = aggregateCashTransactions(transactions).filter(day => day.reportable);
+    const reportableTransactions = reportableDays.flatMap(day => day.transactions);
+    const institution = getInstitutionProfile();
 
     const report = {
         reportId: `CTR-${Date.now()}`,
@@ -257,33 +257,44 @@ function generateCTR(transactions = []) {
         generatedAt: now.toISOString(),
         filingDate: now.toISOString().split('T')[0],
 
-        // Institution Info
+        // Institution Info (Settings → Institution)
         filingInstitution: {
-            name: 'Service Credit Union',
-            charterId: 'NCUA-12345',
-            address: '3003 Lafayette Rd, Portsmouth, NH 03801'
+            name: institution.name,
+            ein: institution.ein,
+            regulator: institution.regulator,
+            address: formatInstitutionAddress(institution)
         },
 
         // Transaction Details
         transactions: reportableTransactions.map(tx => ({
             transactionId: tx.id || `TX-${Date.now()}`,
-            date: tx.date || now.toISOString(),
+            date: tx.date,
             amount: tx.amount,
-            type: tx.type || 'CASH',
-            conductedBy: tx.memberId || 'Unknown'
+            direction: tx.direction === 'CR' ? 'CASH_IN' : 'CASH_OUT',
+            type: tx.type.toUpperCase(),
+            conductedBy: tx.memberId
+        })),
+
+        // One CTR per member and business day
+        filings: reportableDays.map(day => ({
+            memberId: day.memberId,
+            date: day.date,
+            cashIn: day.cashIn,
+            cashOut: day.cashOut,
+            aggregated: day.aggregated
         })),
 
         // Summary
         summary: {
             totalTransactions: reportableTransactions.length,
-            totalValue: reportableTransactions.reduce((sum, tx) => sum + Math.abs(tx.amount || 0), 0),
-            cashIn: reportableTransactions.filter(tx => (tx.amount || 0) > 0).length,
-            cashOut: reportableTransactions.filter(tx => (tx.amount || 0) < 0).length
+            totalValue: reportableTransactions.reduce((sum, tx) => sum + tx.amount, 0),
+            cashIn: reportableTransactions.filter(tx => tx.direction === 'CR').length,
+            cashOut: reportableTransactions.filter(tx => tx.direction === 'DR').length
         },
 
         // Compliance
         compliance: {
-            threshold: 10000,
+            threshold: CTR_THRESHOLD,
             regulatoryBasis: 'Bank Secrecy Act (BSA) 31 CFR 1010.311',
             filingDeadline: new Date(now.getTime() + 15 * 24 * 60 * 60 * 1000).toISOString().split('T')[0] // 15 days
         },
@@ -294,7 +305,7 @@ function generateCTR(transactions = []) {
     ReportingState.generatedReports.unshift(report);
     localStorage.setItem('scuReports', JSON.stringify(ReportingState.generatedReports.slice(0, 100)));
 
-    logAuditEvent('CTR_GENERATED', { reportId: report.reportId, transactionCount: reportableTransactions.length });
+    logAuditEvent('CTR_GENERATED', { reportId: report.reportId, transactionCount: reportableTransactions.length, filings: reportableDays.length });
 
     return report;
 }
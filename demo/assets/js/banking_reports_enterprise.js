@@ -173,6 +173,7 @@ function downloadReport(reportId) {
 
 /**
  * Generate sample report content based on template
+ * Rows come from the synthetic population (synthetic_bank.js) when loaded.
  * @param {Object} job - Report job
  * @returns {string} CSV content
  */
@@ -182,19 +183,151 @@ function generateSampleReportContent(job) {
         sar: 'Case ID,Member ID,Alert Type,Risk Score,Status,Filed Date',
         bsa: 'Date,Large Cash In,Large Cash Out,Wire In,Wire Out,CTRs Filed',
         ofac: 'Screening Date,Name Searched,Match Type,Match Score,Action Taken',
-        board: 'Metric,Current Period,Prior Period,Change,YTD',
-        branch: 'Branch,Deposits,Loans,Members,Transactions,Satisfaction',
+        board: 'Metric,Current Period',
+        branch: 'Branch,Deposits,Loans,Members,Loans Delinquent',
         portfolio: 'Asset Class,Balance,# Accounts,Yield,Delinquency',
-        kpi: 'KPI,Target,Actual,Variance,Status'
+        kpi: 'KPI,Target,Actual,Variance,Status',
+        daily_ops: 'Date,Transactions,Deposits,Withdrawals,Cash Activity',
+        member_activity: 'Member ID,Name,Segment,Transactions (30d),Deposits (30d),Withdrawals (30d)'
     };
 
+    const rows = typeof SyntheticBank !== 'undefined' ? buildPopulationReportRows(job.templateId, SyntheticBank.population) : null;
+    if (rows && headers[job.templateId]) {
+        return [headers[job.templateId], ...rows.map(toCsvRow)].join('\n');
+    }
+
     const header = headers[job.templateId] || 'Date,Value,Category,Notes';
-    const rows = Array(10).fill(0).map((_, i) => {
+    const sampleRows = Array(10).fill(0).map((_, i) => {
         const date = new Date(Date.now() - i * 24 * 60 * 60 * 1000).toLocaleDateString();
         return `${date},Sample Data ${i + 1},Category ${i % 3 + 1},Auto-generated`;
     });
 
-    return [header, ...rows].join('\n');
+    return [header, ...sampleRows].join('\n');
+}
+
+/**
+ * Quote a CSV row's values where needed
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line
+ */
+function toCsvRow(values) {
+    return values.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+/**
+ * Build report rows for a template from the synthetic population.
+ * Transaction-level reports read the first 200 members plus up to 50
+ * members with a fraud pattern, so they stay quick at 100k members.
+ * @param {string} templateId - Report template ID
+ * @param {Object} population - SyntheticBank population
+ * @returns {Array<Array>|null} Rows, or null when the template has no generator
+ */
+function buildPopulationReportRows(templateId, population) {
+    const money = value => value.toFixed(2);
+    const pct = value => `${value.toFixed(1)}%`;
+    const sampledMembers = () => {
+        const seen = new Set();
+        return [...population.members({ limit: 200 }), ...population.fraudMembers().slice(0, 50)]
+            .filter(m => !seen.has(m.party_id) && seen.add(m.party_id));
+    };
+    const sampledTransactions = days => sampledMembers().flatMap(m => population.transactions(m.party_id, { days }));
+    const lastDays = count => Array.from({ length: count }, (_, i) => new Date(new Date(population.asOf).getTime() - i * 24 * 60 * 60 * 1000).toISOString().split('T')[0]);
+    const isLargeCash = tx => tx.type === 'cash' && tx.amount >= 10000;
+
+    switch (templateId) {
+        case 'ctr': {
+            const filingCutoff = lastDays(15)[14];
+            return sampledTransactions(60)
+                .filter(isLargeCash)
+                .map(tx => [tx.date, tx.member_id, money(tx.amount), tx.dr_cr === 'CR' ? 'Cash In' : 'Cash Out', tx.date < filingCutoff ? 'Filed' : 'Pending']);
+        }
+        case 'sar':
+            return population.cases()
+                .filter(c => c.type === 'fraud' || c.type === 'aml')
+                .map(c => [
+                    c.id,
+                    c.member_id,
+                    (c.fraud_pattern || c.type).replace(/_/g, ' '),
+                    c.priority === 'critical' ? 92 : 78,
+                    c.status,
+                    c.type === 'aml' && c.resolved_at ? c.resolved_at.split('T')[0] : ''
+                ]);
+        case 'bsa': {
+            const txs = sampledTransactions(10);
+            return lastDays(10).map(date => {
+                const day = txs.filter(tx => tx.date === date);
+                const sum = list => money(list.reduce((total, tx) => total + tx.amount, 0));
+                return [
+                    date,
+                    sum(day.filter(tx => isLargeCash(tx) && tx.dr_cr === 'CR')),
+                    sum(day.filter(tx => isLargeCash(tx) && tx.dr_cr === 'DR')),
+                    sum(day.filter(tx => tx.type === 'wire' && tx.dr_cr === 'CR')),
+                    sum(day.filter(tx => tx.type === 'wire' && tx.dr_cr === 'DR')),
+                    day.filter(isLargeCash).length
+                ];
+            });
+        }
+        case 'ofac':
+            return population.members({ limit: 25 }).map((m, i) => {
+                const rng = SyntheticBank.createRandom(population.seed, 'ofac', m.party_id);
+                const score = Math.round(rng.range(0, 0.6) * 100);
+                return [lastDays(7)[i % 7], m.name, score >= 50 ? 'Partial (name)' : 'No Match', score, score >= 50 ? 'Reviewed - False Positive' : 'Cleared'];
+            });
+        case 'board': {
+            const summary = population.summary();
+            return [
+                ['Total Members', summary.total_members],
+                ['Total Deposits', money(summary.total_deposits)],
+                ['Total Loans', money(summary.total_loans)],
+                ['Loan Count', summary.loan_count],
+                ['Delinquency Rate', pct(summary.delinquency_rate)],
+                ['Average Credit Score', summary.avg_credit_score],
+                ['Members Flagged for Fraud', summary.fraud_members]
+            ];
+        }
+        case 'branch':
+            return Object.entries(population.summary().branches).map(([branch, b]) => [
+                branch, money(b.deposits), money(b.loans), b.members, b.loan_count ? pct((b.delinquent / b.loan_count) * 100) : pct(0)
+            ]);
+        case 'portfolio':
+            return Object.entries(population.summary().loan_types).map(([type, l]) => [
+                type, money(l.balance), l.count, pct(l.rate_total / l.count), pct((l.delinquent / l.count) * 100)
+            ]);
+        case 'kpi': {
+            const summary = population.summary();
+            const loanToDeposit = summary.total_deposits ? (summary.total_loans / summary.total_deposits) * 100 : 0;
+            const fraudRate = (summary.fraud_members / summary.total_members) * 100;
+            const kpi = (label, target, actual, higherIsBetter) => {
+                const met = higherIsBetter ? actual >= target : actual <= target;
+                return [label, target.toFixed(1), actual.toFixed(1), (actual - target).toFixed(1), met ? 'On Track' : 'At Risk'];
+            };
+            return [
+                kpi('Delinquency Rate %', 2.0, summary.delinquency_rate, false),
+                kpi('Average Credit Score', 700, summary.avg_credit_score, true),
+                kpi('Loan-to-Deposit Ratio %', 80, loanToDeposit, false),
+                kpi('Members Flagged for Fraud %', 3.0, fraudRate, false)
+            ];
+        }
+        case 'daily_ops': {
+            const txs = sampledTransactions(10);
+            return lastDays(10).map(date => {
+                const day = txs.filter(tx => tx.date === date);
+                const total = side => money(day.filter(tx => tx.dr_cr === side).reduce((sum, tx) => sum + tx.amount, 0));
+                return [date, day.length, total('CR'), total('DR'), day.filter(tx => tx.type === 'cash').length];
+            });
+        }
+        case 'member_activity':
+            return population.members({ limit: 50 }).map(m => {
+                const txs = population.transactions(m.party_id, { days: 30 });
+                const total = side => money(txs.filter(tx => tx.dr_cr === side).reduce((sum, tx) => sum + tx.amount, 0));
+                return [m.party_id, m.name, m.segment, txs.length, total('CR'), total('DR')];
+            });
+        default:
+            return null;
+    }
 }
 
 /**
@@ -1,9 +1,10 @@
 /**
  * Banking Security Module - Phase 4 Fraud & Security
  * ===================================================
- * Transaction anomaly detection, velocity checks, fraud scoring, alert management
+ * Transaction anomaly detection, velocity checks, fraud scoring, and the fraud
+ * alert lifecycle (state machine, SLA timers, escalation, persisted as cases)
  * 
- * Dependencies: banking_core.js
+ * Dependencies: banking_core.js, banking_fraud_rules.js, banking_bsa_filing.js
  * Used by: banking.html
  * 
  * @module banking_security
@@ -37,34 +38,17 @@ const SecurityState = {
 // =================================================================
 
 /**
- * Get CSRF token for authenticated requests
- */
-function getSecurityCsrfToken() {
-    const match = document.cookie.match(/ws_csrf=([^;]+)/);
-    return match ? match[1] : '';
-}
-
-/**
- * Make authenticated API request
+ * Make authenticated API request through the shared API client
  * @param {string} url - API endpoint
- * @param {Object} options - Fetch options
+ * @param {Object} options - Fetch options (method, body as JSON string or object)
  * @returns {Promise<Object>} API response
  */
 async function apiRequest(url, options = {}) {
-    const defaults = {
-        headers: {
-            'Content-Type': 'application/json',
-            'X-CSRF-Token': getSecurityCsrfToken()
-        },
-        credentials: 'include'
-    };
+    const { method = 'GET', body, headers = {} } = options;
+    const jsonHeaders = typeof body === 'string' ? { 'Content-Type': 'application/json', ...headers } : headers;
 
     try {
-        const response = await fetch(url, { ...defaults, ...options });
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status}`);
-        }
-        return await response.json();
+        return await window.api.request(method, url, { body, headers: jsonHeaders });
     } catch (error) {
         console.error(`[Security API] ${url} failed:`, error);
         throw error;
@@ -187,8 +171,6 @@ function deriveAlertsFromTransactions(transactions) {
         }
     });
 
-    // Update state
-    SecurityState.alertQueue = alerts;
     return alerts;
 }
 
@@ -517,21 +499,82 @@ function exportHighRiskReport() {
 }
 
 /**
- * Bulk escalate to BSA
+ * Find the queued alert raised for a risk item (transaction or member)
+ * @param {string} itemId - Risk item ID
+ * @returns {Object|null} Active alert, or the latest one
+ */
+function findAlertForRiskItem(itemId) {
+    const matches = SecurityState.alertQueue.filter(a => a.id === itemId || a.transactionId === itemId);
+    return matches.find(a => a.status !== 'RESOLVED') || matches[0] || null;
+}
+
+/**
+ * Queue an alert for a highest-risk item unless one is already active
+ * @param {Object} item - Item from /fraud/highest-risk
+ * @returns {Object} Alert
+ */
+function alertFromRiskItem(item) {
+    const existing = findAlertForRiskItem(item.id);
+    if (existing && existing.status !== 'RESOLVED') return existing;
+    const priority = ALERT_PRIORITIES[item.priority] ? item.priority : 'HIGH';
+    return createAlert(
+        {
+            id: item.id,
+            memberId: item.member_id,
+            memberName: item.member_name || item.name,
+            amount: item.amount || item.total_exposure || 0
+        },
+        {
+            score: item.score ?? item.risk_score,
+            riskLevel: priority.toLowerCase(),
+            factors: (item.flags || item.flag_types || []).map(f => ({ factor: String(f).replace(/_/g, ' '), severity: 'high', points: 0 }))
+        },
+        priority
+    );
+}
+
+/**
+ * Bulk escalate the listed highest-risk items to the BSA officer
  */
 function bulkEscalate() {
-    const count = document.querySelectorAll('.risk-item').length;
-    if (confirm(`Escalate ${count} high-risk items to BSA Officer?`)) {
-        alert(`${count} items escalated to BSA Officer.\n\nNotification sent.`);
+    const items = Object.values(window._riskItemsCache || {});
+    if (items.length === 0) return;
+    if (!confirm(`Escalate ${items.length} high-risk items to BSA Officer?`)) return;
+
+    const escalated = items
+        .map(item => alertFromRiskItem(item))
+        .filter(alert => alert.status === 'ESCALATED' || escalateAlert(alert.id, 'Bulk escalation from Highest Risk list'));
+
+    refreshAlertViews();
+    if (typeof showNotification === 'function') {
+        showNotification(`${escalated.length} of ${items.length} items escalated to BSA Officer`, 'success');
     }
 }
 
 /**
- * Open member investigation
+ * Open member investigation, with the member's alerts above the profile
  */
-function openMemberInvestigation(memberId) {
-    showFraudTab('investigate');
-    alert(`Opening investigation for member: ${memberId}`);
+async function openMemberInvestigation(memberId) {
+    await openInvestigation(memberId);
+
+    const panel = document.getElementById('investigationPanel');
+    const alerts = SecurityState.alertQueue.filter(a => a.memberId === memberId);
+    if (!panel || alerts.length === 0) return;
+
+    panel.insertAdjacentHTML('afterbegin', `
+        <div style="background: #f8fafc; border: 1px solid #e2e8f0; border-radius: 12px; padding: 1rem 1.25rem; margin-bottom: 1.5rem;">
+            <div style="font-weight: 600; margin-bottom: 0.5rem;">🚨 Alerts for this member (${alerts.length})</div>
+            ${alerts.map(a => `
+                <div style="display: flex; gap: 0.75rem; align-items: center; font-size: 0.85rem; padding: 0.25rem 0;">
+                    <span style="color: ${a.priority.color}; font-weight: 600; min-width: 60px;">${a.priority.label}</span>
+                    ${alertStatusBadge(a.status)}
+                    <span>${a.id}</span>
+                    <span style="color: #6b7280;">${escapeHtml(analystName(a.assignedTo))}</span>
+                    <span style="margin-left: auto;">${slaCountdownHtml(a)}</span>
+                </div>
+            `).join('')}
+        </div>
+    `);
 }
 
 // Update the main dashboard loader
@@ -617,73 +660,46 @@ const ANOMALY_TYPES = {
 };
 
 /**
- * Detect anomalies in a transaction
+ * Detect anomalies in a transaction using the active fraud rule set
+ * (anomaly rules; see banking_fraud_rules.js)
  * @param {Object} transaction - Transaction data
  * @param {Object} memberProfile - Member's historical profile
  * @returns {Array} Array of detected anomalies
  */
 function detectAnomalies(transaction, memberProfile = {}) {
-    const anomalies = [];
     const amount = Math.abs(transaction.amount || 0);
-    const txTime = new Date(transaction.timestamp || Date.now());
-
-    // HIGH VALUE CHECK
-    const avgTransaction = memberProfile.averageTransaction || 500;
-    const highValueThreshold = Math.max(ANOMALY_TYPES.HIGH_VALUE.threshold, avgTransaction * 5);
-
-    if (amount > highValueThreshold) {
-        anomalies.push({
-            ...ANOMALY_TYPES.HIGH_VALUE,
-            details: `$${amount.toLocaleString()} exceeds threshold of $${highValueThreshold.toLocaleString()}`,
-            amount,
-            threshold: highValueThreshold,
-            deviation: ((amount / avgTransaction) * 100).toFixed(0) + '% above average'
-        });
-    }
-
-    // OFF-HOURS CHECK (before 6 AM or after 11 PM)
-    const hour = txTime.getHours();
-    if (hour < 6 || hour >= 23) {
-        anomalies.push({
-            ...ANOMALY_TYPES.OFF_HOURS,
-            details: `Transaction at ${txTime.toLocaleTimeString()}`,
-            hour,
-            normalHours: '6:00 AM - 11:00 PM'
-        });
-    }
-
-    // ROUND AMOUNT CHECK
-    if (amount >= 1000 && amount % 1000 === 0) {
-        anomalies.push({
-            ...ANOMALY_TYPES.ROUND_AMOUNT,
-            details: `$${amount.toLocaleString()} is a round number`,
-            amount
-        });
-    }
-
-    // NEW PAYEE LARGE TRANSFER CHECK
-    if (transaction.isNewPayee && amount > 2000) {
-        anomalies.push({
-            ...ANOMALY_TYPES.NEW_PAYEE,
-            details: `$${amount.toLocaleString()} to first-time recipient`,
-            payee: transaction.payee || 'Unknown',
-            amount
-        });
-    }
-
-    return anomalies;
+    const result = evaluateFraudRules(transaction, memberProfile, { categories: ['anomaly'] });
+
+    return result.matches.map(match => ({
+        ...(ANOMALY_TYPES[match.anomaly] || { code: match.ruleId.toUpperCase(), label: match.name, icon: '⚠️' }),
+        label: match.name,
+        severity: match.severity,
+        details: match.details,
+        ruleId: match.ruleId,
+        amount,
+        ...match.values
+    }));
 }
 
 /**
- * Check transaction velocity (frequency)
+ * Check transaction velocity (frequency) against the velocity_spike rule
  * @param {Array} transactions - Recent transactions array
- * @param {number} windowMinutes - Time window in minutes
- * @param {number} maxCount - Maximum allowed transactions
+ * @param {number} windowMinutes - Time window in minutes (defaults to the rule's)
+ * @param {number} maxCount - Maximum allowed transactions (defaults to the rule's)
  * @returns {Object} Velocity check result
  */
-function checkVelocity(transactions, windowMinutes = 60, maxCount = 5) {
+function checkVelocity(transactions, windowMinutes, maxCount) {
+    const rule = getFraudRule('velocity_spike');
+    const params = {
+        windowMinutes: 60,
+        maxCount: 5,
+        burstMultiplier: 2,
+        ...(rule ? rule.params : {}),
+        ...(windowMinutes !== undefined ? { windowMinutes } : {}),
+        ...(maxCount !== undefined ? { maxCount } : {})
+    };
     const now = Date.now();
-    const windowMs = windowMinutes * 60 * 1000;
+    const windowMs = params.windowMinutes * 60 * 1000;
 
     const recentTx = transactions.filter(tx => {
         const txTime = new Date(tx.timestamp || tx.date).getTime();
@@ -691,77 +707,45 @@ function checkVelocity(transactions, windowMinutes = 60, maxCount = 5) {
     });
 
     const count = recentTx.length;
-    const isViolation = count > maxCount;
+    const isViolation = Boolean(rule && rule.enabled) && count > params.maxCount;
 
     return {
         passed: !isViolation,
         count,
-        maxCount,
-        windowMinutes,
+        maxCount: params.maxCount,
+        windowMinutes: params.windowMinutes,
         isViolation,
-        severity: isViolation ? (count > maxCount * 2 ? 'high' : 'medium') : 'none',
+        severity: isViolation ? (count > params.maxCount * params.burstMultiplier ? 'high' : 'medium') : 'none',
         message: isViolation
-            ? `${count} transactions in ${windowMinutes} minutes exceeds limit of ${maxCount}`
+            ? `${count} transactions in ${params.windowMinutes} minutes exceeds limit of ${params.maxCount}`
             : `${count} transactions within normal limits`,
         recentTransactions: recentTx.slice(0, 5)
     };
 }
 
 /**
- * Assess geographic risk based on location data
+ * Assess geographic risk using the active rule set's geographic rules
  * @param {Object} transaction - Transaction with location
  * @param {Object} memberProfile - Member's known locations
  * @returns {Object} Geographic risk assessment
  */
 function assessGeographicRisk(transaction, memberProfile = {}) {
-    const location = transaction.location || transaction.merchantLocation || {};
-    const homeState = memberProfile.homeState || 'NH';
-    const knownStates = memberProfile.knownStates || [homeState];
-    const txState = location.state || 'Unknown';
+    const result = evaluateFraudRules(transaction, memberProfile, { categories: ['geographic'] });
+    const { profile, tx } = buildFraudFacts(transaction, memberProfile, getActiveFraudRuleSet().defaults);
+    const matched = id => result.matches.some(m => m.ruleId === id);
 
-    // High-risk countries/regions (simplified)
-    const highRiskRegions = ['UNKNOWN', 'XX', 'OFFSHORE'];
-    const isHighRiskRegion = highRiskRegions.includes((location.country || '').toUpperCase());
-
-    // State mismatch check
-    const isUnknownState = !knownStates.includes(txState) && txState !== 'Unknown';
-
-    let riskLevel = 'low';
-    let riskScore = 0;
-    const factors = [];
-
-    if (isHighRiskRegion) {
-        riskLevel = 'high';
-        riskScore += 80;
-        factors.push({ factor: 'High-risk region detected', impact: 80 });
-    }
-
-    if (isUnknownState) {
-        riskLevel = riskLevel === 'high' ? 'high' : 'medium';
-        riskScore += 40;
-        factors.push({
-            factor: `Transaction from ${txState}, member home: ${homeState}`,
-            impact: 40
-        });
-    }
-
-    // Distance check (simplified - would use real geocoding in production)
-    if (transaction.distanceFromHome && transaction.distanceFromHome > 500) {
-        riskScore += 20;
-        factors.push({
-            factor: `${transaction.distanceFromHome} miles from home`,
-            impact: 20
-        });
-    }
+    const riskScore = result.matches.reduce((sum, m) => sum + m.weight, 0);
+    const severities = result.matches.map(m => m.severity);
+    const riskLevel = severities.includes('high') ? 'high' : severities.includes('medium') ? 'medium' : 'low';
 
     return {
         riskLevel,
         riskScore: Math.min(riskScore, 100),
-        location: txState,
-        homeState,
-        isHighRiskRegion,
-        isUnknownLocation: isUnknownState,
-        factors,
+        location: tx.state || 'Unknown',
+        homeState: profile.homeState,
+        isHighRiskRegion: matched('geo_high_risk_region'),
+        isUnknownLocation: matched('geo_unknown_state'),
+        factors: result.matches.map(m => ({ factor: m.details, impact: m.weight, ruleId: m.ruleId })),
         recommendation: riskScore > 60 ? 'BLOCK' : riskScore > 30 ? 'REVIEW' : 'ALLOW'
     };
 }
@@ -771,70 +755,25 @@ function assessGeographicRisk(transaction, memberProfile = {}) {
 // =================================================================
 
 /**
- * Calculate comprehensive fraud score for a transaction
+ * Calculate comprehensive fraud score for a transaction. Every enabled rule
+ * in the active rule set contributes its weight; scoring bands and rule
+ * actions decide the outcome.
  * @param {Object} transaction - Transaction data
  * @param {Object} memberProfile - Member profile data
+ * @param {Object} options - Evaluation options for evaluateFraudRules (ruleSet, history)
  * @returns {Object} Fraud score result
  */
-function calculateFraudScore(transaction, memberProfile = {}) {
-    let score = 0;
-    const factors = [];
-
-    // Get anomalies
-    const anomalies = detectAnomalies(transaction, memberProfile);
-    anomalies.forEach(a => {
-        const points = a.severity === 'high' ? 30 : a.severity === 'medium' ? 15 : 5;
-        score += points;
-        factors.push({ factor: a.label, severity: a.severity, points });
-    });
-
-    // Geographic risk
-    const geoRisk = assessGeographicRisk(transaction, memberProfile);
-    if (geoRisk.riskScore > 0) {
-        score += geoRisk.riskScore * 0.5;
-        factors.push({
-            factor: `Geographic risk: ${geoRisk.riskLevel}`,
-            severity: geoRisk.riskLevel,
-            points: Math.round(geoRisk.riskScore * 0.5)
-        });
-    }
-
-    // Member tenure bonus (reduce score for established members)
-    const tenureMonths = memberProfile.tenureMonths || 0;
-    if (tenureMonths > 24) {
-        const reduction = Math.min(tenureMonths / 12 * 5, 20);
-        score -= reduction;
-        factors.push({
-            factor: `Established member (${tenureMonths} months)`,
-            severity: 'good',
-            points: -Math.round(reduction)
-        });
-    }
-
-    // Clamp score
-    score = Math.max(0, Math.min(100, Math.round(score)));
-
-    // Determine risk level
-    let riskLevel = 'low';
-    let action = 'ALLOW';
-
-    if (score >= 70) {
-        riskLevel = 'critical';
-        action = 'BLOCK';
-    } else if (score >= 50) {
-        riskLevel = 'high';
-        action = 'BLOCK';
-    } else if (score >= 30) {
-        riskLevel = 'medium';
-        action = 'REVIEW';
-    }
+function calculateFraudScore(transaction, memberProfile = {}, options = {}) {
+    const result = evaluateFraudRules(transaction, memberProfile, options);
 
     return {
-        score,
-        riskLevel,
-        action,
-        factors,
-        anomalyCount: anomalies.length,
+        score: result.score,
+        riskLevel: result.riskLevel,
+        action: result.action,
+        factors: result.factors,
+        anomalyCount: result.matches.filter(m => m.category === 'anomaly').length,
+        raiseAlert: result.raiseAlert,
+        ruleSetVersion: result.ruleSetVersion,
         timestamp: new Date().toISOString(),
         transactionId: transaction.id || Date.now().toString()
     };
@@ -855,38 +794,137 @@ const ALERT_PRIORITIES = {
 };
 
 /**
- * Create a new fraud alert
+ * Alert lifecycle: allowed status transitions
+ * OPEN -> IN_PROGRESS (assigned) -> RESOLVED, with ESCALATED reachable
+ * from any active state and RESOLVED reopenable
+ */
+const ALERT_TRANSITIONS = {
+    OPEN: ['IN_PROGRESS', 'ESCALATED', 'RESOLVED'],
+    IN_PROGRESS: ['OPEN', 'ESCALATED', 'RESOLVED'],
+    ESCALATED: ['IN_PROGRESS', 'RESOLVED'],
+    RESOLVED: ['OPEN']
+};
+
+/**
+ * Case API status for each alert status
+ */
+const ALERT_CASE_STATUS = {
+    OPEN: 'open',
+    IN_PROGRESS: 'in_progress',
+    ESCALATED: 'escalated',
+    RESOLVED: 'closed'
+};
+
+// Resolved alerts kept in local storage; active alerts are never dropped
+const RESOLVED_ALERT_LIMIT = 200;
+const BSA_OFFICER = { id: 'bsa-officer', name: 'BSA Officer' };
+
+/**
+ * Fraud analysts available for assignment
+ */
+const FRAUD_ANALYSTS = typeof SyntheticBank !== 'undefined'
+    ? SyntheticBank.population.analysts
+    : [{ id: 'analyst-1', name: 'Analyst 1' }, { id: 'analyst-2', name: 'Analyst 2' }];
+
+function analystName(analystId) {
+    if (analystId === BSA_OFFICER.id) return BSA_OFFICER.name;
+    return FRAUD_ANALYSTS.find(a => a.id === analystId)?.name || analystId || 'Unassigned';
+}
+
+function priorityKeyOf(alert) {
+    return Object.keys(ALERT_PRIORITIES).find(key => ALERT_PRIORITIES[key].level === alert.priority?.level) || 'MEDIUM';
+}
+
+function slaDueFrom(start, priority) {
+    return new Date(new Date(start).getTime() + priority.slaMinutes * 60000).toISOString();
+}
+
+/**
+ * Persist the alert queue and assignments locally. Every unresolved alert
+ * is stored; only the oldest resolved alerts beyond RESOLVED_ALERT_LIMIT
+ * are left out, and the in-memory queue is not touched.
+ */
+function persistAlertQueue() {
+    let resolved = 0;
+    const stored = SecurityState.alertQueue.filter(alert => (
+        alert.status !== 'RESOLVED' || ++resolved <= RESOLVED_ALERT_LIMIT
+    ));
+    localStorage.setItem('scuAlertQueue', JSON.stringify(stored));
+    localStorage.setItem('scuCaseAssignments', JSON.stringify(SecurityState.caseAssignments));
+}
+
+/**
+ * Build a fraud alert record without queueing it
  * @param {Object} transaction - Transaction that triggered alert
  * @param {Object} fraudScore - Fraud score result
  * @param {string} priority - Priority level
- * @returns {Object} Created alert
+ * @returns {Object} Alert
  */
-function createAlert(transaction, fraudScore, priority = 'MEDIUM') {
-    const alert = {
+function buildAlert(transaction, fraudScore, priority = 'MEDIUM') {
+    const timestamp = new Date().toISOString();
+    const alertPriority = ALERT_PRIORITIES[priority] || ALERT_PRIORITIES.MEDIUM;
+    return {
         id: `ALT-${Date.now()}`,
         transactionId: transaction.id || transaction.transactionId,
         memberId: transaction.memberId || 'UNKNOWN',
+        memberName: transaction.memberName || null,
         amount: transaction.amount,
-        timestamp: new Date().toISOString(),
-        priority: ALERT_PRIORITIES[priority] || ALERT_PRIORITIES.MEDIUM,
+        timestamp,
+        priority: alertPriority,
         fraudScore: fraudScore.score,
         riskLevel: fraudScore.riskLevel,
         factors: fraudScore.factors,
         status: 'OPEN',
         assignedTo: null,
+        slaDueAt: slaDueFrom(timestamp, alertPriority),
+        escalations: 0,
         notes: [],
+        audit: [],
         resolution: null
     };
+}
+
+/**
+ * Map a fraud score risk level to an ALERT_PRIORITIES key
+ * @param {string} riskLevel - critical, high, medium or low
+ * @returns {string} Priority key
+ */
+function priorityForRiskLevel(riskLevel) {
+    const key = String(riskLevel || '').toUpperCase();
+    return ALERT_PRIORITIES[key] ? key : 'MEDIUM';
+}
+
+function recordAlertAudit(alert, entry) {
+    alert.audit = alert.audit || [];
+    alert.audit.push({ at: new Date().toISOString(), actor: 'current_user', ...entry });
+    alert.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Create a new fraud alert
+ * @param {Object} transaction - Transaction that triggered alert
+ * @param {Object} fraudScore - Fraud score result
+ * @param {string} priority - Priority level
+ * @returns {Object} Created alert
+ */
+function createAlert(transaction, fraudScore, priority = 'MEDIUM') {
+    const alert = buildAlert(transaction, fraudScore, priority);
+    // Keep IDs unique when several alerts are raised in the same millisecond
+    while (SecurityState.alertQueue.some(a => a.id === alert.id)) {
+        alert.id = `ALT-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    }
+    recordAlertAudit(alert, { action: 'created', to: 'OPEN', note: `Score ${alert.fraudScore} (${alert.priority.label})` });
 
     SecurityState.alertQueue.unshift(alert);
-    localStorage.setItem('scuAlertQueue', JSON.stringify(SecurityState.alertQueue.slice(0, 200)));
+    persistAlertQueue();
+    syncAlertToCase(alert);
 
     return alert;
 }
 
 /**
  * Get alerts filtered by status and priority
- * @param {string} status - Filter by status (OPEN, IN_PROGRESS, RESOLVED)
+ * @param {string} status - Filter by status (OPEN, IN_PROGRESS, ESCALATED, RESOLVED)
  * @param {string} priority - Filter by priority level
  * @returns {Array} Filtered alerts
  */
@@ -904,28 +942,69 @@ function getAlerts(status = null, priority = null) {
 }
 
 /**
- * Update alert status
+ * Whether an alert may move to a status
+ * @param {Object} alert - Alert
+ * @param {string} newStatus - Target status
+ * @returns {boolean} True if the lifecycle allows it
+ */
+function canTransitionAlert(alert, newStatus) {
+    return alert.status === newStatus || (ALERT_TRANSITIONS[alert.status] || []).includes(newStatus);
+}
+
+/**
+ * Apply a lifecycle transition, record it in the audit trail and persist
  * @param {string} alertId - Alert ID
- * @param {string} newStatus - New status
- * @param {string} note - Optional note
- * @returns {Object|null} Updated alert
+ * @param {string} newStatus - Target status
+ * @param {Object} options - { action, note, actor, changes }
+ * @returns {Object|null} Updated alert, or null if missing or not allowed
  */
-function updateAlertStatus(alertId, newStatus, note = '') {
+function transitionAlert(alertId, newStatus, options = {}) {
     const alert = SecurityState.alertQueue.find(a => a.id === alertId);
     if (!alert) return null;
+    if (!canTransitionAlert(alert, newStatus)) {
+        console.warn(`[Security Module] ${alertId}: ${alert.status} -> ${newStatus} is not allowed`);
+        return null;
+    }
 
+    const from = alert.status;
+    Object.assign(alert, options.changes || {});
     alert.status = newStatus;
-    alert.updatedAt = new Date().toISOString();
+    if (from === 'RESOLVED' && newStatus !== 'RESOLVED') {
+        // Reopened alerts get a fresh SLA
+        alert.resolution = null;
+        alert.slaDueAt = slaDueFrom(Date.now(), alert.priority);
+        alert.slaBreached = false;
+    }
+    recordAlertAudit(alert, {
+        action: options.action || 'status_change',
+        from,
+        to: newStatus,
+        note: options.note || '',
+        ...(options.actor ? { actor: options.actor } : {})
+    });
 
-    if (note) {
+    persistAlertQueue();
+    syncAlertToCase(alert);
+    return alert;
+}
+
+/**
+ * Update alert status
+ * @param {string} alertId - Alert ID
+ * @param {string} newStatus - New status
+ * @param {string} note - Optional note
+ * @returns {Object|null} Updated alert (null if missing or the transition is not allowed)
+ */
+function updateAlertStatus(alertId, newStatus, note = '') {
+    const alert = transitionAlert(alertId, newStatus, { note });
+    if (alert && note) {
         alert.notes.push({
             text: note,
             timestamp: new Date().toISOString(),
             user: 'current_user'
         });
+        persistAlertQueue();
     }
-
-    localStorage.setItem('scuAlertQueue', JSON.stringify(SecurityState.alertQueue));
     return alert;
 }
 
@@ -937,25 +1016,238 @@ function updateAlertStatus(alertId, newStatus, note = '') {
  * @returns {Object|null} Resolved alert
  */
 function resolveAlert(alertId, disposition, notes = '') {
-    const alert = SecurityState.alertQueue.find(a => a.id === alertId);
-    if (!alert) return null;
+    const alert = transitionAlert(alertId, 'RESOLVED', {
+        action: 'resolved',
+        note: [disposition, notes].filter(Boolean).join(': '),
+        changes: {
+            resolution: {
+                disposition,
+                notes,
+                resolvedAt: new Date().toISOString(),
+                resolvedBy: 'current_user'
+            }
+        }
+    });
+    if (alert) {
+        unassignAlert(alert);
+        persistAlertQueue();
+    }
+    return alert;
+}
+
+/**
+ * Escalate an alert to the BSA officer
+ * @param {string} alertId - Alert ID
+ * @param {string} note - Reason
+ * @returns {Object|null} Escalated alert
+ */
+function escalateAlert(alertId, note = '') {
+    const current = SecurityState.alertQueue.find(a => a.id === alertId);
+    if (!current || !canTransitionAlert(current, 'ESCALATED')) return null;
+
+    trackAssignment(current, BSA_OFFICER.id);
+    return transitionAlert(alertId, 'ESCALATED', {
+        action: 'escalated',
+        note,
+        changes: { escalations: (current.escalations || 0) + 1 }
+    });
+}
+
+// =================================================================
+// SLA MONITORING
+// =================================================================
+
+/**
+ * Milliseconds until an alert breaches its SLA (negative once breached)
+ * @param {Object} alert - Alert
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Remaining ms, or null for resolved alerts
+ */
+function getAlertSlaRemaining(alert, now = Date.now()) {
+    if (alert.status === 'RESOLVED' || !alert.slaDueAt) return null;
+    return new Date(alert.slaDueAt).getTime() - now;
+}
+
+/**
+ * Format remaining SLA time for display
+ * @param {number|null} remainingMs - From getAlertSlaRemaining
+ * @returns {string} Countdown text
+ */
+function formatSlaRemaining(remainingMs) {
+    if (remainingMs === null) return '—';
+    const abs = Math.abs(remainingMs);
+    const hours = Math.floor(abs / 3600000);
+    const minutes = Math.floor((abs % 3600000) / 60000);
+    const seconds = Math.floor((abs % 60000) / 1000);
+    const text = hours > 0
+        ? `${hours}h ${String(minutes).padStart(2, '0')}m`
+        : `${minutes}:${String(seconds).padStart(2, '0')}`;
+    return remainingMs < 0 ? `Breached ${text} ago` : text;
+}
+
+/**
+ * Escalate active alerts whose SLA has passed: bump priority one level,
+ * restart the SLA at the new level and route to the BSA officer
+ * @param {number} now - Current time in ms
+ * @returns {Array} Alerts escalated on this pass
+ */
+function escalateBreachedAlerts(now = Date.now()) {
+    const escalated = [];
+    SecurityState.alertQueue.forEach(alert => {
+        const remaining = getAlertSlaRemaining(alert, now);
+        if (remaining === null || remaining > 0) return;
+
+        const key = priorityKeyOf(alert);
+        const keys = Object.keys(ALERT_PRIORITIES);
+        const nextKey = keys[Math.max(0, keys.indexOf(key) - 1)];
+        if (nextKey === key && alert.status === 'ESCALATED') {
+            // Already critical and with the BSA officer: flag once
+            if (!alert.slaBreached) {
+                alert.slaBreached = true;
+                recordAlertAudit(alert, { actor: 'system', action: 'sla_breached', from: alert.status, to: alert.status, note: 'Critical SLA breached' });
+                escalated.push(alert);
+            }
+            return;
+        }
+
+        const priority = ALERT_PRIORITIES[nextKey];
+        const from = alert.status;
+        alert.priority = priority;
+        alert.status = 'ESCALATED';
+        alert.escalations = (alert.escalations || 0) + 1;
+        alert.slaDueAt = slaDueFrom(now, priority);
+        trackAssignment(alert, BSA_OFFICER.id);
+        recordAlertAudit(alert, {
+            actor: 'system',
+            action: 'sla_escalated',
+            from,
+            to: 'ESCALATED',
+            note: `${ALERT_PRIORITIES[key].label} SLA (${ALERT_PRIORITIES[key].slaMinutes} min) breached; priority raised to ${priority.label}`
+        });
+        escalated.push(alert);
+    });
+
+    if (escalated.length > 0) {
+        persistAlertQueue();
+        escalated.forEach(syncAlertToCase);
+    }
+    return escalated;
+}
+
+// =================================================================
+// CASE API PERSISTENCE
+// =================================================================
 
-    alert.status = 'RESOLVED';
-    alert.resolution = {
-        disposition,
-        notes,
-        resolvedAt: new Date().toISOString(),
-        resolvedBy: 'current_user'
+function alertToCase(alert) {
+    return {
+        case_type: 'fraud_alert',
+        subject: `Fraud alert ${alert.id}: ${alert.memberName || alert.memberId}`,
+        description: (alert.factors || []).map(f => f.factor).join(', '),
+        member_id: alert.memberId,
+        priority: priorityKeyOf(alert).toLowerCase(),
+        status: ALERT_CASE_STATUS[alert.status],
+        assignee_id: alert.assignedTo,
+        assignee_name: alert.assignedTo ? analystName(alert.assignedTo) : null,
+        due_date: alert.slaDueAt,
+        alert
     };
+}
 
-    localStorage.setItem('scuAlertQueue', JSON.stringify(SecurityState.alertQueue));
-    return alert;
+// Per-alert sync chains, so a create always finishes before its updates
+const alertSyncChains = new Map();
+
+/**
+ * Write an alert through to the cases API (creates the case on first sync)
+ * @param {Object} alert - Alert
+ * @returns {Promise<boolean>} True when the case is up to date
+ */
+function syncAlertToCase(alert) {
+    alert.syncPending = true;
+    const previous = alertSyncChains.get(alert.id) || Promise.resolve();
+    const next = previous.then(() => pushAlertToCase(alert));
+    alertSyncChains.set(alert.id, next);
+    return next;
+}
+
+async function pushAlertToCase(alert) {
+    if (!window.api) return false;
+    try {
+        const body = alertToCase({ ...alert, syncPending: false });
+        if (!alert.caseId) {
+            const created = await apiRequest('/fiserv/api/v1/cases', { method: 'POST', body });
+            alert.caseId = created.case.id;
+        }
+        try {
+            const { case_type: caseType, ...updates } = body;
+            await apiRequest(`/fiserv/api/v1/cases/${alert.caseId}`, { method: 'PUT', body: { ...updates, alert: { ...updates.alert, caseId: alert.caseId } } });
+        } catch (error) {
+            if (error.status !== 404) throw error;
+            // Case was removed server-side: recreate it
+            alert.caseId = null;
+            return pushAlertToCase(alert);
+        }
+        alert.syncPending = false;
+        return true;
+    } catch (error) {
+        console.warn(`[Security Module] Alert ${alert.id} not synced; will retry`, error);
+        return false;
+    } finally {
+        persistAlertQueue();
+    }
+}
+
+/**
+ * Load alerts persisted as fraud_alert cases and merge with the local queue
+ * (newest update wins), then push any local-only changes
+ * @returns {Promise<number>} Alerts in the queue
+ */
+async function loadAlertsFromCases() {
+    try {
+        const response = await apiRequest('/fiserv/api/v1/cases?type=fraud_alert');
+        const remote = (response.cases || [])
+            .filter(c => c.type === 'fraud_alert' && c.alert)
+            .map(c => ({ ...c.alert, caseId: c.id }));
+        const merged = new Map(remote.map(a => [a.id, a]));
+        SecurityState.alertQueue.forEach(local => {
+            const server = merged.get(local.id);
+            if (!server || new Date(local.updatedAt || 0) > new Date(server.updatedAt || 0)) {
+                merged.set(local.id, local);
+            }
+        });
+        SecurityState.alertQueue = [...merged.values()].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        SecurityState.caseAssignments = {};
+        SecurityState.alertQueue.forEach(a => {
+            if (a.assignedTo && a.status !== 'RESOLVED') trackAssignment(a, a.assignedTo);
+        });
+        persistAlertQueue();
+    } catch (error) {
+        console.warn('[Security Module] Using locally cached alerts:', error);
+    }
+    SecurityState.alertQueue.filter(a => a.syncPending || !a.caseId).forEach(syncAlertToCase);
+    return SecurityState.alertQueue.length;
 }
 
 // =================================================================
 // CASE ASSIGNMENT
 // =================================================================
 
+function unassignAlert(alert) {
+    Object.keys(SecurityState.caseAssignments).forEach(id => {
+        SecurityState.caseAssignments[id] = SecurityState.caseAssignments[id].filter(alertId => alertId !== alert.id);
+        if (SecurityState.caseAssignments[id].length === 0) delete SecurityState.caseAssignments[id];
+    });
+}
+
+function trackAssignment(alert, analystId) {
+    unassignAlert(alert);
+    alert.assignedTo = analystId;
+    alert.assignedAt = new Date().toISOString();
+    if (!SecurityState.caseAssignments[analystId]) {
+        SecurityState.caseAssignments[analystId] = [];
+    }
+    SecurityState.caseAssignments[analystId].push(alert.id);
+}
+
 /**
  * Assign alert to analyst
  * @param {string} alertId - Alert ID
@@ -963,23 +1255,15 @@ function resolveAlert(alertId, disposition, notes = '') {
  * @returns {Object|null} Updated alert
  */
 function assignAlert(alertId, analystId) {
-    const alert = SecurityState.alertQueue.find(a => a.id === alertId);
-    if (!alert) return null;
-
-    alert.assignedTo = analystId;
-    alert.status = 'IN_PROGRESS';
-    alert.assignedAt = new Date().toISOString();
+    const current = SecurityState.alertQueue.find(a => a.id === alertId);
+    if (!current) return null;
 
-    // Track in case assignments
-    if (!SecurityState.caseAssignments[analystId]) {
-        SecurityState.caseAssignments[analystId] = [];
-    }
-    SecurityState.caseAssignments[analystId].push(alertId);
+    // Escalated alerts stay escalated when picked up; others move to IN_PROGRESS
+    const status = current.status === 'ESCALATED' ? 'ESCALATED' : 'IN_PROGRESS';
+    if (!analystId || !canTransitionAlert(current, status)) return null;
 
-    localStorage.setItem('scuAlertQueue', JSON.stringify(SecurityState.alertQueue));
-    localStorage.setItem('scuCaseAssignments', JSON.stringify(SecurityState.caseAssignments));
-
-    return alert;
+    trackAssignment(current, analystId);
+    return transitionAlert(alertId, status, { action: 'assigned', note: `Assigned to ${analystName(analystId)}` });
 }
 
 /**
@@ -992,18 +1276,84 @@ function getAnalystCases(analystId) {
     return SecurityState.alertQueue.filter(a => alertIds.includes(a.id));
 }
 
+/**
+ * Workload per analyst (plus the BSA officer and the unassigned pool)
+ * @param {number} now - Current time in ms
+ * @returns {Array} Workload rows
+ */
+function getAnalystWorkload(now = Date.now()) {
+    const summarize = (id, name, alerts) => {
+        const active = alerts.filter(a => a.status !== 'RESOLVED');
+        const remaining = active.map(a => getAlertSlaRemaining(a, now)).filter(r => r !== null);
+        return {
+            analystId: id,
+            name,
+            active: active.length,
+            byPriority: Object.fromEntries(Object.keys(ALERT_PRIORITIES).map(key => [
+                key, active.filter(a => a.priority.level === ALERT_PRIORITIES[key].level).length
+            ])),
+            breached: remaining.filter(r => r < 0).length,
+            nextDueMs: remaining.length ? Math.min(...remaining) : null,
+            resolved: SecurityState.alertQueue.filter(a => a.status === 'RESOLVED' && (a.assignedTo || null) === id).length
+        };
+    };
+
+    return [
+        ...FRAUD_ANALYSTS.map(a => summarize(a.id, a.name, getAnalystCases(a.id))),
+        summarize(BSA_OFFICER.id, BSA_OFFICER.name, getAnalystCases(BSA_OFFICER.id)),
+        summarize(null, 'Unassigned', SecurityState.alertQueue.filter(a => !a.assignedTo && a.status !== 'RESOLVED'))
+    ];
+}
+
+// =================================================================
+// BULK ACTIONS
+// =================================================================
+
+/**
+ * Apply one action to several alerts; each change is audited individually
+ * @param {Array<string>} alertIds - Alert IDs
+ * @param {string} action - assign | escalate | resolve_false_positive | resolve_fraud | reopen
+ * @param {Object} options - { analystId, note }
+ * @returns {Object} { updated, skipped }
+ */
+function bulkAlertAction(alertIds, action, options = {}) {
+    const note = options.note ? `${options.note} (bulk)` : 'Bulk action';
+    const handlers = {
+        assign: id => assignAlert(id, options.analystId),
+        escalate: id => escalateAlert(id, note),
+        resolve_false_positive: id => resolveAlert(id, 'FALSE_POSITIVE', note),
+        resolve_fraud: id => resolveAlert(id, 'FRAUD_CONFIRMED', note),
+        reopen: id => {
+            const alert = transitionAlert(id, 'OPEN', { action: 'reopened', note });
+            if (alert) unassignAlert(alert);
+            return alert;
+        }
+    };
+    const handler = handlers[action];
+    if (!handler) return { updated: [], skipped: alertIds };
+
+    const updated = [];
+    const skipped = [];
+    alertIds.forEach(id => (handler(id) ? updated : skipped).push(id));
+    persistAlertQueue();
+    return { updated, skipped };
+}
+
 /**
  * Get alert queue statistics
  * @returns {Object} Queue statistics
  */
 function getAlertQueueStats() {
     const alerts = SecurityState.alertQueue;
+    const now = Date.now();
 
     return {
         total: alerts.length,
         open: alerts.filter(a => a.status === 'OPEN').length,
         inProgress: alerts.filter(a => a.status === 'IN_PROGRESS').length,
+        escalated: alerts.filter(a => a.status === 'ESCALATED').length,
         resolved: alerts.filter(a => a.status === 'RESOLVED').length,
+        breached: alerts.filter(a => (getAlertSlaRemaining(a, now) ?? 1) < 0).length,
         critical: alerts.filter(a => a.priority.level === 1 && a.status !== 'RESOLVED').length,
         high: alerts.filter(a => a.priority.level === 2 && a.status !== 'RESOLVED').length,
         avgFraudScore: alerts.length > 0
@@ -1057,38 +1407,120 @@ function renderFraudScorePanel(containerId, fraudScore) {
 }
 
 /**
- * Render alert queue panel
+ * Alert queue view state (filters, selection, expanded audit trail)
+ */
+const AlertQueueView = {
+    containerId: 'fraudAlertQueuePanel',
+    status: 'active',
+    priority: '',
+    selected: new Set(),
+    expanded: null
+};
+
+function alertStatusBadge(status) {
+    const colors = { OPEN: '#3b82f6', IN_PROGRESS: '#10b981', ESCALATED: '#f59e0b', RESOLVED: '#6b7280' };
+    return `<span style="padding: 0.15rem 0.5rem; background: ${colors[status]}22; color: ${colors[status]}; border-radius: 4px; font-size: 0.7rem; font-weight: 600;">${status.replace('_', ' ')}</span>`;
+}
+
+function slaCountdownHtml(alert) {
+    const remaining = getAlertSlaRemaining(alert);
+    if (remaining === null) return '<span style="color: #9ca3af;">—</span>';
+    return `<span data-sla-due="${alert.slaDueAt}" style="font-family: monospace; font-weight: 600; color: ${remaining < 0 ? '#dc2626' : remaining < 15 * 60000 ? '#d97706' : '#374151'};">${formatSlaRemaining(remaining)}</span>`;
+}
+
+function visibleQueueAlerts() {
+    return SecurityState.alertQueue.filter(a => {
+        if (AlertQueueView.status === 'active' && a.status === 'RESOLVED') return false;
+        if (AlertQueueView.status !== 'active' && AlertQueueView.status !== 'all' && a.status !== AlertQueueView.status) return false;
+        return !AlertQueueView.priority || priorityKeyOf(a) === AlertQueueView.priority;
+    }).sort((a, b) => (getAlertSlaRemaining(a) ?? Infinity) - (getAlertSlaRemaining(b) ?? Infinity));
+}
+
+/**
+ * Render alert queue panel with SLA countdowns, lifecycle actions and bulk toolbar
  * @param {string} containerId - Target container ID
  */
-function renderAlertQueue(containerId) {
+function renderAlertQueue(containerId = AlertQueueView.containerId) {
+    AlertQueueView.containerId = containerId;
     const container = document.getElementById(containerId);
     if (!container) return;
 
     const stats = getAlertQueueStats();
-    const openAlerts = getAlerts('OPEN').slice(0, 10);
+    const alerts = visibleQueueAlerts();
+    const visibleIds = new Set(alerts.map(a => a.id));
+    AlertQueueView.selected = new Set([...AlertQueueView.selected].filter(id => visibleIds.has(id)));
+    const selectedCount = AlertQueueView.selected.size;
+    const select = 'padding: 4px 8px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 0.85rem;';
 
     container.innerHTML = `
         <div class="alert-queue-panel" data-testid="alert-queue-panel">
-            <div class="alert-queue-header">
-                <h3>🚨 Alert Queue</h3>
-                <div class="queue-stats">
-                    <span class="stat-badge stat-open">${stats.open} Open</span>
-                    <span class="stat-badge stat-critical">${stats.critical} Critical</span>
+            <div style="display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; margin-bottom: 1rem;">
+                <span class="stat-badge stat-open">${stats.open} Open</span>
+                <span class="stat-badge">${stats.inProgress} In Progress</span>
+                <span class="stat-badge">${stats.escalated} Escalated</span>
+                <span class="stat-badge stat-critical">${stats.breached} SLA Breached</span>
+                <div style="margin-left: auto; display: flex; gap: 0.5rem;">
+                    <select id="alertFilter" onchange="filterAlerts()" style="${select}">
+                        ${[['active', 'Active'], ['all', 'All'], ['OPEN', 'Open'], ['IN_PROGRESS', 'In Progress'], ['ESCALATED', 'Escalated'], ['RESOLVED', 'Resolved']]
+                            .map(([value, label]) => `<option value="${value}" ${AlertQueueView.status === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <select id="alertPriorityFilter" onchange="filterAlerts()" style="${select}">
+                        <option value="">All priorities</option>
+                        ${Object.entries(ALERT_PRIORITIES).map(([key, p]) => `<option value="${key}" ${AlertQueueView.priority === key ? 'selected' : ''}>${p.label}</option>`).join('')}
+                    </select>
+                    <button class="btn btn-sm" onclick="refreshAlertQueue()">🔄</button>
                 </div>
             </div>
+            <div style="display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; padding: 0.5rem 0.75rem; background: #f8fafc; border-radius: 8px; margin-bottom: 0.5rem;">
+                <label style="font-size: 0.85rem;"><input type="checkbox" onchange="toggleAllAlertSelection(this.checked)" ${selectedCount && selectedCount === alerts.length ? 'checked' : ''}> ${selectedCount} selected</label>
+                <select id="bulkAlertAnalyst" style="${select}">
+                    ${FRAUD_ANALYSTS.map(a => `<option value="${a.id}">${escapeHtml(a.name)}</option>`).join('')}
+                </select>
+                <button class="btn btn-sm" onclick="runBulkAlertAction('assign')" ${selectedCount ? '' : 'disabled'}>Assign</button>
+                <button class="btn btn-sm" onclick="runBulkAlertAction('escalate')" ${selectedCount ? '' : 'disabled'}>Escalate to BSA</button>
+                <button class="btn btn-sm" onclick="runBulkAlertAction('resolve_false_positive')" ${selectedCount ? '' : 'disabled'}>✓ False Positive</button>
+                <button class="btn btn-sm" onclick="runBulkAlertAction('resolve_fraud')" ${selectedCount ? '' : 'disabled'}>🚨 Fraud Confirmed</button>
+                <button class="btn btn-sm" onclick="runBulkAlertAction('reopen')" ${selectedCount ? '' : 'disabled'}>Reopen</button>
+                <input id="bulkAlertNote" type="text" placeholder="Audit note (optional)" style="${select} flex: 1; min-width: 160px;">
+            </div>
             <div class="alert-list" data-testid="alert-list">
-                ${openAlerts.length === 0 ? '<div class="empty-queue">No open alerts</div>' : ''}
-                ${openAlerts.map(alert => `
-                    <div class="alert-item" data-alert-id="${alert.id}">
-                        <div class="alert-priority" style="background: ${alert.priority.color}">${alert.priority.label}</div>
-                        <div class="alert-content">
-                            <div class="alert-member">Member: ${alert.memberId}</div>
-                            <div class="alert-amount">$${(alert.amount || 0).toLocaleString()}</div>
-                            <div class="alert-score">Score: ${alert.fraudScore}</div>
-                        </div>
-                        <div class="alert-actions">
-                            <button class="btn btn-sm" onclick="assignAlert('${alert.id}', 'analyst-1')">Assign</button>
+                ${alerts.length === 0 ? '<div class="empty-queue" style="padding: 2rem; text-align: center; color: #6b7280;">No alerts match this view</div>' : ''}
+                ${alerts.map(alert => `
+                    <div class="alert-item" data-alert-id="${alert.id}" style="padding: 0.75rem; border-bottom: 1px solid #f3f4f6;">
+                        <div style="display: flex; align-items: center; gap: 0.75rem;">
+                            <input type="checkbox" ${AlertQueueView.selected.has(alert.id) ? 'checked' : ''} onchange="toggleAlertSelection('${alert.id}', this.checked)">
+                            <div class="alert-priority" style="background: ${alert.priority.color}; color: white; padding: 0.15rem 0.5rem; border-radius: 4px; font-size: 0.75rem; font-weight: 600; min-width: 60px; text-align: center;">${alert.priority.label}</div>
+                            <div class="alert-content" style="flex: 1;">
+                                <div class="alert-member" style="font-weight: 600;">${escapeHtml(alert.memberName || alert.memberId)} ${alertStatusBadge(alert.status)}${alert.syncPending ? ' <span title="Not yet saved to the case system" style="color: #9ca3af;">⟳</span>' : ''}</div>
+                                <div style="font-size: 0.8rem; color: #6b7280;">
+                                    <span class="alert-amount">$${Math.abs(alert.amount || 0).toLocaleString()}</span> •
+                                    <span class="alert-score">Score: ${alert.fraudScore}</span> •
+                                    ${escapeHtml(analystName(alert.assignedTo))} • ${alert.id}
+                                </div>
+                            </div>
+                            <div style="text-align: right; min-width: 110px;">
+                                ${slaCountdownHtml(alert)}
+                                <div style="font-size: 0.7rem; color: #9ca3af;">SLA ${alert.priority.slaMinutes} min</div>
+                            </div>
+                            <div class="alert-actions" style="display: flex; gap: 0.25rem;">
+                                ${canTransitionAlert(alert, 'IN_PROGRESS') && alert.status !== 'IN_PROGRESS' ? `<button class="btn btn-sm" onclick="handleAlertAction('${alert.id}', 'assign')">Assign</button>` : ''}
+                                ${alert.status !== 'ESCALATED' && canTransitionAlert(alert, 'ESCALATED') ? `<button class="btn btn-sm" onclick="handleAlertAction('${alert.id}', 'escalate')">Escalate</button>` : ''}
+                                ${alert.status !== 'RESOLVED' ? `<button class="btn btn-sm" onclick="handleAlertAction('${alert.id}', 'resolve_false_positive')" title="Resolve as false positive">✓</button>` : `<button class="btn btn-sm" onclick="handleAlertAction('${alert.id}', 'reopen')">Reopen</button>`}
+                                <button class="btn btn-sm" onclick="toggleAlertAudit('${alert.id}')" title="Audit trail">📜</button>
+                            </div>
                         </div>
+                        ${AlertQueueView.expanded === alert.id ? `
+                            <div style="margin: 0.5rem 0 0 2rem; padding: 0.5rem 0.75rem; border-left: 2px solid #e5e7eb; font-size: 0.8rem;">
+                                ${(alert.audit || []).slice().reverse().map(entry => `
+                                    <div style="margin-bottom: 0.35rem;">
+                                        <span style="color: #6b7280;">${new Date(entry.at).toLocaleString()}</span>
+                                        <strong>${escapeHtml(entry.actor)}</strong> ${escapeHtml(entry.action.replace(/_/g, ' '))}
+                                        ${entry.from && entry.from !== entry.to ? `${entry.from} → ${entry.to}` : ''}
+                                        ${entry.note ? `<span style="color: #4b5563;">— ${escapeHtml(entry.note)}</span>` : ''}
+                                    </div>
+                                `).join('') || '<div style="color: #9ca3af;">No audit entries</div>'}
+                            </div>
+                        ` : ''}
                     </div>
                 `).join('')}
             </div>
@@ -1096,6 +1528,136 @@ function renderAlertQueue(containerId) {
     `;
 }
 
+/**
+ * Render the analyst workload view (built on getAnalystCases)
+ * @param {string} containerId - Target container ID
+ */
+function renderAnalystWorkload(containerId = 'fraudAnalystWorkload') {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const rows = getAnalystWorkload();
+    const max = Math.max(1, ...rows.map(r => r.active));
+    const cell = 'padding: 0.5rem;';
+    container.innerHTML = `
+        <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;" data-testid="analyst-workload">
+            <thead>
+                <tr style="text-align: left; color: #6b7280; font-size: 0.75rem; text-transform: uppercase;">
+                    <th style="${cell}">Analyst</th><th style="${cell}">Active</th>
+                    ${Object.values(ALERT_PRIORITIES).map(p => `<th style="${cell}">${p.label}</th>`).join('')}
+                    <th style="${cell}">Breached</th><th style="${cell}">Next Due</th><th style="${cell}">Resolved</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(r => `
+                    <tr style="border-top: 1px solid #e5e7eb;">
+                        <td style="${cell} font-weight: 600;">${escapeHtml(r.name)}</td>
+                        <td style="${cell}">
+                            <div style="display: flex; align-items: center; gap: 0.5rem;">
+                                <div style="width: 80px; height: 8px; background: #f3f4f6; border-radius: 4px; overflow: hidden;">
+                                    <div style="width: ${(r.active / max) * 100}%; height: 100%; background: #6366f1;"></div>
+                                </div>
+                                ${r.active}
+                            </div>
+                        </td>
+                        ${Object.keys(ALERT_PRIORITIES).map(key => `<td style="${cell} color: ${r.byPriority[key] ? ALERT_PRIORITIES[key].color : '#9ca3af'};">${r.byPriority[key]}</td>`).join('')}
+                        <td style="${cell} color: ${r.breached ? '#dc2626' : '#9ca3af'}; font-weight: ${r.breached ? 700 : 400};">${r.breached}</td>
+                        <td style="${cell}">${r.nextDueMs === null ? '—' : formatSlaRemaining(r.nextDueMs)}</td>
+                        <td style="${cell}">${r.resolved}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function refreshAlertViews() {
+    renderAlertQueue();
+    renderAnalystWorkload();
+}
+
+/**
+ * Select or deselect one alert for bulk actions
+ */
+function toggleAlertSelection(alertId, checked) {
+    if (checked) AlertQueueView.selected.add(alertId);
+    else AlertQueueView.selected.delete(alertId);
+    renderAlertQueue();
+}
+
+/**
+ * Select or deselect every alert in the current view
+ */
+function toggleAllAlertSelection(checked) {
+    AlertQueueView.selected = new Set(checked ? visibleQueueAlerts().map(a => a.id) : []);
+    renderAlertQueue();
+}
+
+/**
+ * Show or hide an alert's audit trail
+ */
+function toggleAlertAudit(alertId) {
+    AlertQueueView.expanded = AlertQueueView.expanded === alertId ? null : alertId;
+    renderAlertQueue();
+}
+
+/**
+ * Run a lifecycle action on a single alert from the queue
+ */
+function handleAlertAction(alertId, action) {
+    const analystId = document.getElementById('bulkAlertAnalyst')?.value || FRAUD_ANALYSTS[0]?.id;
+    const note = document.getElementById('bulkAlertNote')?.value.trim() || '';
+    const { updated } = bulkAlertAction([alertId], action, { analystId, note });
+    if (updated.length === 0 && typeof showNotification === 'function') {
+        showNotification(`${alertId} cannot ${action.replace(/_/g, ' ')} from its current state`, 'warning');
+    }
+    refreshAlertViews();
+}
+
+/**
+ * Run a bulk action on the selected alerts
+ */
+function runBulkAlertAction(action) {
+    const ids = [...AlertQueueView.selected];
+    if (ids.length === 0) return;
+    const analystId = document.getElementById('bulkAlertAnalyst')?.value;
+    const note = document.getElementById('bulkAlertNote')?.value.trim() || '';
+    if (action.startsWith('resolve') && !confirm(`Resolve ${ids.length} alert(s)?`)) return;
+
+    const { updated, skipped } = bulkAlertAction(ids, action, { analystId, note });
+    AlertQueueView.selected.clear();
+    refreshAlertViews();
+    if (typeof showNotification === 'function') {
+        showNotification(`${updated.length} alert(s) updated${skipped.length ? `, ${skipped.length} skipped (not allowed from their state)` : ''}`, skipped.length ? 'warning' : 'success');
+    }
+}
+
+// Ticks every second: countdowns update in place, breaches escalate
+let alertSlaTimer = null;
+
+/**
+ * Start the live SLA countdown and auto-escalation timer
+ */
+function startAlertSlaTimer() {
+    if (alertSlaTimer) return;
+    alertSlaTimer = setInterval(() => {
+        const now = Date.now();
+        document.querySelectorAll('[data-sla-due]').forEach(el => {
+            const remaining = new Date(el.dataset.slaDue).getTime() - now;
+            el.textContent = formatSlaRemaining(remaining);
+            el.style.color = remaining < 0 ? '#dc2626' : remaining < 15 * 60000 ? '#d97706' : '#374151';
+        });
+
+        const escalated = escalateBreachedAlerts(now);
+        if (escalated.length > 0) {
+            refreshAlertViews();
+            if (typeof showNotification === 'function') {
+                showNotification(`${escalated.length} alert(s) breached SLA and were escalated`, 'warning');
+            }
+        }
+    }, 1000);
+}
+
 // =================================================================
 // SUSPICIOUS ACTIVITY REPORT (SAR)
 // =================================================================
@@ -1133,12 +1695,8 @@ function generateSARData(alert, memberData = {}) {
                 }`
         },
 
-        // Institution Information
-        filingInstitution: {
-            name: 'Service Credit Union',
-            address: '3003 Lafayette Rd, Portsmouth, NH 03801',
-            ein: 'XX-XXXXXXX'
-        },
+        // Institution Information (Settings → Institution)
+        filingInstitution: (({ name, ein }) => ({ name, address: formatInstitutionAddress(), ein }))(getInstitutionProfile()),
 
         status: 'DRAFT',
         createdBy: 'current_user'
@@ -1474,8 +2032,8 @@ function generateReportUI(type) {
         report = window.generateTransactionSummary ? window.generateTransactionSummary() : { type: 'Transaction Summary' };
     } else if (type === 'ctr') {
         report = window.generateCTR ? window.generateCTR([
-            { id: 'TX1', amount: 15000 },
-            { id: 'TX2', amount: 12000 }
+            { id: 'TX1', type: 'cash', amount: 15000 },
+            { id: 'TX2', type: 'cash', amount: 12000 }
         ]) : { type: 'CTR Report' };
     }
 
@@ -1545,6 +2103,16 @@ function initSecurityModule() {
     if (document.getElementById('avgFraudScore')) {
         document.getElementById('avgFraudScore').textContent = stats.avgFraudScore || '--';
     }
+
+    // Alerts queued before SLA tracking get their SLA from the original timestamp
+    SecurityState.alertQueue.forEach(alert => {
+        if (!alert.slaDueAt && alert.status !== 'RESOLVED') alert.slaDueAt = slaDueFrom(alert.timestamp, alert.priority);
+        alert.audit = alert.audit || [];
+    });
+
+    refreshAlertViews();
+    loadAlertsFromCases().then(refreshAlertViews);
+    startAlertSlaTimer();
 }
 
 // =================================================================
@@ -1560,17 +2128,34 @@ window.checkVelocity = checkVelocity;
 window.assessGeographicRisk = assessGeographicRisk;
 window.calculateFraudScore = calculateFraudScore;
 
+window.ALERT_TRANSITIONS = ALERT_TRANSITIONS;
+window.buildAlert = buildAlert;
+window.priorityForRiskLevel = priorityForRiskLevel;
 window.createAlert = createAlert;
 window.getAlerts = getAlerts;
+window.canTransitionAlert = canTransitionAlert;
+window.transitionAlert = transitionAlert;
 window.updateAlertStatus = updateAlertStatus;
 window.resolveAlert = resolveAlert;
+window.escalateAlert = escalateAlert;
+window.escalateBreachedAlerts = escalateBreachedAlerts;
+window.getAlertSlaRemaining = getAlertSlaRemaining;
+window.loadAlertsFromCases = loadAlertsFromCases;
+window.bulkAlertAction = bulkAlertAction;
 
 window.assignAlert = assignAlert;
 window.getAnalystCases = getAnalystCases;
+window.getAnalystWorkload = getAnalystWorkload;
 window.getAlertQueueStats = getAlertQueueStats;
 
 window.renderFraudScorePanel = renderFraudScorePanel;
 window.renderAlertQueue = renderAlertQueue;
+window.renderAnalystWorkload = renderAnalystWorkload;
+window.toggleAlertSelection = toggleAlertSelection;
+window.toggleAllAlertSelection = toggleAllAlertSelection;
+window.toggleAlertAudit = toggleAlertAudit;
+window.handleAlertAction = handleAlertAction;
+window.runBulkAlertAction = runBulkAlertAction;
 
 window.generateSARData = generateSARData;
 window.initSecurityModule = initSecurityModule;
@@ -1856,17 +2441,21 @@ function declineApplication() {
     }
 
     const result = window._currentUnderwriteResult;
-    const reasons = result.topFactors?.filter(f => f.contribution < 0).map(f => f.description) || [];
+    let reasons = result.topFactors?.filter(f => f.contribution < 0).map(f => f.description) || [];
+    let notice = null;
 
+    // Logging a decline issues the adverse action notice with ranked Reg B reasons
     if (window.logDecision) {
-        window.logDecision(result.applicationId, result, {
+        const entry = window.logDecision(result.applicationId, result, {
             action: 'DECLINE',
             userId: 'current_user',
-            adverseReasons: reasons
+            application: window._currentApplication
         });
+        notice = entry.adverseActionNotice;
+        reasons = entry.adverseActionReasons;
     }
 
-    showDecisionModal('DECLINE', result, null, reasons);
+    showDecisionModal('DECLINE', result, null, reasons, notice);
 }
 
 /**
@@ -1897,7 +2486,7 @@ function escalateApplication() {
 /**
  * Show decision confirmation modal
  */
-function showDecisionModal(decision, result, details, adverseReasons) {
+function showDecisionModal(decision, result, details, adverseReasons, notice) {
     const icons = {
         'APPROVE': '✅',
         'APPROVE_WITH_CONDITIONS': '📋',
@@ -1945,6 +2534,13 @@ function showDecisionModal(decision, result, details, adverseReasons) {
                 <div style="font-weight: 600; color: #059669;">📋 Audit Log Created</div>
                 <div style="font-size: 0.85rem; color: #666;">Decision logged with model version ${result.modelVersion}</div>
             </div>
+
+            ${notice ? `<div style="background: #fef2f2; border-radius: 8px; padding: 1rem; margin-bottom: 1rem;">
+                <div style="font-weight: 600; color: #b91c1c;">📨 Adverse Action Notice ${notice.noticeId}</div>
+                <div style="font-size: 0.85rem; color: #666; margin-bottom: 0.5rem;">Send to the applicant by ${new Date(notice.dueBy).toLocaleDateString()}</div>
+                <button class="btn btn-secondary" onclick="openAdverseActionNotice('${notice.noticeId}')">View letter</button>
+                <button class="btn btn-secondary" onclick="downloadAdverseActionPdf('${notice.noticeId}')">Download PDF</button>
+            </div>` : ''}
             
             <button onclick="document.getElementById('decisionModal').remove()" 
                     style="width: 100%; padding: 12px; background: ${colors[decision]}; color: white; border: none; border-radius: 8px; font-weight: 600; cursor: pointer;">
@@ -2213,7 +2809,7 @@ async function openInvestigation(alertId) {
             <div style="display: flex; gap: 0.5rem;">
                 <button onclick="resolveAlertFromInvestigation('${data.id}', 'false_positive')" class="btn" style="background: #10b981; color: white; padding: 0.5rem 1rem; border-radius: 6px; font-weight: 600;">✓ False Positive</button>
                 <button onclick="resolveAlertFromInvestigation('${data.id}', 'fraud_confirmed')" class="btn" style="background: #ef4444; color: white; padding: 0.5rem 1rem; border-radius: 6px; font-weight: 600;">🚨 Fraud Confirmed</button>
-                <button onclick="openSARForMember('${memberName}', ${data.amount || 0})" class="btn" style="background: #6366f1; color: white; padding: 0.5rem 1rem; border-radius: 6px; font-weight: 600;">📄 File SAR</button>
+                <button onclick="openSARForMember('${memberName}', ${data.amount || 0}, '${data.member_id || ''}', '${data.id}')" class="btn" style="background: #6366f1; color: white; padding: 0.5rem 1rem; border-radius: 6px; font-weight: 600;">📄 File SAR</button>
             </div>
         </div>
         
@@ -2269,6 +2865,11 @@ async function openInvestigation(alertId) {
             </div>
         </div>
     `;
+
+    // Map the member's network below the investigation
+    if (typeof openLinkAnalysis === 'function') {
+        openLinkAnalysis(memberId.replace('M-', '').replace('A-', ''));
+    }
 }
 
 /**
@@ -2280,80 +2881,79 @@ function resolveAlertFromInvestigation(alertId, disposition) {
         'fraud_confirmed': '🚨 Fraud Confirmed'
     };
 
-    alert(`Alert ${alertId} resolved as: ${dispositionLabels[disposition]}\n\nAudit log created.`);
+    const riskItem = window._riskItemsCache?.[alertId];
+    const target = findAlertForRiskItem(alertId) || (riskItem ? alertFromRiskItem(riskItem) : null);
+    const resolved = target && resolveAlert(target.id, disposition.toUpperCase(), 'Resolved from investigation');
+
+    refreshAlertViews();
+    if (typeof showNotification === 'function') {
+        showNotification(resolved
+            ? `Alert ${resolved.id} resolved as ${dispositionLabels[disposition]}`
+            : `Could not resolve ${alertId} from its current state`, resolved ? 'success' : 'warning');
+    }
     showFraudTab('queue');
 }
 
 /**
- * Open SAR form for member
+ * Open a pre-filled SAR draft for a member in the BSA filing workspace
  */
-function openSARForMember(memberName, amount) {
-    showFraudTab('sar');
-    document.getElementById('sarSubjectName').value = memberName;
-    document.getElementById('sarAmount').value = amount;
+async function openSARForMember(memberName, amount, memberId, itemId) {
+    const alert = itemId ? findAlertForRiskItem(itemId) : null;
+    const filing = await startSarForMember({ memberName, memberId, amount, alertId: alert?.id, transactionId: alert?.transactionId || itemId });
+    openBsaFiling(filing.id);
 }
 
 /**
  * Generate SAR draft
  */
 function generateSARDraft() {
-    alert('SAR Draft generated with auto-populated fields.\n\nReview all sections before submission.');
+    startBlankSar();
 }
 
 /**
  * Save SAR draft
  */
 function saveSARDraft() {
-    const data = {
-        subjectName: document.getElementById('sarSubjectName')?.value,
-        activityType: document.getElementById('sarActivityType')?.value,
-        amount: document.getElementById('sarAmount')?.value,
-        narrative: document.getElementById('sarNarrative')?.value
-    };
-
-    localStorage.setItem('scuSARDraft', JSON.stringify(data));
-    alert('SAR Draft saved successfully.');
+    return saveBsaFilingForm();
 }
 
 /**
- * Submit SAR to FinCEN
+ * Submit the open SAR for BSA officer review
  */
 function submitSAR() {
-    const confirmed = confirm('Submit SAR to FinCEN?\n\nThis action will be logged and cannot be undone.');
-    if (confirmed) {
-        const sarId = `SAR-${Date.now()}`;
-        alert(`SAR ${sarId} submitted to FinCEN.\n\nConfirmation number generated.\nAudit trail created.`);
-
-        // Update SAR count
-        const sarCount = document.getElementById('fraudSARCount');
-        if (sarCount) {
-            sarCount.textContent = parseInt(sarCount.textContent) + 1;
-        }
-    }
+    submitBsaFilingForm();
 }
 
 /**
- * Refresh alert queue
+ * Refresh alert queue from the case system
  */
-function refreshAlertQueue() {
+async function refreshAlertQueue() {
     console.log('[Fraud Analyst] Refreshing alert queue...');
-    // In production, would fetch from API
-    alert('Alert queue refreshed.');
+    await loadAlertsFromCases();
+    refreshAlertViews();
 }
 
 /**
- * Filter alerts by priority
+ * Filter alerts by status and priority
  */
 function filterAlerts() {
-    const filter = document.getElementById('alertFilter')?.value;
-    console.log(`[Fraud Analyst] Filtering alerts by: ${filter}`);
+    AlertQueueView.status = document.getElementById('alertFilter')?.value || 'active';
+    AlertQueueView.priority = document.getElementById('alertPriorityFilter')?.value || '';
+    renderAlertQueue();
 }
 
 /**
  * Create alert from analysis
  */
 function createAlertFromAnalysis(score, riskLevel) {
-    alert(`Alert created.\n\nFraud Score: ${score}\nRisk Level: ${riskLevel}\n\nAdded to queue.`);
+    const amount = parseFloat(document.getElementById('anomalyAmount')?.value) || 0;
+    const created = createAlert(
+        { id: `ANALYSIS-${Date.now()}`, memberId: 'MANUAL', memberName: 'Manual analysis', amount },
+        { score, riskLevel, factors: [] },
+        priorityForRiskLevel(riskLevel)
+    );
+    refreshAlertViews();
+    if (typeof showNotification === 'function') showNotification(`Alert ${created.id} added to the queue`, 'success');
     showFraudTab('queue');
 }
 
@@ -2361,7 +2961,7 @@ function createAlertFromAnalysis(score, riskLevel) {
  * Open SAR from analysis
  */
 function openSARFromAnalysis() {
-    showFraudTab('sar');
+    startBlankSar();
 }
 
 // Export fraud analyst functions
@@ -0,0 +1,246 @@
+/**
+ * Data Profiler
+ * Main-thread side of the upload profiler. Runs data-profiler.worker.js on the
+ * uploaded File and formats its column profile for the column-selection UIs
+ * and for grounding the Gemma target/feature prompt.
+ *
+ * Profiling never blocks the upload: it runs alongside the POST to /upload,
+ * and callers get null (and keep the server's column list) when workers are
+ * unavailable, the format is unsupported or parsing fails.
+ *
+ * @module data-profiler
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const PROFILE_TIMEOUT_MS = 60000;
+
+/** Display label and icon per inferred column type */
+export const PROFILE_TYPES = {
+    numeric: { label: 'Numeric', icon: '🔢' },
+    categorical: { label: 'Categorical', icon: '🏷️' },
+    datetime: { label: 'Datetime', icon: '📅' },
+    id: { label: 'ID', icon: '🆔' },
+    text: { label: 'Free text', icon: '📝' }
+};
+
+/** Flags that make a column a poor feature */
+export const EXCLUDING_FLAGS = ['id', 'leakage', 'constant', 'empty'];
+
+const FLAG_LABELS = {
+    id: 'likely ID',
+    leakage: 'possible leakage',
+    constant: 'constant',
+    empty: 'empty',
+    high_missing: 'mostly missing',
+    high_cardinality: 'high cardinality',
+    redundant: 'near-duplicate'
+};
+
+// ============================================================================
+// Profiling
+// ============================================================================
+
+let requestSeq = 0;
+
+/**
+ * Profile a File in a Web Worker.
+ * @param {File} file - CSV, TSV or XLSX upload
+ * @param {{timeoutMs?: number}} [options]
+ * @returns {Promise<Object|null>} Profile, or null when it could not be built
+ */
+export function profileFile(file, { timeoutMs = PROFILE_TIMEOUT_MS } = {}) {
+    if (!file || typeof Worker === 'undefined') return Promise.resolve(null);
+
+    let worker;
+    try {
+        worker = new Worker(new URL('./data-profiler.worker.js', import.meta.url));
+    } catch (err) {
+        console.warn('Data profiler worker unavailable:', err);
+        return Promise.resolve(null);
+    }
+
+    const id = ++requestSeq;
+    return new Promise(resolve => {
+        const finish = (profile) => {
+            clearTimeout(timer);
+            worker.terminate();
+            resolve(profile);
+        };
+        const timer = setTimeout(() => {
+            console.warn(`Data profiling timed out after ${timeoutMs}ms`);
+            finish(null);
+        }, timeoutMs);
+
+        worker.onmessage = (event) => {
+            if (event.data?.id !== id) return;
+            if (event.data.error) console.warn('Data profiling failed:', event.data.error);
+            finish(event.data.profile || null);
+        };
+        worker.onerror = (event) => {
+            console.warn('Data profiler worker error:', event.message);
+            finish(null);
+        };
+        worker.postMessage({ id, file });
+    });
+}
+
+// ============================================================================
+// Lookups
+// ============================================================================
+
+/**
+ * @param {Object|null} profile
+ * @param {string} name
+ * @returns {Object|null} Column profile
+ */
+export function getColumnProfile(profile, name) {
+    return profile?.columns?.find(column => column.name === name) || null;
+}
+
+/**
+ * Correlation between two profiled columns, if both were correlated.
+ * @returns {number|null}
+ */
+export function correlationBetween(profile, a, b) {
+    const names = profile?.correlations?.columns || [];
+    const i = names.indexOf(a);
+    const j = names.indexOf(b);
+    return i < 0 || j < 0 ? null : profile.correlations.matrix[i][j];
+}
+
+/**
+ * Columns that would leak a chosen target: near-perfect correlation with it,
+ * plus anything the worker already flagged from its name.
+ * @param {Object|null} profile
+ * @param {string} target
+ * @param {number} [threshold=0.95]
+ * @returns {{column: string, reason: string}[]}
+ */
+export function leakageForTarget(profile, target, threshold = 0.95) {
+    if (!profile || !target) return [];
+    return profile.columns
+        .filter(column => column.name !== target)
+        .map(column => {
+            const r = correlationBetween(profile, column.name, target);
+            if (r != null && Math.abs(r) >= threshold) {
+                return { column: column.name, reason: `r=${r.toFixed(3)} with ${target}` };
+            }
+            if (column.flags.includes('leakage')) {
+                const note = column.notes.find(n => n.startsWith('Name suggests'));
+                return { column: column.name, reason: note || 'flagged as possible leakage' };
+            }
+            return null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Whether a column should be kept out of the feature set.
+ * @param {Object|null} profile
+ * @param {string} name
+ * @param {string|null} [target] - Also exclude leakers of this target
+ * @returns {boolean}
+ */
+export function isExcludedFeature(profile, name, target = null) {
+    const column = getColumnProfile(profile, name);
+    if (!column) return false;
+    if (column.flags.some(flag => EXCLUDING_FLAGS.includes(flag))) return true;
+    return Boolean(target && leakageForTarget(profile, target).some(l => l.column === name));
+}
+
+// ============================================================================
+// Formatting
+// ============================================================================
+
+function formatStat(value) {
+    if (value == null || !Number.isFinite(value)) return '—';
+    const abs = Math.abs(value);
+    if (abs >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+    if (abs >= 1e3) return `${(value / 1e3).toFixed(1)}k`;
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+/**
+ * One-line summary of a column, e.g. "numeric · 2% missing · 143 distinct · 0–99".
+ * @param {Object} column - Column profile
+ * @returns {string}
+ */
+export function describeColumn(column) {
+    const parts = [
+        column.binary ? `${column.type} (binary)` : column.type,
+        `${Math.round(column.missingPct * 100)}% missing`,
+        `${column.distinct.toLocaleString()} distinct`
+    ];
+
+    if (column.type === 'numeric' && column.stats) {
+        parts.push(`${formatStat(column.stats.min)}–${formatStat(column.stats.max)}, median ${formatStat(column.stats.median)}`);
+    } else if (column.type === 'datetime' && column.stats) {
+        parts.push(`${column.stats.min.slice(0, 10)} → ${column.stats.max.slice(0, 10)}`);
+    } else if (column.topValues?.length) {
+        parts.push(`top: ${column.topValues.slice(0, 3).map(v => v.value).join(', ')}`);
+    } else if (column.type === 'text' && column.stats) {
+        parts.push(`~${Math.round(column.stats.avgWords)} words`);
+    }
+
+    const flags = column.flags.map(flag => FLAG_LABELS[flag] || flag);
+    if (flags.length) parts.push(`⚠ ${flags.join(', ')}`);
+    return parts.join(' · ');
+}
+
+/**
+ * Small inline badge for a column chip/checkbox.
+ * @param {Object|null} column - Column profile
+ * @returns {string} HTML (empty when there is no profile)
+ */
+export function profileBadgeHTML(column) {
+    if (!column) return '';
+    const type = PROFILE_TYPES[column.type] || { label: column.type, icon: '' };
+    const warn = column.flags.some(flag => EXCLUDING_FLAGS.includes(flag));
+    const title = escapeAttr(`${column.name}: ${describeColumn(column)}${column.notes.length ? `\n${column.notes.join('\n')}` : ''}`);
+    const missing = column.missingPct >= 0.01 ? ` ${Math.round(column.missingPct * 100)}%∅` : '';
+    return `<span class="column-profile-badge type-${column.type}${warn ? ' warn' : ''}" title="${title}">${type.icon} ${type.label}${missing}${warn ? ' ⚠' : ''}</span>`;
+}
+
+/**
+ * Grounded context block for the Gemma column-selection prompt. Kept as a
+ * separate "- name: summary" list so the numbered column list stays as-is.
+ * @param {Object|null} profile
+ * @param {string[]} columns - Columns offered to Gemma
+ * @returns {string} Prompt section, or '' without a profile
+ */
+export function profilePromptContext(profile, columns) {
+    if (!profile) return '';
+
+    const lines = columns
+        .map(name => getColumnProfile(profile, name))
+        .filter(Boolean)
+        .map(column => `- ${column.name}: ${describeColumn(column)}`);
+    if (!lines.length) return '';
+
+    const pairs = (profile.correlations?.strongPairs || [])
+        .filter(pair => columns.includes(pair.a) && columns.includes(pair.b))
+        .slice(0, 8)
+        .map(pair => `- ${pair.a} ~ ${pair.b}: r=${pair.r.toFixed(2)}`);
+
+    const rowsNote = profile.sampled
+        ? `first ${profile.profiledRows.toLocaleString()} of ${profile.rowCount.toLocaleString()} rows`
+        : `${profile.rowCount.toLocaleString()} rows`;
+
+    return `
+
+Column profile (computed from the file, ${rowsNote}):
+${lines.join('\n')}${pairs.length ? `\n\nStrong correlations:\n${pairs.join('\n')}` : ''}
+
+Use this profile: never pick an ID, constant or possible-leakage column as the target or a feature, and prefer targets with low missingness.`;
+}
+
+function escapeAttr(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
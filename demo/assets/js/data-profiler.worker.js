@@ -0,0 +1,514 @@
+/**
+ * Data Profiler Worker
+ * Parses an uploaded CSV/TSV/XLSX file off the main thread and profiles every
+ * column: inferred type (numeric, categorical, datetime, id, text),
+ * missingness, cardinality, distributions, pairwise correlations and
+ * id/leakage/redundancy flags.
+ *
+ * Protocol: postMessage({ id, file }) -> { id, profile } | { id, error }
+ *
+ * XLSX is read without a library: the workbook is a zip archive, entries are
+ * inflated with DecompressionStream and the first sheet's XML is scanned
+ * directly (DOMParser is not available in workers).
+ *
+ * Used by: data-profiler.js
+ *
+ * @module data-profiler.worker
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const PROFILE_LIMITS = {
+    maxRows: 100000,          // rows profiled; rowCount still reports the full file
+    histogramBins: 10,
+    topValues: 10,
+    maxCorrelationColumns: 40,
+    typeShare: 0.95,          // share of non-missing values that must parse as the type
+    idDistinctRatio: 0.95,
+    idMinRows: 20,
+    redundantCorrelation: 0.98,
+    highMissing: 0.5,
+    textMinLength: 25,
+    textMinWords: 4
+};
+
+const MISSING_TOKENS = new Set(['', 'na', 'n/a', 'nan', 'null', 'none', '#n/a', 'nil', 'undefined']);
+
+const ID_NAME = /(^id$|_id$|^id_|uuid|guid|^key$|_key$|_no$|_number$|^row_?num)/i;
+const CAMEL_ID_NAME = /[a-z]Id$/;
+const TIME_NAME = /date|time|timestamp|datetime|year|month|day|week|quarter|_at$|_on$/i;
+const LEAKAGE_NAME = /(^|_)(outcome|result|label|target|resolution|resolved|closed|cancell?ed|churn(ed)?_(date|reason|flag)|default(ed)?_(date|flag))(_|$)/i;
+const DATE_PATTERNS = [
+    /^\d{4}-\d{1,2}(-\d{1,2})?([ T]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/,
+    /^\d{1,2}\/\d{1,2}\/\d{2,4}( \d{1,2}:\d{2}(:\d{2})?( ?[AP]M)?)?$/i,
+    /^[A-Za-z]{3,9}\.? \d{1,2},? \d{4}$/,
+    /^\d{1,2} [A-Za-z]{3,9}\.? \d{4}$/
+];
+
+// Excel serial day 25569 is 1970-01-01
+const EXCEL_EPOCH_DAYS = 25569;
+
+// ============================================================================
+// Delimited Text
+// ============================================================================
+
+function sniffDelimiter(text, filename) {
+    if (/\.tsv$/i.test(filename)) return '\t';
+    const end = text.search(/\r?\n/);
+    const firstLine = end < 0 ? text : text.slice(0, end);
+    const counts = [',', '\t', ';', '|'].map(d => [d, firstLine.split(d).length - 1]);
+    counts.sort((a, b) => b[1] - a[1]);
+    return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * RFC 4180 parser (quoted fields, doubled quotes, CRLF). Stops after
+ * maxRows data rows but keeps counting lines for the reported row count.
+ */
+function parseDelimited(text, delimiter, maxRows) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let total = 0;
+
+    const endRow = () => {
+        row.push(field);
+        field = '';
+        if (row.length > 1 || row[0] !== '') {
+            total++;
+            if (rows.length <= maxRows) rows.push(row);
+        }
+        row = [];
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) endRow();
+
+    const [header = [], ...body] = rows;
+    return { header, rows: body, rowCount: Math.max(0, total - 1) };
+}
+
+// ============================================================================
+// XLSX
+// ============================================================================
+
+function readZipDirectory(buffer) {
+    const view = new DataView(buffer);
+    let eocd = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('Not a valid XLSX (zip) file');
+
+    const entries = new Map();
+    const count = view.getUint16(eocd + 10, true);
+    const decoder = new TextDecoder();
+    let offset = view.getUint32(eocd + 16, true);
+
+    for (let n = 0; n < count; n++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) break;
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+        entries.set(name, { method, compressedSize, localOffset });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+async function readZipEntry(buffer, entries, name) {
+    const entry = entries.get(name);
+    if (!entry) return null;
+
+    const view = new DataView(buffer);
+    const start = entry.localOffset + 30
+        + view.getUint16(entry.localOffset + 26, true)
+        + view.getUint16(entry.localOffset + 28, true);
+    const bytes = new Uint8Array(buffer, start, entry.compressedSize);
+
+    if (entry.method === 0) return new TextDecoder().decode(bytes);
+    if (entry.method !== 8) throw new Error(`Unsupported zip compression method ${entry.method}`);
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+function textRuns(xml) {
+    return [...xml.matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g)].map(m => decodeXml(m[1])).join('');
+}
+
+function columnIndex(ref) {
+    const letters = ref.replace(/\d+$/, '');
+    let index = 0;
+    for (const ch of letters) index = index * 26 + (ch.charCodeAt(0) - 64);
+    return index - 1;
+}
+
+async function firstSheetPath(buffer, entries) {
+    const workbook = await readZipEntry(buffer, entries, 'xl/workbook.xml');
+    const rels = await readZipEntry(buffer, entries, 'xl/_rels/workbook.xml.rels');
+    const relId = workbook?.match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+    const target = relId && rels
+        ? rels.match(new RegExp(`<Relationship\\b[^>]*Id="${relId}"[^>]*Target="([^"]+)"`))?.[1]
+            || rels.match(new RegExp(`<Relationship\\b[^>]*Target="([^"]+)"[^>]*Id="${relId}"`))?.[1]
+        : null;
+    if (!target) return 'xl/worksheets/sheet1.xml';
+    return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+}
+
+async function parseXlsx(buffer, maxRows) {
+    const entries = readZipDirectory(buffer);
+    const sharedXml = await readZipEntry(buffer, entries, 'xl/sharedStrings.xml');
+    const shared = sharedXml
+        ? [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => textRuns(m[1]))
+        : [];
+
+    const sheetXml = await readZipEntry(buffer, entries, await firstSheetPath(buffer, entries));
+    if (!sheetXml) throw new Error('Workbook has no worksheet');
+
+    const rows = [];
+    let total = 0;
+    for (const rowMatch of sheetXml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+        total++;
+        if (rows.length > maxRows) continue;
+        const row = [];
+        for (const cell of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const attrs = cell[1];
+            const body = cell[2] || '';
+            const ref = attrs.match(/\br="([A-Z]+\d+)"/)?.[1];
+            const type = attrs.match(/\bt="([^"]+)"/)?.[1];
+            const raw = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+            let value = '';
+            if (type === 's') value = shared[Number(raw)] ?? '';
+            else if (type === 'inlineStr') value = textRuns(body);
+            else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+            else if (raw != null) value = decodeXml(raw);
+            row[ref ? columnIndex(ref) : row.length] = value;
+        }
+        rows.push(Array.from(row, v => v ?? ''));
+    }
+
+    const [header = [], ...body] = rows;
+    return { header, rows: body, rowCount: Math.max(0, total - 1), excelDates: true };
+}
+
+// ============================================================================
+// Value Parsing
+// ============================================================================
+
+function isMissing(value) {
+    return value == null || MISSING_TOKENS.has(String(value).trim().toLowerCase());
+}
+
+function parseNumber(value) {
+    const text = String(value).trim().replace(/^\$|%$/g, '').replace(/,(?=\d{3}(\D|$))/g, '');
+    if (!text || !/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return null;
+    return Number(text);
+}
+
+function parseDate(value) {
+    const text = String(value).trim();
+    if (!DATE_PATTERNS.some(pattern => pattern.test(text))) return null;
+    const ms = Date.parse(text.includes(' ') && /^\d{4}-/.test(text) ? text.replace(' ', 'T') : text);
+    return Number.isNaN(ms) ? null : ms;
+}
+
+// ============================================================================
+// Statistics
+// ============================================================================
+
+function quantile(sorted, q) {
+    if (!sorted.length) return null;
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function histogram(sorted, bins) {
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    if (min === max) return [{ from: min, to: max, count: sorted.length }];
+    const width = (max - min) / bins;
+    const counts = new Array(bins).fill(0);
+    sorted.forEach(v => { counts[Math.min(bins - 1, Math.floor((v - min) / width))]++; });
+    return counts.map((count, i) => ({ from: min + i * width, to: min + (i + 1) * width, count }));
+}
+
+function numericSummary(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+    return {
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        mean,
+        std: Math.sqrt(variance),
+        p25: quantile(sorted, 0.25),
+        median: quantile(sorted, 0.5),
+        p75: quantile(sorted, 0.75),
+        zeros: values.filter(v => v === 0).length,
+        histogram: histogram(sorted, PROFILE_LIMITS.histogramBins)
+    };
+}
+
+function topValues(values) {
+    const counts = new Map();
+    values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+    return Array.from(counts, ([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, PROFILE_LIMITS.topValues);
+}
+
+function pearson(xs, ys) {
+    let n = 0, sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0;
+    for (let i = 0; i < xs.length; i++) {
+        const x = xs[i];
+        const y = ys[i];
+        if (x == null || y == null) continue;
+        n++; sx += x; sy += y; sxx += x * x; syy += y * y; sxy += x * y;
+    }
+    if (n < 3) return null;
+    const cov = sxy - (sx * sy) / n;
+    const vx = sxx - (sx * sx) / n;
+    const vy = syy - (sy * sy) / n;
+    return vx > 0 && vy > 0 ? cov / Math.sqrt(vx * vy) : null;
+}
+
+// ============================================================================
+// Column Profiling
+// ============================================================================
+
+function looksLikeId(name, present, distinct, numbers) {
+    if (present.length < PROFILE_LIMITS.idMinRows) return false;
+    const ratio = distinct / present.length;
+    if ((ID_NAME.test(name) || CAMEL_ID_NAME.test(name)) && ratio >= 0.9) return true;
+    if (ratio < PROFILE_LIMITS.idDistinctRatio) return false;
+
+    if (numbers) {
+        // Unique integers that only ever increase are row keys, not measurements
+        if (!numbers.every(Number.isInteger)) return false;
+        return numbers.every((v, i) => i === 0 || v > numbers[i - 1]);
+    }
+    // Unique single-token codes of near-constant length (UUIDs, account numbers)
+    let shortest = Infinity;
+    let longest = 0;
+    present.forEach(v => {
+        shortest = Math.min(shortest, v.length);
+        longest = Math.max(longest, v.length);
+    });
+    return longest - shortest <= 2 && present.every(v => !/\s/.test(v));
+}
+
+function profileColumn(name, raw, { excelDates }) {
+    const present = [];
+    raw.forEach(v => { if (!isMissing(v)) present.push(String(v).trim()); });
+
+    const missing = raw.length - present.length;
+    const distinct = new Set(present).size;
+    const column = {
+        name,
+        type: 'categorical',
+        missing,
+        missingPct: raw.length ? missing / raw.length : 0,
+        distinct,
+        distinctRatio: present.length ? distinct / present.length : 0,
+        flags: [],
+        notes: []
+    };
+    if (!present.length) {
+        column.flags.push('empty');
+        return { column, encoded: null };
+    }
+
+    const numbers = present.map(parseNumber);
+    const numericShare = numbers.filter(v => v != null).length / present.length;
+    let dates = present.map(parseDate);
+    let dateShare = dates.filter(v => v != null).length / present.length;
+
+    // Excel stores dates as serial day numbers; trust them when the header says time
+    if (excelDates && dateShare < PROFILE_LIMITS.typeShare && numericShare >= PROFILE_LIMITS.typeShare && TIME_NAME.test(name)
+        && numbers.every(v => v == null || (v > 1 && v < 2958466))) {
+        dates = numbers.map(v => (v == null ? null : Math.round((v - EXCEL_EPOCH_DAYS) * 86400000)));
+        dateShare = numericShare;
+        column.notes.push('Excel serial dates');
+    }
+
+    let encoded = null;
+    if (dateShare >= PROFILE_LIMITS.typeShare) {
+        column.type = 'datetime';
+        const valid = dates.filter(v => v != null);
+        const sorted = valid.slice().sort((a, b) => a - b);
+        column.stats = {
+            min: new Date(sorted[0]).toISOString(),
+            max: new Date(sorted[sorted.length - 1]).toISOString(),
+            spanDays: (sorted[sorted.length - 1] - sorted[0]) / 86400000,
+            histogram: histogram(sorted, PROFILE_LIMITS.histogramBins).map(bin => ({
+                from: new Date(bin.from).toISOString(),
+                to: new Date(bin.to).toISOString(),
+                count: bin.count
+            }))
+        };
+    } else if (numericShare >= PROFILE_LIMITS.typeShare) {
+        const valid = numbers.filter(v => v != null);
+        if (looksLikeId(name, present, distinct, valid)) {
+            column.type = 'id';
+        } else if (distinct <= 2) {
+            column.type = 'categorical';
+            column.binary = true;
+            column.topValues = topValues(present);
+        } else {
+            column.type = 'numeric';
+            column.stats = numericSummary(valid);
+        }
+        encoded = column.type === 'id' ? null : raw.map(v => (isMissing(v) ? null : parseNumber(v)));
+    } else if (looksLikeId(name, present, distinct, null)) {
+        column.type = 'id';
+    } else {
+        const avgLength = present.reduce((sum, v) => sum + v.length, 0) / present.length;
+        const avgWords = present.reduce((sum, v) => sum + v.split(/\s+/).length, 0) / present.length;
+        if (column.distinctRatio > 0.5 && (avgLength >= PROFILE_LIMITS.textMinLength || avgWords >= PROFILE_LIMITS.textMinWords)) {
+            column.type = 'text';
+            column.stats = { avgLength, avgWords };
+        } else {
+            column.topValues = topValues(present);
+            if (distinct === 2) {
+                // Two-level strings (yes/no, churned/active) correlate as 0/1
+                column.binary = true;
+                const positive = column.topValues[1].value;
+                encoded = raw.map(v => (isMissing(v) ? null : String(v).trim() === positive ? 1 : 0));
+            }
+        }
+    }
+
+    if (column.type === 'id') column.flags.push('id');
+    if (distinct === 1) column.flags.push('constant');
+    if (column.missingPct > PROFILE_LIMITS.highMissing) column.flags.push('high_missing');
+    if (column.type === 'categorical' && distinct > 50 && column.distinctRatio > 0.5) column.flags.push('high_cardinality');
+    if (LEAKAGE_NAME.test(name)) {
+        column.flags.push('leakage');
+        column.notes.push('Name suggests a value only known after the outcome');
+    }
+
+    return { column, encoded };
+}
+
+function profileTable({ header, rows, rowCount, excelDates }, meta) {
+    const names = header.map((h, i) => String(h || '').trim() || `column_${i + 1}`);
+    const data = rows.slice(0, PROFILE_LIMITS.maxRows);
+    const sampled = rowCount > data.length;
+
+    const encodedByColumn = [];
+    const columns = names.map((name, i) => {
+        const { column, encoded } = profileColumn(name, data.map(row => row[i]), { excelDates });
+        if (encoded && !column.flags.includes('constant')) encodedByColumn.push({ name, encoded });
+        return column;
+    });
+
+    const correlated = encodedByColumn.slice(0, PROFILE_LIMITS.maxCorrelationColumns);
+    const matrix = correlated.map(a => correlated.map(b => (a === b ? 1 : null)));
+    const strongPairs = [];
+    for (let i = 0; i < correlated.length; i++) {
+        for (let j = i + 1; j < correlated.length; j++) {
+            const r = pearson(correlated[i].encoded, correlated[j].encoded);
+            matrix[i][j] = r;
+            matrix[j][i] = r;
+            if (r != null && Math.abs(r) >= 0.5) {
+                strongPairs.push({ a: correlated[i].name, b: correlated[j].name, r });
+            }
+        }
+    }
+    strongPairs.sort((x, y) => Math.abs(y.r) - Math.abs(x.r));
+
+    // Near-identical pairs: mark the later column redundant. Leakage depends on
+    // which column becomes the target, so that is judged later against the
+    // correlation matrix (data-profiler.js leakageForTarget)
+    strongPairs.filter(pair => Math.abs(pair.r) >= PROFILE_LIMITS.redundantCorrelation).forEach(pair => {
+        const column = columns.find(c => c.name === pair.b);
+        if (!column.flags.includes('redundant')) column.flags.push('redundant');
+        column.notes.push(`Near-duplicate of ${pair.a} (r=${pair.r.toFixed(3)})`);
+    });
+
+    return {
+        filename: meta.filename,
+        format: meta.format,
+        rowCount,
+        profiledRows: data.length,
+        sampled,
+        columns,
+        correlations: {
+            columns: correlated.map(c => c.name),
+            matrix,
+            strongPairs: strongPairs.slice(0, 25)
+        },
+        generatedAt: new Date().toISOString()
+    };
+}
+
+// ============================================================================
+// Message Handler
+// ============================================================================
+
+async function profileFile(file) {
+    const filename = file.name || 'upload';
+    const buffer = await file.arrayBuffer();
+    const head = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+    const isZip = head[0] === 0x50 && head[1] === 0x4b;
+
+    if (/\.xlsx$/i.test(filename) || (isZip && !/\.(csv|tsv|txt)$/i.test(filename))) {
+        const table = await parseXlsx(buffer, PROFILE_LIMITS.maxRows);
+        return profileTable(table, { filename, format: 'xlsx' });
+    }
+    if (!/\.(csv|tsv|txt)$/i.test(filename)) {
+        throw new Error(`Local profiling supports CSV, TSV and XLSX (got ${filename})`);
+    }
+
+    const text = new TextDecoder().decode(buffer).replace(/^\uFEFF/, '');
+    const delimiter = sniffDelimiter(text, filename);
+    const table = parseDelimited(text, delimiter, PROFILE_LIMITS.maxRows);
+    return profileTable(table, { filename, format: delimiter === '\t' ? 'tsv' : 'csv' });
+}
+
+self.onmessage = async (event) => {
+    const { id, file } = event.data || {};
+    try {
+        self.postMessage({ id, profile: await profileFile(file) });
+    } catch (err) {
+        self.postMessage({ id, error: err.message || String(err) });
+    }
+};
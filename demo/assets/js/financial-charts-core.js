@@ -3,7 +3,8 @@
  * 
  * Enterprise-grade financial visualization foundation.
  * Provides unified theme, color palettes, chart factory pattern,
- * and utility functions for all financial chart modules.
+ * cross-filter selection bus, and utility functions for all
+ * financial chart modules.
  * 
  * @module FinancialChartsCore
  * @requires Plotly.js 2.27+
@@ -390,6 +391,109 @@ const FinancialUtils = {
 };
 
 
+// =============================================================================
+// CROSS-FILTER SELECTION BUS
+// =============================================================================
+
+// Name given to the Plotly shape drawn behind a selected category
+const CROSS_FILTER_SHAPE = 'cross-filter-highlight';
+
+/**
+ * Page-wide selection shared by linked charts.
+ * Holds at most one value per dimension ('category', 'period', 'department', ...)
+ * in the order they were picked, so breadcrumbs can step back through them.
+ */
+class ChartSelectionBus {
+    constructor() {
+        this.trail = [];
+        this.listeners = new Set();
+    }
+    
+    /**
+     * Select a value; selecting the active value again clears that dimension
+     * @param {string} dimension - Filter dimension
+     * @param {string} value - Selected category/period/department
+     * @param {string} source - Container ID of the chart that was clicked
+     */
+    select(dimension, value, source = null) {
+        if (!dimension || value == null || value === '') return;
+        
+        const current = this.get(dimension);
+        this.trail = this.trail.filter(f => f.dimension !== dimension);
+        if (current !== String(value)) {
+            this.trail.push({ dimension, value: String(value), source });
+        }
+        this._emit();
+    }
+    
+    /**
+     * Clear one dimension
+     */
+    clear(dimension) {
+        if (this.get(dimension) == null) return;
+        this.trail = this.trail.filter(f => f.dimension !== dimension);
+        this._emit();
+    }
+    
+    /**
+     * Keep only the first `depth` selections (breadcrumb navigation)
+     */
+    truncate(depth) {
+        if (depth >= this.trail.length) return;
+        this.trail = this.trail.slice(0, Math.max(0, depth));
+        this._emit();
+    }
+    
+    /**
+     * Clear every filter
+     */
+    reset() {
+        this.truncate(0);
+    }
+    
+    /**
+     * Active value for a dimension, or null
+     */
+    get(dimension) {
+        const filter = this.trail.find(f => f.dimension === dimension);
+        return filter ? filter.value : null;
+    }
+    
+    /**
+     * Active filters as { dimension: value }
+     */
+    getFilters() {
+        return Object.fromEntries(this.trail.map(f => [f.dimension, f.value]));
+    }
+    
+    isActive() {
+        return this.trail.length > 0;
+    }
+    
+    /**
+     * Listen for changes
+     * @param {function} listener - (filters, trail) => void
+     * @returns {function} Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+    
+    _emit() {
+        const filters = this.getFilters();
+        const trail = this.trail.slice();
+        this.listeners.forEach(listener => {
+            try {
+                listener(filters, trail);
+            } catch (e) {
+                console.error('ChartSelectionBus listener failed:', e);
+            }
+        });
+    }
+}
+
+
 // =============================================================================
 // CHART FACTORY
 // =============================================================================
@@ -397,6 +501,8 @@ const FinancialUtils = {
 class FinancialChartFactory {
     constructor() {
         this.charts = new Map();
+        this.links = new Map();
+        this.selection = new ChartSelectionBus();
         this.theme = FinancialTheme;
         this.utils = FinancialUtils;
         
@@ -404,6 +510,14 @@ class FinancialChartFactory {
         window.addEventListener('resize', FinancialUtils.debounce(() => {
             this.resizeAll();
         }, 250));
+        
+        // Re-highlight every linked chart when the selection changes
+        this.selection.subscribe((filters, trail) => {
+            this.links.forEach((link, containerId) => {
+                this._highlight(containerId);
+                if (link.onSelection) link.onSelection(filters, trail);
+            });
+        });
     }
     
     /**
@@ -510,6 +624,238 @@ class FinancialChartFactory {
         }
         
         this.charts.delete(containerId);
+        this.links.delete(containerId);
+    }
+    
+    /**
+     * Link a rendered chart to the selection bus: clicking it publishes a
+     * selection, and every selection change highlights it on its dimensions.
+     * Call again after re-rendering, since Plotly.newPlot drops click handlers.
+     * 
+     * @param {string} containerId - DOM element ID of a Plotly or ECharts chart
+     * @param {object} spec - Link options
+     * @param {string[]} spec.dimensions - Dimensions this chart shows
+     * @param {function} spec.resolve - (point) => { dimension, value } | null for a click;
+     *                                  defaults to the point's category on the first dimension
+     * @param {function} spec.onSelection - (filters, trail) => void, for data-level filtering
+     * @param {object} spec.chart - ECharts instance (looked up from the DOM if omitted)
+     */
+    link(containerId, spec = {}) {
+        const container = document.getElementById(containerId);
+        if (!container) {
+            console.error(`Container #${containerId} not found`);
+            return null;
+        }
+        
+        const dimensions = [].concat(spec.dimensions || spec.dimension || []);
+        const echartsInstance = spec.chart || (window.echarts && echarts.getInstanceByDom(container));
+        const resolve = spec.resolve || (point => {
+            const value = this._pointCategory(point);
+            return value == null ? null : { dimension: dimensions[0], value };
+        });
+        
+        const link = {
+            dimensions,
+            onSelection: spec.onSelection || null,
+            library: echartsInstance ? 'echarts' : 'plotly',
+            chart: echartsInstance || null,
+            base: null
+        };
+        
+        const publish = (point) => {
+            const hit = point && resolve(point);
+            if (hit) this.selection.select(hit.dimension, hit.value, containerId);
+        };
+        
+        // Drop only our own handler from a previous link(), never the chart's other listeners
+        this._detachClick(containerId);
+        
+        if (link.library === 'echarts') {
+            link.clickHandler = publish;
+            echartsInstance.on('click', publish);
+        } else if (typeof container.on === 'function') {
+            link.clickHandler = (event) => publish(event.points && event.points[0]);
+            container.on('plotly_click', link.clickHandler);
+            link.base = this._plotlyBase(container);
+        }
+        
+        this.links.set(containerId, link);
+        this._highlight(containerId);
+        return link;
+    }
+    
+    /**
+     * Stop cross-filtering a chart
+     */
+    unlink(containerId) {
+        this._detachClick(containerId);
+        this.links.delete(containerId);
+    }
+    
+    /**
+     * Remove the click handler a link() attached to a chart
+     */
+    _detachClick(containerId) {
+        const link = this.links.get(containerId);
+        if (!link || !link.clickHandler) return;
+        
+        if (link.library === 'echarts') {
+            if (!link.chart.isDisposed || !link.chart.isDisposed()) link.chart.off('click', link.clickHandler);
+        } else {
+            const container = document.getElementById(containerId);
+            if (container && container.removeListener) container.removeListener('plotly_click', link.clickHandler);
+        }
+        link.clickHandler = null;
+    }
+    
+    /**
+     * Render breadcrumbs and a reset control for the selection bus
+     * 
+     * @param {string} containerId - DOM container ID
+     * @param {object} options - Display options
+     * @param {object} options.labels - Display name per dimension
+     * @returns {function} Unsubscribe
+     */
+    renderSelectionBreadcrumbs(containerId, options = {}) {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+        
+        const labels = options.labels || {};
+        const render = () => {
+            const trail = this.selection.trail;
+            const crumbs = trail.map((filter, i) => `
+                <span class="fin-breadcrumb-sep">›</span>
+                <button class="fin-breadcrumb${i === trail.length - 1 ? ' active' : ''}" data-crumb-depth="${i + 1}">
+                    <span class="fin-breadcrumb-dimension">${this._escape(labels[filter.dimension] || filter.dimension)}:</span>
+                    ${this._escape(filter.value)}
+                </button>
+            `).join('');
+            
+            container.innerHTML = `
+                <nav class="fin-breadcrumbs" aria-label="Chart filters">
+                    <button class="fin-breadcrumb${trail.length ? '' : ' active'}" data-crumb-depth="0">All data</button>
+                    ${crumbs}
+                    ${trail.length ? '' : `<span class="fin-breadcrumb-hint">${options.hint || 'Click a chart element to filter'}</span>`}
+                </nav>
+                <button class="fin-btn fin-btn-secondary" data-crumb-depth="0" ${trail.length ? '' : 'disabled'}>↺ Reset filters</button>
+            `;
+        };
+        
+        container.onclick = (event) => {
+            const crumb = event.target.closest('[data-crumb-depth]');
+            if (crumb) this.selection.truncate(Number(crumb.dataset.crumbDepth));
+        };
+        
+        render();
+        return this.selection.subscribe(render);
+    }
+    
+    /**
+     * Category of a clicked Plotly point or ECharts item
+     */
+    _pointCategory(point) {
+        if (point.name != null && point.componentType) return point.name;   // ECharts
+        if (point.data && point.data.orientation === 'h') return point.y;
+        const value = point.x != null ? point.x : point.label;
+        return typeof value === 'object' ? null : value;
+    }
+    
+    /**
+     * Snapshot of the Plotly styling the highlight overrides
+     */
+    _plotlyBase(container) {
+        const trace = (container.data || [])[0] || {};
+        return {
+            shapes: ((container.layout && container.layout.shapes) || []).filter(s => s.name !== CROSS_FILTER_SHAPE),
+            nodeColor: trace.node ? trace.node.color : null,
+            linkColor: trace.link ? trace.link.color : null
+        };
+    }
+    
+    /**
+     * Highlight the active value on a linked chart. When several of its
+     * dimensions are filtered, the most recent selection wins.
+     */
+    _highlight(containerId) {
+        const link = this.links.get(containerId);
+        const container = document.getElementById(containerId);
+        if (!link || !container) return;
+        
+        const active = this.selection.trail.filter(f => link.dimensions.includes(f.dimension)).pop();
+        const value = active ? active.value : null;
+        
+        try {
+            if (link.library === 'echarts') {
+                this._highlightECharts(link.chart, value);
+            } else if (container.data) {
+                this._highlightPlotly(container, link, value);
+            }
+        } catch (e) {
+            console.error(`Cross-filter highlight failed for #${containerId}:`, e);
+        }
+    }
+    
+    _highlightECharts(chart, value) {
+        chart.dispatchAction({ type: 'downplay' });
+        if (value != null) chart.dispatchAction({ type: 'highlight', name: value });
+    }
+    
+    _highlightPlotly(container, link, value) {
+        const trace = container.data[0] || {};
+        const dimmed = 'rgba(148, 163, 184, 0.15)';
+        
+        // Treemap: zoom into the selected node
+        if (trace.type === 'treemap') {
+            const level = value != null && (trace.labels || []).includes(value) ? value : '';
+            Plotly.restyle(container, { level: [level] }, [0]);
+            return;
+        }
+        
+        // Sankey: keep the selected node and its flows, fade the rest
+        if (trace.type === 'sankey') {
+            const node = value != null ? (trace.node.label || []).indexOf(value) : -1;
+            const nodeBase = link.base.nodeColor;
+            const linkBase = link.base.linkColor;
+            const pick = (base, i, keep) => (keep ? (Array.isArray(base) ? base[i] : base) : dimmed);
+            
+            Plotly.restyle(container, {
+                'node.color': [node < 0 ? nodeBase : trace.node.label.map((_, i) => pick(nodeBase, i, i === node))],
+                'link.color': [node < 0 ? linkBase : trace.link.source.map((source, i) =>
+                    pick(linkBase, i, source === node || trace.link.target[i] === node))]
+            }, [0]);
+            return;
+        }
+        
+        // Cartesian: band behind the selected category
+        const horizontal = container.data.some(t => t.orientation === 'h');
+        const axis = horizontal ? 'y' : 'x';
+        const axisLayout = (container.layout && container.layout[`${axis}axis`]) || {};
+        const categories = axisLayout.categoryarray || [...new Set(container.data.flatMap(t => t[axis] || []))];
+        const index = value != null ? categories.indexOf(value) : -1;
+        
+        const shapes = link.base.shapes.slice();
+        if (index >= 0) {
+            const band = {
+                type: 'rect',
+                name: CROSS_FILTER_SHAPE,
+                layer: 'below',
+                fillcolor: 'rgba(99, 102, 241, 0.12)',
+                line: { color: this.theme.colors.primary, width: 1 }
+            };
+            Object.assign(band, horizontal
+                ? { xref: 'paper', x0: 0, x1: 1, yref: 'y', y0: index - 0.5, y1: index + 0.5 }
+                : { yref: 'paper', y0: 0, y1: 1, xref: 'x', x0: index - 0.5, x1: index + 0.5 });
+            shapes.push(band);
+        }
+        Plotly.relayout(container, { shapes });
+    }
+    
+    _escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
     }
     
     /**
@@ -554,6 +900,7 @@ if (typeof module !== 'undefined' && module.exports) {
         FinancialTheme,
         FinancialUtils,
         FinancialChartFactory,
+        ChartSelectionBus,
         financialChartFactory,
         PlotlyBaseConfig,
         PlotlyBaseLayout,
@@ -566,6 +913,7 @@ if (typeof window !== 'undefined') {
     window.FinancialTheme = FinancialTheme;
     window.FinancialUtils = FinancialUtils;
     window.FinancialChartFactory = FinancialChartFactory;
+    window.ChartSelectionBus = ChartSelectionBus;
     window.financialChartFactory = financialChartFactory;
     window.PlotlyBaseConfig = PlotlyBaseConfig;
     window.PlotlyBaseLayout = PlotlyBaseLayout;
@@ -169,7 +169,40 @@ const GaugeChart = {
         
         return chart;
     },
-    
+
+    /**
+     * Update a gauge created by create() in place (no re-init, no entry animation)
+     *
+     * @param {object} chart - ECharts instance returned by create()
+     * @param {object} data - Same shape as create(); value, max and thresholds drive the color
+     */
+    update(chart, data) {
+        if (!chart) return;
+
+        const theme = window.FinancialTheme || FinancialTheme;
+        const color = this._getGaugeColor(data.value, data.max, data.thresholds, theme);
+
+        chart.setOption({
+            series: [{
+                progress: {
+                    itemStyle: {
+                        color: {
+                            type: 'linear',
+                            x: 0, y: 0, x2: 1, y2: 0,
+                            colorStops: [
+                                { offset: 0, color: color.start },
+                                { offset: 1, color: color.end }
+                            ]
+                        },
+                        shadowColor: color.glow
+                    }
+                },
+                detail: { color: color.text },
+                data: [{ value: data.value, name: data.title || '' }]
+            }]
+        });
+    },
+
     /**
      * Get gauge color based on value and thresholds
      */
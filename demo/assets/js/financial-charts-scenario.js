@@ -0,0 +1,603 @@
+/**
+ * Financial Scenario Charts Module
+ *
+ * Interactive what-if simulator on top of the flow, KPI and advanced charts.
+ * Model: Driver-based annual P&L, monthly cash projection and runway
+ * Simulator: Driver sliders re-render the P&L waterfall, margin/runway gauges,
+ *            cash projection and sensitivity tornado on every change
+ * Scenarios: Named driver sets saved to localStorage and compared side by side
+ *
+ * @module FinancialChartsScenario
+ * @requires FinancialChartsCore
+ * @requires FinancialChartsFlow
+ * @requires FinancialChartsKPI
+ * @requires FinancialChartsAdvanced
+ */
+
+'use strict';
+
+// =============================================================================
+// DRIVERS & ASSUMPTIONS
+// =============================================================================
+
+/**
+ * Adjustable drivers. Price, volume and unit cost are % changes vs baseline,
+ * headcount is absolute and growth is month-over-month revenue growth used
+ * only by the cash projection. sensitivityStep is the ± move for the tornado.
+ */
+const SCENARIO_DRIVERS = [
+    { key: 'price', label: 'Price', unit: '%', min: -30, max: 30, step: 1, sensitivityStep: 10 },
+    { key: 'volume', label: 'Volume', unit: '%', min: -50, max: 50, step: 1, sensitivityStep: 10 },
+    { key: 'unitCost', label: 'COGS per unit', unit: '%', min: -30, max: 30, step: 1, sensitivityStep: 10 },
+    { key: 'headcount', label: 'Headcount', unit: 'FTE', step: 1, sensitivityStep: 0.1 },
+    { key: 'growth', label: 'Monthly growth', unit: '%/mo', min: -5, max: 10, step: 0.5, sensitivityStep: 0 }
+];
+
+// Used only where the engines did not return the figure
+const SCENARIO_ASSUMPTIONS = {
+    revenue: 1250000,
+    netMarginPct: 24.5,
+    cogsRatio: 0.4,
+    headcount: 25,
+    payrollShareOfOpex: 0.7,
+    depreciationRatio: 0.04,
+    interestRatio: 0.024,
+    taxRate: 0.25,
+    runwayMonths: 14.5,
+    burnPctOfRevenue: 0.12
+};
+
+const SCENARIO_STORAGE_KEY = 'financialScenarios';
+const RUNWAY_SEARCH_MONTHS = 120;
+
+// =============================================================================
+// SCENARIO MODEL (pure calculations)
+// =============================================================================
+
+const ScenarioModel = {
+    /**
+     * Build the baseline from dashboard engine results
+     *
+     * The P&L is back-solved so baseline net income matches the engine margin,
+     * and a fixed monthly outflow (capex/debt service) is solved so baseline
+     * runway matches the cash_flow engine.
+     *
+     * @param {object} results - analysisResults keyed by engine id
+     * @returns {object} Baseline
+     */
+    baselineFromResults(results = {}) {
+        const A = SCENARIO_ASSUMPTIONS;
+        const margins = results.profit_margins || {};
+        const cashFlow = results.cash_flow || {};
+        const forecast = results.revenue_forecasting || {};
+        const pricing = results.pricing_strategy || {};
+
+        const revenue = margins.total_revenue || forecast.historical_total || A.revenue;
+        const netMargin = (margins.average_margin ?? A.netMarginPct) / 100;
+
+        const cogs = revenue * A.cogsRatio;
+        const depreciation = revenue * A.depreciationRatio;
+        const interest = revenue * A.interestRatio;
+        const ebt = (revenue * netMargin) / (1 - A.taxRate);
+        const ebitda = ebt + interest + depreciation;
+        const opex = Math.max(0, revenue - cogs - ebitda);
+
+        const payroll = opex * A.payrollShareOfOpex;
+        const monthlyBurn = cashFlow.burn_rate || (revenue * A.burnPctOfRevenue) / 12;
+        const runwayMonths = cashFlow.runway_months || A.runwayMonths;
+
+        const baseline = {
+            revenue,
+            cogs,
+            headcount: A.headcount,
+            costPerHead: payroll / A.headcount,
+            otherOpex: opex - payroll,
+            depreciation,
+            interest,
+            taxRate: A.taxRate,
+            elasticity: Number.isFinite(pricing.elasticity) ? pricing.elasticity : 0,
+            cashBalance: monthlyBurn * runwayMonths,
+            fixedOutflow: 0
+        };
+
+        baseline.fixedOutflow = this._operatingCashFlow(baseline, this.defaultDrivers(baseline), 0) + monthlyBurn;
+        return baseline;
+    },
+
+    /**
+     * Driver values that reproduce the baseline
+     */
+    defaultDrivers(baseline) {
+        return { price: 0, volume: 0, unitCost: 0, headcount: baseline.headcount, growth: 0 };
+    },
+
+    /**
+     * Slider bounds for a driver (headcount depends on the baseline)
+     */
+    driverRange(driver, baseline) {
+        if (driver.key === 'headcount') {
+            return { min: Math.max(1, Math.round(baseline.headcount * 0.5)), max: baseline.headcount * 2 };
+        }
+        return { min: driver.min, max: driver.max };
+    },
+
+    /**
+     * Volume multiplier including the price response (elasticity)
+     */
+    volumeFactor(baseline, drivers) {
+        const priceResponse = 1 + baseline.elasticity * (drivers.price / 100);
+        return Math.max(0, (1 + drivers.volume / 100) * priceResponse);
+    },
+
+    /**
+     * Annual P&L for a driver set
+     *
+     * @returns {object} revenue, cogs, grossProfit, opex, ebitda, depreciation,
+     *                   ebit, interest, taxes, netIncome, grossMargin, netMargin (%)
+     */
+    computePnL(baseline, drivers) {
+        const volume = this.volumeFactor(baseline, drivers);
+        const revenue = baseline.revenue * (1 + drivers.price / 100) * volume;
+        const cogs = baseline.cogs * volume * (1 + drivers.unitCost / 100);
+        const grossProfit = revenue - cogs;
+        const opex = drivers.headcount * baseline.costPerHead + baseline.otherOpex;
+        const ebitda = grossProfit - opex;
+        const ebit = ebitda - baseline.depreciation;
+        const ebt = ebit - baseline.interest;
+        const taxes = Math.max(0, ebt) * baseline.taxRate;
+        const netIncome = ebt - taxes;
+
+        return {
+            revenue,
+            cogs,
+            grossProfit,
+            opex,
+            ebitda,
+            depreciation: baseline.depreciation,
+            ebit,
+            interest: baseline.interest,
+            taxes,
+            netIncome,
+            grossMargin: revenue ? (grossProfit / revenue) * 100 : 0,
+            netMargin: revenue ? (netIncome / revenue) * 100 : 0
+        };
+    },
+
+    /**
+     * Operating cash flow for month m (0-based), revenue and COGS compounding at the growth driver
+     */
+    _operatingCashFlow(baseline, drivers, month) {
+        const pnl = this.computePnL(baseline, drivers);
+        const scale = Math.pow(1 + drivers.growth / 100, month);
+        const ebitda = ((pnl.revenue - pnl.cogs) * scale - pnl.opex) / 12;
+        const ebt = ebitda - (baseline.depreciation + baseline.interest) / 12;
+        const taxes = Math.max(0, ebt) * baseline.taxRate;
+        return ebitda - baseline.interest / 12 - taxes;
+    },
+
+    /**
+     * Monthly cash projection and runway
+     *
+     * @param {number} months - Months to return for charting
+     * @returns {{labels: string[], netFlows: number[], balances: number[], runwayMonths: number}}
+     *          runwayMonths is Infinity when cash never runs out within RUNWAY_SEARCH_MONTHS
+     */
+    projectCash(baseline, drivers, months = 24) {
+        const labels = [];
+        const netFlows = [];
+        const balances = [];
+        let balance = baseline.cashBalance;
+        let runwayMonths = Infinity;
+
+        for (let m = 0; m < Math.max(months, RUNWAY_SEARCH_MONTHS); m++) {
+            const flow = this._operatingCashFlow(baseline, drivers, m) - baseline.fixedOutflow;
+            const previous = balance;
+            balance += flow;
+
+            if (runwayMonths === Infinity && balance < 0) {
+                runwayMonths = m + (previous > 0 ? previous / (previous - balance) : 0);
+            }
+            if (m < months) {
+                labels.push(`M${m + 1}`);
+                netFlows.push(flow);
+                balances.push(balance);
+            } else if (runwayMonths !== Infinity) {
+                break;
+            }
+        }
+
+        return { labels, netFlows, balances, runwayMonths };
+    },
+
+    /**
+     * Full evaluation used by the charts and the comparison table
+     */
+    evaluate(baseline, drivers, months = 24) {
+        return {
+            drivers,
+            pnl: this.computePnL(baseline, drivers),
+            cash: this.projectCash(baseline, drivers, months)
+        };
+    },
+
+    /**
+     * Net income sensitivity to a ±sensitivityStep move of each driver,
+     * relative to the current scenario (TornadoChart data shape)
+     */
+    sensitivity(baseline, drivers) {
+        const base = this.computePnL(baseline, drivers).netIncome;
+        const factors = [];
+        const lowImpact = [];
+        const highImpact = [];
+
+        SCENARIO_DRIVERS.filter(d => d.sensitivityStep).forEach(driver => {
+            // Headcount moves proportionally, the % drivers by absolute points
+            const step = driver.key === 'headcount'
+                ? Math.max(1, Math.round(drivers.headcount * driver.sensitivityStep))
+                : driver.sensitivityStep;
+            const at = (value) => this.computePnL(baseline, { ...drivers, [driver.key]: value }).netIncome - base;
+
+            factors.push(`${driver.label} ±${step}${driver.key === 'headcount' ? ' FTE' : '%'}`);
+            lowImpact.push(at(drivers[driver.key] - step));
+            highImpact.push(at(drivers[driver.key] + step));
+        });
+
+        return { factors, lowImpact, highImpact };
+    },
+
+    /**
+     * P&L values in WaterfallChart.createPnL order
+     */
+    waterfallValues(pnl) {
+        return [
+            pnl.revenue,
+            -pnl.cogs,
+            pnl.grossProfit,
+            -pnl.opex,
+            pnl.ebitda,
+            -pnl.depreciation,
+            pnl.ebit,
+            -pnl.interest,
+            -pnl.taxes,
+            pnl.netIncome
+        ].map(v => Math.round(v));
+    }
+};
+
+
+// =============================================================================
+// SCENARIO STORE (localStorage)
+// =============================================================================
+
+const ScenarioStore = {
+    /**
+     * Saved scenarios, oldest first: [{ name, drivers, savedAt }]
+     */
+    list() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SCENARIO_STORAGE_KEY) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (e) {
+            console.warn('ScenarioStore: could not read saved scenarios', e);
+            return [];
+        }
+    },
+
+    /**
+     * Save (or overwrite by name) a scenario
+     */
+    save(name, drivers) {
+        const scenarios = this.list().filter(s => s.name !== name);
+        scenarios.push({ name, drivers: { ...drivers }, savedAt: new Date().toISOString() });
+        this._write(scenarios);
+        return scenarios;
+    },
+
+    remove(name) {
+        const scenarios = this.list().filter(s => s.name !== name);
+        this._write(scenarios);
+        return scenarios;
+    },
+
+    get(name) {
+        return this.list().find(s => s.name === name) || null;
+    },
+
+    _write(scenarios) {
+        try {
+            localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
+        } catch (e) {
+            console.warn('ScenarioStore: could not save scenarios', e);
+        }
+    }
+};
+
+
+// =============================================================================
+// SCENARIO SIMULATOR (UI)
+// =============================================================================
+
+const ScenarioSimulator = {
+    containers: {
+        drivers: 'scenario-drivers',
+        waterfall: 'scenario-waterfall-chart',
+        marginGauge: 'scenario-margin-gauge',
+        runwayGauge: 'scenario-runway-gauge',
+        runway: 'scenario-runway-chart',
+        tornado: 'scenario-tornado-chart',
+        compare: 'scenario-compare'
+    },
+
+    baseline: null,
+    drivers: null,
+    gauges: {},
+
+    /**
+     * Render the simulator
+     *
+     * @param {object} options
+     * @param {object} options.baseline - From ScenarioModel.baselineFromResults()
+     * @param {object} options.containers - Override container IDs
+     * @param {number} options.months - Cash projection horizon
+     */
+    init(options = {}) {
+        this.containers = { ...this.containers, ...(options.containers || {}) };
+        this.baseline = options.baseline || ScenarioModel.baselineFromResults();
+        this.drivers = ScenarioModel.defaultDrivers(this.baseline);
+        this.months = options.months || 24;
+
+        this._disposeGauges();
+        this._renderDrivers();
+        this._scheduleRender = FinancialUtils.debounce(() => this.render(), 120);
+        this.render();
+    },
+
+    /**
+     * Re-render every chart for the current drivers
+     */
+    render() {
+        if (!this.baseline) return;
+
+        const result = ScenarioModel.evaluate(this.baseline, this.drivers, this.months);
+
+        WaterfallChart.createPnL(this.containers.waterfall, {
+            values: ScenarioModel.waterfallValues(result.pnl)
+        }, { height: 340 });
+
+        this._renderGauges(result);
+
+        ComboFlowChart.create(this.containers.runway, {
+            labels: result.cash.labels,
+            barValues: result.cash.netFlows.map(Math.round),
+            lineValues: result.cash.balances.map(Math.round),
+            barLabel: 'Net Cash Flow',
+            lineLabel: 'Cash Balance',
+            title: `Cash Projection · Runway ${this._formatRunway(result.cash.runwayMonths)}`
+        }, { height: 340, xLabel: 'Month' });
+
+        const sensitivity = ScenarioModel.sensitivity(this.baseline, this.drivers);
+        TornadoChart.create(this.containers.tornado, {
+            ...sensitivity,
+            title: 'Net Income Sensitivity'
+        }, { height: 300 });
+
+        this._renderComparison(result);
+    },
+
+    /**
+     * Resize charts after their tab becomes visible
+     */
+    resize() {
+        Object.values(this.gauges).forEach(chart => chart.resize());
+        ['waterfall', 'runway', 'tornado'].forEach(key => {
+            const el = document.getElementById(this.containers[key]);
+            if (el && el.data) Plotly.Plots.resize(el);
+        });
+    },
+
+    setDriver(key, value) {
+        this.drivers[key] = Number(value);
+        const output = document.querySelector(`[data-driver-value="${key}"]`);
+        if (output) output.textContent = this._formatDriver(key, this.drivers[key]);
+        this._scheduleRender();
+    },
+
+    reset() {
+        this.drivers = ScenarioModel.defaultDrivers(this.baseline);
+        this._renderDrivers();
+        this.render();
+    },
+
+    save(name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) return;
+        ScenarioStore.save(trimmed, this.drivers);
+        this._renderComparison(ScenarioModel.evaluate(this.baseline, this.drivers, this.months));
+    },
+
+    load(name) {
+        const scenario = ScenarioStore.get(name);
+        if (!scenario) return;
+        this.drivers = { ...ScenarioModel.defaultDrivers(this.baseline), ...scenario.drivers };
+        this._renderDrivers();
+        this.render();
+    },
+
+    remove(name) {
+        ScenarioStore.remove(name);
+        this._renderComparison(ScenarioModel.evaluate(this.baseline, this.drivers, this.months));
+    },
+
+    /**
+     * Sliders, save form and elasticity note
+     */
+    _renderDrivers() {
+        const container = document.getElementById(this.containers.drivers);
+        if (!container) return;
+
+        const sliders = SCENARIO_DRIVERS.map(driver => {
+            const range = ScenarioModel.driverRange(driver, this.baseline);
+            const value = this.drivers[driver.key];
+            return `
+                <label class="fin-scenario-driver">
+                    <span class="fin-scenario-driver-label">
+                        ${driver.label}
+                        <span class="fin-scenario-driver-value fin-font-mono" data-driver-value="${driver.key}">${this._formatDriver(driver.key, value)}</span>
+                    </span>
+                    <input type="range" min="${range.min}" max="${range.max}" step="${driver.step}" value="${value}"
+                        oninput="ScenarioSimulator.setDriver('${driver.key}', this.value)">
+                </label>
+            `;
+        }).join('');
+
+        const elasticity = this.baseline.elasticity
+            ? `<p class="fin-card-subtitle">Price changes also move volume (elasticity ${this.baseline.elasticity}).</p>`
+            : '';
+
+        container.innerHTML = `
+            <div class="fin-scenario-drivers">${sliders}</div>
+            ${elasticity}
+            <div class="fin-flex fin-items-center fin-gap-sm fin-mt-md">
+                <input type="text" class="fin-scenario-name" id="scenario-name" placeholder="Scenario name" maxlength="40">
+                <button class="fin-btn fin-btn-primary" onclick="ScenarioSimulator.save(document.getElementById('scenario-name').value)">💾 Save</button>
+                <button class="fin-btn fin-btn-secondary" onclick="ScenarioSimulator.reset()">↺ Reset</button>
+            </div>
+        `;
+    },
+
+    /**
+     * Create the gauges once, then update them in place on each change
+     */
+    _renderGauges(result) {
+        const margin = {
+            value: result.pnl.netMargin,
+            max: 100,
+            title: 'Net Margin',
+            unit: '%',
+            thresholds: { danger: 10, warning: 25 }
+        };
+        const runway = {
+            value: Math.min(result.cash.runwayMonths, 24),
+            max: 24,
+            title: 'Cash Runway',
+            unit: 'months',
+            thresholds: { danger: 25, warning: 50 }
+        };
+
+        [['marginGauge', margin], ['runwayGauge', runway]].forEach(([key, data]) => {
+            if (this.gauges[key]) {
+                GaugeChart.update(this.gauges[key], data);
+            } else {
+                this.gauges[key] = GaugeChart.create(this.containers[key], data);
+            }
+        });
+    },
+
+    _disposeGauges() {
+        Object.values(this.gauges).forEach(chart => chart && chart.dispose());
+        this.gauges = {};
+    },
+
+    /**
+     * Baseline, saved scenarios and the current (unsaved) drivers side by side
+     */
+    _renderComparison(current) {
+        const container = document.getElementById(this.containers.compare);
+        if (!container) return;
+
+        const utils = window.FinancialUtils || FinancialUtils;
+        const baseline = ScenarioModel.evaluate(this.baseline, ScenarioModel.defaultDrivers(this.baseline), this.months);
+        const saved = ScenarioStore.list().map(s => ({
+            name: s.name,
+            saved: true,
+            ...ScenarioModel.evaluate(this.baseline, { ...ScenarioModel.defaultDrivers(this.baseline), ...s.drivers }, this.months)
+        }));
+        const columns = [{ name: 'Baseline', ...baseline }, ...saved, { name: 'Current', ...current }];
+
+        const rows = [
+            ...SCENARIO_DRIVERS.map(d => ({ label: d.label, value: c => this._formatDriver(d.key, c.drivers[d.key]) })),
+            { label: 'Revenue', metric: c => c.pnl.revenue, format: v => utils.formatCurrency(v, 'USD', true) },
+            { label: 'Gross Margin', metric: c => c.pnl.grossMargin, format: v => `${v.toFixed(1)}%` },
+            { label: 'EBITDA', metric: c => c.pnl.ebitda, format: v => utils.formatCurrency(v, 'USD', true) },
+            { label: 'Net Income', metric: c => c.pnl.netIncome, format: v => utils.formatCurrency(v, 'USD', true) },
+            { label: 'Net Margin', metric: c => c.pnl.netMargin, format: v => `${v.toFixed(1)}%` },
+            { label: 'Cash Runway', metric: c => c.cash.runwayMonths, format: v => this._formatRunway(v) }
+        ];
+
+        const cell = (row, column) => {
+            if (row.value) return row.value(column);
+            const value = row.metric(column);
+            const base = row.metric(baseline);
+            const delta = value - base;
+            const cls = column === columns[0] || !Number.isFinite(delta) || Math.abs(delta) < 1e-6
+                ? ''
+                : (delta > 0 ? 'fin-text-success' : 'fin-text-danger');
+            return `<span class="${cls}">${row.format(value)}</span>`;
+        };
+
+        container.innerHTML = `
+            <table class="fin-scenario-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${columns.map(c => `
+                            <th>
+                                ${this._escape(c.name)}
+                                ${c.saved ? `
+                                    <span class="fin-scenario-actions">
+                                        <button title="Load" data-scenario="${this._escape(c.name)}" onclick="ScenarioSimulator.load(this.dataset.scenario)">↥</button>
+                                        <button title="Delete" data-scenario="${this._escape(c.name)}" onclick="ScenarioSimulator.remove(this.dataset.scenario)">✕</button>
+                                    </span>` : ''}
+                            </th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <th>${row.label}</th>
+                            ${columns.map(c => `<td class="fin-font-mono">${cell(row, c)}</td>`).join('')}
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+            ${saved.length ? '' : '<p class="fin-card-subtitle fin-mt-sm">Save a scenario to compare it against the baseline.</p>'}
+        `;
+    },
+
+    _formatDriver(key, value) {
+        if (key === 'headcount') return `${value} FTE`;
+        const sign = value > 0 ? '+' : '';
+        return key === 'growth' ? `${sign}${value}%/mo` : `${sign}${value}%`;
+    },
+
+    _formatRunway(months) {
+        return Number.isFinite(months) ? `${months.toFixed(1)} mo` : 'Cash-flow positive';
+    },
+
+    _escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+};
+
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ScenarioModel,
+        ScenarioStore,
+        ScenarioSimulator,
+        SCENARIO_DRIVERS
+    };
+}
+
+if (typeof window !== 'undefined') {
+    window.ScenarioModel = ScenarioModel;
+    window.ScenarioStore = ScenarioStore;
+    window.ScenarioSimulator = ScenarioSimulator;
+}
@@ -0,0 +1,392 @@
+/**
+ * Banking Fixtures
+ * Fiserv core (token, usage, parties, accounts, transactions), case
+ * management, fraud monitoring and loan applications for banking.html,
+ * answered from the synthetic population (synthetic_bank.js).
+ * Cases are stateful: creates, updates and notes persist for the session.
+ * The real-time feed is a finite SSE replay of population transactions that
+ * resumes from a cursor, and batch jobs run one at a time in queue order.
+ *
+ * @module mock/fixtures/banking
+ */
+
+import { fail, sse } from '../router.js';
+import { createCollection } from '../store.js';
+
+// Seeds persist in sessionStorage, so large populations keep the newest slice
+const MAX_SEEDED_CASES = 500;
+const MAX_SEEDED_APPLICATIONS = 500;
+
+// Real-time feed: events per SSE connection and the gap between them
+const STREAM_BATCH = 40;
+const STREAM_MAX_BATCH = 200;
+const STREAM_DELAY_MS = 400;
+// Every Nth streamed transaction is drawn from a member with injected fraud
+const STREAM_FRAUD_EVERY = 9;
+
+const BATCH_JOB_TYPES = {
+    ach_posting: { name: 'ACH posting', duration_seconds: 45 },
+    interest_accrual: { name: 'Interest accrual', duration_seconds: 30 },
+    statement_generation: { name: 'Statement generation', duration_seconds: 90 },
+    ctr_aggregation: { name: 'CTR cash aggregation', duration_seconds: 20 },
+    fraud_rescore: { name: 'Fraud model rescore', duration_seconds: 60 }
+};
+
+function toParty(member) {
+    return {
+        party_id: member.party_id,
+        name: member.name,
+        email: member.email,
+        phone: member.phone,
+        address: member.address,
+        accounts: member.accounts
+    };
+}
+
+function timelineEntry(type, note, user = 'Current User') {
+    return { event_type: type, timestamp: new Date().toISOString(), user_name: user, note };
+}
+
+function caseStats(cases) {
+    const active = cases.filter(c => c.status !== 'closed');
+    const resolved = cases.filter(c => c.resolved_at);
+    const hours = resolved.map(c => (new Date(c.resolved_at) - new Date(c.created_at)) / 3600000);
+    return {
+        open: active.length,
+        critical: active.filter(c => c.priority === 'critical').length,
+        high: active.filter(c => c.priority === 'high').length,
+        resolved: resolved.length,
+        avg_resolution_hours: hours.length ? Math.round(hours.reduce((a, b) => a + b, 0) / hours.length) : 0
+    };
+}
+
+function seedBatchJobs() {
+    const hour = 3600000;
+    const now = Date.now();
+    const job = (type, hoursAgo, extra = {}) => ({
+        id: `JOB-SEED-${type.toUpperCase()}`,
+        job_type: type,
+        name: BATCH_JOB_TYPES[type].name,
+        queued_at: new Date(now - hoursAgo * hour).toISOString(),
+        duration_seconds: BATCH_JOB_TYPES[type].duration_seconds,
+        requested_by: 'scheduler',
+        ...extra
+    });
+    return [
+        job('interest_accrual', 9),
+        job('ach_posting', 8),
+        job('statement_generation', 7, { failed: true, error: 'Print vendor SFTP timed out' }),
+        job('ctr_aggregation', 6)
+    ];
+}
+
+/**
+ * Derive each job's status from the clock: jobs run one at a time in queue
+ * order, so a job starts when it was queued or when the previous one ended.
+ * @param {Object[]} jobs - Stored jobs
+ * @param {number} now - Epoch ms
+ * @returns {Object[]} Jobs with status, progress and timings, newest first
+ */
+function batchJobStatus(jobs, now) {
+    let freeAt = 0;
+    return jobs
+        .slice()
+        .sort((a, b) => new Date(a.queued_at) - new Date(b.queued_at))
+        .map(job => {
+            const start = Math.max(new Date(job.queued_at).getTime(), freeAt);
+            const end = start + job.duration_seconds * 1000;
+            freeAt = end;
+            const progress = Math.min(1, Math.max(0, (now - start) / (end - start)));
+            let status = now < start ? 'queued' : now < end ? 'running' : 'completed';
+            if (job.failed && status === 'completed') status = 'failed';
+            return {
+                ...job,
+                status,
+                progress: Math.round(progress * 100),
+                started_at: now >= start ? new Date(start).toISOString() : null,
+                finished_at: now >= end ? new Date(end).toISOString() : null
+            };
+        })
+        .reverse();
+}
+
+/**
+ * @param {Object} router - Mock router
+ * @param {Object} data - window.MOCK_DATA
+ */
+export function register(router, data) {
+    const banking = data.banking;
+    const population = banking.population;
+    const cases = createCollection('bankingCases', () => population.cases().slice(0, MAX_SEEDED_CASES), { idPrefix: 'CASE-' });
+    const loans = createCollection('loanApplications', () => population.loanApplications().slice(0, MAX_SEEDED_APPLICATIONS));
+    const batchJobs = createCollection('bankingBatchJobs', seedBatchJobs, { idPrefix: 'JOB-' });
+    const findMember = id => {
+        const member = population.memberById(id);
+        return member && (member.party_id === id || member.accounts.includes(id)) ? member : null;
+    };
+
+    // ------------------------------------------------------------------
+    // Fiserv core
+    // ------------------------------------------------------------------
+    router.get('/fiserv/api/v1/usage', () => ({ ...banking.usage, token_refreshes: 12 }));
+    router.get('/fiserv/api/v1/token', () => banking.token);
+    router.post('/fiserv/api/v1/token/refresh', () => ({ ...banking.token, success: true, expires_in_seconds: 3600 }));
+
+    router.post('/fiserv/api/v1/party/search', req => {
+        const { name = '', phone = '', email = '', account_id: accountId = '' } = req.body || {};
+        const parties = population.searchMembers({ name, phone, email, account_id: accountId }).map(toParty);
+        return { success: true, count: parties.length, parties };
+    });
+    router.get('/fiserv/api/v1/party/search', req => {
+        const parties = population.searchMembers({ name: req.query.name }).map(toParty);
+        return { success: true, data: { parties }, parties };
+    });
+    router.get('/fiserv/api/v1/party/:id/accounts', req => {
+        const member = findMember(req.params.id);
+        if (!member) return fail(404, 'Party not found');
+        return { success: true, accounts: population.accounts(member.party_id).map(a => ({ ...a, account_type: a.type })) };
+    });
+    router.get('/fiserv/accounts/:memberId', req => {
+        const member = findMember(req.params.memberId) || population.member(0);
+        return { success: true, accounts: population.accounts(member.party_id).map(a => ({ ...a, account_type: a.type, available: a.balance })) };
+    });
+
+    router.post('/fiserv/api/v1/account/lookup', req => {
+        const account = population.account(req.body?.account_id);
+        if (!account) return { success: false, error: 'No such account' };
+        return {
+            success: true,
+            account: { ...account, account_type: account.type, product_id: account.name }
+        };
+    });
+
+    const transactions = req => {
+        if (!findMember(req.params.accountId)) return fail(404, 'Account not found');
+        const days = parseInt(req.query.days, 10) || 30;
+        return { success: true, account_id: req.params.accountId, transactions: population.transactions(req.params.accountId, { days }) };
+    };
+    router.get('/fiserv/api/v1/transactions/:accountId', transactions);
+    router.post('/fiserv/api/v1/transactions/:accountId', transactions);
+
+    router.get('/fiserv/api/v1/member360/:memberId', req => {
+        const member = findMember(req.params.memberId) || population.member(0);
+        return {
+            success: true,
+            party: toParty(member),
+            accounts: population.accounts(member.party_id),
+            cards: population.cards(member.party_id),
+            loans: population.loans(member.party_id),
+            devices: member.device_ids,
+            open_cases: cases.where(c => c.member_id === member.party_id && c.status !== 'closed').length
+        };
+    });
+
+    router.post('/fiserv/api/v1/transfer', req => {
+        const { amount } = req.body || {};
+        if (!(Number(amount) > 0)) return { success: false, error: 'Amount must be positive' };
+        return { success: true, transaction_id: `TX-${Date.now()}` };
+    });
+
+    // ------------------------------------------------------------------
+    // Cases
+    // ------------------------------------------------------------------
+    router.get('/fiserv/api/v1/cases', req => ({
+        success: true,
+        cases: req.query.type ? cases.where(c => c.type === req.query.type) : cases.all()
+    }));
+    router.get('/fiserv/api/v1/cases/stats', () => ({ success: true, stats: caseStats(cases.all()) }));
+
+    router.get('/fiserv/api/v1/cases/:id', req => {
+        const found = cases.find(req.params.id);
+        return found ? { success: true, case: found } : fail(404, 'Case not found');
+    });
+
+    router.post('/fiserv/api/v1/cases', req => {
+        const body = req.body || {};
+        if (!body.case_type || !body.subject) return fail(422, 'case_type and subject are required');
+        const created = cases.insert({
+            type: body.case_type,
+            subject: body.subject,
+            description: body.description || '',
+            member_id: body.member_id,
+            account_id: body.account_id,
+            priority: body.priority || 'medium',
+            status: 'open',
+            assignee_name: body.assignee_name,
+            created_at: new Date().toISOString(),
+            due_date: body.due_date,
+            resolved_at: null,
+            timeline: [timelineEntry('created', 'Case opened')]
+        });
+        return { success: true, case: created };
+    });
+
+    router.put('/fiserv/api/v1/cases/:id', req => {
+        const updates = req.body || {};
+        const updated = cases.update(req.params.id, current => ({
+            ...updates,
+            resolved_at: updates.status === 'closed' ? new Date().toISOString() : current.resolved_at,
+            timeline: [...current.timeline, timelineEntry('updated', Object.keys(updates).join(', ') + ' changed')]
+        }));
+        return updated ? { success: true, case: updated } : fail(404, 'Case not found');
+    });
+
+    router.post('/fiserv/api/v1/cases/:id/notes', req => {
+        const updated = cases.update(req.params.id, current => ({
+            timeline: [...current.timeline, timelineEntry('note', req.body?.note || '', req.body?.user_name)]
+        }));
+        return updated ? { success: true, case: updated } : fail(404, 'Case not found');
+    });
+
+    // ------------------------------------------------------------------
+    // Fraud monitoring
+    // ------------------------------------------------------------------
+    router.get('/api/v1/banking/fraud/stats', () => {
+        const active = cases.where(c => c.type === 'fraud' || c.type === 'aml');
+        return {
+            status: 'success',
+            alerts: {
+                critical: active.filter(c => c.priority === 'critical' && c.status !== 'closed').length,
+                high: active.filter(c => c.priority === 'high' && c.status !== 'closed').length
+            },
+            today: { resolved: active.filter(c => c.status === 'closed').length, avg_resolution_minutes: 42 },
+            month: { sars_filed: active.filter(c => c.type === 'aml' && c.status === 'closed').length }
+        };
+    });
+
+    router.get('/api/v1/banking/fraud/model-performance', () => ({
+        status: 'success',
+        metrics: { accuracy: 0.962, false_positive_rate: 0.031, auc_roc: 0.947, precision: 0.884 }
+    }));
+
+    router.get('/api/v1/banking/fraud/highest-risk', req => {
+        const limit = parseInt(req.query.limit, 10) || 10;
+        const suspects = population.fraudMembers();
+        const flagsFor = member => [member.fraud_pattern];
+        const items = req.query.view_type === 'members'
+            ? suspects.slice(0, limit).map((member, i) => ({
+                id: member.party_id,
+                type: 'member',
+                member_id: member.party_id,
+                member_name: member.name,
+                score: 95 - (i % 10) * 3,
+                priority: ['account_takeover', 'mule_ring'].includes(member.fraud_pattern) ? 'critical' : 'high',
+                amount: 0,
+                description: member.fraud_pattern.replace(/_/g, ' '),
+                flags: flagsFor(member),
+                flag_types: flagsFor(member)
+            }))
+            : suspects
+                .flatMap(member => population.transactions(member.party_id, { days: 30 })
+                    .filter(tx => tx.fraud_label)
+                    .map(tx => ({ member, tx })))
+                .sort((a, b) => b.tx.amount - a.tx.amount)
+                .slice(0, limit)
+                .map(({ member, tx }, i) => ({
+                    id: tx.transaction_id,
+                    type: 'transaction',
+                    member_id: member.party_id,
+                    member_name: member.name,
+                    score: 98 - i * 3,
+                    priority: i < 3 ? 'critical' : 'high',
+                    amount: tx.amount,
+                    description: tx.description,
+                    flags: flagsFor(member),
+                    flag_types: flagsFor(member)
+                }));
+        return { status: 'success', items, total_count: items.length };
+    });
+
+    router.post('/api/v1/banking/analyze/:memberId', req => {
+        const member = findMember(req.params.memberId);
+        if (!member) return fail(404, 'Member not found');
+        const factors = member.fraud_pattern
+            ? [member.fraud_pattern.replace(/_/g, ' ')]
+            : member.credit_score < 620 ? ['Low credit score'] : [];
+        return {
+            status: 'success',
+            member_id: member.party_id,
+            risk_score: member.fraud_pattern ? 0.87 : member.credit_score < 620 ? 0.41 : 0.12,
+            risk_level: member.fraud_pattern ? 'high' : member.credit_score < 620 ? 'medium' : 'low',
+            factors
+        };
+    });
+
+    // ------------------------------------------------------------------
+    // Real-time transaction feed
+    // ------------------------------------------------------------------
+    const fraudMembers = population.fraudMembers();
+    const streamedTransaction = cursor => {
+        const fromFraud = fraudMembers.length && cursor % STREAM_FRAUD_EVERY === STREAM_FRAUD_EVERY - 1;
+        const member = fromFraud
+            ? fraudMembers[Math.floor(cursor / STREAM_FRAUD_EVERY) % fraudMembers.length]
+            : population.member((cursor * 7919) % population.size);
+        const recent = population.transactions(member.party_id, { days: 30 });
+        const labelled = fromFraud ? recent.filter(tx => tx.fraud_label) : [];
+        const pool = labelled.length ? labelled : recent;
+        return pool.length ? { member, source: pool[cursor % pool.length] } : null;
+    };
+
+    router.get('/api/v1/banking/stream/transactions', req => {
+        const cursor = Math.max(0, parseInt(req.query.cursor, 10) || 0);
+        const batch = Math.min(STREAM_MAX_BATCH, parseInt(req.query.batch, 10) || STREAM_BATCH);
+        const startedAt = Date.now();
+        const events = [{ event: 'ready', data: { cursor, batch }, delayMs: 50 }];
+
+        for (let i = 0; i < batch; i++) {
+            const position = cursor + i;
+            const picked = streamedTransaction(position);
+            if (!picked) continue;
+            const { member, source } = picked;
+            events.push({
+                event: 'transaction',
+                id: String(position),
+                data: {
+                    ...source,
+                    transaction_id: `RT-${position}`,
+                    source_transaction_id: source.transaction_id,
+                    member_id: member.party_id,
+                    member_name: member.name,
+                    state: member.address?.state,
+                    posted_at: new Date(startedAt + (i + 1) * STREAM_DELAY_MS).toISOString()
+                },
+                delayMs: STREAM_DELAY_MS
+            });
+        }
+        events.push({ event: 'end', data: { next_cursor: cursor + batch }, delayMs: 50 });
+        return sse(events);
+    });
+
+    // ------------------------------------------------------------------
+    // Batch jobs
+    // ------------------------------------------------------------------
+    router.get('/api/v1/banking/batch/jobs', () => ({
+        success: true,
+        jobs: batchJobStatus(batchJobs.all(), Date.now()),
+        job_types: BATCH_JOB_TYPES
+    }));
+
+    router.post('/api/v1/banking/batch/jobs', req => {
+        const type = req.body?.job_type;
+        if (!BATCH_JOB_TYPES[type]) return fail(422, `Unknown job_type: ${type}`);
+        const created = batchJobs.insert({
+            job_type: type,
+            name: BATCH_JOB_TYPES[type].name,
+            queued_at: new Date().toISOString(),
+            duration_seconds: BATCH_JOB_TYPES[type].duration_seconds,
+            requested_by: req.body?.requested_by || 'Current User'
+        });
+        const job = batchJobStatus(batchJobs.all(), Date.now()).find(j => j.id === created.id);
+        return { success: true, job };
+    });
+
+    // ------------------------------------------------------------------
+    // Lending
+    // ------------------------------------------------------------------
+    router.get('/fiserv/api/v1/loans/applications', req => {
+        const status = req.query.status;
+        const matching = loans.where(loan => !status || loan.status === status);
+        const limit = parseInt(req.query.limit, 10) || matching.length;
+        return { success: true, applications: matching.slice(0, limit) };
+    });
+}
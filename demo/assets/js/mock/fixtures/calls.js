@@ -0,0 +1,193 @@
+/**
+ * Call Center Fixtures
+ * Call QA scoring (call_qa_ui.js) and CTI screen-pop / live-call routes
+ * (live_calls_ui.js). Recent calls and screen pops come from the synthetic
+ * population. Live calls are stateful: call_started adds a call, verify and
+ * call_ended update it.
+ *
+ * @module mock/fixtures/calls
+ */
+
+import { fail } from '../router.js';
+import { createCollection } from '../store.js';
+
+const AGENTS = [
+    { agent_id: 'agent-014', avg_overall: 4.6, avg_professionalism: 4.8, avg_compliance: 4.7, calls_analyzed: 38 },
+    { agent_id: 'agent-007', avg_overall: 4.3, avg_professionalism: 4.5, avg_compliance: 4.1, calls_analyzed: 42 },
+    { agent_id: 'agent-022', avg_overall: 3.9, avg_professionalism: 4.2, avg_compliance: 3.6, calls_analyzed: 27 },
+    { agent_id: 'agent-003', avg_overall: 3.4, avg_professionalism: 3.9, avg_compliance: 2.9, calls_analyzed: 19 }
+];
+
+// Review findings attached to the most recent calls, in order
+const FLAG_FINDINGS = [
+    { severity: 'high', review_reason: 'Account details disclosed before identity verification' },
+    { severity: 'medium', review_reason: 'Required disclosure not read for fee reversal' },
+    { severity: 'low', review_reason: 'Call closed without recap of next steps' }
+];
+
+function withinDays(iso, days) {
+    return !days || Date.now() - new Date(iso).getTime() <= Number(days) * 86400000;
+}
+
+/**
+ * Score a transcript chunk from a few keyword cues so edits in the QA form
+ * change the result.
+ */
+function scoreChunk(text) {
+    const lower = text.toLowerCase();
+    const verified = /verify|verified|last four|date of birth/.test(lower);
+    const polite = /thank|please|happy to|apolog/.test(lower);
+    const compliance = verified ? 4.6 : 3.1;
+    const professionalism = polite ? 4.7 : 3.8;
+    const customerService = polite ? 4.5 : 3.6;
+    const protocol = verified ? 4.4 : 3.0;
+    const overall = Math.round(((compliance + professionalism + customerService + protocol) / 4) * 10) / 10;
+    return {
+        scores: { overall, professionalism, compliance, customer_service: customerService, protocol_adherence: protocol },
+        requires_review: compliance < 3.5
+    };
+}
+
+function screenPop(population, ani) {
+    const member = population.searchMembers({ phone: ani }, 1)[0] || population.member(0);
+    return {
+        member_name: member.name,
+        member_id: member.party_id,
+        phone: ani,
+        ani,
+        fiserv_data: {
+            accounts: population.accounts(member.party_id).map(account => ({
+                type: account.type,
+                last4: account.account_id.slice(-4),
+                balance: account.balance
+            }))
+        },
+        call_history: population.calls(member.party_id).map(call => ({ date: call.started_at.slice(0, 10), reason: call.reason }))
+    };
+}
+
+/**
+ * @param {Object} router - Mock router
+ * @param {Object} data - window.MOCK_DATA
+ */
+export function register(router, data) {
+    const population = data.banking.population;
+    const liveCalls = createCollection('liveCalls', [], { idKey: 'call_id', idPrefix: 'CALL-' });
+    const recentCalls = population.recentCalls(20);
+    const flags = FLAG_FINDINGS.slice(0, recentCalls.length).map((finding, i) => {
+        const call = recentCalls[i];
+        return {
+            id: i + 1,
+            call_id: call.call_id,
+            agent_id: call.agent_id,
+            analyzed_at: new Date(new Date(call.started_at).getTime() + call.duration * 1000).toISOString(),
+            ...finding
+        };
+    });
+
+    // ------------------------------------------------------------------
+    // Call QA
+    // ------------------------------------------------------------------
+    router.get('/api/v1/calls/qa/stats', () => ({
+        avg_overall: 4.1,
+        avg_compliance: 3.9,
+        calls_analyzed: AGENTS.reduce((sum, agent) => sum + agent.calls_analyzed, 0),
+        flags_count: flags.length
+    }));
+
+    router.get('/api/v1/calls/qa/leaderboard', req => {
+        const limit = parseInt(req.query.limit, 10) || AGENTS.length;
+        return { period: req.query.period || 'week', leaderboard: AGENTS.slice(0, limit) };
+    });
+
+    router.get('/api/v1/calls/qa/flags', req => ({
+        flagged: flags.filter(flag => withinDays(flag.analyzed_at, req.query.days))
+    }));
+
+    router.get('/api/v1/calls', req => {
+        const calls = recentCalls.filter(call => withinDays(call.started_at, req.query.days));
+        const limit = parseInt(req.query.limit, 10) || calls.length;
+        return { calls: calls.slice(0, limit), total: calls.length };
+    });
+
+    router.post('/api/v1/calls/qa/process', req => {
+        const transcript = String(req.body?.transcript || '').trim();
+        if (!transcript) return fail(422, 'transcript is required');
+
+        const chunks = transcript
+            .split(/\n\s*\n|(?<=[.?!])\s+(?=(?:Agent|Customer|Member):)/)
+            .map(text => text.trim())
+            .filter(Boolean)
+            .map(text => ({ chunk_text: text, ...scoreChunk(text) }));
+        const average = key => Math.round((chunks.reduce((sum, c) => sum + c.scores[key], 0) / chunks.length) * 10) / 10;
+
+        return {
+            call_id: req.body.call_id,
+            agent_id: req.body.agent_id,
+            avg_scores: {
+                overall: average('overall'),
+                professionalism: average('professionalism'),
+                compliance: average('compliance'),
+                customer_service: average('customer_service')
+            },
+            chunks,
+            total_processing_time_sec: Math.round(chunks.length * 0.8 * 10) / 10,
+            compliance_flags_count: chunks.filter(c => c.scores.compliance < 3.5).length,
+            requires_review_count: chunks.filter(c => c.requires_review).length
+        };
+    });
+
+    router.get('/api/v1/calls/agents/:agentId/qa-metrics', req => {
+        const agent = AGENTS.find(a => a.agent_id === req.params.agentId);
+        if (!agent) return fail(404, 'Agent not found');
+        return { ...agent, trend: [agent.avg_overall - 0.3, agent.avg_overall - 0.1, agent.avg_overall] };
+    });
+
+    // ------------------------------------------------------------------
+    // CTI
+    // ------------------------------------------------------------------
+    const findBySid = sid => liveCalls.where(call => call.call_sid === sid)[0] || null;
+
+    router.post('/api/v1/cti/webhook/call_started', req => {
+        const ani = req.body?.ani || population.member(0).phone;
+        const call = liveCalls.insert({
+            call_sid: req.body?.call_sid,
+            ani,
+            started_at: Date.now(),
+            verified: false,
+            status: 'ringing'
+        });
+        return { call_id: call.call_id, screen_pop: screenPop(population, ani) };
+    });
+
+    router.post('/api/v1/cti/webhook/call_answered', req => {
+        const call = findBySid(req.body?.call_sid);
+        if (!call) return fail(404, 'Unknown call');
+        liveCalls.update(call.call_id, { status: 'active', agent_id: req.body.agent_id });
+        return { success: true };
+    });
+
+    router.post('/api/v1/cti/webhook/call_ended', req => {
+        const call = findBySid(req.body?.call_sid);
+        if (!call) return fail(404, 'Unknown call');
+        liveCalls.remove(call.call_id);
+        return { success: true };
+    });
+
+    router.get('/api/v1/cti/calls/active', () => ({
+        calls: liveCalls.all().map(call => ({
+            call_id: call.call_id,
+            ani: call.ani,
+            verified: call.verified,
+            duration: Math.round((Date.now() - call.started_at) / 1000)
+        }))
+    }));
+
+    router.post('/api/v1/cti/calls/:id/verify', req => {
+        const provided = String(req.body?.provided_value || '').trim();
+        const verified = provided.length >= 4;
+        const updated = liveCalls.update(req.params.id, { verified });
+        if (!updated) return fail(404, 'Unknown call');
+        return { verified, reason: verified ? 'Identity confirmed' : 'Answer did not match member records' };
+    });
+}
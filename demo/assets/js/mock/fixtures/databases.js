@@ -0,0 +1,164 @@
+/**
+ * Database Fixtures
+ * Uploaded-database listing, paged row viewer (database_viewer.js), schema,
+ * CSV download, and vectorization jobs that advance over time so the
+ * databases.html polling loop completes.
+ *
+ * @module mock/fixtures/databases
+ */
+
+import { fail, reply } from '../router.js';
+import { createCollection } from '../store.js';
+
+const VECTORIZE_STEPS = ['Reading rows', 'Generating questions', 'Embedding', 'Indexing'];
+const VECTORIZE_STEP_MS = 1500;
+
+const FIRST_NAMES = ['Sarah', 'Luis', 'Priya', 'Tom', 'Grace', 'Omar', 'Mei', 'Jack', 'Nina', 'Ravi'];
+const LAST_NAMES = ['Jenkins', 'Ortega', 'Raman', 'Becker', 'Hall', 'Haddad', 'Chen', 'Wright', 'Novak', 'Patel'];
+const STATES = ['NH', 'ME', 'VT', 'MA'];
+
+const SEED_DATABASES = [
+    { filename: 'members.csv', display_name: 'Member Directory', row_count: 240, has_embeddings: true },
+    { filename: 'call_outcomes.csv', display_name: 'Call Outcomes', row_count: 120, has_embeddings: false }
+];
+
+const COLUMNS = {
+    'members.csv': ['member_id', 'name', 'email', 'state', 'balance', 'tenure_months'],
+    'call_outcomes.csv': ['call_id', 'member_id', 'reason', 'duration_sec', 'resolved']
+};
+const PII_COLUMNS = ['name', 'email'];
+const DEFAULT_COLUMNS = ['id', 'value', 'category'];
+
+/** Deterministic row i for a database, so paging and sorting are stable. */
+function makeRow(filename, i) {
+    const first = FIRST_NAMES[i % FIRST_NAMES.length];
+    const last = LAST_NAMES[(i * 3) % LAST_NAMES.length];
+    if (filename === 'members.csv') {
+        return {
+            member_id: `M${String(10000 + i)}`,
+            name: `${first} ${last}`,
+            email: `${first}.${last}${i}@example.com`.toLowerCase(),
+            state: STATES[i % STATES.length],
+            balance: Number(((i * 7919) % 90000 + 250.5).toFixed(2)),
+            tenure_months: (i * 13) % 180
+        };
+    }
+    if (filename === 'call_outcomes.csv') {
+        return {
+            call_id: `CALL-${4000 + i}`,
+            member_id: `M${String(10000 + ((i * 7) % 240))}`,
+            reason: ['Balance inquiry', 'Card dispute', 'Fee reversal', 'Loan payoff'][i % 4],
+            duration_sec: 120 + ((i * 37) % 600),
+            resolved: i % 5 !== 0
+        };
+    }
+    return { id: i + 1, value: (i * 31) % 1000, category: ['A', 'B', 'C'][i % 3] };
+}
+
+function rowsFor(database) {
+    return Array.from({ length: database.row_count }, (_, i) => makeRow(database.filename, i));
+}
+
+function columnsFor(filename) {
+    return COLUMNS[filename] || DEFAULT_COLUMNS;
+}
+
+function toCsv(columns, rows) {
+    const escape = value => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+    return [columns.join(','), ...rows.map(row => columns.map(col => escape(row[col])).join(','))].join('\n');
+}
+
+/**
+ * @param {Object} router - Mock router
+ */
+export function register(router) {
+    const databases = createCollection('databases', SEED_DATABASES, { idKey: 'filename' });
+    const vectorizeJobs = createCollection('vectorizeJobs', [], { idKey: 'job_id', idPrefix: 'VEC-' });
+    const listing = database => ({
+        filename: database.filename,
+        display_name: database.display_name,
+        size_bytes: database.row_count * columnsFor(database.filename).length * 12,
+        has_embeddings: database.has_embeddings
+    });
+
+    router.get('/databases', () => ({ databases: databases.all().map(listing) }));
+
+    router.get('/databases/:filename/rows', req => {
+        const database = databases.find(req.params.filename);
+        if (!database) return fail(404, 'Database not found');
+
+        const columns = columnsFor(database.filename);
+        const search = String(req.query.search || '').toLowerCase();
+        let rows = rowsFor(database);
+        if (search) {
+            rows = rows.filter(row => columns.some(col => String(row[col]).toLowerCase().includes(search)));
+        }
+        if (req.query.sort_by && columns.includes(req.query.sort_by)) {
+            const key = req.query.sort_by;
+            const dir = req.query.sort_order === 'desc' ? -1 : 1;
+            rows.sort((a, b) => (a[key] > b[key] ? 1 : a[key] < b[key] ? -1 : 0) * dir);
+        }
+
+        const pageSize = Math.max(1, parseInt(req.query.page_size, 10) || 50);
+        const totalPages = Math.max(1, Math.ceil(rows.length / pageSize));
+        const page = Math.min(totalPages, Math.max(1, parseInt(req.query.page, 10) || 1));
+        return {
+            filename: database.filename,
+            columns,
+            rows: rows.slice((page - 1) * pageSize, page * pageSize),
+            pii_columns: columns.filter(col => PII_COLUMNS.includes(col)),
+            page,
+            page_size: pageSize,
+            total_rows: rows.length,
+            total_pages: totalPages
+        };
+    });
+
+    router.get('/databases/:filename/schema', req => {
+        const database = databases.find(req.params.filename);
+        if (!database) return fail(404, 'Database not found');
+        const sample = makeRow(database.filename, 1);
+        return {
+            filename: database.filename,
+            row_count: database.row_count,
+            columns: columnsFor(database.filename).map(name => ({
+                name,
+                dtype: typeof sample[name] === 'number' ? 'float64' : typeof sample[name] === 'boolean' ? 'bool' : 'object',
+                is_pii: PII_COLUMNS.includes(name)
+            }))
+        };
+    });
+
+    router.get('/databases/:filename/download', req => {
+        const database = databases.find(req.params.filename);
+        if (!database) return fail(404, 'Database not found');
+        return reply(200, toCsv(columnsFor(database.filename), rowsFor(database)), { 'Content-Type': 'text/csv' });
+    });
+
+    // ------------------------------------------------------------------
+    // Vectorization
+    // ------------------------------------------------------------------
+    router.post('/vectorize/database', req => {
+        const name = req.body?.database_name;
+        if (!name) return fail(422, 'database_name is required');
+        if (!databases.find(name)) {
+            databases.insert({ filename: name, display_name: name.replace(/\.\w+$/, ''), row_count: 100, has_embeddings: false });
+        }
+        const job = vectorizeJobs.insert({ database_name: name, started_at: Date.now() });
+        return { job_id: job.job_id, status: 'queued' };
+    });
+
+    router.get('/vectorize/status/:jobId', req => {
+        const job = vectorizeJobs.find(req.params.jobId);
+        if (!job) return fail(404, 'Unknown job');
+        const step = Math.floor((Date.now() - job.started_at) / VECTORIZE_STEP_MS);
+        if (step >= VECTORIZE_STEPS.length) {
+            databases.update(job.database_name, { has_embeddings: true });
+            return { status: 'completed', progress: { step: 'Done', percent: 100 } };
+        }
+        return {
+            status: 'running',
+            progress: { step: VECTORIZE_STEPS[step], percent: Math.round((step / VECTORIZE_STEPS.length) * 100) }
+        };
+    });
+}
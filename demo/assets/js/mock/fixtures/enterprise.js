@@ -0,0 +1,140 @@
+/**
+ * Enterprise Fixtures
+ * RAG answer QA (admin_qa.html review queue and golden answers, stateful)
+ * plus the knowledge, meetings, automation and analytics summaries the RAG
+ * CLI prints.
+ *
+ * @module mock/fixtures/enterprise
+ */
+
+import { fail } from '../router.js';
+import { createCollection } from '../store.js';
+
+const SEED_FEEDBACK = [
+    { id: 1, query_text: 'What is the overdraft fee refund policy?', ai_answer: 'Members may request one courtesy refund per 12 months.', rating: 2, status: 'pending' },
+    { id: 2, query_text: 'When does payroll posting happen?', ai_answer: 'Payroll ACH files post at 6:00 AM on business days.', rating: 4, status: 'pending' },
+    { id: 3, query_text: 'How do I reset online banking MFA?', ai_answer: 'Call member services to reset MFA after identity verification.', rating: 3, status: 'pending' },
+    { id: 4, query_text: 'What is the auto loan rate for 740+ scores?', ai_answer: 'Rates start at 5.49% APR for 60 months.', rating: 5, status: 'approved' }
+];
+
+const SEED_GOLDEN = [
+    { id: 1, query_text: 'What is the auto loan rate for 740+ scores?', golden_answer: 'Tier A (740+) auto loans start at 5.49% APR for terms up to 60 months.' }
+];
+
+const ARTICLES = [
+    { id: 'kb-101', title: 'Overdraft fee refunds', category: 'policy', views: 412 },
+    { id: 'kb-102', title: 'Reset online banking MFA', category: 'how-to', views: 388 },
+    { id: 'kb-103', title: 'Wire transfer cutoff times', category: 'operations', views: 207 }
+];
+
+const MEETINGS = [
+    { id: 'mtg-1', title: 'Q3 roadmap planning', date_offset: -1, attendees: 4, action_items: 3 },
+    { id: 'mtg-2', title: 'Database latency incident review', date_offset: -2, attendees: 6, action_items: 2 },
+    { id: 'mtg-3', title: 'Weekly lending pipeline sync', date_offset: -9, attendees: 5, action_items: 4 }
+];
+
+function search(items, query, fields) {
+    const needle = String(query || '').toLowerCase();
+    return items.filter(item => fields.some(field => String(item[field]).toLowerCase().includes(needle)));
+}
+
+/**
+ * @param {Object} router - Mock router
+ */
+export function register(router) {
+    const feedback = createCollection('qaFeedback', SEED_FEEDBACK);
+    const golden = createCollection('qaGolden', SEED_GOLDEN);
+    const meetings = () => MEETINGS.map(({ date_offset, ...meeting }) => ({
+        ...meeting,
+        date: new Date(Date.now() + date_offset * 86400000).toISOString().slice(0, 10)
+    }));
+
+    // ------------------------------------------------------------------
+    // QA review
+    // ------------------------------------------------------------------
+    router.get('/api/enterprise/qa/stats', () => {
+        const all = feedback.all();
+        const reviewed = all.filter(item => item.status !== 'pending');
+        const approved = reviewed.filter(item => item.status === 'approved');
+        return {
+            total_feedback: all.length,
+            pending_review: all.length - reviewed.length,
+            golden_answers: golden.all().length,
+            approval_rate: reviewed.length ? Math.round((approved.length / reviewed.length) * 100) : 0
+        };
+    });
+
+    router.get('/api/enterprise/qa/review', req => {
+        const status = req.query.status || 'pending';
+        const limit = parseInt(req.query.limit, 10) || 10;
+        const items = feedback.where(item => status === 'all' || item.status === status).slice(0, limit);
+        return { items, total: items.length };
+    });
+
+    router.post('/api/enterprise/qa/approve', req => {
+        const { feedback_id: feedbackId, golden_answer: answer } = req.body || {};
+        const item = feedback.update(feedbackId, { status: 'approved' });
+        if (!item) return fail(404, 'Feedback not found');
+        const created = golden.insert({ query_text: item.query_text, golden_answer: answer || item.ai_answer });
+        return { success: true, golden_id: created.id };
+    });
+
+    router.post('/api/enterprise/qa/reject/:id', req => (
+        feedback.update(req.params.id, { status: 'rejected' }) ? { success: true } : fail(404, 'Feedback not found')
+    ));
+
+    router.get('/api/enterprise/qa/golden', req => {
+        const limit = parseInt(req.query.limit, 10) || 20;
+        const items = golden.all().slice(0, limit);
+        return { items, total: items.length };
+    });
+
+    router.delete('/api/enterprise/qa/golden/:id', req => (
+        golden.remove(req.params.id) ? { success: true } : fail(404, 'Golden answer not found')
+    ));
+
+    // ------------------------------------------------------------------
+    // Knowledge, meetings, automation, analytics
+    // ------------------------------------------------------------------
+    router.get('/api/enterprise/knowledge/stats', () => ({
+        total_articles: ARTICLES.length,
+        total_views: ARTICLES.reduce((sum, article) => sum + article.views, 0),
+        categories: [...new Set(ARTICLES.map(article => article.category))]
+    }));
+    router.get('/api/enterprise/knowledge/articles', req => ({
+        items: ARTICLES.slice(0, parseInt(req.query.limit, 10) || ARTICLES.length)
+    }));
+    router.get('/api/enterprise/knowledge/search', req => ({
+        items: search(ARTICLES, req.query.query, ['title', 'category'])
+    }));
+
+    router.get('/api/enterprise/meetings/stats', () => ({
+        total_meetings: MEETINGS.length,
+        open_action_items: MEETINGS.reduce((sum, meeting) => sum + meeting.action_items, 0)
+    }));
+    router.get('/api/enterprise/meetings', req => ({
+        items: meetings().slice(0, parseInt(req.query.limit, 10) || MEETINGS.length)
+    }));
+    router.get('/api/enterprise/meetings/search', req => ({
+        items: search(meetings(), req.query.query, ['title'])
+    }));
+
+    router.get('/api/enterprise/automation/stats', () => ({ active_rules: 2, webhooks: 1, runs_last_24h: 37, failures_last_24h: 1 }));
+    router.get('/api/enterprise/automation/rules', () => ({
+        items: [
+            { id: 'rule-1', name: 'Escalate negative sentiment calls', trigger: 'emotion=anger', enabled: true },
+            { id: 'rule-2', name: 'Tag fee dispute transcripts', trigger: 'keyword=overdraft', enabled: true }
+        ]
+    }));
+    router.get('/api/enterprise/automation/webhooks', () => ({
+        items: [{ id: 'wh-1', url: 'https://hooks.example.org/cases', events: ['rule.fired'], active: true }]
+    }));
+
+    router.get('/api/enterprise/analytics/stats', () => ({ reports_generated: 14, scheduled_reports: 3, last_run: new Date().toISOString() }));
+    router.get('/api/enterprise/analytics/reports', req => ({
+        items: [
+            { id: 'rpt-1', name: 'Weekly sentiment digest', format: 'pdf' },
+            { id: 'rpt-2', name: 'Call QA compliance summary', format: 'csv' }
+        ].slice(0, parseInt(req.query.limit, 10) || 10)
+    }));
+}
@@ -0,0 +1,272 @@
+/**
+ * Gemma Fixtures
+ * Chat, RAG chat, warmup/stats, batch and streamed transcript analysis,
+ * the analysis artifact archive (stateful) with meta-analysis, and the
+ * email analyzer routes.
+ *
+ * @module mock/fixtures/gemma
+ */
+
+import { fail, sse } from '../router.js';
+import { createCollection, paginate } from '../store.js';
+import { transcriptSegments } from './transcripts.js';
+
+const STEP_MS = 350;
+
+const EMAILS = [
+    { id: 'em-1', from_addr: 'cfo@example.org', subject: 'Q3 budget variance review', labels: ['finance', 'vip'], days_ago: 1 },
+    { id: 'em-2', from_addr: 'ops@example.org', subject: 'Core database maintenance window', labels: ['it'], days_ago: 2 },
+    { id: 'em-3', from_addr: 'member.services@example.org', subject: 'Overdraft fee complaints trending up', labels: ['member', 'vip'], days_ago: 3 },
+    { id: 'em-4', from_addr: 'cfo@example.org', subject: 'Auto loan pricing proposal', labels: ['finance'], days_ago: 5 },
+    { id: 'em-5', from_addr: 'compliance@example.org', subject: 'BSA training completion report', labels: ['compliance'], days_ago: 8 }
+];
+
+/** Canned reply chosen by keyword, as the original interceptor did. */
+function chatReply(data, prompt) {
+    const responses = data.salesforce.chatContext.responses;
+    const lower = String(prompt || '').toLowerCase();
+    if (lower.includes('email')) return responses.email;
+    if (lower.includes('summary') || lower.includes('summarize')) return responses.summary;
+    if (lower.includes('quota')) return responses.quota;
+    return "I'm not sure about that, but I can help you analyze your data.";
+}
+
+/** Decode the base64url JSON payload the streaming endpoints take in the query. */
+function decodePayload(encoded) {
+    try {
+        const b64 = String(encoded || '').replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(decodeURIComponent(escape(atob(b64))));
+    } catch {
+        return {};
+    }
+}
+
+function respondTo(prompt, text, emotion) {
+    const tone = emotion && emotion !== 'neutral' ? ` The speaker sounds ${emotion}.` : '';
+    return `Regarding "${String(prompt).slice(0, 60)}": "${text}"${tone} This statement is relevant and worth follow-up.`;
+}
+
+function seedArtifacts() {
+    const createdAt = new Date(Date.now() - 2 * 86400000).toISOString();
+    const body = 'Summary: Members are most frustrated by overdraft timing and outage downtime. Recommended: posting-order review and proactive outage notices.';
+    return [{ artifact_id: 'art-0001', title: 'Member frustration themes (last 30 days)', body, created_at: createdAt, size: body.length }];
+}
+
+/**
+ * @param {Object} router - Mock router
+ * @param {Object} data - window.MOCK_DATA
+ */
+export function register(router, data) {
+    const artifacts = createCollection('gemmaArtifacts', seedArtifacts, { idKey: 'artifact_id', idPrefix: 'art-' });
+    const segments = () => transcriptSegments(data);
+    const saveArtifact = (title, body) => artifacts.insert({
+        title,
+        body,
+        created_at: new Date().toISOString(),
+        size: body.length
+    });
+
+    // ------------------------------------------------------------------
+    // Model
+    // ------------------------------------------------------------------
+    router.get('/api/gemma/stats', () => ({
+        ...data.gemmaStats,
+        model_on_gpu: true,
+        vram_used_mb: data.gemmaStats.vram_usage_mb,
+        vram_total_mb: 12288
+    }));
+    router.post('/api/gemma/warmup', () => ({ status: 'ready', model_on_gpu: true }));
+    router.post('/api/gemma/release-session', () => ({ success: true }));
+
+    // ------------------------------------------------------------------
+    // Chat
+    // ------------------------------------------------------------------
+    router.post('/api/gemma/chat', req => {
+        const body = req.body || {};
+        const text = chatReply(data, body.prompt || body.message);
+        return { response: text, message: text, text };
+    });
+
+    router.post('/api/gemma/chat-rag', req => {
+        const body = req.body || {};
+        const question = body.query || body.user_message || '';
+        const text = chatReply(data, question);
+        return {
+            answer: text,
+            response: text,
+            text,
+            session_id: body.session_id,
+            sources: segments().slice(0, body.top_k_results || 3).map(seg => ({
+                text: seg.text,
+                metadata: { speaker: seg.speaker, job_id: seg.job_id, start_time: seg.start_time }
+            }))
+        };
+    });
+
+    router.post('/api/gemma/generate', req => {
+        const text = chatReply(data, req.body?.prompt);
+        return { response: text, text };
+    });
+
+    router.post('/api/gemma/analyze', req => {
+        const analyzed = segments().slice(0, req.body?.max_statements || 20);
+        const speakers = [...new Set(analyzed.map(seg => seg.speaker))];
+        return {
+            success: true,
+            analysis: `Reviewed ${analyzed.length} statements from ${speakers.join(', ') || 'no speakers'}. ` +
+                'Recurring themes: service downtime, fee disputes and roadmap sequencing. ' +
+                'Negative sentiment clusters around outages; resolution language improves tone within the same call.',
+            transcripts_analyzed: analyzed.length,
+            processing_time_seconds: 1.8
+        };
+    });
+
+    // ------------------------------------------------------------------
+    // Streamed analysis (EventSource)
+    // ------------------------------------------------------------------
+    router.get('/api/gemma/analyze/stream/inline/start', req => {
+        const payload = decodePayload(req.query.payload);
+        const prompt = payload.custom_prompt || 'Analyze';
+        const items = segments().slice(0, payload.max_statements || 10);
+        const events = [{ event: 'meta', data: { total: items.length, max_statements: payload.max_statements }, delayMs: 150 }];
+
+        items.forEach((item, index) => {
+            const i = index + 1;
+            events.push({
+                event: 'step',
+                data: { i, total: items.length, status: 'generating', prompt_fragment: `${prompt} :: ${item.text}` },
+                delayMs: STEP_MS
+            });
+            events.push({
+                event: 'result',
+                data: { i, response: respondTo(prompt, item.text, item.emotion), item },
+                delayMs: STEP_MS
+            });
+        });
+
+        const summary = `Gemma reviewed ${items.length} statements for "${prompt}".`;
+        const artifact = saveArtifact(`Streaming Analysis: ${prompt.slice(0, 40)}`, summary);
+        events.push({
+            event: 'done',
+            data: { model: data.gemmaStats.model, summary, artifact_id: artifact.artifact_id, completed_at: new Date().toISOString() },
+            delayMs: 200
+        });
+        return sse(events);
+    });
+
+    // ------------------------------------------------------------------
+    // Artifacts
+    // ------------------------------------------------------------------
+    router.get('/api/gemma/artifacts', req => {
+        const page = paginate(artifacts.all(), req.query, 25);
+        return { success: true, ...page };
+    });
+
+    router.get('/api/gemma/artifacts/:id', req => {
+        const artifact = artifacts.find(req.params.id);
+        return artifact ? { success: true, artifact } : fail(404, 'Artifact not found');
+    });
+
+    router.post('/api/gemma/artifacts/chat/v2', req => {
+        const body = req.body || {};
+        const artifact = artifacts.find(body.artifact_id);
+        if (!artifact) return fail(404, 'Artifact not found');
+        const question = body.user_message || body.message || '';
+        return {
+            text: `Based on "${artifact.title}": ${artifact.body.slice(0, 160)}${question ? ` (re: ${question})` : ''}`,
+            chat_session_id: body.chat_session_id || body.session_id || `chat_${Date.now()}`,
+            citations: [{ artifact_id: artifact.artifact_id, title: artifact.title }],
+            used_strategy: 'direct'
+        };
+    });
+
+    router.post('/api/gemma/artifacts/meta-analysis/stream', req => {
+        const ids = req.body?.artifact_ids || [];
+        const found = ids.map(id => artifacts.find(id)).filter(Boolean);
+        if (!found.length) {
+            return sse([{ event: 'error', data: { detail: 'No matching artifacts' }, delayMs: 100 }]);
+        }
+        const events = [{ event: 'meta', data: { total: found.length, strategy: req.body.strategy || 'map_reduce' }, delayMs: 150 }];
+        found.forEach((artifact, index) => events.push({
+            event: 'result',
+            data: { i: index + 1, total: found.length, summary: artifact.body.slice(0, 200) },
+            delayMs: STEP_MS
+        }));
+        const meta = saveArtifact(
+            `Meta-analysis of ${found.length} artifacts`,
+            found.map(artifact => `- ${artifact.title}`).join('\n')
+        );
+        events.push({ event: 'done', data: { artifact_id: meta.artifact_id }, delayMs: 200 });
+        return sse(events);
+    });
+
+    // ------------------------------------------------------------------
+    // Email analyzer
+    // ------------------------------------------------------------------
+    const emails = () => EMAILS.map(({ days_ago, ...email }) => ({
+        ...email,
+        date: new Date(Date.now() - days_ago * 86400000).toISOString()
+    }));
+
+    router.get('/api/email/users', () => {
+        const counts = {};
+        EMAILS.forEach(email => {
+            counts[email.from_addr] = (counts[email.from_addr] || 0) + 1;
+        });
+        return {
+            items: Object.entries(counts).map(([email, count]) => ({
+                email,
+                display_name: email.split('@')[0],
+                mailbox_count: count
+            }))
+        };
+    });
+
+    router.get('/api/email/labels', () => {
+        const counts = {};
+        EMAILS.forEach(email => email.labels.forEach(label => {
+            counts[label] = (counts[label] || 0) + 1;
+        }));
+        return { items: Object.entries(counts).map(([label, count]) => ({ label, count })) };
+    });
+
+    router.get('/api/email/stats', () => ({
+        totals: {
+            messages: EMAILS.length,
+            threads: EMAILS.length - 1,
+            vip_flags: EMAILS.filter(email => email.labels.includes('vip')).length
+        }
+    }));
+
+    router.post('/api/email/query', req => {
+        const filters = req.body?.filters || {};
+        const users = filters.users || [];
+        const labels = filters.labels || [];
+        const items = emails().filter(email =>
+            (!users.length || users.includes(email.from_addr)) &&
+            (!labels.length || labels.some(label => email.labels.includes(label)))
+        );
+        if (req.body?.order === 'asc') items.reverse();
+        return { items: items.slice(0, req.body?.limit || 25), count: items.length };
+    });
+
+    router.post('/api/email/analyze/gemma/quick', req => ({
+        summary: `${EMAILS.length} recent messages reviewed for "${req.body?.question || ''}". ` +
+            'Leadership is focused on budget variance and loan pricing; member services flags rising overdraft complaints.'
+    }));
+
+    router.get('/api/email/analyze/gemma/stream', req => {
+        const payload = decodePayload(req.query.payload);
+        const chunks = emails().slice(0, payload.max_chunks || EMAILS.length);
+        return sse([
+            ...chunks.map((email, i) => ({
+                event: 'progress',
+                data: { chunk: i + 1, total: chunks.length, subject: email.subject },
+                delayMs: STEP_MS
+            })),
+            { event: 'note', data: { text: 'VIP threads weighted higher in summary.' } },
+            { event: 'summary', data: { text: `Answer to "${payload.prompt || ''}": budget, outages and fees dominate.` } },
+            { event: 'done', data: { chunks: chunks.length }, delayMs: 100 }
+        ]);
+    });
+}
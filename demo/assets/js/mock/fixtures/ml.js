@@ -0,0 +1,38 @@
+/**
+ * ML Dashboard Fixtures
+ * Cross-sell, churn and pricing model outputs. MOCK_DATA.ml wins when a page
+ * provides it; the defaults below keep the routes answering otherwise.
+ *
+ * @module mock/fixtures/ml
+ */
+
+const DEFAULTS = {
+    cross_sell: {
+        recommendations: [
+            { member_id: 'P10001', product: 'Auto Loan Refinance', propensity: 0.82 },
+            { member_id: 'P10001', product: 'Rewards Credit Card', propensity: 0.64 }
+        ]
+    },
+    churn: {
+        at_risk: [
+            { member_id: 'P10001', churn_probability: 0.18, drivers: ['Declining deposits', 'Fewer logins'] }
+        ]
+    },
+    pricing: {
+        products: [
+            { product: 'High Yield Savings', current_apy: 4.1, recommended_apy: 4.25, elasticity: -1.8 }
+        ]
+    }
+};
+
+/**
+ * @param {Object} router - Mock router
+ * @param {Object} data - window.MOCK_DATA
+ */
+export function register(router, data) {
+    const model = key => () => data.ml?.[key] ?? DEFAULTS[key];
+    router.get('/api/v1/ml/cross-sell', model('cross_sell'));
+    router.get('/api/v1/ml/churn', model('churn'));
+    router.get('/api/v1/ml/pricing', model('pricing'));
+    router.get('/api/v1/ml/health', () => ({ status: 'healthy', models_loaded: Object.keys(DEFAULTS) }));
+}
@@ -0,0 +1,226 @@
+/**
+ * Nexus Fixtures
+ * Upload, engine runs (request/response and streamed jobs), the predictions
+ * page's per-session run history and reruns, and the Gemma public chat the
+ * Nexus and predictions pages call.
+ *
+ * @module mock/fixtures/nexus
+ */
+
+import { fail, sse } from '../router.js';
+import { createCollection } from '../store.js';
+
+const JOB_STAGES = ['loading', 'profiling', 'training', 'scoring', 'summarizing'];
+const JOB_STAGE_MS = 400;
+const MAX_RUNS_PER_ENGINE = 20;
+
+/**
+ * Result for an engine, falling back to a generic success like the backend
+ * does for engines without a fixture.
+ */
+function engineResult(data, engineId) {
+    const result = data.nexus.engines[engineId];
+    if (result) return result;
+    console.warn(`[MOCK API] No mock data found for engine: ${engineId}, returning generic success.`);
+    return {
+        engine: engineId,
+        status: 'completed',
+        insights: ['Analysis complete (Mock Generic)']
+    };
+}
+
+/**
+ * Read the header row of an uploaded CSV so column pickers have real names.
+ * @param {FormData|null} form
+ */
+async function describeUpload(form) {
+    const file = form instanceof FormData ? form.get('file') : null;
+    const filename = file?.name || `demo_${Date.now()}.csv`;
+    let columns = ['age', 'income', 'spend', 'tenure', 'engagement'];
+    let rowCount = 15000;
+
+    if (file && typeof file.text === 'function' && /\.(csv|tsv|txt)$/i.test(filename)) {
+        const text = await file.text();
+        const lines = text.split(/\r?\n/).filter(line => line.trim());
+        if (lines.length) {
+            const delimiter = lines[0].includes('\t') ? '\t' : ',';
+            columns = lines[0].split(delimiter).map(col => col.trim().replace(/^"|"$/g, ''));
+            rowCount = Math.max(0, lines.length - 1);
+        }
+    }
+
+    return { filename, columns, row_count: rowCount, success: true };
+}
+
+/**
+ * @param {Object} router - Mock router
+ * @param {Object} data - window.MOCK_DATA
+ */
+export function register(router, data) {
+    const jobs = createCollection('engineJobs', [], { idKey: 'job_id', idPrefix: 'JOB-' });
+    const sessions = createCollection('analyticsSessions', [], { idKey: 'session_id' });
+    const runs = createCollection('analyticsRuns', [], { idKey: 'run_id', idPrefix: 'run_' });
+
+    router.post('/upload', req => describeUpload(req.body));
+
+    // ------------------------------------------------------------------
+    // Request/response engine runs
+    // ------------------------------------------------------------------
+    const runEngine = req => {
+        const engineId = req.params.engine.toLowerCase();
+        console.log(`[MOCK API] Returning mocked result for engine: ${engineId}`);
+        return engineResult(data, engineId);
+    };
+    router.post('/analytics/run-engine/:engine', runEngine);
+    router.post('/api/analytics/run-engine/:engine', runEngine);
+    router.post('/analytics/standard/:engine', runEngine);
+    router.post('/analytics/premium/:engine', runEngine);
+
+    // ------------------------------------------------------------------
+    // Streamed engine jobs (see nexus/core/engine-stream.js)
+    // ------------------------------------------------------------------
+    router.post('/analytics/engine-jobs', req => {
+        if (!req.body?.engine) return fail(422, 'engine is required');
+        const job = jobs.insert({
+            engine: String(req.body.engine).toLowerCase(),
+            filename: req.body.filename,
+            started_at: Date.now()
+        });
+        return { job_id: job.job_id, status: 'queued' };
+    });
+
+    router.get('/analytics/engine-jobs/:id/events', req => {
+        const job = jobs.find(req.params.id);
+        if (!job) return fail(404, 'Unknown job');
+        const resumeFrom = Number(req.query.last_event_id || 0);
+        const events = JOB_STAGES.map((stage, i) => ({
+            id: String(i + 1),
+            event: 'progress',
+            data: { stage, percent: Math.round(((i + 1) / (JOB_STAGES.length + 1)) * 100) },
+            delayMs: JOB_STAGE_MS
+        }));
+        events.push({
+            id: String(JOB_STAGES.length + 1),
+            event: 'result',
+            data: { result: engineResult(data, job.engine) },
+            delayMs: JOB_STAGE_MS
+        });
+        return sse(events.filter(event => Number(event.id) > resumeFrom));
+    });
+
+    router.get('/analytics/engine-jobs/:id', req => {
+        const job = jobs.find(req.params.id);
+        if (!job) return fail(404, 'Unknown job');
+        const step = Math.floor((Date.now() - job.started_at) / JOB_STAGE_MS);
+        if (step >= JOB_STAGES.length) {
+            return { status: 'completed', result: engineResult(data, job.engine) };
+        }
+        return {
+            status: 'running',
+            stage: JOB_STAGES[step],
+            percent: Math.round(((step + 1) / (JOB_STAGES.length + 1)) * 100),
+            metrics: {}
+        };
+    });
+
+    router.delete('/analytics/engine-jobs/:id', req => (
+        jobs.remove(req.params.id) ? { job_id: req.params.id, status: 'cancelled' } : fail(404, 'Unknown job')
+    ));
+
+    // ------------------------------------------------------------------
+    // Run history per predictions session
+    // ------------------------------------------------------------------
+    const ensureSession = (sessionId, filename) => {
+        const existing = sessions.find(sessionId);
+        if (existing) {
+            return filename && filename !== existing.filename
+                ? sessions.update(sessionId, { filename })
+                : existing;
+        }
+        return sessions.insert({
+            session_id: sessionId,
+            filename: filename || null,
+            champions: {},
+            created_at: new Date().toISOString()
+        });
+    };
+
+    router.get('/analytics/history/:sessionId', req => {
+        const session = sessions.find(req.params.sessionId);
+        if (!session) return fail(404, 'Session not found');
+        return {
+            session,
+            runs: runs.where(run => run.session_id === session.session_id)
+        };
+    });
+
+    router.post('/analytics/history/:sessionId/runs', req => {
+        const body = req.body || {};
+        if (!body.engine_name || !body.result) return fail(422, 'engine_name and result are required');
+        const session = ensureSession(req.params.sessionId, body.filename);
+
+        const run = runs.insert({
+            run_id: body.run_id,
+            session_id: session.session_id,
+            engine_name: body.engine_name,
+            target_column: body.target_column || null,
+            features: Array.isArray(body.features) ? body.features : [],
+            engine_params: body.engine_params || {},
+            result: body.result,
+            created_at: body.created_at || new Date().toISOString()
+        });
+
+        // Same per-engine cap as the page keeps: oldest runs go first, the pinned champion never does
+        const engineRuns = runs.where(r => r.session_id === session.session_id && r.engine_name === body.engine_name);
+        engineRuns.reverse()
+            .filter(r => session.champions[body.engine_name] !== r.run_id)
+            .slice(0, Math.max(0, engineRuns.length - MAX_RUNS_PER_ENGINE))
+            .forEach(r => runs.remove(r.run_id));
+
+        return run;
+    });
+
+    // Rerun one engine on a column not analysed yet (predictions-runs.js)
+    router.post('/analytics/rerun', req => {
+        const { engineName, allColumns = [], usedTargets = [] } = req.body || {};
+        if (!engineName) return fail(422, 'engineName is required');
+        const targetColumn = allColumns.find(col => !usedTargets.includes(col));
+        if (!targetColumn) return fail(409, 'Every column has already been used as a target');
+        return {
+            runId: `run_${Date.now()}_${Math.random().toString(36).substring(2, 6)}`,
+            targetColumn,
+            features: allColumns.filter(col => col !== targetColumn),
+            engineParams: {},
+            result: { ...engineResult(data, String(engineName).toLowerCase()), target_column: targetColumn }
+        };
+    });
+
+    router.put('/analytics/history/:sessionId/champion', req => {
+        const session = sessions.find(req.params.sessionId);
+        if (!session) return fail(404, 'Session not found');
+        const { engine_name: engineName, run_id: runId } = req.body || {};
+        if (!engineName) return fail(422, 'engine_name is required');
+        if (runId && !runs.where(r => r.run_id === runId && r.session_id === session.session_id && r.engine_name === engineName).length) {
+            return fail(404, 'Run not found in this session');
+        }
+
+        const champions = { ...session.champions };
+        if (runId) champions[engineName] = runId;
+        else delete champions[engineName];
+        return sessions.update(session.session_id, { champions });
+    });
+
+    // ------------------------------------------------------------------
+    // Gemma public chat (engine summaries, column suggestions)
+    // ------------------------------------------------------------------
+    router.post('/api/public/chat', req => {
+        const prompt = req.body?.messages?.at(-1)?.content || req.body?.message || '';
+        if (/TARGET column/i.test(prompt)) {
+            const columns = [...prompt.matchAll(/^\d+\.\s+(.+)$/gm)].map(match => match[1].trim());
+            const target = columns.at(-1) || 'spend';
+            return { message: `target: ${target}\nfeatures: ${columns.slice(0, -1).join(', ')}` };
+        }
+        // Empty so callers fall back to their own data-driven summaries
+        return { message: '' };
+    });
+}
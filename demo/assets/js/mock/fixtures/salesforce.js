@@ -0,0 +1,17 @@
+/**
+ * Salesforce Fixtures
+ * Opportunities, leads and the agentic smart feed for the Salesforce cockpit.
+ *
+ * @module mock/fixtures/salesforce
+ */
+
+/**
+ * @param {Object} router - Mock router
+ * @param {Object} data - window.MOCK_DATA
+ */
+export function register(router, data) {
+    router.get('/api/v1/salesforce/opportunities', () => ({ records: data.salesforce.opportunities }));
+    router.get('/api/v1/salesforce/leads', () => ({ records: data.salesforce.leads }));
+    router.get('/api/v1/salesforce/analytics/smart-feed', () => data.salesforce.smartFeed);
+    router.get('/api/v1/salesforce/summary', () => data.salesforce.summary);
+}
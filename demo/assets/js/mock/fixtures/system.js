@@ -0,0 +1,57 @@
+/**
+ * System Fixtures
+ * Health, auth session and GPU status routes shared by every page.
+ *
+ * @module mock/fixtures/system
+ */
+
+const DEMO_USER = { username: 'demo_user', user_id: 'demo_user', role: 'admin', speaker_id: null };
+
+// Simulated VRAM usage on the single mock GPU drifts between 3.5 and 6.5 GB
+let gpuUsedGb = 5;
+
+function gpuFreeGb() {
+    gpuUsedGb = Math.min(6.5, Math.max(3.5, gpuUsedGb + (Math.random() - 0.5)));
+    return Number((12 - gpuUsedGb).toFixed(2));
+}
+
+/**
+ * @param {Object} router - Mock router
+ * @param {Object} data - window.MOCK_DATA
+ */
+export function register(router, data) {
+    const health = () => ({ ...data.health, timestamp: new Date().toISOString() });
+    router.get('/health', health);
+    router.get('/api/health', health);
+    router.get('/fiserv/health', health);
+    router.get('/api/gemma/health', () => ({
+        status: 'healthy',
+        model: data.gemmaStats.model,
+        vram_used_mb: data.gemmaStats.vram_usage_mb,
+        context_length: data.gemmaStats.context_length
+    }));
+
+    // ------------------------------------------------------------------
+    // Auth
+    // ------------------------------------------------------------------
+    router.get('/api/auth/check', () => ({ valid: true, user: DEMO_USER }));
+    router.post('/api/auth/login', () => ({
+        success: true,
+        user: DEMO_USER,
+        session_token: 'demo-session-token',
+        csrf_token: 'demo-csrf-token'
+    }));
+    router.post('/api/auth/logout', () => ({ success: true }));
+
+    // ------------------------------------------------------------------
+    // GPU
+    // ------------------------------------------------------------------
+    router.get('/api/ml/gpu-status', () => ({
+        cuda_available: true,
+        devices: [{ index: 0, name: 'NVIDIA GeForce RTX 3060', total_memory_gb: 12, free_memory_gb: gpuFreeGb() }]
+    }));
+    router.get('/api/gpu-coordinator/gpu/state', () => ({
+        owner: 'transcription',
+        devices: [{ index: 0, name: 'NVIDIA GeForce RTX 3060', memory_total_mb: 12288, memory_used_mb: Math.round((12 - gpuFreeGb()) * 1024) }]
+    }));
+}
@@ -0,0 +1,398 @@
+/**
+ * Transcript Fixtures
+ * Transcript listing, segment query/count, speaker and vocabulary analytics,
+ * semantic search, and memory CRUD. Memories are transcripts (memory id ===
+ * job_id), so creating or editing one shows up on every transcript page.
+ *
+ * @module mock/fixtures/transcripts
+ */
+
+import { fail } from '../router.js';
+import { createCollection } from '../store.js';
+
+const DAY_MS = 86400000;
+const SECONDS_PER_WORD = 0.4;
+
+const SESSIONS = [
+    {
+        title: 'Q3 roadmap planning',
+        days_ago: 1,
+        lines: [
+            ['Pruitt', 'Let us lock the Q3 roadmap before Friday so engineering can plan sprints.', 'neutral'],
+            ['Andy', 'The mobile deposit feature is the top request from members this quarter.', 'joy'],
+            ['Pruitt', 'Agreed, but the database latency work has to land first or deposits will time out.', 'fear'],
+            ['Andy', 'I can have a latency fix proposal ready by Wednesday.', 'joy']
+        ]
+    },
+    {
+        title: 'Database latency incident review',
+        days_ago: 2,
+        lines: [
+            ['Pruitt', 'Yesterday the core database stalled for twelve minutes during payroll posting.', 'sadness'],
+            ['Ops', 'Root cause was an index rebuild that started during business hours.', 'neutral'],
+            ['Pruitt', 'That is frustrating, we agreed rebuilds only run overnight.', 'anger'],
+            ['Ops', 'The schedule is fixed and we added an alert if a rebuild starts before midnight.', 'neutral']
+        ]
+    },
+    {
+        title: 'New hire onboarding',
+        days_ago: 4,
+        lines: [
+            ['Andy', 'Welcome aboard! Your first week is shadowing the member service team.', 'joy'],
+            ['New Hire', 'Great, should I finish the compliance training before shadowing calls?', 'surprise'],
+            ['Andy', 'Yes, BSA and privacy modules first, then you can listen in on live calls.', 'neutral']
+        ]
+    },
+    {
+        title: 'Member fee dispute call',
+        days_ago: 6,
+        lines: [
+            ['Member', 'I was charged an overdraft fee even though my paycheck posted the same day.', 'anger'],
+            ['Agent', 'I am sorry about that, let me verify your identity and review the posting order.', 'neutral'],
+            ['Agent', 'I see the deposit posted after the debit, so I have reversed the fee.', 'joy'],
+            ['Member', 'Thank you, that really helps this month.', 'joy']
+        ]
+    },
+    {
+        title: 'Weekly lending pipeline sync',
+        days_ago: 9,
+        lines: [
+            ['Pruitt', 'Auto loan volume is up eleven percent but approval times slipped to three days.', 'neutral'],
+            ['Lending', 'Underwriting is short one person until the new analyst starts.', 'sadness'],
+            ['Pruitt', 'Let us route low risk applications through automated decisioning in the meantime.', 'neutral']
+        ]
+    }
+];
+
+function wordsOf(text) {
+    return String(text || '').toLowerCase().match(/[a-z']+/g) || [];
+}
+
+function buildSegments(lines, jobId) {
+    let clock = 0;
+    return lines.map(([speaker, text, emotion], i) => {
+        const duration = Math.max(2, wordsOf(text).length * SECONDS_PER_WORD);
+        const segment = {
+            segment_id: `${jobId}-${i + 1}`,
+            speaker,
+            text,
+            emotion,
+            emotion_confidence: 0.7 + ((i * 7) % 25) / 100,
+            start_time: Number(clock.toFixed(1)),
+            end_time: Number((clock + duration).toFixed(1))
+        };
+        clock += duration + 0.5;
+        return segment;
+    });
+}
+
+/** Derive the listing fields every page reads from a transcript's segments. */
+function summarize(record) {
+    const segments = record.segments || [];
+    const emotionCounts = {};
+    segments.forEach(seg => {
+        emotionCounts[seg.emotion] = (emotionCounts[seg.emotion] || 0) + 1;
+    });
+    const dominant = Object.entries(emotionCounts).sort((a, b) => b[1] - a[1])[0];
+    return {
+        ...record,
+        full_text: segments.map(seg => seg.text).join(' '),
+        speakers: [...new Set(segments.map(seg => seg.speaker))],
+        segment_count: segments.length,
+        audio_duration: segments.length ? segments[segments.length - 1].end_time : 0,
+        dominant_emotion: dominant ? dominant[0] : 'neutral'
+    };
+}
+
+function makeTranscript(jobId, title, createdAt, lines) {
+    return summarize({
+        job_id: jobId,
+        session_id: `session_${createdAt.replace(/\D/g, '').slice(0, 14)}`,
+        title,
+        created_at: createdAt,
+        timestamp: createdAt,
+        segments: buildSegments(lines, jobId)
+    });
+}
+
+function seedTranscripts(data) {
+    const now = Date.now();
+    const outageCall = makeTranscript(
+        'job_0001',
+        'Outage follow-up call',
+        new Date(now - 3 * 3600000).toISOString(),
+        data.gemma.transcripts.map(t => [t.speaker, t.text, t.emotion])
+    );
+    const sessions = SESSIONS.map((session, i) => makeTranscript(
+        `job_${String(i + 2).padStart(4, '0')}`,
+        session.title,
+        new Date(now - session.days_ago * DAY_MS).toISOString(),
+        session.lines
+    ));
+    return [outageCall, ...sessions];
+}
+
+function asList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return [].concat(value).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+/** Flatten transcripts into segment rows filtered like /transcripts/query. */
+function querySegments(transcripts, filters = {}) {
+    const speakers = new Set(asList(filters.speakers).map(s => s.toLowerCase()));
+    const emotions = new Set(asList(filters.emotions).map(e => e.toLowerCase()));
+    const keywords = asList(filters.keywords).map(k => k.toLowerCase());
+    const matchAll = filters.match === 'all';
+    const start = filters.start_date ? new Date(`${filters.start_date}T00:00:00`) : null;
+    const end = filters.end_date ? new Date(`${filters.end_date}T23:59:59`) : null;
+
+    const rows = transcripts.flatMap(t => t.segments.map(seg => ({ ...seg, job_id: t.job_id, created_at: t.created_at })));
+    return rows.filter(row => {
+        const created = new Date(row.created_at);
+        if (start && created < start) return false;
+        if (end && created > end) return false;
+        if (speakers.size && !speakers.has(row.speaker.toLowerCase())) return false;
+        if (emotions.size && !emotions.has(String(row.emotion).toLowerCase())) return false;
+        if (keywords.length) {
+            const text = row.text.toLowerCase();
+            const hits = keywords.filter(k => text.includes(k));
+            if (matchAll ? hits.length !== keywords.length : !hits.length) return false;
+        }
+        return true;
+    });
+}
+
+function sortRows(rows, sortBy = 'created_at', order = 'desc') {
+    const dir = order === 'asc' ? 1 : -1;
+    return rows.slice().sort((a, b) => {
+        const av = a[sortBy] ?? '';
+        const bv = b[sortBy] ?? '';
+        return (av > bv ? 1 : av < bv ? -1 : 0) * dir;
+    });
+}
+
+function vocabularyFor(transcripts) {
+    const perSpeaker = {};
+    const globalCounts = {};
+    const speakerCounts = {};
+    let totalWords = 0;
+
+    transcripts.forEach(t => t.segments.forEach(seg => {
+        const words = wordsOf(seg.text);
+        const stats = perSpeaker[seg.speaker] || (perSpeaker[seg.speaker] = { total_segments: 0, total_words: 0, vocab: new Set() });
+        const counts = speakerCounts[seg.speaker] || (speakerCounts[seg.speaker] = {});
+        stats.total_segments += 1;
+        stats.total_words += words.length;
+        words.forEach(word => {
+            stats.vocab.add(word);
+            counts[word] = (counts[word] || 0) + 1;
+            globalCounts[word] = (globalCounts[word] || 0) + 1;
+        });
+        totalWords += words.length;
+    }));
+
+    const top = counts => Object.entries(counts)
+        .filter(([word]) => word.length > 3)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 15)
+        .map(([word, count]) => ({ word, count }));
+
+    Object.entries(perSpeaker).forEach(([speaker, stats]) => {
+        perSpeaker[speaker] = {
+            total_segments: stats.total_segments,
+            total_words: stats.total_words,
+            unique_words: stats.vocab.size,
+            type_token_ratio: stats.total_words ? stats.vocab.size / stats.total_words : 0,
+            avg_words_per_segment: stats.total_words / stats.total_segments,
+            avg_words_per_sentence: stats.total_words / stats.total_segments,
+            share_of_global_words: totalWords ? stats.total_words / totalWords : 0
+        };
+    });
+
+    const bySize = key => Object.entries(perSpeaker).sort((a, b) => b[1][key] - a[1][key])[0]?.[0] || null;
+    const days = [...new Set(transcripts.map(t => t.created_at.slice(0, 10)))].sort();
+
+    return {
+        per_speaker: perSpeaker,
+        global: {
+            total_words: totalWords,
+            unique_words: Object.keys(globalCounts).length,
+            type_token_ratio: totalWords ? Object.keys(globalCounts).length / totalWords : 0,
+            days_covered: days.length,
+            most_talkative_speaker: bySize('total_words'),
+            richest_speaker: bySize('type_token_ratio')
+        },
+        timeline: {
+            dates: days,
+            word_counts: days.map(day => transcripts
+                .filter(t => t.created_at.startsWith(day))
+                .reduce((sum, t) => sum + wordsOf(t.full_text).length, 0)),
+            unique_words: days.map(day => new Set(transcripts
+                .filter(t => t.created_at.startsWith(day))
+                .flatMap(t => wordsOf(t.full_text))).size),
+            notable_shifts: []
+        },
+        top_words: {
+            global: top(globalCounts),
+            per_speaker: Object.fromEntries(Object.entries(speakerCounts).map(([s, counts]) => [s, top(counts)])),
+            distinctive_per_speaker: Object.fromEntries(Object.entries(speakerCounts).map(([s, counts]) => [
+                s,
+                top(Object.fromEntries(Object.entries(counts).filter(([word]) => globalCounts[word] === counts[word])))
+            ]))
+        }
+    };
+}
+
+/**
+ * The shared transcripts collection (Gemma analysis reads it too).
+ * @param {Object} data - window.MOCK_DATA
+ * @returns {Object} Collection keyed by job_id
+ */
+export function transcriptCollection(data) {
+    return createCollection('transcripts', () => seedTranscripts(data), { idKey: 'job_id', idPrefix: 'job_' });
+}
+
+/**
+ * Every segment of every transcript, tagged with its job_id and created_at.
+ * @param {Object} data - window.MOCK_DATA
+ * @returns {Object[]}
+ */
+export function transcriptSegments(data) {
+    return querySegments(transcriptCollection(data).all());
+}
+
+/**
+ * @param {Object} router - Mock router
+ * @param {Object} data - window.MOCK_DATA
+ */
+export function register(router, data) {
+    const transcripts = transcriptCollection(data);
+    const inRange = (query) => transcripts.where(t =>
+        (!query.start_date || t.created_at.slice(0, 10) >= query.start_date) &&
+        (!query.end_date || t.created_at.slice(0, 10) <= query.end_date)
+    );
+
+    // ------------------------------------------------------------------
+    // Listing
+    // ------------------------------------------------------------------
+    const list = req => {
+        const limit = parseInt(req.query.limit, 10) || 50;
+        const items = sortRows(transcripts.all(), 'created_at', 'desc').slice(0, limit);
+        return { transcripts: items, count: items.length };
+    };
+    router.get('/api/transcripts', list);
+    router.get('/api/transcripts/recent', list);
+
+    router.get('/api/transcripts/time-range', () => {
+        const all = transcripts.all();
+        const dates = all.map(t => t.created_at).sort();
+        return {
+            transcript_count: all.length,
+            segment_count: all.reduce((sum, t) => sum + t.segment_count, 0),
+            transcript_range: { start: dates[0] || null, end: dates[dates.length - 1] || null }
+        };
+    });
+
+    router.get('/api/transcripts/speakers', () => ({
+        success: true,
+        speakers: [...new Set(transcripts.all().flatMap(t => t.speakers))]
+    }));
+
+    // ------------------------------------------------------------------
+    // Segment query
+    // ------------------------------------------------------------------
+    router.post('/api/transcripts/query', req => {
+        const filters = req.body || {};
+        const rows = sortRows(querySegments(transcripts.all(), filters), filters.sort_by, filters.order);
+        const limit = Math.max(1, parseInt(filters.limit, 10) || 50);
+        const offset = Math.max(0, parseInt(filters.offset, 10) || 0);
+        const items = rows.slice(offset, offset + limit);
+        return { items, total: rows.length, has_more: offset + items.length < rows.length };
+    });
+
+    router.post('/api/transcripts/count', req => ({
+        count: querySegments(transcripts.all(), req.body || {}).length
+    }));
+
+    router.get('/api/transcripts/:jobId', req => {
+        const transcript = transcripts.find(req.params.jobId);
+        return transcript ? { transcript } : fail(404, 'Transcript not found');
+    });
+
+    router.post('/api/search/semantic', req => {
+        const { query = '', top_k: topK = 5, speakers } = req.body || {};
+        const terms = wordsOf(query).filter(word => word.length > 2);
+        const rows = querySegments(transcripts.all(), { speakers })
+            .map(row => {
+                const text = row.text.toLowerCase();
+                const hits = terms.filter(term => text.includes(term)).length;
+                return { row, score: terms.length ? hits / terms.length : 0 };
+            })
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK);
+        return {
+            query,
+            results: rows.map(({ row, score }) => ({
+                text: row.text,
+                score: Number(score.toFixed(3)),
+                metadata: { speaker: row.speaker, start_time: row.start_time, job_id: row.job_id, created_at: row.created_at, emotion: row.emotion }
+            }))
+        };
+    });
+
+    // ------------------------------------------------------------------
+    // Analytics
+    // ------------------------------------------------------------------
+    router.get('/api/analytics/vocabulary', req => vocabularyFor(inRange(req.query)));
+
+    router.get('/api/analytics/signals', req => {
+        const rows = inRange(req.query).flatMap(t => t.segments);
+        const emotionTotals = {};
+        rows.forEach(seg => {
+            emotionTotals[seg.emotion] = (emotionTotals[seg.emotion] || 0) + 1;
+        });
+        const pace = data.gemma.analysis.speech.wpm;
+        const pitch = data.gemma.analysis.speech.pitch;
+        return {
+            summary: {
+                emotion_totals: emotionTotals,
+                total_analyzed: rows.length,
+                avg_pace_wpm: pace.reduce((a, b) => a + b, 0) / pace.length,
+                avg_pitch_mean: pitch.reduce((a, b) => a + b, 0) / pitch.length
+            },
+            series: []
+        };
+    });
+
+    // ------------------------------------------------------------------
+    // Memories
+    // ------------------------------------------------------------------
+    router.post('/api/memory/create', req => {
+        const { title, body } = req.body || {};
+        if (!String(body || '').trim()) return fail(422, 'body is required');
+        const createdAt = new Date().toISOString();
+        const record = transcripts.insert(summarize({
+            session_id: `session_${createdAt.replace(/\D/g, '').slice(0, 14)}`,
+            title: title || 'Untitled memory',
+            created_at: createdAt,
+            timestamp: createdAt,
+            segments: buildSegments([['Note', body, 'neutral']], 'memory')
+        }));
+        return { success: true, memory_id: record.job_id, memory: record };
+    });
+
+    router.put('/api/memory/:id', req => {
+        const { title, body } = req.body || {};
+        const updated = transcripts.update(req.params.id, current => summarize({
+            ...current,
+            title: title ?? current.title,
+            segments: body === undefined ? current.segments : buildSegments([['Note', body, 'neutral']], current.job_id)
+        }));
+        return updated ? { success: true, memory: updated } : fail(404, 'Memory not found');
+    });
+
+    router.delete('/api/memory/:id', req => (
+        transcripts.remove(req.params.id) ? { success: true } : fail(404, 'Memory not found')
+    ));
+}
@@ -0,0 +1,36 @@
+/**
+ * Mock Backend
+ * Builds the demo route table from the per-domain fixture modules. Loaded
+ * lazily by the fetch interceptor in api.js.
+ *
+ * @module mock
+ */
+
+import { createMockRouter, parseQuery } from './router.js';
+import { resetCollections } from './store.js';
+import * as system from './fixtures/system.js';
+import * as nexus from './fixtures/nexus.js';
+import * as salesforce from './fixtures/salesforce.js';
+import * as ml from './fixtures/ml.js';
+import * as banking from './fixtures/banking.js';
+import * as calls from './fixtures/calls.js';
+import * as transcripts from './fixtures/transcripts.js';
+import * as gemma from './fixtures/gemma.js';
+import * as enterprise from './fixtures/enterprise.js';
+import * as databases from './fixtures/databases.js';
+
+const FIXTURES = [system, nexus, salesforce, ml, banking, calls, transcripts, gemma, enterprise, databases];
+
+/**
+ * Create a router with every fixture registered.
+ * @param {Object} data - window.MOCK_DATA
+ * @returns {Object} Mock router
+ */
+export function installMockBackend(data) {
+    const router = createMockRouter();
+    FIXTURES.forEach(fixture => fixture.register(router, data));
+    console.log(`[MOCK API] Route table ready (${router.size} routes)`);
+    return router;
+}
+
+export { createMockRouter, parseQuery, resetCollections };
@@ -0,0 +1,200 @@
+/**
+ * Mock Backend Router
+ * Declarative route table for the demo fetch interceptor (api.js). Routes
+ * match on method, path pattern (`:param` segments, trailing `*`) and
+ * optionally on query values; handlers return plain objects (200 JSON) or
+ * one of the reply helpers below.
+ *
+ * @module mock/router
+ */
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/**
+ * @typedef {Object} MockRequest
+ * @property {string} method - Upper-case HTTP method
+ * @property {string} path - URL path without query string
+ * @property {Object<string, string>} params - Values captured by `:param` segments
+ * @property {Object<string, string|string[]>} query - Query values; repeated keys become arrays
+ * @property {*} body - Parsed JSON body, FormData, raw string or null
+ * @property {Object<string, string>} headers - Request headers (lower-case keys)
+ * @property {string} url - Full request URL
+ */
+
+/**
+ * @typedef {Object} MockReply
+ * @property {'reply'} kind
+ * @property {number} status
+ * @property {*} body
+ * @property {Object<string, string>} headers
+ */
+
+/**
+ * @typedef {Object} MockStream
+ * @property {'sse'} kind
+ * @property {Array<{event?: string, data: *, id?: string, delayMs?: number}>} events
+ */
+
+/**
+ * @typedef {(req: MockRequest) => (Object|MockReply|MockStream|Promise<Object|MockReply|MockStream>)} MockHandler
+ */
+
+// ============================================================================
+// Reply Helpers
+// ============================================================================
+
+/**
+ * Reply with an explicit status and body.
+ * @param {number} status
+ * @param {*} body - Serialized as JSON unless already a string
+ * @param {Object<string, string>} [headers]
+ * @returns {MockReply}
+ */
+export function reply(status, body, headers = {}) {
+    return { kind: 'reply', status, body, headers };
+}
+
+/**
+ * Reply with an error payload in the backend's `{ detail }` shape.
+ * @param {number} status
+ * @param {string} detail
+ * @returns {MockReply}
+ */
+export function fail(status, detail) {
+    return reply(status, { detail });
+}
+
+/**
+ * Reply with a server-sent event stream. Each event is written after its
+ * delayMs (default 300ms), so EventSource consumers see gradual progress.
+ * @param {Array<{event?: string, data: *, id?: string, delayMs?: number}>} events
+ * @returns {MockStream}
+ */
+export function sse(events) {
+    return { kind: 'sse', events };
+}
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+/**
+ * Compile a path pattern into a matcher.
+ * @param {string} pattern - e.g. '/fiserv/api/v1/cases/:id/notes' or '/analytics/run-engine/*'
+ * @returns {(path: string) => Object<string, string>|null} Captured params, or null
+ */
+function compilePattern(pattern) {
+    const names = [];
+    const source = pattern
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\/\*$/, () => {
+            names.push('rest');
+            return '(?:/(.*))?';
+        })
+        .replace(/:(\w+)/g, (_, name) => {
+            names.push(name);
+            return '([^/]+)';
+        });
+    // Named params come before the wildcard in the pattern, so fix the order
+    if (names[0] === 'rest') names.push(names.shift());
+    const regex = new RegExp(`^${source}/?$`);
+
+    return (path) => {
+        const match = regex.exec(path);
+        if (!match) return null;
+        const params = {};
+        names.forEach((name, i) => {
+            params[name] = match[i + 1] === undefined ? '' : decodeURIComponent(match[i + 1]);
+        });
+        return params;
+    };
+}
+
+function queryMatches(expected, query) {
+    if (!expected) return true;
+    return Object.entries(expected).every(([key, value]) => {
+        const actual = query[key];
+        if (value === true) return actual !== undefined;
+        return Array.isArray(actual) ? actual.includes(String(value)) : actual === String(value);
+    });
+}
+
+/**
+ * Parse a query string into an object; repeated keys become arrays.
+ * @param {URLSearchParams} searchParams
+ * @returns {Object<string, string|string[]>}
+ */
+export function parseQuery(searchParams) {
+    const query = {};
+    for (const [key, value] of searchParams) {
+        if (key in query) {
+            query[key] = [].concat(query[key], value);
+        } else {
+            query[key] = value;
+        }
+    }
+    return query;
+}
+
+// ============================================================================
+// Router
+// ============================================================================
+
+/**
+ * Create an empty route table.
+ * Routes are tried in registration order; the first match wins.
+ * @returns {Object} Router with route()/get()/post()/put()/patch()/delete()/match()
+ */
+export function createMockRouter() {
+    const routes = [];
+
+    /**
+     * Register a route.
+     * @param {string} method - HTTP method or '*'
+     * @param {string} pattern - Path pattern
+     * @param {MockHandler} handler
+     * @param {{query?: Object}} [options] - Query values the request must carry
+     */
+    function route(method, pattern, handler, options = {}) {
+        routes.push({
+            method: method.toUpperCase(),
+            pattern,
+            test: compilePattern(pattern),
+            query: options.query || null,
+            handler
+        });
+    }
+
+    /**
+     * Find the route for a request.
+     * @param {string} method
+     * @param {string} path
+     * @param {Object} query
+     * @returns {{route: Object, params: Object}|null}
+     */
+    function match(method, path, query) {
+        for (const candidate of routes) {
+            if (candidate.method !== '*' && candidate.method !== method) continue;
+            const params = candidate.test(path);
+            if (params && queryMatches(candidate.query, query)) {
+                return { route: candidate, params };
+            }
+        }
+        return null;
+    }
+
+    return {
+        route,
+        match,
+        get: (pattern, handler, options) => route('GET', pattern, handler, options),
+        post: (pattern, handler, options) => route('POST', pattern, handler, options),
+        put: (pattern, handler, options) => route('PUT', pattern, handler, options),
+        patch: (pattern, handler, options) => route('PATCH', pattern, handler, options),
+        delete: (pattern, handler, options) => route('DELETE', pattern, handler, options),
+        get size() {
+            return routes.length;
+        }
+    };
+}
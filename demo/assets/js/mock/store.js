@@ -0,0 +1,159 @@
+/**
+ * Mock Backend Store
+ * Stateful collections behind the mock routes, so creating a case or editing
+ * a memory survives later reads. State lives in sessionStorage: it persists
+ * across page navigation within a tab and resets with the tab.
+ *
+ * @module mock/store
+ */
+
+const STORAGE_PREFIX = 'mockStore.';
+
+/** @type {Map<string, Object>} */
+const collections = new Map();
+
+function load(name) {
+    try {
+        const raw = sessionStorage.getItem(STORAGE_PREFIX + name);
+        return raw ? JSON.parse(raw) : null;
+    } catch {
+        return null;
+    }
+}
+
+function save(name, items) {
+    try {
+        sessionStorage.setItem(STORAGE_PREFIX + name, JSON.stringify(items));
+    } catch (err) {
+        console.warn(`[MOCK API] Could not persist ${name}:`, err);
+    }
+}
+
+/**
+ * Create (or return the existing) named collection.
+ * @param {string} name - Storage name, unique per collection
+ * @param {Object[]|(() => Object[])} seed - Initial records, used until the first write
+ * @param {{idKey?: string, idPrefix?: string}} [options]
+ * @returns {Object} Collection with all/find/where/insert/update/remove/reset
+ */
+export function createCollection(name, seed, options = {}) {
+    if (collections.has(name)) return collections.get(name);
+
+    const idKey = options.idKey || 'id';
+    const idPrefix = options.idPrefix || '';
+    const seedItems = () => structuredClone(typeof seed === 'function' ? seed() : seed);
+    let items = load(name) || seedItems();
+
+    const nextId = () => {
+        if (!idPrefix) {
+            const numeric = items.map(item => Number(item[idKey])).filter(Number.isFinite);
+            return numeric.length ? Math.max(...numeric) + 1 : 1;
+        }
+        return `${idPrefix}${Date.now().toString(36).toUpperCase()}${Math.floor(Math.random() * 1296).toString(36).toUpperCase()}`;
+    };
+
+    const collection = {
+        name,
+        idKey,
+
+        /** @returns {Object[]} Copy of every record */
+        all() {
+            return structuredClone(items);
+        },
+
+        /**
+         * @param {string|number} id
+         * @returns {Object|null}
+         */
+        find(id) {
+            const item = items.find(entry => String(entry[idKey]) === String(id));
+            return item ? structuredClone(item) : null;
+        },
+
+        /**
+         * @param {(item: Object) => boolean} predicate
+         * @returns {Object[]}
+         */
+        where(predicate) {
+            return structuredClone(items.filter(predicate));
+        },
+
+        /**
+         * Add a record, assigning an id when it has none.
+         * @param {Object} record
+         * @returns {Object} Stored record
+         */
+        insert(record) {
+            const stored = { ...record };
+            if (stored[idKey] === undefined || stored[idKey] === null) {
+                stored[idKey] = nextId();
+            }
+            items.unshift(stored);
+            save(name, items);
+            return structuredClone(stored);
+        },
+
+        /**
+         * Shallow-merge changes into a record.
+         * @param {string|number} id
+         * @param {Object|((item: Object) => Object)} changes
+         * @returns {Object|null} Updated record, or null if missing
+         */
+        update(id, changes) {
+            const index = items.findIndex(entry => String(entry[idKey]) === String(id));
+            if (index < 0) return null;
+            const patch = typeof changes === 'function' ? changes(structuredClone(items[index])) : changes;
+            items[index] = { ...items[index], ...patch, [idKey]: items[index][idKey] };
+            save(name, items);
+            return structuredClone(items[index]);
+        },
+
+        /**
+         * @param {string|number} id
+         * @returns {boolean} Whether a record was removed
+         */
+        remove(id) {
+            const before = items.length;
+            items = items.filter(entry => String(entry[idKey]) !== String(id));
+            if (items.length === before) return false;
+            save(name, items);
+            return true;
+        },
+
+        /** Restore the seed records. */
+        reset() {
+            items = seedItems();
+            save(name, items);
+        }
+    };
+
+    collections.set(name, collection);
+    return collection;
+}
+
+/**
+ * Restore every collection to its seed data.
+ */
+export function resetCollections() {
+    collections.forEach(collection => collection.reset());
+}
+
+/**
+ * Slice records by `limit`/`offset` query values (strings from the URL).
+ * @param {Object[]} items
+ * @param {Object} query - Request query
+ * @param {number} [defaultLimit=50]
+ * @returns {{items: Object[], total: number, limit: number, offset: number, has_more: boolean}}
+ */
+export function paginate(items, query, defaultLimit = 50) {
+    const limit = Math.max(1, parseInt(query.limit, 10) || defaultLimit);
+    const offset = Math.max(0, parseInt(query.offset, 10) || 0);
+    const slice = items.slice(offset, offset + limit);
+    return {
+        items: slice,
+        total: items.length,
+        limit,
+        offset,
+        has_more: offset + slice.length < items.length
+    };
+}
@@ -1,8 +1,11 @@
 /**
  * Mock Data for Static Demo (Comprehensive)
  * Contains rich sample data for Nexus Engines, Salesforce, Fiserv, and Gemma.
+ * Banking data comes from the seeded generator in synthetic_bank.js.
  */
 
+const BANK_POPULATION = (typeof SyntheticBank !== 'undefined' ? SyntheticBank : require('./synthetic_bank.js')).population;
+
 const MOCK_DATA = {
     // =========================================================================
     // SYSTEM HEALTH & GEMMA STATS
@@ -491,20 +494,24 @@ const MOCK_DATA = {
             account_calls: 250,
             transaction_calls: 300
         },
-        partys: [
-            { party_id: 'P10001', name: 'Sarah Jenkins', email: 'sarah.j@example.com', accounts: ['A8899001', 'A8899002'] }
-        ],
-        accounts: {
-            'A8899001': { account_id: 'A8899001', type: 'Checking', status: 'Active', balance: 15420.50, name: 'Premium Checking' },
-            'A8899002': { account_id: 'A8899002', type: 'Savings', status: 'Active', balance: 45000.00, name: 'High Yield Savings' }
-        },
-        // Detailed transaction history for graphs
-        transactions: Array.from({ length: 50 }, (_, i) => ({
-            date: new Date(Date.now() - i * 86400000).toISOString().split('T')[0],
-            description: ['Amazon', 'Grocery', 'Salary', 'Rent', 'Gas', 'Dining', 'Utility', 'Transfer'][Math.floor(Math.random() * 8)],
-            amount: (Math.random() * 500).toFixed(2),
-            dr_cr: Math.random() > 0.8 ? 'CR' : 'DR' // Mostly debits
+        // Generated members, accounts and history (see synthetic_bank.js).
+        // partys/accounts/transactions are a small sample for quick lookups;
+        // the fixtures query `population` for everything else.
+        population: BANK_POPULATION,
+        partys: BANK_POPULATION.members({ limit: 25 }).map(m => ({
+            party_id: m.party_id,
+            name: m.name,
+            email: m.email,
+            phone: m.phone,
+            accounts: m.accounts
         })),
+        accounts: Object.fromEntries(
+            BANK_POPULATION.members({ limit: 25 })
+                .flatMap(m => BANK_POPULATION.accounts(m.party_id))
+                .map(a => [a.account_id, a])
+        ),
+        // Detailed transaction history for graphs
+        transactions: BANK_POPULATION.transactions(BANK_POPULATION.member(0).accounts[0], { days: 90 }),
 
         // Chart Data Sources
         charts: {
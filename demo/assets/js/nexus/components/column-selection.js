@@ -15,6 +15,7 @@ import {
     resetColumnSelection,
     getUploadState
 } from '../core/state.js';
+import { getColumnProfile, profileBadgeHTML, isExcludedFeature, leakageForTarget, PROFILE_TYPES } from '../../data-profiler.js';
 
 // ============================================================================
 // State
@@ -104,6 +105,32 @@ export function populateColumnSelectors() {
     }
 
     updateFeatureCount();
+    renderColumnProfile();
+}
+
+/**
+ * Show the local column profile on the target dropdown and feature checkboxes.
+ * Call again when the profile arrives after the selectors were populated.
+ */
+export function renderColumnProfile() {
+    const { profile } = getUploadState();
+    if (!profile) return;
+
+    document.querySelectorAll('#feature-grid .feature-checkbox').forEach(checkbox => {
+        const column = getColumnProfile(profile, checkbox.dataset.column);
+        checkbox.querySelector('.column-profile-badge')?.remove();
+        checkbox.classList.toggle('flagged', isExcludedFeature(profile, checkbox.dataset.column));
+        if (column) checkbox.insertAdjacentHTML('beforeend', profileBadgeHTML(column));
+    });
+
+    document.querySelectorAll('#target-select option').forEach(option => {
+        const column = getColumnProfile(profile, option.value);
+        if (!column) return;
+        const warn = column.flags.includes('id') ? ' ⚠ ID' : column.flags.includes('leakage') ? ' ⚠ leakage' : '';
+        option.textContent = `${option.value} (${PROFILE_TYPES[column.type]?.label || column.type}${warn})`;
+    });
+
+    renderLeakageWarning(getColumnSelection().target);
 }
 
 /**
@@ -163,10 +190,12 @@ export function selectAllFeatures() {
     const featureGrid = document.getElementById('feature-grid');
     if (!featureGrid) return;
 
+    const { profile } = getUploadState();
     const newFeatures = [];
     featureGrid.querySelectorAll('.feature-checkbox').forEach(cb => {
         const column = cb.dataset.column;
-        if (column && column !== selection.target) {
+        // Likely ID/leakage columns stay unselected; they can still be ticked by hand
+        if (column && column !== selection.target && !isExcludedFeature(profile, column, selection.target)) {
             cb.classList.add('selected');
             const input = cb.querySelector('input');
             if (input) input.checked = true;
@@ -235,12 +264,30 @@ function handleTargetChange(target) {
     }
 
     updateFeatureCount();
+    renderLeakageWarning(target);
 
     if (selectionCallbacks.onTargetChange) {
         selectionCallbacks.onTargetChange(target);
     }
 }
 
+function renderLeakageWarning(target) {
+    const featureGrid = document.getElementById('feature-grid');
+    if (!featureGrid) return;
+
+    let warning = document.getElementById('column-leakage-warning');
+    if (!warning) {
+        featureGrid.insertAdjacentHTML('beforebegin', '<div id="column-leakage-warning" class="column-profile-warning"></div>');
+        warning = document.getElementById('column-leakage-warning');
+    }
+
+    const leaks = leakageForTarget(getUploadState().profile, target);
+    warning.style.display = leaks.length ? 'block' : 'none';
+    warning.innerHTML = leaks.length
+        ? `⚠️ Possible leakage for target "${escapeHtml(target)}": ${leaks.map(l => `${escapeHtml(l.column)} (${escapeHtml(l.reason)})`).join(', ')}`
+        : '';
+}
+
 function handleFeatureToggle(checkbox) {
     const column = checkbox.dataset.column;
     const selection = getColumnSelection();
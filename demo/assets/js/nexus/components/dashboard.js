@@ -6,6 +6,7 @@
  */
 
 import { VIZ_COLORS } from '../core/config.js';
+import { ENGINE_COUNT } from '../engines/engine-definitions.js';
 
 // ============================================================================
 // State
@@ -225,7 +226,7 @@ function initSuccessDonut() {
             data: [
                 { value: 0, name: 'Success', itemStyle: { color: VIZ_COLORS.success } },
                 { value: 0, name: 'Failed', itemStyle: { color: VIZ_COLORS.error } },
-                { value: 22, name: 'Pending', itemStyle: { color: 'rgba(255,255,255,0.1)' } }
+                { value: ENGINE_COUNT, name: 'Pending', itemStyle: { color: 'rgba(255,255,255,0.1)' } }
             ]
         }]
     });
@@ -272,7 +273,7 @@ function updateDashboard() {
     const completed = enginePerformanceData.filter(e => e.status !== 'pending');
     const successful = completed.filter(e => e.status === 'success');
     const failed = completed.filter(e => e.status === 'error');
-    const pending = 22 - completed.length;
+    const pending = ENGINE_COUNT - completed.length;
 
     const durations = completed.map(e => e.duration / 1000);
     const totalTime = durations.reduce((a, b) => a + b, 0);
@@ -0,0 +1,112 @@
+/**
+ * NexusAI GPU Memory Panel
+ * Live per-device memory bars shown while an analysis runs, with the VRAM
+ * status of each pending GPU engine.
+ *
+ * @module nexus/components/gpu-memory-panel
+ */
+
+import { escapeHtml } from '../engines/engine-results.js';
+
+// ============================================================================
+// State
+// ============================================================================
+
+let panelEl = null;
+
+const ASSESSMENT_STYLES = {
+    fits: { color: 'var(--vox-success)', label: 'fits' },
+    tight: { color: 'var(--vox-warning)', label: 'tight' },
+    insufficient: { color: 'var(--vox-error)', label: 'low VRAM' },
+    unknown: { color: 'var(--vox-grey-400)', label: 'unchecked' }
+};
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Initialize the panel.
+ * @param {string|HTMLElement} containerSelector
+ */
+export function initGpuMemoryPanel(containerSelector) {
+    panelEl = typeof containerSelector === 'string'
+        ? document.querySelector(containerSelector)
+        : containerSelector;
+
+    if (!panelEl) {
+        console.warn('GPU memory panel container not found');
+    }
+}
+
+/**
+ * Render the latest reading. Hidden when no device reports memory.
+ * @param {Object} health - checkGpuHealth() result
+ * @param {import('../engines/engine-gpu-planner.js').VramAssessment[]} [assessments]
+ */
+export function renderGpuMemoryPanel(health, assessments = []) {
+    if (!panelEl) return;
+
+    const devices = health?.devices || [];
+    if (!health?.available || devices.length === 0) {
+        panelEl.style.display = 'none';
+        panelEl.innerHTML = '';
+        return;
+    }
+
+    panelEl.style.display = 'block';
+    panelEl.innerHTML = `
+    <div style="font-size: 0.85rem; font-weight: 600; color: var(--vox-grey-700); margin-bottom: 0.5rem;">
+      🎮 GPU Memory${health.owner && health.owner !== 'unknown' ? ` <span style="font-weight: 400; color: var(--vox-grey-500);">• owner: ${escapeHtml(health.owner)}</span>` : ''}
+    </div>
+    ${devices.map(renderDevice).join('')}
+    ${assessments.length ? `
+    <div style="display: flex; flex-wrap: wrap; gap: 0.5rem; margin-top: 0.5rem; font-size: 0.8rem;">
+      ${assessments.map(renderAssessment).join('')}
+    </div>` : ''}
+  `;
+}
+
+/**
+ * Hide the panel.
+ */
+export function hideGpuMemoryPanel() {
+    if (panelEl) panelEl.style.display = 'none';
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+function renderDevice(device) {
+    const gb = (value) => (value === null ? '?' : `${value.toFixed(1)}GB`);
+    const usedPercent = device.totalGb && device.usedGb !== null
+        ? Math.min(100, (device.usedGb / device.totalGb) * 100)
+        : null;
+    const barColor = usedPercent === null ? 'var(--vox-grey-300)'
+        : usedPercent > 90 ? 'var(--vox-error)'
+            : usedPercent > 70 ? 'var(--vox-warning)'
+                : 'var(--vox-success)';
+
+    return `
+    <div style="margin-bottom: 0.5rem;">
+      <div style="display: flex; justify-content: space-between; font-size: 0.8rem; color: var(--vox-grey-600);">
+        <span>GPU ${device.index} • ${escapeHtml(device.name)}</span>
+        <span>${gb(device.usedGb)} used / ${gb(device.totalGb)} • ${gb(device.freeGb)} free</span>
+      </div>
+      <div class="progress-bar-wrapper" style="height: 6px;">
+        <div style="height: 100%; width: ${usedPercent ?? 0}%; background: ${barColor}; border-radius: inherit; transition: width 0.3s;"></div>
+      </div>
+    </div>
+  `;
+}
+
+function renderAssessment({ engine, status, requiredGb }) {
+    const style = ASSESSMENT_STYLES[status];
+    const need = requiredGb !== null ? ` ${requiredGb}GB` : '';
+    return `
+      <span title="${escapeHtml(engine.display)}: ${style.label}"
+            style="padding: 0.15rem 0.5rem; border-radius: 999px; border: 1px solid ${style.color}; color: ${style.color};">
+        ${engine.icon} ${escapeHtml(engine.display)}${need} • ${style.label}
+      </span>`;
+}
@@ -0,0 +1,297 @@
+/**
+ * NexusAI Session Comparison Component
+ * Side-by-side view of two saved analysis runs: category stats, engines that
+ * changed status, and per-engine metric deltas and key findings.
+ *
+ * @module nexus/components/session-compare
+ */
+
+import { listSessions, getSessionById } from '../core/session-store.js';
+import { ALL_ENGINES } from '../engines/engine-definitions.js';
+import { compareSessions } from '../engines/engine-compare.js';
+import { escapeHtml, formatDuration } from '../engines/engine-results.js';
+
+// ============================================================================
+// State
+// ============================================================================
+
+let containerEl = null;
+
+const TREND_STYLES = {
+    improved: { color: 'var(--vox-success)', icon: '▲' },
+    regressed: { color: 'var(--vox-error)', icon: '▼' },
+    changed: { color: 'var(--vox-primary)', icon: '◆' },
+    unchanged: { color: 'var(--vox-grey-400)', icon: '=' },
+    added: { color: 'var(--vox-primary)', icon: '+' },
+    removed: { color: 'var(--vox-grey-400)', icon: '−' }
+};
+
+const STATUS_LABELS = {
+    success: '✅ Success',
+    error: '❌ Failed',
+    missing: '⏳ Not run'
+};
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Initialize the comparison view.
+ * @param {string|HTMLElement} containerSelector - Element the view renders into
+ */
+export function initSessionCompare(containerSelector) {
+    containerEl = typeof containerSelector === 'string'
+        ? document.querySelector(containerSelector)
+        : containerSelector;
+
+    if (!containerEl) {
+        console.warn('Session comparison container not found');
+        return;
+    }
+
+    containerEl.addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="compare"]')) runComparison();
+        if (e.target.closest('[data-action="swap"]')) swapRuns();
+    });
+}
+
+/**
+ * Populate the run pickers from saved sessions.
+ * @param {Object} [preselect]
+ * @param {string} [preselect.a] - Baseline session id
+ * @param {string} [preselect.b] - Comparison session id
+ * @returns {Promise<void>}
+ */
+export async function openSessionCompare(preselect = {}) {
+    if (!containerEl) return;
+
+    let sessions = [];
+    try {
+        sessions = (await listSessions()).filter(s => s.engineCount > 0);
+    } catch (err) {
+        console.warn('Failed to list sessions for comparison:', err);
+    }
+
+    if (sessions.length < 2) {
+        containerEl.innerHTML = `
+      <p style="color: var(--vox-grey-500); margin: 0;">
+        Run or save at least two analyses to compare them side by side.
+      </p>
+    `;
+        return;
+    }
+
+    // Default: previous run as baseline, latest run as comparison
+    const a = preselect.a || sessions[1].id;
+    const b = preselect.b || sessions[0].id;
+
+    const options = (selected) => sessions.map(s => `
+      <option value="${escapeHtml(s.id)}" ${s.id === selected ? 'selected' : ''}>
+        ${escapeHtml(s.name)} — ${s.engineCount} engines
+      </option>`).join('');
+
+    containerEl.innerHTML = `
+    <div style="display: flex; flex-wrap: wrap; gap: 0.75rem; align-items: flex-end; margin-bottom: 1.5rem;">
+      <label style="flex: 1; min-width: 220px; font-size: 0.85rem; color: var(--vox-grey-600);">
+        Baseline run
+        <select class="vox-input compare-select" data-run="a" style="width: 100%; margin-top: 0.25rem;">${options(a)}</select>
+      </label>
+      <button class="vox-btn vox-btn-ghost" data-action="swap" title="Swap runs">⇄</button>
+      <label style="flex: 1; min-width: 220px; font-size: 0.85rem; color: var(--vox-grey-600);">
+        Comparison run
+        <select class="vox-input compare-select" data-run="b" style="width: 100%; margin-top: 0.25rem;">${options(b)}</select>
+      </label>
+      <button class="vox-btn vox-btn-primary" data-action="compare">Compare</button>
+    </div>
+    <div class="compare-output"></div>
+  `;
+
+    await runComparison();
+}
+
+// ============================================================================
+// Comparison
+// ============================================================================
+
+function swapRuns() {
+    const selectA = containerEl.querySelector('.compare-select[data-run="a"]');
+    const selectB = containerEl.querySelector('.compare-select[data-run="b"]');
+    if (!selectA || !selectB) return;
+    [selectA.value, selectB.value] = [selectB.value, selectA.value];
+    runComparison();
+}
+
+async function runComparison() {
+    const idA = containerEl.querySelector('.compare-select[data-run="a"]')?.value;
+    const idB = containerEl.querySelector('.compare-select[data-run="b"]')?.value;
+    const output = containerEl.querySelector('.compare-output');
+    if (!idA || !idB || !output) return;
+
+    if (idA === idB) {
+        output.innerHTML = '<p style="color: var(--vox-grey-500);">Pick two different runs to compare.</p>';
+        return;
+    }
+
+    const [sessionA, sessionB] = await Promise.all([getSessionById(idA), getSessionById(idB)]);
+    if (!sessionA || !sessionB) {
+        output.innerHTML = '<p style="color: var(--vox-error);">One of the selected runs could not be loaded.</p>';
+        return;
+    }
+
+    const comparison = compareSessions(sessionA, sessionB, ALL_ENGINES);
+    output.innerHTML = `
+    ${renderRunHeader(sessionA, sessionB)}
+    ${renderCategoryStats(comparison)}
+    ${renderStatusChanges(comparison.statusChanges)}
+    ${comparison.engines.map(renderEngineComparison).join('')}
+  `;
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+function renderRunHeader(a, b) {
+    const describe = (s) => {
+        const target = s.columnSelection?.target ? ` • target: ${escapeHtml(s.columnSelection.target)}` : '';
+        const started = s.startedAt ? new Date(s.startedAt).toLocaleString() : '';
+        return `<div style="font-weight: 600;">${escapeHtml(s.name || s.filename)}</div>
+          <div style="font-size: 0.8rem; color: var(--vox-grey-500);">${escapeHtml(s.filename || '')}${target} • ${escapeHtml(started)}</div>`;
+    };
+
+    return `
+    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; margin-bottom: 1rem;">
+      <div class="vox-card" style="padding: 0.75rem;">🅰️ ${describe(a)}</div>
+      <div class="vox-card" style="padding: 0.75rem;">🅱️ ${describe(b)}</div>
+    </div>
+  `;
+}
+
+function renderCategoryStats({ statsA, statsB }) {
+    const rows = ['all', 'ml', 'financial', 'advanced'].map(cat => {
+        const a = statsA[cat];
+        const b = statsB[cat];
+        const successDelta = b.success - a.success;
+        const deltaColor = successDelta > 0 ? 'var(--vox-success)' : successDelta < 0 ? 'var(--vox-error)' : 'var(--vox-grey-400)';
+        return `
+      <tr>
+        <td style="padding: 0.35rem 0.5rem; text-transform: capitalize;">${cat}</td>
+        <td style="padding: 0.35rem 0.5rem;">✓ ${a.success} / ✗ ${a.error}</td>
+        <td style="padding: 0.35rem 0.5rem;">✓ ${b.success} / ✗ ${b.error}</td>
+        <td style="padding: 0.35rem 0.5rem; color: ${deltaColor};">${successDelta > 0 ? '+' : ''}${successDelta}</td>
+      </tr>`;
+    }).join('');
+
+    return `
+    <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem; margin-bottom: 1rem;">
+      <thead>
+        <tr style="text-align: left; color: var(--vox-grey-500);">
+          <th style="padding: 0.35rem 0.5rem;">Category</th><th style="padding: 0.35rem 0.5rem;">Run A</th>
+          <th style="padding: 0.35rem 0.5rem;">Run B</th><th style="padding: 0.35rem 0.5rem;">Δ succeeded</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+function renderStatusChanges(changes) {
+    if (changes.length === 0) {
+        return '<p style="font-size: 0.85rem; color: var(--vox-grey-500);">No engines changed status between the runs.</p>';
+    }
+
+    return `
+    <div class="key-findings" style="margin-bottom: 1rem;">
+      <h4>Status Changes (${changes.length})</h4>
+      <ul>
+        ${changes.map(c => `<li>${c.engine.icon} ${escapeHtml(c.engine.display)}: ${STATUS_LABELS[c.statusA] || c.statusA} → ${STATUS_LABELS[c.statusB] || c.statusB}</li>`).join('')}
+      </ul>
+    </div>
+  `;
+}
+
+function renderEngineComparison(comparison) {
+    const { engine, statusA, statusB, statusChanged, metrics, findingsA, findingsB } = comparison;
+
+    const metricRows = metrics.map(m => {
+        const style = TREND_STYLES[m.trend];
+        const change = m.delta === null
+            ? m.trend
+            : `${m.delta > 0 ? '+' : ''}${formatDelta(m.delta, m.format)}${m.percentChange !== null ? ` (${m.percentChange > 0 ? '+' : ''}${m.percentChange.toFixed(1)}%)` : ''}`;
+        return `
+      <tr>
+        <td style="padding: 0.25rem 0.5rem;">${escapeHtml(m.label)}</td>
+        <td style="padding: 0.25rem 0.5rem;">${formatMetric(m.a, m.format)}</td>
+        <td style="padding: 0.25rem 0.5rem;">${formatMetric(m.b, m.format)}</td>
+        <td style="padding: 0.25rem 0.5rem; color: ${style.color};">${style.icon} ${change}</td>
+      </tr>`;
+    }).join('');
+
+    const findingsList = (findings) => findings.length
+        ? `<ul style="margin: 0; padding-left: 1.1rem;">${findings.map(f => `<li>${escapeHtml(f)}</li>`).join('')}</ul>`
+        : '<span style="color: var(--vox-grey-400);">—</span>';
+
+    return `
+    <div class="engine-result-card expanded" style="margin-bottom: 0.75rem;${statusChanged ? ' border-color: var(--vox-warning);' : ''}">
+      <div class="engine-card-header">
+        <span class="engine-icon">${engine.icon}</span>
+        <h3>${escapeHtml(engine.display)}</h3>
+        <span class="engine-status ${statusA === 'success' ? 'success' : 'error'}">${STATUS_LABELS[statusA] || statusA}</span>
+        <span class="engine-status ${statusB === 'success' ? 'success' : 'error'}">${STATUS_LABELS[statusB] || statusB}</span>
+      </div>
+      <div class="engine-card-body" style="font-size: 0.85rem;">
+        ${metricRows ? `
+        <table style="width: 100%; border-collapse: collapse; margin-bottom: 0.75rem;">
+          <thead>
+            <tr style="text-align: left; color: var(--vox-grey-500);">
+              <th style="padding: 0.25rem 0.5rem;">Metric</th><th style="padding: 0.25rem 0.5rem;">Run A</th>
+              <th style="padding: 0.25rem 0.5rem;">Run B</th><th style="padding: 0.25rem 0.5rem;">Change</th>
+            </tr>
+          </thead>
+          <tbody>${metricRows}</tbody>
+        </table>` : ''}
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem;">
+          <div><strong>Run A findings</strong>${findingsList(findingsA)}</div>
+          <div><strong>Run B findings</strong>${findingsList(findingsB)}</div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Format a metric value for display. The unit comes from the metric
+ * definition, never from the magnitude of the value.
+ * @param {number|undefined} value
+ * @param {'fraction'|'percent'|'currency'|'number'|'duration'} format
+ * @returns {string}
+ */
+function formatMetric(value, format) {
+    if (value === undefined || value === null) return '—';
+    switch (format) {
+        case 'fraction':
+            return `${(value * 100).toFixed(1)}%`;
+        case 'percent':
+            return `${value.toFixed(1)}%`;
+        case 'currency':
+            return `$${Math.round(value).toLocaleString()}`;
+        case 'duration':
+            return value < 0 ? `-${formatDuration(-value)}` : formatDuration(value);
+        default:
+            return value.toLocaleString(undefined, { maximumFractionDigits: 3 });
+    }
+}
+
+/**
+ * Format a difference between two values of a metric, in the metric's unit.
+ * Percentage metrics change by percentage points, not by a percent.
+ * @param {number} delta
+ * @param {'fraction'|'percent'|'currency'|'number'|'duration'} format
+ * @returns {string}
+ */
+function formatDelta(delta, format) {
+    if (format === 'fraction') return `${(delta * 100).toFixed(1)} pp`;
+    if (format === 'percent') return `${delta.toFixed(1)} pp`;
+    return formatMetric(delta, format);
+}
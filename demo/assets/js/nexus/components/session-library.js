@@ -0,0 +1,167 @@
+/**
+ * NexusAI Session Library Component
+ * Lists saved analyses with open, resume, rename and delete actions and a
+ * storage usage summary.
+ *
+ * @module nexus/components/session-library
+ */
+
+import { deleteSession, getStorageUsage, getActiveSessionId } from '../core/session-store.js';
+import { renameSavedSession } from '../core/state.js';
+import { formatBytes, escapeHtml } from '../engines/engine-results.js';
+
+// ============================================================================
+// State
+// ============================================================================
+
+let sectionEl = null;
+let gridEl = null;
+
+let libraryCallbacks = {
+    onOpen: null,    // (sessionId) => void
+    onResume: null,  // (sessionId) => void
+    onDelete: null   // (sessionId) => void
+};
+
+/**
+ * Total engines, for the "n/total engines" label.
+ * @type {() => number}
+ */
+let getEngineTotal = () => 0;
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Initialize the session library.
+ * @param {Object} options
+ * @param {string|HTMLElement} options.section - Section shown when sessions exist
+ * @param {string|HTMLElement} options.grid - Container for session cards
+ * @param {() => number} options.engineTotal - Returns the current engine count
+ * @param {Object} callbacks - onOpen, onResume, onDelete handlers
+ */
+export function initSessionLibrary({ section, grid, engineTotal }, callbacks = {}) {
+    sectionEl = typeof section === 'string' ? document.querySelector(section) : section;
+    gridEl = typeof grid === 'string' ? document.querySelector(grid) : grid;
+    getEngineTotal = engineTotal || getEngineTotal;
+    libraryCallbacks = { ...libraryCallbacks, ...callbacks };
+
+    if (!sectionEl || !gridEl) {
+        console.log('Session library elements not found');
+        return;
+    }
+
+    gridEl.addEventListener('click', handleAction);
+}
+
+/**
+ * Re-read saved sessions and re-render the library.
+ * @returns {Promise<void>}
+ */
+export async function refreshSessionLibrary() {
+    if (!sectionEl || !gridEl) return;
+
+    let usage;
+    try {
+        usage = await getStorageUsage();
+    } catch (err) {
+        console.warn('Failed to list saved sessions:', err);
+        return;
+    }
+
+    const sessions = usage.sessions.filter(s => s.engineCount > 0);
+    if (sessions.length === 0) {
+        sectionEl.style.display = 'none';
+        gridEl.innerHTML = '';
+        return;
+    }
+
+    sectionEl.style.display = 'block';
+    const activeId = getActiveSessionId();
+
+    gridEl.innerHTML = `
+    <div class="session-usage" style="grid-column: 1 / -1; font-size: 0.85rem; color: var(--vox-grey-500);">
+      ${renderUsage(usage, sessions.length)}
+    </div>
+    ${sessions.map(s => renderSessionCard(s, s.id === activeId)).join('')}
+  `;
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+function renderUsage(usage, count) {
+    const parts = [`💾 ${count} saved ${count === 1 ? 'analysis' : 'analyses'} • ${formatBytes(usage.sessionBytes)}`];
+    if (usage.usageBytes !== null && usage.quotaBytes) {
+        const percent = ((usage.usageBytes / usage.quotaBytes) * 100).toFixed(1);
+        parts.push(`browser storage ${formatBytes(usage.usageBytes)} of ${formatBytes(usage.quotaBytes)} (${percent}%)`);
+    }
+    return parts.join(' • ');
+}
+
+function renderSessionCard(session, isActive) {
+    const total = getEngineTotal();
+    const updated = session.updatedAt ? new Date(session.updatedAt).toLocaleString() : '';
+    const statusLabel = session.status === 'paused' ? 'Paused' : session.status;
+    const id = escapeHtml(session.id);
+
+    return `
+    <div class="vox-card session-card" data-session-id="${id}" style="padding: 1rem;${isActive ? ' border-color: var(--vox-primary);' : ''}">
+      <div style="display: flex; align-items: center; gap: 0.75rem; margin-bottom: 0.5rem;">
+        <span style="font-size: 1.5rem;">📄</span>
+        <span style="font-weight: 600; color: var(--vox-grey-800); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"
+              title="${escapeHtml(session.name)}">${escapeHtml(session.name)}</span>
+      </div>
+      <div style="display: flex; flex-wrap: wrap; gap: 0.75rem; font-size: 0.85rem; color: var(--vox-grey-500);">
+        <span>📁 ${escapeHtml(session.filename || '—')}</span>
+        <span>🔄 ${session.engineCount}/${total} engines</span>
+        ${session.errorCount ? `<span style="color: var(--vox-error);">✗ ${session.errorCount}</span>` : ''}
+        <span>📊 ${escapeHtml(statusLabel)}</span>
+        <span>📦 ${formatBytes(session.sizeBytes)}</span>
+      </div>
+      <div style="font-size: 0.75rem; color: var(--vox-grey-400); margin-top: 0.35rem;">Updated ${escapeHtml(updated)}</div>
+      <div style="display: flex; gap: 0.5rem; margin-top: 0.75rem;">
+        <button class="vox-btn vox-btn-ghost" data-action="open" style="font-size: 0.8rem;">Open</button>
+        ${session.status === 'paused' ? '<button class="vox-btn vox-btn-ghost" data-action="resume" style="font-size: 0.8rem;">Resume</button>' : ''}
+        <button class="vox-btn vox-btn-ghost" data-action="rename" style="font-size: 0.8rem;">Rename</button>
+        <button class="vox-btn vox-btn-ghost" data-action="delete" style="font-size: 0.8rem; color: var(--vox-error);">Delete</button>
+      </div>
+    </div>
+  `;
+}
+
+// ============================================================================
+// Actions
+// ============================================================================
+
+async function handleAction(e) {
+    const button = e.target.closest('[data-action]');
+    const card = e.target.closest('.session-card');
+    if (!button || !card) return;
+
+    const sessionId = card.dataset.sessionId;
+    const action = button.dataset.action;
+
+    try {
+        if (action === 'open') {
+            libraryCallbacks.onOpen?.(sessionId);
+        } else if (action === 'resume') {
+            libraryCallbacks.onResume?.(sessionId);
+        } else if (action === 'rename') {
+            const current = card.querySelector('[title]')?.getAttribute('title') || '';
+            const name = prompt('Rename analysis:', current);
+            if (name === null) return;
+            await renameSavedSession(sessionId, name);
+            await refreshSessionLibrary();
+        } else if (action === 'delete') {
+            if (!confirm('Delete this saved analysis? This cannot be undone.')) return;
+            await deleteSession(sessionId);
+            libraryCallbacks.onDelete?.(sessionId);
+            await refreshSessionLibrary();
+        }
+    } catch (err) {
+        console.warn(`Session ${action} failed:`, err);
+    }
+}
@@ -6,8 +6,9 @@
  */
 
 import { uploadFile } from '../core/api.js';
-import { setUploadState, clearUploadState, getUploadState } from '../core/state.js';
+import { setUploadState, setUploadProfile, clearUploadState, getUploadState } from '../core/state.js';
 import { DEFAULT_SETTINGS } from '../core/config.js';
+import { profileFile } from '../../data-profiler.js';
 
 // ============================================================================
 // State
@@ -17,6 +18,7 @@ let uploadCallbacks = {
     onUploadStart: null,  // (file) => void
     onUploadProgress: null, // (percent) => void
     onUploadSuccess: null, // ({filename, columns, row_count}) => void
+    onProfileReady: null,  // (profile) => void, after the local profiler finishes
     onUploadError: null   // (error) => void
 };
 
@@ -109,6 +111,9 @@ async function handleFileUpload(file, uploadArea) {
     <div class="nexus-upload-subtitle">Please wait</div>
   `;
 
+    // Profile locally while the server ingests the file
+    const profiling = profileFile(file);
+
     try {
         const result = await uploadFile(file);
 
@@ -129,6 +134,15 @@ async function handleFileUpload(file, uploadArea) {
         if (uploadCallbacks.onUploadSuccess) {
             uploadCallbacks.onUploadSuccess(result);
         }
+
+        const profile = await profiling;
+        // Skip if another file was uploaded while the worker ran
+        if (profile && getUploadState().filename === result.filename) {
+            setUploadProfile(profile);
+            if (uploadCallbacks.onProfileReady) {
+                uploadCallbacks.onProfileReady(profile);
+            }
+        }
     } catch (err) {
         // Update UI to error state
         uploadArea.innerHTML = `
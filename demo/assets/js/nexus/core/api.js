@@ -6,7 +6,9 @@
  */
 
 import { API_BASE, getAuthHeaders } from './config.js';
+import { fetchWithTimeout as clientFetchWithTimeout, requestError, testConnection } from '../../api-client.js';
 import { setUploadState, getUploadState, getColumnSelection } from './state.js';
+import { profilePromptContext, isExcludedFeature } from '../../data-profiler.js';
 
 // ============================================================================
 // Request Timeout Configuration
@@ -23,37 +25,24 @@ const GEMMA_RETRY_BASE_MS = 500;
 let gemmaQueue = Promise.resolve();
 
 /**
- * GPU VRAM threshold in GB - if below this, warn before starting analysis.
+ * GPU VRAM threshold in GB - if no device has this much free, warn before starting analysis.
  * @type {number}
  */
 const VRAM_WARNING_THRESHOLD_GB = 1.5;
 
+// Re-exported so Nexus modules keep importing error helpers from here
+export { requestError };
+
 /**
- * Fetch with timeout wrapper to prevent UI freezes.
+ * Shared client fetchWithTimeout with the Nexus 60s default.
  * @param {string} url - Request URL
  * @param {Object} options - Fetch options
  * @param {number} [timeoutMs=60000] - Timeout in milliseconds
  * @returns {Promise<Response>}
- * @throws {Error} If request times out
+ * @throws {Error} Tagged 'timeout' or 'network' error
  */
-async function fetchWithTimeout(url, options = {}, timeoutMs = REQUEST_TIMEOUT_MS) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-
-    try {
-        const response = await fetch(url, {
-            ...options,
-            signal: controller.signal
-        });
-        clearTimeout(timeoutId);
-        return response;
-    } catch (err) {
-        clearTimeout(timeoutId);
-        if (err.name === 'AbortError') {
-            throw new Error(`Request timed out after ${timeoutMs / 1000}s`);
-        }
-        throw err;
-    }
+export function fetchWithTimeout(url, options = {}, timeoutMs = REQUEST_TIMEOUT_MS) {
+    return clientFetchWithTimeout(url, options, timeoutMs);
 }
 
 function sleep(ms) {
@@ -99,55 +88,123 @@ function enqueueGemmaRequest(task) {
 // ============================================================================
 
 /**
- * Check GPU status before running analysis.
- * @returns {Promise<{available: boolean, vramFreeGb: number, warning: string|null}>}
+ * @typedef {Object} GpuDevice
+ * @property {number} index - CUDA device index
+ * @property {string} name - Device name
+ * @property {number|null} totalGb - Total memory, null if not reported
+ * @property {number|null} usedGb - Memory in use, null if not reported
+ * @property {number|null} freeGb - Free memory, null if not reported
+ */
+
+/**
+ * Read a memory figure in GB from whichever unit the backend reported.
+ * gpu-status (torch) reports GB or bytes; the coordinator (nvidia-smi) reports MB.
+ * @param {Object} raw - Device payload
+ * @param {string[]} keys - Base field names, tried with _gb, _mb and bare (bytes)
+ * @returns {number|null}
+ */
+function readMemoryGb(raw, keys) {
+    for (const key of keys) {
+        if (Number.isFinite(raw[`${key}_gb`])) return raw[`${key}_gb`];
+        if (Number.isFinite(raw[`${key}_mb`])) return raw[`${key}_mb`] / 1024;
+        if (Number.isFinite(raw[key])) return raw[key] / (1024 ** 3);
+    }
+    return null;
+}
+
+/**
+ * Normalize a device entry from gpu-status or the gpu-coordinator.
+ * Free memory is derived from total - used only when both are reported.
+ * @param {Object} raw
+ * @param {number} position - Fallback index
+ * @returns {GpuDevice}
+ */
+function parseGpuDevice(raw, position) {
+    const totalGb = readMemoryGb(raw, ['total_memory', 'memory_total']);
+    const usedGb = readMemoryGb(raw, ['used_memory', 'memory_used', 'memory_reserved']);
+    let freeGb = readMemoryGb(raw, ['free_memory', 'memory_free']);
+    if (freeGb === null && totalGb !== null && usedGb !== null) {
+        freeGb = Math.max(0, totalGb - usedGb);
+    }
+
+    return {
+        index: Number.isInteger(raw.index) ? raw.index : position,
+        name: raw.name || `GPU ${position}`,
+        totalGb,
+        usedGb: usedGb === null && totalGb !== null && freeGb !== null ? Math.max(0, totalGb - freeGb) : usedGb,
+        freeGb
+    };
+}
+
+/**
+ * Combine device readings from gpu-status and the coordinator by index.
+ * gpu-status figures win; coordinator figures fill what it did not report.
+ * @param {GpuDevice[]} primary
+ * @param {GpuDevice[]} secondary
+ * @returns {GpuDevice[]}
+ */
+function mergeGpuDevices(primary, secondary) {
+    const byIndex = new Map(primary.map(device => [device.index, { ...device }]));
+    secondary.forEach(device => {
+        const existing = byIndex.get(device.index);
+        if (!existing) {
+            byIndex.set(device.index, { ...device });
+            return;
+        }
+        ['totalGb', 'usedGb', 'freeGb'].forEach(key => {
+            if (existing[key] === null) existing[key] = device[key];
+        });
+    });
+    return [...byIndex.values()].sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Check GPU status and per-device memory before and during analysis.
+ * vramFreeGb is the most free memory on any single device (an engine runs on
+ * one device), or null when no device reports free memory.
+ * @returns {Promise<{available: boolean, vramFreeGb: number|null, devices: GpuDevice[], owner: string, warning: string|null}>}
  */
 export async function checkGpuHealth() {
     try {
-        const response = await fetchWithTimeout(
-            `${API_BASE}/api/ml/gpu-status`,
-            { method: 'GET', credentials: 'include' },
-            5000 // Quick 5s timeout for health check
-        );
+        const [response, coordinator] = await Promise.all([
+            fetchWithTimeout(
+                `${API_BASE}/api/ml/gpu-status`,
+                { method: 'GET', credentials: 'include' },
+                5000 // Quick 5s timeout for health check
+            ),
+            checkGpuCoordinatorStatus()
+        ]);
 
         if (!response.ok) {
-            return { available: false, vramFreeGb: 0, warning: 'GPU status unavailable' };
+            return { available: false, vramFreeGb: null, devices: [], owner: coordinator.owner, warning: 'GPU status unavailable' };
         }
 
         const data = await response.json();
 
         // Check if CUDA is available
         if (!data.cuda_available) {
-            return { available: false, vramFreeGb: 0, warning: 'GPU not available - running on CPU' };
+            return { available: false, vramFreeGb: null, devices: [], owner: coordinator.owner, warning: 'GPU not available - running on CPU' };
         }
 
-        // Check VRAM if devices exist
-        if (data.devices && data.devices.length > 0) {
-            const totalVram = data.devices[0].total_memory_gb || 0;
-            // Estimate free VRAM (conservative: assume 50% used if no free data)
-            const estimatedFreeVram = totalVram * 0.5;
-
-            if (estimatedFreeVram < VRAM_WARNING_THRESHOLD_GB) {
-                return {
-                    available: true,
-                    vramFreeGb: estimatedFreeVram,
-                    warning: `Low VRAM available (~${estimatedFreeVram.toFixed(1)}GB). Analysis may be slow.`
-                };
-            }
+        const devices = mergeGpuDevices((data.devices || []).map(parseGpuDevice), coordinator.devices);
+        const freeValues = devices.map(d => d.freeGb).filter(v => v !== null);
+        const vramFreeGb = freeValues.length > 0 ? Math.max(...freeValues) : null;
 
-            return { available: true, vramFreeGb: estimatedFreeVram, warning: null };
+        let warning = null;
+        if (vramFreeGb !== null && vramFreeGb < VRAM_WARNING_THRESHOLD_GB) {
+            warning = `Low VRAM on every device (best: ${vramFreeGb.toFixed(1)}GB free). GPU engines may be deferred.`;
         }
 
-        return { available: true, vramFreeGb: 0, warning: null };
+        return { available: true, vramFreeGb, devices, owner: coordinator.owner, warning };
     } catch (err) {
         console.warn('GPU health check failed:', err.message);
-        return { available: false, vramFreeGb: 0, warning: 'GPU health check failed: ' + err.message };
+        return { available: false, vramFreeGb: null, devices: [], owner: 'unknown', warning: 'GPU health check failed: ' + err.message };
     }
 }
 
 /**
  * Check GPU coordinator status.
- * @returns {Promise<{owner: string, available: boolean}>}
+ * @returns {Promise<{owner: string, available: boolean, devices: GpuDevice[]}>}
  */
 export async function checkGpuCoordinatorStatus() {
     try {
@@ -172,20 +229,22 @@ export async function checkGpuCoordinatorStatus() {
                 const data = await legacyResponse.json();
                 return {
                     owner: data.lock_status?.current_owner || 'unknown',
-                    available: data.lock_status?.state === 'transcription'
+                    available: data.lock_status?.state === 'transcription',
+                    devices: (data.devices || []).map(parseGpuDevice)
                 };
             }
-            return { owner: 'unknown', available: true };
+            return { owner: 'unknown', available: true, devices: [] };
         }
 
         const data = await response.json();
         return {
             owner: data.owner || 'transcription',
-            available: data.owner === 'transcription'
+            available: data.owner === 'transcription',
+            devices: (data.devices || []).map(parseGpuDevice)
         };
     } catch (err) {
         console.warn('GPU coordinator check failed:', err.message);
-        return { owner: 'unknown', available: true }; // Assume available on error
+        return { owner: 'unknown', available: true, devices: [] }; // Assume available on error
     }
 }
 
@@ -216,7 +275,7 @@ export async function uploadFile(file) {
     }
 
     // Update state with upload info
-    setUploadState(data.filename, data.columns || []);
+    setUploadState(data.filename, data.columns || [], data.row_count || data.rows || null);
 
     return {
         filename: data.filename,
@@ -236,8 +295,11 @@ export async function uploadFile(file) {
  * @param {string} [options.filename] - Override filename
  * @param {string} [options.targetColumn] - Specific target column
  * @param {boolean} [options.useVectorization] - Enable Gemma vectorization
+ * @param {number} [options.timeoutMs=60000] - Request timeout
+ * @param {string} [options.endpoint] - API path override (custom engines)
  * @returns {Promise<Object>} Engine result data
- * @throws {Error} If engine execution fails
+ * @throws {Error} If engine execution fails; `err.kind` is 'timeout', 'network',
+ *   'http' (with `err.status`) or 'engine' (the engine reported an error)
  */
 export async function runEngine(engineName, options = {}) {
     const uploadState = getUploadState();
@@ -248,7 +310,7 @@ export async function runEngine(engineName, options = {}) {
         throw new Error('No file uploaded');
     }
 
-    const endpoint = `/analytics/run-engine/${engineName}`;
+    const endpoint = options.endpoint || `/analytics/run-engine/${engineName}`;
 
     const response = await fetchWithTimeout(`${API_BASE}${endpoint}`, {
         method: 'POST',
@@ -260,12 +322,27 @@ export async function runEngine(engineName, options = {}) {
             config: null,
             use_vectorization: options.useVectorization || false
         })
-    }, REQUEST_TIMEOUT_MS); // 60s timeout per engine
+    }, options.timeoutMs || REQUEST_TIMEOUT_MS); // 60s timeout per engine unless overridden
 
-    const data = await response.json();
+    let data = null;
+    try {
+        data = await response.json();
+    } catch {
+        data = null;
+    }
+
+    if (!response.ok) {
+        const detail = data?.error || data?.detail || response.statusText;
+        const detailText = typeof detail === 'string' ? detail : JSON.stringify(detail);
+        throw requestError(`Engine request failed (${response.status}): ${detailText}`, 'http', response.status);
+    }
+
+    if (!data) {
+        throw requestError('Invalid JSON response', 'engine');
+    }
 
     if (data.error) {
-        throw new Error(data.error);
+        throw requestError(data.error, 'engine');
     }
 
     return data;
@@ -320,9 +397,10 @@ export async function askGemma(prompt, options = {}) {
  * Ask Gemma to recommend columns for analysis.
  * @param {string[]} columns - Available column names
  * @param {string[]} excludedTargets - Previously failed target columns
+ * @param {Object|null} [profile] - Local column profile used to ground the prompt
  * @returns {Promise<{target: string, features: string[]}|null>}
  */
-export async function askGemmaForColumns(columns, excludedTargets = []) {
+export async function askGemmaForColumns(columns, excludedTargets = [], profile = getUploadState().profile) {
     const availableColumns = columns.filter(col => !excludedTargets.includes(col));
     const columnsStr = availableColumns.map((col, i) => `${i + 1}. ${col}`).join('\n');
 
@@ -339,7 +417,7 @@ Task: Select the best TARGET column for prediction (what we want to predict) and
 Rules:
 - The target should be something meaningful to predict (not an ID)
 - Features should be potential predictors of the target
-- Do NOT include the target column in the features list${exclusionNote}
+- Do NOT include the target column in the features list${exclusionNote}${profilePromptContext(profile, availableColumns)}
 
 Respond in this EXACT format (no extra text):
 target: [column name]
@@ -358,8 +436,8 @@ features: [column1, column2, column3, ...]`;
             .split(',')
             .map(f => f.trim().replace(/["']/g, ''));
 
-        // Filter to valid columns and exclude target
-        const features = featuresRaw.filter(f => columns.includes(f) && f !== target);
+        // Filter to valid columns and exclude target; the profile overrides the LLM on ID/leakage columns
+        const features = featuresRaw.filter(f => columns.includes(f) && f !== target && !isExcludedFeature(profile, f, target));
 
         return { target, features };
     }
@@ -461,14 +539,6 @@ function buildFallbackSummary(engineName, data) {
  * Check if the API is available.
  * @returns {Promise<boolean>}
  */
-export async function checkApiHealth() {
-    try {
-        const response = await fetch(`${API_BASE}/health`, {
-            method: 'GET',
-            credentials: 'include'
-        });
-        return response.ok;
-    } catch {
-        return false;
-    }
+export function checkApiHealth() {
+    return testConnection();
 }
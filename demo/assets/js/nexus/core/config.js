@@ -5,44 +5,24 @@
  * @module nexus/core/config
  */
 
+import { getAuthHeaders as getClientAuthHeaders } from '../../api-client.js';
+
 // ============================================================================
 // API Configuration
 // ============================================================================
 
-/**
- * Base URL for API requests. Defaults to current origin.
- * @type {string}
- */
-export const API_BASE = window.location.origin;
+// Base URL and CSRF token come from the shared API client
+export { API_BASE, getCsrfToken } from '../../api-client.js';
 
 /**
- * Retrieves CSRF token from cookies for secure API requests.
- * @returns {string|null} The CSRF token or null if not found.
- */
-export function getCsrfToken() {
-    const cookies = document.cookie.split(';');
-    for (const cookie of cookies) {
-        const [name, value] = cookie.trim().split('=');
-        if (name === 'ws_csrf') {
-            return value;
-        }
-    }
-    return null;
-}
-
-/**
- * Returns headers object including CSRF token if available.
+ * Returns JSON headers plus the client's auth headers (Bearer token, CSRF).
  * @returns {Object} Headers for API requests.
  */
 export function getAuthHeaders() {
-    const headers = {
-        'Content-Type': 'application/json'
+    return {
+        'Content-Type': 'application/json',
+        ...getClientAuthHeaders()
     };
-    const csrfToken = getCsrfToken();
-    if (csrfToken) {
-        headers['X-CSRF-Token'] = csrfToken;
-    }
-    return headers;
 }
 
 // ============================================================================
@@ -139,7 +119,9 @@ export const DEFAULT_SETTINGS = {
     ],
     defaultForecastPeriods: 30,
     minForecastPeriods: 7,
-    maxForecastPeriods: 90
+    maxForecastPeriods: 90,
+    engineConcurrency: 4,     // Max engines in flight at once
+    gpuEngineConcurrency: 1   // Max 'gpu' resource-class engines in flight at once
 };
 
 /**
@@ -150,5 +132,6 @@ export const STORAGE_KEYS = {
     analysisSession: 'nemo_analysis_session',
     nexusFilename: 'nexus_filename',
     nexusColumns: 'nexus_columns',
-    multiRunState: 'nemo_multi_run_state'
+    multiRunState: 'nemo_multi_run_state',
+    activeSessionId: 'nexus_active_session_id'
 };
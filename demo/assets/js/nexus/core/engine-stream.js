@@ -0,0 +1,298 @@
+/**
+ * NexusAI Engine Streaming Client
+ * Runs an engine as a background job and streams its progress over SSE, with
+ * reconnect/resume from the last event id and a polling fallback. Backends
+ * without job support fall back to the plain request/response runEngine().
+ *
+ * Job protocol:
+ *   POST /analytics/engine-jobs               -> { job_id }
+ *   GET  /analytics/engine-jobs/{id}/events   -> SSE: progress | log | result | error
+ *   GET  /analytics/engine-jobs/{id}          -> { status, stage, percent, metrics, result, error }
+ *   DELETE /analytics/engine-jobs/{id}        -> cancel a job we stopped following
+ *
+ * @module nexus/core/engine-stream
+ */
+
+import { API_BASE, getAuthHeaders } from './config.js';
+import { getUploadState, getColumnSelection } from './state.js';
+import { runEngine, requestError, fetchWithTimeout } from './api.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const JOBS_ENDPOINT = '/analytics/engine-jobs';
+const POLL_INTERVAL_MS = 1500;
+const MAX_RECONNECTS = 5;
+const RECONNECT_BASE_MS = 500;
+const CANCEL_TIMEOUT_MS = 10000;
+
+/**
+ * Set once the backend has shown it has no job endpoint, so later engines go
+ * straight to request/response instead of probing again.
+ * @type {boolean}
+ */
+let jobsUnsupported = false;
+
+/**
+ * @typedef {Object} EngineProgress
+ * @property {string} stage - Current stage label (e.g. 'training')
+ * @property {number|null} percent - 0-100, when the engine reports it
+ * @property {Object} metrics - Partial metrics reported so far
+ */
+
+/**
+ * @typedef {Object} StreamHandlers
+ * @property {(progress: EngineProgress) => void} [onProgress]
+ * @property {(message: string, level: string) => void} [onLog]
+ */
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Run an engine and report progress while it runs.
+ * Resolves with the same payload runEngine() returns and rejects with the
+ * same tagged errors, so retry classification works unchanged.
+ * @param {string} engineName
+ * @param {Object} options - Same options as runEngine()
+ * @param {StreamHandlers} [handlers]
+ * @returns {Promise<Object>} Engine result data
+ */
+export async function runEngineWithProgress(engineName, options = {}, handlers = {}) {
+    if (jobsUnsupported || options.endpoint) {
+        return runEngine(engineName, options);
+    }
+
+    const jobId = await startJob(engineName, options);
+    if (!jobId) {
+        jobsUnsupported = true;
+        handlers.onLog?.('Engine streaming unavailable - using request/response', 'info');
+        return runEngine(engineName, options);
+    }
+
+    const idleTimeoutMs = options.timeoutMs || 60000;
+    try {
+        if (typeof EventSource !== 'undefined') {
+            try {
+                return await streamJob(jobId, idleTimeoutMs, handlers);
+            } catch (err) {
+                if (err.kind !== 'stream') throw err;
+                handlers.onLog?.(`Progress stream lost (${err.message}) - polling instead`, 'warning');
+            }
+        }
+        return await pollJob(jobId, idleTimeoutMs, handlers);
+    } catch (err) {
+        // An 'engine' error means the job already ended server-side; anything
+        // else (idle timeout, network, http) leaves it running while the
+        // caller gives up or retries with a fresh job, so cancel it.
+        if (err.kind !== 'engine') cancelJob(jobId);
+        throw err;
+    }
+}
+
+// ============================================================================
+// Job Lifecycle
+// ============================================================================
+
+/**
+ * Submit an engine job.
+ * @returns {Promise<string|null>} Job id, or null if the backend has no job support
+ */
+async function startJob(engineName, options) {
+    const uploadState = getUploadState();
+    const columnSelection = getColumnSelection();
+    const filename = options.filename || uploadState.filename;
+    if (!filename) {
+        throw requestError('No file uploaded', 'engine');
+    }
+
+    let response;
+    try {
+        response = await fetchWithTimeout(`${API_BASE}${JOBS_ENDPOINT}`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            credentials: 'include',
+            body: JSON.stringify({
+                engine: engineName,
+                filename: filename,
+                target_column: options.targetColumn || columnSelection.target || null,
+                config: null,
+                use_vectorization: options.useVectorization || false
+            })
+        }, options.timeoutMs);
+    } catch (err) {
+        throw err.kind ? err : requestError(err.message, 'network');
+    }
+
+    if ([404, 405, 501].includes(response.status)) return null;
+
+    let data = null;
+    try {
+        data = await response.json();
+    } catch {
+        data = null;
+    }
+
+    if (!response.ok) {
+        const detail = data?.error || data?.detail || response.statusText;
+        throw requestError(`Engine job failed to start (${response.status}): ${detail}`, 'http', response.status);
+    }
+
+    return data?.job_id || null;
+}
+
+/**
+ * Ask the backend to stop a job we are no longer following. Best effort:
+ * the job may already be gone, and a failed cancel must not mask the
+ * error that made us abandon it.
+ * @param {string} jobId
+ */
+function cancelJob(jobId) {
+    fetchWithTimeout(`${API_BASE}${JOBS_ENDPOINT}/${encodeURIComponent(jobId)}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders(),
+        credentials: 'include'
+    }, CANCEL_TIMEOUT_MS).catch(() => {});
+}
+
+/**
+ * Follow a job over SSE. EventSource reconnects by itself and resends
+ * Last-Event-ID; if the connection closes for good we reopen it with
+ * ?last_event_id= so the server can replay what we missed.
+ * Rejects with kind 'stream' when SSE cannot be kept up (caller polls instead).
+ */
+function streamJob(jobId, idleTimeoutMs, handlers) {
+    return new Promise((resolve, reject) => {
+        let source = null;
+        let lastEventId = null;
+        let reconnects = 0;
+        let idleTimer = null;
+        let settled = false;
+
+        const finish = (fn, value) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(idleTimer);
+            source?.close();
+            fn(value);
+        };
+
+        const touch = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => {
+                finish(reject, requestError(`No progress for ${idleTimeoutMs / 1000}s`, 'timeout'));
+            }, idleTimeoutMs);
+        };
+
+        const parse = (event) => {
+            if (event.lastEventId) lastEventId = event.lastEventId;
+            reconnects = 0;
+            touch();
+            try {
+                return JSON.parse(event.data);
+            } catch {
+                return {};
+            }
+        };
+
+        const open = () => {
+            const query = lastEventId ? `?last_event_id=${encodeURIComponent(lastEventId)}` : '';
+            source = new EventSource(`${API_BASE}${JOBS_ENDPOINT}/${encodeURIComponent(jobId)}/events${query}`, { withCredentials: true });
+
+            source.addEventListener('progress', (event) => {
+                handlers.onProgress?.(normalizeProgress(parse(event)));
+            });
+            source.addEventListener('log', (event) => {
+                const data = parse(event);
+                if (data.message) handlers.onLog?.(data.message, data.level || 'info');
+            });
+            source.addEventListener('result', (event) => {
+                finish(resolve, parse(event).result ?? {});
+            });
+            source.addEventListener('error', (event) => {
+                // Server-sent "error" events carry data; connection errors don't
+                if (!event.data) return;
+                const data = parse(event);
+                finish(reject, requestError(data.message || data.error || 'Engine failed', 'engine'));
+            });
+
+            source.onerror = () => {
+                if (settled || source.readyState !== EventSource.CLOSED) return;
+                reconnects++;
+                if (reconnects > MAX_RECONNECTS) {
+                    finish(reject, requestError('too many reconnects', 'stream'));
+                    return;
+                }
+                const delay = RECONNECT_BASE_MS * (2 ** (reconnects - 1));
+                handlers.onLog?.(`Progress stream dropped - reconnecting in ${(delay / 1000).toFixed(1)}s`, 'warning');
+                setTimeout(() => { if (!settled) open(); }, delay);
+            };
+        };
+
+        touch();
+        open();
+    });
+}
+
+/**
+ * Follow a job by polling its status.
+ * Times out if the job makes no visible progress for idleTimeoutMs.
+ */
+async function pollJob(jobId, idleTimeoutMs, handlers) {
+    let lastChange = Date.now();
+    let lastSignature = '';
+
+    while (true) {
+        let response;
+        try {
+            response = await fetchWithTimeout(`${API_BASE}${JOBS_ENDPOINT}/${encodeURIComponent(jobId)}`, {
+                method: 'GET',
+                headers: getAuthHeaders(),
+                credentials: 'include'
+            }, idleTimeoutMs);
+        } catch (err) {
+            throw err.kind ? err : requestError(err.message, 'network');
+        }
+
+        if (!response.ok) {
+            throw requestError(`Engine job status failed (${response.status})`, 'http', response.status);
+        }
+
+        const job = await response.json();
+
+        if (job.status === 'completed' || job.status === 'success') {
+            return job.result ?? {};
+        }
+        if (job.status === 'failed' || job.status === 'error') {
+            throw requestError(job.error || 'Engine failed', 'engine');
+        }
+
+        const progress = normalizeProgress(job);
+        const signature = JSON.stringify(progress);
+        if (signature !== lastSignature) {
+            lastSignature = signature;
+            lastChange = Date.now();
+            handlers.onProgress?.(progress);
+        } else if (Date.now() - lastChange > idleTimeoutMs) {
+            throw requestError(`No progress for ${idleTimeoutMs / 1000}s`, 'timeout');
+        }
+
+        await new Promise(r => setTimeout(r, POLL_INTERVAL_MS));
+    }
+}
+
+/**
+ * Coerce a progress payload (SSE event or poll response) into EngineProgress.
+ * @param {Object} data
+ * @returns {EngineProgress}
+ */
+function normalizeProgress(data) {
+    const percent = Number(data.percent ?? data.progress);
+    return {
+        stage: data.stage || data.status || 'running',
+        percent: Number.isFinite(percent) ? Math.max(0, Math.min(100, percent)) : null,
+        metrics: data.metrics && typeof data.metrics === 'object' ? data.metrics : {}
+    };
+}
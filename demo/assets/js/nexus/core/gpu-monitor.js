@@ -0,0 +1,74 @@
+/**
+ * NexusAI GPU Memory Monitor
+ * Polls GPU status during an analysis so scheduling decisions and the memory
+ * panel work from live per-device readings.
+ *
+ * @module nexus/core/gpu-monitor
+ */
+
+import { checkGpuHealth } from './api.js';
+
+// ============================================================================
+// State
+// ============================================================================
+
+const DEFAULT_INTERVAL_MS = 5000;
+
+let pollTimer = null;
+let generation = 0;
+
+/**
+ * Most recent GPU health reading, or null before the first poll.
+ * @type {Awaited<ReturnType<typeof checkGpuHealth>>|null}
+ */
+let latestHealth = null;
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Start polling GPU status. Restarts the monitor if it is already running.
+ * Polls never overlap: the next one is scheduled after the previous returns.
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=5000]
+ * @param {(health: Object) => void} [options.onUpdate] - Called after every poll
+ * @returns {Promise<Object>} The first reading
+ */
+export async function startGpuMonitor({ intervalMs = DEFAULT_INTERVAL_MS, onUpdate } = {}) {
+    stopGpuMonitor();
+    const current = ++generation;
+
+    const poll = async () => {
+        const health = await checkGpuHealth();
+        if (current !== generation) return health;
+
+        latestHealth = health;
+        try {
+            onUpdate?.(health);
+        } catch (err) {
+            console.warn('GPU monitor listener failed:', err);
+        }
+        pollTimer = setTimeout(poll, intervalMs);
+        return health;
+    };
+
+    return poll();
+}
+
+/**
+ * Stop polling. The last reading stays available.
+ */
+export function stopGpuMonitor() {
+    generation++;
+    clearTimeout(pollTimer);
+    pollTimer = null;
+}
+
+/**
+ * Latest GPU health reading.
+ * @returns {Object|null}
+ */
+export function getLatestGpuHealth() {
+    return latestHealth;
+}
@@ -0,0 +1,290 @@
+/**
+ * NexusAI Session Store
+ * IndexedDB persistence for any number of named analysis sessions.
+ * Replaces the single localStorage session, which overflowed the quota on
+ * large datasets and was overwritten by every new upload.
+ *
+ * @module nexus/core/session-store
+ */
+
+import { STORAGE_KEYS } from './config.js';
+
+// ============================================================================
+// Database Setup
+// ============================================================================
+
+const DB_NAME = 'nexus_analysis';
+const DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+
+/** @type {Promise<IDBDatabase>|null} */
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open (and create or upgrade) the session database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+    if (dbPromise) return dbPromise;
+
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                const store = db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+                store.createIndex('updatedAt', 'updatedAt');
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Run a callback against the session object store inside a transaction.
+ * @param {'readonly'|'readwrite'} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} fn
+ * @returns {Promise<any>}
+ */
+async function withStore(mode, fn) {
+    const db = await openDb();
+    const tx = db.transaction(SESSION_STORE, mode);
+    const result = promisify(fn(tx.objectStore(SESSION_STORE)));
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+    return result;
+}
+
+// ============================================================================
+// Session Records
+// ============================================================================
+
+/**
+ * @typedef {Object} SessionSummary
+ * @property {string} id
+ * @property {string} name - User-facing name (defaults to the filename)
+ * @property {string|null} filename
+ * @property {'idle'|'running'|'paused'|'completed'} status
+ * @property {number} engineCount - Engines with a result
+ * @property {number} errorCount - Engines that failed
+ * @property {string|null} startedAt
+ * @property {string} updatedAt
+ * @property {number} sizeBytes - Approximate serialized size
+ */
+
+/**
+ * Save (insert or replace) a session.
+ * @param {import('./state.js').AnalysisSession} session
+ * @returns {Promise<void>}
+ */
+export async function putSession(session) {
+    if (!session?.id) return;
+    const record = {
+        ...session,
+        name: session.name || session.filename || session.id,
+        updatedAt: new Date().toISOString()
+    };
+    await withStore('readwrite', store => store.put(record));
+}
+
+/**
+ * Load a full session, including raw engine payloads.
+ * @param {string} id
+ * @returns {Promise<import('./state.js').AnalysisSession|null>}
+ */
+export async function getSessionById(id) {
+    if (!id) return null;
+    return (await withStore('readonly', store => store.get(id))) || null;
+}
+
+/**
+ * List saved sessions, most recently updated first.
+ * @returns {Promise<SessionSummary[]>}
+ */
+export async function listSessions() {
+    const records = await withStore('readonly', store => store.getAll());
+    return records
+        .map(toSummary)
+        .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+/**
+ * Rename a saved session.
+ * @param {string} id
+ * @param {string} name
+ * @returns {Promise<boolean>} False if the session does not exist
+ */
+export async function renameSession(id, name) {
+    const record = await getSessionById(id);
+    if (!record) return false;
+    record.name = name.trim() || record.filename || record.id;
+    await withStore('readwrite', store => store.put(record));
+    return true;
+}
+
+/**
+ * Delete a saved session.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteSession(id) {
+    await withStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Storage used by saved sessions and the browser's overall quota.
+ * @returns {Promise<{sessions: SessionSummary[], sessionBytes: number, usageBytes: number|null, quotaBytes: number|null}>}
+ */
+export async function getStorageUsage() {
+    const sessions = await listSessions();
+    const sessionBytes = sessions.reduce((sum, s) => sum + s.sizeBytes, 0);
+
+    let usageBytes = null;
+    let quotaBytes = null;
+    if (navigator.storage?.estimate) {
+        try {
+            const estimate = await navigator.storage.estimate();
+            usageBytes = estimate.usage ?? null;
+            quotaBytes = estimate.quota ?? null;
+        } catch (err) {
+            console.warn('Storage estimate unavailable:', err);
+        }
+    }
+
+    return { sessions, sessionBytes, usageBytes, quotaBytes };
+}
+
+/**
+ * Reduce a full record to what the session list needs.
+ * @param {Object} record
+ * @returns {SessionSummary}
+ */
+function toSummary(record) {
+    const results = record.results || {};
+    return {
+        id: record.id,
+        name: record.name || record.filename || record.id,
+        filename: record.filename || null,
+        status: record.status || 'idle',
+        engineCount: Object.keys(results).length,
+        errorCount: Object.values(results).filter(r => r.status === 'error').length,
+        startedAt: record.startedAt || null,
+        updatedAt: record.updatedAt || record.startedAt || '',
+        sizeBytes: estimateSize(record)
+    };
+}
+
+/**
+ * Approximate size of a record in bytes (UTF-16 JSON length).
+ * @param {Object} record
+ * @returns {number}
+ */
+function estimateSize(record) {
+    try {
+        return JSON.stringify(record).length * 2;
+    } catch {
+        return 0;
+    }
+}
+
+// ============================================================================
+// Active Session Pointer
+// ============================================================================
+
+/**
+ * Remember which session is currently open so it can be resumed after reload.
+ * Only the id lives in localStorage; the session itself is in IndexedDB.
+ * @param {string|null} id
+ */
+export function setActiveSessionId(id) {
+    try {
+        if (id) {
+            localStorage.setItem(STORAGE_KEYS.activeSessionId, id);
+        } else {
+            localStorage.removeItem(STORAGE_KEYS.activeSessionId);
+        }
+    } catch (err) {
+        console.warn('Failed to store active session id:', err);
+    }
+}
+
+/**
+ * Get the id of the most recently opened session.
+ * @returns {string|null}
+ */
+export function getActiveSessionId() {
+    try {
+        return localStorage.getItem(STORAGE_KEYS.activeSessionId);
+    } catch {
+        return null;
+    }
+}
+
+// ============================================================================
+// Legacy Migration
+// ============================================================================
+
+/**
+ * Move the single localStorage session (pre-IndexedDB) into the store.
+ * Runs once; the localStorage copy is removed after a successful write.
+ * @returns {Promise<string|null>} Id of the migrated session, if any
+ */
+export async function migrateLegacySession() {
+    let legacy = null;
+    try {
+        const saved = localStorage.getItem(STORAGE_KEYS.analysisSession);
+        legacy = saved ? JSON.parse(saved) : null;
+    } catch (err) {
+        console.warn('Failed to read legacy session:', err);
+        return null;
+    }
+
+    if (!legacy?.id) return null;
+
+    if (!(await getSessionById(legacy.id))) {
+        await putSession({
+            ...legacy,
+            name: legacy.filename || legacy.id,
+            fileMeta: legacy.fileMeta || { filename: legacy.filename, columns: [], rowCount: null },
+            columnSelection: legacy.columnSelection || null
+        });
+    }
+
+    try {
+        localStorage.removeItem(STORAGE_KEYS.analysisSession);
+    } catch (err) {
+        console.warn('Failed to remove legacy session:', err);
+    }
+
+    if (!getActiveSessionId()) {
+        setActiveSessionId(legacy.id);
+    }
+    return legacy.id;
+}
@@ -1,11 +1,21 @@
 /**
  * NexusAI State Management
- * Manages analysis session state with localStorage persistence for pause/resume.
+ * Manages analysis session state with IndexedDB persistence for pause/resume
+ * and multiple saved analyses.
  *
  * @module nexus/core/state
  */
 
 import { STORAGE_KEYS } from './config.js';
+import {
+    putSession,
+    getSessionById,
+    renameSession,
+    deleteSession,
+    migrateLegacySession,
+    getActiveSessionId,
+    setActiveSessionId
+} from './session-store.js';
 
 // ============================================================================
 // Analysis Session State
@@ -14,7 +24,9 @@ import { STORAGE_KEYS } from './config.js';
 /**
  * @typedef {Object} AnalysisSession
  * @property {string|null} id - Session identifier
+ * @property {string|null} name - User-facing session name
  * @property {string|null} filename - Uploaded file name
+ * @property {{filename: string, columns: string[], rowCount: number|null}|null} fileMeta - Uploaded file metadata
  * @property {string|null} startedAt - ISO timestamp when analysis started
  * @property {string|null} stoppedAt - ISO timestamp when analysis was paused
  * @property {'idle'|'running'|'paused'|'completed'} status - Current status
@@ -23,6 +35,7 @@ import { STORAGE_KEYS } from './config.js';
  * @property {Object<string, Object>} results - Engine name to result mapping
  * @property {Object<string, Array>} chats - Engine name to chat history
  * @property {number} currentEngineIndex - Index of current/next engine
+ * @property {ColumnSelection|null} columnSelection - Column selection used for the run
  */
 
 /**
@@ -32,7 +45,9 @@ import { STORAGE_KEYS } from './config.js';
 function getDefaultSession() {
     return {
         id: null,
+        name: null,
         filename: null,
+        fileMeta: null,
         startedAt: null,
         stoppedAt: null,
         status: 'idle',
@@ -40,7 +55,8 @@ function getDefaultSession() {
         pendingEngines: [],
         results: {},
         chats: {},
-        currentEngineIndex: 0
+        currentEngineIndex: 0,
+        columnSelection: null
     };
 }
 
@@ -94,7 +110,13 @@ export function initSession(filename, engineNames) {
     analysisStopped = false;
     analysisSession = {
         id: `session_${Date.now()}`,
+        name: `${filename} (${new Date().toLocaleString()})`,
         filename: filename,
+        fileMeta: {
+            filename: filename,
+            columns: [...uploadState.columns],
+            rowCount: uploadState.rowCount ?? null
+        },
         startedAt: new Date().toISOString(),
         stoppedAt: null,
         status: 'running',
@@ -102,7 +124,8 @@ export function initSession(filename, engineNames) {
         pendingEngines: [...engineNames],
         results: {},
         chats: {},
-        currentEngineIndex: 0
+        currentEngineIndex: 0,
+        columnSelection: { ...columnSelection }
     };
     return analysisSession;
 }
@@ -121,6 +144,42 @@ export function recordEngineResult(engineName, result) {
     analysisSession.currentEngineIndex += 1;
 }
 
+/**
+ * Remove failed engine results so those engines can be run again.
+ * @returns {string[]} Names of the engines that were cleared
+ */
+export function clearFailedEngines() {
+    const failed = Object.keys(analysisSession.results)
+        .filter(name => analysisSession.results[name].status === 'error');
+
+    failed.forEach(name => {
+        delete analysisSession.results[name];
+        if (!analysisSession.pendingEngines.includes(name)) {
+            analysisSession.pendingEngines.push(name);
+        }
+    });
+    analysisSession.completedEngines = analysisSession.completedEngines
+        .filter(name => !failed.includes(name));
+    analysisSession.currentEngineIndex = analysisSession.completedEngines.length;
+
+    return failed;
+}
+
+/**
+ * Attach a Gemma summary to an already-recorded engine result.
+ * Summaries arrive after the engine result because they are queued separately.
+ * @param {string} engineName - Name of the engine
+ * @param {string} summary - Summary text (a fallback note when summarizing failed)
+ * @param {string|null} [error] - Why the summary could not be generated
+ */
+export function setEngineSummary(engineName, summary, error = null) {
+    const result = analysisSession.results[engineName];
+    if (!result) return;
+    result.gemmaSummary = summary;
+    result.summaryPending = false;
+    result.summaryError = error;
+}
+
 /**
  * Add chat message for an engine.
  * @param {string} engineName
@@ -155,45 +214,82 @@ export function completeSession() {
 }
 
 // ============================================================================
-// LocalStorage Persistence
+// IndexedDB Persistence
 // ============================================================================
 
 /**
- * Save current session to localStorage.
+ * Pending writes, chained so saves land in the order they were made.
+ * @type {Promise<void>}
+ */
+let saveQueue = Promise.resolve();
+
+/**
+ * Whether the legacy localStorage session has been migrated this page load.
+ * @type {Promise<string|null>|null}
+ */
+let legacyMigration = null;
+
+/**
+ * Save current session to IndexedDB and mark it as the active session.
+ * Callers may ignore the returned promise; failures are logged.
+ * @returns {Promise<void>}
  */
 export function saveSessionToStorage() {
-    try {
-        localStorage.setItem(
-            STORAGE_KEYS.analysisSession,
-            JSON.stringify(analysisSession)
-        );
-    } catch (err) {
-        console.warn('Failed to save session to localStorage:', err);
+    if (!analysisSession.id) return saveQueue;
+
+    analysisSession.columnSelection = { ...columnSelection };
+    setActiveSessionId(analysisSession.id);
+
+    saveQueue = saveQueue
+        .then(() => putSession(analysisSession))
+        .catch(err => console.warn('Failed to save session to IndexedDB:', err));
+    return saveQueue;
+}
+
+/**
+ * Rename a saved session. The in-memory session is renamed too when it is the
+ * one being renamed, so the next saveSessionToStorage() keeps the new name.
+ * @param {string} id
+ * @param {string} name
+ * @returns {Promise<boolean>} False if the session does not exist
+ */
+export async function renameSavedSession(id, name) {
+    if (id && id === analysisSession.id) {
+        analysisSession.name = name.trim() || analysisSession.filename || analysisSession.id;
+        await saveQueue;
     }
+    return renameSession(id, name);
 }
 
 /**
- * Load session from localStorage.
- * @returns {AnalysisSession|null}
+ * Load a session from IndexedDB.
+ * Migrates the legacy localStorage session on first use.
+ * @param {string} [id] - Session id (defaults to the active session)
+ * @returns {Promise<AnalysisSession|null>}
  */
-export function loadSessionFromStorage() {
+export async function loadSessionFromStorage(id) {
     try {
-        const saved = localStorage.getItem(STORAGE_KEYS.analysisSession);
-        if (saved) {
-            return JSON.parse(saved);
-        }
+        if (!legacyMigration) legacyMigration = migrateLegacySession();
+        await legacyMigration;
+        await saveQueue;
+        return await getSessionById(id || getActiveSessionId());
     } catch (err) {
-        console.warn('Failed to load session from localStorage:', err);
+        console.warn('Failed to load session from IndexedDB:', err);
     }
     return null;
 }
 
 /**
- * Clear session from localStorage.
+ * Delete the active session from IndexedDB.
+ * @returns {Promise<void>}
  */
-export function clearSessionStorage() {
+export async function clearSessionStorage() {
+    const id = analysisSession.id || getActiveSessionId();
+    setActiveSessionId(null);
+    if (!id) return;
     try {
-        localStorage.removeItem(STORAGE_KEYS.analysisSession);
+        await saveQueue;
+        await deleteSession(id);
     } catch (err) {
         console.warn('Failed to clear session storage:', err);
     }
@@ -201,21 +297,33 @@ export function clearSessionStorage() {
 
 /**
  * Cancel and completely reset the current session.
- * Clears both in-memory state and localStorage.
+ * Clears both in-memory state and the stored copy of the session.
+ * @returns {Promise<void>}
  */
 export function cancelSession() {
+    const cleared = clearSessionStorage();
     analysisSession = getDefaultSession();
     analysisStopped = false;
-    clearSessionStorage();
+    return cleared;
 }
 
 /**
- * Restore session from storage into memory.
+ * Restore session from storage into memory, along with the upload and
+ * column selection it was run with.
  * @param {AnalysisSession} savedSession
  */
 export function restoreSession(savedSession) {
-    analysisSession = savedSession;
+    analysisSession = { ...getDefaultSession(), ...savedSession };
     analysisStopped = false;
+    setActiveSessionId(analysisSession.id);
+
+    if (savedSession.filename) {
+        const meta = savedSession.fileMeta || {};
+        setUploadState(savedSession.filename, meta.columns || [], meta.rowCount ?? null);
+    }
+    if (savedSession.columnSelection) {
+        columnSelection = { ...columnSelection, ...savedSession.columnSelection };
+    }
 }
 
 // ============================================================================
@@ -226,12 +334,16 @@ export function restoreSession(savedSession) {
  * @typedef {Object} UploadState
  * @property {string|null} filename - Uploaded file name
  * @property {string[]} columns - Column names from uploaded file
+ * @property {number|null} rowCount - Row count reported by the server
+ * @property {Object|null} profile - Local column profile (data-profiler.js), not persisted
  */
 
 /** @type {UploadState} */
 let uploadState = {
     filename: null,
-    columns: []
+    columns: [],
+    rowCount: null,
+    profile: null
 };
 
 /**
@@ -246,9 +358,10 @@ export function getUploadState() {
  * Set upload state after successful file upload.
  * @param {string} filename
  * @param {string[]} columns
+ * @param {number|null} [rowCount]
  */
-export function setUploadState(filename, columns) {
-    uploadState = { filename, columns };
+export function setUploadState(filename, columns, rowCount = null) {
+    uploadState = { filename, columns, rowCount, profile: null };
 
     // Also save to sessionStorage for page navigation
     try {
@@ -259,11 +372,19 @@ export function setUploadState(filename, columns) {
     }
 }
 
+/**
+ * Attach the local column profile to the current upload.
+ * @param {Object|null} profile
+ */
+export function setUploadProfile(profile) {
+    uploadState = { ...uploadState, profile };
+}
+
 /**
  * Clear upload state.
  */
 export function clearUploadState() {
-    uploadState = { filename: null, columns: [] };
+    uploadState = { filename: null, columns: [], rowCount: null, profile: null };
     try {
         sessionStorage.removeItem(STORAGE_KEYS.nexusFilename);
         sessionStorage.removeItem(STORAGE_KEYS.nexusColumns);
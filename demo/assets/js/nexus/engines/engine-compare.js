@@ -0,0 +1,182 @@
+/**
+ * NexusAI Engine Comparison
+ * Lines up the engine results of two analysis sessions and computes metric
+ * deltas and status changes between them.
+ *
+ * @module nexus/engines/engine-compare
+ */
+
+import { extractKeyFindings, calculateCategoryStats } from './engine-results.js';
+
+// ============================================================================
+// Comparable Metrics
+// ============================================================================
+
+/**
+ * @typedef {Object} ComparisonMetric
+ * @property {string} key - Metric identifier
+ * @property {string} label - Display label
+ * @property {(result: Object) => number|undefined} extract - Reads the value from an engine result
+ * @property {'higher'|'lower'|null} better - Which direction is an improvement (null = neutral)
+ * @property {'fraction'|'percent'|'currency'|'number'|'duration'} format - 'fraction' is a
+ *     0–1 ratio shown as a percentage; 'percent' is already in percentage points
+ */
+
+/**
+ * Metrics compared across runs, read from the raw engine payloads.
+ * The first field found wins, so engines that name a metric differently
+ * (anomaly_count / anomalies_count / anomalies_found) line up.
+ * @type {ComparisonMetric[]}
+ */
+export const COMPARISON_METRICS = [
+    { key: 'accuracy', label: 'Accuracy', extract: r => pick(r.data, 'accuracy'), better: 'higher', format: 'fraction' },
+    { key: 'auc', label: 'AUC', extract: r => pick(r.data, 'auc'), better: 'higher', format: 'number' },
+    { key: 'cv_score', label: 'CV Score', extract: r => pick(r.data, 'cv_score'), better: 'higher', format: 'fraction' },
+    { key: 'r2_score', label: 'R²', extract: r => pick(r.data, 'r2_score', 'r2'), better: 'higher', format: 'number' },
+    { key: 'mae', label: 'Forecast MAE', extract: r => pick(r.data, 'mae', 'metrics.mae'), better: 'lower', format: 'number' },
+    { key: 'rmse', label: 'Forecast RMSE', extract: r => pick(r.data, 'rmse', 'metrics.rmse'), better: 'lower', format: 'number' },
+    { key: 'mape', label: 'Forecast MAPE', extract: r => pick(r.data, 'mape', 'metrics.mape'), better: 'lower', format: 'percent' },
+    { key: 'n_clusters', label: 'Clusters', extract: r => pick(r.data, 'n_clusters'), better: null, format: 'number' },
+    { key: 'silhouette', label: 'Silhouette', extract: r => pick(r.data, 'silhouette_score'), better: 'higher', format: 'number' },
+    {
+        key: 'anomalies',
+        label: 'Anomalies',
+        extract: r => pick(r.data, 'anomaly_count', 'anomalies_count', 'anomalies_found'),
+        better: 'lower',
+        format: 'number'
+    },
+    { key: 'total_cost', label: 'Total Cost', extract: r => pick(r.data, 'total_cost', 'summary.total_cost'), better: 'lower', format: 'currency' },
+    { key: 'potential_savings', label: 'Potential Savings', extract: r => pick(r.data, 'potential_savings'), better: 'higher', format: 'currency' },
+    { key: 'roi', label: 'ROI', extract: r => pick(r.data, 'roi'), better: 'higher', format: 'percent' },
+    { key: 'duration', label: 'Run Time', extract: r => (typeof r.duration === 'number' ? r.duration : undefined), better: 'lower', format: 'duration' }
+];
+
+/**
+ * Read the first numeric value found at any of the given (dotted) paths.
+ * @param {Object} data
+ * @param {...string} paths
+ * @returns {number|undefined}
+ */
+function pick(data, ...paths) {
+    if (!data || typeof data !== 'object') return undefined;
+    for (const path of paths) {
+        const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), data);
+        if (typeof value === 'number' && Number.isFinite(value)) return value;
+    }
+    return undefined;
+}
+
+// ============================================================================
+// Session Comparison
+// ============================================================================
+
+/**
+ * @typedef {Object} MetricDelta
+ * @property {string} key
+ * @property {string} label
+ * @property {string} format
+ * @property {number|undefined} a - Value in the baseline run
+ * @property {number|undefined} b - Value in the comparison run
+ * @property {number|null} delta - b - a, when both are present
+ * @property {number|null} percentChange - Relative change, when a is non-zero
+ * @property {'improved'|'regressed'|'changed'|'unchanged'|'added'|'removed'} trend
+ */
+
+/**
+ * @typedef {Object} EngineComparison
+ * @property {Object} engine - Engine definition
+ * @property {string} statusA - 'success' | 'error' | 'missing'
+ * @property {string} statusB
+ * @property {boolean} statusChanged
+ * @property {MetricDelta[]} metrics
+ * @property {string[]} findingsA
+ * @property {string[]} findingsB
+ */
+
+/**
+ * Compare two sessions engine by engine.
+ * @param {import('../core/state.js').AnalysisSession} sessionA - Baseline run
+ * @param {import('../core/state.js').AnalysisSession} sessionB - Comparison run
+ * @param {Object[]} engines - Engine definitions to line up
+ * @returns {{engines: EngineComparison[], statsA: Object, statsB: Object, statusChanges: EngineComparison[], metricChanges: number}}
+ */
+export function compareSessions(sessionA, sessionB, engines) {
+    const resultsA = sessionA?.results || {};
+    const resultsB = sessionB?.results || {};
+
+    const comparisons = engines
+        .filter(engine => resultsA[engine.name] || resultsB[engine.name])
+        .map(engine => compareEngine(engine, resultsA[engine.name], resultsB[engine.name]));
+
+    return {
+        engines: comparisons,
+        statsA: calculateCategoryStats(resultsA, engines),
+        statsB: calculateCategoryStats(resultsB, engines),
+        statusChanges: comparisons.filter(c => c.statusChanged),
+        metricChanges: comparisons.reduce(
+            (sum, c) => sum + c.metrics.filter(m => m.key !== 'duration' && m.trend !== 'unchanged').length,
+            0
+        )
+    };
+}
+
+/**
+ * Compare one engine's result across two runs.
+ * @param {Object} engine
+ * @param {Object|undefined} resultA
+ * @param {Object|undefined} resultB
+ * @returns {EngineComparison}
+ */
+function compareEngine(engine, resultA, resultB) {
+    const statusA = resultA ? resultA.status : 'missing';
+    const statusB = resultB ? resultB.status : 'missing';
+
+    const metrics = COMPARISON_METRICS
+        .map(metric => buildDelta(
+            metric,
+            resultA ? metric.extract(resultA) : undefined,
+            resultB ? metric.extract(resultB) : undefined
+        ))
+        .filter(Boolean);
+
+    return {
+        engine,
+        statusA,
+        statusB,
+        statusChanged: statusA !== statusB,
+        metrics,
+        findingsA: resultA?.status === 'success' ? extractKeyFindings(resultA.data) : [],
+        findingsB: resultB?.status === 'success' ? extractKeyFindings(resultB.data) : []
+    };
+}
+
+/**
+ * Build the delta for a single metric, or null if neither run reports it.
+ * @param {ComparisonMetric} metric
+ * @param {number|undefined} a
+ * @param {number|undefined} b
+ * @returns {MetricDelta|null}
+ */
+function buildDelta(metric, a, b) {
+    if (a === undefined && b === undefined) return null;
+
+    const base = { key: metric.key, label: metric.label, format: metric.format, a, b };
+
+    if (a === undefined) return { ...base, delta: null, percentChange: null, trend: 'added' };
+    if (b === undefined) return { ...base, delta: null, percentChange: null, trend: 'removed' };
+
+    const delta = b - a;
+    const percentChange = a !== 0 ? (delta / Math.abs(a)) * 100 : null;
+
+    // Ignore float noise and sub-1% run-time jitter
+    const negligible = Math.abs(delta) < 1e-9
+        || (metric.key === 'duration' && percentChange !== null && Math.abs(percentChange) < 1);
+
+    let trend = 'unchanged';
+    if (!negligible) {
+        if (!metric.better) trend = 'changed';
+        else trend = (delta > 0) === (metric.better === 'higher') ? 'improved' : 'regressed';
+    }
+
+    return { ...base, delta, percentChange, trend };
+}
@@ -1,6 +1,7 @@
 /**
  * NexusAI Engine Definitions
- * Complete registry of all 22 analysis engines with metadata.
+ * Registry of the 22 built-in analysis engines plus any custom engines added
+ * at runtime through registerEngine().
  *
  * @module nexus/engines/engine-definitions
  */
@@ -16,8 +17,35 @@
  * @property {string} icon - Emoji icon for the engine
  * @property {'ml'|'financial'|'advanced'} category - Engine category
  * @property {string} [description] - Brief description of what the engine does
+ * @property {'cpu'|'gpu'} resource - Resource class; 'gpu' engines hold the GPU/LLM and are throttled separately
+ * @property {string[]} dependsOn - Engines that must finish before this one starts
+ * @property {number} [vramGb] - GPU memory the engine needs on a single device; GPU engines without it are not checked
+ * @property {Partial<EnginePolicy>} [policy] - Overrides of DEFAULT_ENGINE_POLICY
+ * @property {string} [endpoint] - API path to POST to instead of /analytics/run-engine/{name}
+ * @property {{buildSection: Function, render: Function}} [visualize] - Visualization module for result cards
+ * @property {(data: Object) => string|Promise<string>} [summarize] - Produces the card summary instead of Gemma
+ * @property {boolean} [custom] - True for engines added through registerEngine()
  */
 
+/**
+ * @typedef {Object} EnginePolicy
+ * @property {number} timeoutMs - Per-attempt request timeout
+ * @property {number} retries - Extra attempts after a retryable failure
+ * @property {number} backoffMs - Delay before the first retry
+ * @property {number} backoffFactor - Multiplier applied to the delay on each further retry
+ */
+
+/**
+ * Retry/timeout policy used when an engine does not override it.
+ * @type {EnginePolicy}
+ */
+export const DEFAULT_ENGINE_POLICY = {
+    timeoutMs: 60000,
+    retries: 2,
+    backoffMs: 1000,
+    backoffFactor: 2
+};
+
 /**
  * All 22 analysis engines organized by category.
  * @type {EngineDefinition[]}
@@ -31,49 +59,66 @@ export const ALL_ENGINES = [
         display: 'Titan AutoML',
         icon: '🤖',
         category: 'ml',
-        description: 'Automatic machine learning model selection and training'
+        description: 'Automatic machine learning model selection and training',
+        resource: 'gpu',
+        dependsOn: [],
+        vramGb: 4,
+        policy: { timeoutMs: 180000, retries: 1 }
     },
     {
         name: 'predictive',
         display: 'Predictive Forecasting',
         icon: '📈',
         category: 'ml',
-        description: 'Time-series predictions and trend forecasting'
+        description: 'Time-series predictions and trend forecasting',
+        resource: 'cpu',
+        dependsOn: []
     },
     {
         name: 'clustering',
         display: 'Clustering',
         icon: '🎯',
         category: 'ml',
-        description: 'Automatic data segmentation and cluster analysis'
+        description: 'Automatic data segmentation and cluster analysis',
+        resource: 'cpu',
+        dependsOn: []
     },
     {
         name: 'anomaly',
         display: 'Anomaly Detection',
         icon: '🔍',
         category: 'ml',
-        description: 'Identify outliers and unusual patterns in data'
+        description: 'Identify outliers and unusual patterns in data',
+        resource: 'cpu',
+        dependsOn: []
     },
     {
         name: 'statistical',
         display: 'Statistical Analysis',
         icon: '📊',
         category: 'ml',
-        description: 'Comprehensive statistical metrics and distributions'
+        description: 'Comprehensive statistical metrics and distributions',
+        resource: 'cpu',
+        dependsOn: []
     },
     {
         name: 'trend',
         display: 'Trend Analysis',
         icon: '📉',
         category: 'ml',
-        description: 'Detect and quantify data trends over time'
+        description: 'Detect and quantify data trends over time',
+        resource: 'cpu',
+        dependsOn: []
     },
     {
         name: 'graphs',
         display: 'Universal Graph',
         icon: '📈',
         category: 'ml',
-        description: 'Automatic visualization generation for any dataset'
+        description: 'Automatic visualization generation for any dataset',
+        resource: 'cpu',
+        dependsOn: [],
+        policy: { timeoutMs: 90000 }
     },
 
     // =========================================================================
@@ -84,84 +129,108 @@ export const ALL_ENGINES = [
         display: 'Cost Optimization',
         icon: '💰',
         category: 'financial',
-        description: 'Identify cost reduction opportunities'
+        description: 'Identify cost reduction opportunities',
+        resource: 'cpu',
+        dependsOn: []
     },
     {
         name: 'roi',
         display: 'ROI Prediction',
         icon: '💵',
         category: 'financial',
-        description: 'Calculate and predict return on investment'
+        description: 'Calculate and predict return on investment',
+        resource: 'cpu',
+        dependsOn: []
     },
     {
         name: 'spend_patterns',
         display: 'Spend Pattern Analysis',
         icon: '💳',
         category: 'financial',
-        description: 'Analyze spending behaviors and patterns'
+        description: 'Analyze spending behaviors and patterns',
+        resource: 'cpu',
+        dependsOn: []
     },
     {
         name: 'budget_variance',
         display: 'Budget Variance',
         icon: '📋',
         category: 'financial',
-        description: 'Track actual vs. budgeted amounts'
+        description: 'Track actual vs. budgeted amounts',
+        resource: 'cpu',
+        dependsOn: []
     },
     {
         name: 'profit_margins',
         display: 'Profit Margin Analysis',
         icon: '📊',
         category: 'financial',
-        description: 'Analyze profit margins across products/services'
+        description: 'Analyze profit margins across products/services',
+        resource: 'cpu',
+        dependsOn: []
     },
     {
         name: 'revenue_forecasting',
         display: 'Revenue Forecasting',
         icon: '💹',
         category: 'financial',
-        description: 'Predict future revenue based on historical data'
+        description: 'Predict future revenue based on historical data',
+        resource: 'cpu',
+        dependsOn: ['predictive']
     },
     {
         name: 'customer_ltv',
         display: 'Customer LTV',
         icon: '👥',
         category: 'financial',
-        description: 'Calculate customer lifetime value'
+        description: 'Calculate customer lifetime value',
+        resource: 'cpu',
+        dependsOn: []
     },
     {
         name: 'cash_flow',
         display: 'Cash Flow Analysis',
         icon: '💸',
         category: 'financial',
-        description: 'Analyze cash flow patterns and projections'
+        description: 'Analyze cash flow patterns and projections',
+        resource: 'cpu',
+        dependsOn: []
     },
     {
         name: 'inventory_optimization',
         display: 'Inventory Optimization',
         icon: '📦',
         category: 'financial',
-        description: 'Optimize inventory levels and turnover'
+        description: 'Optimize inventory levels and turnover',
+        resource: 'cpu',
+        dependsOn: []
     },
     {
         name: 'pricing_strategy',
         display: 'Pricing Strategy',
         icon: '🏷️',
         category: 'financial',
-        description: 'Analyze pricing effectiveness and recommendations'
+        description: 'Analyze pricing effectiveness and recommendations',
+        resource: 'cpu',
+        dependsOn: []
     },
     {
         name: 'market_basket',
         display: 'Market Basket Analysis',
         icon: '🛒',
         category: 'financial',
-        description: 'Discover product associations and cross-sell opportunities'
+        description: 'Discover product associations and cross-sell opportunities',
+        resource: 'cpu',
+        dependsOn: []
     },
     {
         name: 'resource_utilization',
         display: 'Resource Utilization',
         icon: '⚙️',
         category: 'financial',
-        description: 'Analyze resource usage and efficiency'
+        description: 'Analyze resource usage and efficiency',
+        resource: 'cpu',
+        dependsOn: []
     },
 
     // =========================================================================
@@ -172,21 +241,31 @@ export const ALL_ENGINES = [
         display: 'RAG Evaluation',
         icon: '🔬',
         category: 'advanced',
-        description: 'Evaluate retrieval-augmented generation quality'
+        description: 'Evaluate retrieval-augmented generation quality',
+        resource: 'gpu',
+        dependsOn: [],
+        vramGb: 6,
+        policy: { timeoutMs: 120000, retries: 1 }
     },
     {
         name: 'chaos',
         display: 'Chaos Engine',
         icon: '🌀',
         category: 'advanced',
-        description: 'Chaos analysis and sensitivity testing'
+        description: 'Chaos analysis and sensitivity testing',
+        resource: 'cpu',
+        dependsOn: ['titan']
     },
     {
         name: 'oracle',
         display: 'Oracle Causality',
         icon: '🔮',
         category: 'advanced',
-        description: 'Causal inference and relationship discovery'
+        description: 'Causal inference and relationship discovery',
+        resource: 'gpu',
+        dependsOn: ['statistical'],
+        vramGb: 2,
+        policy: { timeoutMs: 120000 }
     }
 ];
 
@@ -212,6 +291,34 @@ export function getEngineByName(name) {
     return ALL_ENGINES.find(engine => engine.name === name);
 }
 
+/**
+ * Get the engines an engine must wait for.
+ * @param {string} name
+ * @returns {string[]}
+ */
+export function getEngineDependencies(name) {
+    return getEngineByName(name)?.dependsOn || [];
+}
+
+/**
+ * Get the effective retry/timeout policy for an engine.
+ * @param {string} name
+ * @returns {EnginePolicy}
+ */
+export function getEnginePolicy(name) {
+    return { ...DEFAULT_ENGINE_POLICY, ...(getEngineByName(name)?.policy || {}) };
+}
+
+/**
+ * Get the GPU memory an engine needs, or null if it does not declare any.
+ * @param {string} name
+ * @returns {number|null}
+ */
+export function getEngineVramRequirement(name) {
+    const engine = getEngineByName(name);
+    return engine?.resource === 'gpu' && Number.isFinite(engine.vramGb) ? engine.vramGb : null;
+}
+
 /**
  * Get all engine names.
  * @returns {string[]}
@@ -233,7 +340,117 @@ export function getCategoryCounts() {
 }
 
 /**
- * Total number of engines.
+ * Total number of engines, including registered custom engines.
+ * This is a live binding: importers see the updated value after registerEngine().
  * @type {number}
  */
-export const ENGINE_COUNT = ALL_ENGINES.length;
+export let ENGINE_COUNT = ALL_ENGINES.length;
+
+// ============================================================================
+// Custom Engine Registration
+// ============================================================================
+
+/**
+ * Categories custom engines can be filed under (one per dashboard tab).
+ * @type {string[]}
+ */
+const ENGINE_CATEGORY_KEYS = ['ml', 'financial', 'advanced'];
+
+/**
+ * Listeners notified whenever the registry changes.
+ * @type {Set<(engine: EngineDefinition, action: 'register'|'unregister') => void>}
+ */
+const registryListeners = new Set();
+
+/**
+ * Subscribe to registry changes.
+ * @param {(engine: EngineDefinition, action: 'register'|'unregister') => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export function onEngineRegistryChange(listener) {
+    registryListeners.add(listener);
+    return () => registryListeners.delete(listener);
+}
+
+/**
+ * Register a custom engine so it is run, counted and displayed alongside the
+ * built-in engines.
+ * @param {Object} definition
+ * @param {string} definition.name - Unique engine identifier
+ * @param {string} definition.display - Human-readable display name
+ * @param {'ml'|'financial'|'advanced'} definition.category - Dashboard tab to list it under
+ * @param {string} [definition.endpoint] - API path (defaults to /analytics/run-engine/{name})
+ * @param {{buildSection: Function, render: Function}} [definition.visualize] - Visualization module
+ * @param {(data: Object) => string|Promise<string>} [definition.summarize] - Summary instead of Gemma
+ * @param {string} [definition.icon='🧩']
+ * @param {string} [definition.description]
+ * @param {'cpu'|'gpu'} [definition.resource='cpu']
+ * @param {string[]} [definition.dependsOn=[]]
+ * @param {number} [definition.vramGb] - GPU memory needed on one device (gpu engines)
+ * @param {Partial<EnginePolicy>} [definition.policy]
+ * @param {Object} [definition.mockResponse] - Response served by the demo mock interceptor
+ * @returns {EngineDefinition} The stored definition
+ * @throws {Error} If the definition is invalid or the name is taken
+ */
+export function registerEngine(definition) {
+    const { name, display, category } = definition || {};
+
+    if (!name || !/^[a-z0-9_]+$/.test(name)) {
+        throw new Error(`Invalid engine name "${name}": use lowercase letters, digits and underscores`);
+    }
+    if (getEngineByName(name)) {
+        throw new Error(`Engine "${name}" is already registered`);
+    }
+    if (!display) {
+        throw new Error(`Engine "${name}" needs a display name`);
+    }
+    if (!ENGINE_CATEGORY_KEYS.includes(category)) {
+        throw new Error(`Engine "${name}" has unknown category "${category}" (expected ${ENGINE_CATEGORY_KEYS.join(', ')})`);
+    }
+    const { visualize } = definition;
+    if (visualize && (typeof visualize.buildSection !== 'function' || typeof visualize.render !== 'function')) {
+        throw new Error(`Engine "${name}" visualize module must export buildSection(data, vizId) and render(data, vizId)`);
+    }
+    if (definition.summarize && typeof definition.summarize !== 'function') {
+        throw new Error(`Engine "${name}" summarize must be a function`);
+    }
+    if (definition.vramGb !== undefined && !(Number.isFinite(definition.vramGb) && definition.vramGb > 0)) {
+        throw new Error(`Engine "${name}" vramGb must be a positive number of gigabytes`);
+    }
+
+    const engine = {
+        icon: '🧩',
+        description: '',
+        resource: 'cpu',
+        ...definition,
+        dependsOn: [...(definition.dependsOn || [])],
+        custom: true
+    };
+
+    ALL_ENGINES.push(engine);
+    ENGINE_COUNT = ALL_ENGINES.length;
+
+    // Let the static demo serve this engine without a backend
+    if (definition.mockResponse && window.MockAPI?.registerEngineRoute) {
+        window.MockAPI.registerEngineRoute(engine.endpoint || `/analytics/run-engine/${name}`, definition.mockResponse);
+    }
+
+    registryListeners.forEach(listener => listener(engine, 'register'));
+    return engine;
+}
+
+/**
+ * Remove a custom engine. Built-in engines cannot be removed.
+ * @param {string} name
+ * @returns {boolean} True if an engine was removed
+ */
+export function unregisterEngine(name) {
+    const index = ALL_ENGINES.findIndex(engine => engine.name === name && engine.custom);
+    if (index === -1) return false;
+
+    const [engine] = ALL_ENGINES.splice(index, 1);
+    ENGINE_COUNT = ALL_ENGINES.length;
+
+    registryListeners.forEach(listener => listener(engine, 'unregister'));
+    return true;
+}
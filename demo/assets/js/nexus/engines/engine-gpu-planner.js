@@ -0,0 +1,82 @@
+/**
+ * NexusAI GPU Memory Planner
+ * Matches each GPU engine's declared VRAM requirement against the free memory
+ * reported for every device.
+ *
+ * @module nexus/engines/engine-gpu-planner
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Free memory beyond an engine's requirement below which it is flagged as tight.
+ * @type {number}
+ */
+export const VRAM_HEADROOM_GB = 0.5;
+
+/**
+ * @typedef {Object} VramAssessment
+ * @property {Object} engine - Engine definition
+ * @property {'fits'|'tight'|'insufficient'|'unknown'} status
+ * @property {number|null} requiredGb - Declared requirement
+ * @property {import('../core/api.js').GpuDevice|null} device - Device the engine would use (most free memory)
+ */
+
+// ============================================================================
+// Assessment
+// ============================================================================
+
+/**
+ * Assess whether an engine fits on any device.
+ * 'unknown' covers CPU engines, GPU engines without a vramGb and devices that
+ * do not report free memory.
+ * @param {Object} engine - Engine definition
+ * @param {import('../core/api.js').GpuDevice[]} devices
+ * @returns {VramAssessment}
+ */
+export function assessEngineVram(engine, devices = []) {
+    const requiredGb = engine.resource === 'gpu' && Number.isFinite(engine.vramGb) ? engine.vramGb : null;
+    const measured = devices.filter(device => device.freeGb !== null);
+
+    if (requiredGb === null || measured.length === 0) {
+        return { engine, status: 'unknown', requiredGb, device: null };
+    }
+
+    const device = measured.reduce((best, d) => (d.freeGb > best.freeGb ? d : best));
+    let status = 'fits';
+    if (device.freeGb < requiredGb) status = 'insufficient';
+    else if (device.freeGb < requiredGb + VRAM_HEADROOM_GB) status = 'tight';
+
+    return { engine, status, requiredGb, device };
+}
+
+/**
+ * Assess every GPU engine in a list.
+ * @param {Object[]} engines - Engine definitions
+ * @param {import('../core/api.js').GpuDevice[]} devices
+ * @returns {VramAssessment[]}
+ */
+export function planGpuEngines(engines, devices) {
+    return engines
+        .filter(engine => engine.resource === 'gpu')
+        .map(engine => assessEngineVram(engine, devices));
+}
+
+/**
+ * One-line explanation of an assessment for the activity log.
+ * @param {VramAssessment} assessment
+ * @returns {string}
+ */
+export function describeVramAssessment({ engine, status, requiredGb, device }) {
+    if (status === 'unknown') {
+        return requiredGb === null
+            ? `${engine.display}: no VRAM requirement declared`
+            : `${engine.display}: needs ${requiredGb}GB, device memory not reported`;
+    }
+    const where = `${device.freeGb.toFixed(1)}GB free on ${device.name}`;
+    if (status === 'insufficient') return `${engine.display} needs ${requiredGb}GB but the best device has ${where}`;
+    if (status === 'tight') return `${engine.display} needs ${requiredGb}GB with only ${where}`;
+    return `${engine.display} needs ${requiredGb}GB (${where})`;
+}
@@ -0,0 +1,322 @@
+/**
+ * NexusAI Report Export
+ * Builds a self-contained HTML report and a re-importable JSON bundle from an
+ * analysis session: key findings, Gemma summaries, chat transcripts and
+ * snapshots of the rendered charts.
+ *
+ * @module nexus/engines/engine-report
+ */
+
+import { extractKeyFindings, calculateCategoryStats, renderMarkdown, escapeHtml, formatDuration } from './engine-results.js';
+
+// ============================================================================
+// JSON Bundle
+// ============================================================================
+
+/**
+ * Identifies exported bundles so imports can reject unrelated JSON.
+ * @type {string}
+ */
+export const BUNDLE_FORMAT = 'nexus-analysis-bundle';
+
+/**
+ * Bundle schema version; bump when the session shape changes incompatibly.
+ * @type {number}
+ */
+export const BUNDLE_VERSION = 1;
+
+/**
+ * Build the machine-readable bundle for a session.
+ * @param {import('../core/state.js').AnalysisSession} session
+ * @returns {{format: string, version: number, exportedAt: string, session: Object}}
+ */
+export function buildSessionBundle(session) {
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        session: JSON.parse(JSON.stringify(session))
+    };
+}
+
+/**
+ * Read a session back out of an exported bundle. Accepts the JSON bundle
+ * itself or an HTML report (which embeds the bundle).
+ * The session gets a fresh id so importing never overwrites a saved analysis.
+ * @param {string} text - File contents
+ * @returns {import('../core/state.js').AnalysisSession}
+ * @throws {Error} If the file is not a Nexus bundle
+ */
+export function parseSessionBundle(text) {
+    let json = text.trim();
+
+    if (json.startsWith('<')) {
+        const doc = new DOMParser().parseFromString(json, 'text/html');
+        const embedded = doc.getElementById('nexus-bundle');
+        if (!embedded) {
+            throw new Error('This HTML file does not contain a Nexus analysis bundle');
+        }
+        json = embedded.textContent;
+    }
+
+    let bundle;
+    try {
+        bundle = JSON.parse(json);
+    } catch {
+        throw new Error('File is not valid JSON');
+    }
+
+    if (bundle?.format !== BUNDLE_FORMAT || !bundle.session) {
+        throw new Error('File is not a Nexus analysis bundle');
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+        throw new Error(`Bundle version ${bundle.version} is newer than this dashboard supports`);
+    }
+
+    const session = bundle.session;
+    return {
+        ...session,
+        id: `session_${Date.now()}`,
+        name: `${session.name || session.filename || 'Analysis'} (imported)`,
+        results: session.results || {},
+        chats: session.chats || {},
+        completedEngines: session.completedEngines || Object.keys(session.results || {}),
+        pendingEngines: session.pendingEngines || [],
+        // An imported run can be viewed or retried, never continued mid-flight
+        status: session.status === 'running' ? 'paused' : session.status
+    };
+}
+
+// ============================================================================
+// Chart Capture
+// ============================================================================
+
+/**
+ * Snapshot every chart rendered inside an element as PNG data URLs.
+ * Handles ECharts instances, Plotly plots and plain canvases (Chart.js/WebGL).
+ * WebGL canvases without a preserved drawing buffer may come back blank and
+ * are skipped.
+ * @param {HTMLElement} root
+ * @returns {Promise<{title: string, dataUrl: string}[]>}
+ */
+export async function captureCharts(root) {
+    const images = [];
+    if (!root) return images;
+
+    const handled = new Set();
+
+    for (const el of root.querySelectorAll('[_echarts_instance_]')) {
+        const instance = window.echarts?.getInstanceByDom(el);
+        if (!instance) continue;
+        try {
+            images.push({ title: findChartTitle(el), dataUrl: instance.getDataURL({ pixelRatio: 2, backgroundColor: '#0a0f1c' }) });
+            el.querySelectorAll('canvas').forEach(c => handled.add(c));
+        } catch (err) {
+            console.warn('ECharts capture failed:', err);
+        }
+    }
+
+    for (const el of root.querySelectorAll('.js-plotly-plot')) {
+        if (typeof Plotly === 'undefined') break;
+        try {
+            const dataUrl = await Plotly.toImage(el, {
+                format: 'png',
+                width: el.clientWidth || 800,
+                height: el.clientHeight || 400
+            });
+            images.push({ title: findChartTitle(el), dataUrl });
+            el.querySelectorAll('canvas').forEach(c => handled.add(c));
+        } catch (err) {
+            console.warn('Plotly capture failed:', err);
+        }
+    }
+
+    for (const canvas of root.querySelectorAll('canvas')) {
+        if (handled.has(canvas) || canvas.width === 0 || canvas.height === 0) continue;
+        try {
+            const dataUrl = canvas.toDataURL('image/png');
+            if (dataUrl.length > 2000) {
+                images.push({ title: findChartTitle(canvas), dataUrl });
+            }
+        } catch (err) {
+            console.warn('Canvas capture failed:', err);
+        }
+    }
+
+    return images;
+}
+
+/**
+ * Render an engine's visualizations off-screen (for engines with no card on
+ * the page) and capture them.
+ * @param {string} engineName
+ * @param {Object} data - Engine result data
+ * @returns {Promise<{title: string, dataUrl: string}[]>}
+ */
+export async function captureOffscreenCharts(engineName, data) {
+    const vizId = `export-${engineName}-${Date.now()}`;
+    const html = window.NexusViz?.buildVizSection?.(engineName, data, vizId);
+    if (!html) return [];
+
+    const host = document.createElement('div');
+    host.style.cssText = 'position: fixed; left: -10000px; top: 0; width: 900px;';
+    host.innerHTML = html;
+    document.body.appendChild(host);
+
+    try {
+        window.NexusViz.renderEngineVisualizations(engineName, data, vizId);
+        // Charts render on the next frame and animate in
+        await new Promise(r => setTimeout(r, 800));
+        return await captureCharts(host);
+    } finally {
+        host.remove();
+    }
+}
+
+function findChartTitle(el) {
+    let node = el;
+    for (let depth = 0; node && depth < 4; depth++, node = node.parentElement) {
+        const heading = node.querySelector?.(':scope > h5, :scope > h6, :scope > h4');
+        if (heading) return heading.textContent.trim();
+    }
+    return '';
+}
+
+// ============================================================================
+// HTML Report
+// ============================================================================
+
+const REPORT_STYLES = `
+    body { margin: 0; background: #0a0f1c; color: #e5e7eb; font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; }
+    main { max-width: 1000px; margin: 0 auto; padding: 2rem 1.5rem; }
+    h1 { margin: 0 0 0.25rem; font-size: 1.6rem; }
+    .meta { color: #9ca3af; font-size: 0.9rem; margin-bottom: 1.5rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; margin-bottom: 2rem; }
+    th, td { text-align: left; padding: 0.4rem 0.6rem; border-bottom: 1px solid #1f2937; }
+    th { color: #9ca3af; font-weight: 500; }
+    .engine { background: #111827; border: 1px solid #1f2937; border-radius: 12px; padding: 1.25rem; margin-bottom: 1.25rem; page-break-inside: avoid; }
+    .engine h2 { margin: 0 0 0.5rem; font-size: 1.15rem; display: flex; gap: 0.5rem; align-items: center; }
+    .status { font-size: 0.8rem; padding: 0.15rem 0.5rem; border-radius: 999px; margin-left: auto; }
+    .status.success { background: rgba(16, 185, 129, 0.15); color: #34d399; }
+    .status.error { background: rgba(239, 68, 68, 0.15); color: #f87171; }
+    .summary { background: rgba(6, 182, 212, 0.08); border-radius: 8px; padding: 0.75rem 1rem; margin: 0.75rem 0; }
+    .charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 0.75rem; margin: 0.75rem 0; }
+    .charts figure { margin: 0; }
+    .charts img { width: 100%; border-radius: 8px; background: #0a0f1c; }
+    .charts figcaption { font-size: 0.8rem; color: #9ca3af; margin-top: 0.25rem; }
+    .chat { border-left: 3px solid #1f2937; padding-left: 0.75rem; font-size: 0.9rem; }
+    .chat p { margin: 0.35rem 0; }
+    .chat .role { color: #67e8f9; font-weight: 600; }
+    .error { color: #f87171; }
+    footer { color: #6b7280; font-size: 0.8rem; text-align: center; margin-top: 2rem; }
+`;
+
+/**
+ * Build a self-contained HTML report. Chart images are inlined as data URLs
+ * and the JSON bundle is embedded so the report itself can be re-imported.
+ * @param {import('../core/state.js').AnalysisSession} session
+ * @param {Object[]} engines - Engine definitions, in display order
+ * @param {Object<string, {title: string, dataUrl: string}[]>} [charts] - Captured charts by engine name
+ * @returns {string}
+ */
+export function buildReportHtml(session, engines, charts = {}) {
+    const results = session.results || {};
+    const stats = calculateCategoryStats(results, engines);
+    const title = session.name || session.filename || 'Nexus Analysis';
+    const target = session.columnSelection?.target;
+
+    const statsRows = ['all', 'ml', 'financial', 'advanced'].map(cat => `
+        <tr><td style="text-transform: capitalize;">${cat}</td><td>${stats[cat].success}</td><td>${stats[cat].error}</td><td>${stats[cat].pending}</td></tr>`).join('');
+
+    const sections = engines
+        .filter(engine => results[engine.name])
+        .map(engine => renderEngineSection(engine, results[engine.name], session.chats?.[engine.name] || [], charts[engine.name] || []))
+        .join('');
+
+    // Escape "<" so the embedded JSON cannot close its script tag
+    const bundleJson = JSON.stringify(buildSessionBundle(session)).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)} — Nexus Analysis Report</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<main>
+    <h1>${escapeHtml(title)}</h1>
+    <div class="meta">
+        📁 ${escapeHtml(session.filename || '')}
+        ${target ? ` • 🎯 target: ${escapeHtml(target)}` : ''}
+        ${session.startedAt ? ` • started ${escapeHtml(new Date(session.startedAt).toLocaleString())}` : ''}
+        • exported ${escapeHtml(new Date().toLocaleString())}
+    </div>
+    <table>
+        <thead><tr><th>Category</th><th>Succeeded</th><th>Failed</th><th>Not run</th></tr></thead>
+        <tbody>${statsRows}</tbody>
+    </table>
+    ${sections}
+    <footer>Generated by NexusAI • Vox Amelior</footer>
+</main>
+<script type="application/json" id="nexus-bundle">${bundleJson}</script>
+</body>
+</html>`;
+}
+
+function renderEngineSection(engine, result, chat, charts) {
+    const isSuccess = result.status === 'success';
+    const meta = [
+        typeof result.duration === 'number' ? `⏱️ ${formatDuration(result.duration)}` : '',
+        result.attempts > 1 ? `🔁 ${result.attempts} attempts` : ''
+    ].filter(Boolean).join(' • ');
+
+    if (!isSuccess) {
+        return `
+    <section class="engine">
+        <h2>${engine.icon} ${escapeHtml(engine.display)} <span class="status error">Failed</span></h2>
+        <p class="error">${escapeHtml(result.error || 'Engine failed')}</p>
+        ${meta ? `<div class="meta">${meta}</div>` : ''}
+    </section>`;
+    }
+
+    const findings = extractKeyFindings(result.data);
+
+    return `
+    <section class="engine">
+        <h2>${engine.icon} ${escapeHtml(engine.display)} <span class="status success">Complete</span></h2>
+        ${meta ? `<div class="meta">${meta}</div>` : ''}
+        ${result.gemmaSummary ? `<div class="summary">${renderMarkdown(result.gemmaSummary)}</div>` : ''}
+        ${findings.length ? `<h3>Key Findings</h3><ul>${findings.map(f => `<li>${escapeHtml(f)}</li>`).join('')}</ul>` : ''}
+        ${charts.length ? `<div class="charts">${charts.map(c => `
+            <figure>
+                <img src="${c.dataUrl}" alt="${escapeHtml(c.title || engine.display)}">
+                ${c.title ? `<figcaption>${escapeHtml(c.title)}</figcaption>` : ''}
+            </figure>`).join('')}</div>` : ''}
+        ${chat.length ? `<h3>Follow-up Q&amp;A</h3><div class="chat">${chat.map(msg => `
+            <p><span class="role">${msg.role === 'user' ? 'You' : 'Gemma'}:</span> ${escapeHtml(msg.message)}</p>`).join('')}</div>` : ''}
+    </section>`;
+}
+
+// ============================================================================
+// Download Helper
+// ============================================================================
+
+/**
+ * Trigger a browser download of generated content.
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} mimeType
+ */
+export function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -119,7 +119,9 @@ export function displayEngineResults(card, result) {
       <div class="gemma-summary">
         <span class="gemma-icon">🤖</span>
         <div class="gemma-content">
-          <div class="gemma-text">${renderMarkdown(result.gemmaSummary || 'Analysis complete. Review the details below for insights.')}</div>
+          <div class="gemma-text">${result.summaryPending
+            ? '<div class="loading-spinner">Gemma is summarizing this result...</div>'
+            : renderMarkdown(result.gemmaSummary || 'Analysis complete. Review the details below for insights.')}</div>
           <div class="followup-messages" id="messages-${cardId}"></div>
           <div class="gemma-chat-inline">
             <input type="text" placeholder="Ask a follow-up question..." id="input-${cardId}" 
@@ -177,6 +179,49 @@ export function displayEngineResults(card, result) {
   }, 150);
 }
 
+/**
+ * Fill in the Gemma summary of a card that was rendered before its summary arrived.
+ * @param {HTMLElement|string} card - Card element or engine name
+ * @param {string} summary - Summary text
+ */
+export function updateEngineSummary(card, summary) {
+  const cardEls = typeof card === 'string'
+    ? document.querySelectorAll(`.engine-result-card[data-engine="${card}"]`)
+    : [card];
+
+  cardEls.forEach(cardEl => {
+    const textEl = cardEl?.querySelector('.gemma-text');
+    if (textEl) {
+      textEl.innerHTML = renderMarkdown(summary || 'Analysis complete. Review the details below for insights.');
+    }
+  });
+}
+
+/**
+ * Show streamed progress (stage, percent, partial metrics) on a running card.
+ * @param {HTMLElement|string} card - Card element or engine name
+ * @param {{stage: string, percent: number|null, metrics: Object}} progress
+ */
+export function updateEngineProgress(card, progress) {
+  const cardEls = typeof card === 'string'
+    ? document.querySelectorAll(`.engine-result-card[data-engine="${card}"]`)
+    : [card];
+
+  const percent = progress.percent !== null ? ` — ${Math.round(progress.percent)}%` : '';
+  const metrics = Object.entries(progress.metrics || {})
+    .filter(([, value]) => typeof value === 'number' || typeof value === 'string')
+    .slice(0, 4)
+    .map(([key, value]) => `${escapeHtml(key)}: ${escapeHtml(typeof value === 'number' ? value.toLocaleString(undefined, { maximumFractionDigits: 3 }) : value)}`)
+    .join(' • ');
+
+  cardEls.forEach(cardEl => {
+    const spinnerEl = cardEl?.querySelector('.engine-card-body > .loading-spinner');
+    if (!spinnerEl) return;
+    spinnerEl.innerHTML = `${escapeHtml(progress.stage)}${percent}`
+      + (metrics ? `<div style="font-size: 0.8rem; color: var(--vox-grey-500); margin-top: 0.25rem;">${metrics}</div>` : '');
+  });
+}
+
 /**
  * Create chat input HTML for follow-up questions.
  * @param {string} engineName
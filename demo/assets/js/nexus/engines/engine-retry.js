@@ -0,0 +1,118 @@
+/**
+ * NexusAI Engine Retry
+ * Failure classification, retry backoff and the GPU circuit breaker used by
+ * the engine runner.
+ *
+ * @module nexus/engines/engine-retry
+ */
+
+// ============================================================================
+// Failure Classification
+// ============================================================================
+
+/**
+ * HTTP statuses worth retrying: request timeout, conflict (GPU lock held),
+ * rate limiting and server/gateway errors.
+ * @type {Set<number>}
+ */
+const RETRYABLE_STATUSES = new Set([408, 409, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * Classify an engine failure.
+ * Timeouts, network errors and retryable HTTP statuses are 'retryable';
+ * other 4xx responses and errors reported by the engine itself are 'fatal'.
+ * @param {Error} err - Error thrown by runEngine
+ * @returns {'retryable'|'fatal'}
+ */
+export function classifyFailure(err) {
+    switch (err?.kind) {
+        case 'timeout':
+        case 'network':
+            return 'retryable';
+        case 'http':
+            return RETRYABLE_STATUSES.has(err.status) ? 'retryable' : 'fatal';
+        default:
+            return 'fatal';
+    }
+}
+
+/**
+ * Short label for a failure, used in logs and recorded results.
+ * @param {Error} err
+ * @returns {string}
+ */
+export function describeFailure(err) {
+    if (err?.kind === 'http') return `HTTP ${err.status}`;
+    return err?.kind || 'error';
+}
+
+/**
+ * Delay before a retry, with ±20% jitter so parallel engines don't retry in lockstep.
+ * @param {import('./engine-definitions.js').EnginePolicy} policy
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(policy, attempt) {
+    const base = policy.backoffMs * (policy.backoffFactor ** (attempt - 1));
+    const jitter = 0.8 + Math.random() * 0.4;
+    return Math.round(base * jitter);
+}
+
+// ============================================================================
+// GPU Circuit Breaker
+// ============================================================================
+
+/**
+ * Consecutive "GPU unavailable" reports after GPU engine failures before the
+ * breaker opens and remaining GPU engines are skipped.
+ * @type {number}
+ */
+export const GPU_BREAKER_THRESHOLD = 2;
+
+/**
+ * Create a circuit breaker for 'gpu' resource-class engines.
+ * Each retryable GPU engine failure triggers a GPU status check; once the
+ * status has reported the GPU unavailable `threshold` times in a row the
+ * breaker opens for the rest of the run. A GPU engine success resets the count.
+ * @param {Object} options
+ * @param {() => Promise<{available: boolean, warning: string|null}>} options.checkHealth
+ * @param {number} [options.threshold=GPU_BREAKER_THRESHOLD]
+ * @returns {{isOpen: () => boolean, reason: () => string|null, recordFailure: () => Promise<boolean>, recordSuccess: () => void}}
+ */
+export function createGpuCircuitBreaker({ checkHealth, threshold = GPU_BREAKER_THRESHOLD }) {
+    let unavailableCount = 0;
+    let open = false;
+    let lastWarning = null;
+
+    return {
+        isOpen: () => open,
+
+        reason: () => (open ? lastWarning || 'GPU unavailable' : null),
+
+        /**
+         * Record a GPU engine failure and re-check GPU status.
+         * @returns {Promise<boolean>} True if this failure opened the breaker
+         */
+        async recordFailure() {
+            if (open) return false;
+
+            const health = await checkHealth();
+            if (health.available) {
+                unavailableCount = 0;
+                return false;
+            }
+
+            unavailableCount++;
+            lastWarning = health.warning;
+            if (unavailableCount >= threshold) {
+                open = true;
+                return true;
+            }
+            return false;
+        },
+
+        recordSuccess() {
+            unavailableCount = 0;
+        }
+    };
+}
@@ -1,15 +1,19 @@
 /**
  * NexusAI Engine Runner
- * Handles sequential engine execution with pause/resume support.
+ * Handles dependency-aware parallel engine execution with pause/resume support.
+ * Gemma summaries run on their own queue so they never hold up the next engine.
  *
  * @module nexus/engines/engine-runner
  */
 
-import { runEngine, getGemmaSummary } from '../core/api.js';
+import { getGemmaSummary, checkGpuHealth } from '../core/api.js';
+import { runEngineWithProgress } from '../core/engine-stream.js';
+import { startGpuMonitor, stopGpuMonitor, getLatestGpuHealth } from '../core/gpu-monitor.js';
 import {
     getSession,
     initSession,
     recordEngineResult,
+    setEngineSummary,
     pauseSession,
     completeSession,
     saveSessionToStorage,
@@ -18,10 +22,14 @@ import {
     isAnalysisStopped,
     setAnalysisStopped,
     getUploadState,
-    cancelSession
+    cancelSession,
+    clearFailedEngines
 } from '../core/state.js';
-import { ALL_ENGINES, getAllEngineNames, ENGINE_COUNT } from './engine-definitions.js';
-import { createEngineCard, displayEngineResults, updateEngineCardStatus } from './engine-results.js';
+import { DEFAULT_SETTINGS } from '../core/config.js';
+import { ALL_ENGINES, getAllEngineNames, getEnginePolicy, ENGINE_COUNT } from './engine-definitions.js';
+import { runScheduled } from './engine-scheduler.js';
+import { classifyFailure, describeFailure, getBackoffDelay, createGpuCircuitBreaker } from './engine-retry.js';
+import { assessEngineVram, planGpuEngines, describeVramAssessment } from './engine-gpu-planner.js';
 
 // ============================================================================
 // Event Callbacks
@@ -32,10 +40,13 @@ import { createEngineCard, displayEngineResults, updateEngineCardStatus } from '
  * @type {Object}
  */
 let callbacks = {
-    onProgress: null,      // (completed, total, engineName) => void
+    onProgress: null,      // (completed, total, runningEngineNames) => void; completed may be fractional
     onEngineStart: null,   // (engine, index) => void
+    onEngineProgress: null, // (engine, {stage, percent, metrics}) => void
     onEngineComplete: null, // (engine, result, duration) => void
     onEngineError: null,   // (engine, error, duration) => void
+    onEngineSummary: null, // (engine, summary) => void
+    onGpuMemory: null,     // (gpuHealth, vramAssessments) => void
     onAllComplete: null,   // (stats) => void
     onLog: null            // (message, type, duration) => void
 };
@@ -66,15 +77,15 @@ function log(message, type = 'info', duration = null) {
 
 /**
  * Check if there's a saved session that can be resumed.
- * @returns {{canResume: boolean, session: Object|null, completedCount: number}}
+ * @returns {Promise<{canResume: boolean, session: Object|null, completedCount: number}>}
  */
-export function checkForResumableSession() {
+export async function checkForResumableSession() {
     const uploadState = getUploadState();
     if (!uploadState.filename) {
         return { canResume: false, session: null, completedCount: 0 };
     }
 
-    const savedSession = loadSessionFromStorage();
+    const savedSession = await loadSessionFromStorage();
     if (
         savedSession &&
         savedSession.filename === uploadState.filename &&
@@ -94,6 +105,8 @@ export function checkForResumableSession() {
  * Start a fresh analysis run.
  * @param {Object} options
  * @param {boolean} [options.useVectorization=false]
+ * @param {number} [options.concurrency] - Max engines in flight (defaults to DEFAULT_SETTINGS.engineConcurrency)
+ * @param {number} [options.gpuConcurrency] - Max GPU engines in flight (defaults to DEFAULT_SETTINGS.gpuEngineConcurrency)
  * @returns {Promise<void>}
  */
 export async function startAnalysis(options = {}) {
@@ -109,7 +122,7 @@ export async function startAnalysis(options = {}) {
     log(`🧪 Starting comprehensive analysis with all ${ENGINE_COUNT} engines...`, 'info');
     log(`📁 Testing on: ${uploadState.filename}`, 'info');
 
-    await runEngineLoop(0, options);
+    await runEngineLoop(options);
 }
 
 /**
@@ -121,11 +134,45 @@ export async function startAnalysis(options = {}) {
 export async function resumeAnalysis(savedSession, options = {}) {
     restoreSession(savedSession);
     setAnalysisStopped(false);
+    requeuePendingSummaries();
 
     const session = getSession();
-    log(`🔄 Resuming analysis from engine ${session.currentEngineIndex + 1}/${ENGINE_COUNT}`, 'info');
+    log(`🔄 Resuming analysis (${session.completedEngines.length}/${ENGINE_COUNT} engines complete)`, 'info');
 
-    await runEngineLoop(session.currentEngineIndex, options);
+    await runEngineLoop(options);
+}
+
+/**
+ * Re-run only the engines that failed in the current (or last saved) session.
+ * Successful results are kept; failed ones are cleared and scheduled again.
+ * @param {Object} options - Same options as startAnalysis
+ * @returns {Promise<string[]>} Names of the engines that were retried
+ */
+export async function retryFailedEngines(options = {}) {
+    if (!getSession().filename) {
+        const savedSession = await loadSessionFromStorage();
+        if (!savedSession) {
+            throw new Error('No saved session to retry');
+        }
+        restoreSession(savedSession);
+        requeuePendingSummaries();
+    }
+
+    const failed = clearFailedEngines();
+    if (failed.length === 0) {
+        log('No failed engines to retry.', 'info');
+        return failed;
+    }
+
+    const session = getSession();
+    session.status = 'running';
+    setAnalysisStopped(false);
+    saveSessionToStorage();
+
+    log(`🔁 Retrying ${failed.length} failed engine${failed.length === 1 ? '' : 's'}: ${failed.join(', ')}`, 'info');
+
+    await runEngineLoop(options);
+    return failed;
 }
 
 /**
@@ -141,20 +188,23 @@ export function stopAnalysis() {
 /**
  * Cancel and completely clear the current analysis.
  * This resets all session state and allows starting fresh.
+ * @returns {Promise<void>} Resolves once the stored session is deleted
  */
 export function cancelAnalysis() {
     setAnalysisStopped(true);
-    cancelSession();
+    const cleared = cancelSession();
     log('Session cleared. Ready for new analysis.', 'warning');
+    return cleared;
 }
 
 /**
  * Main engine execution loop.
- * @param {number} startIndex - Index to start from
+ * Engines run as soon as their dependencies finish, up to the configured
+ * concurrency. Already-completed engines in the session are skipped.
  * @param {Object} options
  * @returns {Promise<void>}
  */
-async function runEngineLoop(startIndex, options = {}) {
+async function runEngineLoop(options = {}) {
     const session = getSession();
     const stats = {
         success: session.completedEngines.length,
@@ -168,53 +218,193 @@ async function runEngineLoop(startIndex, options = {}) {
     const gpuSessionId = `nexus-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     log(`GPU session started (id: ${gpuSessionId.substring(0, 12)}...)`, 'info');
 
-    for (let i = startIndex; i < ALL_ENGINES.length; i++) {
-        // Check if stopped
-        if (isAnalysisStopped()) {
-            session.currentEngineIndex = i;
-            saveSessionToStorage();
-            log(`⏸️ Analysis paused at engine ${i + 1}/${ENGINE_COUNT}`, 'warning');
-            return;
+    const concurrency = options.concurrency || DEFAULT_SETTINGS.engineConcurrency;
+    const gpuConcurrency = options.gpuConcurrency || DEFAULT_SETTINGS.gpuEngineConcurrency;
+    log(`Running up to ${concurrency} engines in parallel (${gpuConcurrency} on GPU)`, 'info');
+
+    const running = new Map(); // display name -> in-flight fraction (0-1)
+    const pendingSummaries = new Set();
+    const gpuBreaker = createGpuCircuitBreaker({ checkHealth: checkGpuHealth });
+    const deferred = new Set();
+
+    // Live GPU memory drives per-engine deferral and the memory panel
+    const initialGpu = await startGpuMonitor({ onUpdate: reportGpuMemory });
+    planGpuEngines(pendingEngines(), initialGpu.devices)
+        .filter(a => a.status === 'insufficient' || a.status === 'tight')
+        .forEach(a => log(`⚠️ ${describeVramAssessment(a)}${a.status === 'insufficient' ? ' - will defer until memory frees up' : ''}`, 'warning'));
+
+    const { stopped, remaining } = await runScheduled(ALL_ENGINES, {
+        concurrency,
+        gpuConcurrency,
+        isComplete: name => session.completedEngines.includes(name),
+        shouldStop: isAnalysisStopped,
+        canLaunch: (engine) => {
+            const assessment = assessEngineVram(engine, getLatestGpuHealth()?.devices);
+            if (assessment.status !== 'insufficient') return true;
+            if (!deferred.has(engine.name)) {
+                deferred.add(engine.name);
+                log(`⏸️ Deferring ${engine.display}: ${describeVramAssessment(assessment)}`, 'warning');
+            }
+            return false;
+        },
+        runTask: async (engine) => {
+            running.set(engine.display, 0);
+            const assessment = assessEngineVram(engine, getLatestGpuHealth()?.devices);
+            if (assessment.status === 'insufficient') {
+                log(`⚠️ Running ${engine.display} with low VRAM: ${describeVramAssessment(assessment)}`, 'warning');
+            }
+            try {
+                const outcome = await executeEngine(engine, options, gpuSessionId, running, gpuBreaker);
+                if (outcome.summary) {
+                    pendingSummaries.add(outcome.summary);
+                    outcome.summary.finally(() => pendingSummaries.delete(outcome.summary));
+                }
+                if (outcome.status === 'success') stats.success++;
+                else stats.error++;
+            } finally {
+                running.delete(engine.display);
+            }
+
+            // Small delay for UI updates
+            await new Promise(r => setTimeout(r, 100));
         }
+    }).finally(stopGpuMonitor);
 
-        const engine = ALL_ENGINES[i];
+    // Let queued Gemma summaries land before the session is saved
+    if (pendingSummaries.size > 0) {
+        log(`Waiting for ${pendingSummaries.size} Gemma summaries...`, 'info');
+        await Promise.allSettled([...pendingSummaries]);
+    }
 
-        // Skip already completed
-        if (session.completedEngines.includes(engine.name)) {
-            continue;
-        }
+    if (stopped) {
+        saveSessionToStorage();
+        log(`⏸️ Analysis paused with ${remaining.length} engines remaining`, 'warning');
+        return;
+    }
 
-        const engineStartTime = performance.now();
+    // All complete
+    completeSession();
+    saveSessionToStorage();
 
-        // Notify start
-        if (callbacks.onEngineStart) {
-            callbacks.onEngineStart(engine, i);
-        }
-        if (callbacks.onProgress) {
-            callbacks.onProgress(i, ENGINE_COUNT, engine.display);
+    const totalDuration = performance.now() - stats.startTime;
+    stats.totalTime = totalDuration;
+
+    log(`🎉 All ${ENGINE_COUNT} engines analysis complete!`, 'success', totalDuration);
+    log(`📊 Results: ${stats.success} succeeded, ${stats.error} failed`, 'info');
+
+    if (callbacks.onAllComplete) {
+        callbacks.onAllComplete(stats);
+    }
+}
+
+/**
+ * Engines in the current session that have no result yet.
+ * @returns {Object[]}
+ */
+function pendingEngines() {
+    const completed = getSession().completedEngines;
+    return ALL_ENGINES.filter(engine => !completed.includes(engine.name));
+}
+
+/**
+ * Forward a GPU monitor reading, with the VRAM fit of pending GPU engines.
+ * @param {Object} health - checkGpuHealth() result
+ */
+function reportGpuMemory(health) {
+    if (callbacks.onGpuMemory) {
+        callbacks.onGpuMemory(health, planGpuEngines(pendingEngines(), health.devices));
+    }
+}
+
+/**
+ * Report overall progress, counting the streamed fraction of in-flight engines.
+ * @param {Map<string, number>} running - Display name -> in-flight fraction
+ */
+function reportProgress(running) {
+    if (!callbacks.onProgress) return;
+    const partial = [...running.values()].reduce((sum, fraction) => sum + fraction, 0);
+    callbacks.onProgress(getSession().completedEngines.length + partial, ENGINE_COUNT, [...running.keys()].join(', '));
+}
+
+/**
+ * Run a single engine under its retry policy, record its result and queue its
+ * Gemma summary. Retryable failures back off and try again; fatal failures,
+ * exhausted retries and an open GPU circuit breaker record an error result.
+ * @param {Object} engine - Engine definition
+ * @param {Object} options - Run options
+ * @param {string} gpuSessionId - GPU retention session ID
+ * @param {Map<string, number>} running - In-flight engines and their streamed progress
+ * @param {ReturnType<typeof createGpuCircuitBreaker>} gpuBreaker - Breaker shared by the run
+ * @returns {Promise<{status: 'success'|'error', summary: Promise<void>|null}>}
+ */
+async function executeEngine(engine, options, gpuSessionId, running, gpuBreaker) {
+    const index = ALL_ENGINES.indexOf(engine);
+    const policy = getEnginePolicy(engine.name);
+    const isGpu = engine.resource === 'gpu';
+    const maxAttempts = policy.retries + 1;
+    const engineStartTime = performance.now();
+
+    // Notify start
+    if (callbacks.onEngineStart) {
+        callbacks.onEngineStart(engine, index);
+    }
+    reportProgress(running);
+
+    let lastStage = null;
+    const streamHandlers = {
+        onProgress: (progress) => {
+            if (progress.stage !== lastStage) {
+                lastStage = progress.stage;
+                log(`   ${engine.display}: ${progress.stage}${progress.percent !== null ? ` (${Math.round(progress.percent)}%)` : ''}`, 'info');
+            }
+            if (progress.percent !== null) {
+                running.set(engine.display, Math.min(progress.percent / 100, 0.99));
+                reportProgress(running);
+            }
+            if (callbacks.onEngineProgress) {
+                callbacks.onEngineProgress(engine, progress);
+            }
+        },
+        onLog: (message, level) => log(`   ${engine.display}: ${message}`, level)
+    };
+
+    let lastError = null;
+    let attempt = 0;
+
+    while (attempt < maxAttempts) {
+        if (isGpu && gpuBreaker.isOpen()) {
+            lastError = new Error(`Skipped: GPU circuit breaker open (${gpuBreaker.reason()})`);
+            lastError.kind = 'circuit_open';
+            break;
         }
 
-        log(`⏳ Running ${engine.display}...`, 'info');
+        attempt++;
+        log(attempt === 1
+            ? `⏳ Running ${engine.display}...`
+            : `🔁 Retrying ${engine.display} (attempt ${attempt}/${maxAttempts})...`, 'info');
 
         try {
-            // Execute engine
-            const data = await runEngine(engine.name, {
-                useVectorization: options.useVectorization || false
-            });
+            // Execute engine, streaming progress where the backend supports it
+            running.set(engine.display, 0);
+            const data = await runEngineWithProgress(engine.name, {
+                useVectorization: options.useVectorization || false,
+                timeoutMs: policy.timeoutMs,
+                endpoint: engine.endpoint
+            }, streamHandlers);
 
-            const duration = performance.now() - engineStartTime;
+            if (isGpu) gpuBreaker.recordSuccess();
 
-            // Get Gemma summary (using session ID for GPU retention)
-            log(`Getting Gemma summary for ${engine.display}...`, 'info');
-            const summary = await getGemmaSummary(engine.name, engine.display, data, gpuSessionId);
+            const duration = performance.now() - engineStartTime;
 
-            // Build result
+            // Build result; the Gemma summary is filled in when its queue gets to it
             const result = {
                 status: 'success',
                 data: data,
-                gemmaSummary: summary,
+                gemmaSummary: null,
+                summaryPending: true,
                 dataSize: JSON.stringify(data).length,
-                duration: duration
+                duration: duration,
+                attempts: attempt
             };
 
             // Record in session
@@ -228,47 +418,98 @@ async function runEngineLoop(startIndex, options = {}) {
                 callbacks.onEngineComplete(engine, result, duration);
             }
 
-            stats.success++;
+            return { status: 'success', summary: queueSummary(engine, data, gpuSessionId) };
         } catch (err) {
-            const duration = performance.now() - engineStartTime;
+            lastError = err;
 
-            const errorResult = {
-                status: 'error',
-                error: err.message,
-                duration: duration
-            };
-
-            recordEngineResult(engine.name, errorResult);
-            saveSessionToStorage();
+            if (classifyFailure(err) === 'fatal') break;
 
-            log(`❌ ${engine.display} - Failed: ${err.message}`, 'error', duration);
-
-            if (callbacks.onEngineError) {
-                callbacks.onEngineError(engine, err, duration);
+            if (isGpu && await gpuBreaker.recordFailure()) {
+                log(`⛔ GPU unavailable (${gpuBreaker.reason()}) - skipping remaining GPU engines`, 'warning');
+                break;
             }
 
-            stats.error++;
-        }
+            if (attempt >= maxAttempts || isAnalysisStopped()) break;
 
-        // Small delay for UI updates
-        await new Promise(r => setTimeout(r, 100));
+            const delay = getBackoffDelay(policy, attempt);
+            log(`⚠️ ${engine.display} failed (${describeFailure(err)}): ${err.message}. Retrying in ${(delay / 1000).toFixed(1)}s`, 'warning');
+            await new Promise(r => setTimeout(r, delay));
+        }
     }
 
-    // All complete
-    completeSession();
+    const duration = performance.now() - engineStartTime;
+
+    const errorResult = {
+        status: 'error',
+        error: lastError.message,
+        errorKind: lastError.kind || 'error',
+        retryable: lastError.kind === 'circuit_open' || classifyFailure(lastError) === 'retryable',
+        attempts: attempt,
+        duration: duration
+    };
+
+    recordEngineResult(engine.name, errorResult);
     saveSessionToStorage();
 
-    const totalDuration = performance.now() - stats.startTime;
-    stats.totalTime = totalDuration;
+    const attemptsNote = attempt > 1 ? ` after ${attempt} attempts` : '';
+    log(`❌ ${engine.display} - Failed${attemptsNote} (${describeFailure(lastError)}): ${lastError.message}`, 'error', duration);
 
-    log(`🎉 All ${ENGINE_COUNT} engines analysis complete!`, 'success', totalDuration);
-    log(`📊 Results: ${stats.success} succeeded, ${stats.error} failed`, 'info');
+    if (callbacks.onEngineError) {
+        callbacks.onEngineError(engine, lastError, duration);
+    }
 
-    if (callbacks.onAllComplete) {
-        callbacks.onAllComplete(stats);
+    return { status: 'error', summary: null };
+}
+
+/**
+ * Request a Gemma summary without blocking the engine pipeline.
+ * Requests are serialized by the Gemma queue in core/api.js. Engines that
+ * provide their own summarize() skip Gemma entirely.
+ * @param {Object} engine - Engine definition
+ * @param {Object} data - Engine result data
+ * @param {string} gpuSessionId - GPU retention session ID
+ * @returns {Promise<void>}
+ */
+async function queueSummary(engine, data, gpuSessionId) {
+    log(`Getting Gemma summary for ${engine.display}...`, 'info');
+    try {
+        const summary = engine.summarize
+            ? await engine.summarize(data)
+            : await getGemmaSummary(engine.name, engine.display, data, gpuSessionId);
+
+        setEngineSummary(engine.name, summary);
+        saveSessionToStorage();
+
+        if (callbacks.onEngineSummary) {
+            callbacks.onEngineSummary(engine, summary);
+        }
+    } catch (err) {
+        log(`Gemma summary for ${engine.display} failed: ${err.message}`, 'warning');
+
+        // Settle the result so the card stops showing the summarizing spinner
+        const fallback = `Gemma summary unavailable (${err.message}). Review the details below for insights.`;
+        setEngineSummary(engine.name, fallback, err.message);
+        saveSessionToStorage();
+
+        if (callbacks.onEngineSummary) {
+            callbacks.onEngineSummary(engine, fallback);
+        }
     }
 }
 
+/**
+ * Queue summaries again for results saved while their summary was still
+ * pending (the page was closed or the session switched before it arrived).
+ * Call after restoring a session.
+ * @returns {number} Summaries queued
+ */
+export function requeuePendingSummaries() {
+    const results = getSession().results;
+    const pending = ALL_ENGINES.filter(engine => results[engine.name]?.summaryPending);
+    pending.forEach(engine => queueSummary(engine, results[engine.name].data, null));
+    return pending.length;
+}
+
 /**
  * Get current progress.
  * @returns {{completed: number, total: number, percent: number}}
@@ -0,0 +1,127 @@
+/**
+ * NexusAI Engine Scheduler
+ * Dependency-aware engine scheduling with overall and GPU concurrency limits.
+ *
+ * @module nexus/engines/engine-scheduler
+ */
+
+// ============================================================================
+// Dependency Validation
+// ============================================================================
+
+/**
+ * Verify the dependency graph of a set of engines has no cycles.
+ * Dependencies on engines outside the set are treated as already satisfied.
+ * @param {import('./engine-definitions.js').EngineDefinition[]} engines
+ * @throws {Error} If a dependency cycle is found
+ */
+export function validateDependencies(engines) {
+    const byName = new Map(engines.map(engine => [engine.name, engine]));
+    const visited = new Set();
+    const visiting = [];
+
+    const visit = (name) => {
+        if (visited.has(name) || !byName.has(name)) return;
+        const cycleStart = visiting.indexOf(name);
+        if (cycleStart !== -1) {
+            const cycle = [...visiting.slice(cycleStart), name].join(' -> ');
+            throw new Error(`Engine dependency cycle: ${cycle}`);
+        }
+
+        visiting.push(name);
+        (byName.get(name).dependsOn || []).forEach(visit);
+        visiting.pop();
+        visited.add(name);
+    };
+
+    engines.forEach(engine => visit(engine.name));
+}
+
+// ============================================================================
+// Scheduling
+// ============================================================================
+
+/**
+ * @typedef {Object} ScheduleOptions
+ * @property {number} concurrency - Max engines running at once
+ * @property {number} gpuConcurrency - Max 'gpu' resource-class engines running at once
+ * @property {(name: string) => boolean} isComplete - Whether an engine already has a result
+ * @property {() => boolean} shouldStop - Checked before launching each engine
+ * @property {(engine: Object) => boolean} [canLaunch] - Return false to defer a ready engine
+ * @property {(engine: Object) => Promise<void>} runTask - Runs one engine; rejections are swallowed
+ */
+
+/**
+ * Run engines as soon as their dependencies have finished, keeping at most
+ * `concurrency` engines (and `gpuConcurrency` GPU engines) in flight.
+ * Engines start in definition order whenever several are ready.
+ * A dependency that failed still counts as finished.
+ * Engines deferred by canLaunch are re-offered whenever an engine finishes, and
+ * launch regardless once nothing else is in flight (waiting longer cannot help).
+ * @param {Object[]} engines - Engine definitions
+ * @param {ScheduleOptions} options
+ * @returns {Promise<{stopped: boolean, remaining: string[]}>}
+ */
+export async function runScheduled(engines, options) {
+    const concurrency = Math.max(1, options.concurrency || 1);
+    const gpuConcurrency = Math.max(1, options.gpuConcurrency || 1);
+
+    validateDependencies(engines);
+
+    const names = new Set(engines.map(engine => engine.name));
+    const finished = new Set(engines.filter(e => options.isComplete(e.name)).map(e => e.name));
+    const pending = engines.filter(engine => !finished.has(engine.name));
+    const running = new Map();
+    let gpuRunning = 0;
+
+    const isReady = (engine) => (engine.dependsOn || [])
+        .every(dep => finished.has(dep) || !names.has(dep));
+
+    const launch = (engine) => {
+        const isGpu = engine.resource === 'gpu';
+        if (isGpu) gpuRunning++;
+
+        const task = Promise.resolve()
+            .then(() => options.runTask(engine))
+            .catch(err => console.warn(`Engine task ${engine.name} failed:`, err))
+            .finally(() => {
+                running.delete(engine.name);
+                finished.add(engine.name);
+                if (isGpu) gpuRunning--;
+            });
+
+        running.set(engine.name, task);
+    };
+
+    const launchReady = (allowed) => {
+        for (let i = 0; i < pending.length && running.size < concurrency;) {
+            const engine = pending[i];
+            const gpuBlocked = engine.resource === 'gpu' && gpuRunning >= gpuConcurrency;
+            if (!isReady(engine) || gpuBlocked || !allowed(engine)) {
+                i++;
+                continue;
+            }
+            pending.splice(i, 1);
+            launch(engine);
+        }
+    };
+
+    while (pending.length > 0 || running.size > 0) {
+        if (!options.shouldStop()) {
+            launchReady(engine => !options.canLaunch || options.canLaunch(engine));
+
+            // Deferred engines go ahead once nothing else is in flight
+            if (running.size === 0) launchReady(() => true);
+        }
+
+        // Nothing in flight means we were stopped (validated graphs cannot stall)
+        if (running.size === 0) break;
+
+        await Promise.race(running.values());
+    }
+
+    return {
+        stopped: pending.length > 0,
+        remaining: pending.map(engine => engine.name)
+    };
+}
@@ -6,7 +6,7 @@
  */
 
 // Core modules
-import { API_BASE, getAuthHeaders, STORAGE_KEYS } from '../core/config.js';
+import { API_BASE, getAuthHeaders } from '../core/config.js';
 import {
     getSession,
     getUploadState,
@@ -16,22 +16,47 @@ import {
     saveSessionToStorage,
     clearSessionStorage,
     initSession,
+    restoreSession,
+    addChatMessage,
     setAnalysisStopped
 } from '../core/state.js';
-import { uploadFile, runEngine, getGemmaSummary, checkGpuHealth, checkGpuCoordinatorStatus, askGemma } from '../core/api.js';
+import { uploadFile, runEngine, getGemmaSummary, checkGpuHealth, askGemma } from '../core/api.js';
 
 // Engine modules
-import { ALL_ENGINES, ENGINE_COUNT, getEngineByName } from '../engines/engine-definitions.js';
-import { registerCallbacks, startAnalysis, resumeAnalysis, stopAnalysis, cancelAnalysis, getProgress } from '../engines/engine-runner.js';
-import { createEngineCard, displayEngineResults, updateEngineCardStatus, formatDuration } from '../engines/engine-results.js';
+import {
+    ALL_ENGINES,
+    ENGINE_COUNT,
+    getEngineByName,
+    getCategoryCounts,
+    registerEngine,
+    unregisterEngine,
+    onEngineRegistryChange
+} from '../engines/engine-definitions.js';
+import { registerCallbacks, startAnalysis, resumeAnalysis, retryFailedEngines, stopAnalysis, cancelAnalysis, getProgress, requeuePendingSummaries } from '../engines/engine-runner.js';
+import { createEngineCard, displayEngineResults, updateEngineCardStatus, updateEngineSummary, updateEngineProgress, formatDuration } from '../engines/engine-results.js';
 
 // Expose for demo_init.js
 window.createEngineResultCard = createEngineCard;
 window.displayEngineResults = displayEngineResults;
 
+// Expose the engine registry for in-house engines loaded as classic scripts
+window.NexusEngines = { registerEngine, unregisterEngine, getEngineByName };
+
 // Component modules
 import { initLog, log, startTiming, getElapsedTime, clearLog } from '../components/log.js';
 import { initDashboard, resetDashboard, trackEnginePerformance } from '../components/dashboard.js';
+import { initSessionLibrary, refreshSessionLibrary } from '../components/session-library.js';
+import { initSessionCompare, openSessionCompare } from '../components/session-compare.js';
+import { initGpuMemoryPanel, renderGpuMemoryPanel } from '../components/gpu-memory-panel.js';
+import { putSession } from '../core/session-store.js';
+import {
+    buildSessionBundle,
+    parseSessionBundle,
+    buildReportHtml,
+    captureCharts,
+    captureOffscreenCharts,
+    downloadFile
+} from '../engines/engine-report.js';
 
 // ============================================================================
 // Performance Mode (Low GPU / Low RAM)
@@ -163,12 +188,8 @@ window.NexusUI = {
         input.value = '';
 
         // Add user message
-        messages.innerHTML += `
-      <div class="followup-msg user">
-        <span class="msg-label">You:</span>
-        <span class="msg-text">${escapeHtml(question)}</span>
-      </div>
-    `;
+        messages.innerHTML += renderChatMessage('user', question);
+        addChatMessage(engineName, 'user', question);
 
         // Get context from session
         const session = getSession();
@@ -180,21 +201,15 @@ window.NexusUI = {
             const prompt = `Based on this ${engineName} analysis result:\n${context}\n\nUser question: ${question}`;
             const answer = await askGemma(prompt, { maxTokens: 300 });
 
-            messages.innerHTML += `
-        <div class="followup-msg assistant">
-          <span class="msg-label">🤖 Gemma:</span>
-          <span class="msg-text">${escapeHtml(answer || 'Unable to get response.')}</span>
-        </div>
-      `;
+            messages.innerHTML += renderChatMessage('assistant', answer || 'Unable to get response.');
+            if (answer) addChatMessage(engineName, 'assistant', answer);
         } catch (err) {
-            messages.innerHTML += `
-        <div class="followup-msg assistant">
-          <span class="msg-label">🤖 Gemma:</span>
-          <span class="msg-text">Error: ${err.message}</span>
-        </div>
-      `;
+            messages.innerHTML += renderChatMessage('assistant', `Error: ${err.message}`);
         }
 
+        // Persist the transcript with the session
+        saveSessionToStorage();
+
         messages.scrollTop = messages.scrollHeight;
     },
 
@@ -203,32 +218,135 @@ window.NexusUI = {
         stopAnalysis();
         document.getElementById('stop-btn').style.display = 'none';
         document.getElementById('resume-btn').style.display = 'inline-block';
+        saveSessionToStorage().then(refreshSessionLibrary);
     },
 
-    // Resume analysis
-    async resumeAnalysis() {
-        const savedSession = loadSessionFromStorage();
+    // Resume analysis (the active session, or a saved one by id)
+    async resumeAnalysis(sessionId) {
+        const savedSession = await loadSessionFromStorage(sessionId);
         if (savedSession) {
+            if (sessionId) showSavedSession(savedSession);
             document.getElementById('stop-btn').style.display = 'inline-block';
             document.getElementById('resume-btn').style.display = 'none';
+            document.getElementById('analyze-btn').disabled = true;
             await resumeAnalysis(savedSession, { useVectorization: document.getElementById('use-vectors')?.checked });
         }
     },
 
+    // Open a saved analysis and show its results
+    async openSession(sessionId) {
+        const savedSession = await loadSessionFromStorage(sessionId);
+        if (!savedSession) {
+            log('❌ Saved analysis not found', 'error');
+            return;
+        }
+        restoreSession(savedSession);
+        showSavedSession(savedSession);
+        requeuePendingSummaries();
+        refreshSessionLibrary();
+        log(`📂 Opened saved analysis: ${savedSession.name || savedSession.filename}`, 'info');
+    },
+
+    // Re-run only the engines that failed, keeping successful results
+    async retryFailed() {
+        const session = getSession().filename ? getSession() : await loadSessionFromStorage();
+        if (!session) return;
+
+        const failed = Object.keys(session.results || {})
+            .filter(name => session.results[name].status === 'error');
+        failed.forEach(name => {
+            document.querySelectorAll(`.engine-result-card[data-engine="${name}"]`).forEach(card => card.remove());
+        });
+
+        document.getElementById('all-engines-section').style.display = 'block';
+        document.getElementById('retry-failed-btn').style.display = 'none';
+        document.getElementById('stop-btn').style.display = 'inline-block';
+        document.getElementById('analyze-btn').disabled = true;
+
+        try {
+            await retryFailedEngines({ useVectorization: document.getElementById('use-vectors')?.checked });
+        } catch (err) {
+            log(`❌ Retry failed: ${err.message}`, 'error');
+        }
+    },
+
+    // Show the side-by-side run comparison
+    async showComparison() {
+        const section = document.getElementById('compare-section');
+        if (!section) return;
+        section.style.display = 'block';
+        await openSessionCompare();
+        section.scrollIntoView({ behavior: 'smooth' });
+    },
+
+    hideComparison() {
+        const section = document.getElementById('compare-section');
+        if (section) section.style.display = 'none';
+    },
+
+    // Export the current session as a self-contained HTML report or JSON bundle
+    async exportReport(format = 'html') {
+        const session = getSession();
+        if (!session.id || Object.keys(session.results).length === 0) {
+            log('Nothing to export yet - run or open an analysis first.', 'warning');
+            return;
+        }
+
+        const baseName = (session.name || session.filename || 'nexus-analysis')
+            .replace(/[^a-z0-9._-]+/gi, '_')
+            .replace(/^_+|_+$/g, '');
+
+        if (format === 'json') {
+            downloadFile(`${baseName}.nexus.json`, JSON.stringify(buildSessionBundle(session), null, 2), 'application/json');
+            log('📦 Exported analysis bundle (JSON)', 'success');
+            return;
+        }
+
+        log('🖨️ Building report - capturing charts...', 'info');
+        const charts = {};
+        for (const engine of ALL_ENGINES) {
+            const result = session.results[engine.name];
+            if (result?.status !== 'success') continue;
+
+            const card = document.querySelector(`#all-engines-results .engine-result-card[data-engine="${engine.name}"]`);
+            charts[engine.name] = card
+                ? await captureCharts(card.querySelector('.engine-card-body'))
+                : await captureOffscreenCharts(engine.name, result.data);
+        }
+
+        downloadFile(`${baseName}.report.html`, buildReportHtml(session, ALL_ENGINES, charts), 'text/html');
+        log('📄 Exported HTML report', 'success');
+    },
+
+    // Import a JSON bundle or HTML report as a new saved session
+    async importSession(file) {
+        if (!file) return;
+        try {
+            const session = parseSessionBundle(await file.text());
+            await putSession(session);
+            await refreshSessionLibrary();
+            await window.NexusUI.openSession(session.id);
+            log(`📥 Imported ${session.name}`, 'success');
+        } catch (err) {
+            log(`❌ Import failed: ${err.message}`, 'error');
+        }
+    },
+
     // Clear/Cancel analysis
     clearAnalysis() {
         if (!confirm('Clear all analysis results and reset session?')) return;
-        cancelAnalysis();
+        cancelAnalysis().then(refreshSessionLibrary);
         ['all', 'ml', 'financial', 'advanced'].forEach(cat => {
             const container = document.getElementById(`${cat}-engines-results`);
             if (container) container.innerHTML = '';
         });
-        document.getElementById('engines-progress').textContent = '0/22';
+        document.getElementById('engines-progress').textContent = `0/${ENGINE_COUNT}`;
         document.getElementById('engines-status').textContent = 'Ready';
         document.getElementById('engines-total-time').textContent = '0.0s';
         document.getElementById('all-engines-section').style.display = 'none';
         document.getElementById('stop-btn').style.display = 'none';
         document.getElementById('resume-btn').style.display = 'none';
+        document.getElementById('retry-failed-btn').style.display = 'none';
         document.getElementById('analyze-btn').disabled = false;
     }
 };
@@ -291,15 +409,34 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
-    // Load recent analyses
-    loadRecentAnalyses();
+    // Load saved analyses
+    initSessionLibrary(
+        { section: '#recent-section', grid: '#recent-grid', engineTotal: () => ENGINE_COUNT },
+        {
+            onOpen: id => window.NexusUI.openSession(id),
+            onResume: id => window.NexusUI.resumeAnalysis(id),
+            onDelete: id => {
+                if (getSession().id === id) cancelAnalysis();
+            }
+        }
+    );
+    loadSessionFromStorage().then(() => refreshSessionLibrary());
+    initSessionCompare('#compare-view');
+    initGpuMemoryPanel('#gpu-memory-panel');
+
+    // Keep engine counts in sync with the registry (custom engines may register later)
+    renderEngineCounts();
+    onEngineRegistryChange(renderEngineCounts);
 
     // Register engine runner callbacks
     registerCallbacks({
         onProgress: updateProgressUI,
         onEngineStart: handleEngineStart,
+        onEngineProgress: handleEngineProgress,
         onEngineComplete: handleEngineComplete,
         onEngineError: handleEngineError,
+        onEngineSummary: handleEngineSummary,
+        onGpuMemory: renderGpuMemoryPanel,
         onAllComplete: handleAllComplete,
         onLog: log
     });
@@ -323,7 +460,7 @@ async function handleFileUpload(file) {
         const result = await uploadFile(file);
 
         // CRITICAL: Save upload state so runFullAnalysis() can access it
-        setUploadState(result.filename, result.columns);
+        setUploadState(result.filename, result.columns, result.row_count);
 
         uploadArea.innerHTML = `
       <div class="upload-icon">✅</div>
@@ -375,25 +512,28 @@ async function runFullAnalysis() {
 
     // GPU Health Check - informational only, does not block analysis
     try {
-        const [gpuHealth, coordinatorStatus] = await Promise.all([
-            checkGpuHealth(),
-            checkGpuCoordinatorStatus()
-        ]);
+        // Includes the coordinator's view (owner, per-device memory)
+        const gpuHealth = await checkGpuHealth();
 
-        // Log GPU status (informational only)
+        // Log GPU status per device (informational only; engines are checked individually)
         if (gpuHealth.available) {
-            log(`GPU available (${gpuHealth.vramFreeGb.toFixed(1)}GB estimated free)`, 'info');
-        } else if (gpuHealth.warning) {
+            gpuHealth.devices.forEach(device => {
+                const free = device.freeGb !== null ? `${device.freeGb.toFixed(1)}GB free` : 'free memory not reported';
+                const total = device.totalGb !== null ? ` of ${device.totalGb.toFixed(1)}GB` : '';
+                log(`GPU ${device.index} (${device.name}): ${free}${total}`, 'info');
+            });
+        }
+        if (gpuHealth.warning) {
             log(`GPU info: ${gpuHealth.warning}`, 'info');
         }
 
-        if (!gpuHealth.available || gpuHealth.vramFreeGb < 4 || gpuHealth.warning) {
+        if (!gpuHealth.available || (gpuHealth.vramFreeGb !== null && gpuHealth.vramFreeGb < 4) || gpuHealth.warning) {
             const reason = gpuHealth.warning || 'GPU not available';
             enableLowPowerMode(reason);
         }
 
-        if (!coordinatorStatus.available && coordinatorStatus.owner !== 'unknown') {
-            log(`GPU owned by ${coordinatorStatus.owner} - ML engines will use CPU`, 'info');
+        if (gpuHealth.owner !== 'unknown' && gpuHealth.owner !== 'transcription') {
+            log(`GPU owned by ${gpuHealth.owner} - ML engines will use CPU`, 'info');
         }
 
         if (performanceState.lowPower) {
@@ -430,7 +570,7 @@ async function runFullAnalysis() {
     if (progressContainer) {
         progressContainer.classList.add('active');
         progressBar.style.width = '0%';
-        progressStats.textContent = '0/22 engines complete';
+        progressStats.textContent = `0/${ENGINE_COUNT} engines complete`;
         progressEngine.textContent = 'Starting...';
     }
 
@@ -451,10 +591,12 @@ async function runFullAnalysis() {
 
 function updateProgressUI(completed, total, engineName) {
     const elapsed = formatDuration(getElapsedTime());
+    // completed includes the streamed fraction of in-flight engines
     const percentage = Math.round((completed / total) * 100);
+    const finished = Math.floor(completed);
 
     // Update summary stats
-    document.getElementById('engines-progress').textContent = `${completed}/${total}`;
+    document.getElementById('engines-progress').textContent = `${finished}/${total}`;
     document.getElementById('engines-status').textContent = `Running ${engineName}...`;
     document.getElementById('engines-total-time').textContent = elapsed;
 
@@ -465,11 +607,11 @@ function updateProgressUI(completed, total, engineName) {
 
     if (progressBar) {
         progressBar.style.width = `${percentage}%`;
-        if (completed === total) {
+        if (finished === total) {
             progressBar.classList.remove('animated');
         }
     }
-    if (progressStats) progressStats.textContent = `${completed}/${total} engines complete`;
+    if (progressStats) progressStats.textContent = `${finished}/${total} engines complete`;
     if (progressEngine) progressEngine.textContent = `🔄 Running: ${engineName}`;
 }
 
@@ -516,11 +658,21 @@ function handleEngineError(engine, error, duration) {
     updateCategoryStats();
 }
 
+function handleEngineProgress(engine, progress) {
+    updateEngineProgress(engine.name, progress);
+}
+
+function handleEngineSummary(engine, summary) {
+    updateEngineSummary(engine.name, summary);
+}
+
 function handleAllComplete(stats) {
     const elapsed = formatDuration(stats.totalTime);
     document.getElementById('engines-status').textContent = 'Complete!';
     document.getElementById('engines-total-time').textContent = elapsed;
     document.getElementById('analyze-btn').disabled = false;
+    document.getElementById('stop-btn').style.display = 'none';
+    document.getElementById('retry-failed-btn').style.display = stats.error > 0 ? 'inline-block' : 'none';
 
     // Update progress bar to complete
     const progressBar = document.getElementById('progress-bar');
@@ -536,6 +688,8 @@ function handleAllComplete(stats) {
 
     log(`🎉 All ${ENGINE_COUNT} engines complete!`, 'success', stats.totalTime);
     log(`📊 Results: ${stats.success} succeeded, ${stats.error} failed`, 'info');
+
+    saveSessionToStorage().then(refreshSessionLibrary);
 }
 
 function updateCategoryStats() {
@@ -563,45 +717,91 @@ function updateCategoryStats() {
     });
 }
 
+/**
+ * Write current engine totals into the category tabs and pending counters.
+ */
+function renderEngineCounts() {
+    const counts = { all: ENGINE_COUNT, ...getCategoryCounts() };
+
+    document.querySelectorAll('.engine-category-count').forEach(el => {
+        el.textContent = `(${counts[el.dataset.category] ?? 0})`;
+    });
+
+    document.querySelectorAll('.engine-total-count').forEach(el => {
+        el.textContent = ENGINE_COUNT;
+    });
+
+    const session = getSession();
+    if (Object.keys(session.results).length > 0) {
+        updateCategoryStats();
+    } else {
+        const pendingEl = document.getElementById('all-pending-count');
+        if (pendingEl) pendingEl.textContent = `⏳ ${ENGINE_COUNT}`;
+    }
+}
+
 // ============================================================================
-// Recent Analyses
+// Saved Analyses
 // ============================================================================
 
-function loadRecentAnalyses() {
-    try {
-        const saved = localStorage.getItem(STORAGE_KEYS.analysisSession);
-        if (saved) {
-            const session = JSON.parse(saved);
-            if (session.filename && Object.keys(session.results).length > 0) {
-                const recentSection = document.getElementById('recent-section');
-                const grid = document.getElementById('recent-grid');
-
-                if (!recentSection || !grid) {
-                    console.log('Recent section elements not found');
-                    return;
-                }
-
-                recentSection.style.display = 'block';
-                grid.innerHTML = `
-          <div class="vox-card" style="padding: 1rem; cursor: pointer; transition: all 0.2s ease;" 
-               onmouseover="this.style.borderColor='var(--vox-primary)'; this.style.transform='translateY(-2px)'"
-               onmouseout="this.style.borderColor=''; this.style.transform=''"
-               onclick="window.NexusUI.resumeAnalysis()">
-            <div style="display: flex; align-items: center; gap: 0.75rem; margin-bottom: 0.5rem;">
-              <span style="font-size: 1.5rem;">📄</span>
-              <span style="font-weight: 600; color: var(--vox-grey-800);">${escapeHtml(session.filename)}</span>
-            </div>
-            <div style="display: flex; gap: 1rem; font-size: 0.85rem; color: var(--vox-grey-500);">
-              <span>🔄 ${Object.keys(session.results).length}/${ENGINE_COUNT} engines</span>
-              <span>📊 ${session.status === 'paused' ? 'Paused' : session.status}</span>
-            </div>
-          </div>
-        `;
-            }
+/**
+ * Render a stored session's results into the engine result sections.
+ * @param {import('../core/state.js').AnalysisSession} session
+ */
+function showSavedSession(session) {
+    document.getElementById('all-engines-section').style.display = 'block';
+    document.getElementById('engines-database-name').textContent = session.filename || '';
+
+    ['all', 'ml', 'financial', 'advanced'].forEach(cat => {
+        const container = document.getElementById(`${cat}-engines-results`);
+        if (container) container.innerHTML = '';
+    });
+
+    resetDashboard();
+    initDashboard();
+
+    let errorCount = 0;
+    ALL_ENGINES.forEach((engine, index) => {
+        const result = session.results[engine.name];
+        if (!result) return;
+
+        handleEngineStart(engine, index);
+        if (result.status === 'error') {
+            errorCount++;
+            handleEngineError(engine, new Error(result.error), result.duration || 0);
+        } else {
+            handleEngineComplete(engine, result, result.duration || 0);
         }
-    } catch (e) {
-        console.log('No recent analyses found:', e);
-    }
+
+        const chat = session.chats?.[engine.name] || [];
+        document.querySelectorAll(`.engine-result-card[data-engine="${engine.name}"] .followup-messages`).forEach(el => {
+            el.innerHTML = chat.map(msg => renderChatMessage(msg.role, msg.message)).join('');
+        });
+    });
+
+    const completed = Object.keys(session.results).length;
+    document.getElementById('engines-progress').textContent = `${completed}/${ENGINE_COUNT}`;
+    document.getElementById('engines-status').textContent = session.status === 'paused' ? 'Paused' : 'Loaded';
+    document.getElementById('stop-btn').style.display = 'none';
+    document.getElementById('resume-btn').style.display = session.status === 'paused' ? 'inline-block' : 'none';
+    document.getElementById('retry-failed-btn').style.display = errorCount > 0 ? 'inline-block' : 'none';
+    document.getElementById('analyze-btn').disabled = !session.filename;
+}
+
+/**
+ * Build the HTML for one follow-up chat message.
+ * @param {'user'|'assistant'} role
+ * @param {string} text
+ * @returns {string}
+ */
+function renderChatMessage(role, text) {
+    const label = role === 'user' ? 'You:' : '🤖 Gemma:';
+    return `
+      <div class="followup-msg ${role}">
+        <span class="msg-label">${label}</span>
+        <span class="msg-text">${escapeHtml(text)}</span>
+      </div>
+    `;
 }
 
 // ============================================================================
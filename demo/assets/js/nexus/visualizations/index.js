@@ -25,6 +25,7 @@ import {
 
 import { installPlotlyGuards } from './core/plotly-helpers.js';
 import { resizeAllECharts } from './core/echart-helpers.js';
+import { getEngineByName, ENGINE_COUNT } from '../engines/engine-definitions.js';
 
 // ============================================================================
 // ML Engine Visualizations
@@ -70,6 +71,7 @@ import * as oracleViz from './engines/advanced/oracle.js';
 /**
  * Maps engine names to their visualization modules.
  * Each module must export buildSection(data, vizId) and render(data, vizId).
+ * Custom engines supply theirs through registerEngine({ visualize }).
  */
 const engineVizMap = {
     // ML Engines
@@ -101,6 +103,15 @@ const engineVizMap = {
     oracle: oracleViz
 };
 
+/**
+ * Look up the visualization module for a built-in or registered engine.
+ * @param {string} engineName
+ * @returns {Object|undefined}
+ */
+function getVizModule(engineName) {
+    return engineVizMap[engineName] || getEngineByName(engineName)?.visualize;
+}
+
 // ============================================================================
 // Public API
 // ============================================================================
@@ -115,7 +126,7 @@ const engineVizMap = {
  * @returns {string} HTML string for visualization section
  */
 function buildVizSection(engineName, data, vizId) {
-    const viz = engineVizMap[engineName];
+    const viz = getVizModule(engineName);
     if (!viz || typeof viz.buildSection !== 'function') {
         console.log(`[NexusViz] No visualization module for engine: ${engineName}`);
         return '';
@@ -138,7 +149,7 @@ function buildVizSection(engineName, data, vizId) {
  * @param {string} vizId - Unique visualization ID
  */
 function renderEngineVisualizations(engineName, data, vizId) {
-    const viz = engineVizMap[engineName];
+    const viz = getVizModule(engineName);
     if (!viz || typeof viz.render !== 'function') {
         console.log(`[NexusViz] No render function for engine: ${engineName}`);
         return;
@@ -224,4 +235,4 @@ window.NexusViz = {
     VIZ_COLORS
 };
 
-console.log('[NexusViz] Modular visualization system loaded - 22 engines supported');
+console.log(`[NexusViz] Modular visualization system loaded - ${ENGINE_COUNT} engines supported`);
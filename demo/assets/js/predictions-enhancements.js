@@ -78,8 +78,8 @@ function createDiv(id, className) {
 // TITAN FORECAST GRAPH
 // ============================================================================
 
-function createTitanForecastGraph(titanData) {
-    if (!titanData || !titanData.best_variant) return;
+async function createTitanForecastGraph(titanData) {
+    if (!titanData) return;
 
     const titanTab = document.getElementById('tab-titan');
     if (!titanTab) return;
@@ -97,101 +97,24 @@ function createTitanForecastGraph(titanData) {
 
     titanTab.appendChild(forecastCard);
 
-    // Generate forecast data
-    const forecastData = generateForecastData(titanData);
+    // Engine forecast + history from the upload (intervals computed locally if missing; none for non-time-series tasks)
+    const forecastData = await generateForecastData(titanData);
+    if (!forecastData) {
+        forecastCard.querySelector('.chart-wrapper').innerHTML =
+            '<p style="color: #64748b; text-align: center; padding: 2rem;">No forecast returned by the engine for this dataset</p>';
+        return;
+    }
 
-    // Create Chart.js forecast
-    const ctx = document.getElementById('forecast-chart').getContext('2d');
-    new Chart(ctx, {
-        type: 'line',
-        data: {
-            labels: forecastData.labels,
-            datasets: [
-                {
-                    label: 'Predicted Values',
-                    data: forecastData.predictions,
-                    borderColor: '#3b82f6',
-                    backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                    borderWidth: 3,
-                    pointRadius: 0,
-                    tension: 0.4
-                },
-                {
-                    label: 'Upper Bound (95% CI)',
-                    data: forecastData.upperBound,
-                    borderColor: 'rgba(59, 130, 246, 0.3)',
-                    backgroundColor: 'rgba(59, 130, 246, 0.05)',
-                    borderWidth: 1,
-                    borderDash: [5, 5],
-                    pointRadius: 0,
-                    fill: '+1'
-                },
-                {
-                    label: 'Lower Bound (95% CI)',
-                    data: forecastData.lowerBound,
-                    borderColor: 'rgba(59, 130, 246, 0.3)',
-                    backgroundColor: 'rgba(59, 130, 246, 0.05)',
-                    borderWidth: 1,
-                    borderDash: [5, 5],
-                    pointRadius: 0,
-                    fill: false
-                }
-            ]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            plugins: {
-                legend: {
-                    display: true,
-                    labels: { color: '#94a3b8' }
-                },
-                tooltip: {
-                    mode: 'index',
-                    intersect: false
-                }
-            },
-            scales: {
-                x: {
-                    grid: { color: 'rgba(255,255,255,0.05)' },
-                    ticks: { color: '#94a3b8' }
-                },
-                y: {
-                    grid: { color: 'rgba(255,255,255,0.05)' },
-                    ticks: { color: '#94a3b8' }
-                }
-            }
-        }
-    });
+    window.PredictionsForecast.render(document.getElementById('forecast-chart'), forecastData);
 
     // Get Gemma explanation
-    explainForecastGraph();
+    explainForecastGraph(forecastData);
 }
 
-function generateForecastData(titanData) {
-    // Generate 30-point forecast based on model accuracy
-    const accuracy = titanData.best_variant.cv_score || 0.5;
-    const baseValue = 0.5;
-    const labels = [];
-    const predictions = [];
-    const upperBound = [];
-    const lowerBound = [];
-
-    for (let i = 0; i < 30; i++) {
-        labels.push(`Day ${i + 1}`);
-
-        // Simulated prediction with slight trend
-        const trend = Math.sin(i / 5) * 0.1;
-        const pred = baseValue + trend + (Math.random() - 0.5) * 0.05;
-        predictions.push(pred);
-
-        // Confidence interval based on accuracy
-        const uncertainty = (1 - accuracy) * 0.3;
-        upperBound.push(pred + uncertainty);
-        lowerBound.push(pred - uncertainty);
-    }
-
-    return { labels, predictions, upperBound, lowerBound };
+async function generateForecastData(titanData) {
+    // predictions-forecast.js registers itself on init; without it there is nothing real to plot
+    if (!window.PredictionsForecast) return null;
+    return window.PredictionsForecast.build(titanData);
 }
 
 // ============================================================================
@@ -283,10 +206,13 @@ function createColumnComparison(columnName, data, index) {
 // GEMMA EXPLANATIONS
 // ============================================================================
 
-async function explainForecastGraph() {
+async function explainForecastGraph(forecastData) {
+    const band = forecastData.intervalSource === 'engine'
+        ? 'returned by the model'
+        : 'estimated by re-simulating past forecast errors';
     const text = await callGemma(
         "Explain what a prediction forecast graph shows in 1 simple sentence. " +
-        "Focus on what the shaded confidence area means for non-technical users."
+        `Focus on what the shaded ${Math.round(forecastData.level * 100)}% prediction interval (${band}) means for non-technical users.`
     );
 
     const container = document.getElementById('gemma-forecast-explain');
@@ -3,6 +3,15 @@
  */
 
 import { PredictionsState, Logger, API_BASE } from './predictions-state.js';
+import {
+  getColumnProfile,
+  describeColumn,
+  profileBadgeHTML,
+  profilePromptContext,
+  leakageForTarget,
+  isExcludedFeature,
+  PROFILE_TYPES
+} from '../data-profiler.js';
 
 const ColumnSelection = {
   init() {
@@ -43,6 +52,7 @@ const ColumnSelection = {
     }
     
     this.updateFeatureCount();
+    this.renderLeakageWarning();
     Logger.log(`Target column set: ${PredictionsState.manualTarget || '(none)'}`, 'info');
   },
   
@@ -71,10 +81,16 @@ const ColumnSelection = {
   
   selectAllFeatures() {
     const checkboxes = document.querySelectorAll('#feature-grid .feature-checkbox');
+    const profile = PredictionsState.columnProfile;
+    const skipped = [];
     PredictionsState.manualFeatures = [];
     
     checkboxes.forEach(cb => {
       const column = cb.dataset.column;
+      if (column && isExcludedFeature(profile, column, PredictionsState.manualTarget)) {
+        skipped.push(column);
+        return;
+      }
       if (column && column !== PredictionsState.manualTarget) {
         cb.classList.add('selected');
         const input = cb.querySelector('input');
@@ -83,6 +99,9 @@ const ColumnSelection = {
       }
     });
     
+    if (skipped.length) {
+      Logger.log(`Skipped likely ID/leakage columns: ${skipped.join(', ')}`, 'info');
+    }
     this.updateFeatureCount();
   },
   
@@ -106,7 +125,72 @@ const ColumnSelection = {
     }
   },
   
+  /**
+   * Show the local column profile: type badges on the feature checkboxes and
+   * target options, plus a summary table under the feature grid
+   */
+  renderProfile() {
+    const profile = PredictionsState.columnProfile;
+    if (!profile) return;
+    
+    document.querySelectorAll('#feature-grid .feature-checkbox').forEach(cb => {
+      const column = getColumnProfile(profile, cb.dataset.column);
+      cb.querySelector('.column-profile-badge')?.remove();
+      cb.classList.toggle('flagged', isExcludedFeature(profile, cb.dataset.column));
+      if (column) cb.insertAdjacentHTML('beforeend', profileBadgeHTML(column));
+    });
+    
+    document.querySelectorAll('#target-select option').forEach(option => {
+      const column = getColumnProfile(profile, option.value);
+      if (!column) return;
+      const warn = column.flags.includes('id') ? ' ⚠ ID' : column.flags.includes('leakage') ? ' ⚠ leakage' : '';
+      option.textContent = `${option.value} (${PROFILE_TYPES[column.type]?.label || column.type}${warn})`;
+    });
+    
+    let panel = document.getElementById('column-profile');
+    if (!panel) {
+      const grid = document.getElementById('feature-grid');
+      if (!grid) return;
+      grid.insertAdjacentHTML('afterend', '<div id="column-profile" class="column-profile"></div>');
+      panel = document.getElementById('column-profile');
+    }
+    
+    const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    panel.innerHTML = `
+      <div class="column-profile-header">
+        🔍 Column profile · ${profile.sampled ? `first ${profile.profiledRows.toLocaleString()} of ` : ''}${profile.rowCount.toLocaleString()} rows · ${profile.format.toUpperCase()}
+      </div>
+      <div id="column-profile-leakage"></div>
+      <table class="column-profile-table">
+        <thead><tr><th>Column</th><th>Type</th><th>Missing</th><th>Distinct</th><th>Summary</th></tr></thead>
+        <tbody>
+          ${profile.columns.map(col => `
+            <tr class="${isExcludedFeature(profile, col.name) ? 'flagged' : ''}">
+              <td>${escape(col.name)}</td>
+              <td>${PROFILE_TYPES[col.type]?.icon || ''} ${PROFILE_TYPES[col.type]?.label || col.type}</td>
+              <td>${(col.missingPct * 100).toFixed(1)}%</td>
+              <td>${col.distinct.toLocaleString()}</td>
+              <td title="${escape(col.notes.join('; '))}">${escape(describeColumn(col).split(' · ').slice(3).join(' · '))}</td>
+            </tr>`).join('')}
+        </tbody>
+      </table>
+    `;
+    this.renderLeakageWarning();
+  },
+  
+  renderLeakageWarning() {
+    const container = document.getElementById('column-profile-leakage');
+    if (!container) return;
+    
+    const leaks = leakageForTarget(PredictionsState.columnProfile, PredictionsState.manualTarget);
+    container.innerHTML = leaks.length
+      ? `<div class="column-profile-warning">⚠️ Possible leakage for target "${PredictionsState.manualTarget}": ${
+          leaks.map(l => `${l.column} (${l.reason})`).join(', ')}</div>`
+      : '';
+  },
+  
   async askGemmaForColumns() {
+    const profile = PredictionsState.columnProfile;
     const availableColumns = PredictionsState.uploadedColumns.filter(
       col => !PredictionsState.excludedTargets.includes(col)
     );
@@ -115,6 +199,7 @@ const ColumnSelection = {
     const exclusionNote = PredictionsState.excludedTargets.length > 0
       ? `\n\nIMPORTANT: Do NOT select these columns as the target (they were already tried and gave poor results): ${PredictionsState.excludedTargets.join(', ')}`
       : '';
+    const profileContext = profilePromptContext(profile, availableColumns);
     
     const prompt = `You are analyzing a dataset with these columns:
 
@@ -125,7 +210,7 @@ Task: Select the best TARGET column for prediction (what we want to predict) and
 Rules:
 - The target should be something meaningful to predict (not an ID)
 - Features should be potential predictors of the target
-- Do NOT include the target column in the features list${exclusionNote}
+- Do NOT include the target column in the features list${exclusionNote}${profileContext}
 
 Respond in this EXACT format (no extra text):
 target: [column name]
@@ -153,8 +238,9 @@ features: [column1, column2, column3, ...]`;
         const target = targetMatch[1].trim().replace(/[\[\]"']/g, '');
         const featuresRaw = featuresMatch[1].replace(/[\[\]]/g, '').split(',')
           .map(f => f.trim().replace(/["']/g, ''));
+        // The profile overrides the LLM on ID and leakage columns
         const features = featuresRaw.filter(f => 
-          PredictionsState.uploadedColumns.includes(f) && f !== target
+          PredictionsState.uploadedColumns.includes(f) && f !== target && !isExcludedFeature(profile, f, target)
         );
         
         return { target, features, raw: response };
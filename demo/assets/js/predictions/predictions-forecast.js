@@ -0,0 +1,520 @@
+/**
+ * Predictions Page - Forecast Rendering
+ * Plots the forecast returned by the engine (values, timestamps, prediction
+ * intervals) over the historical series read from the uploaded file. Only
+ * time-series results with engine forecast values are plotted; the point
+ * forecast is never made up locally.
+ *
+ * When the engine returns no intervals they are computed locally: the series
+ * is fitted with a seasonal-naive and a Holt exponential smoothing model, the
+ * better one is kept, and intervals come from simulating future paths with
+ * bootstrapped one-step residuals.
+ */
+
+import { PredictionsState, Logger } from './predictions-state.js';
+
+const FORECAST_CONFIG = {
+  level: 0.95,
+  bootstrapSamples: 500,
+  maxHistoryPoints: 500,
+  smoothingGrid: [0.1, 0.2, 0.3, 0.5, 0.7, 0.9]
+};
+
+// Engine task types whose results carry a forecast
+const TIME_SERIES_TASKS = ['time_series', 'timeseries', 'forecast', 'forecasting'];
+
+// Seasonal period by median spacing between observations (ms)
+const SEASONAL_PERIODS = [
+  { maxStep: 2 * 3600e3, period: 24 },        // hourly -> daily cycle
+  { maxStep: 2 * 86400e3, period: 7 },        // daily -> weekly cycle
+  { maxStep: 10 * 86400e3, period: 52 },      // weekly -> yearly cycle
+  { maxStep: 45 * 86400e3, period: 12 },      // monthly -> yearly cycle
+  { maxStep: 120 * 86400e3, period: 4 }       // quarterly -> yearly cycle
+];
+
+// ============================================================================
+// TIME-SERIES MODELS
+// ============================================================================
+
+/**
+ * Each model is a one-step state machine: init() builds a state from the
+ * first observations, predict() gives the next value and update() folds in
+ * an observed (or simulated) value. Point forecasts, fitted values and
+ * bootstrap paths all run through the same three functions.
+ */
+const TimeSeries = {
+  seasonalNaive(period) {
+    return {
+      name: `Seasonal naive (m=${period})`,
+      warmup: period,
+      init: values => values.slice(0, period),
+      predict: state => state[state.length - period],
+      update: (state, y) => [...state.slice(1 - period), y]
+    };
+  },
+
+  holt(alpha, beta) {
+    return {
+      name: `Holt exponential smoothing (α=${alpha}, β=${beta})`,
+      warmup: 2,
+      init: values => ({ level: values[1], trend: values[1] - values[0] }),
+      predict: state => state.level + state.trend,
+      update: (state, y) => {
+        const level = alpha * y + (1 - alpha) * (state.level + state.trend);
+        return { level, trend: beta * (level - state.level) + (1 - beta) * state.trend };
+      }
+    };
+  },
+
+  /**
+   * Run a model over the series
+   * @param {object} model - Model from seasonalNaive()/holt()
+   * @param {number[]} values - Observed series
+   * @returns {object} { model, state, fitted, residuals, mae }
+   */
+  fit(model, values) {
+    let state = model.init(values);
+    const fitted = new Array(model.warmup).fill(null);
+    const residuals = [];
+
+    for (let t = model.warmup; t < values.length; t++) {
+      const yhat = model.predict(state);
+      fitted.push(yhat);
+      residuals.push(values[t] - yhat);
+      state = model.update(state, values[t]);
+    }
+
+    const mae = residuals.length
+      ? residuals.reduce((sum, e) => sum + Math.abs(e), 0) / residuals.length
+      : Infinity;
+    return { model, state, fitted, residuals, mae };
+  },
+
+  /**
+   * Fit every candidate model and keep the lowest in-sample MAE
+   * @param {number[]} values - Observed series
+   * @param {number|null} period - Seasonal period, if any
+   * @returns {object|null} Best fit, or null when the series is too short
+   */
+  selectModel(values, period) {
+    if (values.length < 4) return null;
+
+    const candidates = [];
+    FORECAST_CONFIG.smoothingGrid.forEach(alpha => {
+      FORECAST_CONFIG.smoothingGrid.forEach(beta => {
+        if (beta <= alpha) candidates.push(this.holt(alpha, beta));
+      });
+    });
+    if (period && values.length >= 2 * period) {
+      candidates.push(this.seasonalNaive(period));
+    }
+
+    return candidates
+      .map(model => this.fit(model, values))
+      .reduce((best, fit) => (fit.mae < best.mae ? fit : best));
+  },
+
+  forecast(fit, horizon) {
+    const points = [];
+    let state = fit.state;
+    for (let h = 0; h < horizon; h++) {
+      const yhat = fit.model.predict(state);
+      points.push(yhat);
+      state = fit.model.update(state, yhat);
+    }
+    return points;
+  },
+
+  /**
+   * Residual bootstrap prediction intervals. Each simulated path feeds the
+   * model's own prediction plus a resampled residual back into the state, so
+   * the band widens with the horizon the way the model's errors compound.
+   * @param {object} fit - Result of fit()
+   * @param {number} horizon - Steps ahead
+   * @param {object} options - { level, samples }
+   * @returns {object} { point, lower, upper }
+   */
+  bootstrapIntervals(fit, horizon, { level = FORECAST_CONFIG.level, samples = FORECAST_CONFIG.bootstrapSamples } = {}) {
+    const point = this.forecast(fit, horizon);
+    if (!fit.residuals.length) return { point, lower: point.slice(), upper: point.slice() };
+
+    const random = seededRandom(fit.residuals.length * 7919 + horizon);
+    const paths = Array.from({ length: horizon }, () => []);
+
+    for (let s = 0; s < samples; s++) {
+      let state = fit.state;
+      for (let h = 0; h < horizon; h++) {
+        const residual = fit.residuals[Math.floor(random() * fit.residuals.length)];
+        const y = fit.model.predict(state) + residual;
+        paths[h].push(y);
+        state = fit.model.update(state, y);
+      }
+    }
+
+    const tail = (1 - level) / 2;
+    return {
+      point,
+      lower: paths.map(sims => quantile(sims, tail)),
+      upper: paths.map(sims => quantile(sims, 1 - tail))
+    };
+  },
+
+  inferPeriod(times) {
+    if (times.length < 3 || times.some(t => t == null)) return null;
+    const steps = times.slice(1).map((t, i) => t - times[i]).sort((a, b) => a - b);
+    const median = steps[Math.floor(steps.length / 2)];
+    const match = SEASONAL_PERIODS.find(p => median <= p.maxStep);
+    return match ? match.period : null;
+  }
+};
+
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function quantile(values, q) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// ============================================================================
+// HISTORY FROM THE UPLOADED FILE
+// ============================================================================
+
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(cell => cell !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(cell => cell !== '')) rows.push(row);
+  return rows;
+}
+
+function parseTimestamp(raw) {
+  const text = String(raw ?? '').trim();
+  if (!text) return null;
+  if (/^\d{4}$/.test(text)) return Date.UTC(Number(text), 0, 1);
+  const quarter = text.match(/^(\d{4})[-\s]?Q([1-4])$/i);
+  if (quarter) return Date.UTC(Number(quarter[1]), (Number(quarter[2]) - 1) * 3, 1);
+  const ms = Date.parse(text);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function formatTimestamp(ms, step) {
+  const iso = new Date(ms).toISOString();
+  if (step && step < 86400e3) return iso.slice(0, 16).replace('T', ' ');
+  if (step && step >= 28 * 86400e3) return iso.slice(0, 7);
+  return iso.slice(0, 10);
+}
+
+function medianStep(times) {
+  if (times.length < 2) return null;
+  const steps = times.slice(1).map((t, i) => t - times[i]).sort((a, b) => a - b);
+  return steps[Math.floor(steps.length / 2)] || null;
+}
+
+// ============================================================================
+// FORECAST MODULE
+// ============================================================================
+
+const Forecast = {
+  init() {
+    window.PredictionsForecast = this;
+  },
+
+  targetColumnFor(result) {
+    return result?.target_column
+      || PredictionsState.manualTarget
+      || PredictionsState.gemmaSelection?.target
+      || PredictionsState.detectedTargetColumn
+      || null;
+  },
+
+  /**
+   * Read the time column and target column from the uploaded file
+   * @param {string} targetColumn - Column to plot
+   * @returns {Promise<object|null>} { times, labels, values } sorted by time
+   */
+  async loadHistory(targetColumn) {
+    const file = PredictionsState.uploadedFile;
+    const timeColumn = PredictionsState.detectedTimeColumn;
+    if (!file || !timeColumn || !targetColumn) return null;
+
+    const cacheKey = `${file.name}:${file.size}:${timeColumn}:${targetColumn}`;
+    if (PredictionsState.historySeries?.key === cacheKey) {
+      return PredictionsState.historySeries.series;
+    }
+
+    if (!/\.(csv|tsv|txt)$/i.test(file.name)) {
+      Logger.log(`📈 Historical overlay needs a CSV/TSV file (got ${file.name})`, 'info');
+      return null;
+    }
+
+    const text = await file.text();
+    const firstLine = text.slice(0, text.indexOf('\n') + 1 || text.length);
+    const delimiter = /\.tsv$/i.test(file.name) || firstLine.includes('\t') ? '\t' : ',';
+    const [header = [], ...rows] = parseDelimited(text, delimiter);
+    const timeIdx = header.findIndex(h => h.trim() === timeColumn);
+    const valueIdx = header.findIndex(h => h.trim() === targetColumn);
+    if (timeIdx < 0 || valueIdx < 0) return null;
+
+    // Average duplicate timestamps so the series has one value per period
+    const buckets = new Map();
+    rows.forEach(row => {
+      const time = parseTimestamp(row[timeIdx]);
+      const value = Number.parseFloat(row[valueIdx]);
+      if (time == null || !Number.isFinite(value)) return;
+      const bucket = buckets.get(time) || { sum: 0, count: 0 };
+      bucket.sum += value;
+      bucket.count++;
+      buckets.set(time, bucket);
+    });
+
+    const times = Array.from(buckets.keys()).sort((a, b) => a - b);
+    const series = times.length ? {
+      times,
+      values: times.map(t => buckets.get(t).sum / buckets.get(t).count)
+    } : null;
+
+    PredictionsState.historySeries = { key: cacheKey, series };
+    return series;
+  },
+
+  /**
+   * Pull forecast arrays out of an engine result. Engines return them at the
+   * top level (forecast_values/forecast_dates/lower_bound/upper_bound) or
+   * under best_variant.details; both are accepted.
+   * @returns {object|null} null for non-time-series tasks or when the engine
+   *   returned no forecast values
+   */
+  extractEngineForecast(result) {
+    const sources = [result, result?.forecast, result?.best_variant?.details, result?.best_variant?.details?.forecast]
+      .filter(s => s && typeof s === 'object' && !Array.isArray(s));
+
+    const taskType = sources.map(s => s.task_type).find(Boolean);
+    if (taskType && !TIME_SERIES_TASKS.includes(String(taskType).toLowerCase())) return null;
+
+    const pick = (...keys) => {
+      for (const source of sources) {
+        for (const key of keys) {
+          if (Array.isArray(source[key]) && source[key].length) return source[key];
+        }
+      }
+      return null;
+    };
+
+    const values = pick('forecast_values', 'forecast');
+    if (!values) return null;
+    const intervals = pick('prediction_intervals');
+
+    return {
+      values: values.map(Number),
+      dates: pick('forecast_dates', 'timestamps', 'forecast_timestamps'),
+      lower: pick('lower_bound', 'lower') || intervals?.map(i => i.lower) || null,
+      upper: pick('upper_bound', 'upper') || intervals?.map(i => i.upper) || null,
+      historyValues: pick('historical_values', 'historical'),
+      historyDates: pick('historical_dates')
+    };
+  },
+
+  /**
+   * Build chart-ready forecast data
+   * @param {object} result - Engine result
+   * @returns {Promise<object|null>} { labels, history, predictions, lowerBound, upperBound, intervalSource, method },
+   *   or null when the result has no engine forecast
+   */
+  async build(result, { level = FORECAST_CONFIG.level } = {}) {
+    const engine = this.extractEngineForecast(result);
+    if (!engine) return null;
+    let history = null;
+
+    try {
+      history = await this.loadHistory(this.targetColumnFor(result));
+    } catch (err) {
+      Logger.log(`Could not read history from upload: ${err.message}`, 'warning');
+    }
+
+    if (!history && engine.historyValues) {
+      const times = (engine.historyDates || []).map(parseTimestamp);
+      history = {
+        times: times.length === engine.historyValues.length && times.every(t => t != null) ? times : null,
+        labels: engine.historyDates,
+        values: engine.historyValues.map(Number)
+      };
+    }
+
+    if (history && history.values.length > FORECAST_CONFIG.maxHistoryPoints) {
+      const start = history.values.length - FORECAST_CONFIG.maxHistoryPoints;
+      history = {
+        times: history.times?.slice(start) || null,
+        labels: history.labels?.slice(start),
+        values: history.values.slice(start)
+      };
+    }
+
+    const predictions = engine.values;
+    const steps = predictions.length;
+    let lowerBound = engine.lower && engine.lower.length === steps ? engine.lower.map(Number) : null;
+    let upperBound = engine.upper && engine.upper.length === steps ? engine.upper.map(Number) : null;
+    let intervalSource = lowerBound && upperBound ? 'engine' : 'none';
+    let method = 'engine';
+
+    const fit = intervalSource === 'none' && history
+      ? TimeSeries.selectModel(history.values, TimeSeries.inferPeriod(history.times || []))
+      : null;
+    if (fit) {
+      // Centre the simulated spread on the engine's own point forecast
+      const simulated = TimeSeries.bootstrapIntervals(fit, steps, { level });
+      lowerBound = predictions.map((p, h) => p + simulated.lower[h] - simulated.point[h]);
+      upperBound = predictions.map((p, h) => p + simulated.upper[h] - simulated.point[h]);
+      intervalSource = 'bootstrap';
+      method = `engine (intervals: ${fit.model.name})`;
+    }
+
+    const step = history?.times ? medianStep(history.times) : null;
+    const historyLabels = history
+      ? (history.times ? history.times.map(t => formatTimestamp(t, step)) : history.labels || history.values.map((_, i) => `t-${history.values.length - i}`))
+      : [];
+
+    let forecastLabels = engine.dates ? engine.dates.map(String) : null;
+    if (!forecastLabels || forecastLabels.length !== steps) {
+      const last = history?.times?.[history.times.length - 1];
+      forecastLabels = last != null && step
+        ? Array.from({ length: steps }, (_, h) => formatTimestamp(last + step * (h + 1), step))
+        : Array.from({ length: steps }, (_, h) => `t+${h + 1}`);
+    }
+
+    const nHist = historyLabels.length;
+    const afterHistory = values => [...new Array(nHist).fill(null), ...values];
+
+    return {
+      labels: [...historyLabels, ...forecastLabels],
+      history: [...(history ? history.values : []), ...new Array(steps).fill(null)],
+      predictions: afterHistory(predictions),
+      lowerBound: lowerBound ? afterHistory(lowerBound) : null,
+      upperBound: upperBound ? afterHistory(upperBound) : null,
+      intervalSource,
+      level,
+      method
+    };
+  },
+
+  chartConfig(data) {
+    const levelPct = Math.round(data.level * 100);
+    const bandLabel = data.intervalSource === 'engine' ? `${levelPct}% PI` : `${levelPct}% PI, bootstrap`;
+    const datasets = [];
+
+    if (data.history.some(v => v != null)) {
+      datasets.push({
+        label: 'Historical',
+        data: data.history,
+        borderColor: '#94a3b8',
+        borderWidth: 2,
+        pointRadius: 0,
+        tension: 0.2
+      });
+    }
+
+    datasets.push({
+      label: 'Predicted Values',
+      data: data.predictions,
+      borderColor: '#3b82f6',
+      backgroundColor: 'rgba(59, 130, 246, 0.1)',
+      borderWidth: 3,
+      pointRadius: 0,
+      tension: 0.4
+    });
+
+    if (data.upperBound && data.lowerBound) {
+      datasets.push({
+        label: `Upper Bound (${bandLabel})`,
+        data: data.upperBound,
+        borderColor: 'rgba(59, 130, 246, 0.3)',
+        backgroundColor: 'rgba(59, 130, 246, 0.05)',
+        borderWidth: 1,
+        borderDash: [5, 5],
+        pointRadius: 0,
+        fill: '+1'
+      }, {
+        label: `Lower Bound (${bandLabel})`,
+        data: data.lowerBound,
+        borderColor: 'rgba(59, 130, 246, 0.3)',
+        backgroundColor: 'rgba(59, 130, 246, 0.05)',
+        borderWidth: 1,
+        borderDash: [5, 5],
+        pointRadius: 0,
+        fill: false
+      });
+    }
+
+    return {
+      type: 'line',
+      data: { labels: data.labels, datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        spanGaps: false,
+        plugins: {
+          legend: { display: true, labels: { color: '#94a3b8' } },
+          tooltip: { mode: 'index', intersect: false },
+          subtitle: { display: true, text: `Method: ${data.method}`, color: '#64748b' }
+        },
+        scales: {
+          x: { grid: { color: 'rgba(255,255,255,0.05)' }, ticks: { color: '#94a3b8', maxTicksLimit: 12 } },
+          y: { grid: { color: 'rgba(255,255,255,0.05)' }, ticks: { color: '#94a3b8' } }
+        }
+      }
+    };
+  },
+
+  /**
+   * Render a forecast into a canvas, replacing any previous chart
+   * @param {HTMLCanvasElement} canvas - Target canvas
+   * @param {object} data - Result of build()
+   * @returns {object|null} Chart instance
+   */
+  render(canvas, data) {
+    if (!canvas || !data || typeof Chart === 'undefined') return null;
+
+    PredictionsState.charts.forecast?.destroy?.();
+    const chart = new Chart(canvas.getContext('2d'), this.chartConfig(data));
+    PredictionsState.charts.forecast = chart;
+    return chart;
+  }
+};
+
+export { TimeSeries, FORECAST_CONFIG };
+export default Forecast;
@@ -7,6 +7,7 @@ import { PredictionsState, DOM, Logger, API_BASE } from './predictions-state.js'
 import Upload from './predictions-upload.js';
 import ColumnSelection from './predictions-columns.js';
 import RunNavigation from './predictions-runs.js';
+import Forecast from './predictions-forecast.js';
 
 // Tab switching
 function switchTab(tabName) {
@@ -45,8 +46,18 @@ function renderCharts() {
   Logger.log('Chart rendering queued', 'info');
 }
 
-function renderForecastChart() {
-  Logger.log('Forecast chart rendering queued', 'info');
+async function renderForecastChart() {
+  const canvas = document.getElementById('forecast-chart');
+  if (!canvas || !PredictionsState.forecastResults) return;
+  
+  const data = await Forecast.build(PredictionsState.forecastResults);
+  if (!data) {
+    Logger.log('No forecast values returned by the engine', 'warning');
+    return;
+  }
+  
+  Forecast.render(canvas, data);
+  Logger.log(`📈 Forecast rendered (${data.method}, intervals: ${data.intervalSource})`, 'info');
 }
 
 // Initialize application
@@ -62,6 +73,7 @@ async function init() {
     Upload.init();
     ColumnSelection.init();
     RunNavigation.init();
+    Forecast.init();
     
     // Attach global functions for HTML onclick handlers
     window.switchTab = switchTab;
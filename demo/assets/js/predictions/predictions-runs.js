@@ -1,10 +1,145 @@
 /**
  * Predictions Page - Multi-Run Navigation
- * Handles run navigation arrows, "Test Again", and per-engine reruns
+ * Handles run navigation arrows, "Test Again", per-engine reruns, run
+ * diffing, champion pinning and run history export
  */
 
 import { PredictionsState, Logger, API_BASE } from './predictions-state.js';
 
+// Metrics where a decrease is an improvement; everything else is higher-is-better
+const LOWER_IS_BETTER = /mae|mse|rmse|mape|loss|error|brier|log_?loss/i;
+
+/**
+ * Numeric metrics of an engine result: top-level numbers plus those under
+ * best_variant and metrics (prefixed so the two never collide)
+ * @param {object} result - Engine result
+ * @returns {object} { metricName: number }
+ */
+function extractMetrics(result) {
+  const metrics = {};
+  const collect = (source, prefix) => {
+    if (!source || typeof source !== 'object') return;
+    Object.entries(source).forEach(([key, value]) => {
+      if (typeof value === 'number' && Number.isFinite(value)) metrics[prefix + key] = value;
+    });
+  };
+  collect(result, '');
+  collect(result?.metrics, 'metrics.');
+  collect(result?.best_variant, 'best_variant.');
+  collect(result?.best_variant?.metrics, 'best_variant.metrics.');
+  return metrics;
+}
+
+/**
+ * Feature importances of an engine result as { feature: importance }.
+ * Accepts [{ feature, importance }] arrays or plain objects.
+ * @param {object} result - Engine result
+ * @returns {object}
+ */
+function extractImportances(result) {
+  const source = result?.feature_importance
+    || result?.best_variant?.feature_importance
+    || result?.best_variant?.details?.feature_importance
+    || {};
+  if (Array.isArray(source)) {
+    return Object.fromEntries(source
+      .filter(item => item && item.feature != null)
+      .map(item => [item.feature, Number(item.importance) || 0]));
+  }
+  return Object.fromEntries(Object.entries(source).map(([k, v]) => [k, Number(v) || 0]));
+}
+
+function rankOf(importances) {
+  return Object.fromEntries(Object.entries(importances)
+    .sort((a, b) => b[1] - a[1])
+    .map(([feature], i) => [feature, i + 1]));
+}
+
+/**
+ * Compare two runs of the same engine
+ * @param {object} base - Older/reference run
+ * @param {object} compare - Run being evaluated against it
+ * @returns {object} { metrics, importances, setup }
+ */
+function diffRuns(base, compare) {
+  const baseMetrics = extractMetrics(base.result);
+  const compareMetrics = extractMetrics(compare.result);
+  const metrics = [...new Set([...Object.keys(baseMetrics), ...Object.keys(compareMetrics)])]
+    .map(name => {
+      const before = baseMetrics[name] ?? null;
+      const after = compareMetrics[name] ?? null;
+      const delta = before != null && after != null ? after - before : null;
+      const improved = delta == null || delta === 0
+        ? null
+        : (LOWER_IS_BETTER.test(name) ? delta < 0 : delta > 0);
+      return { name, before, after, delta, improved };
+    });
+
+  const baseImp = extractImportances(base.result);
+  const compareImp = extractImportances(compare.result);
+  const baseRank = rankOf(baseImp);
+  const compareRank = rankOf(compareImp);
+  const importances = [...new Set([...Object.keys(baseImp), ...Object.keys(compareImp)])]
+    .map(feature => ({
+      feature,
+      before: baseImp[feature] ?? null,
+      after: compareImp[feature] ?? null,
+      delta: (compareImp[feature] ?? 0) - (baseImp[feature] ?? 0),
+      rankBefore: baseRank[feature] ?? null,
+      rankAfter: compareRank[feature] ?? null
+    }))
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+  const baseFeatures = new Set(base.features || []);
+  const compareFeatures = new Set(compare.features || []);
+  const params = [...new Set([...Object.keys(base.engineParams || {}), ...Object.keys(compare.engineParams || {})])]
+    .filter(key => JSON.stringify(base.engineParams?.[key]) !== JSON.stringify(compare.engineParams?.[key]))
+    .map(key => ({ key, before: base.engineParams?.[key], after: compare.engineParams?.[key] }));
+
+  return {
+    metrics,
+    importances,
+    setup: {
+      targetChanged: base.targetColumn !== compare.targetColumn,
+      featuresAdded: [...compareFeatures].filter(f => !baseFeatures.has(f)),
+      featuresRemoved: [...baseFeatures].filter(f => !compareFeatures.has(f)),
+      params
+    }
+  };
+}
+
+function formatNumber(value) {
+  if (value == null) return '—';
+  return Math.abs(value) >= 100 ? value.toFixed(1) : value.toFixed(4);
+}
+
+function formatDelta(value) {
+  if (value == null) return '—';
+  return `${value > 0 ? '+' : ''}${formatNumber(value)}`;
+}
+
+function escapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]
+  ));
+}
+
+function csvCell(value) {
+  const text = value == null ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 const RunNavigation = {
   
   /**
@@ -19,6 +154,7 @@ const RunNavigation = {
     const display = PredictionsState.getNavigationDisplay(engineName);
     const hasPrev = PredictionsState.hasPreviousRun(engineName);
     const hasNext = PredictionsState.hasNextRun(engineName);
+    const isChampion = this.isCurrentChampion(engineName);
     
     return `
       <div class="run-navigation" data-engine="${engineName}">
@@ -35,6 +171,17 @@ const RunNavigation = {
                 ${hasNext ? '' : 'disabled'}>
           ▶
         </button>
+        <button class="champion-btn ${isChampion ? 'active' : ''}"
+                onclick="event.stopPropagation(); RunNavigation.toggleChampion('${engineName}')"
+                title="${isChampion ? 'Unpin champion run' : 'Pin this run as champion'}">
+          ${isChampion ? '★' : '☆'}
+        </button>
+        <button class="diff-btn ${runCount > 1 ? '' : 'disabled'}"
+                onclick="event.stopPropagation(); RunNavigation.showDiff('${engineName}')"
+                title="Compare this run with the champion (or the previous run)"
+                ${runCount > 1 ? '' : 'disabled'}>
+          ⇄ Diff
+        </button>
         <button class="rerun-btn"
                 onclick="event.stopPropagation(); RunNavigation.rerunEngine('${engineName}')"
                 title="Run this engine again with a different target">
@@ -67,9 +214,23 @@ const RunNavigation = {
     const prevBtn = navContainer.querySelector('.nav-arrow.prev');
     const nextBtn = navContainer.querySelector('.nav-arrow.next');
     const counter = navContainer.querySelector('.run-counter');
+    const championBtn = navContainer.querySelector('.champion-btn');
+    const diffBtn = navContainer.querySelector('.diff-btn');
     
     if (counter) counter.textContent = display;
     
+    if (championBtn) {
+      const isChampion = this.isCurrentChampion(engineName);
+      championBtn.classList.toggle('active', isChampion);
+      championBtn.textContent = isChampion ? '★' : '☆';
+      championBtn.title = isChampion ? 'Unpin champion run' : 'Pin this run as champion';
+    }
+    
+    if (diffBtn) {
+      diffBtn.disabled = runCount < 2;
+      diffBtn.classList.toggle('disabled', runCount < 2);
+    }
+    
     if (prevBtn) {
       prevBtn.disabled = !hasPrev;
       prevBtn.classList.toggle('disabled', !hasPrev);
@@ -191,9 +352,15 @@ const RunNavigation = {
       const run = PredictionsState.addRun(engineName, {
         runId: result.runId,
         targetColumn: result.targetColumn,
+        features: result.features,
+        engineParams: result.engineParams,
         result: result.result
       });
       
+      if (!await PredictionsState.saveRun(engineName, run)) {
+        Logger.log(`⚠️ ${engineName} run kept for this page only (history not saved)`, 'warning');
+      }
+      
       // Display the new run
       this.displayRun(engineName, run);
       this.updateNavigation(engineName);
@@ -267,6 +434,152 @@ const RunNavigation = {
     }
   },
   
+  /**
+   * Whether the run currently shown for an engine is its pinned champion
+   * @param {string} engineName - The engine identifier
+   * @returns {boolean}
+   */
+  isCurrentChampion(engineName) {
+    const run = PredictionsState.getCurrentRun(engineName);
+    return Boolean(run && PredictionsState.champions[engineName] === run.runId);
+  },
+  
+  /**
+   * Pin the current run as champion, or unpin it if it already is
+   * @param {string} engineName - The engine identifier
+   */
+  async toggleChampion(engineName) {
+    const run = PredictionsState.getCurrentRun(engineName);
+    if (!run) return;
+    
+    const pin = !this.isCurrentChampion(engineName);
+    const saved = await PredictionsState.setChampion(engineName, pin ? run.runId : null);
+    this.updateNavigation(engineName);
+    
+    if (!saved) {
+      Logger.log(`❌ Could not ${pin ? 'pin' : 'unpin'} champion for ${engineName}`, 'error');
+    } else {
+      Logger.log(pin
+        ? `★ Champion for ${engineName}: target "${run.targetColumn}" (${new Date(run.timestamp).toLocaleString()})`
+        : `☆ Champion unpinned for ${engineName}`, 'info');
+    }
+  },
+  
+  /**
+   * Show how the current run differs from the champion, or from the
+   * previous (older) run when the current run is the champion
+   * @param {string} engineName - The engine identifier
+   */
+  showDiff(engineName) {
+    const current = PredictionsState.getCurrentRun(engineName);
+    const runs = PredictionsState.getRuns(engineName);
+    const champion = PredictionsState.getChampion(engineName);
+    const index = PredictionsState.getCurrentRunIndex(engineName);
+    const base = champion && champion !== current
+      ? champion
+      : runs[index + 1] || runs[index - 1];
+    
+    const bodyEl = document.getElementById(`body-${engineName}`);
+    if (!current || !base || !bodyEl) return;
+    
+    bodyEl.querySelector('.run-diff')?.remove();
+    bodyEl.insertAdjacentHTML('afterbegin', this.createDiffHTML(engineName, base, current, base === champion));
+    Logger.log(`⇄ Comparing ${engineName} runs: "${base.targetColumn}" → "${current.targetColumn}"`, 'info');
+  },
+  
+  /**
+   * Render a run diff panel
+   * @param {string} engineName - The engine identifier
+   * @param {object} base - Reference run
+   * @param {object} current - Run being compared
+   * @param {boolean} baseIsChampion - Label the reference as champion
+   * @returns {string} HTML
+   */
+  createDiffHTML(engineName, base, current, baseIsChampion) {
+    const diff = diffRuns(base, current);
+    const trend = improved => (improved == null ? '' : (improved ? 'improved' : 'regressed'));
+    const runLabel = run => `${escapeHTML(run.targetColumn)} · ${new Date(run.timestamp).toLocaleString()}`;
+    
+    const setupNotes = [
+      diff.setup.targetChanged && `Target: <b>${escapeHTML(base.targetColumn)}</b> → <b>${escapeHTML(current.targetColumn)}</b>`,
+      diff.setup.featuresAdded.length && `Features added: ${diff.setup.featuresAdded.map(escapeHTML).join(', ')}`,
+      diff.setup.featuresRemoved.length && `Features removed: ${diff.setup.featuresRemoved.map(escapeHTML).join(', ')}`,
+      ...diff.setup.params.map(p => `Param <code>${escapeHTML(p.key)}</code>: ${escapeHTML(JSON.stringify(p.before))} → ${escapeHTML(JSON.stringify(p.after))}`)
+    ].filter(Boolean);
+    
+    const metricRows = diff.metrics.map(m => `
+      <tr class="${trend(m.improved)}">
+        <td>${escapeHTML(m.name)}</td>
+        <td>${formatNumber(m.before)}</td>
+        <td>${formatNumber(m.after)}</td>
+        <td>${formatDelta(m.delta)}</td>
+      </tr>`).join('');
+    
+    const importanceRows = diff.importances.slice(0, 15).map(f => `
+      <tr>
+        <td>${escapeHTML(f.feature)}</td>
+        <td>${formatNumber(f.before)}${f.rankBefore ? ` <small>#${f.rankBefore}</small>` : ''}</td>
+        <td>${formatNumber(f.after)}${f.rankAfter ? ` <small>#${f.rankAfter}</small>` : ''}</td>
+        <td>${formatDelta(f.delta)}</td>
+      </tr>`).join('');
+    
+    return `
+      <div class="run-diff" data-engine="${engineName}">
+        <div class="run-diff-header">
+          <span>⇄ ${baseIsChampion ? '★ Champion' : 'Previous run'}: ${runLabel(base)}</span>
+          <span>vs. current: ${runLabel(current)}</span>
+          <button class="run-diff-close" onclick="this.closest('.run-diff').remove()" title="Close comparison">✕</button>
+        </div>
+        ${setupNotes.length ? `<ul class="run-diff-setup">${setupNotes.map(n => `<li>${n}</li>`).join('')}</ul>` : ''}
+        ${metricRows ? `
+          <table class="run-diff-table">
+            <thead><tr><th>Metric</th><th>Before</th><th>After</th><th>Δ</th></tr></thead>
+            <tbody>${metricRows}</tbody>
+          </table>` : '<div class="run-diff-empty">No numeric metrics to compare</div>'}
+        ${importanceRows ? `
+          <table class="run-diff-table">
+            <thead><tr><th>Feature</th><th>Importance before</th><th>After</th><th>Δ</th></tr></thead>
+            <tbody>${importanceRows}</tbody>
+          </table>` : ''}
+      </div>
+    `;
+  },
+  
+  /**
+   * Download the session's run history
+   * @param {string} format - 'json' (full results) or 'csv' (one row per run with metrics)
+   */
+  exportHistory(format = 'json') {
+    const history = PredictionsState.exportHistory();
+    if (!history.runs.length) {
+      Logger.log('⚠️ No runs to export yet', 'warning');
+      return;
+    }
+    
+    const basename = `run-history-${history.sessionId}`;
+    if (format === 'csv') {
+      const rows = history.runs.map(run => ({
+        engine: run.engineName,
+        run_id: run.runId,
+        timestamp: run.timestamp,
+        champion: run.champion,
+        target_column: run.targetColumn,
+        features: (run.features || []).join(';'),
+        engine_params: run.engineParams,
+        ...extractMetrics(run.result)
+      }));
+      const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+      const csv = [columns, ...rows.map(row => columns.map(col => row[col]))]
+        .map(cells => cells.map(csvCell).join(','))
+        .join('\n');
+      downloadFile(`${basename}.csv`, csv, 'text/csv');
+    } else {
+      downloadFile(`${basename}.json`, JSON.stringify(history, null, 2), 'application/json');
+    }
+    
+    Logger.log(`⬇️ Exported ${history.runs.length} runs (${format.toUpperCase()})`, 'success');
+  },
+  
   /**
    * Inject navigation into all engine cards
    */
@@ -295,6 +608,7 @@ const RunNavigation = {
   init() {
     // Make RunNavigation globally available for onclick handlers
     window.RunNavigation = this;
+    window.exportRunHistory = this.exportHistory.bind(this);
     
     // Observe for new engine cards being added
     const observer = new MutationObserver(() => {
@@ -310,4 +624,5 @@ const RunNavigation = {
   }
 };
 
+export { diffRuns, extractMetrics, extractImportances };
 export default RunNavigation;
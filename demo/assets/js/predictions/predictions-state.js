@@ -6,6 +6,9 @@
  * - Each engine can have up to 20 runs stored
  * - Navigation arrows allow browsing between runs ("1 of 3")
  * - Session ID links all runs for comparison
+ * - Runs are saved to /analytics/history/{sessionId} with the target, feature
+ *   set and engine parameters, so ?session=<id> restores them after reload
+ * - One run per engine can be pinned as the champion
  */
 
 const PredictionsState = {
@@ -14,16 +17,23 @@ const PredictionsState = {
   
   // Upload & File Data
   uploadedFilename: null,
+  uploadedFile: null,
   uploadedColumns: [],
   dataColumns: [],
   
+  // Local column profile from data-profiler.js (null until the worker finishes)
+  columnProfile: null,
+  
   // Analysis Results (current display)
   analysisResults: null,
   forecastResults: null,
   
-  // Multi-Run Storage: { engineName: [{ runId, targetColumn, result, timestamp }] }
+  // Multi-Run Storage: { engineName: [{ runId, targetColumn, features, engineParams, result, timestamp }] }
   runs: {},
   
+  // Pinned champion run per engine: { engineName: runId }
+  champions: {},
+  
   // Current run index per engine: { engineName: 0 }
   currentRunIndex: {},
   
@@ -38,6 +48,7 @@ const PredictionsState = {
   detectedTimeColumn: null,
   detectedTargetColumn: null,
   hasTimeColumn: false,
+  historySeries: null,
   
   // Gemma Explanation State
   gemmaExplanationPending: false,
@@ -66,7 +77,9 @@ const PredictionsState = {
   reset() {
     this.sessionId = null;
     this.uploadedFilename = null;
+    this.uploadedFile = null;
     this.uploadedColumns = [];
+    this.columnProfile = null;
     this.analysisResults = null;
     this.gemmaSelection = null;
     this.manualTarget = null;
@@ -74,12 +87,14 @@ const PredictionsState = {
     this.excludedTargets = [];
     this.forecastResults = null;
     this.hasTimeColumn = false;
+    this.historySeries = null;
     this.gemmaExplanationPending = false;
     this.lastGemmaExplanation = null;
     
     // Reset multi-run state
     this.runs = {};
     this.currentRunIndex = {};
+    this.champions = {};
     
     // Destroy existing charts
     Object.values(this.charts).forEach(chart => {
@@ -95,11 +110,13 @@ const PredictionsState = {
     this.uploadedFilename = filename;
     this.uploadedColumns = columns;
     this.dataColumns = columns;
+    this.columnProfile = null;
     this.manualTarget = null;
     this.manualFeatures = [];
     this.excludedTargets = [];
     this.forecastResults = null;
     this.hasTimeColumn = false;
+    this.historySeries = null;
     return this;
   },
   
@@ -118,7 +135,8 @@ const PredictionsState = {
       sessionId: this.sessionId,
       runCounts: Object.fromEntries(
         Object.entries(this.runs).map(([k, v]) => [k, v.length])
-      )
+      ),
+      champions: this.champions
     };
   },
   
@@ -127,7 +145,7 @@ const PredictionsState = {
   /**
    * Add a new run for an engine
    * @param {string} engineName - The engine identifier
-   * @param {object} runData - { targetColumn, result, runId? }
+   * @param {object} runData - { targetColumn, result, runId?, features?, engineParams? }
    * @returns {object} The added run with metadata
    */
   addRun(engineName, runData) {
@@ -138,6 +156,8 @@ const PredictionsState = {
     const run = {
       runId: runData.runId || `run_${Date.now()}_${Math.random().toString(36).substring(2, 6)}`,
       targetColumn: runData.targetColumn,
+      features: runData.features || this.currentFeatures(runData.targetColumn),
+      engineParams: runData.engineParams || runData.result?.params || runData.result?.best_variant?.params || {},
       result: runData.result,
       timestamp: new Date().toISOString(),
       sessionId: this.sessionId
@@ -146,9 +166,10 @@ const PredictionsState = {
     // Add to beginning (newest first)
     this.runs[engineName].unshift(run);
     
-    // Enforce 20 run limit
-    if (this.runs[engineName].length > this.MAX_RUNS_PER_ENGINE) {
-      this.runs[engineName] = this.runs[engineName].slice(0, this.MAX_RUNS_PER_ENGINE);
+    // Enforce 20 run limit, dropping the oldest runs but never the pinned champion
+    const runs = this.runs[engineName];
+    for (let i = runs.length - 1; i >= 0 && runs.length > this.MAX_RUNS_PER_ENGINE; i--) {
+      if (runs[i].runId !== this.champions[engineName]) runs.splice(i, 1);
     }
     
     // Set current index to newest (0)
@@ -157,6 +178,18 @@ const PredictionsState = {
     return run;
   },
   
+  /**
+   * Feature set currently selected for a target (manual or Gemma mode)
+   * @param {string} targetColumn - Target to exclude from the features
+   * @returns {array} Feature column names
+   */
+  currentFeatures(targetColumn) {
+    const features = this.selectionMode === 'manual'
+      ? this.manualFeatures
+      : (this.gemmaSelection?.features || []);
+    return features.filter(f => f !== targetColumn);
+  },
+  
   /**
    * Get all runs for an engine
    * @param {string} engineName - The engine identifier
@@ -295,6 +328,8 @@ const PredictionsState = {
     this.runs[engineName] = backendRuns.map(run => ({
       runId: run.run_id,
       targetColumn: run.target_column,
+      features: run.features || [],
+      engineParams: run.engine_params || {},
       result: run.result,
       timestamp: run.created_at,
       sessionId: run.session_id
@@ -328,12 +363,103 @@ const PredictionsState = {
       Object.entries(runsByEngine).forEach(([engineName, runs]) => {
         this.syncRunsFromBackend(engineName, runs);
       });
+      this.champions = data.session?.champions || {};
       
       return true;
     } catch (err) {
       console.error('Failed to restore session:', err);
       return false;
     }
+  },
+  
+  /**
+   * Save a run to the session history so it survives reloads
+   * @param {string} engineName - The engine identifier
+   * @param {object} run - Run returned by addRun()
+   * @returns {Promise<boolean>} Whether the backend stored it
+   */
+  async saveRun(engineName, run) {
+    try {
+      const response = await fetch(`${API_BASE}/analytics/history/${this.sessionId}/runs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          run_id: run.runId,
+          engine_name: engineName,
+          target_column: run.targetColumn,
+          features: run.features,
+          engine_params: run.engineParams,
+          filename: this.uploadedFilename,
+          result: run.result,
+          created_at: run.timestamp
+        })
+      });
+      if (!response.ok) throw new Error(response.statusText);
+      
+      // Make ?session= point at this history so a reload restores it
+      const url = new URL(window.location.href);
+      if (url.searchParams.get('session') !== this.sessionId) {
+        url.searchParams.set('session', this.sessionId);
+        window.history.replaceState(null, '', url);
+      }
+      return true;
+    } catch (err) {
+      console.error('Failed to save run:', err);
+      return false;
+    }
+  },
+  
+  /**
+   * Get the pinned champion run for an engine
+   * @param {string} engineName - The engine identifier
+   * @returns {object|null} The champion run or null
+   */
+  getChampion(engineName) {
+    const runId = this.champions[engineName];
+    return runId ? this.getRuns(engineName).find(run => run.runId === runId) || null : null;
+  },
+  
+  /**
+   * Pin (or unpin with null) the champion run for an engine
+   * @param {string} engineName - The engine identifier
+   * @param {string|null} runId - Run to pin
+   * @returns {Promise<boolean>} Whether the backend stored it
+   */
+  async setChampion(engineName, runId) {
+    const previous = this.champions[engineName] || null;
+    if (runId) this.champions[engineName] = runId;
+    else delete this.champions[engineName];
+    
+    try {
+      const response = await fetch(`${API_BASE}/analytics/history/${this.sessionId}/champion`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ engine_name: engineName, run_id: runId })
+      });
+      if (!response.ok) throw new Error(response.statusText);
+      return true;
+    } catch (err) {
+      console.error('Failed to pin champion:', err);
+      if (previous) this.champions[engineName] = previous;
+      else delete this.champions[engineName];
+      return false;
+    }
+  },
+  
+  /**
+   * Full run history for the session, for export
+   * @returns {object} { sessionId, filename, exportedAt, champions, runs }
+   */
+  exportHistory() {
+    return {
+      sessionId: this.sessionId,
+      filename: this.uploadedFilename,
+      exportedAt: new Date().toISOString(),
+      champions: { ...this.champions },
+      runs: Object.entries(this.runs).flatMap(([engineName, runs]) =>
+        runs.map(run => ({ engineName, ...run, champion: this.champions[engineName] === run.runId }))
+      )
+    };
   }
 };
 
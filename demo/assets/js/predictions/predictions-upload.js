@@ -3,6 +3,8 @@
  */
 
 import { PredictionsState, DOM, Logger, API_BASE } from './predictions-state.js';
+import ColumnSelection from './predictions-columns.js';
+import { profileFile } from '../data-profiler.js';
 
 const Upload = {
   init() {
@@ -36,6 +38,9 @@ const Upload = {
     Logger.setStatus(`Uploading ${file.name}...`, 'loading', 20);
     Logger.log(`Uploading: ${file.name}`);
     
+    // Profile locally while the server ingests the file
+    const profiling = profileFile(file);
+    
     const formData = new FormData();
     formData.append('file', file);
     
@@ -54,6 +59,8 @@ const Upload = {
       
       // Update state
       PredictionsState.setUploadData(data.filename, data.columns || [], data.rows || 0);
+      // Kept client-side so the forecast chart can overlay the historical series
+      PredictionsState.uploadedFile = file;
       
       Logger.setStatus('✅ Upload successful! Ready to analyze.', 'success', 100);
       Logger.log(`File uploaded: ${data.filename} (${data.rows} rows, ${data.columns.length} cols)`, 'success');
@@ -83,12 +90,46 @@ const Upload = {
       Logger.log('🔮 Time-series forecasting available after analysis', 'info');
       Logger.log('Column selection available - Choose Gemma AI or Manual mode', 'info');
       
+      profiling.then(profile => this.applyProfile(profile, data.filename));
+      
     } catch (err) {
       Logger.setStatus(`Upload failed: ${err.message}`, 'error', 0);
       Logger.log(`Upload error: ${err.message}`, 'error');
     }
   },
   
+  /**
+   * Attach the local column profile once the worker finishes
+   * @param {object|null} profile - Result of profileFile()
+   * @param {string} filename - Upload the profile belongs to
+   */
+  applyProfile(profile, filename) {
+    // A newer upload may have replaced this one while the worker ran
+    if (!profile || PredictionsState.uploadedFilename !== filename) return;
+    
+    PredictionsState.columnProfile = profile;
+    
+    const byType = profile.columns.reduce((acc, col) => {
+      acc[col.type] = (acc[col.type] || 0) + 1;
+      return acc;
+    }, {});
+    const flagged = profile.columns.filter(col => col.flags.includes('id') || col.flags.includes('leakage'));
+    Logger.log(`🔍 Profiled ${profile.profiledRows.toLocaleString()} rows locally: ` +
+      Object.entries(byType).map(([type, n]) => `${n} ${type}`).join(', '), 'info');
+    if (flagged.length) {
+      Logger.log(`⚠️ Likely ID/leakage columns: ${flagged.map(col => col.name).join(', ')}`, 'warning');
+    }
+    
+    // Datetime columns found by parsing beat name matching for forecasting
+    const datetime = profile.columns.find(col => col.type === 'datetime');
+    if (datetime) {
+      PredictionsState.hasTimeColumn = true;
+      PredictionsState.detectedTimeColumn = datetime.name;
+    }
+    
+    ColumnSelection.renderProfile();
+  },
+  
   populateColumnSelectors() {
     const targetSelect = document.getElementById('target-select');
     const featureGrid = document.getElementById('feature-grid');
@@ -111,6 +152,7 @@ const Upload = {
     ).join('');
     
     this.updateFeatureCount();
+    ColumnSelection.renderProfile();
   },
   
   updateFeatureCount() {
@@ -1,7 +1,319 @@
 (function (global) {
-  const apiClient = global.api;
   const DEFAULT_SPEAKER_FOCUS = ['pruitt', 'ericah'];
   const EMO_CONF_THRESH = 0.8;
+  const MACROS_STORAGE_KEY = 'ragCliMacros';
+  const HISTORY_STORAGE_KEY = 'ragCliHistory';
+  const HISTORY_LIMIT = 200;
+  const MAX_MACRO_DEPTH = 8;
+  // Flags shared by the commands that search transcripts (see parseSpeakers / parsePeriod).
+  const SPEAKER_FLAGS = {
+    '--speaker': { value: '<name>', summary: 'Limit to a speaker (repeatable)' },
+    '--all-speakers': { summary: 'Search every speaker' },
+    '--period': { value: ['today', 'week', 'month'], summary: 'Date window' },
+  };
+
+  // Declarative grammar of every command the shell understands. It drives help,
+  // Tab completion, ghost-text hints and "did you mean" suggestions, so a new
+  // handler only needs an entry here to be discoverable.
+  //   summary      one-line description
+  //   args         positional argument hint
+  //   values       choices for the first positional argument
+  //   flags        { '--flag': { value: '<hint>' | [choices], summary } }
+  //   subcommands  nested grammar nodes
+  //   section      help section (top level only)
+  const COMMAND_GRAMMAR = {
+    help: { section: 'General', summary: 'Show help, or details for one command', args: '[command]' },
+    clear: { section: 'General', summary: 'Clear log' },
+    raw: { section: 'General', summary: 'Toggle raw JSON logging (default: on)', values: ['on', 'off'] },
+    rag: {
+      section: 'Core',
+      summary: 'Semantic search over transcripts',
+      subcommands: {
+        query: {
+          summary: 'Semantic search',
+          args: '"<text>"',
+          flags: {
+            '--top-k': { value: '<N>', summary: 'Results to return (default 8)' },
+            '--last-n': { value: '<M>', summary: 'Recent transcripts to search (default 50)' },
+            ...SPEAKER_FLAGS,
+          },
+        },
+      },
+    },
+    gemma: {
+      section: 'Core',
+      summary: 'Ask Gemma',
+      subcommands: {
+        rag: {
+          summary: 'Answer from transcript context',
+          args: '"<question>"',
+          flags: {
+            '--top-k': { value: '<N>', summary: 'Context chunks (default 8)' },
+            '--max-tokens': { value: '<N>', summary: 'Answer length (default 512)' },
+            ...SPEAKER_FLAGS,
+          },
+        },
+        chat: {
+          summary: 'Plain chat',
+          args: '"<question>"',
+          flags: { '--max-tokens': { value: '<N>', summary: 'Answer length (default 512)' } },
+        },
+      },
+    },
+    emotion: {
+      section: 'Core',
+      summary: 'Emotion analysis',
+      subcommands: {
+        analyze: { summary: 'Analyze emotion segments', args: '"<text>"', flags: { ...SPEAKER_FLAGS } },
+        summary: { summary: 'Summarize last emotion analysis' },
+      },
+    },
+    show: {
+      section: 'Core',
+      summary: 'Show saved results',
+      subcommands: {
+        context: { summary: 'Show last RAG context' },
+        response: { summary: 'Show last Gemma response' },
+      },
+    },
+    gpu: { section: 'Core', summary: 'Show Gemma GPU stats' },
+    warmup: { section: 'Core', summary: 'Warm GPU (Gemma)' },
+    ml: {
+      section: 'ML Profit',
+      summary: 'ML profit endpoints',
+      subcommands: {
+        test: { summary: 'Run all ML endpoint tests', args: '[member_id]' },
+        crosssell: { summary: 'Test cross-sell propensity', args: '<member_id>' },
+        churn: { summary: 'Test churn prediction', args: '<member_id>' },
+        pricing: { summary: 'Test loan pricing optimization', args: '<member_id> <loan_type> <amount> <term> <score>' },
+        features: { summary: 'View member ML features', args: '<member_id>' },
+      },
+    },
+    qa: {
+      section: 'Enterprise',
+      summary: 'QA review',
+      subcommands: {
+        stats: { summary: 'Show QA statistics' },
+        review: { summary: 'List feedback for review', values: ['pending', 'all'] },
+        golden: { summary: 'Golden answers', subcommands: { list: { summary: 'List golden answers' } } },
+      },
+    },
+    automation: {
+      section: 'Enterprise',
+      summary: 'Automation',
+      subcommands: {
+        stats: { summary: 'Show automation statistics' },
+        rules: { summary: 'List automation rules' },
+        webhooks: { summary: 'List webhooks' },
+      },
+    },
+    knowledge: {
+      section: 'Enterprise',
+      summary: 'Knowledge base',
+      subcommands: {
+        stats: { summary: 'Show knowledge stats' },
+        articles: { summary: 'List recent articles' },
+        search: { summary: 'Search knowledge base', args: '"<query>"' },
+      },
+    },
+    analytics: {
+      section: 'Enterprise',
+      summary: 'Analytics',
+      subcommands: {
+        stats: { summary: 'Show analytics stats' },
+        reports: { summary: 'List saved reports' },
+      },
+    },
+    meetings: {
+      section: 'Enterprise',
+      summary: 'Meetings',
+      subcommands: {
+        stats: { summary: 'Show meeting stats' },
+        list: { summary: 'List recent meetings' },
+        search: { summary: 'Search meetings', args: '"<query>"' },
+      },
+    },
+    banking: {
+      section: 'Banking Hub (SCU)',
+      summary: 'Banking hub',
+      subcommands: {
+        analyze: { summary: 'Analyze member with role-based insights', args: '<member_id>' },
+        dataset: { summary: 'Fetch raw dataset from Fiserv connector', args: '<member_id>' },
+        test: { summary: 'Run full integration test' },
+      },
+    },
+    let: { section: 'Scripting', summary: 'Store a command output (or text) in $name', args: '<name> = <command|text>' },
+    vars: { section: 'Scripting', summary: 'List variables' },
+    unset: { section: 'Scripting', summary: 'Remove a variable', args: '<name>' },
+    macro: {
+      section: 'Scripting',
+      summary: 'Saved macros (kept across reloads)',
+      subcommands: {
+        def: { summary: 'Define a macro ($1..$9, $@ = arguments; ; separates lines)', args: '<name> <commands>' },
+        save: { summary: 'Save the last N commands from history', args: '<name> [N]' },
+        list: { summary: 'List macros' },
+        show: { summary: 'Show a macro', args: '<name>' },
+        rm: { summary: 'Delete a macro', args: '<name>' },
+      },
+    },
+    script: {
+      section: 'Scripting',
+      summary: 'Run a script file (one command per line, # comments)',
+      flags: { '--stop-on-error': { summary: 'Stop at the first failing line' } },
+    },
+  };
+
+  const COMMAND_ALIASES = { '?': 'help', kb: 'knowledge', meeting: 'meetings', bank: 'banking', source: 'script' };
+
+  const SCRIPTING_SYNTAX = [
+    '  cmd1 | cmd2                    Pipe output (appended as last argument unless cmd2 uses $in)',
+    '  cmd1 ; cmd2                    Run commands in sequence',
+    '  $last.results[0].text          Output of the previous command (any $var.path works)',
+    '  @<name> [args]                 Run a macro',
+  ];
+
+  // Top-level commands understood by dispatch (used to tell `let x = <command>` from `let x = <text>`)
+  const COMMANDS = Object.keys(COMMAND_GRAMMAR).concat(Object.keys(COMMAND_ALIASES));
+
+  function resolveCommand(name) {
+    return COMMAND_ALIASES[name] || name;
+  }
+
+  // Walk the grammar along the given words; returns the deepest node reached.
+  function grammarNode(words) {
+    const name = resolveCommand(words[0] || '');
+    let node = COMMAND_GRAMMAR[name];
+    const path = [name];
+    let depth = 1;
+    while (node && node.subcommands && node.subcommands[words[depth]]) {
+      node = node.subcommands[words[depth]];
+      path.push(words[depth]);
+      depth += 1;
+    }
+    return { node, path, depth };
+  }
+
+  function formatFlag(flag, spec) {
+    if (!spec.value) return `[${flag}]`;
+    return `[${flag} ${Array.isArray(spec.value) ? spec.value.join('|') : spec.value}]`;
+  }
+
+  function usageLine(path, node) {
+    const parts = [path.join(' ')];
+    if (node.values) parts.push(`[${node.values.join('|')}]`);
+    if (node.args) parts.push(node.args);
+    Object.entries(node.flags || {}).forEach(([flag, spec]) => parts.push(formatFlag(flag, spec)));
+    return parts.join(' ');
+  }
+
+  // Usage lines for a node and all of its leaves.
+  function usageLines(path, node) {
+    if (!node.subcommands) {
+      const usage = usageLine(path, node);
+      return [usage.length < 31 ? `  ${usage.padEnd(31)}${node.summary}` : `  ${usage}\n  ${''.padEnd(31)}${node.summary}`];
+    }
+    return Object.entries(node.subcommands).flatMap(([sub, child]) => usageLines(path.concat(sub), child));
+  }
+
+  function buildHelpText() {
+    const sections = {};
+    Object.entries(COMMAND_GRAMMAR).forEach(([name, node]) => {
+      (sections[node.section] = sections[node.section] || []).push(...usageLines([name], node));
+    });
+    const lines = [];
+    Object.entries(sections).forEach(([section, entries]) => {
+      lines.push(`=== ${section} ===`, ...entries);
+      if (section === 'Scripting') lines.push(...SCRIPTING_SYNTAX);
+      lines.push('');
+    });
+    lines.push('Type "help <command>" for details. Tab completes commands, subcommands and flags.');
+    return lines.join('\n');
+  }
+
+  function buildCommandHelp(words) {
+    const { node, path } = grammarNode(words);
+    if (!node) return null;
+    const lines = [`${path.join(' ')} — ${node.summary}`, ...usageLines(path, node)];
+    const flags = Object.entries(node.flags || {});
+    if (flags.length) {
+      lines.push('', 'Flags:');
+      flags.forEach(([flag, spec]) => lines.push(`  ${formatFlag(flag, spec).slice(1, -1).padEnd(31)}${spec.summary}`));
+    }
+    const aliases = Object.keys(COMMAND_ALIASES).filter((a) => COMMAND_ALIASES[a] === path[0]);
+    if (aliases.length) lines.push('', `Aliases: ${aliases.join(', ')}`);
+    return lines.join('\n');
+  }
+
+  function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i += 1) {
+      let prev = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j += 1) {
+        const tmp = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+        prev = tmp;
+      }
+    }
+    return row[b.length];
+  }
+
+  // Closest candidate within a typo-sized distance, or null.
+  function suggest(word, candidates) {
+    const limit = word.length <= 4 ? 1 : 2;
+    let best = null;
+    let bestDistance = Infinity;
+    candidates.forEach((candidate) => {
+      const distance = candidate.startsWith(word) ? 0.5 : editDistance(word, candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+    return bestDistance <= limit ? best : null;
+  }
+
+  function commonPrefix(words) {
+    if (!words.length) return '';
+    return words.reduce((prefix, w) => {
+      let i = 0;
+      while (i < prefix.length && prefix[i] === w[i]) i += 1;
+      return prefix.slice(0, i);
+    });
+  }
+
+  // Completion candidates for the last word of a pipeline stage.
+  // Returns { word, candidates, hint } where hint is the argument usage of the
+  // command being typed, set only while the cursor sits right after its name.
+  function completeStage(stage, macroNames = []) {
+    const endsWithSpace = /\s$/.test(stage);
+    const words = tokenize(stage);
+    const word = endsWithSpace ? '' : (words.pop() || '');
+
+    if (!words.length) {
+      const names = COMMANDS.concat(macroNames.map((m) => `@${m}`));
+      return { word, candidates: names.filter((n) => n.startsWith(word)).sort(), hint: null };
+    }
+
+    const { node, path, depth } = grammarNode(words);
+    if (!node) return { word, candidates: [], hint: null };
+    const hint = words.length === depth ? usageLine([], node).trim() || null : null;
+    const previous = words[words.length - 1];
+    const flagSpec = node.flags && node.flags[previous];
+
+    let candidates = [];
+    if (flagSpec) {
+      candidates = Array.isArray(flagSpec.value) ? flagSpec.value : [];
+    } else if (node.subcommands && words.length === depth) {
+      candidates = Object.keys(node.subcommands);
+    } else if (word.startsWith('-')) {
+      const used = new Set(words);
+      candidates = Object.keys(node.flags || {}).filter((f) => f === '--speaker' || !used.has(f));
+    } else if (node.values && words.length === depth) {
+      candidates = node.values;
+    }
+    return { word, candidates: candidates.filter((c) => c.startsWith(word)), hint };
+  }
 
   function uuid() {
     if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
@@ -33,6 +345,79 @@
     return tokens;
   }
 
+  // Split on a separator character outside double quotes ("a | b" -> ["a ", " b"]).
+  function splitOutsideQuotes(input, separator) {
+    const parts = [];
+    let current = '';
+    let inQuotes = false;
+    for (let i = 0; i < input.length; i += 1) {
+      const ch = input[i];
+      if (ch === '"') inQuotes = !inQuotes;
+      if (ch === separator && !inQuotes) {
+        parts.push(current);
+        current = '';
+        continue;
+      }
+      current += ch;
+    }
+    parts.push(current);
+    return parts;
+  }
+
+  // Resolve a property path such as ".results[0].text" against a value.
+  function resolvePath(value, path) {
+    if (!path) return value;
+    const keys = path.match(/[^.[\]]+/g) || [];
+    return keys.reduce((obj, key) => (obj == null ? undefined : obj[key]), value);
+  }
+
+  // Replace $name.path references in a token. Unknown names are left as typed.
+  function expandVariables(token, vars) {
+    const whole = token.match(/^\$([A-Za-z_]\w*)((?:\.\w+|\[\d+\])*)$/);
+    if (whole && Object.prototype.hasOwnProperty.call(vars, whole[1])) {
+      const value = resolvePath(vars[whole[1]], whole[2]);
+      return typeof value === 'string' ? value : JSON.stringify(value) ?? '';
+    }
+    return token.replace(/\$([A-Za-z_]\w*)((?:\.\w+|\[\d+\])*)/g, (match, name, path) => {
+      if (!Object.prototype.hasOwnProperty.call(vars, name)) return match;
+      const value = resolvePath(vars[name], path);
+      return typeof value === 'string' ? value : JSON.stringify(value) ?? '';
+    });
+  }
+
+  // Text passed to the next command of a pipeline.
+  function pipeText(value) {
+    if (value == null) return '';
+    if (typeof value === 'string') return value;
+    if (typeof value !== 'object') return String(value);
+    if (value.answer || value.response) return value.answer || value.response;
+    const list = Array.isArray(value) ? value : Array.isArray(value.results) ? value.results : null;
+    if (list) {
+      return list.slice(0, 5)
+        .map((item) => (typeof item === 'string' ? item : item?.text || item?.content || JSON.stringify(item)))
+        .join('\n');
+    }
+    return JSON.stringify(value);
+  }
+
+  function loadStored(key, fallback) {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : fallback;
+    } catch (e) {
+      console.warn(`[RAG CLI] Could not read ${key}:`, e);
+      return fallback;
+    }
+  }
+
+  function saveStored(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+      console.warn(`[RAG CLI] Could not save ${key}:`, e);
+    }
+  }
+
   function formatMs(ms) {
     if (!Number.isFinite(ms)) return 'n/a';
     if (ms < 1000) return `${ms.toFixed(0)} ms`;
@@ -220,6 +605,8 @@
   }
 
   function initRagCliShell({ mount, toggleButtonId, onToggle } = {}) {
+    // api-client.js is a module, so look it up when the shell mounts rather than at load
+    const apiClient = global.api;
     if (!apiClient) {
       console.error('[RAG CLI] API client unavailable');
       return null;
@@ -238,8 +625,13 @@
     const state = {
       sessionId: uuid(),
       logs: [],
-      history: [],
+      history: loadStored(HISTORY_STORAGE_KEY, []),
       historyIndex: -1,
+      vars: {},
+      macros: loadStored(MACROS_STORAGE_KEY, {}),
+      lastOutput: undefined,
+      commandOutput: undefined,
+      errorCount: 0,
       raw: true,
       lastRagResults: null,
       lastGemmaResponse: null,
@@ -254,6 +646,7 @@
     }
 
     function appendLog(level, message, data) {
+      if (level === 'error') state.errorCount += 1;
       if (!logEl) return;
       const entry = document.createElement('div');
       entry.className = `rag-cli-log-entry ${level}`;
@@ -294,6 +687,8 @@
       try {
         const result = await fn();
         const elapsed = performance.now() - start;
+        // The last successful call of a command is its output ($last, pipes, let)
+        state.commandOutput = result;
         return { result, elapsed };
       } catch (err) {
         const elapsed = performance.now() - start;
@@ -555,6 +950,7 @@
         }
         state.lastEmotionAnalyses = results;
         state.lastEmotionQuestion = question;
+        state.commandOutput = results;
         appendLog('info', `[Emotion] analyzed ${results.length} segments.`);
         return;
       }
@@ -624,6 +1020,7 @@
         return `[${idx + 1}] ${ts} • ${speaker} • ${r.text?.slice(0, 140) || ''}`;
       });
       appendLog('info', lines.join('\n'));
+      state.commandOutput = state.lastRagResults;
     }
 
     function showResponse() {
@@ -633,60 +1030,21 @@
       }
       const answer = state.lastGemmaResponse.answer || state.lastGemmaResponse.response || state.lastGemmaResponse.text;
       appendLog('info', answer || '[empty]', state.raw ? state.lastGemmaResponse : undefined);
+      state.commandOutput = state.lastGemmaResponse;
     }
 
-    function printHelp() {
-      const helpText = [
-        'Commands:',
-        '  help                    Show this help',
-        '  clear                   Clear log',
-        '  raw on|off              Toggle raw JSON logging (default: on)',
-        '',
-        '=== Core Commands ===',
-        '  rag query "<text>" [--top-k N] [--last-n M] [--period today|week|month]',
-        '  gemma rag "<question>" [--top-k N] [--max-tokens N]',
-        '  gemma chat "<question>" [--max-tokens N]',
-        '  emotion analyze "<text>"   Analyze emotion segments',
-        '  emotion summary            Summarize last emotion analysis',
-        '  show context               Show last RAG context',
-        '  show response              Show last Gemma response',
-        '  gpu                        Show Gemma GPU stats',
-        '  warmup                     Warm GPU (Gemma)',
-        '',
-        '=== ML Profit Commands ===',
-        '  ml test [member_id]        Run all ML endpoint tests',
-        '  ml crosssell <member_id>   Test cross-sell propensity',
-        '  ml churn <member_id>       Test churn prediction',
-        '  ml pricing <member_id> <loan_type> <amount> <term> <score>',
-        '                             Test loan pricing optimization',
-        '  ml features <member_id>    View member ML features',
-        '',
-        '=== Enterprise Commands ===',
-        '  qa stats                   Show QA statistics',
-        '  qa review [pending|all]    List feedback for review',
-        '  qa golden list             List golden answers',
-        '',
-        '  automation stats           Show automation statistics',
-        '  automation rules           List automation rules',
-        '  automation webhooks        List webhooks',
-        '',
-        '  knowledge stats            Show knowledge stats',
-        '  knowledge articles         List recent articles',
-        '  knowledge search "<query>" Search knowledge base',
-        '',
-        '  analytics stats            Show analytics stats',
-        '  analytics reports          List saved reports',
-        '',
-        '  meetings stats             Show meeting stats',
-        '  meetings list              List recent meetings',
-        '  meetings search "<query>"  Search meetings',
-        '',
-        '=== Banking Hub Commands (SCU) ===',
-        '  banking analyze <member_id>   Analyze member with role-based insights',
-        '  banking dataset <member_id>   Fetch raw dataset from Fiserv connector',
-        '  banking test                  Run full integration test',
-      ].join('\n');
-      appendLog('info', helpText);
+    function printHelp(tokens = []) {
+      if (tokens.length) {
+        const text = buildCommandHelp(tokens);
+        if (text) {
+          appendLog('info', text);
+          return;
+        }
+        const guess = suggest(tokens[0], COMMANDS);
+        appendLog('warn', `No help for "${tokens.join(' ')}".${guess ? ` Did you mean "${guess}"?` : ''}`);
+        return;
+      }
+      appendLog('info', buildHelpText());
     }
 
     // ===========================================
@@ -1220,17 +1578,245 @@
       appendLog('warn', 'Usage: banking analyze <member_id> | banking dataset <member_id> | banking test');
     }
 
-    async function dispatch(line) {
+    // ===========================================
+    // Scripting: pipes, variables, macros, scripts
+    // ===========================================
+
+    async function dispatch(line, depth = 0) {
       const trimmed = (line || '').trim();
       if (!trimmed) return;
       appendLog('debug', `> ${trimmed}`);
-      const tokens = tokenize(trimmed);
-      if (!tokens.length) return;
+
+      // Macro bodies keep their pipes and separators until the macro runs
+      if (/^macro\s/.test(trimmed) || trimmed === 'macro') {
+        handleMacro(trimmed);
+        return;
+      }
+
+      for (const statement of splitOutsideQuotes(trimmed, ';')) {
+        if (!statement.trim()) continue;
+        await runStatement(statement.trim(), depth);
+      }
+    }
+
+    async function runStatement(statement, depth) {
+      const letMatch = statement.match(/^let\s+([A-Za-z_]\w*)\s*=\s*(.*)$/);
+      if (letMatch) {
+        const [, name, rhs] = letMatch;
+        if (name === 'last' || name === 'in') {
+          appendLog('warn', `$${name} is reserved.`);
+          return;
+        }
+        const firstWord = tokenize(rhs)[0] || '';
+        let value;
+        if (COMMANDS.includes(firstWord) || firstWord.startsWith('@')) {
+          value = await runPipeline(rhs, depth);
+        } else {
+          value = tokenize(rhs).map((t) => expandVariables(t, variableScope())).join(' ');
+        }
+        state.vars[name] = value;
+        appendLog('info', `$${name} = ${describeValue(value)}`);
+        return;
+      }
+
+      const output = await runPipeline(statement, depth);
+      if (output !== undefined) state.lastOutput = output;
+    }
+
+    async function runPipeline(pipeline, depth) {
+      let input;
+      const stages = splitOutsideQuotes(pipeline, '|');
+      for (let i = 0; i < stages.length; i += 1) {
+        const stage = stages[i].trim();
+        if (!stage) {
+          appendLog('warn', 'Empty pipeline stage.');
+          return undefined;
+        }
+        const piped = i > 0;
+        const tokens = tokenize(stage).map((t) => expandVariables(t, variableScope(input)));
+        if (piped && !/\$in\b/.test(stage)) tokens.push(pipeText(input));
+        input = await runCommand(tokens, depth);
+        if (piped && input === undefined) {
+          appendLog('warn', `Pipeline stopped: "${stage}" produced no output.`);
+          return undefined;
+        }
+      }
+      return input;
+    }
+
+    function variableScope(input) {
+      return { ...state.vars, last: state.lastOutput, in: input };
+    }
+
+    function describeValue(value) {
+      const text = typeof value === 'string' ? value : JSON.stringify(value) ?? 'undefined';
+      return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+    }
+
+    async function runCommand(tokens, depth) {
+      if (!tokens.length) return undefined;
+      state.commandOutput = undefined;
       const [cmd, ...rest] = tokens;
+      if (cmd.startsWith('@')) {
+        await runMacro(cmd.slice(1), rest, depth);
+      } else {
+        await runBuiltin(cmd, rest);
+      }
+      return state.commandOutput;
+    }
+
+    function saveMacros() {
+      saveStored(MACROS_STORAGE_KEY, state.macros);
+    }
+
+    function handleMacro(line) {
+      const tokens = tokenize(line);
+      const sub = tokens[1] || 'list';
+      const name = tokens[2];
+
+      if (sub === 'list') {
+        const names = Object.keys(state.macros);
+        appendLog('info', names.length
+          ? names.map((n) => `@${n} (${state.macros[n].length} line${state.macros[n].length === 1 ? '' : 's'})`).join('\n')
+          : 'No saved macros. Create one with: macro def <name> <commands>');
+        return;
+      }
+      if (!name || !/^[A-Za-z_][\w-]*$/.test(name)) {
+        appendLog('warn', 'Usage: macro def|save|show|rm <name> ...');
+        return;
+      }
+      if (sub === 'def') {
+        // Take the body from the raw line so quotes, pipes and ; survive
+        const body = line.replace(/^macro\s+def\s+\S+\s*/, '');
+        const lines = splitOutsideQuotes(body, ';').map((l) => l.trim()).filter(Boolean);
+        if (!lines.length) {
+          appendLog('warn', 'Usage: macro def <name> <command> [; <command> ...]');
+          return;
+        }
+        state.macros[name] = lines;
+        saveMacros();
+        appendLog('success', `[Macro] saved @${name} (${lines.length} line${lines.length === 1 ? '' : 's'})`);
+        return;
+      }
+      if (sub === 'save') {
+        const count = Math.max(1, Number(tokens[3]) || 1);
+        // The macro command itself is already the newest history entry
+        const lines = state.history.slice(0, -1).filter((l) => !/^macro\b/.test(l)).slice(-count);
+        if (!lines.length) {
+          appendLog('warn', 'No commands in history to save.');
+          return;
+        }
+        state.macros[name] = lines;
+        saveMacros();
+        appendLog('success', `[Macro] saved @${name} from history:\n${lines.join('\n')}`);
+        return;
+      }
+      if (sub === 'show') {
+        if (!state.macros[name]) appendLog('warn', `No macro named @${name}.`);
+        else appendLog('info', `@${name}:\n${state.macros[name].join('\n')}`);
+        return;
+      }
+      if (sub === 'rm' || sub === 'delete') {
+        if (!state.macros[name]) {
+          appendLog('warn', `No macro named @${name}.`);
+          return;
+        }
+        delete state.macros[name];
+        saveMacros();
+        appendLog('info', `[Macro] removed @${name}`);
+        return;
+      }
+      appendLog('warn', 'Usage: macro def|save|show|rm <name> ... | macro list');
+    }
+
+    async function runMacro(name, args, depth) {
+      const lines = state.macros[name];
+      if (!lines) {
+        appendLog('warn', `Unknown macro: @${name}. Type "macro list" to see saved macros.`);
+        return;
+      }
+      if (depth >= MAX_MACRO_DEPTH) {
+        appendLog('error', `[Macro] @${name} nested too deeply (limit ${MAX_MACRO_DEPTH}).`);
+        return;
+      }
+      let output;
+      for (const line of lines) {
+        const expanded = line
+          .replace(/\$@/g, args.join(' '))
+          .replace(/\$([1-9])/g, (match, n) => args[Number(n) - 1] ?? '');
+        const previous = state.lastOutput;
+        await dispatch(expanded, depth + 1);
+        if (state.lastOutput !== previous) output = state.lastOutput;
+      }
+      state.commandOutput = output;
+    }
+
+    async function runScript(text, { label = 'script', stopOnError = false } = {}) {
+      const lines = String(text || '')
+        .split(/\r?\n/)
+        .map((l) => l.trim())
+        .filter((l) => l && !l.startsWith('#'));
+      if (!lines.length) {
+        appendLog('warn', `[Script] ${label} has no commands.`);
+        return [];
+      }
+      appendLog('info', `[Script] running ${label} (${lines.length} commands)`);
+      const timings = [];
+      const start = performance.now();
+      for (const line of lines) {
+        const errorsBefore = state.errorCount;
+        const lineStart = performance.now();
+        await dispatch(line);
+        const ok = state.errorCount === errorsBefore;
+        timings.push({ line, elapsed: performance.now() - lineStart, ok });
+        if (!ok && stopOnError) {
+          appendLog('warn', '[Script] stopped on first error (--stop-on-error).');
+          break;
+        }
+      }
+      const total = performance.now() - start;
+      const failed = timings.filter((t) => !t.ok).length;
+      const slowest = timings.reduce((a, b) => (b.elapsed > a.elapsed ? b : a));
+      const table = timings
+        .map((t, idx) => `${String(idx + 1).padStart(3)}. ${t.ok ? '✓' : '✗'} ${formatMs(t.elapsed).padStart(9)}  ${t.line}`)
+        .join('\n');
+      appendLog(
+        failed ? 'warn' : 'success',
+        `[Script] ${label}: ${timings.length}/${lines.length} commands in ${formatMs(total)} • ${timings.length - failed} ok, ${failed} failed • slowest ${formatMs(slowest.elapsed)}\n${table}`
+      );
+      return timings;
+    }
+
+    function pickScriptFile(tokens) {
+      const stopOnError = tokens.includes('--stop-on-error');
+      const picker = document.createElement('input');
+      picker.type = 'file';
+      picker.accept = '.txt,.rag,.cli,text/plain';
+      picker.addEventListener('change', async () => {
+        const file = picker.files && picker.files[0];
+        if (!file) return;
+        await runScript(await file.text(), { label: file.name, stopOnError });
+      });
+      picker.click();
+    }
+
+    function listVariables() {
+      const names = Object.keys(state.vars);
+      const lines = names.map((n) => `$${n} = ${describeValue(state.vars[n])}`);
+      if (state.lastOutput !== undefined) lines.push(`$last = ${describeValue(state.lastOutput)}`);
+      appendLog('info', lines.length ? lines.join('\n') : 'No variables set. Try: let hits = rag query "refund"');
+    }
+
+    async function runBuiltin(cmd, rest) {
+      const node = COMMAND_GRAMMAR[resolveCommand(cmd)];
+      if (node && node.subcommands && rest[0] && !node.subcommands[rest[0]]) {
+        const guess = suggest(rest[0], Object.keys(node.subcommands));
+        if (guess) appendLog('warn', `Unknown ${resolveCommand(cmd)} subcommand "${rest[0]}". Did you mean "${guess}"?`);
+      }
       switch (cmd) {
         case 'help':
         case '?':
-          printHelp();
+          printHelp(rest);
           break;
         case 'clear':
           clearLog();
@@ -1285,8 +1871,34 @@
         case 'bank':
           await handleBanking(rest);
           break;
-        default:
-          appendLog('warn', `Unknown command: ${cmd}. Type "help" for options.`);
+        // Scripting
+        case 'vars':
+          listVariables();
+          break;
+        case 'unset': {
+          const name = (rest[0] || '').replace(/^\$/, '');
+          if (!Object.prototype.hasOwnProperty.call(state.vars, name)) {
+            appendLog('warn', name ? `No variable named $${name}.` : 'Usage: unset <name>');
+          } else {
+            delete state.vars[name];
+            appendLog('info', `Removed $${name}`);
+          }
+          break;
+        }
+        case 'let':
+          appendLog('warn', 'Usage: let <name> = <command|text>');
+          break;
+        case 'macro':
+          handleMacro(['macro', ...rest].join(' '));
+          break;
+        case 'script':
+        case 'source':
+          pickScriptFile(rest);
+          break;
+        default: {
+          const guess = suggest(cmd, COMMANDS);
+          appendLog('warn', `Unknown command: ${cmd}.${guess ? ` Did you mean "${guess}"?` : ''} Type "help" for options.`);
+        }
       }
     }
 
@@ -1309,11 +1921,94 @@
       }
     }
 
+    // ===========================================
+    // Tab completion and ghost-text hints
+    // ===========================================
+
+    const ghostEl = inputEl ? createGhost(inputEl) : null;
+
+    // Overlay that shows the rest of a completion (or the argument hint) after the typed text.
+    function createGhost(input) {
+      const parent = input.parentNode;
+      if (!parent || typeof getComputedStyle !== 'function') return null;
+      if (getComputedStyle(parent).position === 'static') parent.style.position = 'relative';
+      const ghost = document.createElement('div');
+      ghost.className = 'rag-cli-ghost';
+      ghost.setAttribute('aria-hidden', 'true');
+      const style = getComputedStyle(input);
+      Object.assign(ghost.style, {
+        position: 'absolute',
+        pointerEvents: 'none',
+        overflow: 'hidden',
+        whiteSpace: 'pre',
+        font: style.font,
+        letterSpacing: style.letterSpacing,
+        padding: style.padding,
+        border: `${style.borderTopWidth} solid transparent`,
+        boxSizing: style.boxSizing,
+      });
+      parent.appendChild(ghost);
+      return ghost;
+    }
+
+    function completionContext() {
+      const value = inputEl.value;
+      const statements = splitOutsideQuotes(value, ';');
+      const stages = splitOutsideQuotes(statements[statements.length - 1], '|');
+      const stage = stages[stages.length - 1].replace(/^\s+/, '');
+      return { value, ...completeStage(stage, Object.keys(state.macros)) };
+    }
+
+    function updateGhost() {
+      if (!ghostEl) return;
+      const { value, word, candidates, hint } = completionContext();
+      let suffix = '';
+      if (candidates.length === 1 && word) {
+        suffix = candidates[0].slice(word.length);
+      } else if (!word && /\s$/.test(value)) {
+        if (hint) suffix = hint;
+        else if (candidates.length) suffix = `[${candidates.join('|')}]`;
+      }
+      Object.assign(ghostEl.style, {
+        left: `${inputEl.offsetLeft}px`,
+        top: `${inputEl.offsetTop}px`,
+        width: `${inputEl.offsetWidth}px`,
+        height: `${inputEl.offsetHeight}px`,
+      });
+      ghostEl.innerHTML = '';
+      if (!suffix || inputEl.scrollLeft > 0) return;
+      const typed = document.createElement('span');
+      typed.style.visibility = 'hidden';
+      typed.textContent = value;
+      const rest = document.createElement('span');
+      rest.style.opacity = '0.45';
+      rest.textContent = suffix;
+      ghostEl.appendChild(typed);
+      ghostEl.appendChild(rest);
+    }
+
+    function handleTab(evt) {
+      evt.preventDefault();
+      const { value, word, candidates } = completionContext();
+      if (!candidates.length) return;
+      const base = value.slice(0, value.length - word.length);
+      if (candidates.length === 1) {
+        inputEl.value = `${base}${candidates[0]} `;
+      } else {
+        const prefix = commonPrefix(candidates);
+        if (prefix.length > word.length) inputEl.value = `${base}${prefix}`;
+        else appendLog('info', candidates.join('  '));
+      }
+      updateGhost();
+    }
+
     async function handleSubmit() {
       if (!inputEl) return;
       const value = inputEl.value.trim();
       if (!value) return;
       state.history.push(value);
+      if (state.history.length > HISTORY_LIMIT) state.history.splice(0, state.history.length - HISTORY_LIMIT);
+      saveStored(HISTORY_STORAGE_KEY, state.history);
       state.historyIndex = -1;
       inputEl.value = '';
       await dispatch(value);
@@ -1327,11 +2022,17 @@
           await handleSubmit();
         } else if (evt.key === 'ArrowUp' || evt.key === 'ArrowDown') {
           handleHistoryNavigation(evt);
+        } else if (evt.key === 'Tab' && !evt.shiftKey) {
+          handleTab(evt);
         }
+        // Runs after the key has changed the value
+        setTimeout(updateGhost, 0);
       });
+      inputEl.addEventListener('input', updateGhost);
+      inputEl.addEventListener('blur', () => { if (ghostEl) ghostEl.innerHTML = ''; });
     }
     if (clearBtn) clearBtn.addEventListener('click', clearLog);
-    if (helpBtn) helpBtn.addEventListener('click', printHelp);
+    if (helpBtn) helpBtn.addEventListener('click', () => printHelp());
     if (toggleBtn) {
       toggleBtn.addEventListener('click', () => {
         root.classList.toggle('active');
@@ -1348,6 +2049,8 @@
       state,
       clear: clearLog,
       log: appendLog,
+      run: dispatch,
+      runScript,
     };
   }
 
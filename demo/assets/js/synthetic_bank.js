@@ -0,0 +1,979 @@
+/**
+ * Synthetic Credit Union Generator
+ * Seeded, deterministic population for the banking demo: members, accounts,
+ * cards, multi-month transactions with seasonal merchant spend, loans, loan
+ * applications, cases, member-service calls and labelled fraud patterns.
+ *
+ * Every entity draws from its own random stream keyed by (seed, entity), so
+ * member 73 of a 100k population is generated without generating the 72
+ * before it, and the same seed always yields the same credit union. Dates are
+ * relative to `asOf` (today, UTC midnight, unless pinned).
+ *
+ * Configure the shared population with JSON in localStorage
+ * 'syntheticBankConfig', e.g. { "seed": 7, "members": 100000, "months": 12 }.
+ */
+
+const SyntheticBank = (function () {
+    const DAY_MS = 86400000;
+    const DEFAULT_SEED = 20240601;
+    const DEFAULT_MEMBERS = 100;
+    const DEFAULT_MONTHS = 12;
+    const CONFIG_KEY = 'syntheticBankConfig';
+
+    const PARTY_BASE = 10001;
+    const ACCOUNT_BASE = 8899001;
+    const LOAN_BASE = 700001;
+
+    const FRAUD_RATE = 0.03;
+    const DISPUTE_RATE = 0.015;
+    const SERVICE_CASE_RATE = 0.008;
+    const APPLICATION_RATE = 0.04;
+    const RING_SIZE = 4;
+
+    // =========================================================================
+    // RANDOM STREAMS
+    // =========================================================================
+
+    /** FNV-1a hash of the joined key parts. */
+    function hashKey(parts) {
+        const str = parts.join('|');
+        let h = 2166136261;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 16777619);
+        }
+        return h >>> 0;
+    }
+
+    function mulberry32(a) {
+        return function () {
+            a = (a + 0x6D2B79F5) | 0;
+            let t = Math.imul(a ^ (a >>> 15), 1 | a);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Random stream for one entity.
+     * @param {...(string|number)} key - Seed followed by entity key parts
+     * @returns {Object} Stream with next/int/range/chance/pick/weighted/normal/poisson
+     */
+    function createRandom(...key) {
+        const next = mulberry32(hashKey(key));
+        return {
+            next,
+            int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+            range: (min, max) => min + next() * (max - min),
+            chance: p => next() < p,
+            pick: list => list[Math.floor(next() * list.length)],
+            weighted(list, weightOf = item => item.weight) {
+                const total = list.reduce((sum, item) => sum + weightOf(item), 0);
+                let roll = next() * total;
+                for (const item of list) {
+                    roll -= weightOf(item);
+                    if (roll < 0) return item;
+                }
+                return list[list.length - 1];
+            },
+            normal(mean, sd) {
+                const u = Math.max(next(), 1e-9);
+                return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * next());
+            },
+            poisson(lambda) {
+                const limit = Math.exp(-lambda);
+                let k = 0;
+                let p = next();
+                while (p > limit) {
+                    k++;
+                    p *= next();
+                }
+                return k;
+            }
+        };
+    }
+
+    /** Single uniform draw for a key; cheap enough to scan 100k members. */
+    function unit(...key) {
+        return mulberry32(hashKey(key))();
+    }
+
+    // =========================================================================
+    // REFERENCE DATA
+    // =========================================================================
+
+    const FIRST_NAMES = ['Sarah', 'Luis', 'Priya', 'Tom', 'Grace', 'Omar', 'Mei', 'Jack', 'Nina', 'Ravi',
+        'Emily', 'Marcus', 'Aisha', 'Daniel', 'Hannah', 'Carlos', 'Olivia', 'Ethan', 'Sofia', 'Liam',
+        'Chloe', 'Noah', 'Zoe', 'Ben', 'Fatima', 'Owen', 'Julia', 'Sam', 'Leah', 'Victor',
+        'Maya', 'Isaac', 'Ruth', 'Henry', 'Alice', 'Kenji', 'Rosa', 'Paul', 'Ivy', 'Frank'];
+    const LAST_NAMES = ['Jenkins', 'Ortega', 'Raman', 'Becker', 'Hall', 'Haddad', 'Chen', 'Wright', 'Novak', 'Patel',
+        'Sullivan', 'Murphy', 'Nguyen', 'Lambert', 'Cote', 'Fischer', 'Reyes', 'Bouchard', 'Kim', 'Walsh',
+        'Dubois', 'Morales', 'Foster', 'Quinn', 'Osei', 'Larsen', 'Gagnon', 'Brennan', 'Silva', 'Hughes',
+        'Ward', 'Ahmed', 'Roy', 'Campbell', 'Moreau', 'Tanaka', 'Price', 'Keller', 'Doyle', 'Pelletier'];
+    const STREETS = ['Main St', 'Elm St', 'Maple Ave', 'Oak St', 'Pleasant St', 'High St', 'Washington St', 'Park Ave', 'Middle St', 'Islington St'];
+    const CITIES = [
+        { city: 'Portsmouth', state: 'NH', zip: '03801', area: '603', branch: 'Portsmouth' },
+        { city: 'Dover', state: 'NH', zip: '03820', area: '603', branch: 'Dover' },
+        { city: 'Manchester', state: 'NH', zip: '03101', area: '603', branch: 'Manchester' },
+        { city: 'Nashua', state: 'NH', zip: '03060', area: '603', branch: 'Nashua' },
+        { city: 'Concord', state: 'NH', zip: '03301', area: '603', branch: 'Concord' },
+        { city: 'Kittery', state: 'ME', zip: '03904', area: '207', branch: 'Portsmouth' },
+        { city: 'Portland', state: 'ME', zip: '04101', area: '207', branch: 'Portland' },
+        { city: 'Newburyport', state: 'MA', zip: '01950', area: '978', branch: 'Portsmouth' }
+    ];
+    const BRANCHES = ['Portsmouth', 'Dover', 'Manchester', 'Nashua', 'Concord', 'Portland'];
+    const EMPLOYERS = ['Liberty Mutual', 'Lonza Biologics', 'Wentworth-Douglass Hospital', 'Timberland', 'Fidelity Investments', 'Portsmouth Naval Shipyard', 'BAE Systems', 'City of Dover'];
+
+    const SEGMENTS = [
+        { id: 'student', weight: 10, age: [18, 24], income: [8000, 28000], score: [580, 700], spendRate: 1.2 },
+        { id: 'young_professional', weight: 28, age: [25, 38], income: [45000, 110000], score: [640, 780], spendRate: 2.2 },
+        { id: 'family', weight: 30, age: [32, 55], income: [60000, 180000], score: [620, 800], spendRate: 2.8 },
+        { id: 'retiree', weight: 20, age: [62, 88], income: [28000, 90000], score: [680, 830], spendRate: 1.3 },
+        { id: 'small_business', weight: 12, age: [30, 65], income: [70000, 250000], score: [600, 790], spendRate: 2.5 }
+    ];
+
+    // Month multipliers, January first
+    const SEASONALITY = {
+        retail_online: [0.8, 0.8, 0.9, 0.9, 1, 1, 1, 1, 1, 1.1, 1.5, 1.8],
+        travel: [0.7, 0.8, 1, 0.9, 1.1, 1.5, 1.7, 1.5, 1, 0.9, 1, 1.3],
+        gas: [0.9, 0.9, 1, 1, 1.1, 1.2, 1.25, 1.2, 1.05, 1, 0.95, 1],
+        dining: [0.9, 0.9, 1, 1, 1.05, 1.1, 1.15, 1.1, 1, 1, 1.05, 1.2],
+        home: [0.6, 0.7, 1, 1.3, 1.5, 1.4, 1.2, 1.1, 1, 0.9, 0.8, 0.7],
+        utilities: [1.5, 1.4, 1.2, 1, 0.9, 1, 1.2, 1.25, 1, 0.95, 1.1, 1.4]
+    };
+
+    const SPEND_CATEGORIES = [
+        { category: 'grocery', mcc: '5411', weight: 22, amount: [25, 220], merchants: ['Hannaford', 'Market Basket', 'Whole Foods Market', "Shaw's"] },
+        { category: 'dining', mcc: '5812', weight: 18, amount: [5, 90], merchants: ["Dunkin'", 'Starbucks', 'Chipotle', 'Portsmouth Brewery'] },
+        { category: 'gas', mcc: '5541', weight: 10, amount: [30, 85], merchants: ['Irving Oil', 'Shell', 'Cumberland Farms'] },
+        { category: 'retail_online', mcc: '5399', weight: 16, amount: [15, 350], merchants: ['Amazon', 'Target', 'Walmart', 'Best Buy'], online: true },
+        { category: 'pharmacy', mcc: '5912', weight: 5, amount: [8, 80], merchants: ['CVS Pharmacy', 'Walgreens'] },
+        { category: 'entertainment', mcc: '7832', weight: 4, amount: [15, 180], merchants: ['AMC Theatres', 'Ticketmaster'], online: true },
+        { category: 'travel', mcc: '4511', weight: 3, amount: [20, 900], merchants: ['Delta Air Lines', 'Marriott', 'Uber'], online: true },
+        { category: 'home', mcc: '5200', weight: 6, amount: [20, 400], merchants: ['Home Depot', "Lowe's"] }
+    ];
+
+    const SUBSCRIPTIONS = [
+        { merchant: 'Netflix', amount: 15.49 },
+        { merchant: 'Spotify', amount: 11.99 },
+        { merchant: 'Disney+', amount: 13.99 },
+        { merchant: 'Amazon Prime', amount: 14.99 },
+        { merchant: 'Planet Fitness', amount: 24.99 }
+    ];
+
+    const FRAUD_PATTERNS = ['card_testing', 'structuring', 'account_takeover', 'mule_ring'];
+
+    const ANALYSTS = [
+        { id: 'analyst-1', name: 'Marcus Lee' },
+        { id: 'analyst-2', name: 'Dana Whitfield' },
+        { id: 'analyst-3', name: 'Priya Nair' },
+        { id: 'analyst-4', name: 'Tom Alvarez' }
+    ];
+    const AGENTS = ['agent-003', 'agent-007', 'agent-014', 'agent-022'];
+    const CALL_REASONS = ['Balance inquiry', 'Card dispute', 'Fee reversal', 'Loan payoff quote', 'Card replacement', 'Online banking access', 'Auto loan rates', 'Travel notice'];
+
+    // Slots within a member's block of ten account ids
+    const ACCOUNT_SLOTS = { Checking: 0, Savings: 1, 'Money Market': 2, Certificate: 3, 'Credit Card': 4 };
+    const LOAN_SLOTS = { Auto: 0, Mortgage: 1, Personal: 2, HELOC: 3 };
+
+    // =========================================================================
+    // HELPERS
+    // =========================================================================
+
+    const round2 = value => Math.round(value * 100) / 100;
+    const pad = (value, width) => String(value).padStart(width, '0');
+    const isoDate = date => date.toISOString().slice(0, 10);
+    const ascending = key => (a, b) => (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0);
+
+    function monthlyPayment(principal, annualRate, termMonths) {
+        const r = annualRate / 100 / 12;
+        return r ? principal * r / (1 - Math.pow(1 + r, -termMonths)) : principal / termMonths;
+    }
+
+    function remainingBalance(principal, annualRate, termMonths, paidMonths) {
+        if (paidMonths >= termMonths) return 0;
+        const r = annualRate / 100 / 12;
+        if (!r) return principal * (1 - paidMonths / termMonths);
+        const payment = monthlyPayment(principal, annualRate, termMonths);
+        return principal * Math.pow(1 + r, paidMonths) - payment * (Math.pow(1 + r, paidMonths) - 1) / r;
+    }
+
+    function rateFor(type, score) {
+        const base = { Auto: 5.49, Mortgage: 6.25, Personal: 9.99, HELOC: 7.5 }[type];
+        return round2(base + Math.max(0, (760 - score) / 40) * 0.75);
+    }
+
+    function gradeFor(score, dti) {
+        if (score >= 740 && dti < 30) return 'A';
+        if (score >= 680 && dti < 40) return 'B';
+        if (score >= 620 && dti < 45) return 'C';
+        return 'D';
+    }
+
+    /** Bounded memo: regenerating is cheap and deterministic, so evict freely. */
+    function createCache(limit) {
+        const entries = new Map();
+        return (key, build) => {
+            if (entries.has(key)) return entries.get(key);
+            const value = build();
+            if (entries.size >= limit) entries.delete(entries.keys().next().value);
+            entries.set(key, value);
+            return value;
+        };
+    }
+
+    function loadConfig() {
+        try {
+            return (typeof localStorage !== 'undefined' && JSON.parse(localStorage.getItem(CONFIG_KEY) || 'null')) || {};
+        } catch (_) {
+            return {};
+        }
+    }
+
+    // =========================================================================
+    // POPULATION
+    // =========================================================================
+
+    /**
+     * Create a synthetic credit union.
+     * @param {Object} [options]
+     * @param {number} [options.seed] - Random seed (same seed, same data)
+     * @param {number} [options.members=100] - Population size
+     * @param {number} [options.months=12] - Months of transaction history
+     * @param {string|Date} [options.asOf] - "Today" for the data; defaults to today (UTC)
+     * @returns {Object} Population with member/account/transaction/loan/case/call accessors
+     */
+    function createPopulation(options = {}) {
+        const seed = options.seed ?? DEFAULT_SEED;
+        const size = Math.max(1, Math.floor(options.members || DEFAULT_MEMBERS));
+        const months = Math.max(1, Math.floor(options.months || DEFAULT_MONTHS));
+        const asOfDate = options.asOf ? new Date(options.asOf) : new Date();
+        const asOf = new Date(Date.UTC(asOfDate.getUTCFullYear(), asOfDate.getUTCMonth(), asOfDate.getUTCDate()));
+        const historyDays = Math.round(months * 30.44);
+
+        const memberCache = createCache(10000);
+        const ledgerCache = createCache(300);
+        const memo = {};
+
+        const daysAgo = days => new Date(asOf.getTime() - days * DAY_MS);
+        const random = (...key) => createRandom(seed, ...key);
+
+        // ---------------------------------------------------------------------
+        // Identity
+        // ---------------------------------------------------------------------
+
+        const partyId = index => `P${PARTY_BASE + index}`;
+
+        /** Index for a party or account id; unknown ids hash onto a member. */
+        function indexOf(id) {
+            const text = String(id || '');
+            const number = Number(text.slice(1));
+            if (/^P\d+$/.test(text) && number - PARTY_BASE < size && number >= PARTY_BASE) return number - PARTY_BASE;
+            if (/^A\d+$/.test(text) && number >= ACCOUNT_BASE) {
+                const index = Math.floor((number - ACCOUNT_BASE) / 10);
+                if (index < size) return index;
+            }
+            return hashKey([seed, text]) % size;
+        }
+
+        function fraudPatternOf(index) {
+            if (unit(seed, 'fraud', index) >= FRAUD_RATE) return null;
+            return FRAUD_PATTERNS[Math.floor(unit(seed, 'fraud-pattern', index) * FRAUD_PATTERNS.length)];
+        }
+
+        /** All members carrying a fraud pattern, in index order. */
+        function fraudIndexes() {
+            if (!memo.fraud) {
+                memo.fraud = [];
+                for (let i = 0; i < size; i++) {
+                    if (fraudPatternOf(i)) memo.fraud.push(i);
+                }
+            }
+            return memo.fraud;
+        }
+
+        /** Mule rings: consecutive mule members grouped RING_SIZE at a time. */
+        function ringOf(index) {
+            if (!memo.rings) {
+                const mules = fraudIndexes().filter(i => fraudPatternOf(i) === 'mule_ring');
+                memo.rings = new Map();
+                mules.forEach((i, n) => {
+                    const ring = Math.floor(n / RING_SIZE);
+                    memo.rings.set(i, { ring_id: `RING-${pad(ring + 1, 3)}`, members: mules.slice(ring * RING_SIZE, ring * RING_SIZE + RING_SIZE) });
+                });
+            }
+            return memo.rings.get(index) || null;
+        }
+
+        // ---------------------------------------------------------------------
+        // Members
+        // ---------------------------------------------------------------------
+
+        function buildMember(index) {
+            const rng = random('member', index);
+            const segment = rng.weighted(SEGMENTS);
+            const first = rng.pick(FIRST_NAMES);
+            const last = rng.pick(LAST_NAMES);
+            const { place, address: ownAddress } = homeOf(index);
+            const age = rng.int(segment.age[0], segment.age[1]);
+            const income = Math.round(rng.range(segment.income[0], segment.income[1]) / 500) * 500;
+            const fraudPattern = fraudPatternOf(index);
+            const ring = fraudPattern === 'mule_ring' ? ringOf(index) : null;
+            const score = Math.round(Math.min(850, Math.max(520, rng.normal((segment.score[0] + segment.score[1]) / 2, 35))));
+            const tenureYears = Math.min(age - 17, rng.int(0, 25));
+            const address = ring ? homeOf(ring.members[0]).address : ownAddress;
+
+            const member = {
+                party_id: partyId(index),
+                index,
+                name: `${first} ${last}`,
+                first_name: first,
+                last_name: last,
+                email: `${first}.${last}${index}@example.com`.toLowerCase().replace(/'/g, ''),
+                phone: `(${place.area}) 555-${pad(rng.int(0, 9999), 4)}`,
+                dob: isoDate(new Date(Date.UTC(asOf.getUTCFullYear() - age, rng.int(0, 11), rng.int(1, 28)))),
+                age,
+                address,
+                branch: place.branch,
+                segment: segment.id,
+                employer: segment.id === 'retiree' || segment.id === 'small_business' ? null : rng.pick(EMPLOYERS),
+                annual_income: income,
+                credit_score: score,
+                member_since: isoDate(daysAgo(Math.round(tenureYears * 365.25) + rng.int(30, 360))),
+                fraud_pattern: fraudPattern,
+                ring_id: ring ? ring.ring_id : null,
+                device_ids: ring ? [`D-${ring.ring_id}`] : Array.from({ length: rng.int(1, 3) }, (_, k) => `D${pad(hashKey([seed, 'device', index, k]) % 1e8, 8)}`),
+                risk_rating: fraudPattern ? 'high' : score < 620 ? 'medium' : 'low'
+            };
+            member.accounts = accountsFor(member).map(account => account.account_id);
+            return member;
+        }
+
+        /** Home location has its own stream so ring members can share a leader's address. */
+        function homeOf(index) {
+            const rng = random('home', index);
+            const place = rng.pick(CITIES);
+            return { place, address: { street: `${rng.int(1, 299)} ${rng.pick(STREETS)}`, city: place.city, state: place.state, zip: place.zip } };
+        }
+
+        function member(index) {
+            if (index < 0 || index >= size) return null;
+            return memberCache(index, () => buildMember(index));
+        }
+
+        // ---------------------------------------------------------------------
+        // Accounts, cards, loans
+        // ---------------------------------------------------------------------
+
+        function accountsFor(m) {
+            const rng = random('accounts', m.index);
+            const opened = m.member_since;
+            const monthlyIncome = m.annual_income / 12;
+            const make = (type, name, balance, extra = {}) => ({
+                account_id: `A${ACCOUNT_BASE + m.index * 10 + ACCOUNT_SLOTS[type]}`,
+                member_id: m.party_id,
+                type,
+                name,
+                status: 'Active',
+                balance: round2(balance),
+                open_date: opened,
+                ...extra
+            });
+            const list = [make('Checking', m.annual_income > 120000 ? 'Premium Checking' : 'Free Checking', monthlyIncome * rng.range(0.3, 1.8), { rate: 0.05 })];
+            if (rng.chance(m.segment === 'student' ? 0.5 : 0.85)) {
+                list.push(make('Savings', 'High Yield Savings', monthlyIncome * rng.range(0.5, 8), { rate: 3.85 }));
+            }
+            if (m.annual_income > 120000 && rng.chance(0.4)) {
+                list.push(make('Money Market', 'Money Market', monthlyIncome * rng.range(3, 14), { rate: 4.1 }));
+            }
+            if (m.segment === 'retiree' && rng.chance(0.5)) {
+                list.push(make('Certificate', '12-Month Certificate', rng.range(5000, 60000), { rate: 4.6 }));
+            }
+            if (m.segment !== 'student' || rng.chance(0.3)) {
+                if (rng.chance(0.55)) {
+                    const limit = Math.round(Math.min(25000, m.annual_income * 0.15) / 500) * 500 || 500;
+                    list.push(make('Credit Card', 'Visa Signature', limit * rng.range(0.05, 0.6), { credit_limit: limit, rate: 17.99 }));
+                }
+            }
+            return list;
+        }
+
+        function accounts(memberId) {
+            const m = member(indexOf(memberId));
+            return m ? accountsFor(m) : [];
+        }
+
+        function account(accountId) {
+            return accounts(accountId).find(a => a.account_id === accountId) || null;
+        }
+
+        function cards(memberId) {
+            const m = member(indexOf(memberId));
+            if (!m) return [];
+            const rng = random('cards', m.index);
+            return accountsFor(m)
+                .filter(a => a.type === 'Checking' || a.type === 'Credit Card')
+                .map(a => {
+                    const credit = a.type === 'Credit Card';
+                    const lost = m.fraud_pattern === 'card_testing' && !credit;
+                    return {
+                        card_id: `C${a.account_id.slice(1)}`,
+                        member_id: m.party_id,
+                        account_id: a.account_id,
+                        type: credit ? 'credit' : 'debit',
+                        network: credit ? 'Visa' : 'Mastercard',
+                        last4: pad(hashKey([seed, 'card', a.account_id]) % 10000, 4),
+                        status: lost ? 'locked' : rng.chance(0.03) ? 'lost' : 'active',
+                        expires: `${pad(rng.int(1, 12), 2)}/${(asOf.getUTCFullYear() + rng.int(1, 4)) % 100}`,
+                        credit_limit: a.credit_limit || null
+                    };
+                });
+        }
+
+        function loans(memberId) {
+            const m = member(indexOf(memberId));
+            if (!m) return [];
+            const rng = random('loans', m.index);
+            const chances = {
+                student: { Auto: 0.1, Mortgage: 0, Personal: 0.15, HELOC: 0 },
+                young_professional: { Auto: 0.35, Mortgage: 0.25, Personal: 0.12, HELOC: 0.03 },
+                family: { Auto: 0.45, Mortgage: 0.55, Personal: 0.12, HELOC: 0.15 },
+                retiree: { Auto: 0.2, Mortgage: 0.25, Personal: 0.05, HELOC: 0.1 },
+                small_business: { Auto: 0.35, Mortgage: 0.4, Personal: 0.1, HELOC: 0.12 }
+            }[m.segment];
+            const principals = { Auto: [12000, 45000], Mortgage: [180000, 520000], Personal: [2000, 15000], HELOC: [15000, 90000] };
+            const terms = { Auto: [48, 60, 72], Mortgage: [180, 360], Personal: [24, 36, 48], HELOC: [120] };
+            const delinquencyChance = Math.min(0.25, Math.max(0.005, (700 - m.credit_score) / 400));
+
+            return Object.keys(LOAN_SLOTS).filter(type => rng.chance(chances[type])).map(type => {
+                const principal = Math.round(rng.range(...principals[type]) / 100) * 100;
+                const term = rng.pick(terms[type]);
+                const rate = rateFor(type, m.credit_score);
+                const ageMonths = rng.int(1, Math.min(term - 1, 120));
+                const late = rng.chance(delinquencyChance);
+                const daysPastDue = late ? rng.pick([30, 60, 90]) : 0;
+                return {
+                    loan_id: `L${LOAN_BASE + m.index * 10 + LOAN_SLOTS[type]}`,
+                    member_id: m.party_id,
+                    type,
+                    principal,
+                    balance: round2(remainingBalance(principal, rate, term, ageMonths)),
+                    rate,
+                    term_months: term,
+                    monthly_payment: round2(monthlyPayment(principal, rate, term)),
+                    payment_day: rng.int(5, 25),
+                    origination_date: isoDate(daysAgo(Math.round(ageMonths * 30.44))),
+                    status: daysPastDue ? `${daysPastDue}_dpd` : 'current',
+                    days_past_due: daysPastDue
+                };
+            });
+        }
+
+        // ---------------------------------------------------------------------
+        // Ledger (all transactions and profile events for one member)
+        // ---------------------------------------------------------------------
+
+        function buildLedger(index) {
+            const m = member(index);
+            const rng = random('ledger', index);
+            const accts = accountsFor(m);
+            const checking = accts.find(a => a.type === 'Checking');
+            const savings = accts.find(a => a.type === 'Savings');
+            const credit = accts.find(a => a.type === 'Credit Card');
+            const memberLoans = loans(m.party_id);
+            const mortgage = memberLoans.find(l => l.type === 'Mortgage');
+            const cardLast4 = accountId => pad(hashKey([seed, 'card', accountId]) % 10000, 4);
+            const subscriptions = SUBSCRIPTIONS.filter(() => rng.chance(0.4)).map(sub => ({ ...sub, day: rng.int(3, 27) }));
+            const utilityBase = rng.range(70, 160);
+            const internetBill = round2(rng.range(89.99, 129.99));
+            const segment = SEGMENTS.find(s => s.id === m.segment);
+            const payrollParity = index % 2;
+            const transactions = [];
+            const events = [];
+            let seq = 0;
+            let cardSpend = 0;
+
+            const push = (acct, date, fields) => {
+                const posted = new Date(date.getTime() + (fields.hour ?? rng.int(7, 21)) * 3600000 + rng.int(0, 59) * 60000);
+                delete fields.hour;
+                transactions.push({
+                    transaction_id: `TX${pad(index, 6)}${pad(++seq, 5)}`,
+                    account_id: acct.account_id,
+                    member_id: m.party_id,
+                    date: isoDate(date),
+                    posted_at: posted.toISOString(),
+                    merchant: null,
+                    category: null,
+                    mcc: null,
+                    channel: 'ach',
+                    card_last4: null,
+                    counterparty_id: null,
+                    fraud_label: null,
+                    ...fields,
+                    amount: round2(fields.amount)
+                });
+            };
+
+            for (let offset = historyDays; offset >= 0; offset--) {
+                const date = daysAgo(offset);
+                const dom = date.getUTCDate();
+                const dow = date.getUTCDay();
+                const month = date.getUTCMonth();
+                const lastOfMonth = daysAgo(offset - 1).getUTCDate() === 1;
+
+                // Income
+                if (m.segment === 'retiree') {
+                    if (dom === 3) push(checking, date, { description: 'SSA TREAS 310 XXSOC SEC', amount: m.annual_income / 12 * 0.9, dr_cr: 'CR', type: 'ach', category: 'income', hour: 6 });
+                } else if (m.segment === 'small_business') {
+                    if (dow === 2) push(checking, date, { description: 'Client Payment - ACH', amount: m.annual_income / 52 * rng.range(0.6, 1.4), dr_cr: 'CR', type: 'ach', category: 'income', hour: 6 });
+                } else if (dow === 5 && Math.floor(offset / 7) % 2 === payrollParity) {
+                    const employer = m.employer || 'Part-Time Employer';
+                    push(checking, date, { description: `Payroll Deposit - ${employer}`, amount: m.annual_income / 26 * 0.74 * rng.range(0.98, 1.02), dr_cr: 'CR', type: 'ach', category: 'income', hour: 6 });
+                }
+
+                // Housing, loans, bills
+                if (dom === 1) {
+                    if (mortgage) {
+                        push(checking, date, { description: 'Mortgage Payment', amount: mortgage.monthly_payment, dr_cr: 'DR', type: 'ach', category: 'housing', hour: 8 });
+                    } else if (m.segment !== 'retiree') {
+                        push(checking, date, { description: 'Rent Payment - Seacoast Property Mgmt', amount: m.annual_income / 12 * 0.28, dr_cr: 'DR', type: 'ach', category: 'housing', hour: 8 });
+                    }
+                }
+                memberLoans.forEach(loan => {
+                    if (loan.type !== 'Mortgage' && dom === loan.payment_day) {
+                        push(checking, date, { description: `${loan.type} Loan Payment`, amount: loan.monthly_payment, dr_cr: 'DR', type: 'transfer', category: 'loan_payment', hour: 8 });
+                    }
+                });
+                if (dom === 15) push(checking, date, { description: 'Eversource Energy', merchant: 'Eversource Energy', amount: utilityBase * SEASONALITY.utilities[month], dr_cr: 'DR', type: 'ach', category: 'utilities' });
+                if (dom === 20) push(checking, date, { description: 'Comcast Xfinity', merchant: 'Comcast Xfinity', amount: internetBill, dr_cr: 'DR', type: 'ach', category: 'utilities' });
+                subscriptions.forEach(sub => {
+                    if (dom === sub.day) push(credit || checking, date, { description: sub.merchant, merchant: sub.merchant, amount: sub.amount, dr_cr: 'DR', type: 'card', channel: 'online', category: 'subscription', card_last4: cardLast4((credit || checking).account_id) });
+                });
+
+                // Savings sweep and dividends
+                if (savings && dom === 2) {
+                    const amount = m.annual_income / 12 * 0.05;
+                    push(checking, date, { description: 'Transfer to Savings', amount, dr_cr: 'DR', type: 'transfer', channel: 'mobile', category: 'transfer', counterparty_id: savings.account_id, hour: 9 });
+                    push(savings, date, { description: 'Transfer from Checking', amount, dr_cr: 'CR', type: 'transfer', channel: 'mobile', category: 'transfer', counterparty_id: checking.account_id, hour: 9 });
+                }
+                if (savings && lastOfMonth) {
+                    push(savings, date, { description: 'Dividend', amount: savings.balance * savings.rate / 100 / 12, dr_cr: 'CR', type: 'interest', category: 'interest', hour: 23 });
+                }
+
+                // Credit card statement payment
+                if (credit && dom === 25 && cardSpend > 0) {
+                    push(checking, date, { description: 'Visa Signature Payment', amount: cardSpend, dr_cr: 'DR', type: 'transfer', category: 'card_payment', counterparty_id: credit.account_id, hour: 10 });
+                    push(credit, date, { description: 'Payment - Thank You', amount: cardSpend, dr_cr: 'CR', type: 'transfer', category: 'card_payment', counterparty_id: checking.account_id, hour: 10 });
+                    cardSpend = 0;
+                }
+
+                // Discretionary card spend with seasonality
+                const count = rng.poisson(segment.spendRate * (dow === 0 || dow === 6 ? 1.25 : 1));
+                for (let k = 0; k < count; k++) {
+                    const spend = rng.weighted(SPEND_CATEGORIES, c => c.weight * (SEASONALITY[c.category]?.[month] ?? 1));
+                    const merchant = rng.pick(spend.merchants);
+                    const useCredit = credit && rng.chance(0.45);
+                    const acct = useCredit ? credit : checking;
+                    const amount = rng.range(spend.amount[0], spend.amount[1]) * (SEASONALITY[spend.category]?.[month] ?? 1);
+                    if (useCredit) cardSpend += amount;
+                    push(acct, date, {
+                        description: spend.online ? `${merchant.toUpperCase()}*ONLINE` : merchant,
+                        merchant,
+                        category: spend.category,
+                        mcc: spend.mcc,
+                        amount,
+                        dr_cr: 'DR',
+                        type: 'card',
+                        channel: spend.online ? 'online' : 'pos',
+                        card_last4: cardLast4(acct.account_id)
+                    });
+                }
+                if (m.segment === 'small_business' && dow === 5 && rng.chance(0.15)) {
+                    push(checking, date, { description: `Cash Deposit - ${m.branch} Branch`, amount: rng.range(2000, 18000), dr_cr: 'CR', type: 'cash', channel: 'branch', category: 'cash' });
+                }
+                if (rng.chance(0.04)) {
+                    push(checking, date, { description: `ATM Withdrawal - ${m.branch}`, amount: rng.int(2, 10) * 20, dr_cr: 'DR', type: 'cash', channel: 'atm', category: 'cash' });
+                }
+            }
+
+            injectFraud(m, rng, { checking, push, events });
+
+            transactions.sort(ascending('posted_at'));
+            return { transactions, events };
+        }
+
+        /** Labelled fraud activity in the last 30 days, by the member's pattern. */
+        function injectFraud(m, rng, { checking, push, events }) {
+            if (!m.fraud_pattern) return;
+            const label = m.fraud_pattern;
+            const start = rng.int(4, 28);
+
+            if (label === 'card_testing') {
+                const day = daysAgo(start);
+                const tests = rng.int(6, 10);
+                for (let k = 0; k < tests; k++) {
+                    push(checking, day, { description: `DIGITALGOODS*${rng.int(1000, 9999)}`, merchant: 'DIGITALGOODS', category: 'retail_online', mcc: '5818', amount: rng.range(0.5, 2), dr_cr: 'DR', type: 'card', channel: 'online', card_last4: pad(hashKey([seed, 'card', checking.account_id]) % 10000, 4), fraud_label: label, hour: 2 });
+                }
+                for (let k = 0; k < rng.int(1, 3); k++) {
+                    push(checking, daysAgo(start - 1), { description: 'BESTBUY.COM*ONLINE', merchant: 'Best Buy', category: 'retail_online', mcc: '5732', amount: rng.range(400, 1800), dr_cr: 'DR', type: 'card', channel: 'online', card_last4: pad(hashKey([seed, 'card', checking.account_id]) % 10000, 4), fraud_label: label, hour: 3 });
+                }
+            } else if (label === 'structuring') {
+                let day = start;
+                for (let k = 0; k < rng.int(4, 6) && day >= 0; k++) {
+                    const branch = rng.pick(BRANCHES);
+                    push(checking, daysAgo(day), { description: `Cash Deposit - ${branch} Branch`, amount: rng.range(9000, 9900), dr_cr: 'CR', type: 'cash', channel: 'branch', category: 'cash', fraud_label: label });
+                    day -= rng.int(1, 3);
+                }
+            } else if (label === 'account_takeover') {
+                events.push({ date: isoDate(daysAgo(start)), kind: 'profile_change', description: 'Email and phone changed via online banking from a new device' });
+                events.push({ date: isoDate(daysAgo(start)), kind: 'new_payee', description: 'External payee added: Coastal Holdings LLC' });
+                push(checking, daysAgo(Math.max(0, start - 1)), { description: 'Wire Transfer Out - Coastal Holdings LLC', amount: rng.range(5000, 25000), dr_cr: 'DR', type: 'wire', channel: 'online', category: 'transfer', fraud_label: label, hour: 4 });
+            } else if (label === 'mule_ring') {
+                const ring = ringOf(m.index);
+                let received = 0;
+                ring.members.filter(i => i !== m.index).forEach(other => {
+                    // Each ordered pair gets one transfer; both ledgers derive it from the same key
+                    [[other, m.index], [m.index, other]].forEach(([from, to]) => {
+                        const pair = createRandom(seed, 'ring-transfer', from, to);
+                        const day = daysAgo(pair.int(3, 25));
+                        const amount = pair.range(1500, 4800);
+                        const inbound = to === m.index;
+                        if (inbound) received += amount;
+                        push(checking, day, {
+                            description: inbound ? `Zelle from ${member(from).name}` : `Zelle to ${member(to).name}`,
+                            amount,
+                            dr_cr: inbound ? 'CR' : 'DR',
+                            type: 'p2p',
+                            channel: 'mobile',
+                            category: 'transfer',
+                            counterparty_id: partyId(inbound ? from : to),
+                            fraud_label: label,
+                            hour: pair.int(0, 23)
+                        });
+                    });
+                });
+                push(checking, daysAgo(1), { description: 'Wire Transfer Out - International', amount: received * 0.9, dr_cr: 'DR', type: 'wire', channel: 'online', category: 'transfer', fraud_label: label });
+            }
+        }
+
+        function ledger(memberId) {
+            const index = indexOf(memberId);
+            return ledgerCache(index, () => buildLedger(index));
+        }
+
+        /**
+         * Transactions for an account or a member, newest first.
+         * @param {string} id - Account id (A...) or party id (P...)
+         * @param {{days?: number}} [filter]
+         * @returns {Object[]}
+         */
+        function transactions(id, filter = {}) {
+            const all = ledger(id).transactions;
+            const cutoff = filter.days ? isoDate(daysAgo(filter.days)) : '';
+            const byAccount = String(id).startsWith('A');
+            return all
+                .filter(tx => (!byAccount || tx.account_id === id) && tx.date >= cutoff)
+                .reverse();
+        }
+
+        // ---------------------------------------------------------------------
+        // Service history
+        // ---------------------------------------------------------------------
+
+        function calls(memberId) {
+            const m = member(indexOf(memberId));
+            if (!m) return [];
+            const rng = random('calls', m.index);
+            const count = rng.int(0, m.fraud_pattern ? 4 : 3);
+            return Array.from({ length: count }, (_, k) => {
+                const started = new Date(daysAgo(rng.int(0, 90)).getTime() + rng.int(8 * 60, 19 * 60) * 60000);
+                return {
+                    call_id: `CALL-${pad(m.index, 6)}${k + 1}`,
+                    member_id: m.party_id,
+                    ani: m.phone,
+                    started_at: started.toISOString(),
+                    reason: m.fraud_pattern && k === 0 ? 'Card dispute' : rng.pick(CALL_REASONS),
+                    duration: rng.int(90, 900),
+                    agent_id: rng.pick(AGENTS),
+                    sentiment: rng.pick(['positive', 'neutral', 'neutral', 'negative'])
+                };
+            }).sort(ascending('started_at')).reverse();
+        }
+
+        /**
+         * A deterministic sample of recent calls across the population.
+         * @param {number} [limit=20]
+         */
+        function recentCalls(limit = 20) {
+            const rng = random('recent-calls');
+            const seen = new Set();
+            const found = [];
+            for (let tries = 0; found.length < limit && tries < limit * 10; tries++) {
+                const index = rng.int(0, size - 1);
+                if (seen.has(index)) continue;
+                seen.add(index);
+                const latest = calls(partyId(index))[0];
+                if (latest) found.push(latest);
+            }
+            return found.sort(ascending('started_at')).reverse();
+        }
+
+        /**
+         * Member activity for the Member 360 timeline, newest first.
+         * @param {string} memberId
+         * @param {number} [limit=12]
+         */
+        function timeline(memberId, limit = 12) {
+            const m = member(indexOf(memberId));
+            if (!m) return [];
+            const { transactions: txs, events } = ledger(m.party_id);
+            const items = [];
+            accountsFor(m).forEach(a => items.push({ date: a.open_date, title: 'Account Opened', description: `${a.name} (${a.account_id})`, color: '#8b5cf6' }));
+            loans(m.party_id).forEach(l => items.push({ date: l.origination_date, title: `${l.type} Loan Funded`, description: `$${l.principal.toLocaleString()} at ${l.rate}% for ${l.term_months} months`, color: '#f59e0b' }));
+            calls(m.party_id).forEach(c => items.push({ date: c.started_at, title: 'Called Member Services', description: c.reason, color: '#3b82f6' }));
+            events.forEach(e => items.push({ date: e.date, title: e.kind === 'new_payee' ? 'Payee Added' : 'Profile Updated', description: e.description, color: '#6366f1' }));
+            txs.filter(tx => tx.fraud_label || (tx.dr_cr === 'CR' && tx.amount >= 1000 && tx.category !== 'income'))
+                .forEach(tx => items.push({
+                    date: tx.posted_at,
+                    title: tx.fraud_label ? 'Fraud Alert' : 'Large Deposit',
+                    description: `${tx.description}: $${tx.amount.toLocaleString(undefined, { minimumFractionDigits: 2 })}`,
+                    color: tx.fraud_label ? '#ef4444' : '#10b981'
+                }));
+            return items.sort(ascending('date')).reverse().slice(0, limit);
+        }
+
+        // ---------------------------------------------------------------------
+        // Population-level views
+        // ---------------------------------------------------------------------
+
+        /**
+         * Page through members in index order.
+         * @param {{offset?: number, limit?: number}} [page]
+         */
+        function members({ offset = 0, limit = 50 } = {}) {
+            const end = Math.min(size, offset + limit);
+            const list = [];
+            for (let i = Math.max(0, offset); i < end; i++) list.push(member(i));
+            return list;
+        }
+
+        /**
+         * Find members by name, email, phone or account id.
+         * @param {{name?: string, email?: string, phone?: string, account_id?: string}} criteria
+         * @param {number} [limit=25]
+         */
+        function searchMembers(criteria = {}, limit = 25) {
+            if (criteria.account_id) {
+                const owner = member(indexOf(criteria.account_id));
+                return owner && owner.accounts.includes(criteria.account_id) ? [owner] : [];
+            }
+            const name = String(criteria.name || '').toLowerCase();
+            const email = String(criteria.email || '').toLowerCase();
+            const phone = String(criteria.phone || '').replace(/\D/g, '');
+            const found = [];
+            for (let i = 0; i < size && found.length < limit; i++) {
+                const m = member(i);
+                if (name && !m.name.toLowerCase().includes(name) && m.party_id.toLowerCase() !== name) continue;
+                if (email && m.email !== email) continue;
+                if (phone && !m.phone.replace(/\D/g, '').endsWith(phone)) continue;
+                found.push(m);
+            }
+            return found;
+        }
+
+        function fraudMembers() {
+            return fraudIndexes().map(member);
+        }
+
+        function cases() {
+            if (memo.cases) return memo.cases;
+            const list = [];
+            const caseFor = (m, fields) => {
+                const rng = random('case', m.index, fields.type);
+                const created = daysAgo(fields.age_days);
+                const analyst = rng.pick(ANALYSTS);
+                const closed = fields.age_days > 10 && rng.chance(0.7);
+                const status = closed ? 'closed' : fields.age_days > 3 ? rng.pick(['in_progress', 'escalated']) : 'open';
+                const dueDays = { critical: 1, high: 3, medium: 7, low: 14 }[fields.priority];
+                list.push({
+                    type: fields.type,
+                    subject: fields.subject,
+                    description: fields.description,
+                    member_id: m.party_id,
+                    account_id: m.accounts[0],
+                    priority: fields.priority,
+                    status,
+                    assignee_id: analyst.id,
+                    assignee_name: analyst.name,
+                    created_at: created.toISOString(),
+                    due_date: new Date(created.getTime() + dueDays * DAY_MS).toISOString(),
+                    resolved_at: closed ? new Date(created.getTime() + rng.int(1, 8) * DAY_MS).toISOString() : null,
+                    resolution_summary: closed ? fields.resolution : null,
+                    fraud_pattern: m.fraud_pattern,
+                    timeline: [{ event_type: 'created', timestamp: created.toISOString(), user_name: 'System', note: 'Case opened' }]
+                });
+            };
+            const subjects = {
+                card_testing: ['fraud', 'high', 'Card testing followed by large online purchases', 'Burst of sub-$2 card-not-present authorizations, then high-value electronics orders.', 'Card reissued; member reimbursed.'],
+                structuring: ['aml', 'high', 'Structured cash deposits below CTR threshold', 'Multiple cash deposits between $9,000 and $9,900 across branches.', 'SAR filed; monitoring continues.'],
+                account_takeover: ['fraud', 'critical', 'Possible account takeover', 'Contact details changed from a new device, new payee added, then an outbound wire.', 'Wire recalled; credentials reset.'],
+                mule_ring: ['aml', 'critical', 'Suspected money mule activity', 'Rapid P2P inflows from linked members followed by an international wire.', 'Accounts restricted; SAR filed.']
+            };
+            for (let i = 0; i < size; i++) {
+                const pattern = fraudPatternOf(i);
+                if (pattern) {
+                    const [type, priority, subject, description, resolution] = subjects[pattern];
+                    caseFor(member(i), { type, priority, subject, description, resolution, age_days: Math.round(unit(seed, 'case-age', i) * 27) + 1 });
+                }
+                if (unit(seed, 'dispute', i) < DISPUTE_RATE) {
+                    const merchant = SPEND_CATEGORIES[Math.floor(unit(seed, 'dispute-merchant', i) * SPEND_CATEGORIES.length)].merchants[0];
+                    caseFor(member(i), { type: 'dispute', priority: 'medium', subject: `Disputed charge at ${merchant}`, description: 'Member reports a charge they do not recognize.', resolution: 'Provisional credit made permanent.', age_days: Math.round(unit(seed, 'dispute-age', i) * 44) + 1 });
+                }
+                if (unit(seed, 'service', i) < SERVICE_CASE_RATE) {
+                    caseFor(member(i), { type: 'service', priority: 'low', subject: 'Address change verification', description: 'Address changed online followed by a new card request.', resolution: 'Verified with member by phone.', age_days: Math.round(unit(seed, 'service-age', i) * 30) + 1 });
+                }
+            }
+            list.sort(ascending('created_at')).forEach((c, n) => {
+                c.id = `CASE-${1001 + n}`;
+            });
+            memo.cases = list.reverse();
+            return memo.cases;
+        }
+
+        function loanApplications() {
+            if (memo.applications) return memo.applications;
+            const list = [];
+            for (let i = 0; i < size; i++) {
+                if (unit(seed, 'application', i) >= APPLICATION_RATE) continue;
+                const m = member(i);
+                const rng = random('application', i);
+                const type = rng.weighted([{ type: 'Auto', weight: 5 }, { type: 'Personal', weight: 3 }, { type: 'Mortgage', weight: 2 }, { type: 'HELOC', weight: 1 }]).type;
+                const amount = Math.round(rng.range(...{ Auto: [12000, 45000], Personal: [2000, 15000], Mortgage: [180000, 520000], HELOC: [15000, 90000] }[type]) / 500) * 500;
+                const income = Math.round(m.annual_income / 12);
+                const debt = Math.round(loans(m.party_id).reduce((sum, l) => sum + l.monthly_payment, 0) + (type === 'Mortgage' ? 0 : income * 0.12));
+                const dti = Math.round((debt / income) * 1000) / 10;
+                const grade = gradeFor(m.credit_score, dti);
+                const ageDays = rng.int(0, 30);
+                list.push({
+                    member_id: m.party_id,
+                    name: m.name,
+                    amount,
+                    type,
+                    score: m.credit_score,
+                    income,
+                    debt,
+                    dti_ratio: dti,
+                    risk_grade: grade,
+                    submitted_at: daysAgo(ageDays).toISOString(),
+                    status: ageDays < 7 ? 'pending' : grade === 'D' ? 'declined' : 'approved'
+                });
+            }
+            list.sort(ascending('submitted_at')).forEach((app, n) => {
+                app.id = `LN-${2201 + n}`;
+            });
+            memo.applications = list.reverse();
+            return memo.applications;
+        }
+
+        /** Portfolio totals; walks every member once and memoizes. */
+        function summary() {
+            if (memo.summary) return memo.summary;
+            const branches = Object.fromEntries(BRANCHES.map(b => [b, { members: 0, deposits: 0, loans: 0, loan_count: 0, delinquent: 0 }]));
+            const segments = {};
+            const loanTypes = {};
+            let deposits = 0;
+            let loanBalance = 0;
+            let loanCount = 0;
+            let delinquent = 0;
+            let scoreTotal = 0;
+            for (let i = 0; i < size; i++) {
+                const m = member(i);
+                const memberDeposits = accountsFor(m).filter(a => a.type !== 'Credit Card').reduce((sum, a) => sum + a.balance, 0);
+                const memberLoans = loans(m.party_id);
+                const owed = memberLoans.reduce((sum, l) => sum + l.balance, 0);
+                deposits += memberDeposits;
+                loanBalance += owed;
+                loanCount += memberLoans.length;
+                delinquent += memberLoans.filter(l => l.days_past_due).length;
+                scoreTotal += m.credit_score;
+                segments[m.segment] = (segments[m.segment] || 0) + 1;
+                branches[m.branch].members += 1;
+                branches[m.branch].deposits += memberDeposits;
+                branches[m.branch].loans += owed;
+                branches[m.branch].loan_count += memberLoans.length;
+                branches[m.branch].delinquent += memberLoans.filter(l => l.days_past_due).length;
+                memberLoans.forEach(l => {
+                    const entry = loanTypes[l.type] || (loanTypes[l.type] = { count: 0, balance: 0, delinquent: 0, rate_total: 0 });
+                    entry.count += 1;
+                    entry.balance += l.balance;
+                    entry.rate_total += l.rate;
+                    if (l.days_past_due) entry.delinquent += 1;
+                });
+            }
+            memo.summary = {
+                as_of: isoDate(asOf),
+                total_members: size,
+                total_deposits: round2(deposits),
+                total_loans: round2(loanBalance),
+                loan_count: loanCount,
+                delinquency_rate: loanCount ? round2((delinquent / loanCount) * 100) : 0,
+                avg_credit_score: Math.round(scoreTotal / size),
+                fraud_members: fraudIndexes().length,
+                segments,
+                branches,
+                loan_types: loanTypes
+            };
+            return memo.summary;
+        }
+
+        return {
+            seed,
+            size,
+            months,
+            asOf: isoDate(asOf),
+            member,
+            memberById: id => member(indexOf(id)),
+            members,
+            searchMembers,
+            accounts,
+            account,
+            cards,
+            loans,
+            transactions,
+            events: id => ledger(id).events,
+            calls,
+            recentCalls,
+            timeline,
+            fraudMembers,
+            ring: id => ringOf(indexOf(id)),
+            cases,
+            loanApplications,
+            summary,
+            branches: BRANCHES.slice(),
+            analysts: ANALYSTS.slice()
+        };
+    }
+
+    let shared = null;
+
+    return {
+        DEFAULT_SEED,
+        FRAUD_PATTERNS,
+        createRandom: (...key) => createRandom(...key),
+        createPopulation,
+        loadConfig,
+
+        /** Shared population for the page, built from loadConfig() on first use. */
+        get population() {
+            if (!shared) shared = createPopulation(loadConfig());
+            return shared;
+        }
+    };
+})();
+
+// Export Logic
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyntheticBank;
+} else {
+    window.SyntheticBank = SyntheticBank;
+}